@@ -78,6 +78,9 @@ export default [
             'useCheckout',
             'useProfile',
             'useTheme',
+            'useCurrency',
+            'useWishlist',
+            'useCompare',
             'useToast',
             'useFilter',
             'useSearch',
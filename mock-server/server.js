@@ -0,0 +1,108 @@
+/**
+ * Mock Catalog Server
+ *
+ * Small REST backend serving the bundled catalog, so the HTTP transport
+ * can be run and tested without a real backend:
+ *
+ *   npm run mock-api
+ *   VITE_API_TRANSPORT=http VITE_API_BASE_URL=http://localhost:4010 npm run dev
+ *
+ * Routes (GET only, JSON):
+ *   /products            All products
+ *   /products/:id        One product, 404 if unknown
+ *   /categories          Category names (including 'all')
+ *   /shipping-options    Shipping options
+ *
+ * Environment:
+ *   PORT          Port to listen on (default 4010)
+ *   MOCK_LATENCY  Added response delay in ms (default 0)
+ *   MOCK_FAIL_RATE  Share of requests answered with 503, 0-1 (default 0)
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { products, categories, shippingOptions } from '../src/data/products.js';
+
+const DEFAULT_PORT = 4010;
+
+const ROUTES = [
+  { pattern: /^\/products$/, handler: () => products },
+  {
+    pattern: /^\/products\/([^/]+)$/,
+    handler: ([id]) => products.find((p) => p.id === Number(id)),
+  },
+  { pattern: /^\/categories$/, handler: () => categories },
+  { pattern: /^\/shipping-options$/, handler: () => shippingOptions },
+];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Accept, Content-Type',
+};
+
+/**
+ * Send a JSON response
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} data - Response body
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Create the mock server (not yet listening)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.latencyMs=0] - Added response delay
+ * @param {number} [options.failRate=0] - Share of requests answered with 503 (0-1)
+ * @returns {import('node:http').Server}
+ */
+export function createMockServer({ latencyMs = 0, failRate = 0 } = {}) {
+  return createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    setTimeout(() => {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+      }
+
+      if (req.method !== 'GET') {
+        sendJson(res, 405, { message: `Method ${req.method} not allowed` });
+        return;
+      }
+
+      if (Math.random() < failRate) {
+        sendJson(res, 503, { message: 'Service temporarily unavailable' });
+        return;
+      }
+
+      const route = ROUTES.find(({ pattern }) => pattern.test(pathname));
+      const data = route?.handler(pathname.match(route.pattern).slice(1));
+
+      if (data === undefined) {
+        sendJson(res, 404, { message: `Not found: ${pathname}` });
+        return;
+      }
+
+      sendJson(res, 200, data);
+    }, latencyMs);
+  });
+}
+
+// Start listening when run directly (`node mock-server/server.js`)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const server = createMockServer({
+    latencyMs: Number(process.env.MOCK_LATENCY) || 0,
+    failRate: Number(process.env.MOCK_FAIL_RATE) || 0,
+  });
+
+  server.listen(port, () => {
+    console.log(`Mock catalog server listening on http://localhost:${port}`);
+  });
+}
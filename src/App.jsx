@@ -1,5 +1,5 @@
 import { lazy, Suspense, useEffect, useRef } from 'react';
-import { HashRouter, Routes, Route, useLocation, useNavigate } from 'react-router-dom';
+import { HashRouter, Routes, Route, matchPath, useLocation, useNavigate } from 'react-router-dom';
 
 // Context
 import AppProvider from './context/AppProvider';
@@ -9,9 +9,14 @@ import { useTheme } from './context/ThemeContext';
 import Header from './components/Header';
 import Footer from './components/Footer';
 import CartModal from './components/CartModal';
+import CompareTray from './components/CompareTray';
 import ToastContainer from './components/ToastContainer';
 import ErrorBoundary from './components/ErrorBoundary';
 import Loading from './components/Loading';
+import OfflineBanner from './components/OfflineBanner';
+
+// Hooks
+import { useOfflineSync } from './hooks/useOfflineSync';
 
 // Constants
 import { ROUTES } from './constants';
@@ -20,16 +25,24 @@ import { ROUTES } from './constants';
 const LandingPage = lazy(() => import('./pages/LandingPage'));
 const HomePage = lazy(() => import('./pages/HomePage'));
 const ProductsPage = lazy(() => import('./pages/ProductsPage'));
+const ProductDetailPage = lazy(() => import('./pages/ProductDetailPage'));
 const OffersPage = lazy(() => import('./pages/OffersPage'));
 const CartPage = lazy(() => import('./pages/CartPage'));
 const ProfilePage = lazy(() => import('./pages/ProfilePage'));
+const OrdersPage = lazy(() => import('./pages/OrdersPage'));
+const OrderDetailPage = lazy(() => import('./pages/OrderDetailPage'));
+const WishlistPage = lazy(() => import('./pages/WishlistPage'));
+const ComparePage = lazy(() => import('./pages/ComparePage'));
+const AdminCatalogPage = lazy(() => import('./pages/AdminCatalogPage'));
 const NotFoundPage = lazy(() => import('./pages/NotFoundPage'));
 
 /**
  * ScrollToTop - Component to scroll to top on route change
+ * Opening or closing a product modal keeps the page underneath where it was.
  */
 function ScrollToTop() {
-  const { pathname } = useLocation();
+  const location = useLocation();
+  const { pathname } = location.state?.backgroundLocation ?? location;
 
   useEffect(() => {
     window.scrollTo(0, 0);
@@ -60,13 +73,21 @@ function SkipLink() {
  * AppLayout - Main application layout wrapper
  *
  * Wraps all pages with common layout elements like Header, Footer,
- * CartModal, and ToastContainer.
+ * CompareTray, CartModal, and ToastContainer.
+ *
+ * Product detail links opened from within the app carry the page they
+ * were opened from as `backgroundLocation` (see `useOpenProduct`): that
+ * page keeps rendering and the product route renders on top of it.
  *
  * Note: Header and other components now consume contexts directly
  * instead of receiving props (removing prop drilling anti-pattern).
  */
 function AppLayout() {
   const { darkMode, COLORS } = useTheme();
+  const location = useLocation();
+
+  // A product opened from a page shows as a modal over that page
+  const backgroundLocation = location.state?.backgroundLocation;
 
   return (
     <div
@@ -92,21 +113,37 @@ function AppLayout() {
       {/* Main content area - Routes */}
       <main id="main-content" className="flex-1">
         <Suspense fallback={<PageLoader />}>
-          <Routes>
+          <Routes location={backgroundLocation ?? location}>
             <Route path={ROUTES.HOME} element={<HomePage />} />
             <Route path={ROUTES.PRODUCTS} element={<ProductsPage />} />
+            <Route path={ROUTES.PRODUCT_DETAIL} element={<ProductDetailPage />} />
             <Route path={ROUTES.OFFERS} element={<OffersPage />} />
             <Route path={ROUTES.CART} element={<CartPage />} />
             <Route path={ROUTES.PROFILE} element={<ProfilePage />} />
+            <Route path={ROUTES.ORDERS} element={<OrdersPage />} />
+            <Route path={ROUTES.ORDER_DETAIL} element={<OrderDetailPage />} />
+            <Route path={ROUTES.WISHLIST} element={<WishlistPage />} />
+            <Route path={ROUTES.COMPARE} element={<ComparePage />} />
+            <Route path={ROUTES.ADMIN_CATALOG} element={<AdminCatalogPage />} />
             {/* 404 Not Found route */}
             <Route path="*" element={<NotFoundPage />} />
           </Routes>
+
+          {/* Product modal over the background page */}
+          {backgroundLocation && (
+            <Routes>
+              <Route path={ROUTES.PRODUCT_DETAIL} element={<ProductDetailPage />} />
+            </Routes>
+          )}
         </Suspense>
       </main>
 
       {/* Footer */}
       <Footer />
 
+      {/* Compare tray - Uses CompareContext for the selection */}
+      <CompareTray />
+
       {/* Cart Modal - Uses CartContext for open/close state */}
       <CartModal />
     </div>
@@ -128,11 +165,20 @@ function RedirectToLandingOnRefresh() {
     // Check if this is a fresh page load (not in-app navigation)
     const hasVisitedInSession = sessionStorage.getItem('mart_session_active');
 
+    // Shared product links open the product rather than the landing page
+    const isProductLink = Boolean(matchPath(ROUTES.PRODUCT_DETAIL, location.pathname));
+
     // Only redirect if:
     // 1. Not already on landing page
     // 2. Haven't redirected yet in this component lifecycle
     // 3. This is a fresh page load (no session flag)
-    if (!hasVisitedInSession && !hasRedirected.current && location.pathname !== ROUTES.LANDING) {
+    // 4. Not a product deep link
+    if (
+      !hasVisitedInSession &&
+      !hasRedirected.current &&
+      location.pathname !== ROUTES.LANDING &&
+      !isProductLink
+    ) {
       hasRedirected.current = true;
       // Set session flag before navigating
       sessionStorage.setItem('mart_session_active', 'true');
@@ -148,16 +194,22 @@ function RedirectToLandingOnRefresh() {
 
 /**
  * AppRoutes - Handles routing between Landing page and Main app
+ * Also saves changes queued while offline once back online.
  */
 function AppRoutes() {
   const location = useLocation();
   const isLandingPage = location.pathname === ROUTES.LANDING;
 
+  useOfflineSync();
+
   return (
     <>
       {/* Handle redirect to landing on page refresh */}
       <RedirectToLandingOnRefresh />
 
+      {/* Connectivity notice while offline */}
+      <OfflineBanner />
+
       {isLandingPage ? (
         <Suspense fallback={<PageLoader />}>
           <LandingPage />
@@ -1,14 +1,22 @@
-import { FiPlus, FiMinus, FiTrash2 } from 'react-icons/fi';
+import { FiPlus, FiMinus, FiTrash2, FiAlertCircle, FiHeart } from 'react-icons/fi';
 import { motion } from 'framer-motion';
 import { useTheme } from '../context/ThemeContext';
-import { useCart } from '../context/CartContext';
+import { useCart, useCheckout } from '../context/CartContext';
 import { useToast } from '../context/ToastContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useWishlist } from '../context/WishlistContext';
+import { useAvailableStock } from '../hooks/useAvailableStock';
+import { getCartItemId } from '../utils/id';
+import { getUnitPrice } from '../utils/variants';
 
 /**
  * CartItem - Individual cart item display component
  *
  * Displays a cart item with image, name, price, quantity controls,
- * and remove functionality. Used in the cart modal and cart page.
+ * remove and save-for-later functionality. Used in the cart modal and cart page.
+ * Shows the stock error for this line when the last order attempt failed
+ * for it, until the quantity is brought within what is available.
+ * Lines for a product variant show the variant and use its stock.
  *
  * @param {Object} props
  * @param {Object} props.item - Cart item object
@@ -20,6 +28,8 @@ import { useToast } from '../context/ToastContext';
  * @param {boolean} props.item.onSale - Whether item is on sale
  * @param {number} props.item.salePrice - Sale price (if on sale)
  * @param {number} props.item.stock - Stock limit
+ * @param {string} [props.item.variantId] - Variant ID, for product variants
+ * @param {string} [props.item.variantLabel] - Variant description (e.g. "Size: M")
  * @param {boolean} props.compact - Whether to use compact layout
  * @param {Function} props.onQuantityChange - Optional custom quantity change handler
  * @param {Function} props.onRemove - Optional custom remove handler
@@ -28,9 +38,17 @@ function CartItem({ item, compact = false, onQuantityChange, onRemove }) {
   const { darkMode, COLORS } = useTheme();
   const { updateQuantity, removeFromCart } = useCart();
   const { showSuccess } = useToast();
+  const { formatPrice } = useCurrency();
+  const { lineErrors } = useCheckout();
+  const { moveToWishlist } = useWishlist();
 
-  // Get stock limit
-  const stockLimit = item.stock || 10;
+  // Get stock limit from the inventory store
+  const stockLimit = useAvailableStock(item.id, item.stock, item.variantId);
+  const cartItemId = getCartItemId(item);
+
+  // Stock error from the last order attempt, while it still applies
+  const lineError = lineErrors[cartItemId];
+  const showLineError = Boolean(lineError) && item.quantity > lineError.availableQuantity;
   const isAtStockLimit = item.quantity >= stockLimit;
 
   // Handle quantity increase
@@ -43,7 +61,7 @@ function CartItem({ item, compact = false, onQuantityChange, onRemove }) {
     if (onQuantityChange) {
       onQuantityChange(item.id, newQuantity);
     } else {
-      updateQuantity(item.id, newQuantity);
+      updateQuantity(cartItemId, newQuantity);
     }
     // Show toast when reaching maximum quantity
     if (newQuantity >= stockLimit) {
@@ -57,14 +75,14 @@ function CartItem({ item, compact = false, onQuantityChange, onRemove }) {
       if (onQuantityChange) {
         onQuantityChange(item.id, item.quantity - 1);
       } else {
-        updateQuantity(item.id, item.quantity - 1);
+        updateQuantity(cartItemId, item.quantity - 1);
       }
     } else if (item.quantity === 1) {
       // Remove from cart when quantity reaches 0
       if (onRemove) {
         onRemove(item.id);
       } else {
-        removeFromCart(item.id);
+        removeFromCart(cartItemId);
       }
     }
   };
@@ -74,12 +92,20 @@ function CartItem({ item, compact = false, onQuantityChange, onRemove }) {
     if (onRemove) {
       onRemove(item.id);
     } else {
-      removeFromCart(item.id);
+      removeFromCart(cartItemId);
+    }
+  };
+
+  // Handle save for later
+  const handleMoveToWishlist = () => {
+    const result = moveToWishlist(item);
+    if (result.success) {
+      showSuccess(result.message);
     }
   };
 
   // Get the actual price (sale price if on sale)
-  const actualPrice = item.onSale ? item.salePrice : item.price;
+  const actualPrice = getUnitPrice(item);
   const itemTotal = actualPrice * item.quantity;
 
   // Styles
@@ -121,13 +147,17 @@ function CartItem({ item, compact = false, onQuantityChange, onRemove }) {
         >
           {item.name}
         </h3>
+        {item.variantLabel && (
+          <p className="text-xs truncate" style={{ color: subtextColor }}>
+            {item.variantLabel}
+          </p>
+        )}
 
         {/* Price Display */}
         <div className="flex items-center gap-2">
-          <p
-            className={compact ? 'text-xs' : 'text-sm'}
-            style={{ color: subtextColor }}
-          >{`$${actualPrice.toFixed(2)}`}</p>
+          <p className={compact ? 'text-xs' : 'text-sm'} style={{ color: subtextColor }}>
+            {formatPrice(actualPrice)}
+          </p>
           {item.onSale && (
             <span
               className="text-xs line-through"
@@ -135,7 +165,7 @@ function CartItem({ item, compact = false, onQuantityChange, onRemove }) {
                 color: darkMode ? 'rgba(255, 255, 255, 0.4)' : 'rgba(0, 0, 0, 0.4)',
               }}
             >
-              ${item.price.toFixed(2)}
+              {formatPrice(item.price)}
             </span>
           )}
         </div>
@@ -174,6 +204,18 @@ function CartItem({ item, compact = false, onQuantityChange, onRemove }) {
             <FiPlus className={compact ? 'h-3 w-3' : 'h-4 w-4'} />
           </button>
         </div>
+
+        {/* Stock Error */}
+        {showLineError && (
+          <p
+            className="mt-1 flex items-center gap-1 text-xs"
+            style={{ color: darkMode ? '#f87171' : '#dc2626' }}
+            role="alert"
+          >
+            <FiAlertCircle className="h-3 w-3 shrink-0" aria-hidden="true" />
+            {lineError.message}
+          </p>
+        )}
       </div>
 
       {/* Item Total and Remove */}
@@ -183,7 +225,7 @@ function CartItem({ item, compact = false, onQuantityChange, onRemove }) {
           className={`font-medium ${compact ? 'text-xs' : 'text-sm'}`}
           style={{ color: textColor }}
         >
-          ${itemTotal.toFixed(2)}
+          {formatPrice(itemTotal)}
         </p>
 
         {/* Remove Button */}
@@ -200,6 +242,17 @@ function CartItem({ item, compact = false, onQuantityChange, onRemove }) {
           <FiTrash2 className={compact ? 'h-3 w-3' : 'h-3 w-3'} />
           <span>Remove</span>
         </button>
+
+        {/* Move to Wishlist Button */}
+        <button
+          onClick={handleMoveToWishlist}
+          className="mt-1 flex items-center gap-1 cursor-pointer text-xs transition-colors hover:opacity-80"
+          style={{ color: buttonColor }}
+          aria-label={`Move ${item.name} to wishlist`}
+        >
+          <FiHeart className="h-3 w-3" />
+          <span>Save for later</span>
+        </button>
       </div>
     </motion.div>
   );
@@ -2,7 +2,16 @@
 import { describe, it, expect, vi } from 'vitest';
 import { screen } from '@testing-library/react';
 import CartItem from './CartItem';
+import { reserveStock } from '../services/inventory';
 import { render, mockCartItem, mockSaleCartItem } from '../testing/test-utils';
+import { useWishlist } from '../context/WishlistContext';
+
+// Shows the saved quantity so moves can be checked
+function WishlistQuantity({ productId }) {
+  const { wishlistItems } = useWishlist();
+  const item = wishlistItems.find((wishlistItem) => wishlistItem.id === productId);
+  return <p data-testid="wishlist-quantity">{item ? item.quantity : 0}</p>;
+}
 
 describe('CartItem', () => {
   describe('rendering', () => {
@@ -142,6 +151,15 @@ describe('CartItem', () => {
       const decreaseButton = screen.getByRole('button', { name: /decrease/i });
       expect(decreaseButton).not.toBeDisabled();
     });
+
+    it('caps quantity at stock left after placed orders', () => {
+      // Catalog product 1 starts with 3 units; one has already been sold
+      const item = { ...mockCartItem, quantity: 2 };
+      reserveStock([{ ...item, quantity: 1 }]);
+      render(<CartItem item={item} />);
+
+      expect(screen.getByRole('button', { name: /stock limit reached/i })).toBeDisabled();
+    });
   });
 
   describe('remove functionality', () => {
@@ -164,6 +182,25 @@ describe('CartItem', () => {
     });
   });
 
+  describe('save for later', () => {
+    it('moves the item to the wishlist with its quantity', async () => {
+      const { user } = render(
+        <>
+          <CartItem item={mockCartItem} />
+          <WishlistQuantity productId={mockCartItem.id} />
+        </>
+      );
+
+      await user.click(
+        screen.getByRole('button', { name: `Move ${mockCartItem.name} to wishlist` })
+      );
+
+      expect(screen.getByTestId('wishlist-quantity')).toHaveTextContent(
+        String(mockCartItem.quantity)
+      );
+    });
+  });
+
   describe('custom handlers', () => {
     it('calls custom onQuantityChange handler when provided', async () => {
       const mockHandler = vi.fn();
@@ -271,7 +308,7 @@ describe('CartItem', () => {
       render(<CartItem item={expensiveItem} />);
 
       // Price may appear multiple times
-      const prices = screen.getAllByText(/\$9999\.99/);
+      const prices = screen.getAllByText(/\$9,999\.99/);
       expect(prices.length).toBeGreaterThan(0);
     });
 
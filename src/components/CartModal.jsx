@@ -1,25 +1,32 @@
-import { useEffect } from 'react';
+import { useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FiShoppingCart, FiX, FiCheck, FiArrowRight } from 'react-icons/fi';
 import { useTheme } from '../context/ThemeContext';
-import { useCart } from '../context/CartContext';
-import { useScrollLock, useNavigateToSection } from '../hooks';
+import { useCurrency } from '../context/CurrencyContext';
+import { useCart, CHECKOUT_STAGES, CHECKOUT_STAGE_PARAM } from '../context/CartContext';
+import { useScrollLock, useNavigateToSection, useRecommendedProducts } from '../hooks';
 import { ROUTES, SECTION_IDS, Z_INDEX } from '../constants';
+import { getCartItemId } from '../utils/id';
 import CartItem from './CartItem';
+import CategorySection from './CategorySection';
 import ShippingOptions from './ShippingOptions';
+import { DiscountBreakdown, TaxLine } from './cart';
 
 /**
  * CartModal - Shopping cart slide-over drawer component
  *
  * Displays the shopping cart contents in a right-side sliding drawer
- * with cart items, shipping options, order summary, and checkout.
- * Handles empty cart and order confirmation states.
+ * with cart items, products to go with them, shipping options, order
+ * summary, and checkout. Handles empty cart and order confirmation states.
  *
  * Now uses CartContext for open/close state management (removing prop drilling).
  */
 function CartModal() {
+  const navigate = useNavigate();
   const navigateToSection = useNavigateToSection();
   const { darkMode, COLORS } = useTheme();
+  const { formatPrice } = useCurrency();
   const {
     // Modal state from context
     isCartOpen,
@@ -32,14 +39,22 @@ function CartModal() {
     // Shipping
     getShippingCost,
     getTotal,
+    discounts,
+    tax,
     // Checkout
-    handleCheckout,
     resetOrder,
     orderPlaced,
     orderNumber,
     isCheckingOut,
   } = useCart();
 
+  // Products bought or viewed with the ones in the cart
+  const cartProductIds = useMemo(() => [...new Set(cartItems.map((item) => item.id))], [cartItems]);
+  const { products: recommendedProducts } = useRecommendedProducts(cartProductIds, {
+    limit: 6,
+    enabled: isCartOpen && !orderPlaced,
+  });
+
   // Use the scroll lock hook to handle body scroll locking
   useScrollLock(isCartOpen);
 
@@ -55,11 +70,10 @@ function CartModal() {
     return () => document.removeEventListener('keydown', handleEscKey);
   }, [isCartOpen, closeCart]);
 
-  // Handle checkout button click
-  const onCheckout = async () => {
-    const result = await handleCheckout();
-    // Could show error toast here if result.success is false
-    return result;
+  // Handle checkout button click - the checkout wizard lives on the cart page
+  const onCheckout = () => {
+    closeCart();
+    navigate(`${ROUTES.CART}?${CHECKOUT_STAGE_PARAM}=${CHECKOUT_STAGES.SHIPPING}`);
   };
 
   // Handle continue button click (after order confirmation)
@@ -257,9 +271,12 @@ function CartModal() {
                 <div className="space-y-0">
                   <AnimatePresence mode="popLayout">
                     {cartItems.map((item) => (
-                      <CartItem key={item.id} item={item} />
+                      <CartItem key={getCartItemId(item)} item={item} />
                     ))}
                   </AnimatePresence>
+                  <div className="mt-6">
+                    <CategorySection title="You might also like" products={recommendedProducts} />
+                  </div>
                 </div>
               )}
             </div>
@@ -281,24 +298,44 @@ function CartModal() {
                   {/* Subtotal */}
                   <div className="flex justify-between text-xs">
                     <p style={{ color: subtextColor }}>Subtotal</p>
-                    <p style={{ color: textColor }}>${cartTotal.toFixed(2)}</p>
+                    <p style={{ color: textColor }}>{formatPrice(cartTotal)}</p>
                   </div>
 
                   {/* Shipping */}
                   <div className="flex justify-between text-xs">
                     <p style={{ color: subtextColor }}>Shipping</p>
                     <p style={{ color: getShippingCost() === 0 ? '#22c55e' : textColor }}>
-                      {getShippingCost() === 0 ? 'Free' : `$${getShippingCost().toFixed(2)}`}
+                      {getShippingCost() === 0 ? 'Free' : formatPrice(getShippingCost())}
                     </p>
                   </div>
 
+                  {/* Discounts */}
+                  <DiscountBreakdown
+                    discounts={discounts}
+                    subtextColor={subtextColor}
+                    className="text-xs"
+                  />
+
+                  {/* Tax */}
+                  {tax.jurisdiction && (
+                    <TaxLine
+                      label={tax.label}
+                      amount={tax.taxTotal}
+                      inclusive={tax.inclusive}
+                      lines={tax.lines}
+                      textColor={textColor}
+                      subtextColor={subtextColor}
+                      className="text-xs"
+                    />
+                  )}
+
                   {/* Total */}
                   <div
                     className="flex justify-between text-base font-bold pt-2 mt-1 border-t"
                     style={{ borderColor }}
                   >
                     <p style={{ color: textColor }}>Total</p>
-                    <p style={{ color: primaryColor }}>${getTotal().toFixed(2)}</p>
+                    <p style={{ color: primaryColor }}>{formatPrice(getTotal())}</p>
                   </div>
                 </div>
 
@@ -1,13 +1,18 @@
 // CartModal component tests
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { screen, waitFor, render as rtlRender } from '@testing-library/react';
+import { screen, waitFor, within, render as rtlRender } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { MemoryRouter } from 'react-router-dom';
 import CartModal from './CartModal';
 import { CartProvider, useCart } from '../context/CartContext';
 import { ThemeProvider } from '../context/ThemeContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { WishlistProvider } from '../context/WishlistContext';
 import { ToastProvider } from '../context/ToastContext';
 import { ProfileProvider } from '../context/ProfileContext';
+import { CompareProvider } from '../context/CompareContext';
+import { recordPurchase } from '../services/recommendations';
+import { products as catalog } from '../data/products';
 
 // Mock product for testing
 const mockProduct = {
@@ -39,11 +44,17 @@ function renderWithProviders(ui, { route = '/' } = {}) {
   const Wrapper = ({ children }) => (
     <MemoryRouter initialEntries={[route]}>
       <ThemeProvider>
-        <ToastProvider>
-          <ProfileProvider>
-            <CartProvider>{children}</CartProvider>
-          </ProfileProvider>
-        </ToastProvider>
+        <CurrencyProvider>
+          <ToastProvider>
+            <ProfileProvider>
+              <CartProvider>
+                <WishlistProvider>
+                  <CompareProvider>{children}</CompareProvider>
+                </WishlistProvider>
+              </CartProvider>
+            </ProfileProvider>
+          </ToastProvider>
+        </CurrencyProvider>
       </ThemeProvider>
     </MemoryRouter>
   );
@@ -59,11 +70,15 @@ function _createCartHookWrapper() {
   return ({ children }) => (
     <MemoryRouter>
       <ThemeProvider>
-        <ToastProvider>
-          <ProfileProvider>
-            <CartProvider>{children}</CartProvider>
-          </ProfileProvider>
-        </ToastProvider>
+        <CurrencyProvider>
+          <ToastProvider>
+            <ProfileProvider>
+              <CartProvider>
+                <WishlistProvider>{children}</WishlistProvider>
+              </CartProvider>
+            </ProfileProvider>
+          </ToastProvider>
+        </CurrencyProvider>
       </ThemeProvider>
     </MemoryRouter>
   );
@@ -372,6 +387,36 @@ describe('CartModal', () => {
     });
   });
 
+  describe('recommendations', () => {
+    it('recommends products bought with the ones in the cart', async () => {
+      const lamp = catalog.find((product) => product.category !== mockProduct.category);
+      recordPurchase([mockProduct.id, lamp.id]);
+
+      function TestComponent() {
+        const { openCart, addToCart } = useCart();
+
+        React.useEffect(() => {
+          addToCart(mockProduct);
+          openCart();
+        }, [openCart, addToCart]);
+
+        return <CartModal />;
+      }
+
+      renderWithProviders(<TestComponent />);
+
+      const heading = await screen.findByRole(
+        'heading',
+        { name: 'You might also like' },
+        { timeout: 2000 }
+      );
+      const cards = within(heading.closest('section')).getAllByRole('button', {
+        name: /view details for/i,
+      });
+      expect(cards[0]).toHaveAccessibleName(new RegExp(lamp.name, 'i'));
+    });
+  });
+
   describe('closing the cart', () => {
     it('closes when close button is clicked', async () => {
       const user = userEvent.setup();
@@ -3,26 +3,61 @@ import { motion } from 'framer-motion';
 import { FiChevronLeft, FiChevronRight } from 'react-icons/fi';
 import { Link } from 'react-router-dom';
 import { useTheme } from '../context/ThemeContext';
+import { useProducts } from '../hooks/useProducts';
+import { SORT_OPTIONS } from '../services/productsApi';
+import { GRID } from '../constants';
 import ProductCard from './ProductCard';
+import ProductCardSkeleton from './ProductCardSkeleton';
 
 /**
  * CategorySection - Horizontal scrolling product section for a category
  *
  * Displays products in a horizontally scrollable row with navigation arrows
- * and a "see all" link to view all products in the category.
+ * and a "see all" link to view all products in the category. Without a
+ * `products` prop it fetches the first `GRID.CATEGORY_SCROLL_COUNT`
+ * products of the category through `useProducts`. Rows of given products
+ * that aren't a category (e.g. recently viewed) have no "see all" link.
  *
  * @param {Object} props
  * @param {string} props.title - Category display title
- * @param {string} props.categoryId - Category identifier for filtering
- * @param {Array} props.products - Array of products to display
- * @param {string} props.seeAllLink - Link to view all products in category
+ * @param {string} [props.categoryId] - Category identifier for filtering
+ * @param {Array} [props.products] - Products to display (skips fetching)
+ * @param {string} [props.sortBy='default'] - Sort option for fetched products
+ * @param {string} [props.seeAllLink] - Link to view all products in category
  */
-function CategorySection({ title, categoryId, products, seeAllLink }) {
+function CategorySection({
+  title,
+  categoryId,
+  products: productsProp,
+  sortBy = SORT_OPTIONS.DEFAULT,
+  seeAllLink,
+}) {
   const { darkMode, COLORS } = useTheme();
+  const shouldFetch = productsProp === undefined;
+  const {
+    products: fetchedProducts,
+    isInitialLoading,
+    error,
+    refetch,
+  } = useProducts({
+    category: categoryId,
+    sortBy,
+    pageSize: GRID.CATEGORY_SCROLL_COUNT,
+    enabled: shouldFetch,
+  });
+  const products = shouldFetch ? fetchedProducts : productsProp;
+  const isLoading = shouldFetch && isInitialLoading && !error;
   const scrollContainerRef = useRef(null);
   const [canScrollLeft, setCanScrollLeft] = useState(false);
   const [canScrollRight, setCanScrollRight] = useState(false);
 
+  // Card sizing: 2 cards on mobile
+  const cardWrapperStyle = {
+    width: 'calc((100% - 12px) / 2)',
+    minWidth: '160px',
+    maxWidth: '200px',
+  };
+
   // Check scroll position and update button states
   const checkScrollPosition = () => {
     const container = scrollContainerRef.current;
@@ -58,13 +93,13 @@ function CategorySection({ title, categoryId, products, seeAllLink }) {
     }
   };
 
-  // Don't render if no products
-  if (!products || products.length === 0) {
+  // Don't render if no products (or the row failed to load with nothing to retry)
+  if (!isLoading && !error && (!products || products.length === 0)) {
     return null;
   }
 
   return (
-    <section className="mb-8">
+    <section className="mb-8" aria-busy={isLoading}>
       {/* Header with title and see all link */}
       <div className="flex items-center justify-between mb-4">
         <h2
@@ -76,15 +111,17 @@ function CategorySection({ title, categoryId, products, seeAllLink }) {
         >
           {title}
         </h2>
-        <Link
-          to={seeAllLink || `/products?category=${categoryId}`}
-          className="text-sm font-medium hover:underline transition-opacity hover:opacity-80"
-          style={{
-            color: '#16a34a',
-          }}
-        >
-          see all
-        </Link>
+        {(seeAllLink || categoryId) && (
+          <Link
+            to={seeAllLink || `/products?category=${categoryId}`}
+            className="text-sm font-medium hover:underline transition-opacity hover:opacity-80"
+            style={{
+              color: '#16a34a',
+            }}
+          >
+            see all
+          </Link>
+        )}
       </div>
 
       {/* Scrollable products container */}
@@ -127,6 +164,24 @@ function CategorySection({ title, categoryId, products, seeAllLink }) {
           </motion.button>
         )}
 
+        {/* Load error */}
+        {error && !isLoading && products.length === 0 && (
+          <p
+            className="text-sm py-6"
+            role="alert"
+            style={{ color: darkMode ? COLORS.dark.text : COLORS.light.text }}
+          >
+            Couldn&apos;t load {title}.{' '}
+            <button
+              onClick={refetch}
+              className="underline cursor-pointer hover:opacity-80 transition-opacity"
+              style={{ color: darkMode ? COLORS.dark.primary : COLORS.light.primary }}
+            >
+              Try again
+            </button>
+          </p>
+        )}
+
         {/* Products scroll container */}
         <div
           ref={scrollContainerRef}
@@ -137,19 +192,26 @@ function CategorySection({ title, categoryId, products, seeAllLink }) {
             msOverflowStyle: 'none',
           }}
         >
-          {products.map((product) => (
-            <div
-              key={product.id}
-              className="product-card-wrapper shrink-0"
-              style={{
-                width: 'calc((100% - 12px) / 2)', // 2 cards on mobile
-                minWidth: '160px',
-                maxWidth: '200px',
-              }}
-            >
-              <ProductCard product={product} />
-            </div>
-          ))}
+          {isLoading
+            ? Array.from({ length: GRID.CATEGORY_SCROLL_COUNT }, (_, index) => (
+                <div
+                  key={index}
+                  className="product-card-wrapper shrink-0"
+                  style={cardWrapperStyle}
+                  aria-hidden="true"
+                >
+                  <ProductCardSkeleton />
+                </div>
+              ))
+            : products.map((product) => (
+                <div
+                  key={product.id}
+                  className="product-card-wrapper shrink-0"
+                  style={cardWrapperStyle}
+                >
+                  <ProductCard product={product} />
+                </div>
+              ))}
         </div>
       </div>
 
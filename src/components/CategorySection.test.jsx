@@ -1,8 +1,11 @@
 // CategorySection component tests
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { screen, fireEvent } from '@testing-library/react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
 import CategorySection from './CategorySection';
 import { render, mockProducts } from '../testing/test-utils';
+import { products } from '../data/products';
+import { GRID } from '../constants';
+import { catalogApi } from '../services/api';
 
 describe('CategorySection', () => {
   const defaultProps = {
@@ -81,10 +84,49 @@ describe('CategorySection', () => {
       expect(container.querySelector('section')).not.toBeInTheDocument();
     });
 
-    it('returns null when products is undefined', () => {
-      const { container } = render(<CategorySection {...defaultProps} products={undefined} />);
+    it('returns null when the fetched category is empty', async () => {
+      const { container } = render(
+        <CategorySection {...defaultProps} categoryId="no-such-category" products={undefined} />
+      );
 
-      expect(container.querySelector('section')).not.toBeInTheDocument();
+      await waitFor(() => {
+        expect(container.querySelector('section')).not.toBeInTheDocument();
+      });
+    });
+  });
+
+  describe('fetching', () => {
+    const fetchProps = { ...defaultProps, products: undefined };
+
+    it('shows skeletons while the category loads', () => {
+      const { container } = render(<CategorySection {...fetchProps} />);
+
+      expect(screen.getByRole('heading', { name: 'Electronics' })).toBeInTheDocument();
+      expect(container.querySelector('section')).toHaveAttribute('aria-busy', 'true');
+      expect(container.querySelectorAll('.animate-pulse')).toHaveLength(GRID.CATEGORY_SCROLL_COUNT);
+    });
+
+    it('fetches up to the scroll count of products in the category', async () => {
+      const expected = products
+        .filter((p) => p.category === 'electronics')
+        .slice(0, GRID.CATEGORY_SCROLL_COUNT);
+      render(<CategorySection {...fetchProps} />);
+
+      expect(await screen.findByText(expected[0].name)).toBeInTheDocument();
+      expect(screen.getAllByRole('button', { name: /^view details for/i })).toHaveLength(
+        expected.length
+      );
+    });
+
+    it('shows catalog edits straight away', async () => {
+      const first = products.find((p) => p.category === 'electronics');
+      render(<CategorySection {...fetchProps} />);
+      await screen.findByText(first.name);
+
+      await catalogApi.update(first.id, { name: 'Renamed Product' });
+
+      expect(await screen.findByText('Renamed Product', {}, { timeout: 2000 })).toBeInTheDocument();
+      await catalogApi.reset();
     });
   });
 
@@ -105,6 +147,12 @@ describe('CategorySection', () => {
       expect(link).toHaveAttribute('href', `/products?category=${defaultProps.categoryId}`);
     });
 
+    it('has no see all link without a category or seeAllLink', () => {
+      render(<CategorySection title="Recently viewed" products={mockProducts} />);
+
+      expect(screen.queryByRole('link', { name: /see all/i })).not.toBeInTheDocument();
+    });
+
     it('has correct styling on see all link', () => {
       render(<CategorySection {...defaultProps} />);
 
@@ -0,0 +1,53 @@
+import { useCallback } from 'react';
+import { FiColumns } from 'react-icons/fi';
+import { useCompare } from '../context/CompareContext';
+import { useToast } from '../context/ToastContext';
+
+/**
+ * CompareToggle - Button to add a product to the comparison
+ *
+ * Highlighted when the product is selected for comparison. Warns
+ * instead of adding when the selection is full. Stops click propagation
+ * so it can sit inside clickable cards.
+ *
+ * @param {Object} props
+ * @param {Object} props.product - Product to compare
+ * @param {string} [props.className] - Additional CSS classes (e.g. positioning)
+ */
+function CompareToggle({ product, className = '' }) {
+  const { isInCompare, toggleCompare } = useCompare();
+  const { showSuccess, showWarning } = useToast();
+  const isSelected = isInCompare(product.id);
+
+  const handleClick = useCallback(
+    (e) => {
+      e.stopPropagation();
+      const result = toggleCompare(product);
+      if (result.success) {
+        showSuccess(result.message);
+      } else {
+        showWarning(result.message);
+      }
+    },
+    [product, toggleCompare, showSuccess, showWarning]
+  );
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      onKeyDown={(e) => e.stopPropagation()}
+      className={`w-8 h-8 flex items-center justify-center rounded-full shadow-sm transition-transform cursor-pointer hover:scale-110 active:scale-95 ${className}`}
+      style={{
+        backgroundColor: isSelected ? '#2563eb' : 'rgba(255, 255, 255, 0.9)',
+        color: isSelected ? '#ffffff' : 'rgba(51, 51, 51, 0.7)',
+      }}
+      aria-label={isSelected ? `Remove ${product.name} from compare` : `Compare ${product.name}`}
+      aria-pressed={isSelected}
+    >
+      <FiColumns className="h-4 w-4" aria-hidden="true" />
+    </button>
+  );
+}
+
+export default CompareToggle;
@@ -0,0 +1,115 @@
+import { Link, useLocation } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiColumns, FiX } from 'react-icons/fi';
+import { useTheme } from '../context/ThemeContext';
+import { useCompare } from '../context/CompareContext';
+import { COMPARE, ROUTES, Z_INDEX } from '../constants';
+import { getComparePath } from '../utils/compare';
+
+/**
+ * CompareTray - Bar along the bottom of the screen listing products to compare
+ *
+ * Appears once a product is added to the comparison and links to the
+ * compare page when there are at least two. Hidden on the compare page
+ * itself.
+ */
+function CompareTray() {
+  const { darkMode, COLORS } = useTheme();
+  const { pathname } = useLocation();
+  const { compareItems, compareCount, removeFromCompare, clearCompare } = useCompare();
+
+  const isVisible = compareCount > 0 && pathname !== ROUTES.COMPARE;
+  const canCompare = compareCount >= 2;
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const background = darkMode ? COLORS.dark.modalBackground : COLORS.light.modalBackground;
+
+  return (
+    <>
+      {/* Keeps the end of the page clear of the tray */}
+      {isVisible && <div className="h-24 sm:h-16" aria-hidden="true" />}
+
+      <AnimatePresence>
+        {isVisible && (
+          <motion.section
+            initial={{ y: '100%' }}
+            animate={{ y: 0 }}
+            exit={{ y: '100%' }}
+            transition={{ duration: 0.2 }}
+            aria-label="Compare products"
+            className="fixed inset-x-0 bottom-0 shadow-lg"
+            style={{
+              zIndex: Z_INDEX.STICKY,
+              backgroundColor: background,
+              borderTop: `1px solid ${borderColor}`,
+            }}
+          >
+            <div className="max-w-6xl mx-auto px-3 sm:px-4 py-3 flex flex-wrap items-center gap-3">
+              <p
+                className="flex items-center gap-2 text-sm font-semibold"
+                style={{ color: textColor }}
+              >
+                <FiColumns className="h-4 w-4" style={{ color: primaryColor }} aria-hidden="true" />
+                Compare ({compareCount}/{COMPARE.MAX_PRODUCTS})
+              </p>
+
+              <ul className="flex flex-1 flex-wrap gap-2" aria-label="Products to compare">
+                {compareItems.map((item) => (
+                  <li
+                    key={item.id}
+                    className="flex items-center gap-2 rounded-full py-1 pl-1 pr-2"
+                    style={{ border: `1px solid ${borderColor}` }}
+                  >
+                    <img src={item.image} alt="" className="h-7 w-7 rounded-full object-cover" />
+                    <span className="max-w-32 truncate text-xs" style={{ color: textColor }}>
+                      {item.name}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => removeFromCompare(item.id)}
+                      className="rounded-full p-0.5 cursor-pointer transition-opacity hover:opacity-70"
+                      style={{ color: subtextColor }}
+                      aria-label={`Remove ${item.name} from compare`}
+                    >
+                      <FiX className="h-3.5 w-3.5" aria-hidden="true" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="flex items-center gap-3">
+                <button
+                  type="button"
+                  onClick={clearCompare}
+                  className="text-sm cursor-pointer transition-opacity hover:opacity-80"
+                  style={{ color: subtextColor }}
+                >
+                  Clear
+                </button>
+                {canCompare ? (
+                  <Link
+                    to={getComparePath(compareItems.map((item) => item.id))}
+                    className="px-4 py-2 text-sm font-semibold rounded-lg transition-all hover:opacity-90"
+                    style={{ backgroundColor: primaryColor, color: background }}
+                  >
+                    Compare now
+                  </Link>
+                ) : (
+                  <span className="text-xs" style={{ color: subtextColor }}>
+                    Add another product to compare
+                  </span>
+                )}
+              </div>
+            </div>
+          </motion.section>
+        )}
+      </AnimatePresence>
+    </>
+  );
+}
+
+export default CompareTray;
@@ -0,0 +1,78 @@
+// CompareTray component tests
+import { describe, it, expect, beforeEach } from 'vitest';
+import { screen, waitFor } from '@testing-library/react';
+import CompareTray from './CompareTray';
+import { renderWithMemoryRouter, mockProduct, mockSaleProduct } from '../testing/test-utils';
+import { STORAGE_KEYS } from '../constants';
+
+const saveSelection = (items) => localStorage.setItem(STORAGE_KEYS.COMPARE, JSON.stringify(items));
+
+describe('CompareTray', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('renders nothing without selected products', () => {
+    renderWithMemoryRouter(<CompareTray />);
+
+    expect(screen.queryByRole('region', { name: 'Compare products' })).not.toBeInTheDocument();
+  });
+
+  it('lists the selected products', () => {
+    saveSelection([mockProduct, mockSaleProduct]);
+    renderWithMemoryRouter(<CompareTray />);
+
+    expect(screen.getByRole('region', { name: 'Compare products' })).toBeInTheDocument();
+    expect(screen.getByText('Compare (2/4)')).toBeInTheDocument();
+    expect(screen.getByText(mockProduct.name)).toBeInTheDocument();
+    expect(screen.getByText(mockSaleProduct.name)).toBeInTheDocument();
+  });
+
+  it('links to the compare page with the selected IDs', () => {
+    saveSelection([mockProduct, mockSaleProduct]);
+    renderWithMemoryRouter(<CompareTray />);
+
+    expect(screen.getByRole('link', { name: 'Compare now' })).toHaveAttribute(
+      'href',
+      `/compare?ids=${mockProduct.id},${mockSaleProduct.id}`
+    );
+  });
+
+  it('asks for another product when only one is selected', () => {
+    saveSelection([mockProduct]);
+    renderWithMemoryRouter(<CompareTray />);
+
+    expect(screen.queryByRole('link', { name: 'Compare now' })).not.toBeInTheDocument();
+    expect(screen.getByText('Add another product to compare')).toBeInTheDocument();
+  });
+
+  it('removes a product from the selection', async () => {
+    saveSelection([mockProduct, mockSaleProduct]);
+    const { user } = renderWithMemoryRouter(<CompareTray />);
+
+    await user.click(
+      screen.getByRole('button', { name: `Remove ${mockProduct.name} from compare` })
+    );
+
+    expect(screen.queryByText(mockProduct.name)).not.toBeInTheDocument();
+    expect(screen.getByText('Compare (1/4)')).toBeInTheDocument();
+  });
+
+  it('hides once cleared', async () => {
+    saveSelection([mockProduct, mockSaleProduct]);
+    const { user } = renderWithMemoryRouter(<CompareTray />);
+
+    await user.click(screen.getByRole('button', { name: 'Clear' }));
+
+    await waitFor(() =>
+      expect(screen.queryByRole('region', { name: 'Compare products' })).not.toBeInTheDocument()
+    );
+  });
+
+  it('is hidden on the compare page', () => {
+    saveSelection([mockProduct, mockSaleProduct]);
+    renderWithMemoryRouter(<CompareTray />, { initialEntries: ['/compare?ids=1,2'] });
+
+    expect(screen.queryByRole('region', { name: 'Compare products' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,154 @@
+import { useId, useState } from 'react';
+import { FiPlus } from 'react-icons/fi';
+import { useTheme } from '../context/ThemeContext';
+import { useCart } from '../context/CartContext';
+import { useToast } from '../context/ToastContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useRecommendedProducts } from '../hooks/useProducts';
+import { RECOMMENDATIONS } from '../constants';
+import { getUnitPrice, hasVariants } from '../utils/variants';
+
+/**
+ * FrequentlyBoughtTogether - Bundle of a product and ones often ordered with it
+ *
+ * Companions come from co-purchase data, or the product's category until
+ * there is some. Products with variants are left out since their options
+ * are chosen in their own detail view. Each product can be unticked
+ * before the bundle is added to the cart. Renders nothing without
+ * companions.
+ *
+ * @param {Object} props
+ * @param {Object} props.product - Product the bundle is built around
+ * @param {number} [props.headingLevel=3] - Heading level of the section title
+ */
+function FrequentlyBoughtTogether({ product, headingLevel = 3 }) {
+  const { darkMode, COLORS } = useTheme();
+  const { addToCart } = useCart();
+  const { showSuccess, showWarning } = useToast();
+  const { formatPrice } = useCurrency();
+  const headingId = useId();
+  const [unselectedIds, setUnselectedIds] = useState([]);
+
+  // Ask for spares in case some companions have variants
+  const { products: recommended } = useRecommendedProducts([product.id], {
+    limit: RECOMMENDATIONS.BUNDLE_SIZE * 2,
+    purchasesOnly: true,
+  });
+  const companions = recommended
+    .filter((companion) => !hasVariants(companion))
+    .slice(0, RECOMMENDATIONS.BUNDLE_SIZE);
+
+  if (companions.length === 0) {
+    return null;
+  }
+
+  const bundle = hasVariants(product) ? companions : [product, ...companions];
+  const selected = bundle.filter((item) => !unselectedIds.includes(item.id));
+  const total = selected.reduce((sum, item) => sum + getUnitPrice(item), 0);
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+
+  const Heading = `h${headingLevel}`;
+
+  const toggleItem = (itemId) => {
+    setUnselectedIds((prev) =>
+      prev.includes(itemId) ? prev.filter((id) => id !== itemId) : [...prev, itemId]
+    );
+  };
+
+  const handleAddBundle = () => {
+    let added = 0;
+    selected.forEach((item) => {
+      const result = addToCart(item);
+      if (result.success) {
+        added += 1;
+      } else {
+        showWarning(result.message);
+      }
+    });
+
+    if (added > 0) {
+      showSuccess(`Added ${added} ${added === 1 ? 'item' : 'items'} to cart`);
+    }
+  };
+
+  return (
+    <section
+      aria-labelledby={headingId}
+      className="px-4 md:px-6 py-4 md:py-6"
+      style={{ borderTop: `1px solid ${borderColor}` }}
+    >
+      <Heading id={headingId} className="text-lg font-semibold mb-4" style={{ color: textColor }}>
+        Frequently bought together
+      </Heading>
+
+      <div className="flex items-center gap-2 mb-4" aria-hidden="true">
+        {bundle.map((item, index) => (
+          <div key={item.id} className="flex items-center gap-2">
+            {index > 0 && <FiPlus className="h-4 w-4 shrink-0" style={{ color: subtextColor }} />}
+            <img
+              src={item.image}
+              alt=""
+              className="h-16 w-16 rounded-md object-cover"
+              style={{ opacity: unselectedIds.includes(item.id) ? 0.4 : 1 }}
+            />
+          </div>
+        ))}
+      </div>
+
+      <ul className="space-y-2 mb-4 text-sm">
+        {bundle.map((item) => (
+          <li key={item.id}>
+            <label className="flex items-center gap-2 cursor-pointer" style={{ color: textColor }}>
+              <input
+                type="checkbox"
+                checked={!unselectedIds.includes(item.id)}
+                onChange={() => toggleItem(item.id)}
+                className="h-4 w-4 cursor-pointer"
+                style={{ accentColor: primaryColor }}
+              />
+              <span className="flex-1">
+                {item.id === product.id && (
+                  <span className="font-medium" style={{ color: subtextColor }}>
+                    This item:{' '}
+                  </span>
+                )}
+                {item.name}
+              </span>
+              <span className="font-medium">{formatPrice(getUnitPrice(item))}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm" style={{ color: subtextColor }}>
+          Total:{' '}
+          <span className="text-base font-bold" style={{ color: primaryColor }}>
+            {formatPrice(total)}
+          </span>
+        </p>
+        <button
+          type="button"
+          onClick={handleAddBundle}
+          disabled={selected.length === 0}
+          className="px-5 py-2 text-sm font-semibold rounded-lg transition-all hover:scale-[1.02] active:scale-[0.98] cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{
+            backgroundColor: primaryColor,
+            color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+          }}
+        >
+          {selected.length === bundle.length
+            ? `Add all ${bundle.length} to cart`
+            : `Add ${selected.length} to cart`}
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default FrequentlyBoughtTogether;
@@ -0,0 +1,78 @@
+// FrequentlyBoughtTogether component tests
+import { describe, it, expect, beforeEach } from 'vitest';
+import { screen, waitFor } from '@testing-library/react';
+import FrequentlyBoughtTogether from './FrequentlyBoughtTogether';
+import ToastContainer from './ToastContainer';
+import { render } from '../testing/test-utils';
+import { clearRecommendations, recordPurchase } from '../services/recommendations';
+import { products as catalog } from '../data/products';
+import { STORAGE_KEYS } from '../constants';
+
+const earbuds = catalog.find((product) => product.id === 1);
+const companion = catalog.find(
+  (product) => product.category !== earbuds.category && !product.variants
+);
+
+describe('FrequentlyBoughtTogether', () => {
+  beforeEach(() => {
+    clearRecommendations();
+    localStorage.removeItem(STORAGE_KEYS.CART);
+  });
+
+  const findHeading = () =>
+    screen.findByRole('heading', { name: 'Frequently bought together' }, { timeout: 2000 });
+
+  it('renders nothing without companions', async () => {
+    const { container } = render(
+      <FrequentlyBoughtTogether product={{ ...earbuds, id: 99999, category: 'unknown' }} />
+    );
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('bundles the product with ones bought with it', async () => {
+    recordPurchase([earbuds.id, companion.id]);
+
+    render(<FrequentlyBoughtTogether product={earbuds} />);
+
+    await findHeading();
+    const checkboxes = screen.getAllByRole('checkbox');
+    expect(checkboxes).toHaveLength(3);
+    expect(checkboxes[0]).toHaveAccessibleName(new RegExp(`This item: ${earbuds.name}`));
+    expect(checkboxes[1]).toHaveAccessibleName(new RegExp(companion.name));
+    expect(screen.getByRole('button', { name: 'Add all 3 to cart' })).toBeInTheDocument();
+  });
+
+  it('adds the ticked products to the cart', async () => {
+    recordPurchase([earbuds.id, companion.id]);
+
+    const { user } = render(
+      <>
+        <FrequentlyBoughtTogether product={earbuds} />
+        <ToastContainer />
+      </>
+    );
+
+    await findHeading();
+    await user.click(screen.getAllByRole('checkbox')[2]);
+    await user.click(screen.getByRole('button', { name: 'Add 2 to cart' }));
+
+    await waitFor(() => expect(screen.getByText('Added 2 items to cart')).toBeInTheDocument());
+    const cartIds = JSON.parse(localStorage.getItem(STORAGE_KEYS.CART)).data.map((item) => item.id);
+    expect(cartIds).toEqual([earbuds.id, companion.id]);
+  });
+
+  it('disables adding once every product is unticked', async () => {
+    recordPurchase([earbuds.id, companion.id]);
+
+    const { user } = render(<FrequentlyBoughtTogether product={earbuds} />);
+
+    await findHeading();
+    for (const checkbox of screen.getAllByRole('checkbox')) {
+      await user.click(checkbox);
+    }
+
+    expect(screen.getByRole('button', { name: 'Add 0 to cart' })).toBeDisabled();
+  });
+});
@@ -1,22 +1,26 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FiMoon, FiSun, FiEdit, FiShoppingCart, FiArrowLeft } from 'react-icons/fi';
+import { FiMoon, FiSun, FiEdit, FiShoppingCart, FiArrowLeft, FiPackage } from 'react-icons/fi';
 import { useTheme } from '../context/ThemeContext';
 import { useProfile } from '../context/ProfileContext';
 import { useCart } from '../context/CartContext';
 import { useSearch } from '../context';
+import { useWishlist } from '../context/WishlistContext';
+import { useOpenProduct } from '../hooks/useOpenProduct';
 import Logo from './Logo';
 import SearchBar from './SearchBar';
 import MobileSidebar from './MobileSidebar';
+import CurrencySelect from './header/CurrencySelect';
+import WishlistButton from './header/WishlistButton';
 import { ROUTES, SECTION_IDS } from '../constants';
 
 /**
  * Header - Main application header component
  *
- * Contains the brand logo, search bar, dark mode toggle, cart button, and user profile button.
+ * Contains the brand logo, search bar, dark mode toggle, wishlist and cart buttons, and user profile button.
  * Sticky positioned at the top of the page.
- * On mobile: Profile icon → Logo → Search → Cart (no theme toggle, profile opens sidebar)
+ * On mobile: Profile icon → Logo → Search → Wishlist → Cart (no theme toggle, profile opens sidebar)
  *
  * Now consumes contexts directly instead of receiving props (removing prop drilling).
  */
@@ -29,6 +33,9 @@ function Header() {
   // Cart context - now includes modal state
   const { totalItems, openCart } = useCart();
 
+  // Wishlist context - saved item count for the header badge
+  const { wishlistCount } = useWishlist();
+
   // Profile context
   const {
     userProfile,
@@ -40,7 +47,8 @@ function Header() {
   } = useProfile();
 
   // Search context - consumed directly instead of props
-  const { searchTerm, setSearchTerm, onSearchSubmit, clearSearch } = useSearch();
+  const { searchTerm, setSearchTerm, onSearchSubmit, searchInCategory, clearSearch } = useSearch();
+  const openProduct = useOpenProduct();
 
   // Filter context - no longer needed in Header since MobileSidebar uses it directly
   // Keeping unused import for now as it may be needed elsewhere
@@ -99,6 +107,24 @@ function Header() {
     [onSearchSubmit, collapseMobileSearch]
   );
 
+  // Handle mobile category suggestion - search within it and collapse
+  const handleMobileCategorySelect = useCallback(
+    (category) => {
+      searchInCategory(category);
+      collapseMobileSearch();
+    },
+    [searchInCategory, collapseMobileSearch]
+  );
+
+  // Handle mobile product suggestion - open its detail view and collapse
+  const handleMobileProductSelect = useCallback(
+    (product) => {
+      openProduct(product);
+      collapseMobileSearch();
+    },
+    [openProduct, collapseMobileSearch]
+  );
+
   // Handle mobile search clear - collapse after clear
   const handleMobileSearchClear = useCallback(() => {
     if (clearSearch) {
@@ -118,11 +144,22 @@ function Header() {
     navigate(ROUTES.PROFILE);
   }, [closeProfileCard, navigate]);
 
+  // Handle my orders click
+  const handleViewOrders = useCallback(() => {
+    closeProfileCard();
+    navigate(ROUTES.ORDERS);
+  }, [closeProfileCard, navigate]);
+
   // Handle cart click
   const handleCartClick = useCallback(() => {
     openCart();
   }, [openCart]);
 
+  // Handle wishlist click
+  const handleWishlistClick = useCallback(() => {
+    navigate(ROUTES.WISHLIST);
+  }, [navigate]);
+
   return (
     <>
       <header
@@ -172,6 +209,9 @@ function Header() {
                       placeholder="Search products..."
                       variant="desktop"
                       autoFocus
+                      showSuggestions
+                      onSelectProduct={handleMobileProductSelect}
+                      onSelectCategory={handleMobileCategorySelect}
                     />
                   </div>
                 </motion.div>
@@ -256,6 +296,16 @@ function Header() {
                 </svg>
               </button>
 
+              {/* Wishlist Button (Mobile/Tablet) */}
+              <WishlistButton
+                id="mobile-wishlist-button"
+                wishlistCount={wishlistCount}
+                onClick={handleWishlistClick}
+                darkMode={darkMode}
+                colors={COLORS}
+                size="sm"
+              />
+
               {/* Cart Button (Mobile/Tablet) */}
               <button
                 id="mobile-cart-button"
@@ -300,11 +350,17 @@ function Header() {
                 onClear={clearSearch}
                 placeholder="Search products..."
                 variant="desktop"
+                showSuggestions
+                onSelectProduct={openProduct}
+                onSelectCategory={searchInCategory}
               />
             </div>
 
-            {/* Right: Theme + Cart + Profile */}
+            {/* Right: Currency + Theme + Wishlist + Cart + Profile */}
             <div className="flex items-center gap-3">
+              {/* Currency */}
+              <CurrencySelect />
+
               {/* Theme Toggle */}
               <button
                 onClick={toggleDarkMode}
@@ -319,6 +375,16 @@ function Header() {
                 {darkMode ? <FiSun className="h-5 w-5" /> : <FiMoon className="h-5 w-5" />}
               </button>
 
+              {/* Wishlist Button */}
+              <WishlistButton
+                id="desktop-wishlist-button"
+                wishlistCount={wishlistCount}
+                onClick={handleWishlistClick}
+                darkMode={darkMode}
+                colors={COLORS}
+                size="lg"
+              />
+
               {/* Cart Button */}
               <button
                 id="desktop-cart-button"
@@ -445,6 +511,16 @@ function Header() {
                           <FiEdit className="h-4 w-4" />
                           Edit Profile
                         </button>
+                        <button
+                          onClick={handleViewOrders}
+                          className="w-full flex items-center justify-center gap-2 mt-2 py-2 px-4 rounded-lg transition-all cursor-pointer transform hover:scale-[1.02] active:scale-[0.98] font-medium text-sm"
+                          style={{
+                            color: darkMode ? COLORS.dark.primary : COLORS.light.primary,
+                          }}
+                        >
+                          <FiPackage className="h-4 w-4" />
+                          My Orders
+                        </button>
                       </div>
                     </motion.div>
                   )}
@@ -97,6 +97,29 @@ describe('Header', () => {
     });
   });
 
+  describe('currency select', () => {
+    it('switches the display currency', async () => {
+      const { user } = render(<Header onCartClick={mockOnCartClick} />);
+
+      const currencySelect = screen.getByRole('combobox', { name: 'Currency' });
+      expect(currencySelect).toHaveValue('USD');
+
+      await user.selectOptions(currencySelect, 'EUR');
+
+      expect(currencySelect).toHaveValue('EUR');
+    });
+  });
+
+  describe('wishlist button', () => {
+    it('shows the saved item count', () => {
+      render(<Header onCartClick={mockOnCartClick} />);
+
+      expect(
+        screen.getAllByRole('button', { name: 'View wishlist with 0 items' }).length
+      ).toBeGreaterThan(0);
+    });
+  });
+
   describe('cart button', () => {
     it('calls onCartClick when clicked', async () => {
       const { user } = render(<Header />);
@@ -163,11 +186,11 @@ describe('Header', () => {
         const { addToCart, updateQuantity } = useCart();
         const [added, setAdded] = React.useState(false);
         const addItem = () => {
-          addToCart({ id: 1, name: 'Test', price: 10, stock: 200 });
+          addToCart({ id: 1001, name: 'Test', price: 10, stock: 200 });
           setAdded(true);
         };
         const setLargeQuantity = () => {
-          updateQuantity(1, 100);
+          updateQuantity(1001, 100);
         };
         return (
           <>
@@ -0,0 +1,39 @@
+import { useMemo } from 'react';
+import { getHighlightRanges, splitHighlights } from '../utils/search';
+
+/**
+ * HighlightedText - Text with the parts matching a search query marked
+ *
+ * Uses the same matching rules as product search, so misspelt queries
+ * ("erbuds") still highlight the word they found ("Earbuds").
+ *
+ * @param {Object} props
+ * @param {string} props.text - Text to show
+ * @param {string} [props.query] - Search query to highlight (plain text when empty)
+ */
+function HighlightedText({ text, query }) {
+  const parts = useMemo(
+    () => (query?.trim() ? splitHighlights(text, getHighlightRanges(text, query)) : null),
+    [text, query]
+  );
+
+  if (!parts) {
+    return text;
+  }
+
+  return parts.map((part, index) =>
+    part.highlighted ? (
+      <mark
+        key={index}
+        className="rounded-sm font-semibold"
+        style={{ backgroundColor: 'rgba(250, 204, 21, 0.35)', color: 'inherit' }}
+      >
+        {part.text}
+      </mark>
+    ) : (
+      <span key={index}>{part.text}</span>
+    )
+  );
+}
+
+export default HighlightedText;
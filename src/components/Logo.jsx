@@ -1,5 +1,6 @@
 import { motion } from 'framer-motion';
 import { useTheme } from '../context/ThemeContext';
+import { BRAND } from '../constants';
 import logoImage from '../assets/logo.png';
 
 /**
@@ -118,7 +119,7 @@ function Logo({ size = 'md', animate = true, iconOnly = false, onClick }) {
       {/* Wordmark - Only shown when iconOnly is false */}
       {!iconOnly && (
         <motion.div variants={textVariants} className="flex flex-col justify-center leading-none">
-          {/* Primary text: MART */}
+          {/* Primary text: brand name */}
           <span
             className={`${config.mart} tracking-tight`}
             style={{
@@ -128,10 +129,10 @@ function Logo({ size = 'md', animate = true, iconOnly = false, onClick }) {
               letterSpacing: '-0.02em',
             }}
           >
-            MART
+            {BRAND.NAME}
           </span>
 
-          {/* Secondary text: For You */}
+          {/* Secondary text: tagline */}
           <span
             className={`${config.tagline} font-medium tracking-wide uppercase`}
             style={{
@@ -142,7 +143,7 @@ function Logo({ size = 'md', animate = true, iconOnly = false, onClick }) {
               marginTop: '1px',
             }}
           >
-            For You
+            {BRAND.TAGLINE}
           </span>
         </motion.div>
       )}
@@ -1,17 +1,20 @@
 import { useState, useEffect, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FiX, FiEdit, FiMoon, FiSun, FiChevronDown, FiChevronRight } from 'react-icons/fi';
 import { useTheme } from '../context/ThemeContext';
 import { useProfile } from '../context/ProfileContext';
 import { useFilter } from '../context/FilterContext';
-import { categories } from '../data/products';
+import { useCategories } from '../hooks/useCategories';
 import { ROUTES } from '../constants';
+import CurrencySelect from './header/CurrencySelect';
+import { FacetPanel } from './filters';
 
 /**
  * MobileSidebar - Left-side mobile navigation sidebar
  *
- * Contains profile section, theme toggle, and categories dropdown.
+ * Contains profile section, theme toggle, currency, categories dropdown,
+ * and product filters (facets) while on the products page.
  * Opens from the left side with 70% viewport width.
  * Only visible on mobile screens.
  *
@@ -29,8 +32,14 @@ function MobileSidebar({ isOpen, onClose }) {
 
   // Use FilterContext directly instead of props
   const { activeCategory, viewingOffers, setActiveCategory, enableOffersView } = useFilter();
+  const categories = useCategories();
 
   const [categoriesExpanded, setCategoriesExpanded] = useState(false);
+  const [filtersExpanded, setFiltersExpanded] = useState(false);
+
+  // Facets only apply to the products listing
+  const { pathname } = useLocation();
+  const showFilters = pathname === ROUTES.PRODUCTS;
 
   // Disable body scroll when sidebar is open
   useEffect(() => {
@@ -69,6 +78,12 @@ function MobileSidebar({ isOpen, onClose }) {
     navigate(ROUTES.PROFILE);
   }, [onClose, navigate]);
 
+  // Handle my orders click
+  const handleViewOrders = useCallback(() => {
+    onClose();
+    navigate(ROUTES.ORDERS);
+  }, [onClose, navigate]);
+
   // Handle category click - uses context directly
   const handleCategoryClick = useCallback(
     (category) => {
@@ -96,6 +111,11 @@ function MobileSidebar({ isOpen, onClose }) {
     setCategoriesExpanded((prev) => !prev);
   }, []);
 
+  // Toggle filters dropdown
+  const toggleFilters = useCallback(() => {
+    setFiltersExpanded((prev) => !prev);
+  }, []);
+
   // Grey color for inactive items
   const inactiveColor = darkMode ? 'rgba(156, 163, 175, 1)' : 'rgba(107, 114, 128, 1)';
   // Blue color for active items
@@ -311,6 +331,17 @@ function MobileSidebar({ isOpen, onClose }) {
                   >
                     View Full Profile
                   </button>
+
+                  {/* My Orders Link */}
+                  <button
+                    onClick={handleViewOrders}
+                    className="w-full text-center text-sm font-medium py-2 mt-2 rounded-md transition-colors hover:opacity-80 cursor-pointer"
+                    style={{
+                      color: darkMode ? COLORS.dark.primary : COLORS.light.primary,
+                    }}
+                  >
+                    My Orders
+                  </button>
                 </div>
 
                 {/* Section 2: Theme Toggle */}
@@ -380,7 +411,26 @@ function MobileSidebar({ isOpen, onClose }) {
                   </button>
                 </div>
 
-                {/* Section 3: Categories Menu */}
+                {/* Section 3: Currency */}
+                <div
+                  className="p-4 border-b flex items-center justify-between"
+                  style={{
+                    borderColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+                  }}
+                >
+                  <label
+                    htmlFor="mobile-currency-select"
+                    className="font-medium"
+                    style={{
+                      color: darkMode ? COLORS.dark.text : COLORS.light.text,
+                    }}
+                  >
+                    Currency
+                  </label>
+                  <CurrencySelect id="mobile-currency-select" showNames />
+                </div>
+
+                {/* Section 4: Categories Menu */}
                 <div className="p-4">
                   {/* Categories Header (Dropdown Toggle) */}
                   <button
@@ -486,6 +536,64 @@ function MobileSidebar({ isOpen, onClose }) {
                     )}
                   </AnimatePresence>
                 </div>
+
+                {/* Section 5: Product Filters (products page only) */}
+                {showFilters && (
+                  <div
+                    className="p-4 border-t"
+                    style={{
+                      borderColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+                    }}
+                  >
+                    <button
+                      onClick={toggleFilters}
+                      className="w-full flex items-center justify-between py-2 px-3 rounded-lg transition-colors cursor-pointer mb-2"
+                      style={{
+                        backgroundColor: darkMode
+                          ? 'rgba(255, 255, 255, 0.05)'
+                          : 'rgba(0, 0, 0, 0.03)',
+                      }}
+                      aria-expanded={filtersExpanded}
+                      aria-controls="mobile-filters"
+                    >
+                      <span
+                        className="font-semibold"
+                        style={{
+                          color: darkMode ? COLORS.dark.text : COLORS.light.text,
+                        }}
+                      >
+                        Filters
+                      </span>
+                      <motion.div
+                        animate={{ rotate: filtersExpanded ? 180 : 0 }}
+                        transition={{ duration: 0.2 }}
+                      >
+                        <FiChevronDown
+                          className="w-5 h-5"
+                          style={{
+                            color: darkMode ? COLORS.dark.text : COLORS.light.text,
+                          }}
+                          aria-hidden="true"
+                        />
+                      </motion.div>
+                    </button>
+
+                    <AnimatePresence>
+                      {filtersExpanded && (
+                        <motion.div
+                          id="mobile-filters"
+                          initial={{ height: 0, opacity: 0 }}
+                          animate={{ height: 'auto', opacity: 1 }}
+                          exit={{ height: 0, opacity: 0 }}
+                          transition={{ duration: 0.2, ease: 'easeInOut' }}
+                          className="overflow-hidden"
+                        >
+                          <FacetPanel variant="compact" className="px-3" />
+                        </motion.div>
+                      )}
+                    </AnimatePresence>
+                  </div>
+                )}
               </div>
             </div>
           </motion.aside>
@@ -5,7 +5,8 @@ import { FiShoppingCart } from 'react-icons/fi';
 import { useTheme } from '../context/ThemeContext';
 import { useCart } from '../context/CartContext';
 import { useSearch } from '../context';
-import { categories } from '../data/products';
+import { useOpenProduct } from '../hooks/useOpenProduct';
+import { useCategories } from '../hooks/useCategories';
 import SearchBar from './SearchBar';
 
 /**
@@ -32,7 +33,9 @@ function Navigation({
   const location = useLocation();
   const { darkMode, COLORS } = useTheme();
   const { totalItems } = useCart();
-  const { searchTerm, setSearchTerm, onSearchSubmit, clearSearch } = useSearch();
+  const { searchTerm, setSearchTerm, onSearchSubmit, searchInCategory, clearSearch } = useSearch();
+  const openProduct = useOpenProduct();
+  const categories = useCategories();
   const [isSticky, setIsSticky] = useState(false);
   const navRef = useRef(null);
   const placeholderRef = useRef(null);
@@ -167,6 +170,9 @@ function Navigation({
                       onClear={clearSearch}
                       placeholder="Search..."
                       variant="desktop"
+                      showSuggestions
+                      onSelectProduct={openProduct}
+                      onSelectCategory={searchInCategory}
                     />
                   </div>
 
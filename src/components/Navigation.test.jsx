@@ -1,8 +1,10 @@
 // Navigation component tests
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { screen } from '@testing-library/react';
+import { act, screen } from '@testing-library/react';
 import Navigation from './Navigation';
 import { render, renderWithMemoryRouter } from '../testing/test-utils';
+import { importLocalCatalog, resetLocalCatalog } from '../services/catalog';
+import { products } from '../data/products';
 
 describe('Navigation', () => {
   const mockOnCategoryChange = vi.fn();
@@ -91,6 +93,16 @@ describe('Navigation', () => {
       expect(screen.getByRole('button', { name: /beauty/i })).toBeInTheDocument();
     });
 
+    it('shows categories added by a catalog import', () => {
+      render(<Navigation />);
+
+      act(() => importLocalCatalog(products, products, { garden: 'Garden & Outdoor' }));
+      expect(screen.getByRole('button', { name: /^garden$/i })).toBeInTheDocument();
+
+      act(() => resetLocalCatalog());
+      expect(screen.queryByRole('button', { name: /^garden$/i })).not.toBeInTheDocument();
+    });
+
     it('category buttons have cursor pointer', () => {
       render(<Navigation />);
 
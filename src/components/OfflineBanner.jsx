@@ -0,0 +1,48 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiWifiOff } from 'react-icons/fi';
+import { useTheme } from '../context/ThemeContext';
+import { useConnectivity } from '../hooks/useConnectivity';
+
+/**
+ * OfflineBanner - Notice across the top of the page while offline
+ *
+ * Tells the shopper that saved products are shown and that cart and
+ * profile changes will be saved once the connection is back, with the
+ * number of changes waiting.
+ */
+function OfflineBanner() {
+  const { darkMode } = useTheme();
+  const { isOnline, queuedCount } = useConnectivity();
+
+  // Styles
+  const background = darkMode ? '#451A03' : '#FEF3C7';
+  const textColor = darkMode ? '#FDE68A' : '#92400E';
+
+  return (
+    <AnimatePresence>
+      {!isOnline && (
+        <motion.div
+          initial={{ height: 0, opacity: 0 }}
+          animate={{ height: 'auto', opacity: 1 }}
+          exit={{ height: 0, opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          role="status"
+          className="overflow-hidden"
+          style={{ backgroundColor: background, color: textColor }}
+        >
+          <p className="max-w-6xl mx-auto px-4 py-2 flex items-center justify-center gap-2 text-sm font-medium text-center">
+            <FiWifiOff className="h-4 w-4 shrink-0" aria-hidden="true" />
+            <span>
+              You&apos;re offline. Showing saved products; cart and profile changes will be saved
+              when you reconnect.
+              {queuedCount > 0 &&
+                ` ${queuedCount} ${queuedCount === 1 ? 'change' : 'changes'} waiting.`}
+            </span>
+          </p>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default OfflineBanner;
@@ -0,0 +1,54 @@
+// OfflineBanner component tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { act, screen, waitFor } from '@testing-library/react';
+import OfflineBanner from './OfflineBanner';
+import { render } from '../testing/test-utils';
+import { clearQueuedChanges, queueChange } from '../services/offlineQueue';
+
+describe('OfflineBanner', () => {
+  let onLine;
+
+  beforeEach(() => {
+    clearQueuedChanges();
+    onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const setOnline = (online) => {
+    onLine.mockReturnValue(online);
+    act(() => {
+      window.dispatchEvent(new Event(online ? 'online' : 'offline'));
+    });
+  };
+
+  it('renders nothing while online', () => {
+    render(<OfflineBanner />);
+
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  it('appears when the connection drops and goes once it is back', async () => {
+    render(<OfflineBanner />);
+
+    setOnline(false);
+    expect(screen.getByRole('status')).toHaveTextContent("You're offline");
+
+    setOnline(true);
+    await waitFor(() => expect(screen.queryByRole('status')).not.toBeInTheDocument());
+  });
+
+  it('counts the changes waiting to be saved', () => {
+    onLine.mockReturnValue(false);
+    render(<OfflineBanner />);
+
+    act(() => {
+      queueChange('cart', []);
+      queueChange('profile', {});
+    });
+
+    expect(screen.getByRole('status')).toHaveTextContent('2 changes waiting.');
+  });
+});
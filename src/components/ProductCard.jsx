@@ -1,18 +1,32 @@
-import { useState, useCallback } from 'react';
+import { useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { FiPlus, FiMinus } from 'react-icons/fi';
 import { useCart } from '../context/CartContext';
 import { useToast } from '../context/ToastContext';
-import { DEFAULTS, MOTION_VARIANTS, MOTION_TRANSITIONS } from '../constants';
-import ProductDetailModal from './ProductDetailModal';
+import { useCurrency } from '../context/CurrencyContext';
+import { MOTION_VARIANTS, MOTION_TRANSITIONS } from '../constants';
+import { getPriceRange, hasVariants } from '../utils/variants';
+import { useRatingSummary } from '../hooks/useRatingSummary';
+import { useOpenProduct } from '../hooks/useOpenProduct';
+import { useAvailableStock } from '../hooks/useAvailableStock';
+import WishlistToggle from './WishlistToggle';
+import CompareToggle from './CompareToggle';
+import HighlightedText from './HighlightedText';
+import { StarRating } from './reviews';
 
 /**
  * ProductCard - Individual product display component
  *
- * Displays a product with image, name, weight/quantity,
- * price, and add to cart functionality in a compact card design.
+ * Displays a product with image, name, weight/quantity, star rating,
+ * price, add to cart, save-for-later and compare functionality in a compact
+ * card design.
  * Uses extracted animation constants for better performance.
  *
+ * Products with variants show their lowest price and an options button
+ * that opens the detail view to pick a variant, instead of adding to
+ * the cart directly. Clicking the card opens the product's detail route
+ * as a modal over the current page.
+ *
  * Accessibility: Fully keyboard accessible with proper ARIA attributes.
  *
  * @param {Object} props
@@ -27,40 +41,48 @@ import ProductDetailModal from './ProductDetailModal';
  * @param {number} props.product.salePrice - Sale price (if on sale)
  * @param {string} props.product.weight - Product weight/quantity info
  * @param {Function} props.onAddToCart - Optional custom add to cart handler
+ * @param {string} props.highlight - Search query to highlight in the product name
  */
-function ProductCard({ product, onAddToCart }) {
+function ProductCard({ product, onAddToCart, highlight }) {
   const { addToCart, removeFromCart, updateQuantity, isInCart, getItemQuantity } = useCart();
   const { showSuccess, showWarning } = useToast();
-  const [isModalOpen, setIsModalOpen] = useState(false);
+  const { formatPrice } = useCurrency();
+  const openProduct = useOpenProduct();
+  const needsOptions = hasVariants(product);
+  const rating = useRatingSummary(product.id);
 
-  // Get stock limit (default to DEFAULTS.STOCK_LIMIT if not specified)
-  const stockLimit = product.stock || DEFAULTS.STOCK_LIMIT;
+  // Units left after earlier orders (see services/inventory)
+  const stockLimit = useAvailableStock(product.id, product.stock);
   const currentQuantity = getItemQuantity(product.id);
   const isAtStockLimit = currentQuantity >= stockLimit;
 
-  // Handle card click to open modal
+  // Handle card click to open the detail view
   const handleCardClick = useCallback(() => {
-    setIsModalOpen(true);
-  }, []);
+    openProduct(product);
+  }, [openProduct, product]);
 
   // Handle keyboard activation (Enter or Space)
-  const handleCardKeyDown = useCallback((e) => {
-    if (e.key === 'Enter' || e.key === ' ') {
-      e.preventDefault();
-      setIsModalOpen(true);
-    }
-  }, []);
-
-  // Close modal
-  const handleCloseModal = useCallback(() => {
-    setIsModalOpen(false);
-  }, []);
+  const handleCardKeyDown = useCallback(
+    (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        openProduct(product);
+      }
+    },
+    [openProduct, product]
+  );
 
   // Handle add to cart
   const handleAddToCart = useCallback(
     (e) => {
       e.stopPropagation(); // Prevent card click
 
+      // Variants are chosen in the detail view
+      if (needsOptions) {
+        openProduct(product);
+        return;
+      }
+
       if (stockLimit <= 0) {
         showWarning(`${product.name} is out of stock`);
         return;
@@ -79,7 +101,16 @@ function ProductCard({ product, onAddToCart }) {
         showWarning(result.message);
       }
     },
-    [product, stockLimit, onAddToCart, addToCart, showSuccess, showWarning]
+    [
+      product,
+      needsOptions,
+      stockLimit,
+      onAddToCart,
+      addToCart,
+      openProduct,
+      showSuccess,
+      showWarning,
+    ]
   );
 
   // Handle keyboard activation for add button
@@ -164,160 +195,187 @@ function ProductCard({ product, onAddToCart }) {
     [handleDecrease]
   );
 
-  // Get display price
-  const displayPrice = product.onSale ? product.salePrice : product.price;
+  // Get display price (the lowest variant price for products with variants)
+  const priceRange = getPriceRange(product);
+  const displayPrice = priceRange.min;
+  const hasPriceRange = priceRange.min < priceRange.max;
 
   return (
-    <>
-      <motion.article
-        layout
-        variants={MOTION_VARIANTS.card}
-        initial="initial"
-        animate="animate"
-        exit="exit"
-        whileHover="hover"
-        transition={MOTION_TRANSITIONS.normal}
-        onClick={handleCardClick}
-        onKeyDown={handleCardKeyDown}
-        role="button"
-        tabIndex={0}
-        aria-label={`View details for ${product.name}, ${product.onSale ? `on sale for $${displayPrice}` : `$${displayPrice}`}`}
-        className="overflow-hidden group cursor-pointer rounded-lg card focus:outline-none focus:ring-2 focus:ring-accent-primary"
-        style={{ '--tw-ring-offset-color': 'var(--bg-primary)' }}
-      >
-        {/* Product Image Container */}
-        <div className="relative p-3 flex items-center justify-center bg-theme-tertiary">
-          <div className="w-full aspect-square overflow-hidden rounded-lg">
-            <img
-              src={product.image}
-              alt={product.name}
-              className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-105"
-              loading="lazy"
-            />
+    <motion.article
+      layout
+      variants={MOTION_VARIANTS.card}
+      initial="initial"
+      animate="animate"
+      exit="exit"
+      whileHover="hover"
+      transition={MOTION_TRANSITIONS.normal}
+      onClick={handleCardClick}
+      onKeyDown={handleCardKeyDown}
+      role="button"
+      tabIndex={0}
+      aria-label={`View details for ${product.name}, ${product.onSale ? `on sale for ${formatPrice(displayPrice)}` : formatPrice(displayPrice)}`}
+      className="overflow-hidden group cursor-pointer rounded-lg card focus:outline-none focus:ring-2 focus:ring-accent-primary"
+      style={{ '--tw-ring-offset-color': 'var(--bg-primary)' }}
+    >
+      {/* Product Image Container */}
+      <div className="relative p-3 flex items-center justify-center bg-theme-tertiary">
+        <div className="w-full aspect-square overflow-hidden rounded-lg">
+          <img
+            src={product.image}
+            alt={product.name}
+            className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-105"
+            loading="lazy"
+          />
+        </div>
+
+        {/* Sale Badge */}
+        {product.onSale && (
+          <div className="absolute top-2 left-2 badge-sale" aria-label="On sale">
+            SALE
           </div>
+        )}
 
-          {/* Sale Badge */}
-          {product.onSale && (
-            <div className="absolute top-2 left-2 badge-sale" aria-label="On sale">
-              SALE
-            </div>
-          )}
+        {/* Quantity badge if in cart */}
+        {isInCart(product.id) && (
+          <div
+            className="absolute top-2 right-2 badge-quantity"
+            aria-label={`${getItemQuantity(product.id)} in cart`}
+          >
+            {getItemQuantity(product.id)}
+          </div>
+        )}
 
-          {/* Quantity badge if in cart */}
-          {isInCart(product.id) && (
-            <div
-              className="absolute top-2 right-2 badge-quantity"
-              aria-label={`${getItemQuantity(product.id)} in cart`}
-            >
-              {getItemQuantity(product.id)}
-            </div>
+        {/* Add to comparison */}
+        <CompareToggle product={product} className="absolute bottom-4 left-4" />
+
+        {/* Save for later */}
+        <WishlistToggle product={product} className="absolute bottom-4 right-4" />
+      </div>
+
+      {/* Product Details */}
+      <div className="p-3">
+        {/* Product Name and Weight Container - Fixed height for consistent card sizing */}
+        <div style={{ minHeight: '3rem' }}>
+          {/* Product Name */}
+          <h3 className="text-sm font-medium line-clamp-2 leading-tight text-theme-primary font-sans">
+            <HighlightedText text={product.name} query={highlight} />
+          </h3>
+
+          {/* Weight/Quantity Info */}
+          <p className="text-xs mt-1 text-theme-muted">
+            {product.weight || `${product.description?.substring(0, 20)}...`}
+          </p>
+
+          {/* Average rating */}
+          {rating.count > 0 && (
+            <p className="flex items-center gap-1 text-xs mt-1 text-theme-muted">
+              <StarRating rating={rating.average} size="sm" />
+              <span aria-label={`${rating.count} ${rating.count === 1 ? 'review' : 'reviews'}`}>
+                ({rating.count})
+              </span>
+            </p>
           )}
         </div>
 
-        {/* Product Details */}
-        <div className="p-3">
-          {/* Product Name and Weight Container - Fixed height for consistent card sizing */}
-          <div style={{ minHeight: '3rem' }}>
-            {/* Product Name */}
-            <h3 className="text-sm font-medium line-clamp-2 leading-tight text-theme-primary font-sans">
-              {product.name}
-            </h3>
-
-            {/* Weight/Quantity Info */}
-            <p className="text-xs mt-1 text-theme-muted">
-              {product.weight || `${product.description?.substring(0, 20)}...`}
-            </p>
+        {/* Price and Add Button Row */}
+        <div
+          className="flex items-center justify-between mt-1 gap-1"
+          style={{ minHeight: '2.75rem' }}
+        >
+          {/* Price Display */}
+          <div className="flex flex-col justify-center shrink-0">
+            <span className="font-semibold text-sm sm:text-base text-theme-primary">
+              {hasPriceRange && <span className="text-xs font-normal">From </span>}
+              {formatPrice(displayPrice)}
+            </span>
+            {/* Only show strikethrough when on sale */}
+            {product.onSale && !hasPriceRange && (
+              <span className="text-xs text-theme-muted line-through">
+                {formatPrice(product.price)}
+              </span>
+            )}
           </div>
 
-          {/* Price and Add Button Row */}
-          <div
-            className="flex items-center justify-between mt-1 gap-1"
-            style={{ minHeight: '2.75rem' }}
-          >
-            {/* Price Display */}
-            <div className="flex flex-col justify-center shrink-0">
-              <span className="font-semibold text-sm sm:text-base text-theme-primary">
-                ${displayPrice?.toFixed(2)}
+          {/* Add Button or Quantity Selector */}
+          {needsOptions ? (
+            /* OPTIONS Button - Opens the detail modal to choose a variant */
+            <button
+              onClick={handleAddToCart}
+              onKeyDown={handleAddToCartKeyDown}
+              disabled={stockLimit <= 0}
+              className="btn-outline px-3 sm:px-5 py-1.5 text-xs sm:text-sm shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
+              aria-label={
+                stockLimit <= 0
+                  ? `${product.name} is out of stock`
+                  : `Choose options for ${product.name}`
+              }
+            >
+              {stockLimit <= 0 ? 'OUT' : 'OPTIONS'}
+            </button>
+          ) : !isInCart(product.id) ? (
+            /* ADD Button - When NOT in cart */
+            <button
+              onClick={handleAddToCart}
+              onKeyDown={handleAddToCartKeyDown}
+              disabled={stockLimit <= 0}
+              className="btn-outline px-3 sm:px-5 py-1.5 text-xs sm:text-sm shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
+              aria-label={
+                stockLimit <= 0 ? `${product.name} is out of stock` : `Add ${product.name} to cart`
+              }
+            >
+              {stockLimit <= 0 ? 'OUT' : 'ADD'}
+            </button>
+          ) : (
+            /* Quantity Selector - When IN cart */
+            <div
+              className="flex items-center rounded-lg overflow-hidden shrink-0 bg-accent-primary"
+              role="group"
+              aria-label={`Quantity controls for ${product.name}`}
+            >
+              {/* Decrease Button */}
+              <button
+                onClick={handleDecrease}
+                onKeyDown={handleDecreaseKeyDown}
+                className="w-7 h-7 sm:w-8 sm:h-8 flex items-center justify-center transition-all cursor-pointer hover:bg-black/10 active:scale-95 text-white"
+                aria-label={
+                  currentQuantity === 1
+                    ? `Remove ${product.name} from cart`
+                    : `Decrease quantity of ${product.name}`
+                }
+              >
+                <FiMinus className="h-3 w-3 sm:h-3.5 sm:w-3.5" aria-hidden="true" />
+              </button>
+
+              {/* Quantity Display */}
+              <span
+                className="min-w-5 sm:min-w-6 text-center font-semibold text-xs sm:text-sm text-white"
+                aria-live="polite"
+                aria-atomic="true"
+              >
+                {currentQuantity}
               </span>
-              {/* Only show strikethrough when on sale */}
-              {product.onSale && (
-                <span className="text-xs text-theme-muted line-through">
-                  ${product.price.toFixed(2)}
-                </span>
-              )}
-            </div>
 
-            {/* Add Button or Quantity Selector */}
-            {!isInCart(product.id) ? (
-              /* ADD Button - When NOT in cart */
+              {/* Increase Button */}
               <button
-                onClick={handleAddToCart}
-                onKeyDown={handleAddToCartKeyDown}
-                disabled={stockLimit <= 0}
-                className="btn-outline px-3 sm:px-5 py-1.5 text-xs sm:text-sm shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
+                onClick={handleIncrease}
+                onKeyDown={handleIncreaseKeyDown}
+                disabled={isAtStockLimit}
+                className={`w-7 h-7 sm:w-8 sm:h-8 flex items-center justify-center transition-all text-white ${
+                  isAtStockLimit
+                    ? 'cursor-not-allowed opacity-50'
+                    : 'cursor-pointer hover:bg-black/10 active:scale-95'
+                }`}
                 aria-label={
-                  stockLimit <= 0
-                    ? `${product.name} is out of stock`
-                    : `Add ${product.name} to cart`
+                  isAtStockLimit ? 'Stock limit reached' : `Increase quantity of ${product.name}`
                 }
               >
-                {stockLimit <= 0 ? 'OUT' : 'ADD'}
+                <FiPlus className="h-3 w-3 sm:h-3.5 sm:w-3.5" aria-hidden="true" />
               </button>
-            ) : (
-              /* Quantity Selector - When IN cart */
-              <div
-                className="flex items-center rounded-lg overflow-hidden shrink-0 bg-accent-primary"
-                role="group"
-                aria-label={`Quantity controls for ${product.name}`}
-              >
-                {/* Decrease Button */}
-                <button
-                  onClick={handleDecrease}
-                  onKeyDown={handleDecreaseKeyDown}
-                  className="w-7 h-7 sm:w-8 sm:h-8 flex items-center justify-center transition-all cursor-pointer hover:bg-black/10 active:scale-95 text-white"
-                  aria-label={
-                    currentQuantity === 1
-                      ? `Remove ${product.name} from cart`
-                      : `Decrease quantity of ${product.name}`
-                  }
-                >
-                  <FiMinus className="h-3 w-3 sm:h-3.5 sm:w-3.5" aria-hidden="true" />
-                </button>
-
-                {/* Quantity Display */}
-                <span
-                  className="min-w-5 sm:min-w-6 text-center font-semibold text-xs sm:text-sm text-white"
-                  aria-live="polite"
-                  aria-atomic="true"
-                >
-                  {currentQuantity}
-                </span>
-
-                {/* Increase Button */}
-                <button
-                  onClick={handleIncrease}
-                  onKeyDown={handleIncreaseKeyDown}
-                  disabled={isAtStockLimit}
-                  className={`w-7 h-7 sm:w-8 sm:h-8 flex items-center justify-center transition-all text-white ${
-                    isAtStockLimit
-                      ? 'cursor-not-allowed opacity-50'
-                      : 'cursor-pointer hover:bg-black/10 active:scale-95'
-                  }`}
-                  aria-label={
-                    isAtStockLimit ? 'Stock limit reached' : `Increase quantity of ${product.name}`
-                  }
-                >
-                  <FiPlus className="h-3 w-3 sm:h-3.5 sm:w-3.5" aria-hidden="true" />
-                </button>
-              </div>
-            )}
-          </div>
+            </div>
+          )}
         </div>
-      </motion.article>
-
-      {/* Product Detail Modal */}
-      <ProductDetailModal isOpen={isModalOpen} onClose={handleCloseModal} product={product} />
-    </>
+      </div>
+    </motion.article>
   );
 }
 
@@ -1,8 +1,32 @@
 // ProductCard component tests
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { screen, waitFor } from '@testing-library/react';
+import { useLocation } from 'react-router-dom';
 import ProductCard from './ProductCard';
-import { render, mockProduct, mockSaleProduct } from '../testing/test-utils';
+import ToastContainer from './ToastContainer';
+import { STORAGE_KEYS } from '../constants';
+import {
+  render,
+  renderWithMemoryRouter,
+  mockProduct,
+  mockSaleProduct,
+  mockVariantProduct,
+} from '../testing/test-utils';
+
+// Renders the current URL so tests can assert on navigation
+function LocationProbe() {
+  const location = useLocation();
+  return <span data-testid="location">{`${location.pathname}${location.search}`}</span>;
+}
+
+const renderWithLocation = (ui, path = '/products') =>
+  renderWithMemoryRouter(
+    <>
+      {ui}
+      <LocationProbe />
+    </>,
+    { initialEntries: [path] }
+  );
 
 describe('ProductCard', () => {
   describe('rendering', () => {
@@ -145,6 +169,92 @@ describe('ProductCard', () => {
     });
   });
 
+  describe('rating', () => {
+    it('shows the average rating and review count', () => {
+      // mockProduct shares ID 1 with the Wireless Earbuds, which have three seed reviews
+      render(<ProductCard product={mockProduct} />);
+
+      expect(screen.getByText('Rated 4 out of 5')).toBeInTheDocument();
+      expect(screen.getByLabelText('3 reviews')).toBeInTheDocument();
+    });
+
+    it('hides the rating for products without reviews', () => {
+      render(<ProductCard product={{ ...mockProduct, id: 99999 }} />);
+
+      expect(screen.queryByText(/^Rated/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('search highlighting', () => {
+    it('marks the words of the name that match the search', () => {
+      const { container } = render(<ProductCard product={mockProduct} highlight="prodct" />);
+
+      expect(container.querySelector('mark')).toHaveTextContent('Product');
+      expect(screen.getByRole('heading', { name: 'Test Product' })).toBeInTheDocument();
+    });
+
+    it('shows the plain name without a search', () => {
+      const { container } = render(<ProductCard product={mockProduct} />);
+
+      expect(container.querySelector('mark')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('products with variants', () => {
+    it('shows the lowest variant price', () => {
+      render(<ProductCard product={mockVariantProduct} />);
+
+      expect(screen.getByText('From')).toBeInTheDocument();
+      expect(screen.getByText('$99.99')).toBeInTheDocument();
+    });
+
+    it('opens the detail view to choose options instead of adding', async () => {
+      const mockHandler = vi.fn();
+      const { user } = renderWithLocation(
+        <ProductCard product={mockVariantProduct} onAddToCart={mockHandler} />
+      );
+
+      await user.click(screen.getByRole('button', { name: 'Choose options for Variant Product' }));
+
+      expect(mockHandler).not.toHaveBeenCalled();
+      expect(screen.getByTestId('location')).toHaveTextContent(
+        `/products/${mockVariantProduct.id}`
+      );
+    });
+  });
+
+  describe('detail view', () => {
+    it("opens the product's detail route when clicked", async () => {
+      const { user } = renderWithLocation(<ProductCard product={mockProduct} />);
+
+      await user.click(screen.getByRole('button', { name: /view details for test product/i }));
+
+      expect(screen.getByTestId('location')).toHaveTextContent(`/products/${mockProduct.id}`);
+    });
+
+    it('opens the detail route with the keyboard', async () => {
+      const { user } = renderWithLocation(<ProductCard product={mockProduct} />);
+
+      screen.getByRole('button', { name: /view details for test product/i }).focus();
+      await user.keyboard('{Enter}');
+
+      expect(screen.getByTestId('location')).toHaveTextContent(`/products/${mockProduct.id}`);
+    });
+
+    it("keeps the page's query string so filters underneath are unchanged", async () => {
+      const { user } = renderWithLocation(
+        <ProductCard product={mockProduct} />,
+        '/products?category=electronics'
+      );
+
+      await user.click(screen.getByRole('button', { name: /view details for test product/i }));
+
+      expect(screen.getByTestId('location')).toHaveTextContent(
+        `/products/${mockProduct.id}?category=electronics`
+      );
+    });
+  });
+
   describe('quantity badge', () => {
     it('shows quantity when item is added to cart', async () => {
       const { user } = render(<ProductCard product={mockProduct} />);
@@ -270,7 +380,7 @@ describe('ProductCard', () => {
       const expensiveProduct = { ...mockProduct, price: 9999.99 };
       render(<ProductCard product={expensiveProduct} />);
 
-      expect(screen.getByText('$9999.99')).toBeInTheDocument();
+      expect(screen.getByText('$9,999.99')).toBeInTheDocument();
     });
 
     it('handles product with decimal price', () => {
@@ -381,6 +491,83 @@ describe('ProductCard', () => {
     });
   });
 
+  describe('wishlist', () => {
+    it('saves and unsaves the product', async () => {
+      const { user } = render(<ProductCard product={mockProduct} />);
+
+      const heart = screen.getByRole('button', { name: `Save ${mockProduct.name} to wishlist` });
+      expect(heart).toHaveAttribute('aria-pressed', 'false');
+
+      await user.click(heart);
+
+      expect(heart).toHaveAttribute('aria-pressed', 'true');
+      expect(heart).toHaveAccessibleName(`Remove ${mockProduct.name} from wishlist`);
+
+      await user.click(heart);
+
+      expect(heart).toHaveAttribute('aria-pressed', 'false');
+    });
+
+    it('does not open the detail view', async () => {
+      const { user } = renderWithLocation(<ProductCard product={mockProduct} />);
+
+      await user.click(
+        screen.getByRole('button', { name: `Save ${mockProduct.name} to wishlist` })
+      );
+
+      expect(screen.getByTestId('location')).toHaveTextContent(/^\/products$/);
+    });
+  });
+
+  describe('compare', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('adds and removes the product from the comparison', async () => {
+      const { user } = render(<ProductCard product={mockProduct} />);
+
+      const toggle = screen.getByRole('button', { name: `Compare ${mockProduct.name}` });
+      expect(toggle).toHaveAttribute('aria-pressed', 'false');
+
+      await user.click(toggle);
+
+      expect(toggle).toHaveAttribute('aria-pressed', 'true');
+      expect(toggle).toHaveAccessibleName(`Remove ${mockProduct.name} from compare`);
+
+      await user.click(toggle);
+
+      expect(toggle).toHaveAttribute('aria-pressed', 'false');
+    });
+
+    it('warns when the comparison is full', async () => {
+      localStorage.setItem(
+        STORAGE_KEYS.COMPARE,
+        JSON.stringify([11, 12, 13, 14].map((id) => ({ ...mockSaleProduct, id })))
+      );
+      const { user } = render(
+        <>
+          <ProductCard product={mockProduct} />
+          <ToastContainer />
+        </>
+      );
+
+      const toggle = screen.getByRole('button', { name: `Compare ${mockProduct.name}` });
+      await user.click(toggle);
+
+      expect(toggle).toHaveAttribute('aria-pressed', 'false');
+      expect(await screen.findByText('You can compare up to 4 products')).toBeInTheDocument();
+    });
+
+    it('does not open the detail view', async () => {
+      const { user } = renderWithLocation(<ProductCard product={mockProduct} />);
+
+      await user.click(screen.getByRole('button', { name: `Compare ${mockProduct.name}` }));
+
+      expect(screen.getByTestId('location')).toHaveTextContent(/^\/products$/);
+    });
+  });
+
   describe('toast notifications', () => {
     it('shows success toast when adding to cart', async () => {
       const { user } = render(<ProductCard product={mockProduct} />);
@@ -1,7 +1,7 @@
 import { useState, useCallback } from 'react';
 import { motion } from 'framer-motion';
-import { useAppState } from '../hooks';
-import { DEFAULTS, MOTION_VARIANTS, MOTION_TRANSITIONS } from '../constants';
+import { useAppState, useAvailableStock } from '../hooks';
+import { MOTION_VARIANTS, MOTION_TRANSITIONS } from '../constants';
 import ProductDetailModal from './ProductDetailModal';
 import { QuantitySelector, PriceDisplay } from './common';
 
@@ -22,7 +22,7 @@ function ProductCard({ product, onAddToCart }) {
   const [isModalOpen, setIsModalOpen] = useState(false);
 
   // Get stock limit
-  const stockLimit = product.stock || DEFAULTS.STOCK_LIMIT;
+  const stockLimit = useAvailableStock(product.id, product.stock);
   const currentQuantity = cart.getItemQuantity(product.id);
   const isAtStockLimit = currentQuantity >= stockLimit;
   const isInCart = cart.isInCart(product.id);
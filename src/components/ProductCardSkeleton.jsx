@@ -0,0 +1,65 @@
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * ProductCardSkeleton - Placeholder card shown while products load
+ *
+ * Matches the ProductCard layout (image, category, name, price, button).
+ */
+function ProductCardSkeleton() {
+  const { darkMode, COLORS } = useTheme();
+
+  return (
+    <div
+      className="animate-pulse rounded-lg overflow-hidden border"
+      style={{
+        backgroundColor: darkMode ? COLORS.dark.secondary : '#ffffff',
+        borderColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.08)',
+      }}
+    >
+      {/* Image skeleton */}
+      <div
+        className="aspect-square w-full"
+        style={{
+          backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.05)' : '#f8f8f8',
+        }}
+      />
+      {/* Content skeleton */}
+      <div className="p-3 space-y-2">
+        <div
+          className="h-3 w-16 rounded-sm"
+          style={{
+            backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+          }}
+        />
+        <div
+          className="h-4 w-full rounded-sm"
+          style={{
+            backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+          }}
+        />
+        <div
+          className="h-3 w-1/2 rounded-sm"
+          style={{
+            backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+          }}
+        />
+        <div className="flex justify-between items-center pt-1">
+          <div
+            className="h-5 w-12 rounded-sm"
+            style={{
+              backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+            }}
+          />
+          <div
+            className="h-7 w-14 rounded-lg"
+            style={{
+              backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+            }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProductCardSkeleton;
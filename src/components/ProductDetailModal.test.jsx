@@ -1,8 +1,8 @@
 // ProductDetailModal component tests
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { screen, waitFor } from '@testing-library/react';
+import { screen, waitFor, within } from '@testing-library/react';
 import ProductDetailModal from './ProductDetailModal';
-import { render, mockProduct, mockSaleProduct } from '../testing/test-utils';
+import { render, mockProduct, mockSaleProduct, mockVariantProduct } from '../testing/test-utils';
 
 describe('ProductDetailModal', () => {
   const mockOnClose = vi.fn();
@@ -361,6 +361,131 @@ describe('ProductDetailModal', () => {
     });
   });
 
+  describe('variant picker', () => {
+    const renderVariantModal = () =>
+      render(
+        <ProductDetailModal isOpen={true} onClose={mockOnClose} product={mockVariantProduct} />
+      );
+
+    it('does not render for products without variants', () => {
+      render(<ProductDetailModal isOpen={true} onClose={mockOnClose} product={mockProduct} />);
+
+      expect(screen.queryByRole('radiogroup')).not.toBeInTheDocument();
+    });
+
+    it('renders a radio per option value', () => {
+      renderVariantModal();
+
+      const group = screen.getByRole('radiogroup', { name: 'Size' });
+      expect(group).toBeInTheDocument();
+      expect(within(group).getAllByRole('radio')).toHaveLength(3);
+    });
+
+    it('preselects the first variant in stock', () => {
+      renderVariantModal();
+
+      expect(screen.getByRole('radio', { name: 'M' })).toHaveAttribute('aria-checked', 'true');
+    });
+
+    it('marks sold-out values', () => {
+      renderVariantModal();
+
+      expect(screen.getByRole('radio', { name: 'S (out of stock)' })).toBeInTheDocument();
+    });
+
+    it('shows the price of the chosen variant', async () => {
+      const { user } = renderVariantModal();
+
+      expect(screen.getByText('$99.99')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('radio', { name: 'L' }));
+
+      expect(screen.getByRole('radio', { name: 'L' })).toHaveAttribute('aria-checked', 'true');
+      expect(screen.getByText('$109.99')).toBeInTheDocument();
+    });
+
+    it('says when the chosen variant is sold out', async () => {
+      const { user } = renderVariantModal();
+
+      await user.click(screen.getByRole('radio', { name: 'S (out of stock)' }));
+
+      expect(screen.getByText('Size: S is out of stock')).toBeInTheDocument();
+    });
+
+    it('adds the chosen variant as its own cart line', async () => {
+      const { user } = renderVariantModal();
+
+      await user.click(screen.getByRole('radio', { name: 'L' }));
+      await user.click(screen.getByRole('button', { name: /add to cart/i }));
+
+      expect(await screen.findByText('1 in cart')).toBeInTheDocument();
+
+      // Switching variant shows that variant's line, which is not in the cart yet
+      await user.click(screen.getByRole('radio', { name: 'M' }));
+
+      expect(screen.getByRole('button', { name: /add to cart/i })).toBeInTheDocument();
+    });
+  });
+
+  describe('reviews', () => {
+    // mockProduct shares ID 1 with the Wireless Earbuds, which have three seed reviews
+    const renderReviewsModal = () =>
+      render(<ProductDetailModal isOpen={true} onClose={mockOnClose} product={mockProduct} />);
+
+    it('shows the average rating and review count', async () => {
+      renderReviewsModal();
+
+      expect(await screen.findByText('3 reviews')).toBeInTheDocument();
+      expect(screen.getByText('4.0')).toBeInTheDocument();
+      expect(screen.getByRole('listitem', { name: '5 stars: 1 review' })).toBeInTheDocument();
+    });
+
+    it('lists reviews with verified purchase badges', async () => {
+      renderReviewsModal();
+
+      const list = await screen.findByRole('list', { name: 'Reviews' });
+      expect(within(list).getAllByRole('listitem')).toHaveLength(3);
+      expect(within(list).getAllByText('Verified purchase')).toHaveLength(2);
+    });
+
+    it('sorts reviews', async () => {
+      const { user } = renderReviewsModal();
+
+      await screen.findByRole('list', { name: 'Reviews' });
+      await user.selectOptions(screen.getByLabelText('Sort reviews'), 'lowest');
+
+      await waitFor(() => {
+        const list = screen.getByRole('list', { name: 'Reviews' });
+        expect(within(list).getAllByRole('listitem')[0]).toHaveTextContent('Good, not great');
+      });
+    });
+
+    it('shows field errors for an incomplete review', async () => {
+      const { user } = renderReviewsModal();
+
+      await user.click(screen.getByRole('button', { name: 'Submit review' }));
+
+      expect(await screen.findByText('Choose a rating from 1 to 5 stars')).toBeInTheDocument();
+      expect(screen.getByText('Name is required')).toBeInTheDocument();
+      expect(screen.getByText('Review text is required')).toBeInTheDocument();
+    });
+
+    it('adds a submitted review to the list', async () => {
+      const { user } = renderReviewsModal();
+
+      await user.click(screen.getByRole('radio', { name: '2 stars' }));
+      await user.type(screen.getByLabelText(/name/i), 'Jordan');
+      await user.type(
+        screen.getByRole('textbox', { name: /^review/i }),
+        'Left earbud stopped working.'
+      );
+      await user.click(screen.getByRole('button', { name: 'Submit review' }));
+
+      expect(await screen.findByText('4 reviews')).toBeInTheDocument();
+      expect(screen.getByText('Left earbud stopped working.')).toBeInTheDocument();
+    });
+  });
+
   describe('null/undefined product handling', () => {
     it('handles undefined product gracefully', () => {
       const { container } = render(
@@ -0,0 +1,578 @@
+import { useEffect, useState, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  FiShoppingCart,
+  FiPlus,
+  FiMinus,
+  FiPackage,
+  FiTruck,
+  FiShield,
+  FiChevronDown,
+  FiChevronUp,
+  FiInfo,
+} from 'react-icons/fi';
+import { useTheme } from '../context/ThemeContext';
+import { useCart } from '../context/CartContext';
+import { useToast } from '../context/ToastContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useAvailableStock } from '../hooks/useAvailableStock';
+import { getAvailableStock } from '../services/inventory';
+import { recordProductView } from '../services/recentlyViewed';
+import { recordSessionView } from '../services/recommendations';
+import { generateCartItemId } from '../utils/id';
+import { generateSpecifications } from '../utils/specifications';
+import {
+  applyVariant,
+  getDefaultVariant,
+  getUnitPrice,
+  getUnitSavings,
+  hasVariants,
+} from '../utils/variants';
+import WishlistToggle from './WishlistToggle';
+import VariantPicker from './VariantPicker';
+import { ReviewsSection } from './reviews';
+
+/**
+ * SpecRow - A row of two specification items aligned horizontally
+ */
+function SpecRow({
+  leftLabel,
+  leftValue,
+  rightLabel,
+  rightValue,
+  borderColor,
+  subtextColor,
+  textColor,
+}) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8">
+      <div className="py-3 border-b flex flex-col" style={{ borderColor }}>
+        <dt
+          className="text-xs font-medium uppercase tracking-wider mb-1"
+          style={{ color: subtextColor }}
+        >
+          {leftLabel}
+        </dt>
+        <dd className="text-sm whitespace-pre-line flex-1" style={{ color: textColor }}>
+          {leftValue}
+        </dd>
+      </div>
+      <div className="py-3 border-b flex flex-col" style={{ borderColor }}>
+        <dt
+          className="text-xs font-medium uppercase tracking-wider mb-1"
+          style={{ color: subtextColor }}
+        >
+          {rightLabel}
+        </dt>
+        <dd className="text-sm whitespace-pre-line flex-1" style={{ color: textColor }}>
+          {rightValue}
+        </dd>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ProductDetails - Full product detail view
+ *
+ * Displays comprehensive product information including:
+ * - Large product image
+ * - Full description
+ * - Price details
+ * - Category and sale information
+ * - Variant picker (size, colour, capacity) for products with variants
+ * - Add to cart / Quantity controls
+ * - Save to wishlist toggle
+ * - Product features and benefits
+ * - Expandable specifications section
+ * - Customer reviews with a rating summary and review form
+ *
+ * For products with variants, the first variant in stock is preselected
+ * and price, stock and cart controls follow the chosen variant. Shown in
+ * `ProductDetailModal` and on the product detail page; showing a product
+ * records it in the recently viewed history.
+ *
+ * @param {Object} props
+ * @param {Object} props.product - Product data object
+ * @param {Object} [props.scrollContainerRef] - Ref to the element that scrolls
+ *   the details (defaults to the window)
+ * @param {number} [props.headingLevel=2] - Heading level of the product name
+ */
+function ProductDetails({ product, scrollContainerRef, headingLevel = 2 }) {
+  const { darkMode, COLORS } = useTheme();
+  const { addToCart, removeFromCart, updateQuantity, isInCart, getItemQuantity } = useCart();
+  const { showSuccess } = useToast();
+  const { formatPrice } = useCurrency();
+
+  // Chosen variant, tied to the product it was chosen for so it resets on product change
+  const [variantChoice, setVariantChoice] = useState({ productId: null, variantId: null });
+  const selectedVariantId =
+    product && variantChoice.productId === product.id
+      ? variantChoice.variantId
+      : getDefaultVariant(product, (variant) =>
+          getAvailableStock(product.id, variant.stock, variant.id)
+        )?.id;
+  const item = product ? applyVariant(product, selectedVariantId) : null;
+  const availableStock = useAvailableStock(item?.id, item?.stock, item?.variantId);
+  const [showSpecifications, setShowSpecifications] = useState(false);
+  const specificationsRef = useRef(null);
+
+  // Auto-scroll to specifications when expanded
+  useEffect(() => {
+    if (showSpecifications && specificationsRef.current) {
+      // Small delay to allow the animation to start
+      setTimeout(() => {
+        const container = scrollContainerRef?.current;
+        const specElement = specificationsRef.current;
+
+        if (specElement) {
+          // Calculate the scroll position relative to the container (or the page)
+          const containerTop = container ? container.getBoundingClientRect().top : 0;
+          const scrollTop = container ? container.scrollTop : window.scrollY;
+          const scrollOffset = specElement.getBoundingClientRect().top - containerTop + scrollTop;
+
+          // Add some padding (e.g., 20px from top)
+          const targetScroll = Math.max(0, scrollOffset - 20);
+
+          // Use scrollTo on the container for reliable scrolling on all devices
+          (container ?? window).scrollTo({
+            top: targetScroll,
+            behavior: 'smooth',
+          });
+        }
+      }, 150);
+    }
+  }, [showSpecifications, scrollContainerRef]);
+
+  // Record the view in the recently viewed history and the browsing session
+  const productId = product?.id;
+  useEffect(() => {
+    if (productId !== undefined) {
+      recordProductView(productId);
+      recordSessionView(productId);
+    }
+  }, [productId]);
+
+  // Handle specifications toggle with scroll
+  const handleSpecificationsToggle = () => {
+    setShowSpecifications((prev) => !prev);
+  };
+
+  if (!product) return null;
+
+  // Generate specifications for the product
+  const specifications = generateSpecifications(product);
+
+  // Cart line for the product, or for the chosen variant
+  const cartItemId = generateCartItemId(product.id, item.variantId);
+  const isItemInCart = isInCart(cartItemId);
+
+  // Get stock limit from the inventory store (goes down as orders are placed)
+  const stockLimit = availableStock;
+  const currentQuantity = getItemQuantity(cartItemId);
+  const isAtStockLimit = currentQuantity >= stockLimit;
+
+  const handleVariantChange = (variantId) => {
+    setVariantChoice({ productId: product.id, variantId });
+  };
+
+  // Handle add to cart
+  const handleAddToCart = () => {
+    if (stockLimit <= 0) {
+      showSuccess(`${product.name} is out of stock`);
+      return;
+    }
+    addToCart(item);
+    showSuccess(`${product.name} added to cart`);
+  };
+
+  // Handle quantity increase
+  const handleIncrease = () => {
+    if (isAtStockLimit) {
+      showSuccess('Maximum quantity reached');
+      return;
+    }
+    const newQuantity = currentQuantity + 1;
+    updateQuantity(cartItemId, newQuantity);
+    // Show toast when reaching maximum quantity
+    if (newQuantity >= stockLimit) {
+      showSuccess('Maximum quantity reached');
+    }
+  };
+
+  // Handle quantity decrease
+  const handleDecrease = () => {
+    if (currentQuantity > 1) {
+      updateQuantity(cartItemId, currentQuantity - 1);
+    } else if (currentQuantity === 1) {
+      removeFromCart(cartItemId);
+      showSuccess(`${product.name} removed from cart`);
+    }
+  };
+
+  // Calculate savings
+  const savings = getUnitSavings(item);
+  const savingsPercent = Math.round((savings / item.price) * 100);
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const secondaryBg = darkMode ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.03)';
+  const ProductTitle = `h${headingLevel}`;
+
+  return (
+    <>
+      {/* Content */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 md:p-6">
+        {/* Left Column - Image */}
+        <div className="relative">
+          <div className="aspect-4/5 md:aspect-square rounded-lg overflow-hidden bg-gray-100 dark:bg-gray-800">
+            <img src={product.image} alt={product.name} className="w-full h-full object-cover" />
+          </div>
+
+          {/* Badges - Top Left: Category on mobile, Category + Sale on desktop */}
+          <div className="absolute top-3 left-3 flex gap-2">
+            <span
+              className="px-3 py-1 text-xs font-medium rounded-full capitalize"
+              style={{
+                backgroundColor: darkMode ? COLORS.dark.primary : COLORS.light.secondary,
+                color: darkMode ? COLORS.dark.background : COLORS.light.primary,
+              }}
+            >
+              {product.category}
+            </span>
+            {/* Sale badge - shown here only on desktop (md+) */}
+            {savings > 0 && (
+              <span
+                className="hidden md:inline-block px-3 py-1 text-xs font-bold rounded-full"
+                style={{
+                  backgroundColor: 'rgba(239, 68, 68, 0.9)',
+                  color: '#ffffff',
+                }}
+              >
+                SALE {savingsPercent}% OFF
+              </span>
+            )}
+          </div>
+
+          {/* In Cart Badge - Top Right */}
+          {isItemInCart && (
+            <div
+              className="absolute top-3 right-3 px-3 py-1 rounded-full text-xs font-bold"
+              style={{
+                backgroundColor: darkMode ? COLORS.dark.primary : COLORS.light.primary,
+                color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+              }}
+            >
+              {currentQuantity} in cart
+            </div>
+          )}
+
+          {/* Save for later - Bottom Right */}
+          <WishlistToggle product={product} size="lg" className="absolute bottom-3 right-3" />
+
+          {/* Sale Badge - Bottom Left on mobile only */}
+          {savings > 0 && (
+            <div className="absolute bottom-3 left-3 md:hidden">
+              <span
+                className="px-3 py-1 text-xs font-bold rounded-full"
+                style={{
+                  backgroundColor: 'rgba(239, 68, 68, 0.9)',
+                  color: '#ffffff',
+                }}
+              >
+                SALE {savingsPercent}% OFF
+              </span>
+            </div>
+          )}
+        </div>
+
+        {/* Right Column - Details */}
+        <div className="flex flex-col">
+          {/* Product Name */}
+          <ProductTitle
+            className="text-2xl md:text-3xl font-bold mb-2"
+            style={{
+              color: textColor,
+              fontFamily: "'Metropolis', sans-serif",
+            }}
+          >
+            {product.name}
+          </ProductTitle>
+
+          {/* Description */}
+          <p
+            className="text-base mb-4"
+            style={{
+              color: subtextColor,
+              fontFamily: "'Metropolis', sans-serif",
+            }}
+          >
+            {product.description}
+          </p>
+
+          {/* Price Section */}
+          <div className="mb-6 pb-6 border-b" style={{ borderColor }}>
+            {savings > 0 ? (
+              <div>
+                <div className="flex items-baseline gap-3 mb-1">
+                  <span className="text-3xl font-bold" style={{ color: primaryColor }}>
+                    {formatPrice(item.salePrice)}
+                  </span>
+                  <span className="text-xl line-through" style={{ color: subtextColor }}>
+                    {formatPrice(item.price)}
+                  </span>
+                </div>
+                <p className="text-sm" style={{ color: 'rgb(34, 197, 94)' }}>
+                  You save {formatPrice(savings)} ({savingsPercent}% off)
+                </p>
+              </div>
+            ) : (
+              <span className="text-3xl font-bold" style={{ color: textColor }}>
+                {formatPrice(item.price)}
+              </span>
+            )}
+          </div>
+
+          {/* Variant Picker */}
+          {hasVariants(product) && (
+            <div className="mb-6">
+              <VariantPicker
+                product={product}
+                selectedVariantId={item.variantId}
+                onChange={handleVariantChange}
+              />
+              {stockLimit <= 0 && (
+                <p className="text-sm mt-3" style={{ color: 'rgb(239, 68, 68)' }}>
+                  {item.variantLabel} is out of stock
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Add to Cart / Quantity Section */}
+          <div className="mb-6">
+            {!isItemInCart ? (
+              <button
+                onClick={handleAddToCart}
+                className="w-full flex items-center justify-center gap-2 px-6 py-3 text-base font-semibold rounded-lg transition-all hover:scale-[1.02] active:scale-[0.98] cursor-pointer"
+                style={{
+                  backgroundColor: primaryColor,
+                  color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+                  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+                }}
+              >
+                <FiShoppingCart className="h-5 w-5" />
+                Add to Cart
+              </button>
+            ) : (
+              <div className="space-y-3">
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={handleDecrease}
+                    className="w-12 h-12 flex items-center justify-center rounded-lg transition-all hover:scale-110 active:scale-95 cursor-pointer"
+                    style={{
+                      backgroundColor: darkMode ? COLORS.dark.secondary : COLORS.light.secondary,
+                      color: darkMode ? COLORS.dark.primary : COLORS.light.primary,
+                      boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
+                    }}
+                    aria-label="Decrease quantity"
+                  >
+                    <FiMinus className="h-5 w-5" />
+                  </button>
+
+                  <div
+                    className="flex-1 h-12 flex items-center justify-center rounded-lg font-bold text-xl"
+                    style={{
+                      backgroundColor: darkMode
+                        ? 'rgba(255, 255, 255, 0.05)'
+                        : 'rgba(0, 0, 0, 0.05)',
+                      color: textColor,
+                    }}
+                  >
+                    {currentQuantity}
+                  </div>
+
+                  <button
+                    onClick={handleIncrease}
+                    disabled={isAtStockLimit}
+                    className={`w-12 h-12 flex items-center justify-center rounded-lg transition-all cursor-pointer ${
+                      isAtStockLimit
+                        ? 'cursor-not-allowed opacity-50'
+                        : 'hover:scale-110 active:scale-95'
+                    }`}
+                    style={{
+                      backgroundColor: primaryColor,
+                      color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+                      boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
+                    }}
+                    aria-label={isAtStockLimit ? 'Stock limit reached' : 'Increase quantity'}
+                  >
+                    <FiPlus className="h-5 w-5" />
+                  </button>
+                </div>
+                <p className="text-sm text-center" style={{ color: subtextColor }}>
+                  Total: {formatPrice(getUnitPrice(item) * currentQuantity)}
+                </p>
+                {isAtStockLimit && (
+                  <p className="text-xs text-center mt-1" style={{ color: 'rgb(239, 68, 68)' }}>
+                    Only limited stock available for this product
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Product Benefits - Fills remaining space */}
+          <div className="flex-1 pt-3 border-t" style={{ borderColor }}>
+            <h3
+              className="text-xs font-semibold uppercase tracking-wider mb-3"
+              style={{ color: subtextColor }}
+            >
+              Product Benefits
+            </h3>
+            <div className="grid grid-cols-2 gap-3">
+              {/* Row 1: Free Returns | Secure Checkout */}
+              <div className="flex items-start gap-3">
+                <FiPackage className="h-5 w-5 mt-0.5 shrink-0" style={{ color: primaryColor }} />
+                <div>
+                  <p className="font-medium text-sm" style={{ color: textColor }}>
+                    Free Returns
+                  </p>
+                  <p className="text-xs" style={{ color: subtextColor }}>
+                    30-day return policy
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-start gap-3">
+                <FiShield className="h-5 w-5 mt-0.5 shrink-0" style={{ color: primaryColor }} />
+                <div>
+                  <p className="font-medium text-sm" style={{ color: textColor }}>
+                    Secure Checkout
+                  </p>
+                  <p className="text-xs" style={{ color: subtextColor }}>
+                    Your data is protected
+                  </p>
+                </div>
+              </div>
+              {/* Row 2: Fast Shipping */}
+              <div className="flex items-start gap-3 col-span-2">
+                <FiTruck className="h-5 w-5 mt-0.5 shrink-0" style={{ color: primaryColor }} />
+                <div>
+                  <p className="font-medium text-sm" style={{ color: textColor }}>
+                    Fast Shipping
+                  </p>
+                  <p className="text-xs" style={{ color: subtextColor }}>
+                    Multiple delivery options available
+                  </p>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Specifications Toggle Button - Full Width */}
+      <div className="px-4 md:px-6 pb-2">
+        <button
+          onClick={handleSpecificationsToggle}
+          className="w-full flex items-center justify-between px-4 py-3 rounded-lg transition-all hover:opacity-90"
+          style={{
+            backgroundColor: secondaryBg,
+            color: textColor,
+            border: `1px solid ${borderColor}`,
+          }}
+        >
+          <span className="flex items-center gap-2 font-medium">
+            <FiInfo className="h-5 w-5" style={{ color: primaryColor }} />
+            Product Specifications
+          </span>
+          {showSpecifications ? (
+            <FiChevronUp className="h-5 w-5 cursor-pointer" />
+          ) : (
+            <FiChevronDown className="h-5 w-5 cursor-pointer" />
+          )}
+        </button>
+      </div>
+
+      {/* Specifications Panel - Full Width Below */}
+      <AnimatePresence>
+        {showSpecifications && (
+          <motion.div
+            ref={specificationsRef}
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.3 }}
+            className="overflow-hidden"
+          >
+            <div
+              className="px-4 md:px-6 pb-4 md:pb-6 pt-4"
+              style={{ borderTop: `1px solid ${borderColor}` }}
+            >
+              <dl className="space-y-0">
+                {/* Row 1: Description | Service Center Details */}
+                <SpecRow
+                  leftLabel="Description"
+                  leftValue={specifications.description}
+                  rightLabel="Service Center Details"
+                  rightValue={specifications.serviceCenterDetails}
+                  borderColor={borderColor}
+                  subtextColor={subtextColor}
+                  textColor={textColor}
+                />
+                {/* Row 2: Box Contents | Customer Care */}
+                <SpecRow
+                  leftLabel="Box Contents"
+                  leftValue={specifications.boxContent}
+                  rightLabel="Customer Care"
+                  rightValue={specifications.customerCareDetails}
+                  borderColor={borderColor}
+                  subtextColor={subtextColor}
+                  textColor={textColor}
+                />
+                {/* Row 3: Model Number | Warranty */}
+                <SpecRow
+                  leftLabel="Model Number"
+                  leftValue={specifications.model}
+                  rightLabel="Warranty"
+                  rightValue={specifications.warranty}
+                  borderColor={borderColor}
+                  subtextColor={subtextColor}
+                  textColor={textColor}
+                />
+                {/* Row 4: Colour | Country of Origin */}
+                <SpecRow
+                  leftLabel="Colour"
+                  leftValue={specifications.colour}
+                  rightLabel="Country of Origin"
+                  rightValue={specifications.countryOfOrigin}
+                  borderColor={borderColor}
+                  subtextColor={subtextColor}
+                  textColor={textColor}
+                />
+                {/* Row 5: Type | Disclaimer */}
+                <SpecRow
+                  leftLabel="Type"
+                  leftValue={specifications.type}
+                  rightLabel="Disclaimer"
+                  rightValue={specifications.disclaimer}
+                  borderColor={borderColor}
+                  subtextColor={subtextColor}
+                  textColor={textColor}
+                />
+              </dl>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Customer Reviews */}
+      <ReviewsSection product={product} />
+    </>
+  );
+}
+
+export default ProductDetails;
@@ -1,30 +1,82 @@
+import { useEffect, useRef } from 'react';
 import { AnimatePresence } from 'framer-motion';
+import { FiRefreshCw } from 'react-icons/fi';
 import { useTheme } from '../context/ThemeContext';
 import ProductCard from './ProductCard';
+import ProductCardSkeleton from './ProductCardSkeleton';
+import Loading from './Loading';
+import { GRID } from '../constants';
+
+// Start loading the next page this far before the end of the grid
+const LOAD_MORE_ROOT_MARGIN = '400px';
 
 /**
  * ProductGrid - Grid layout for displaying products
  *
  * Displays a responsive grid of ProductCard components with
  * animated transitions when products are filtered or changed.
+ * Shows `GRID.SKELETON_COUNT` skeleton cards while loading, an error
+ * state with retry, and loads further pages through an
+ * IntersectionObserver sentinel when `hasMore` and `onLoadMore` are set.
  *
  * @param {Object} props
  * @param {Array} props.products - Array of product objects to display
  * @param {Function} props.onAddToCart - Optional custom add to cart handler
  * @param {string} props.emptyMessage - Message to show when no products
  * @param {boolean} props.loading - Whether products are loading
+ * @param {string|null} props.error - Error message from the last fetch
+ * @param {Function} props.onRetry - Retry handler for a failed first load
+ * @param {boolean} props.hasMore - Whether more products can be loaded
+ * @param {boolean} props.isLoadingMore - Whether the next page is loading
+ * @param {Function} props.onLoadMore - Load the next page (also retries a failed page)
  * @param {number} props.columns - Number of columns (default: auto-responsive)
  * @param {string} props.className - Additional CSS classes
+ * @param {string} props.highlight - Search query to highlight in product names
  */
 function ProductGrid({
   products = [],
   onAddToCart,
   emptyMessage = 'No products found',
   loading = false,
+  error = null,
+  onRetry,
+  hasMore = false,
+  isLoadingMore = false,
+  onLoadMore,
   columns,
   className = '',
+  highlight,
 }) {
   const { darkMode, COLORS } = useTheme();
+  const sentinelRef = useRef(null);
+
+  // Observe the sentinel only while a page can be requested; a failed page
+  // waits for the retry button instead of looping
+  const canLoadMore = hasMore && Boolean(onLoadMore) && !isLoadingMore && !error && !loading;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!canLoadMore || !sentinel || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          onLoadMore();
+        }
+      },
+      { rootMargin: LOAD_MORE_ROOT_MARGIN }
+    );
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [canLoadMore, onLoadMore, products.length]);
+
+  const retryButtonStyle = {
+    backgroundColor: darkMode ? COLORS.dark.primary : COLORS.light.primary,
+    color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+  };
 
   // Determine grid columns class based on props or use responsive default
   const getGridColumns = () => {
@@ -37,64 +89,53 @@ function ProductGrid({
   // Loading skeleton
   if (loading) {
     return (
-      <div className={`grid ${getGridColumns()} gap-3 sm:gap-4 ${className}`}>
-        {[...Array(12)].map((_, index) => (
-          <div
-            key={index}
-            className="animate-pulse rounded-lg overflow-hidden border"
-            style={{
-              backgroundColor: darkMode ? COLORS.dark.secondary : '#ffffff',
-              borderColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.08)',
-            }}
-          >
-            {/* Image skeleton */}
-            <div
-              className="aspect-square w-full"
-              style={{
-                backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.05)' : '#f8f8f8',
-              }}
-            />
-            {/* Content skeleton */}
-            <div className="p-3 space-y-2">
-              <div
-                className="h-3 w-16 rounded-sm"
-                style={{
-                  backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
-                }}
-              />
-              <div
-                className="h-4 w-full rounded-sm"
-                style={{
-                  backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
-                }}
-              />
-              <div
-                className="h-3 w-1/2 rounded-sm"
-                style={{
-                  backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
-                }}
-              />
-              <div className="flex justify-between items-center pt-1">
-                <div
-                  className="h-5 w-12 rounded-sm"
-                  style={{
-                    backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
-                  }}
-                />
-                <div
-                  className="h-7 w-14 rounded-lg"
-                  style={{
-                    backgroundColor: darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
-                  }}
-                />
-              </div>
-            </div>
-          </div>
+      <div
+        className={`grid ${getGridColumns()} gap-3 sm:gap-4 ${className}`}
+        role="status"
+        aria-busy="true"
+        aria-label="Loading products"
+      >
+        {Array.from({ length: GRID.SKELETON_COUNT }, (_, index) => (
+          <ProductCardSkeleton key={index} />
         ))}
       </div>
     );
   }
 
+  // Error state (nothing loaded yet)
+  if (error && products.length === 0) {
+    return (
+      <div className={`text-center py-16 ${className}`} role="alert">
+        <h3
+          className="text-xl font-medium mb-2"
+          style={{
+            color: darkMode ? COLORS.dark.text : COLORS.light.text,
+          }}
+        >
+          We couldn&apos;t load products
+        </h3>
+        <p
+          className="text-sm mb-6"
+          style={{
+            color: darkMode ? COLORS.dark.primary : COLORS.light.primary,
+          }}
+        >
+          {error}
+        </p>
+        {onRetry && (
+          <button
+            onClick={onRetry}
+            className="inline-flex items-center gap-2 px-6 py-3 font-medium rounded-md cursor-pointer transition-all hover:opacity-90"
+            style={retryButtonStyle}
+          >
+            <FiRefreshCw className="h-4 w-4" aria-hidden="true" />
+            Try again
+          </button>
+        )}
+      </div>
+    );
+  }
+
   // Empty state
   if (products.length === 0) {
     return (
@@ -143,16 +184,60 @@ function ProductGrid({
     );
   }
 
+  const showLoadMore = hasMore && Boolean(onLoadMore);
+
   // Product grid
-  return (
+  const grid = (
     <div className={`grid ${getGridColumns()} gap-3 sm:gap-4 ${className}`}>
       <AnimatePresence mode="popLayout">
         {products.map((product) => (
-          <ProductCard key={product.id} product={product} onAddToCart={onAddToCart} />
+          <ProductCard
+            key={product.id}
+            product={product}
+            onAddToCart={onAddToCart}
+            highlight={highlight}
+          />
         ))}
       </AnimatePresence>
     </div>
   );
+
+  if (!showLoadMore) {
+    return grid;
+  }
+
+  return (
+    <>
+      {grid}
+
+      {/* Infinite scroll sentinel and next-page states */}
+      <div ref={sentinelRef} className="mt-8 flex flex-col items-center">
+        {isLoadingMore && (
+          <Loading fullScreen={false} size="sm" message="Loading more products..." />
+        )}
+        {error && !isLoadingMore && (
+          <div className="text-center" role="alert">
+            <p
+              className="text-sm mb-3"
+              style={{
+                color: darkMode ? COLORS.dark.text : COLORS.light.text,
+              }}
+            >
+              {error}
+            </p>
+            <button
+              onClick={onLoadMore}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-md cursor-pointer transition-all hover:opacity-90"
+              style={retryButtonStyle}
+            >
+              <FiRefreshCw className="h-4 w-4" aria-hidden="true" />
+              Try again
+            </button>
+          </div>
+        )}
+      </div>
+    </>
+  );
 }
 
 export default ProductGrid;
@@ -1,8 +1,9 @@
 // ProductGrid component tests
-import { describe, it, expect, vi } from 'vitest';
-import { screen } from '@testing-library/react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { screen, act } from '@testing-library/react';
 import ProductGrid from './ProductGrid';
 import { render, mockProduct, mockSaleProduct, mockProducts } from '../testing/test-utils';
+import { GRID } from '../constants';
 
 describe('ProductGrid', () => {
   describe('rendering', () => {
@@ -123,6 +124,121 @@ describe('ProductGrid', () => {
     });
   });
 
+  describe('error state', () => {
+    it('shows the error with a retry button when nothing loaded', async () => {
+      const onRetry = vi.fn();
+      const { user } = render(
+        <ProductGrid products={[]} error="Failed to fetch products" onRetry={onRetry} />
+      );
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Failed to fetch products');
+      expect(screen.queryByText('No products found')).not.toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: /try again/i }));
+      expect(onRetry).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps loaded products when a later page fails', async () => {
+      const onLoadMore = vi.fn();
+      const { user } = render(
+        <ProductGrid
+          products={[mockProduct]}
+          error="Failed to load more products"
+          hasMore
+          onLoadMore={onLoadMore}
+        />
+      );
+
+      expect(screen.getByText(mockProduct.name)).toBeInTheDocument();
+      expect(screen.getByRole('alert')).toHaveTextContent('Failed to load more products');
+
+      await user.click(screen.getByRole('button', { name: /try again/i }));
+      expect(onLoadMore).toHaveBeenCalledTimes(1);
+    });
+
+    it('prefers the skeleton while loading', () => {
+      render(<ProductGrid products={[]} loading error="Failed" />);
+
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+      expect(screen.getByRole('status', { name: /loading products/i })).toBeInTheDocument();
+    });
+  });
+
+  describe('infinite scroll', () => {
+    const OriginalIntersectionObserver = window.IntersectionObserver;
+    let observers;
+
+    const mockIntersectionObserver = () => {
+      observers = [];
+      window.IntersectionObserver = class {
+        constructor(callback, options) {
+          this.callback = callback;
+          this.options = options;
+          this.observe = vi.fn();
+          this.disconnect = vi.fn();
+          observers.push(this);
+        }
+      };
+    };
+
+    const intersect = (observer) =>
+      act(() => {
+        observer.callback([{ isIntersecting: true }]);
+      });
+
+    afterEach(() => {
+      window.IntersectionObserver = OriginalIntersectionObserver;
+    });
+
+    it('loads the next page when the sentinel comes into view', () => {
+      mockIntersectionObserver();
+      const onLoadMore = vi.fn();
+      render(<ProductGrid products={mockProducts} hasMore onLoadMore={onLoadMore} />);
+
+      const observer = observers.at(-1);
+      expect(observer.observe).toHaveBeenCalled();
+
+      intersect(observer);
+      expect(onLoadMore).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not observe without more pages', () => {
+      mockIntersectionObserver();
+      render(<ProductGrid products={mockProducts} hasMore={false} onLoadMore={vi.fn()} />);
+
+      expect(observers).toHaveLength(0);
+    });
+
+    it('stops observing while a page loads or after a failure', () => {
+      mockIntersectionObserver();
+      const onLoadMore = vi.fn();
+      const { rerender } = render(
+        <ProductGrid products={mockProducts} hasMore onLoadMore={onLoadMore} />
+      );
+      const [first] = observers;
+
+      rerender(
+        <ProductGrid products={mockProducts} hasMore isLoadingMore onLoadMore={onLoadMore} />
+      );
+      expect(first.disconnect).toHaveBeenCalled();
+      expect(observers).toHaveLength(1);
+      expect(screen.getByText('Loading more products...')).toBeInTheDocument();
+
+      rerender(
+        <ProductGrid products={mockProducts} hasMore error="Failed" onLoadMore={onLoadMore} />
+      );
+      expect(observers).toHaveLength(1);
+    });
+
+    it('shows the standard skeleton count on first load', () => {
+      const { container } = render(
+        <ProductGrid products={[]} loading hasMore onLoadMore={vi.fn()} />
+      );
+
+      expect(container.querySelectorAll('.animate-pulse')).toHaveLength(GRID.SKELETON_COUNT);
+    });
+  });
+
   describe('grid layout', () => {
     it('has grid layout class', () => {
       const { container } = render(<ProductGrid products={mockProducts} />);
@@ -0,0 +1,19 @@
+import { useRecentlyViewed } from '../hooks/useRecentlyViewed';
+import CategorySection from './CategorySection';
+
+/**
+ * RecentlyViewed - Horizontal row of the products the shopper last viewed
+ *
+ * Most recent first. Renders nothing until a product has been viewed.
+ *
+ * @param {Object} props
+ * @param {string} [props.title='Recently viewed'] - Section title
+ * @param {Array<number>} [props.excludeIds] - Product IDs to leave out (e.g. ones in the cart)
+ */
+function RecentlyViewed({ title = 'Recently viewed', excludeIds }) {
+  const { products } = useRecentlyViewed({ excludeIds });
+
+  return <CategorySection title={title} products={products} />;
+}
+
+export default RecentlyViewed;
@@ -0,0 +1,77 @@
+// RecentlyViewed component tests
+import { describe, it, expect, beforeEach } from 'vitest';
+import { screen, within } from '@testing-library/react';
+import RecentlyViewed from './RecentlyViewed';
+import { render } from '../testing/test-utils';
+import { clearRecentlyViewed, recordProductView } from '../services/recentlyViewed';
+
+describe('RecentlyViewed', () => {
+  beforeEach(() => {
+    clearRecentlyViewed();
+  });
+
+  const findSection = async () =>
+    (await screen.findByRole('heading', { name: 'Recently viewed' }, { timeout: 2000 })).closest(
+      'section'
+    );
+
+  it('renders nothing before any product is viewed', () => {
+    const { container } = render(<RecentlyViewed />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('shows viewed products, most recent first', async () => {
+    recordProductView(1);
+    recordProductView(3);
+
+    render(<RecentlyViewed />);
+
+    const section = await findSection();
+    const cards = within(section).getAllByRole('button', { name: /view details for/i });
+    expect(cards).toHaveLength(2);
+    expect(cards[0]).toHaveAccessibleName(/bluetooth speaker/i);
+    expect(cards[1]).toHaveAccessibleName(/wireless earbuds/i);
+  });
+
+  it('skips products no longer in the catalog', async () => {
+    recordProductView(1);
+    recordProductView(99999);
+
+    render(<RecentlyViewed />);
+
+    const section = await findSection();
+    expect(within(section).getAllByRole('button', { name: /view details for/i })).toHaveLength(1);
+  });
+
+  it('leaves out excluded products', async () => {
+    recordProductView(1);
+    recordProductView(3);
+
+    render(<RecentlyViewed excludeIds={[3]} />);
+
+    const section = await findSection();
+    const cards = within(section).getAllByRole('button', { name: /view details for/i });
+    expect(cards).toHaveLength(1);
+    expect(cards[0]).toHaveAccessibleName(/wireless earbuds/i);
+  });
+
+  it('uses a custom title', async () => {
+    recordProductView(1);
+
+    render(<RecentlyViewed title="Pick up where you left off" />);
+
+    expect(
+      await screen.findByRole('heading', { name: 'Pick up where you left off' }, { timeout: 2000 })
+    ).toBeInTheDocument();
+  });
+
+  it('has no see all link', async () => {
+    recordProductView(1);
+
+    render(<RecentlyViewed />);
+
+    await findSection();
+    expect(screen.queryByRole('link', { name: /see all/i })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,43 @@
+import { useId } from 'react';
+import { useTheme } from '../context/ThemeContext';
+import ProductGrid from './ProductGrid';
+
+/**
+ * RelatedProducts - "You might also like" section of a product's detail view
+ *
+ * Renders nothing once loading finishes without any products.
+ *
+ * @param {Object} props
+ * @param {Array} props.products - Related products
+ * @param {boolean} [props.loading=false] - Whether related products are loading
+ * @param {number} [props.headingLevel=3] - Heading level of the section title
+ */
+function RelatedProducts({ products, loading = false, headingLevel = 3 }) {
+  const { darkMode, COLORS } = useTheme();
+  const headingId = useId();
+
+  if (!loading && products.length === 0) {
+    return null;
+  }
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+
+  const Heading = `h${headingLevel}`;
+
+  return (
+    <section
+      aria-labelledby={headingId}
+      className="px-4 md:px-6 py-4 md:py-6"
+      style={{ borderTop: `1px solid ${borderColor}` }}
+    >
+      <Heading id={headingId} className="text-lg font-semibold mb-4" style={{ color: textColor }}>
+        You might also like
+      </Heading>
+      <ProductGrid products={products} loading={loading} />
+    </section>
+  );
+}
+
+export default RelatedProducts;
@@ -1,6 +1,35 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useId, useMemo } from 'react';
 import { FiX, FiSearch } from 'react-icons/fi';
 import { useTheme } from '../context/ThemeContext';
+import { useProductSearch } from '../hooks/useProducts';
+import { SEARCH_SUGGESTIONS } from '../constants';
+import { SearchSuggestions } from './search';
+
+/**
+ * Dropdown options in keyboard order: products, categories, then "see all"
+ * @param {Object} search - Suggestions from `useProductSearch`
+ * @param {boolean} includeCategories - Whether category options are offered
+ * @returns {import('./search/SearchSuggestions').SuggestionOption[]}
+ */
+function buildOptions(search, includeCategories) {
+  const options = search.products.map((product) => ({
+    type: 'product',
+    key: `product-${product.id}`,
+    product,
+  }));
+
+  if (includeCategories) {
+    search.categories.forEach(({ category, count }) => {
+      options.push({ type: 'category', key: `category-${category}`, category, count });
+    });
+  }
+
+  if (search.totalMatches > 0) {
+    options.push({ type: 'all', key: 'all' });
+  }
+
+  return options;
+}
 
 /**
  * SearchBar - Reusable search input component
@@ -8,6 +37,12 @@ import { useTheme } from '../context/ThemeContext';
  * A search bar with clear functionality and customizable styling.
  * Supports both desktop and mobile variants.
  *
+ * With `showSuggestions` the input becomes an ARIA 1.2 combobox: a
+ * dropdown of matching products (with thumbnails and prices), categories
+ * and a "see all results" footer appears while typing. Arrow keys move
+ * through it, Enter picks, Escape closes. Picking a product calls
+ * `onSelectProduct`; picking a category calls `onSelectCategory`.
+ *
  * @param {Object} props
  * @param {string} props.value - Current search value
  * @param {Function} props.onChange - Callback when search value changes
@@ -17,6 +52,10 @@ import { useTheme } from '../context/ThemeContext';
  * @param {string} props.variant - 'desktop' | 'mobile' - Size variant
  * @param {string} props.className - Additional CSS classes
  * @param {boolean} props.autoFocus - Whether to auto-focus the input
+ * @param {boolean} props.showSuggestions - Whether to show the autocomplete dropdown
+ * @param {Function} props.onSelectProduct - Callback with a picked product suggestion
+ * @param {Function} props.onSelectCategory - Callback with a picked category suggestion
+ *   (categories aren't suggested without it)
  */
 function SearchBar({
   value = '',
@@ -27,10 +66,42 @@ function SearchBar({
   variant = 'desktop',
   className = '',
   autoFocus = false,
+  showSuggestions = false,
+  onSelectProduct,
+  onSelectCategory,
 }) {
   const { darkMode, COLORS } = useTheme();
   const inputRef = useRef(null);
   const [isFocused, setIsFocused] = useState(false);
+  const listboxId = useId();
+  const search = useProductSearch();
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const { products, categories, totalMatches } = search;
+  const options = useMemo(
+    () => buildOptions({ products, categories, totalMatches }, Boolean(onSelectCategory)),
+    [products, categories, totalMatches, onSelectCategory]
+  );
+
+  // Suggestions are for what the shopper typed; a value changed from outside
+  // (e.g. a "clear search" button on the page) closes the dropdown
+  const isOpen =
+    showSuggestions &&
+    isExpanded &&
+    !search.error &&
+    search.query === value &&
+    value.trim().length >= SEARCH_SUGGESTIONS.MIN_QUERY_LENGTH;
+  const hasOptions = isOpen && options.length > 0;
+  const currentIndex = hasOptions && activeIndex < options.length ? activeIndex : -1;
+  const getOptionId = useCallback((index) => `${listboxId}-option-${index}`, [listboxId]);
+
+  // Keep the highlighted option in view as arrow keys move through the list
+  useEffect(() => {
+    if (currentIndex >= 0) {
+      document.getElementById(getOptionId(currentIndex))?.scrollIntoView?.({ block: 'nearest' });
+    }
+  }, [currentIndex, getOptionId]);
 
   // Auto-focus if specified
   useEffect(() => {
@@ -65,6 +136,7 @@ function SearchBar({
   // Handle form submission
   const handleSubmit = (e) => {
     e.preventDefault();
+    setIsExpanded(false);
     if (onSubmit) {
       onSubmit(value);
     }
@@ -75,6 +147,11 @@ function SearchBar({
     if (onChange) {
       onChange(e.target.value);
     }
+    if (showSuggestions) {
+      search.setQuery(e.target.value);
+      setIsExpanded(true);
+      setActiveIndex(-1);
+    }
   };
 
   // Handle clear button click
@@ -84,19 +161,83 @@ function SearchBar({
     } else if (onChange) {
       onChange('');
     }
+    search.clear();
+    setIsExpanded(false);
     // Focus the input after clearing
     if (inputRef.current) {
       inputRef.current.focus();
     }
   };
 
+  // Act on a picked suggestion
+  const handleSelect = (option) => {
+    setIsExpanded(false);
+    setActiveIndex(-1);
+
+    if (option.type === 'product') {
+      onSelectProduct?.(option.product);
+    } else if (option.type === 'category') {
+      onSelectCategory?.(option.category);
+    } else if (onSubmit) {
+      onSubmit(value);
+    }
+  };
+
+  // Combobox keyboard support (ARIA 1.2 list autocomplete)
+  const handleKeyDown = (e) => {
+    if (!showSuggestions) return;
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        e.preventDefault();
+        if (!hasOptions) {
+          setIsExpanded(true);
+          return;
+        }
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const from = currentIndex === -1 && step === -1 ? 0 : currentIndex;
+        setActiveIndex((from + step + options.length) % options.length);
+        break;
+      }
+
+      case 'Enter':
+        if (currentIndex >= 0) {
+          e.preventDefault();
+          handleSelect(options[currentIndex]);
+        }
+        break;
+
+      case 'Escape':
+        if (isOpen) {
+          e.preventDefault();
+          setIsExpanded(false);
+          setActiveIndex(-1);
+        }
+        break;
+
+      default:
+        break;
+    }
+  };
+
   // Handle blur - reset viewport zoom on mobile
   const handleBlur = useCallback(() => {
     setIsFocused(false);
+    setIsExpanded(false);
     // Small delay to let the keyboard close first
     setTimeout(resetViewportZoom, 50);
   }, [resetViewportZoom]);
 
+  // Announced to screen readers as suggestions arrive
+  let statusMessage = '';
+  if (isOpen && !search.isLoading) {
+    statusMessage =
+      totalMatches > 0
+        ? `${totalMatches} ${totalMatches === 1 ? 'result' : 'results'} available. Use up and down arrows to browse.`
+        : 'No matching products';
+  }
+
   // Determine styling based on variant
   const isMobile = variant === 'mobile';
   // Use static classes for base padding, dynamic right padding handled via inline style
@@ -139,11 +280,41 @@ function SearchBar({
         onChange={handleChange}
         onFocus={() => setIsFocused(true)}
         onBlur={handleBlur}
+        onKeyDown={handleKeyDown}
         className={`${inputWidth} ${inputPadding} rounded-full ${fontSize} transition-all duration-200 outline-hidden border-2 placeholder:text-gray-400 dark:placeholder:text-gray-300`}
         style={inputStyles}
         aria-label="Search"
+        {...(showSuggestions && {
+          role: 'combobox',
+          autoComplete: 'off',
+          'aria-autocomplete': 'list',
+          'aria-expanded': hasOptions,
+          'aria-controls': listboxId,
+          'aria-activedescendant': currentIndex >= 0 ? getOptionId(currentIndex) : undefined,
+        })}
       />
 
+      {/* Autocomplete dropdown */}
+      {isOpen && (
+        <SearchSuggestions
+          id={listboxId}
+          options={options}
+          activeIndex={currentIndex}
+          getOptionId={getOptionId}
+          query={value}
+          totalMatches={totalMatches}
+          isLoading={search.isLoading}
+          onSelect={handleSelect}
+          onActivate={setActiveIndex}
+        />
+      )}
+
+      {showSuggestions && (
+        <p role="status" className="sr-only">
+          {statusMessage}
+        </p>
+      )}
+
       {/* Clear button - only show when there's a value */}
       {value && (
         <button
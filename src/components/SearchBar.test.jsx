@@ -1,8 +1,17 @@
 // SearchBar component tests
+import { useState } from 'react';
 import { describe, it, expect, vi } from 'vitest';
 import { screen, waitFor, fireEvent } from '@testing-library/react';
 import SearchBar from './SearchBar';
-import { renderWithTheme } from '../testing/test-utils';
+import { render, renderWithTheme } from '../testing/test-utils';
+
+// Suggestions arrive after the debounce and simulated API latency
+const SUGGESTION_TIMEOUT = { timeout: 2000 };
+
+function ControlledSearchBar(props) {
+  const [value, setValue] = useState('');
+  return <SearchBar value={value} onChange={setValue} showSuggestions {...props} />;
+}
 
 describe('SearchBar', () => {
   describe('rendering', () => {
@@ -552,4 +561,104 @@ describe('SearchBar', () => {
       expect(screen.getByRole('button', { name: /clear/i })).toBeInTheDocument();
     });
   });
+
+  describe('autocomplete suggestions', () => {
+    it('is a plain textbox unless suggestions are enabled', () => {
+      renderWithTheme(<SearchBar />);
+
+      expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+    });
+
+    it('suggests matching products with prices as the shopper types', async () => {
+      const { user } = render(<ControlledSearchBar />);
+      const combobox = screen.getByRole('combobox', { name: 'Search' });
+
+      await user.type(combobox, 'erbuds');
+
+      const option = await screen.findByRole(
+        'option',
+        { name: /wireless earbuds/i },
+        SUGGESTION_TIMEOUT
+      );
+      expect(option).toHaveTextContent('$39.99');
+      expect(combobox).toHaveAttribute('aria-expanded', 'true');
+      expect(combobox).toHaveAttribute('aria-controls', screen.getByRole('listbox').id);
+    });
+
+    it('moves through options with the arrow keys', async () => {
+      const { user } = render(<ControlledSearchBar />);
+      const combobox = screen.getByRole('combobox');
+
+      await user.type(combobox, 'speaker');
+      const options = await screen.findAllByRole('option', {}, SUGGESTION_TIMEOUT);
+
+      await user.keyboard('{ArrowDown}');
+      expect(combobox).toHaveAttribute('aria-activedescendant', options[0].id);
+      expect(options[0]).toHaveAttribute('aria-selected', 'true');
+
+      await user.keyboard('{ArrowUp}');
+      expect(combobox).toHaveAttribute('aria-activedescendant', options.at(-1).id);
+    });
+
+    it('calls onSelectProduct with the picked product', async () => {
+      const onSelectProduct = vi.fn();
+      const { user } = render(<ControlledSearchBar onSelectProduct={onSelectProduct} />);
+
+      await user.type(screen.getByRole('combobox'), 'bluetooth');
+      await screen.findByRole('option', { name: /bluetooth speaker/i }, SUGGESTION_TIMEOUT);
+      await user.keyboard('{ArrowDown}{Enter}');
+
+      expect(onSelectProduct).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'Bluetooth Speaker' })
+      );
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    });
+
+    it('suggests categories when a category handler is given', async () => {
+      const onSelectCategory = vi.fn();
+      const { user } = render(<ControlledSearchBar onSelectCategory={onSelectCategory} />);
+
+      await user.type(screen.getByRole('combobox'), 'speaker');
+      await user.click(
+        await screen.findByRole('option', { name: /^electronics/i }, SUGGESTION_TIMEOUT)
+      );
+
+      expect(onSelectCategory).toHaveBeenCalledWith('electronics');
+    });
+
+    it('submits the search from the "see all" footer', async () => {
+      const onSubmit = vi.fn();
+      const { user } = render(<ControlledSearchBar onSubmit={onSubmit} />);
+
+      await user.type(screen.getByRole('combobox'), 'speaker');
+      await user.click(
+        await screen.findByRole('option', { name: /see all \d+ results?/i }, SUGGESTION_TIMEOUT)
+      );
+
+      expect(onSubmit).toHaveBeenCalledWith('speaker');
+    });
+
+    it('closes the dropdown on Escape', async () => {
+      const { user } = render(<ControlledSearchBar />);
+      const combobox = screen.getByRole('combobox');
+
+      await user.type(combobox, 'speaker');
+      await screen.findByRole('listbox', {}, SUGGESTION_TIMEOUT);
+      await user.keyboard('{Escape}');
+
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+      expect(combobox).toHaveAttribute('aria-expanded', 'false');
+      expect(combobox).toHaveValue('speaker');
+    });
+
+    it('says when nothing matches', async () => {
+      const { user } = render(<ControlledSearchBar />);
+
+      await user.type(screen.getByRole('combobox'), 'zzqx');
+
+      expect(
+        await screen.findByText('No products match "zzqx"', {}, SUGGESTION_TIMEOUT)
+      ).toBeInTheDocument();
+    });
+  });
 });
@@ -1,5 +1,6 @@
 import { useTheme } from '../context/ThemeContext';
 import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
 
 /**
  * ShippingOptions - Shipping method selection component
@@ -15,6 +16,7 @@ import { useCart } from '../context/CartContext';
 function ShippingOptions({ className = '', compact = false, onSelect }) {
   const { darkMode, COLORS } = useTheme();
   const { shippingOptions, selectedShipping, setSelectedShipping } = useCart();
+  const { formatPrice } = useCurrency();
 
   // Handle shipping option change
   const handleChange = (optionId) => {
@@ -82,7 +84,7 @@ function ShippingOptions({ className = '', compact = false, onSelect }) {
                       color: option.price === 0 ? (darkMode ? '#4ade80' : '#16a34a') : textColor,
                     }}
                   >
-                    {option.price === 0 ? 'Free' : `$${option.price.toFixed(2)}`}
+                    {option.price === 0 ? 'Free' : formatPrice(option.price)}
                   </span>
                 </div>
                 {!compact && (
@@ -0,0 +1,92 @@
+import { useTheme } from '../context/ThemeContext';
+import { getAvailableStock } from '../services/inventory';
+import { findVariant, getOptionLabel, getVariant } from '../utils/variants';
+
+/**
+ * Variant to switch to when one option value is chosen
+ * Keeps the other current choices if that combination exists,
+ * otherwise takes the first variant with the chosen value.
+ * @param {Object} product - Product with variants
+ * @param {Object} current - Currently selected variant
+ * @param {string} type - Option type being changed
+ * @param {string} value - Chosen value
+ * @returns {Object|null} Variant or null if no variant has the value
+ */
+function resolveSelection(product, current, type, value) {
+  return (
+    findVariant(product, { ...current.options, [type]: value }) ??
+    product.variants.find((variant) => variant.options[type] === value) ??
+    null
+  );
+}
+
+/**
+ * VariantPicker - Option choices (size, colour, capacity) for a product
+ *
+ * Renders a radio group per option type. Values whose variant is sold
+ * out stay selectable, so shoppers can see that it is unavailable, but
+ * are struck through and announced as out of stock.
+ *
+ * @param {Object} props
+ * @param {Object} props.product - Product with `options` and `variants`
+ * @param {string} props.selectedVariantId - Selected variant ID
+ * @param {Function} props.onChange - Called with the newly selected variant ID
+ */
+function VariantPicker({ product, selectedVariantId, onChange }) {
+  const { darkMode, COLORS } = useTheme();
+  const selected = getVariant(product, selectedVariantId) ?? product.variants[0];
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+
+  return (
+    <div className="space-y-4">
+      {product.options.map(({ type, values }) => {
+        const label = getOptionLabel(type);
+
+        return (
+          <div key={type} role="radiogroup" aria-label={label}>
+            <p className="text-sm font-medium mb-2" style={{ color: subtextColor }}>
+              {label}: <span style={{ color: textColor }}>{selected.options[type]}</span>
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {values.map((value) => {
+                const variant = resolveSelection(product, selected, type, value);
+                const isSelected = selected.options[type] === value;
+                const isSoldOut =
+                  !variant || getAvailableStock(product.id, variant.stock, variant.id) <= 0;
+
+                return (
+                  <button
+                    key={value}
+                    type="button"
+                    role="radio"
+                    aria-checked={isSelected}
+                    aria-label={isSoldOut ? `${value} (out of stock)` : value}
+                    disabled={!variant}
+                    onClick={() => onChange(variant.id)}
+                    className={`min-w-12 px-3 py-2 text-sm font-medium rounded-lg border transition-all cursor-pointer disabled:cursor-not-allowed ${
+                      isSoldOut ? 'line-through opacity-50' : 'hover:scale-105'
+                    }`}
+                    style={{
+                      borderColor: isSelected ? primaryColor : borderColor,
+                      borderWidth: isSelected ? 2 : 1,
+                      color: isSelected ? primaryColor : textColor,
+                    }}
+                  >
+                    {value}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default VariantPicker;
@@ -0,0 +1,53 @@
+import { useCallback } from 'react';
+import { FiHeart } from 'react-icons/fi';
+import { useWishlist } from '../context/WishlistContext';
+import { useToast } from '../context/ToastContext';
+
+/**
+ * WishlistToggle - Heart button to save a product for later
+ *
+ * Filled when the product is in the wishlist. Stops click propagation
+ * so it can sit inside clickable cards.
+ *
+ * @param {Object} props
+ * @param {Object} props.product - Product to save
+ * @param {'sm'|'lg'} [props.size='sm'] - Button size
+ * @param {string} [props.className] - Additional CSS classes (e.g. positioning)
+ */
+function WishlistToggle({ product, size = 'sm', className = '' }) {
+  const { isInWishlist, toggleWishlist } = useWishlist();
+  const { showSuccess } = useToast();
+  const isSaved = isInWishlist(product.id);
+
+  const handleClick = useCallback(
+    (e) => {
+      e.stopPropagation();
+      const result = toggleWishlist(product);
+      if (result.success) {
+        showSuccess(result.message);
+      }
+    },
+    [product, toggleWishlist, showSuccess]
+  );
+
+  const sizeClasses = size === 'lg' ? 'w-10 h-10' : 'w-8 h-8';
+  const iconSize = size === 'lg' ? 'h-5 w-5' : 'h-4 w-4';
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      onKeyDown={(e) => e.stopPropagation()}
+      className={`${sizeClasses} flex items-center justify-center rounded-full bg-white/90 shadow-sm transition-transform cursor-pointer hover:scale-110 active:scale-95 ${className}`}
+      style={{ color: isSaved ? '#dc2626' : 'rgba(51, 51, 51, 0.7)' }}
+      aria-label={
+        isSaved ? `Remove ${product.name} from wishlist` : `Save ${product.name} to wishlist`
+      }
+      aria-pressed={isSaved}
+    >
+      <FiHeart className={iconSize} fill={isSaved ? 'currentColor' : 'none'} aria-hidden="true" />
+    </button>
+  );
+}
+
+export default WishlistToggle;
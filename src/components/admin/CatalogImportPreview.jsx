@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { useTheme } from '../../context/ThemeContext';
+import { useCategoryNames } from '../../hooks/useCategories';
+
+/**
+ * CatalogImportPreview - What an import file would do to the catalog
+ *
+ * Lists the rows that failed validation, or the products the import
+ * adds, changes and removes (and the categories it adds) so they can be
+ * checked before the import is applied.
+ *
+ * @param {Object} props
+ * @param {Object} props.preview - Result of `catalogApi.previewImport`, with the `fileName`
+ * @param {Function} props.onApply - Called to apply the import, resolves when done
+ * @param {Function} props.onCancel - Called when the import is abandoned
+ */
+function CatalogImportPreview({ preview, onApply, onCancel }) {
+  const { darkMode, COLORS } = useTheme();
+  const categoryNames = useCategoryNames();
+  const [isApplying, setIsApplying] = useState(false);
+
+  const { fileName, success, message, rowErrors, diff, categories, newCategories } = preview;
+  const changeCount = success ? diff.added.length + diff.changed.length + diff.removed.length : 0;
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const cardBg = darkMode ? COLORS.dark.secondary : COLORS.light.background;
+  const errorColor = '#ef4444';
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    try {
+      await onApply();
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const renderGroup = (label, products, color = textColor) =>
+    products.length > 0 && (
+      <details className="py-2" style={{ borderTop: `1px solid ${borderColor}` }}>
+        <summary className="cursor-pointer text-sm font-medium" style={{ color }}>
+          {label} ({products.length})
+        </summary>
+        <ul className="mt-2 pl-4 text-sm space-y-1" style={{ color: subtextColor }}>
+          {products.map((product) => (
+            <li key={product.id}>
+              {product.name} <span className="text-xs">#{product.id}</span>
+            </li>
+          ))}
+        </ul>
+      </details>
+    );
+
+  return (
+    <section
+      aria-labelledby="catalog-import-heading"
+      className="mb-8 rounded-lg p-6"
+      style={{ backgroundColor: cardBg }}
+    >
+      <h2
+        id="catalog-import-heading"
+        className="text-lg font-bold mb-1"
+        style={{ color: textColor }}
+      >
+        Import {fileName}
+      </h2>
+      <p
+        className="mb-4 text-sm"
+        style={{ color: success ? subtextColor : errorColor }}
+        role={success ? undefined : 'alert'}
+      >
+        {message}
+      </p>
+
+      {rowErrors.length > 0 && (
+        <ul className="mb-4 space-y-3 text-sm" aria-label="Rows with errors">
+          {rowErrors.map(({ row, name, errors }) => (
+            <li key={row}>
+              <p className="font-medium" style={{ color: textColor }}>
+                Row {row}
+                {name && ` (${name})`}
+              </p>
+              <ul className="list-disc pl-5" style={{ color: errorColor }}>
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {success && (
+        <div className="mb-4">
+          {newCategories.length > 0 && (
+            <p className="mb-2 text-sm" style={{ color: textColor }}>
+              New categories:{' '}
+              {newCategories.map((id) => categories[id] ?? categoryNames[id]).join(', ')}
+            </p>
+          )}
+          {renderGroup('Added', diff.added)}
+          {renderGroup('Changed', diff.changed)}
+          {renderGroup('Removed', diff.removed, errorColor)}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-5 py-2 text-sm font-medium rounded-lg cursor-pointer transition-opacity hover:opacity-80"
+          style={{ color: textColor, border: `1px solid ${borderColor}` }}
+        >
+          Cancel
+        </button>
+        {success && (
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={isApplying || changeCount === 0}
+            className="px-5 py-2 text-sm font-semibold rounded-lg transition-all hover:scale-[1.02] active:scale-[0.98] cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{
+              backgroundColor: primaryColor,
+              color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+            }}
+          >
+            {isApplying ? 'Importing...' : 'Apply import'}
+          </button>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default CatalogImportPreview;
@@ -0,0 +1,73 @@
+// CatalogImportPreview component tests
+import { describe, it, expect, vi } from 'vitest';
+import { screen, within } from '@testing-library/react';
+import CatalogImportPreview from './CatalogImportPreview';
+import { render } from '../../testing/test-utils';
+
+const lamp = { id: 200, name: 'Desk Lamp' };
+const earbuds = { id: 1, name: 'Wireless Earbuds' };
+
+const successfulPreview = {
+  fileName: 'catalog.csv',
+  success: true,
+  message: '1 added, 1 changed, 0 removed',
+  rowErrors: [],
+  diff: { added: [lamp], changed: [earbuds], removed: [], unchanged: 0 },
+  categories: { garden: 'Garden & Outdoor' },
+  newCategories: ['garden'],
+};
+
+const renderPreview = (preview) => {
+  const onApply = vi.fn(() => Promise.resolve());
+  const onCancel = vi.fn();
+  const result = render(
+    <CatalogImportPreview preview={preview} onApply={onApply} onCancel={onCancel} />
+  );
+  return { ...result, onApply, onCancel };
+};
+
+describe('CatalogImportPreview', () => {
+  it('lists the changes and applies them', async () => {
+    const { user, onApply } = renderPreview(successfulPreview);
+
+    expect(screen.getByRole('heading', { name: 'Import catalog.csv' })).toBeInTheDocument();
+    expect(screen.getByText('New categories: Garden & Outdoor')).toBeInTheDocument();
+    expect(screen.getByText('Added (1)')).toBeInTheDocument();
+    expect(screen.getByText('Changed (1)')).toBeInTheDocument();
+    expect(screen.queryByText(/^Removed/)).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Apply import' }));
+
+    expect(onApply).toHaveBeenCalled();
+  });
+
+  it('cannot apply a file without changes', () => {
+    renderPreview({
+      ...successfulPreview,
+      message: 'The file matches the catalog',
+      diff: { added: [], changed: [], removed: [], unchanged: 2 },
+      newCategories: [],
+    });
+
+    expect(screen.getByRole('button', { name: 'Apply import' })).toBeDisabled();
+  });
+
+  it('shows row errors without an apply button', async () => {
+    const { user, onCancel } = renderPreview({
+      fileName: 'catalog.csv',
+      success: false,
+      message: '1 of 2 rows have errors',
+      rowErrors: [{ row: 3, name: 'Desk Lamp', errors: ['Product description is required'] }],
+    });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('1 of 2 rows have errors');
+    const rows = screen.getByRole('list', { name: 'Rows with errors' });
+    expect(within(rows).getByText('Row 3 (Desk Lamp)')).toBeInTheDocument();
+    expect(within(rows).getByText('Product description is required')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Apply import' })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,265 @@
+import { useId, useState } from 'react';
+import { useTheme } from '../../context/ThemeContext';
+import { CATEGORIES } from '../../constants';
+import { useCategoryNames } from '../../hooks/useCategories';
+import FormField from '../common/FormField';
+
+/**
+ * Form values for a product (inputs hold strings)
+ * @param {Object} [product] - Product to edit
+ * @returns {Object}
+ */
+const getInitialValues = (product) => ({
+  name: product?.name ?? '',
+  description: product?.description ?? '',
+  category: product?.category ?? CATEGORIES.ELECTRONICS,
+  image: product?.image ?? '',
+  price: product?.price !== undefined ? String(product.price) : '',
+  onSale: product?.onSale ?? false,
+  salePrice: product?.salePrice != null ? String(product.salePrice) : '',
+  stock: product?.stock !== undefined ? String(product.stock) : '',
+  colour: product?.colour ?? '',
+  weight: product?.weight ?? '',
+  deliveryTime: product?.deliveryTime !== undefined ? String(product.deliveryTime) : '',
+});
+
+/**
+ * ProductForm - Create or edit a catalog product
+ *
+ * Values are sanitized and validated by `catalogApi`; the errors it
+ * returns are listed above the buttons. Products with variants are
+ * stocked per variant, so their stock isn't editable here.
+ *
+ * @param {Object} props
+ * @param {Object} [props.product] - Product to edit (omit to add a new one)
+ * @param {Function} props.onSubmit - Called with the form values, resolves to the API result
+ * @param {Function} props.onCancel - Called when editing is abandoned
+ */
+function ProductForm({ product, onSubmit, onCancel }) {
+  const { darkMode, COLORS } = useTheme();
+  const categoryNames = useCategoryNames();
+  const idPrefix = useId();
+  const [values, setValues] = useState(() => getInitialValues(product));
+  const [errors, setErrors] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const hasVariants = product?.variants?.length > 0;
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const inputBg = darkMode ? COLORS.dark.secondary : COLORS.light.background;
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const errorColor = '#ef4444';
+  const inputBorder = darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)';
+  const inputStyle = {
+    backgroundColor: inputBg,
+    color: textColor,
+    border: `1px solid ${inputBorder}`,
+    '--tw-ring-color': primaryColor,
+  };
+
+  const handleChange = (e) => {
+    const { name, type, checked, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    // Variant products keep their per-variant stock
+    const { stock: _stock, ...withoutStock } = values;
+    const submitted = hasVariants ? withoutStock : values;
+
+    try {
+      const result = await onSubmit(submitted);
+      setErrors(result.success ? [] : (result.errors ?? [result.message]));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const descriptionId = `${idPrefix}-description`;
+  const categoryId = `${idPrefix}-category`;
+  const onSaleId = `${idPrefix}-on-sale`;
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      noValidate
+      aria-label={product ? `Edit ${product.name}` : 'Add product'}
+    >
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+        <FormField label="Name" name="name" value={values.name} onChange={handleChange} required />
+
+        <div className="mb-4">
+          <label
+            htmlFor={categoryId}
+            className="block text-sm font-medium mb-2"
+            style={{ color: textColor }}
+          >
+            Category<span className="text-red-500 ml-1">*</span>
+          </label>
+          <select
+            id={categoryId}
+            name="category"
+            value={values.category}
+            onChange={handleChange}
+            className="w-full px-4 py-2 rounded-lg cursor-pointer focus:outline-none focus:ring-2"
+            style={inputStyle}
+          >
+            {Object.entries(categoryNames).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mb-4">
+        <label
+          htmlFor={descriptionId}
+          className="block text-sm font-medium mb-2"
+          style={{ color: textColor }}
+        >
+          Description<span className="text-red-500 ml-1">*</span>
+        </label>
+        <textarea
+          id={descriptionId}
+          name="description"
+          rows={3}
+          value={values.description}
+          onChange={handleChange}
+          className="w-full px-4 py-2 rounded-lg transition-all focus:outline-none focus:ring-2"
+          style={inputStyle}
+        />
+      </div>
+
+      <div className="flex items-start gap-4">
+        <FormField
+          label="Image URL"
+          name="image"
+          type="url"
+          value={values.image}
+          onChange={handleChange}
+          placeholder="https://"
+          required
+          className="flex-1"
+        />
+        {values.image && (
+          <img
+            src={values.image}
+            alt="Image preview"
+            className="mt-7 h-16 w-16 shrink-0 rounded-md object-cover"
+          />
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-x-4">
+        <FormField
+          label="Price"
+          name="price"
+          type="number"
+          value={values.price}
+          onChange={handleChange}
+          required
+        />
+        <div className="mb-4 flex items-end">
+          <label
+            htmlFor={onSaleId}
+            className="flex items-center gap-2 py-2 text-sm font-medium cursor-pointer"
+            style={{ color: textColor }}
+          >
+            <input
+              id={onSaleId}
+              name="onSale"
+              type="checkbox"
+              checked={values.onSale}
+              onChange={handleChange}
+              className="h-4 w-4 cursor-pointer"
+            />
+            On sale
+          </label>
+        </div>
+        {values.onSale && (
+          <FormField
+            label="Sale price"
+            name="salePrice"
+            type="number"
+            value={values.salePrice}
+            onChange={handleChange}
+            required
+          />
+        )}
+        {hasVariants ? (
+          <p className="mb-4 self-end py-2 text-xs" style={{ color: subtextColor }}>
+            Stock is set per variant.
+          </p>
+        ) : (
+          <FormField
+            label="Stock"
+            name="stock"
+            type="number"
+            value={values.stock}
+            onChange={handleChange}
+          />
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4">
+        <FormField label="Colour" name="colour" value={values.colour} onChange={handleChange} />
+        <FormField
+          label="Weight / size"
+          name="weight"
+          value={values.weight}
+          onChange={handleChange}
+        />
+        <FormField
+          label="Delivery time (days)"
+          name="deliveryTime"
+          type="number"
+          value={values.deliveryTime}
+          onChange={handleChange}
+        />
+      </div>
+
+      {errors.length > 0 && (
+        <ul
+          className="mb-4 list-disc pl-5 text-sm space-y-1"
+          style={{ color: errorColor }}
+          role="alert"
+        >
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-5 py-2 text-sm font-medium rounded-lg cursor-pointer transition-opacity hover:opacity-80"
+          style={{ color: textColor, border: `1px solid ${inputBorder}` }}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-5 py-2 text-sm font-semibold rounded-lg transition-all hover:scale-[1.02] active:scale-[0.98] cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{
+            backgroundColor: primaryColor,
+            color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+          }}
+        >
+          {isSubmitting ? 'Saving...' : product ? 'Save changes' : 'Add product'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default ProductForm;
@@ -0,0 +1,78 @@
+// ProductForm component tests
+import { describe, it, expect, vi } from 'vitest';
+import { screen } from '@testing-library/react';
+import ProductForm from './ProductForm';
+import { render } from '../../testing/test-utils';
+import { products } from '../../data/products';
+
+const earbuds = products.find((product) => product.id === 1);
+const jacket = products.find((product) => product.id === 14);
+
+const renderForm = (product, result = { success: true }) => {
+  const onSubmit = vi.fn(() => Promise.resolve(result));
+  const onCancel = vi.fn();
+  const rendered = render(
+    <ProductForm product={product} onSubmit={onSubmit} onCancel={onCancel} />
+  );
+  return { ...rendered, onSubmit, onCancel };
+};
+
+describe('ProductForm', () => {
+  it('fills in the product being edited', () => {
+    renderForm(earbuds);
+
+    expect(screen.getByRole('form', { name: `Edit ${earbuds.name}` })).toBeInTheDocument();
+    expect(screen.getByLabelText(/^Name/)).toHaveValue(earbuds.name);
+    expect(screen.getByLabelText(/^Price/)).toHaveValue(earbuds.price);
+    expect(screen.getByLabelText('On sale')).toBeChecked();
+    expect(screen.getByLabelText(/^Sale price/)).toHaveValue(earbuds.salePrice);
+    expect(screen.getByRole('img', { name: 'Image preview' })).toHaveAttribute(
+      'src',
+      earbuds.image
+    );
+  });
+
+  it('only asks for a sale price when the product is on sale', async () => {
+    const { user } = renderForm();
+
+    expect(screen.queryByLabelText(/^Sale price/)).not.toBeInTheDocument();
+    await user.click(screen.getByLabelText('On sale'));
+    expect(screen.getByLabelText(/^Sale price/)).toBeInTheDocument();
+  });
+
+  it('leaves the stock of variant products alone', async () => {
+    const { user, onSubmit } = renderForm(jacket);
+
+    expect(screen.queryByLabelText(/^Stock/)).not.toBeInTheDocument();
+    expect(screen.getByText('Stock is set per variant.')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Save changes' }));
+
+    expect(onSubmit).toHaveBeenCalledWith(
+      expect.not.objectContaining({ stock: expect.anything() })
+    );
+  });
+
+  it('lists the errors of a failed save', async () => {
+    const { user } = renderForm(undefined, {
+      success: false,
+      message: 'Please fix the product details',
+      errors: ['Product name must be a non-empty string', 'Product description is required'],
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Add product' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'Product name must be a non-empty string'
+    );
+    expect(screen.getByRole('alert')).toHaveTextContent('Product description is required');
+  });
+
+  it('calls onCancel', async () => {
+    const { user, onCancel } = renderForm(earbuds);
+
+    await user.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
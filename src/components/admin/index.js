@@ -0,0 +1,8 @@
+/**
+ * Admin Sub-components
+ *
+ * Forms and panels used by the catalog administration page
+ */
+
+export { default as ProductForm } from './ProductForm';
+export { default as CatalogImportPreview } from './CatalogImportPreview';
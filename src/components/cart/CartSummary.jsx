@@ -1,14 +1,21 @@
 import { FiArrowRight } from 'react-icons/fi';
 import ShippingOptions from '../ShippingOptions';
+import { useCurrency } from '../../context/CurrencyContext';
+import CouponForm from './CouponForm';
+import DiscountBreakdown from './DiscountBreakdown';
+import TaxLine from './TaxLine';
 
 /**
  * CartSummary - Cart summary and checkout section
  *
- * Displays shipping options, order totals, and checkout button.
+ * Displays shipping options, promo code entry, order totals with an
+ * itemised discount breakdown and tax, and checkout button.
  */
 function CartSummary({
   cartTotal,
   shippingCost,
+  discounts = [],
+  tax,
   total,
   onCheckout,
   onContinueShopping,
@@ -16,6 +23,7 @@ function CartSummary({
   darkMode,
   colors,
 }) {
+  const { formatPrice } = useCurrency();
   const textColor = darkMode ? colors.dark.text : colors.light.text;
   const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
   const primaryColor = darkMode ? colors.dark.primary : colors.light.primary;
@@ -33,29 +41,48 @@ function CartSummary({
       {/* Shipping Options - Compact */}
       <ShippingOptions className="mb-3" compact={true} />
 
+      {/* Promo Code */}
+      <CouponForm className="mb-3" />
+
       {/* Order Summary */}
       <div className="space-y-1 mb-3">
         {/* Subtotal */}
         <div className="flex justify-between text-xs">
           <p style={{ color: subtextColor }}>Subtotal</p>
-          <p style={{ color: textColor }}>${cartTotal.toFixed(2)}</p>
+          <p style={{ color: textColor }}>{formatPrice(cartTotal)}</p>
         </div>
 
         {/* Shipping */}
         <div className="flex justify-between text-xs">
           <p style={{ color: subtextColor }}>Shipping</p>
           <p style={{ color: shippingCost === 0 ? '#22c55e' : textColor }}>
-            {shippingCost === 0 ? 'Free' : `$${shippingCost.toFixed(2)}`}
+            {shippingCost === 0 ? 'Free' : formatPrice(shippingCost)}
           </p>
         </div>
 
+        {/* Discounts */}
+        <DiscountBreakdown discounts={discounts} subtextColor={subtextColor} className="text-xs" />
+
+        {/* Tax */}
+        {tax?.jurisdiction && (
+          <TaxLine
+            label={tax.label}
+            amount={tax.taxTotal}
+            inclusive={tax.inclusive}
+            lines={tax.lines}
+            textColor={textColor}
+            subtextColor={subtextColor}
+            className="text-xs"
+          />
+        )}
+
         {/* Total */}
         <div
           className="flex justify-between text-base font-bold pt-2 mt-1 border-t"
           style={{ borderColor }}
         >
           <p style={{ color: textColor }}>Total</p>
-          <p style={{ color: primaryColor }}>${total.toFixed(2)}</p>
+          <p style={{ color: primaryColor }}>{formatPrice(total)}</p>
         </div>
       </div>
 
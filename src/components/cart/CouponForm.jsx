@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { FiTag, FiX } from 'react-icons/fi';
+import { useTheme } from '../../context/ThemeContext';
+import { useCartTotals } from '../../context/cart';
+
+/**
+ * CouponForm - Promo code entry for the order summary
+ *
+ * Lets the shopper apply one promo code at a time. Once applied the
+ * code is shown with a remove button; if the cart later stops
+ * qualifying, the reason is shown under it.
+ *
+ * @param {Object} props
+ * @param {string} [props.className] - Additional CSS classes
+ */
+function CouponForm({ className = '' }) {
+  const { darkMode, COLORS } = useTheme();
+  const {
+    appliedCoupon,
+    couponDescription,
+    applyCoupon,
+    removeCoupon,
+    isApplyingCoupon,
+    couponError,
+    couponMessage,
+  } = useCartTotals();
+  const [code, setCode] = useState('');
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const inputBg = darkMode ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.02)';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const result = await applyCoupon(code);
+    if (result.success) {
+      setCode('');
+    }
+  };
+
+  if (appliedCoupon) {
+    return (
+      <div className={className}>
+        <div
+          className="flex items-center justify-between rounded-md px-3 py-2 text-sm border"
+          style={{ borderColor }}
+        >
+          <span className="flex items-center gap-2 min-w-0" style={{ color: textColor }}>
+            <FiTag className="h-4 w-4 shrink-0" style={{ color: primaryColor }} />
+            <span className="font-semibold">{appliedCoupon.code}</span>
+            <span className="truncate text-xs" style={{ color: subtextColor }}>
+              {couponDescription}
+            </span>
+          </span>
+          <button
+            type="button"
+            onClick={removeCoupon}
+            className="p-1 rounded cursor-pointer hover:opacity-70"
+            style={{ color: subtextColor }}
+            aria-label={`Remove promo code ${appliedCoupon.code}`}
+          >
+            <FiX className="h-4 w-4" />
+          </button>
+        </div>
+        {couponMessage && (
+          <p className="mt-1 text-xs" style={{ color: 'rgb(234, 179, 8)' }} role="status">
+            {couponMessage}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form className={className} onSubmit={handleSubmit} noValidate>
+      <label
+        htmlFor="promo-code"
+        className="block text-xs font-medium mb-1"
+        style={{ color: textColor }}
+      >
+        Promo code
+      </label>
+      <div className="flex gap-2">
+        <input
+          id="promo-code"
+          name="promoCode"
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          autoComplete="off"
+          className="flex-1 min-w-0 px-3 py-2 text-sm rounded-md border outline-none uppercase"
+          style={{ borderColor, backgroundColor: inputBg, color: textColor }}
+          aria-invalid={Boolean(couponError)}
+          aria-describedby={couponError ? 'promo-code-error' : undefined}
+        />
+        <button
+          type="submit"
+          disabled={isApplyingCoupon || !code.trim()}
+          className="px-4 py-2 text-sm font-medium rounded-md cursor-pointer transition-opacity hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{
+            backgroundColor: primaryColor,
+            color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+          }}
+        >
+          {isApplyingCoupon ? 'Applying...' : 'Apply'}
+        </button>
+      </div>
+      {couponError && (
+        <p id="promo-code-error" className="mt-1 text-xs text-red-500" role="alert">
+          {couponError}
+        </p>
+      )}
+    </form>
+  );
+}
+
+export default CouponForm;
@@ -0,0 +1,40 @@
+import { FiTag } from 'react-icons/fi';
+import { useCurrency } from '../../context/CurrencyContext';
+
+/**
+ * DiscountBreakdown - Itemised promo code discounts
+ *
+ * Renders one summary line per discount so shoppers can see what
+ * each part of a promo code took off. Renders nothing when there
+ * are no discounts.
+ *
+ * @param {Object} props
+ * @param {Array<{ id: string, label: string, amount: number }>} props.discounts - Discount lines
+ * @param {string} [props.subtextColor] - Label colour
+ * @param {string} [props.className] - Additional CSS classes for each line
+ */
+function DiscountBreakdown({ discounts = [], subtextColor, className = 'text-sm' }) {
+  const { formatPrice } = useCurrency();
+
+  if (discounts.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="space-y-1" aria-label="Discounts">
+      {discounts.map((line) => (
+        <li key={line.id} className={`flex justify-between gap-2 ${className}`}>
+          <span className="flex items-center gap-1 min-w-0" style={{ color: subtextColor }}>
+            <FiTag className="h-3 w-3 shrink-0" aria-hidden="true" />
+            <span className="truncate">{line.label}</span>
+          </span>
+          <span className="shrink-0" style={{ color: 'rgb(34, 197, 94)' }}>
+            -{formatPrice(line.amount)}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default DiscountBreakdown;
@@ -0,0 +1,55 @@
+import { useCurrency } from '../../context/CurrencyContext';
+
+/**
+ * TaxLine - Tax row for order summaries
+ *
+ * Tax-exclusive amounts are shown as a regular charge. Tax-inclusive
+ * amounts are already part of the prices, so they are shown as an
+ * "Includes ..." note instead. When more than one rate applies, each
+ * rate is listed underneath.
+ *
+ * @param {Object} props
+ * @param {string} props.label - Tax name (e.g. "GST")
+ * @param {number} props.amount - Total tax
+ * @param {boolean} [props.inclusive=false] - Whether prices already include the tax
+ * @param {Array<{ rate: number, taxableAmount: number, tax: number }>} [props.lines=[]] - Tax per rate
+ * @param {string} [props.textColor] - Amount colour
+ * @param {string} [props.subtextColor] - Label colour
+ * @param {string} [props.className] - Text size classes
+ */
+function TaxLine({
+  label,
+  amount,
+  inclusive = false,
+  lines = [],
+  textColor,
+  subtextColor,
+  className = 'text-sm',
+}) {
+  const { formatPrice } = useCurrency();
+  const rateSuffix = lines.length === 1 ? ` (${lines[0].rate}%)` : '';
+  const title = inclusive ? `Includes ${label}${rateSuffix}` : `${label}${rateSuffix}`;
+
+  return (
+    <div>
+      <div className={`flex justify-between ${className}`}>
+        <span style={{ color: subtextColor }}>{title}</span>
+        <span style={{ color: inclusive ? subtextColor : textColor }}>{formatPrice(amount)}</span>
+      </div>
+      {lines.length > 1 && (
+        <ul className="mt-1 space-y-0.5 pl-3 text-xs" aria-label={`${label} by rate`}>
+          {lines.map((line) => (
+            <li key={line.rate} className="flex justify-between" style={{ color: subtextColor }}>
+              <span>
+                {line.rate}% on {formatPrice(line.taxableAmount)}
+              </span>
+              <span>{formatPrice(line.tax)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TaxLine;
@@ -7,3 +7,6 @@
 export { default as EmptyCart } from './EmptyCart';
 export { default as OrderConfirmation } from './OrderConfirmation';
 export { default as CartSummary } from './CartSummary';
+export { default as CouponForm } from './CouponForm';
+export { default as DiscountBreakdown } from './DiscountBreakdown';
+export { default as TaxLine } from './TaxLine';
@@ -0,0 +1,78 @@
+import { FiCheck } from 'react-icons/fi';
+import { useTheme } from '../../context/ThemeContext';
+import { CHECKOUT_STAGES, CHECKOUT_STAGE_LABELS } from '../../context/cart';
+
+/**
+ * Stages shown in the progress indicator, in order
+ */
+const PROGRESS_STAGES = [
+  CHECKOUT_STAGES.CART,
+  CHECKOUT_STAGES.SHIPPING,
+  CHECKOUT_STAGES.PAYMENT,
+  CHECKOUT_STAGES.REVIEW,
+];
+
+/**
+ * CheckoutProgress - Step indicator for the checkout wizard
+ *
+ * Shows each checkout stage with completed stages checked and the
+ * current stage marked with aria-current="step".
+ *
+ * @param {Object} props
+ * @param {string} props.stage - Current checkout stage
+ */
+function CheckoutProgress({ stage }) {
+  const { darkMode, COLORS } = useTheme();
+
+  const currentIndex = PROGRESS_STAGES.indexOf(stage);
+
+  // Styles
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const onPrimaryColor = darkMode ? COLORS.dark.modalBackground : COLORS.light.background;
+
+  return (
+    <ol className="flex items-center gap-2 mb-6" aria-label="Checkout progress">
+      {PROGRESS_STAGES.map((progressStage, index) => {
+        const isComplete = index < currentIndex;
+        const isCurrent = index === currentIndex;
+        const isActive = isComplete || isCurrent;
+
+        return (
+          <li
+            key={progressStage}
+            className="flex items-center gap-2 flex-1 last:flex-none"
+            aria-current={isCurrent ? 'step' : undefined}
+          >
+            <span
+              className="h-7 w-7 flex items-center justify-center rounded-full text-xs font-semibold border-2 shrink-0"
+              style={{
+                borderColor: isActive ? primaryColor : borderColor,
+                backgroundColor: isActive ? primaryColor : 'transparent',
+                color: isActive ? onPrimaryColor : subtextColor,
+              }}
+            >
+              {isComplete ? <FiCheck className="h-3.5 w-3.5" aria-hidden="true" /> : index + 1}
+            </span>
+            <span
+              className="text-sm font-medium hidden sm:inline"
+              style={{ color: isActive ? primaryColor : subtextColor }}
+            >
+              {CHECKOUT_STAGE_LABELS[progressStage]}
+            </span>
+            {index < PROGRESS_STAGES.length - 1 && (
+              <span
+                className="h-0.5 flex-1 rounded"
+                style={{ backgroundColor: isComplete ? primaryColor : borderColor }}
+                aria-hidden="true"
+              />
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+export default CheckoutProgress;
@@ -0,0 +1,108 @@
+import { FiArrowLeft, FiArrowRight, FiAlertCircle } from 'react-icons/fi';
+import { useTheme } from '../../context/ThemeContext';
+import { useCheckout, CHECKOUT_STAGES, CHECKOUT_STAGE_LABELS } from '../../context/cart';
+import CheckoutProgress from './CheckoutProgress';
+import ShippingStep from './ShippingStep';
+import PaymentStep from './PaymentStep';
+import ReviewStep from './ReviewStep';
+
+/**
+ * Stage order used for back/continue navigation
+ */
+const STAGE_ORDER = Object.values(CHECKOUT_STAGES);
+
+/**
+ * CheckoutWizard - Multi-step checkout form
+ *
+ * Renders the step for the current stage with back/continue controls.
+ * Each step is validated via the checkout context before moving on.
+ * The owning page decides how navigation is stored (e.g. in the URL).
+ *
+ * @param {Object} props
+ * @param {string} props.stage - Current checkout stage (shipping, payment or review)
+ * @param {Function} props.onNavigate - Called with the stage to move to
+ * @param {Function} props.onPlaceOrder - Called from the review step to place the order
+ */
+function CheckoutWizard({ stage, onNavigate, onPlaceOrder }) {
+  const { darkMode, COLORS } = useTheme();
+  const { validateStage, isCheckingOut, checkoutError } = useCheckout();
+
+  const stageIndex = STAGE_ORDER.indexOf(stage);
+  const previousStage = STAGE_ORDER[stageIndex - 1];
+  const nextStage = STAGE_ORDER[stageIndex + 1];
+  const isReview = stage === CHECKOUT_STAGES.REVIEW;
+
+  // Styles
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const cardBg = darkMode ? COLORS.dark.secondary : COLORS.light.background;
+
+  const handleContinue = () => {
+    if (isReview) {
+      onPlaceOrder();
+    } else if (validateStage(stage)) {
+      onNavigate(nextStage);
+    }
+  };
+
+  return (
+    <div className="rounded-lg p-6" style={{ backgroundColor: cardBg }}>
+      <CheckoutProgress stage={stage} />
+
+      <h2 className="sr-only">{CHECKOUT_STAGE_LABELS[stage]}</h2>
+
+      {stage === CHECKOUT_STAGES.SHIPPING && <ShippingStep />}
+      {stage === CHECKOUT_STAGES.PAYMENT && <PaymentStep />}
+      {isReview && <ReviewStep onEdit={onNavigate} />}
+
+      {checkoutError && (
+        <div
+          className="mt-4 p-3 rounded-md text-sm flex items-start gap-2"
+          style={{ color: '#ef4444', backgroundColor: 'rgba(239, 68, 68, 0.1)' }}
+          role="alert"
+        >
+          <FiAlertCircle className="h-4 w-4 mt-0.5 shrink-0" aria-hidden="true" />
+          {checkoutError}
+        </div>
+      )}
+
+      {/* Step Navigation */}
+      <div className="flex items-center justify-between gap-4 mt-6">
+        <button
+          type="button"
+          onClick={() => onNavigate(previousStage)}
+          disabled={isCheckingOut}
+          className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-md transition-opacity hover:opacity-80 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{ color: primaryColor }}
+        >
+          <FiArrowLeft className="h-4 w-4" />
+          Back to {CHECKOUT_STAGE_LABELS[previousStage]}
+        </button>
+        <button
+          type="button"
+          onClick={handleContinue}
+          disabled={isCheckingOut}
+          className="inline-flex items-center gap-2 px-6 py-3 text-sm font-semibold rounded-md transition-all hover:opacity-90 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{
+            backgroundColor: primaryColor,
+            color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+          }}
+        >
+          {isReview ? (
+            isCheckingOut ? (
+              'Placing Order...'
+            ) : (
+              'Place Order'
+            )
+          ) : (
+            <>
+              Continue to {CHECKOUT_STAGE_LABELS[nextStage]}
+              <FiArrowRight className="h-4 w-4" />
+            </>
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CheckoutWizard;
@@ -0,0 +1,88 @@
+// CheckoutWizard component tests
+import { describe, it, expect, vi } from 'vitest';
+import { screen } from '@testing-library/react';
+import CheckoutWizard from './CheckoutWizard';
+import { render } from '../../testing/test-utils';
+
+const renderWizard = (stage) => {
+  const onNavigate = vi.fn();
+  const onPlaceOrder = vi.fn();
+  const result = render(
+    <CheckoutWizard stage={stage} onNavigate={onNavigate} onPlaceOrder={onPlaceOrder} />
+  );
+  return { ...result, onNavigate, onPlaceOrder };
+};
+
+describe('CheckoutWizard', () => {
+  describe('shipping step', () => {
+    it('renders the address form', () => {
+      renderWizard('shipping');
+
+      expect(screen.getByRole('heading', { name: /shipping address/i })).toBeInTheDocument();
+      expect(screen.getByLabelText(/zip code/i)).toBeInTheDocument();
+    });
+
+    it('continues to payment when the address is valid', async () => {
+      const { user, onNavigate } = renderWizard('shipping');
+
+      await user.click(screen.getByRole('button', { name: /continue to payment/i }));
+
+      expect(onNavigate).toHaveBeenCalledWith('payment');
+    });
+
+    it('does not continue when the address is invalid', async () => {
+      const { user, onNavigate } = renderWizard('shipping');
+
+      await user.clear(screen.getByLabelText(/email/i));
+      await user.type(screen.getByLabelText(/email/i), 'not-an-email');
+      await user.click(screen.getByRole('button', { name: /continue to payment/i }));
+
+      expect(onNavigate).not.toHaveBeenCalled();
+      expect(screen.getByLabelText(/email/i)).toHaveAttribute('aria-invalid', 'true');
+    });
+
+    it('goes back to the cart', async () => {
+      const { user, onNavigate } = renderWizard('shipping');
+
+      await user.click(screen.getByRole('button', { name: /back to cart/i }));
+
+      expect(onNavigate).toHaveBeenCalledWith('cart');
+    });
+  });
+
+  describe('payment step', () => {
+    it('formats the card number while typing', async () => {
+      const { user } = renderWizard('payment');
+
+      await user.type(screen.getByLabelText(/card number/i), '4242424242424242');
+
+      expect(screen.getByLabelText(/card number/i)).toHaveValue('4242 4242 4242 4242');
+    });
+
+    it('formats the expiry date while typing', async () => {
+      const { user } = renderWizard('payment');
+
+      await user.type(screen.getByLabelText(/expiry/i), '1230');
+
+      expect(screen.getByLabelText(/expiry/i)).toHaveValue('12/30');
+    });
+  });
+
+  describe('review step', () => {
+    it('places the order', async () => {
+      const { user, onPlaceOrder } = renderWizard('review');
+
+      await user.click(screen.getByRole('button', { name: /place order/i }));
+
+      expect(onPlaceOrder).toHaveBeenCalled();
+    });
+
+    it('links each section back to its step', async () => {
+      const { user, onNavigate } = renderWizard('review');
+
+      await user.click(screen.getByRole('button', { name: /edit payment/i }));
+
+      expect(onNavigate).toHaveBeenCalledWith('payment');
+    });
+  });
+});
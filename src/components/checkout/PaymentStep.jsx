@@ -0,0 +1,86 @@
+import { FiLock } from 'react-icons/fi';
+import { useTheme } from '../../context/ThemeContext';
+import { useCheckout } from '../../context/cart';
+import FormField from '../common/FormField';
+
+/**
+ * Format a card number into groups of four digits
+ * @param {string} value - Raw input value
+ * @returns {string} Formatted card number
+ */
+function formatCardNumber(value) {
+  return value
+    .replace(/\D/g, '')
+    .slice(0, 19)
+    .replace(/(\d{4})(?=\d)/g, '$1 ');
+}
+
+/**
+ * Format an expiry date as MM/YY while typing
+ * @param {string} value - Raw input value
+ * @returns {string} Formatted expiry date
+ */
+function formatExpiry(value) {
+  const digits = value.replace(/\D/g, '').slice(0, 4);
+  return digits.length > 2 ? `${digits.slice(0, 2)}/${digits.slice(2)}` : digits;
+}
+
+/**
+ * PaymentStep - Mock card payment checkout step
+ *
+ * No payment is processed; only the cardholder name and last
+ * four digits are kept on the placed order.
+ */
+function PaymentStep() {
+  const { darkMode, COLORS } = useTheme();
+  const { paymentDetails, updatePaymentDetails, validationErrors } = useCheckout();
+
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    const formatters = { cardNumber: formatCardNumber, expiry: formatExpiry };
+    updatePaymentDetails({ [name]: formatters[name] ? formatters[name](value) : value });
+  };
+
+  const fieldProps = (name) => ({
+    name,
+    value: paymentDetails[name],
+    onChange: handleChange,
+    error: validationErrors[name],
+    touched: Boolean(validationErrors[name]),
+    required: true,
+  });
+
+  return (
+    <div>
+      <h3 className="text-base font-semibold mb-1" style={{ color: textColor }}>
+        Payment Details
+      </h3>
+      <p className="text-xs mb-4 flex items-center gap-1" style={{ color: subtextColor }}>
+        <FiLock className="h-3 w-3" aria-hidden="true" />
+        This is a demo store - no card will be charged.
+      </p>
+
+      <FormField label="Name on Card" maxLength={50} {...fieldProps('cardName')} />
+      <FormField
+        label="Card Number"
+        placeholder="1234 5678 9012 3456"
+        maxLength={23}
+        {...fieldProps('cardNumber')}
+      />
+      <div className="grid grid-cols-2 gap-x-4">
+        <FormField
+          label="Expiry (MM/YY)"
+          placeholder="MM/YY"
+          maxLength={5}
+          {...fieldProps('expiry')}
+        />
+        <FormField label="CVC" maxLength={4} {...fieldProps('cvc')} />
+      </div>
+    </div>
+  );
+}
+
+export default PaymentStep;
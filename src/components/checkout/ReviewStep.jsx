@@ -0,0 +1,115 @@
+import { useTheme } from '../../context/ThemeContext';
+import { useCurrency } from '../../context/CurrencyContext';
+import { useCartItems, useCartTotals, useCheckout, CHECKOUT_STAGES } from '../../context/cart';
+import { getCartItemId } from '../../utils/id';
+
+/**
+ * ReviewStep - Final order review before placing the order
+ *
+ * Summarises items, shipping address, shipping method and payment card,
+ * with links back to the stage that edits each section.
+ *
+ * @param {Object} props
+ * @param {Function} props.onEdit - Called with the stage to return to
+ */
+function ReviewStep({ onEdit }) {
+  const { darkMode, COLORS } = useTheme();
+  const { formatPrice } = useCurrency();
+  const { cartItems } = useCartItems();
+  const { selectedShippingOption, shippingCost, lineTotals } = useCartTotals();
+  const { shippingAddress, paymentDetails } = useCheckout();
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+
+  const cardLast4 = paymentDetails.cardNumber.replace(/\D/g, '').slice(-4);
+
+  const renderSection = (title, stage, children) => (
+    <section className="py-4 border-b" style={{ borderColor }}>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold" style={{ color: textColor }}>
+          {title}
+        </h3>
+        <button
+          type="button"
+          onClick={() => onEdit(stage)}
+          className="text-xs font-medium hover:underline cursor-pointer"
+          style={{ color: primaryColor }}
+          aria-label={`Edit ${title.toLowerCase()}`}
+        >
+          Edit
+        </button>
+      </div>
+      <div className="text-sm" style={{ color: subtextColor }}>
+        {children}
+      </div>
+    </section>
+  );
+
+  return (
+    <div>
+      <h3 className="text-base font-semibold mb-2" style={{ color: textColor }}>
+        Review Your Order
+      </h3>
+
+      {renderSection(
+        'Items',
+        CHECKOUT_STAGES.CART,
+        <ul className="space-y-1">
+          {cartItems.map((item) => {
+            const cartItemId = getCartItemId(item);
+            return (
+              <li key={cartItemId} className="flex justify-between gap-4">
+                <span className="truncate">
+                  {item.name}
+                  {item.variantLabel && ` (${item.variantLabel})`} × {item.quantity}
+                </span>
+                <span style={{ color: textColor }}>{formatPrice(lineTotals[cartItemId])}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {renderSection(
+        'Shipping Address',
+        CHECKOUT_STAGES.SHIPPING,
+        <address className="not-italic">
+          <span className="block font-medium" style={{ color: textColor }}>
+            {shippingAddress.firstName} {shippingAddress.lastName}
+          </span>
+          <span className="block">{shippingAddress.address}</span>
+          <span className="block">
+            {[shippingAddress.city, shippingAddress.state, shippingAddress.zip]
+              .filter(Boolean)
+              .join(', ')}
+          </span>
+          <span className="block">{shippingAddress.country}</span>
+          <span className="block">{shippingAddress.email}</span>
+        </address>
+      )}
+
+      {renderSection(
+        'Shipping Method',
+        CHECKOUT_STAGES.SHIPPING,
+        <p>
+          {selectedShippingOption?.name} ({selectedShippingOption?.estimatedDelivery}) -{' '}
+          {shippingCost === 0 ? 'Free' : formatPrice(shippingCost)}
+        </p>
+      )}
+
+      {renderSection(
+        'Payment',
+        CHECKOUT_STAGES.PAYMENT,
+        <p>
+          {paymentDetails.cardName} · Card ending in {cardLast4}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ReviewStep;
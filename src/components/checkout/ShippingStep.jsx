@@ -0,0 +1,65 @@
+import { useTheme } from '../../context/ThemeContext';
+import { useCheckout } from '../../context/cart';
+import FormField from '../common/FormField';
+import ShippingOptions from '../ShippingOptions';
+
+/**
+ * Address form layout - field name, label and input options
+ */
+const ADDRESS_FORM_FIELDS = [
+  { name: 'firstName', label: 'First Name', required: true, maxLength: 50, half: true },
+  { name: 'lastName', label: 'Last Name', required: true, maxLength: 50, half: true },
+  { name: 'email', label: 'Email', type: 'email', required: true, half: true },
+  { name: 'phone', label: 'Phone', type: 'tel', half: true },
+  { name: 'address', label: 'Street Address', required: true },
+  { name: 'city', label: 'City', required: true, half: true },
+  { name: 'state', label: 'State', required: true, half: true },
+  { name: 'zip', label: 'ZIP Code', required: true, maxLength: 10, half: true },
+  { name: 'country', label: 'Country', required: true, half: true },
+];
+
+/**
+ * ShippingStep - Shipping address and method checkout step
+ *
+ * Address fields are prefilled from the user's profile and
+ * validated through the checkout context's validationErrors.
+ */
+function ShippingStep() {
+  const { darkMode, COLORS } = useTheme();
+  const { shippingAddress, updateShippingAddress, validationErrors } = useCheckout();
+
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+
+  const handleChange = (e) => {
+    updateShippingAddress({ [e.target.name]: e.target.value });
+  };
+
+  return (
+    <div>
+      <h3 className="text-base font-semibold mb-4" style={{ color: textColor }}>
+        Shipping Address
+      </h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4">
+        {ADDRESS_FORM_FIELDS.map(({ name, label, type, required, maxLength, half }) => (
+          <FormField
+            key={name}
+            label={label}
+            name={name}
+            type={type}
+            value={shippingAddress[name]}
+            onChange={handleChange}
+            error={validationErrors[name]}
+            touched={Boolean(validationErrors[name])}
+            required={required}
+            maxLength={maxLength}
+            className={half ? '' : 'sm:col-span-2'}
+          />
+        ))}
+      </div>
+
+      <ShippingOptions className="mt-2" />
+    </div>
+  );
+}
+
+export default ShippingStep;
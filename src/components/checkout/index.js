@@ -0,0 +1,11 @@
+/**
+ * Checkout Sub-components
+ *
+ * Step components for the multi-stage checkout wizard
+ */
+
+export { default as CheckoutWizard } from './CheckoutWizard';
+export { default as CheckoutProgress } from './CheckoutProgress';
+export { default as ShippingStep } from './ShippingStep';
+export { default as PaymentStep } from './PaymentStep';
+export { default as ReviewStep } from './ReviewStep';
@@ -0,0 +1,265 @@
+import { useId } from 'react';
+import { useTheme } from '../../context/ThemeContext';
+import { useFilter } from '../../context/FilterContext';
+import { useCurrency } from '../../context/CurrencyContext';
+import { useProductFacets } from '../../hooks/useProductFacets';
+
+/**
+ * FacetSection - Titled group of facet controls
+ */
+function FacetSection({ title, children, borderColor, textColor }) {
+  return (
+    <fieldset className="py-4 border-b" style={{ borderColor }}>
+      <legend className="sr-only">{title}</legend>
+      <h3 className="text-sm font-semibold mb-3" aria-hidden="true" style={{ color: textColor }}>
+        {title}
+      </h3>
+      <div className="space-y-2">{children}</div>
+    </fieldset>
+  );
+}
+
+/**
+ * FacetOption - Checkbox or radio with a live count
+ */
+function FacetOption({
+  type = 'checkbox',
+  name,
+  label,
+  count,
+  checked,
+  onChange,
+  textColor,
+  subtextColor,
+}) {
+  const disabled = count === 0 && !checked;
+
+  return (
+    <label
+      className={`flex items-center justify-between gap-2 text-sm ${
+        disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
+      }`}
+      style={{ color: textColor }}
+    >
+      <span className="flex items-center gap-2">
+        <input
+          type={type}
+          name={name}
+          checked={checked}
+          disabled={disabled}
+          onChange={onChange}
+          className="h-4 w-4 accent-current"
+        />
+        {label}
+      </span>
+      {count !== undefined && (
+        <span className="text-xs tabular-nums" style={{ color: subtextColor }}>
+          ({count})
+        </span>
+      )}
+    </label>
+  );
+}
+
+/**
+ * FacetPanel - Product facet filters with live counts
+ *
+ * Price range, colour, availability, on-sale, delivery-time and
+ * customer-rating facets.
+ * Selections are written to the URL through FilterContext, and counts
+ * come from the products service so they match the listing.
+ * Used as the ProductsPage sidebar and inside MobileSidebar.
+ *
+ * @param {Object} props
+ * @param {'sidebar'|'compact'} [props.variant='sidebar'] - Sidebar shows a heading; compact is for the mobile menu
+ * @param {string} [props.className] - Additional CSS classes
+ */
+function FacetPanel({ variant = 'sidebar', className = '' }) {
+  const { darkMode, COLORS } = useTheme();
+  const { formatPrice } = useCurrency();
+  const {
+    facets: selected,
+    activeFacetCount,
+    setPriceRange,
+    toggleColour,
+    setInStock,
+    setOnSale,
+    setMaxDeliveryDays,
+    setMinRating,
+    clearFacets,
+  } = useFilter();
+  const { facets, isLoading } = useProductFacets();
+  const idPrefix = useId();
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const optionColors = { textColor, subtextColor };
+
+  // Slider positions default to the full range
+  const { min: priceFloor, max: priceCeiling } = facets.price;
+  const minPrice = Math.max(priceFloor, Math.min(selected.minPrice ?? priceFloor, priceCeiling));
+  const maxPrice = Math.min(priceCeiling, Math.max(selected.maxPrice ?? priceCeiling, minPrice));
+
+  // Keep a bound out of the URL when it sits at the edge of the range
+  const handleMinPriceChange = (e) => {
+    const value = Math.min(Number(e.target.value), maxPrice);
+    setPriceRange(value > priceFloor ? value : undefined, selected.maxPrice);
+  };
+
+  const handleMaxPriceChange = (e) => {
+    const value = Math.max(Number(e.target.value), minPrice);
+    setPriceRange(selected.minPrice, value < priceCeiling ? value : undefined);
+  };
+
+  return (
+    <div className={className} aria-label="Product filters" role="group" aria-busy={isLoading}>
+      {/* Header */}
+      <div className="flex items-center justify-between pb-2">
+        {variant === 'sidebar' && (
+          <h2 className="text-lg font-bold" style={{ color: textColor }}>
+            Filters
+          </h2>
+        )}
+        {activeFacetCount > 0 && (
+          <button
+            onClick={clearFacets}
+            className="text-sm font-medium cursor-pointer hover:opacity-80 transition-opacity ml-auto"
+            style={{ color: primaryColor }}
+          >
+            Clear all
+          </button>
+        )}
+      </div>
+
+      {/* Price Range */}
+      <FacetSection title="Price" borderColor={borderColor} textColor={textColor}>
+        <div className="flex justify-between text-sm" style={{ color: textColor }}>
+          <span>{formatPrice(minPrice, { wholeUnits: true })}</span>
+          <span>{formatPrice(maxPrice, { wholeUnits: true })}</span>
+        </div>
+        <label className="block">
+          <span className="sr-only">Minimum price</span>
+          <input
+            type="range"
+            min={priceFloor}
+            max={priceCeiling}
+            step={1}
+            value={minPrice}
+            onChange={handleMinPriceChange}
+            disabled={priceFloor === priceCeiling}
+            className="w-full cursor-pointer"
+            style={{ accentColor: primaryColor }}
+          />
+        </label>
+        <label className="block">
+          <span className="sr-only">Maximum price</span>
+          <input
+            type="range"
+            min={priceFloor}
+            max={priceCeiling}
+            step={1}
+            value={maxPrice}
+            onChange={handleMaxPriceChange}
+            disabled={priceFloor === priceCeiling}
+            className="w-full cursor-pointer"
+            style={{ accentColor: primaryColor }}
+          />
+        </label>
+        <p className="text-xs" style={{ color: subtextColor }} aria-live="polite">
+          {facets.price.count} {facets.price.count === 1 ? 'product' : 'products'} in range
+        </p>
+      </FacetSection>
+
+      {/* Colour */}
+      {facets.colours.length > 0 && (
+        <FacetSection title="Colour" borderColor={borderColor} textColor={textColor}>
+          {facets.colours.map(({ value, count }) => (
+            <FacetOption
+              key={value}
+              label={value}
+              count={count}
+              checked={selected.colours.includes(value)}
+              onChange={() => toggleColour(value)}
+              {...optionColors}
+            />
+          ))}
+        </FacetSection>
+      )}
+
+      {/* Availability */}
+      <FacetSection title="Availability" borderColor={borderColor} textColor={textColor}>
+        <FacetOption
+          label="In stock"
+          count={facets.inStock}
+          checked={selected.inStock}
+          onChange={(e) => setInStock(e.target.checked)}
+          {...optionColors}
+        />
+      </FacetSection>
+
+      {/* On Sale */}
+      <FacetSection title="Sale" borderColor={borderColor} textColor={textColor}>
+        <FacetOption
+          label="On sale"
+          count={facets.onSale}
+          checked={selected.onSale}
+          onChange={(e) => setOnSale(e.target.checked)}
+          {...optionColors}
+        />
+      </FacetSection>
+
+      {/* Delivery Time */}
+      <FacetSection title="Delivery time" borderColor={borderColor} textColor={textColor}>
+        <FacetOption
+          type="radio"
+          name={`${idPrefix}-delivery`}
+          label="Any time"
+          checked={selected.maxDeliveryDays === undefined}
+          onChange={() => setMaxDeliveryDays(null)}
+          {...optionColors}
+        />
+        {facets.delivery.map(({ days, count }) => (
+          <FacetOption
+            key={days}
+            type="radio"
+            name={`${idPrefix}-delivery`}
+            label={`Within ${days} days`}
+            count={count}
+            checked={selected.maxDeliveryDays === days}
+            onChange={() => setMaxDeliveryDays(days)}
+            {...optionColors}
+          />
+        ))}
+      </FacetSection>
+
+      {/* Customer Rating */}
+      <FacetSection title="Customer rating" borderColor={borderColor} textColor={textColor}>
+        <FacetOption
+          type="radio"
+          name={`${idPrefix}-rating`}
+          label="Any rating"
+          checked={selected.minRating === undefined}
+          onChange={() => setMinRating(null)}
+          {...optionColors}
+        />
+        {facets.ratings.map(({ minRating, count }) => (
+          <FacetOption
+            key={minRating}
+            type="radio"
+            name={`${idPrefix}-rating`}
+            label={`${minRating} stars & up`}
+            count={count}
+            checked={selected.minRating === minRating}
+            onChange={() => setMinRating(minRating)}
+            {...optionColors}
+          />
+        ))}
+      </FacetSection>
+    </div>
+  );
+}
+
+export default FacetPanel;
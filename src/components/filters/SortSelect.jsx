@@ -0,0 +1,52 @@
+import { useTheme } from '../../context/ThemeContext';
+import { useFilter } from '../../context/FilterContext';
+import { SORT_OPTION_LABELS } from '../../services/productsApi';
+
+/**
+ * SortSelect - Listing sort order picker
+ *
+ * Native select bound to the sort order in FilterContext, so the choice
+ * is kept in the URL and shared by every listing view.
+ *
+ * @param {Object} props
+ * @param {string} [props.id='sort-select'] - Select element ID
+ * @param {Array<string>} [props.exclude] - `SORT_OPTIONS` values to leave out (e.g. on sale first on the offers page)
+ * @param {string} [props.className] - Additional CSS classes
+ */
+function SortSelect({ id = 'sort-select', exclude = [], className = '' }) {
+  const { darkMode, COLORS } = useTheme();
+  const { sortBy, setSortBy } = useFilter();
+
+  const options = Object.entries(SORT_OPTION_LABELS).filter(([value]) => !exclude.includes(value));
+
+  return (
+    <div className={`flex items-center gap-2 ${className}`}>
+      <label
+        htmlFor={id}
+        className="text-sm font-medium whitespace-nowrap"
+        style={{ color: darkMode ? COLORS.dark.text : COLORS.light.text }}
+      >
+        Sort by
+      </label>
+      <select
+        id={id}
+        value={sortBy}
+        onChange={(e) => setSortBy(e.target.value)}
+        className="h-10 px-3 rounded-full text-sm font-medium cursor-pointer outline-none transition-colors"
+        style={{
+          backgroundColor: darkMode ? COLORS.dark.secondary : COLORS.light.secondary,
+          color: darkMode ? COLORS.dark.primary : COLORS.light.primary,
+          boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+        }}
+      >
+        {options.map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default SortSelect;
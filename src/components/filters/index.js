@@ -0,0 +1,8 @@
+/**
+ * Filter Sub-components
+ *
+ * Product facet and sort controls shared by the listing pages and mobile menu
+ */
+
+export { default as FacetPanel } from './FacetPanel';
+export { default as SortSelect } from './SortSelect';
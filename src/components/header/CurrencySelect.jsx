@@ -0,0 +1,42 @@
+import { useTheme } from '../../context/ThemeContext';
+import { useCurrency } from '../../context/CurrencyContext';
+
+/**
+ * CurrencySelect - Display currency picker
+ *
+ * Native select bound to the currency context. Shows currency codes
+ * only by default (header bar); `showNames` adds currency names for
+ * the mobile sidebar.
+ *
+ * @param {Object} props
+ * @param {string} [props.id='currency-select'] - Select element ID
+ * @param {boolean} [props.showNames=false] - Show currency names next to codes
+ * @param {string} [props.className] - Additional CSS classes
+ */
+function CurrencySelect({ id = 'currency-select', showNames = false, className = '' }) {
+  const { darkMode, COLORS } = useTheme();
+  const { currencyCode, currencies, setCurrency } = useCurrency();
+
+  return (
+    <select
+      id={id}
+      value={currencyCode}
+      onChange={(e) => setCurrency(e.target.value)}
+      className={`h-10 px-3 rounded-full text-sm font-medium cursor-pointer outline-none transition-colors ${className}`}
+      style={{
+        backgroundColor: darkMode ? COLORS.dark.secondary : COLORS.light.secondary,
+        color: darkMode ? COLORS.dark.primary : COLORS.light.primary,
+        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+      }}
+      aria-label="Currency"
+    >
+      {currencies.map((currency) => (
+        <option key={currency.code} value={currency.code}>
+          {showNames ? `${currency.code} - ${currency.name}` : currency.code}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default CurrencySelect;
@@ -7,3 +7,5 @@
 export { default as CartButton } from './CartButton';
 export { default as ThemeToggle } from './ThemeToggle';
 export { default as ProfileDropdown } from './ProfileDropdown';
+export { default as WishlistButton } from './WishlistButton';
+export { default as CurrencySelect } from './CurrencySelect';
@@ -0,0 +1,80 @@
+import { useTheme } from '../../context/ThemeContext';
+import { REVIEW_LIMITS } from '../../constants';
+import StarRating from './StarRating';
+
+// Matches the filled stars
+const BAR_COLOR = '#f59e0b';
+
+/**
+ * RatingSummary - Average rating with a bar per star level
+ *
+ * @param {Object} props
+ * @param {import('../../utils/reviews').RatingSummary} props.summary - Rating summary
+ */
+function RatingSummary({ summary }) {
+  const { darkMode, COLORS } = useTheme();
+  const { average, count, histogram } = summary;
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const trackColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.08)';
+
+  // Highest star level first
+  const levels = [];
+  for (let stars = REVIEW_LIMITS.MAX_RATING; stars >= REVIEW_LIMITS.MIN_RATING; stars--) {
+    levels.push(stars);
+  }
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-[auto_1fr] gap-4 sm:gap-8 items-center">
+      <div className="text-center sm:text-left">
+        <p className="text-4xl font-bold" style={{ color: textColor }}>
+          {count > 0 ? average.toFixed(1) : '–'}
+        </p>
+        <StarRating rating={average} />
+        <p className="text-sm mt-1" style={{ color: subtextColor }}>
+          {count} {count === 1 ? 'review' : 'reviews'}
+        </p>
+      </div>
+
+      <ul className="space-y-1" aria-label="Rating breakdown">
+        {levels.map((stars) => {
+          const levelCount = histogram[stars] ?? 0;
+          const percent = count > 0 ? Math.round((levelCount / count) * 100) : 0;
+
+          return (
+            <li
+              key={stars}
+              className="flex items-center gap-2 text-sm"
+              aria-label={`${stars} stars: ${levelCount} ${levelCount === 1 ? 'review' : 'reviews'}`}
+            >
+              <span className="w-12 shrink-0" style={{ color: subtextColor }} aria-hidden="true">
+                {stars} star
+              </span>
+              <span
+                className="flex-1 h-2 rounded-full overflow-hidden"
+                style={{ backgroundColor: trackColor }}
+                aria-hidden="true"
+              >
+                <span
+                  className="block h-full rounded-full"
+                  style={{ width: `${percent}%`, backgroundColor: BAR_COLOR }}
+                />
+              </span>
+              <span
+                className="w-8 text-right tabular-nums"
+                style={{ color: subtextColor }}
+                aria-hidden="true"
+              >
+                {levelCount}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default RatingSummary;
@@ -0,0 +1,194 @@
+import { useId, useState } from 'react';
+import { FiStar } from 'react-icons/fi';
+import { useTheme } from '../../context/ThemeContext';
+import { useToast } from '../../context/ToastContext';
+import { REVIEW_LIMITS } from '../../constants';
+import FormField from '../common/FormField';
+
+const INITIAL_VALUES = { rating: 0, author: '', title: '', body: '' };
+
+/**
+ * ReviewForm - Star rating and written review for a product
+ *
+ * Values are sanitized and validated by `reviewsApi.submit`; field
+ * errors it returns are shown next to each field and cleared as the
+ * shopper edits that field.
+ *
+ * @param {Object} props
+ * @param {Function} props.onSubmit - Called with the form values, resolves to the API result
+ * @param {boolean} [props.verified=false] - Whether the review will be marked as a verified purchase
+ */
+function ReviewForm({ onSubmit, verified = false }) {
+  const { darkMode, COLORS } = useTheme();
+  const { showSuccess, showError } = useToast();
+  const idPrefix = useId();
+  const [values, setValues] = useState(INITIAL_VALUES);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const inputBg = darkMode ? COLORS.dark.secondary : COLORS.light.background;
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const errorColor = '#ef4444';
+  const inputBorder = darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)';
+
+  const setField = (name, value) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+    setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleChange = (e) => setField(e.target.name, e.target.value);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const result = await onSubmit(values);
+
+      if (result.success) {
+        setValues(INITIAL_VALUES);
+        setFieldErrors({});
+        showSuccess(result.message);
+      } else {
+        setFieldErrors(result.fieldErrors ?? {});
+      }
+    } catch {
+      showError('Could not submit your review. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const bodyId = `${idPrefix}-body`;
+  const ratingErrorId = `${idPrefix}-rating-error`;
+
+  return (
+    <form onSubmit={handleSubmit} noValidate aria-label="Write a review">
+      {/* Star rating */}
+      <fieldset
+        className="mb-4"
+        aria-invalid={Boolean(fieldErrors.rating)}
+        aria-describedby={fieldErrors.rating ? ratingErrorId : undefined}
+      >
+        <legend className="block text-sm font-medium mb-2" style={{ color: textColor }}>
+          Your rating<span className="text-red-500 ml-1">*</span>
+        </legend>
+        <div className="flex gap-1">
+          {Array.from({ length: REVIEW_LIMITS.MAX_RATING }, (_, index) => {
+            const stars = index + 1;
+            const isFilled = stars <= values.rating;
+
+            return (
+              <label key={stars} className="cursor-pointer">
+                <input
+                  type="radio"
+                  name={`${idPrefix}-rating`}
+                  value={stars}
+                  checked={values.rating === stars}
+                  onChange={() => setField('rating', stars)}
+                  className="sr-only peer"
+                  aria-label={`${stars} ${stars === 1 ? 'star' : 'stars'}`}
+                />
+                <FiStar
+                  className="h-7 w-7 rounded peer-focus-visible:ring-2"
+                  style={{ color: '#f59e0b', '--tw-ring-color': primaryColor }}
+                  fill={isFilled ? 'currentColor' : 'none'}
+                  aria-hidden="true"
+                />
+              </label>
+            );
+          })}
+        </div>
+        {fieldErrors.rating && (
+          <p id={ratingErrorId} className="text-xs mt-1" style={{ color: errorColor }} role="alert">
+            {fieldErrors.rating}
+          </p>
+        )}
+      </fieldset>
+
+      <FormField
+        label="Name"
+        name="author"
+        value={values.author}
+        onChange={handleChange}
+        error={fieldErrors.author}
+        touched={Boolean(fieldErrors.author)}
+        required
+        maxLength={REVIEW_LIMITS.AUTHOR_MAX_LENGTH}
+      />
+
+      <FormField
+        label="Title"
+        name="title"
+        value={values.title}
+        onChange={handleChange}
+        error={fieldErrors.title}
+        touched={Boolean(fieldErrors.title)}
+        placeholder="Sum it up in a few words"
+        maxLength={REVIEW_LIMITS.TITLE_MAX_LENGTH}
+      />
+
+      {/* Review text */}
+      <div className="mb-4">
+        <label
+          htmlFor={bodyId}
+          className="block text-sm font-medium mb-2"
+          style={{ color: textColor }}
+        >
+          Review<span className="text-red-500 ml-1">*</span>
+        </label>
+        <textarea
+          id={bodyId}
+          name="body"
+          rows={4}
+          value={values.body}
+          onChange={handleChange}
+          maxLength={REVIEW_LIMITS.BODY_MAX_LENGTH}
+          aria-invalid={Boolean(fieldErrors.body)}
+          aria-describedby={fieldErrors.body ? `${bodyId}-error` : undefined}
+          className="w-full px-4 py-2 rounded-lg transition-all focus:outline-none focus:ring-2"
+          style={{
+            backgroundColor: inputBg,
+            color: textColor,
+            border: `1px solid ${fieldErrors.body ? errorColor : inputBorder}`,
+            '--tw-ring-color': primaryColor,
+          }}
+        />
+        {fieldErrors.body && (
+          <p
+            id={`${bodyId}-error`}
+            className="text-xs mt-1"
+            style={{ color: errorColor }}
+            role="alert"
+          >
+            {fieldErrors.body}
+          </p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-xs" style={{ color: subtextColor }}>
+          {verified
+            ? 'You bought this item, so your review will show as a verified purchase.'
+            : 'Reviews from shoppers who bought this item are marked as verified purchases.'}
+        </p>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-5 py-2 text-sm font-semibold rounded-lg transition-all hover:scale-[1.02] active:scale-[0.98] cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{
+            backgroundColor: primaryColor,
+            color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+          }}
+        >
+          {isSubmitting ? 'Submitting...' : 'Submit review'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default ReviewForm;
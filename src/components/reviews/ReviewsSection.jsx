@@ -0,0 +1,142 @@
+import { useId, useState } from 'react';
+import { FiCheckCircle } from 'react-icons/fi';
+import { useTheme } from '../../context/ThemeContext';
+import { useProductReviews } from '../../hooks/useProductReviews';
+import { REVIEW_SORT_LABELS, REVIEW_SORT_OPTIONS } from '../../constants';
+import StarRating from './StarRating';
+import RatingSummary from './RatingSummary';
+import ReviewForm from './ReviewForm';
+
+/**
+ * Format an ISO timestamp as a short date
+ * @param {string} isoString - ISO date string
+ * @returns {string} Formatted date
+ */
+function formatReviewDate(isoString) {
+  return new Date(isoString).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+/**
+ * ReviewsSection - Customer reviews for a product
+ *
+ * Shows the rating summary and histogram, a sortable review list with
+ * verified purchase badges, and a form for writing a review.
+ *
+ * @param {Object} props
+ * @param {Object} props.product - Product being reviewed
+ */
+function ReviewsSection({ product }) {
+  const { darkMode, COLORS } = useTheme();
+  const [sortBy, setSortBy] = useState(REVIEW_SORT_OPTIONS.NEWEST);
+  const { reviews, summary, hasPurchased, isLoading, error, submitReview } = useProductReviews(
+    product.id,
+    sortBy
+  );
+  const headingId = useId();
+  const sortId = useId();
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const secondaryBg = darkMode ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.03)';
+
+  return (
+    <section
+      aria-labelledby={headingId}
+      aria-busy={isLoading}
+      className="px-4 md:px-6 py-4 md:py-6 space-y-6"
+      style={{ borderTop: `1px solid ${borderColor}` }}
+    >
+      <h3 id={headingId} className="text-lg font-semibold" style={{ color: textColor }}>
+        Customer Reviews
+      </h3>
+
+      <RatingSummary summary={summary} />
+
+      {error && (
+        <p className="text-sm" style={{ color: 'rgb(239, 68, 68)' }} role="alert">
+          {error}
+        </p>
+      )}
+
+      {/* Review list */}
+      {reviews.length > 0 && (
+        <div>
+          <div className="flex items-center justify-end gap-2 mb-3">
+            <label htmlFor={sortId} className="text-sm font-medium" style={{ color: textColor }}>
+              Sort reviews
+            </label>
+            <select
+              id={sortId}
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="h-9 px-3 rounded-lg text-sm cursor-pointer outline-none"
+              style={{
+                backgroundColor: secondaryBg,
+                color: textColor,
+                border: `1px solid ${borderColor}`,
+              }}
+            >
+              {Object.entries(REVIEW_SORT_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <ul className="space-y-4" aria-label="Reviews">
+            {reviews.map((review) => (
+              <li key={review.id} className="pb-4 border-b" style={{ borderColor }}>
+                <div className="flex flex-wrap items-center gap-2 mb-1">
+                  <StarRating rating={review.rating} size="sm" />
+                  {review.title && (
+                    <p className="text-sm font-semibold" style={{ color: textColor }}>
+                      {review.title}
+                    </p>
+                  )}
+                </div>
+                <p className="text-xs mb-2" style={{ color: subtextColor }}>
+                  {review.author} · {formatReviewDate(review.createdAt)}
+                  {review.verified && (
+                    <span
+                      className="inline-flex items-center gap-1 ml-2 font-medium"
+                      style={{ color: 'rgb(34, 197, 94)' }}
+                    >
+                      <FiCheckCircle className="h-3 w-3" aria-hidden="true" />
+                      Verified purchase
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm whitespace-pre-line" style={{ color: textColor }}>
+                  {review.body}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!isLoading && !error && reviews.length === 0 && (
+        <p className="text-sm" style={{ color: subtextColor }}>
+          No reviews yet. Be the first to review {product.name}.
+        </p>
+      )}
+
+      {/* Write a review */}
+      <div className="p-4 rounded-lg" style={{ backgroundColor: secondaryBg }}>
+        <h4 className="text-base font-semibold mb-3" style={{ color: textColor }}>
+          Write a review
+        </h4>
+        <ReviewForm onSubmit={submitReview} verified={hasPurchased} />
+      </div>
+    </section>
+  );
+}
+
+export default ReviewsSection;
@@ -0,0 +1,54 @@
+import { FiStar } from 'react-icons/fi';
+import { REVIEW_LIMITS } from '../../constants';
+
+// Filled star colour, the same in light and dark mode
+const STAR_COLOR = '#f59e0b';
+
+const SIZE_CLASSES = {
+  sm: 'h-3.5 w-3.5',
+  md: 'h-4 w-4',
+  lg: 'h-6 w-6',
+};
+
+/**
+ * StarRating - Read-only star display for an average rating
+ *
+ * Fractional ratings partly fill the last star. Screen readers hear
+ * "Rated X out of 5" instead of the stars.
+ *
+ * @param {Object} props
+ * @param {number} props.rating - Rating from 0 to 5 (fractions allowed)
+ * @param {'sm'|'md'|'lg'} [props.size='md'] - Star size
+ * @param {string} [props.className] - Additional CSS classes
+ *
+ * @example
+ * <StarRating rating={4.5} size="sm" />
+ */
+function StarRating({ rating, size = 'md', className = '' }) {
+  const maxRating = REVIEW_LIMITS.MAX_RATING;
+  const fillPercent = (Math.min(Math.max(rating, 0), maxRating) / maxRating) * 100;
+  const starClass = `${SIZE_CLASSES[size] ?? SIZE_CLASSES.md} shrink-0`;
+  const stars = Array.from({ length: maxRating }, (_, index) => index);
+
+  return (
+    <span className={`relative inline-flex ${className}`}>
+      <span className="sr-only">{`Rated ${rating} out of ${maxRating}`}</span>
+      <span className="flex opacity-30" style={{ color: STAR_COLOR }} aria-hidden="true">
+        {stars.map((index) => (
+          <FiStar key={index} className={starClass} />
+        ))}
+      </span>
+      <span
+        className="absolute top-0 bottom-0 left-0 flex overflow-hidden"
+        style={{ width: `${fillPercent}%`, color: STAR_COLOR }}
+        aria-hidden="true"
+      >
+        {stars.map((index) => (
+          <FiStar key={index} className={starClass} fill="currentColor" />
+        ))}
+      </span>
+    </span>
+  );
+}
+
+export default StarRating;
@@ -0,0 +1,10 @@
+/**
+ * Review Sub-components
+ *
+ * Star ratings, rating summaries and the review list and form shown on product details
+ */
+
+export { default as StarRating } from './StarRating';
+export { default as RatingSummary } from './RatingSummary';
+export { default as ReviewForm } from './ReviewForm';
+export { default as ReviewsSection } from './ReviewsSection';
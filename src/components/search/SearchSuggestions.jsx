@@ -0,0 +1,201 @@
+import { useId } from 'react';
+import { FiArrowRight, FiGrid } from 'react-icons/fi';
+import { useTheme } from '../../context/ThemeContext';
+import { useCurrency } from '../../context/CurrencyContext';
+import { useCategoryNames } from '../../hooks/useCategories';
+import { getPriceRange, hasVariants } from '../../utils/variants';
+import HighlightedText from '../HighlightedText';
+
+/**
+ * Search suggestion shown in the dropdown
+ * @typedef {Object} SuggestionOption
+ * @property {'product'|'category'|'all'} type - What picking the option does
+ * @property {string} key - Stable React key
+ * @property {Object} [product] - Suggested product (`product` options)
+ * @property {string} [category] - Suggested category (`category` options)
+ * @property {number} [count] - Matches in the category (`category` options)
+ */
+
+/**
+ * SearchSuggestions - Listbox popup for the search combobox
+ *
+ * Purely presentational: `SearchBar` owns the input, the active option
+ * and keyboard handling. Options are grouped into products, categories
+ * and a "see all results" footer, in the order arrow keys move through
+ * them. Mouse presses don't take focus from the input.
+ *
+ * @param {Object} props
+ * @param {string} props.id - Listbox ID (referenced by the input's `aria-controls`)
+ * @param {SuggestionOption[]} props.options - Options in keyboard order
+ * @param {number} props.activeIndex - Index of the highlighted option (-1 for none)
+ * @param {Function} props.getOptionId - Returns the element ID for an option index
+ * @param {string} props.query - Current query, highlighted in product names
+ * @param {number} props.totalMatches - Number of matching products
+ * @param {boolean} props.isLoading - Whether suggestions are loading
+ * @param {Function} props.onSelect - Called with the picked option
+ * @param {Function} props.onActivate - Called with an option index on hover
+ */
+function SearchSuggestions({
+  id,
+  options,
+  activeIndex,
+  getOptionId,
+  query,
+  totalMatches,
+  isLoading,
+  onSelect,
+  onActivate,
+}) {
+  const { darkMode, COLORS } = useTheme();
+  const categoryNames = useCategoryNames();
+  const { formatPrice } = useCurrency();
+  const productsHeadingId = useId();
+  const categoriesHeadingId = useId();
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const activeBg = darkMode ? 'rgba(96, 165, 250, 0.15)' : 'rgba(37, 99, 235, 0.08)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+
+  const renderOption = (option, children) => {
+    const index = options.indexOf(option);
+    const isActive = index === activeIndex;
+
+    return (
+      <div
+        key={option.key}
+        id={getOptionId(index)}
+        role="option"
+        aria-selected={isActive}
+        onMouseDown={(e) => e.preventDefault()}
+        onMouseEnter={() => onActivate(index)}
+        onClick={() => onSelect(option)}
+        className="flex items-center gap-3 px-3 py-2 cursor-pointer"
+        style={{ backgroundColor: isActive ? activeBg : 'transparent' }}
+      >
+        {children}
+      </div>
+    );
+  };
+
+  const productOptions = options.filter((option) => option.type === 'product');
+  const categoryOptions = options.filter((option) => option.type === 'category');
+  const seeAllOption = options.find((option) => option.type === 'all');
+
+  const getDisplayPrice = (product) => {
+    const { min } = getPriceRange(product);
+    return hasVariants(product) ? `From ${formatPrice(min)}` : formatPrice(min);
+  };
+
+  return (
+    <div
+      className="absolute right-0 top-full mt-2 w-full min-w-72 z-50 rounded-xl shadow-lg overflow-hidden"
+      style={{
+        backgroundColor: darkMode ? COLORS.dark.modalBackground : COLORS.light.modalBackground,
+        border: `1px solid ${borderColor}`,
+      }}
+    >
+      {options.length === 0 ? (
+        <p className="px-3 py-3 text-sm" style={{ color: subtextColor }}>
+          {isLoading ? 'Searching...' : `No products match "${query.trim()}"`}
+        </p>
+      ) : (
+        <div id={id} role="listbox" aria-label="Search suggestions" className="py-1">
+          {productOptions.length > 0 && (
+            <div role="group" aria-labelledby={productsHeadingId}>
+              <div
+                id={productsHeadingId}
+                role="presentation"
+                className="px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide"
+                style={{ color: subtextColor }}
+              >
+                Products
+              </div>
+              {productOptions.map((option) =>
+                renderOption(
+                  option,
+                  <>
+                    <img
+                      src={option.product.image}
+                      alt=""
+                      className="h-10 w-10 shrink-0 rounded-md object-cover"
+                      loading="lazy"
+                    />
+                    <span className="min-w-0 flex-1">
+                      <span className="block truncate text-sm" style={{ color: textColor }}>
+                        <HighlightedText text={option.product.name} query={query} />
+                      </span>
+                      <span className="block truncate text-xs" style={{ color: subtextColor }}>
+                        {categoryNames[option.product.category] ?? option.product.category}
+                      </span>
+                    </span>
+                    <span className="shrink-0 text-sm font-semibold" style={{ color: textColor }}>
+                      {getDisplayPrice(option.product)}
+                    </span>
+                  </>
+                )
+              )}
+            </div>
+          )}
+
+          {categoryOptions.length > 0 && (
+            <div
+              role="group"
+              aria-labelledby={categoriesHeadingId}
+              style={{ borderTop: `1px solid ${borderColor}` }}
+            >
+              <div
+                id={categoriesHeadingId}
+                role="presentation"
+                className="px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide"
+                style={{ color: subtextColor }}
+              >
+                Categories
+              </div>
+              {categoryOptions.map((option) =>
+                renderOption(
+                  option,
+                  <>
+                    <FiGrid
+                      className="h-4 w-4 shrink-0"
+                      style={{ color: primaryColor }}
+                      aria-hidden="true"
+                    />
+                    <span className="flex-1 text-sm" style={{ color: textColor }}>
+                      {categoryNames[option.category] ?? option.category}
+                    </span>
+                    <span className="text-xs" style={{ color: subtextColor }}>
+                      {option.count} {option.count === 1 ? 'match' : 'matches'}
+                    </span>
+                  </>
+                )
+              )}
+            </div>
+          )}
+
+          {seeAllOption && (
+            <div style={{ borderTop: `1px solid ${borderColor}` }}>
+              {renderOption(
+                seeAllOption,
+                <>
+                  <span className="flex-1 text-sm font-medium" style={{ color: primaryColor }}>
+                    See all {totalMatches} {totalMatches === 1 ? 'result' : 'results'}
+                  </span>
+                  <FiArrowRight
+                    className="h-4 w-4"
+                    style={{ color: primaryColor }}
+                    aria-hidden="true"
+                  />
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchSuggestions;
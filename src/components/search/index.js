@@ -0,0 +1,7 @@
+/**
+ * Search Sub-components
+ *
+ * Pieces of the search-as-you-type combobox used by SearchBar
+ */
+
+export { default as SearchSuggestions } from './SearchSuggestions';
@@ -5,6 +5,15 @@
  * for easier maintenance and consistency.
  */
 
+// Brand names, shared by the logo and the web app manifest
+export const BRAND = {
+  NAME: 'MART',
+  TAGLINE: 'For You',
+  FULL_NAME: 'Mart - For You',
+  DESCRIPTION:
+    'Your one-stop shopping destination for electronics, fashion, home goods, beauty products, and more.',
+};
+
 // Default values for products and cart
 export const DEFAULTS = {
   STOCK_LIMIT: 10,
@@ -12,6 +21,9 @@ export const DEFAULTS = {
   CART_MAX_QUANTITY: 99,
 };
 
+// Currency the catalog prices are stored in
+export const BASE_CURRENCY = 'USD';
+
 // Animation timing (in milliseconds)
 export const ANIMATION = {
   FAST: 150,
@@ -129,20 +141,92 @@ export const Z_INDEX = {
 // Local storage keys
 export const STORAGE_KEYS = {
   DARK_MODE: 'darkMode',
+  CURRENCY: 'currency',
   CART: 'cart',
+  CART_SYNC: 'cartSync',
   USER_PROFILE: 'userProfile',
+  ORDERS: 'orders',
+  INVENTORY: 'inventory',
+  WISHLIST: 'wishlist',
+  REVIEWS: 'reviews',
+  COMPARE: 'compare',
+  RECENTLY_VIEWED: 'recentlyViewed',
+  CATALOG: 'catalog',
+  RECOMMENDATIONS: 'recommendations',
+  PRODUCTS_CACHE: 'productsCache',
+  OFFLINE_QUEUE: 'offlineQueue',
+  STORAGE_QUARANTINE: 'storageQuarantine',
 };
 
 // Route paths
 export const ROUTES = {
   HOME: '/home',
   PRODUCTS: '/products',
+  PRODUCT_DETAIL: '/products/:productId',
   OFFERS: '/offers',
   CART: '/cart',
   PROFILE: '/profile',
+  ORDERS: '/orders',
+  ORDER_DETAIL: '/orders/:orderId',
+  WISHLIST: '/wishlist',
+  COMPARE: '/compare',
+  ADMIN_CATALOG: '/admin/catalog',
   LANDING: '/',
 };
 
+// Service transports (see services/transport)
+export const API_TRANSPORTS = {
+  MEMORY: 'memory',
+  HTTP: 'http',
+};
+
+// Service transport defaults, overridable through runtime config or VITE_API_* env vars
+export const API_DEFAULTS = {
+  TRANSPORT: API_TRANSPORTS.MEMORY,
+  BASE_URL: 'http://localhost:4010',
+  TIMEOUT_MS: 10000,
+  RETRIES: 2,
+  RETRY_DELAY_MS: 300,
+  MAX_RETRY_DELAY_MS: 5000,
+  MEMORY_LATENCY_MS: { min: 50, max: 150 },
+};
+
+// Cached catalog reads (see services/productsCache)
+export const PRODUCTS_CACHE = {
+  MAX_ENTRIES: 50,
+  // Served as is for this long, then served stale while refreshed
+  TTL_MS: 5 * 60 * 1000,
+  // Stale entries older than this are dropped instead
+  STALE_TTL_MS: 30 * 60 * 1000,
+};
+
+// Catalog resources served by every transport
+export const API_ENDPOINTS = {
+  PRODUCTS: '/products',
+  CATEGORIES: '/categories',
+  SHIPPING_OPTIONS: '/shipping-options',
+};
+
+// URL search params used for product facets (alongside `category`)
+export const FACET_PARAMS = {
+  MIN_PRICE: 'minPrice',
+  MAX_PRICE: 'maxPrice',
+  COLOUR: 'colour',
+  IN_STOCK: 'inStock',
+  ON_SALE: 'onSale',
+  DELIVERY: 'delivery',
+  MIN_RATING: 'rating',
+};
+
+// URL search param for the listing sort order
+export const SORT_PARAM = 'sort';
+
+// Delivery time facet options (in days)
+export const DELIVERY_FACET_DAYS = [6, 8, 10, 15];
+
+// Minimum-rating facet options (stars and up)
+export const RATING_FACET_VALUES = [4, 3, 2];
+
 // Section IDs for scroll navigation
 export const SECTION_IDS = {
   HERO: 'hero-section',
@@ -191,8 +275,180 @@ export const SHIPPING = {
   OVERNIGHT: 'overnight',
 };
 
+// Order fulfilment statuses, in timeline order
+export const ORDER_STATUSES = {
+  PLACED: 'placed',
+  PROCESSING: 'processing',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+};
+
+// Order status display names
+export const ORDER_STATUS_LABELS = {
+  [ORDER_STATUSES.PLACED]: 'Order Placed',
+  [ORDER_STATUSES.PROCESSING]: 'Processing',
+  [ORDER_STATUSES.SHIPPED]: 'Shipped',
+  [ORDER_STATUSES.DELIVERED]: 'Delivered',
+};
+
+// Per-line error codes returned when an order cannot be fulfilled
+export const STOCK_ERROR_CODES = {
+  OUT_OF_STOCK: 'out_of_stock',
+  INSUFFICIENT_STOCK: 'insufficient_stock',
+};
+
+// Option types a product variant can vary by
+export const VARIANT_OPTIONS = {
+  SIZE: 'size',
+  COLOUR: 'colour',
+  CAPACITY: 'capacity',
+};
+
+// Display labels for variant option types
+export const VARIANT_OPTION_LABELS = {
+  [VARIANT_OPTIONS.SIZE]: 'Size',
+  [VARIANT_OPTIONS.COLOUR]: 'Colour',
+  [VARIANT_OPTIONS.CAPACITY]: 'Capacity',
+};
+
+// Product review limits
+export const REVIEW_LIMITS = {
+  MIN_RATING: 1,
+  MAX_RATING: 5,
+  AUTHOR_MAX_LENGTH: 50,
+  TITLE_MAX_LENGTH: 100,
+  BODY_MIN_LENGTH: 10,
+  BODY_MAX_LENGTH: 2000,
+};
+
+// Review list sort orders
+export const REVIEW_SORT_OPTIONS = {
+  NEWEST: 'newest',
+  HIGHEST: 'highest',
+  LOWEST: 'lowest',
+  VERIFIED: 'verified',
+};
+
+// Display labels for review sort orders, in menu order
+export const REVIEW_SORT_LABELS = {
+  [REVIEW_SORT_OPTIONS.NEWEST]: 'Newest',
+  [REVIEW_SORT_OPTIONS.HIGHEST]: 'Highest rated',
+  [REVIEW_SORT_OPTIONS.LOWEST]: 'Lowest rated',
+  [REVIEW_SORT_OPTIONS.VERIFIED]: 'Verified purchases first',
+};
+
+// Product fields the search index covers, and how much a match in each counts
+export const SEARCH_FIELD_WEIGHTS = {
+  name: 4,
+  category: 2,
+  colour: 2,
+  description: 1,
+};
+
+// Words searched as one another (each group is interchangeable)
+export const SEARCH_SYNONYMS = [
+  ['earbuds', 'earphones', 'headphones'],
+  ['speaker', 'soundbar'],
+  ['phone', 'smartphone', 'mobile'],
+  ['watch', 'smartwatch'],
+  ['laptop', 'notebook'],
+  ['sneakers', 'trainers', 'shoes'],
+  ['bag', 'backpack', 'tote'],
+  ['couch', 'sofa'],
+  ['mug', 'cup'],
+  ['tv', 'television'],
+  ['jumper', 'sweater'],
+];
+
+// Words ignored in a multi-word search
+export const SEARCH_STOP_WORDS = [
+  'a',
+  'an',
+  'and',
+  'for',
+  'in',
+  'of',
+  'on',
+  'or',
+  'the',
+  'to',
+  'with',
+];
+
+// Search-as-you-type dropdown
+export const SEARCH_SUGGESTIONS = {
+  MIN_QUERY_LENGTH: 2,
+  MAX_PRODUCTS: 6,
+  MAX_CATEGORIES: 3,
+};
+
+// Product comparison (selection is shared as /compare?ids=1,2,3)
+export const COMPARE = {
+  MAX_PRODUCTS: 4,
+  URL_PARAM: 'ids',
+};
+
+// Recently viewed products history
+export const RECENTLY_VIEWED = {
+  MAX_ITEMS: 12,
+};
+
+// Recommendations from co-purchase and co-view data (see services/recommendations)
+export const RECOMMENDATIONS = {
+  // Views further apart than this start a new browsing session
+  SESSION_GAP_MINUTES: 30,
+  // Products of a session paired with the next view
+  MAX_SESSION_ITEMS: 10,
+  // Score of a pair per order, and per session, they appeared in together
+  PURCHASE_WEIGHT: 3,
+  VIEW_WEIGHT: 1,
+  // Products in the "frequently bought together" bundle besides the viewed one
+  BUNDLE_SIZE: 2,
+};
+
+// Cart synchronisation between browser tabs (see utils/cartSync)
+export const CART_SYNC = {
+  // How long a removed line is remembered, so another tab's older copy doesn't bring it back
+  REMOVAL_TTL_MS: 24 * 60 * 60 * 1000,
+};
+
+// Changes made offline, replayed through the service layer once back online
+// (see services/offlineQueue)
+export const OFFLINE_CHANGE_TYPES = {
+  CART: 'cart',
+  PROFILE: 'profile',
+};
+
+// Catalog administration (see pages/AdminCatalogPage)
+export const CATALOG_ADMIN = {
+  PAGE_SIZE: 20,
+};
+
+// Catalog import/export file formats (see utils/catalogTransfer)
+export const CATALOG_FILE_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+// Promo code discount types
+export const COUPON_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  CATEGORY: 'category',
+  BUY_X_GET_Y: 'buy_x_get_y',
+  FREE_SHIPPING: 'free_shipping',
+};
+
+// How tax relates to displayed prices
+export const TAX_DISPLAY_MODES = {
+  INCLUSIVE: 'inclusive',
+  EXCLUSIVE: 'exclusive',
+};
+
 export default {
+  BRAND,
   DEFAULTS,
+  BASE_CURRENCY,
   ANIMATION,
   MOTION_VARIANTS,
   MOTION_TRANSITIONS,
@@ -201,9 +457,38 @@ export default {
   Z_INDEX,
   STORAGE_KEYS,
   ROUTES,
+  API_TRANSPORTS,
+  API_DEFAULTS,
+  PRODUCTS_CACHE,
+  API_ENDPOINTS,
+  FACET_PARAMS,
+  SORT_PARAM,
+  DELIVERY_FACET_DAYS,
+  RATING_FACET_VALUES,
   SECTION_IDS,
   CATEGORIES,
   CATEGORY_DISPLAY_NAMES,
   TOAST_TYPES,
   SHIPPING,
+  ORDER_STATUSES,
+  ORDER_STATUS_LABELS,
+  STOCK_ERROR_CODES,
+  VARIANT_OPTIONS,
+  VARIANT_OPTION_LABELS,
+  REVIEW_LIMITS,
+  REVIEW_SORT_OPTIONS,
+  REVIEW_SORT_LABELS,
+  SEARCH_FIELD_WEIGHTS,
+  SEARCH_SYNONYMS,
+  SEARCH_STOP_WORDS,
+  SEARCH_SUGGESTIONS,
+  COMPARE,
+  RECENTLY_VIEWED,
+  RECOMMENDATIONS,
+  CART_SYNC,
+  OFFLINE_CHANGE_TYPES,
+  CATALOG_ADMIN,
+  CATALOG_FILE_FORMATS,
+  COUPON_TYPES,
+  TAX_DISPLAY_MODES,
 };
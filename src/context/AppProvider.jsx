@@ -1,7 +1,10 @@
 import { ThemeProvider } from './ThemeContext';
+import { CurrencyProvider } from './CurrencyContext';
 import { CartProvider } from './cart';
 import { ToastProvider } from './ToastContext';
 import { ProfileProvider } from './ProfileContext';
+import { WishlistProvider } from './WishlistContext';
+import { CompareProvider } from './CompareContext';
 import { SearchProvider } from './SearchContext';
 import { FilterProvider } from './FilterContext';
 
@@ -13,11 +16,14 @@ import { FilterProvider } from './FilterContext';
  *
  * Provider Order (outer to inner):
  * 1. ThemeProvider - Theme/dark mode state (no dependencies)
- * 2. ToastProvider - Toast notifications (no dependencies)
- * 3. ProfileProvider - User profile state (no dependencies)
- * 4. CartProvider - Shopping cart state (combines CartItems, CartTotals, CartUI, Checkout)
- * 5. SearchProvider - Search state (requires Router context - must be inside HashRouter)
- * 6. FilterProvider - Filter state (requires Router context - must be inside HashRouter)
+ * 2. CurrencyProvider - Display currency and price formatting (no dependencies)
+ * 3. ToastProvider - Toast notifications (no dependencies)
+ * 4. ProfileProvider - User profile state (no dependencies)
+ * 5. CartProvider - Shopping cart state (combines CartItems, CartTotals, CartUI, Checkout)
+ * 6. WishlistProvider - Saved-for-later products (depends on CartProvider for moves)
+ * 7. CompareProvider - Products picked for comparison (no dependencies)
+ * 8. SearchProvider - Search state (requires Router context - must be inside HashRouter)
+ * 9. FilterProvider - Filter state (requires Router context - must be inside HashRouter)
  *
  * Cart Context Architecture:
  * The CartProvider now uses split contexts internally for better performance:
@@ -60,15 +66,21 @@ import { FilterProvider } from './FilterContext';
 function AppProvider({ children }) {
   return (
     <ThemeProvider>
-      <ToastProvider>
-        <ProfileProvider>
-          <CartProvider>
-            <SearchProvider>
-              <FilterProvider>{children}</FilterProvider>
-            </SearchProvider>
-          </CartProvider>
-        </ProfileProvider>
-      </ToastProvider>
+      <CurrencyProvider>
+        <ToastProvider>
+          <ProfileProvider>
+            <CartProvider>
+              <WishlistProvider>
+                <CompareProvider>
+                  <SearchProvider>
+                    <FilterProvider>{children}</FilterProvider>
+                  </SearchProvider>
+                </CompareProvider>
+              </WishlistProvider>
+            </CartProvider>
+          </ProfileProvider>
+        </ToastProvider>
+      </CurrencyProvider>
     </ThemeProvider>
   );
 }
@@ -54,7 +54,7 @@ export {
 } from './cart';
 
 // Re-export constants from dedicated constants file
-export { CHECKOUT_STAGES } from './cart/constants';
+export { CHECKOUT_STAGES, CHECKOUT_STAGE_LABELS, CHECKOUT_STAGE_PARAM } from './cart/constants';
 
 // Default export for backwards compatibility
 export { default } from './cart';
@@ -1,9 +1,15 @@
 // CartContext tests
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
-import { CartProvider, useCart } from './CartContext';
+import { CartProvider, useCart, useCheckout, CHECKOUT_STAGES } from './CartContext';
 import { ThemeProvider } from './ThemeContext';
-import { ToastProvider } from './ToastContext';
+import { ToastProvider, useToast } from './ToastContext';
+import { ProfileProvider } from './ProfileContext';
+import { CurrencyProvider } from './CurrencyContext';
+import { applyVariant } from '../utils/variants';
+import { getOrders } from '../services/orders';
+import { reserveStock } from '../services/inventory';
+import { writeFromOtherTab } from '../testing/test-utils';
 
 // Wrapper component with all necessary providers
 const wrapper = ({ children }) => (
@@ -14,9 +20,9 @@ const wrapper = ({ children }) => (
   </ThemeProvider>
 );
 
-// Mock product data
+// Mock product data (the first is not in the catalog, so the default stock limit applies)
 const mockProduct = {
-  id: 1,
+  id: 1001,
   name: 'Test Product',
   price: 99.99,
   image: 'https://example.com/image.jpg',
@@ -46,6 +52,22 @@ const mockProduct3 = {
   onSale: false,
 };
 
+const mockVariantProduct = {
+  id: 501,
+  name: 'Variant Tee',
+  price: 20,
+  image: 'https://example.com/tee.jpg',
+  description: 'A tee in two sizes',
+  category: 'fashion',
+  onSale: false,
+  stock: 8,
+  options: [{ type: 'size', values: ['S', 'L'] }],
+  variants: [
+    { id: 's', options: { size: 'S' }, stock: 5 },
+    { id: 'l', options: { size: 'L' }, price: 25, stock: 3 },
+  ],
+};
+
 describe('CartContext', () => {
   describe('useCart hook', () => {
     it('throws error when used outside CartProvider', () => {
@@ -82,6 +104,7 @@ describe('CartContext', () => {
       expect(result.current.cartItems).toHaveLength(1);
       expect(result.current.cartItems[0]).toEqual({
         ...mockProduct,
+        cartItemId: `cart-item-${mockProduct.id}`,
         quantity: 1,
       });
     });
@@ -101,6 +124,46 @@ describe('CartContext', () => {
       expect(result.current.cartItems[0].quantity).toBe(2);
     });
 
+    it('refuses to add to a line already at its stock limit', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      let results;
+      act(() => {
+        results = [
+          result.current.addToCart(mockProduct, 10),
+          result.current.addToCart(mockProduct),
+        ];
+      });
+
+      expect(results[0].success).toBe(true);
+      expect(results[1]).toEqual({ success: false, message: 'Maximum quantity reached' });
+      expect(result.current.cartItems[0].quantity).toBe(10);
+    });
+
+    it('caps a catalog product at the stock left after placed orders', () => {
+      // Catalog product 3 starts with 7 units
+      reserveStock([{ id: mockProduct3.id, quantity: 5 }]);
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct3, 5);
+      });
+
+      expect(result.current.cartItems[0].quantity).toBe(2);
+      expect(result.current.hasItemsAtLimit).toBe(true);
+
+      act(() => {
+        reserveStock([{ id: mockProduct3.id, quantity: 2 }]);
+      });
+
+      let outcome;
+      act(() => {
+        outcome = result.current.addToCart(mockProduct3);
+      });
+
+      expect(outcome).toEqual({ success: false, message: 'Another Product is out of stock' });
+    });
+
     it('adds multiple different items to cart', () => {
       const { result } = renderHook(() => useCart(), { wrapper });
 
@@ -467,6 +530,169 @@ describe('CartContext', () => {
     });
   });
 
+  describe('promo codes', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-06-01T12:00:00Z'));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    const applyCode = async (result, code) => {
+      let applyPromise;
+      act(() => {
+        applyPromise = result.current.applyCoupon(code);
+      });
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(200);
+      });
+      return applyPromise;
+    };
+
+    it('applies a valid code and itemises the discount', async () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct); // 99.99
+      });
+
+      const outcome = await applyCode(result, 'welcome10');
+
+      expect(outcome.success).toBe(true);
+      expect(result.current.appliedCoupon.code).toBe('WELCOME10');
+      expect(result.current.discounts).toEqual([
+        { id: 'WELCOME10', label: '10% off your order', amount: 10 },
+      ]);
+      expect(result.current.discountTotal).toBe(10);
+      expect(result.current.getTotal()).toBeCloseTo(94.98, 2);
+    });
+
+    it('reports invalid codes without applying them', async () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct);
+      });
+
+      const outcome = await applyCode(result, 'BOGUS');
+
+      expect(outcome.success).toBe(false);
+      expect(result.current.couponError).toBe('Promo code not found');
+      expect(result.current.appliedCoupon).toBeNull();
+    });
+
+    it('restores the total when the code is removed', async () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct);
+      });
+      await applyCode(result, 'SAVE5');
+
+      act(() => {
+        result.current.removeCoupon();
+      });
+
+      expect(result.current.discountTotal).toBe(0);
+      expect(result.current.getTotal()).toBeCloseTo(104.98, 2);
+    });
+
+    it('stops discounting when the cart no longer qualifies', async () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct);
+        result.current.updateQuantity(mockProduct.id, 2); // 199.98
+      });
+      await applyCode(result, 'BIGSPEND');
+
+      expect(result.current.discountTotal).toBe(20);
+
+      act(() => {
+        result.current.updateQuantity(mockProduct.id, 1);
+      });
+
+      expect(result.current.discountTotal).toBe(0);
+      expect(result.current.appliedCoupon.code).toBe('BIGSPEND');
+      expect(result.current.couponMessage).toBe('Spend $50.01 more to use this code');
+    });
+
+    it('keeps the code on the order and clears it afterwards', async () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct);
+      });
+      await applyCode(result, 'SAVE5');
+
+      let checkoutPromise;
+      act(() => {
+        checkoutPromise = result.current.handleCheckout();
+      });
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(1000);
+        await checkoutPromise;
+      });
+
+      expect(result.current.orderDetails.coupon.code).toBe('SAVE5');
+      expect(result.current.appliedCoupon).toBeNull();
+    });
+  });
+
+  describe('tax', () => {
+    // Default profile ships to Delhi, India (GST, tax-inclusive prices)
+    const profileWrapper = ({ children }) => (
+      <ThemeProvider>
+        <ToastProvider>
+          <ProfileProvider>
+            <CartProvider>{children}</CartProvider>
+          </ProfileProvider>
+        </ToastProvider>
+      </ThemeProvider>
+    );
+
+    it('charges no tax without a destination', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct);
+      });
+
+      expect(result.current.tax.jurisdiction).toBeNull();
+      expect(result.current.taxTotal).toBe(0);
+    });
+
+    it('shows tax included in prices for the profile destination', () => {
+      const { result } = renderHook(() => useCart(), { wrapper: profileWrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct); // 99.99 electronics at 18%
+        result.current.setSelectedShipping('free');
+      });
+
+      expect(result.current.tax.label).toBe('GST');
+      expect(result.current.taxDisplayMode).toBe('inclusive');
+      expect(result.current.taxTotal).toBeCloseTo(15.25, 2);
+      expect(result.current.getTotal()).toBe(99.99);
+    });
+
+    it('adds tax to the total in exclusive mode', () => {
+      const { result } = renderHook(() => useCart(), { wrapper: profileWrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct);
+        result.current.setSelectedShipping('free');
+        result.current.setTaxDisplayMode('exclusive');
+      });
+
+      expect(result.current.taxTotal).toBe(18);
+      expect(result.current.getTotal()).toBeCloseTo(117.99, 2);
+      expect(result.current.formattedTotals.tax).toBe('$18.00');
+    });
+  });
+
   describe('isInCart', () => {
     it('returns true when item is in cart', () => {
       const { result } = renderHook(() => useCart(), { wrapper });
@@ -561,7 +787,7 @@ describe('CartContext', () => {
 
       // Fast-forward timers to complete the async checkout
       await act(async () => {
-        vi.advanceTimersByTime(1000);
+        await vi.advanceTimersByTimeAsync(1000);
         await checkoutPromise;
       });
 
@@ -571,6 +797,29 @@ describe('CartContext', () => {
       expect(result.current.isCheckingOut).toBe(false);
     });
 
+    it('records the display currency on the order', async () => {
+      localStorage.setItem('currency', 'EUR');
+      const { result } = renderHook(() => useCart(), {
+        wrapper: ({ children }) => <CurrencyProvider>{wrapper({ children })}</CurrencyProvider>,
+      });
+
+      act(() => {
+        result.current.addToCart(mockProduct);
+      });
+
+      let checkoutPromise;
+      act(() => {
+        checkoutPromise = result.current.handleCheckout();
+      });
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(1000);
+        await checkoutPromise;
+      });
+
+      expect(getOrders()[0].currency).toEqual({ code: 'EUR', rate: 0.92 });
+    });
+
     it('clears cart immediately after checkout', async () => {
       const { result } = renderHook(() => useCart(), { wrapper });
 
@@ -587,7 +836,7 @@ describe('CartContext', () => {
       });
 
       await act(async () => {
-        vi.advanceTimersByTime(1000);
+        await vi.advanceTimersByTimeAsync(1000);
         await checkoutPromise;
       });
 
@@ -611,7 +860,7 @@ describe('CartContext', () => {
       });
 
       await act(async () => {
-        vi.advanceTimersByTime(3000);
+        await vi.advanceTimersByTimeAsync(3000);
         checkoutResult = await checkoutPromise;
       });
 
@@ -640,7 +889,7 @@ describe('CartContext', () => {
         orderNumbers.push(orderNum);
 
         await act(async () => {
-          vi.advanceTimersByTime(3000);
+          await vi.advanceTimersByTimeAsync(3000);
           await checkoutPromise;
         });
       }
@@ -651,6 +900,161 @@ describe('CartContext', () => {
     });
   });
 
+  describe('checkout wizard state', () => {
+    const validAddress = {
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john@example.com',
+      address: '123 Main St',
+      city: 'Springfield',
+      state: 'IL',
+      zip: '62701',
+      country: 'USA',
+    };
+
+    const validPayment = {
+      cardName: 'John Doe',
+      cardNumber: '4242 4242 4242 4242',
+      expiry: '12/99',
+      cvc: '123',
+    };
+
+    const renderCheckout = () =>
+      renderHook(() => ({ cart: useCart(), checkout: useCheckout() }), { wrapper });
+
+    it('reports shipping field errors through validationErrors', () => {
+      const { result } = renderCheckout();
+
+      let valid;
+      act(() => {
+        valid = result.current.checkout.validateStage(CHECKOUT_STAGES.SHIPPING);
+      });
+
+      expect(valid).toBe(false);
+      expect(result.current.checkout.validationErrors.firstName).toBe('First name is required');
+      expect(result.current.checkout.hasValidationErrors).toBe(true);
+    });
+
+    it('clears a field error when that field is updated', () => {
+      const { result } = renderCheckout();
+
+      act(() => {
+        result.current.checkout.validateStage(CHECKOUT_STAGES.SHIPPING);
+      });
+      act(() => {
+        result.current.checkout.updateShippingAddress({ firstName: 'John' });
+      });
+
+      expect(result.current.checkout.shippingAddress.firstName).toBe('John');
+      expect(result.current.checkout.validationErrors.firstName).toBeUndefined();
+      expect(result.current.checkout.validationErrors.lastName).toBeDefined();
+    });
+
+    it('passes a stage once its form is valid', () => {
+      const { result } = renderCheckout();
+
+      act(() => {
+        result.current.checkout.updateShippingAddress(validAddress);
+        result.current.checkout.updatePaymentDetails(validPayment);
+      });
+
+      expect(result.current.checkout.isStageValid(CHECKOUT_STAGES.SHIPPING)).toBe(true);
+      expect(result.current.checkout.isStageValid(CHECKOUT_STAGES.PAYMENT)).toBe(true);
+
+      let valid;
+      act(() => {
+        valid = result.current.checkout.validateStage(CHECKOUT_STAGES.PAYMENT);
+      });
+
+      expect(valid).toBe(true);
+      expect(result.current.checkout.validationErrors).toEqual({});
+    });
+
+    it('checks a stage without reporting errors', () => {
+      const { result } = renderCheckout();
+
+      expect(result.current.checkout.isStageValid(CHECKOUT_STAGES.PAYMENT)).toBe(false);
+      expect(result.current.checkout.validationErrors).toEqual({});
+    });
+
+    it('places the order with the wizard address and a masked card', async () => {
+      vi.useFakeTimers();
+      const { result } = renderCheckout();
+
+      act(() => {
+        result.current.cart.addToCart(mockProduct);
+        result.current.checkout.updateShippingAddress(validAddress);
+        result.current.checkout.updatePaymentDetails(validPayment);
+      });
+
+      let checkoutPromise;
+      act(() => {
+        checkoutPromise = result.current.cart.handleCheckout();
+      });
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(1000);
+        await checkoutPromise;
+      });
+      vi.useRealTimers();
+
+      const { orderDetails } = result.current.checkout;
+      expect(orderDetails.shippingInfo).toMatchObject(validAddress);
+      expect(orderDetails.paymentInfo).toEqual({ cardName: 'John Doe', cardLast4: '4242' });
+      expect(result.current.checkout.checkoutStage).toBe(CHECKOUT_STAGES.CONFIRMATION);
+    });
+
+    it('keeps both the profile and the delivery address on the order', async () => {
+      vi.useFakeTimers();
+      const profileWrapper = ({ children }) => (
+        <ThemeProvider>
+          <ToastProvider>
+            <ProfileProvider>
+              <CartProvider>{children}</CartProvider>
+            </ProfileProvider>
+          </ToastProvider>
+        </ThemeProvider>
+      );
+      const { result } = renderHook(() => ({ cart: useCart(), checkout: useCheckout() }), {
+        wrapper: profileWrapper,
+      });
+
+      act(() => {
+        result.current.cart.addToCart(mockProduct);
+        result.current.checkout.updateShippingAddress(validAddress);
+        result.current.checkout.updatePaymentDetails(validPayment);
+      });
+
+      let checkoutPromise;
+      act(() => {
+        checkoutPromise = result.current.cart.handleCheckout();
+      });
+
+      await act(async () => {
+        await vi.advanceTimersByTimeAsync(1000);
+        await checkoutPromise;
+      });
+      vi.useRealTimers();
+
+      const [order] = getOrders();
+      expect(order.customer).toMatchObject({ firstName: 'Vanshika', city: 'Delhi' });
+      expect(order.shippingAddress).toMatchObject(validAddress);
+    });
+
+    it('clears the payment form when the order is reset', () => {
+      const { result } = renderCheckout();
+
+      act(() => {
+        result.current.checkout.updatePaymentDetails(validPayment);
+      });
+      act(() => {
+        result.current.checkout.resetOrder();
+      });
+
+      expect(result.current.checkout.paymentDetails.cardNumber).toBe('');
+    });
+  });
+
   describe('shippingOptions', () => {
     it('provides shipping options array', () => {
       const { result } = renderHook(() => useCart(), { wrapper });
@@ -672,6 +1076,83 @@ describe('CartContext', () => {
     });
   });
 
+  describe('product variants', () => {
+    const small = applyVariant(mockVariantProduct, 's');
+    const large = applyVariant(mockVariantProduct, 'l');
+
+    it('rejects a product whose variant has not been chosen', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      let response;
+      act(() => {
+        response = result.current.addToCart(mockVariantProduct);
+      });
+
+      expect(response).toEqual({ success: false, message: 'Choose options for Variant Tee' });
+      expect(result.current.cartItems).toHaveLength(0);
+    });
+
+    it('keeps a separate line per variant', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(small);
+        result.current.addToCart(large, 2);
+      });
+
+      expect(result.current.cartItems.map((item) => item.cartItemId)).toEqual([
+        'cart-item-501-s',
+        'cart-item-501-l',
+      ]);
+      expect(result.current.getItemQuantity('cart-item-501-l')).toBe(2);
+      expect(result.current.getItemQuantity(mockVariantProduct.id)).toBe(3);
+    });
+
+    it('updates and removes a single variant line', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(small);
+        result.current.addToCart(large);
+      });
+      act(() => {
+        result.current.updateQuantity('cart-item-501-s', 3);
+        result.current.removeFromCart('cart-item-501-l');
+      });
+
+      expect(result.current.cartItems).toHaveLength(1);
+      expect(result.current.cartItems[0]).toMatchObject({ variantId: 's', quantity: 3 });
+    });
+
+    it('limits each line to its variant stock', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(large, 5);
+      });
+      act(() => {
+        result.current.addToCart(large);
+      });
+
+      expect(result.current.getItemQuantity('cart-item-501-l')).toBe(large.stock);
+    });
+
+    it('prices each line at its variant price', () => {
+      const { result } = renderHook(() => useCart(), { wrapper });
+
+      act(() => {
+        result.current.addToCart(small, 2);
+        result.current.addToCart(large);
+      });
+
+      expect(result.current.cartSubtotal).toBeCloseTo(65, 2);
+      expect(result.current.lineTotals).toEqual({
+        'cart-item-501-s': 40,
+        'cart-item-501-l': 25,
+      });
+    });
+  });
+
   describe('complex cart operations', () => {
     it('handles multiple operations in sequence', () => {
       const { result } = renderHook(() => useCart(), { wrapper });
@@ -721,4 +1202,78 @@ describe('CartContext', () => {
       expect(result.current.cartTotal).toBeCloseTo(599.94, 2);
     });
   });
+
+  describe('cross-tab sync', () => {
+    const renderCartWithToasts = () =>
+      renderHook(() => ({ cart: useCart(), toast: useToast() }), { wrapper });
+
+    const savedCart = () => JSON.parse(localStorage.getItem('cart')).data;
+    const saveCartFromOtherTab = (items) =>
+      writeFromOtherTab('cart', { schemaVersion: 1, data: items });
+    const savedStamps = () => JSON.parse(localStorage.getItem('cartSync')).data;
+    const saveStampsFromOtherTab = (stamps) =>
+      writeFromOtherTab('cartSync', { schemaVersion: 1, data: stamps });
+
+    it('adds lines another tab put in the cart and tells the user', () => {
+      const { result } = renderCartWithToasts();
+
+      act(() => {
+        result.current.cart.addToCart(mockProduct);
+      });
+
+      const later = Date.now() + 1000;
+      act(() => {
+        saveStampsFromOtherTab({
+          ...savedStamps(),
+          updatedAt: { ...savedStamps().updatedAt, 'cart-item-2': later },
+        });
+        saveCartFromOtherTab([...savedCart(), { ...mockSaleProduct, quantity: 2 }]);
+      });
+
+      expect(result.current.cart.cartItems.map((item) => item.id)).toEqual([
+        mockProduct.id,
+        mockSaleProduct.id,
+      ]);
+      expect(result.current.cart.getItemQuantity(mockSaleProduct.id)).toBe(2);
+      expect(result.current.toast.toasts.map((toast) => toast.message)).toContain(
+        'Your cart was updated in another tab'
+      );
+    });
+
+    it("keeps this tab's later change over an older one from another tab", () => {
+      const { result } = renderCartWithToasts();
+
+      act(() => {
+        result.current.cart.addToCart(mockProduct, 3);
+      });
+
+      act(() => {
+        saveStampsFromOtherTab({ updatedAt: { 'cart-item-1001': 1 }, removedAt: {} });
+        saveCartFromOtherTab([{ ...mockProduct, quantity: 1, cartItemId: 'cart-item-1001' }]);
+      });
+
+      expect(result.current.cart.getItemQuantity(mockProduct.id)).toBe(3);
+      expect(result.current.toast.toasts).toHaveLength(0);
+    });
+
+    it('drops lines another tab removed', () => {
+      const { result } = renderCartWithToasts();
+
+      act(() => {
+        result.current.cart.addToCart(mockProduct);
+        result.current.cart.addToCart(mockProduct3);
+      });
+
+      const later = Date.now() + 1000;
+      act(() => {
+        saveStampsFromOtherTab({
+          updatedAt: { 'cart-item-3': savedStamps().updatedAt['cart-item-3'] },
+          removedAt: { 'cart-item-1001': later },
+        });
+        saveCartFromOtherTab(savedCart().filter((item) => item.id !== mockProduct.id));
+      });
+
+      expect(result.current.cart.cartItems.map((item) => item.id)).toEqual([3]);
+    });
+  });
 });
@@ -0,0 +1,185 @@
+import { createContext, useContext, useState, useCallback, useMemo, useEffect } from 'react';
+import { COMPARE, STORAGE_KEYS } from '../constants';
+import { getVersionedFromStorage, setVersionedToStorage } from '../utils/storageSchema';
+import { createLogger } from '../utils/logger';
+
+// Create logger for this context
+const log = createLogger('CompareContext');
+
+// Create the Compare Context
+const CompareContext = createContext(null);
+
+/**
+ * Load the compare selection from localStorage
+ * Older selections are upgraded, and unreadable ones quarantined (see
+ * `utils/storageSchema`).
+ * @returns {Array} Products, at most `COMPARE.MAX_PRODUCTS`
+ */
+function loadCompareFromStorage() {
+  return getVersionedFromStorage(STORAGE_KEYS.COMPARE, []).slice(0, COMPARE.MAX_PRODUCTS);
+}
+
+/**
+ * CompareProvider - Manages the products picked for side-by-side comparison
+ *
+ * Keeps a persisted selection of up to `COMPARE.MAX_PRODUCTS` products,
+ * in the order they were added. The compare page shares the selection
+ * as product IDs in its URL and replaces it when a shared link is opened.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function CompareProvider({ children }) {
+  const [compareItems, setCompareItems] = useState(() => loadCompareFromStorage());
+
+  // Persist selection to localStorage whenever it changes
+  useEffect(() => {
+    if (!setVersionedToStorage(STORAGE_KEYS.COMPARE, compareItems)) {
+      log.error('Failed to save compare selection to localStorage');
+    }
+  }, [compareItems]);
+
+  const compareCount = compareItems.length;
+  const isCompareFull = compareCount >= COMPARE.MAX_PRODUCTS;
+
+  /**
+   * Check if a product is selected for comparison
+   * @param {number|string} productId - Product ID
+   * @returns {boolean}
+   */
+  const isInCompare = useCallback(
+    (productId) => compareItems.some((item) => item.id === productId),
+    [compareItems]
+  );
+
+  /**
+   * Add a product to the comparison (no-op if already added)
+   * @param {Object} product - Product to compare
+   * @returns {{ success: boolean, message: string }} Result of operation
+   */
+  const addToCompare = useCallback(
+    (product) => {
+      if (!product || !product.id) {
+        log.warn('Attempted to add invalid product to compare');
+        return { success: false, message: 'Invalid product' };
+      }
+
+      if (!isInCompare(product.id) && isCompareFull) {
+        return {
+          success: false,
+          message: `You can compare up to ${COMPARE.MAX_PRODUCTS} products`,
+        };
+      }
+
+      setCompareItems((prevItems) =>
+        prevItems.some((item) => item.id === product.id) ? prevItems : [...prevItems, product]
+      );
+
+      return { success: true, message: `${product.name} added to compare` };
+    },
+    [isInCompare, isCompareFull]
+  );
+
+  /**
+   * Remove a product from the comparison
+   * @param {number|string} productId - Product ID
+   * @returns {{ success: boolean, message: string }} Result of operation
+   */
+  const removeFromCompare = useCallback(
+    (productId) => {
+      const item = compareItems.find((compareItem) => compareItem.id === productId);
+      setCompareItems((prevItems) => prevItems.filter((prevItem) => prevItem.id !== productId));
+
+      return {
+        success: true,
+        message: item ? `${item.name} removed from compare` : 'Item removed',
+      };
+    },
+    [compareItems]
+  );
+
+  /**
+   * Add or remove a product
+   * @param {Object} product - Product to toggle
+   * @returns {{ success: boolean, message: string }} Result of operation
+   */
+  const toggleCompare = useCallback(
+    (product) => (isInCompare(product.id) ? removeFromCompare(product.id) : addToCompare(product)),
+    [isInCompare, removeFromCompare, addToCompare]
+  );
+
+  /**
+   * Replace the whole selection (e.g. with the products of a shared link)
+   * Keeps the first `COMPARE.MAX_PRODUCTS` products.
+   * @param {Array} products - Products to compare
+   */
+  const replaceCompare = useCallback((products) => {
+    setCompareItems(products.slice(0, COMPARE.MAX_PRODUCTS));
+  }, []);
+
+  /**
+   * Remove every product from the comparison
+   * @returns {{ success: boolean, message: string }}
+   */
+  const clearCompare = useCallback(() => {
+    setCompareItems([]);
+    return { success: true, message: 'Comparison cleared' };
+  }, []);
+
+  // Memoize context value
+  const value = useMemo(
+    () => ({
+      compareItems,
+      compareCount,
+      isCompareFull,
+      isInCompare,
+      addToCompare,
+      removeFromCompare,
+      toggleCompare,
+      replaceCompare,
+      clearCompare,
+    }),
+    [
+      compareItems,
+      compareCount,
+      isCompareFull,
+      isInCompare,
+      addToCompare,
+      removeFromCompare,
+      toggleCompare,
+      replaceCompare,
+      clearCompare,
+    ]
+  );
+
+  return <CompareContext.Provider value={value}>{children}</CompareContext.Provider>;
+}
+
+/**
+ * useCompare - Hook to access the comparison context
+ *
+ * @returns {Object} Compare context value containing:
+ *   - compareItems: Array - Products selected for comparison
+ *   - compareCount: number - Number of selected products
+ *   - isCompareFull: boolean - Whether no more products can be added
+ *   - isInCompare: Function - Check if a product is selected
+ *   - addToCompare: Function - Add a product
+ *   - removeFromCompare: Function - Remove a product
+ *   - toggleCompare: Function - Add or remove a product
+ *   - replaceCompare: Function - Replace the whole selection
+ *   - clearCompare: Function - Remove every product
+ *
+ * @throws {Error} If used outside of CompareProvider
+ *
+ * @example
+ * const { isInCompare, toggleCompare } = useCompare();
+ */
+export function useCompare() {
+  const context = useContext(CompareContext);
+  if (!context) {
+    throw new Error('useCompare must be used within a CompareProvider');
+  }
+  return context;
+}
+
+export default CompareContext;
@@ -0,0 +1,179 @@
+// CompareContext tests
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { CompareProvider, useCompare } from './CompareContext';
+import { COMPARE, STORAGE_KEYS } from '../constants';
+import { mockProduct } from '../testing/test-utils';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+
+const wrapper = ({ children }) => <CompareProvider>{children}</CompareProvider>;
+
+const makeProduct = (id) => ({ ...mockProduct, id, name: `Product ${id}` });
+
+describe('CompareContext', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('throws error when used outside CompareProvider', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => {
+      renderHook(() => useCompare());
+    }).toThrow('useCompare must be used within a CompareProvider');
+
+    consoleSpy.mockRestore();
+  });
+
+  describe('selecting products', () => {
+    it('toggles a product in and out of the comparison', () => {
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      act(() => {
+        result.current.toggleCompare(mockProduct);
+      });
+
+      expect(result.current.isInCompare(mockProduct.id)).toBe(true);
+      expect(result.current.compareCount).toBe(1);
+
+      act(() => {
+        result.current.toggleCompare(mockProduct);
+      });
+
+      expect(result.current.isInCompare(mockProduct.id)).toBe(false);
+    });
+
+    it('does not add the same product twice', () => {
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      act(() => {
+        result.current.addToCompare(mockProduct);
+      });
+      act(() => {
+        result.current.addToCompare(mockProduct);
+      });
+
+      expect(result.current.compareCount).toBe(1);
+    });
+
+    it(`refuses more than ${COMPARE.MAX_PRODUCTS} products`, () => {
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      for (let id = 1; id <= COMPARE.MAX_PRODUCTS; id += 1) {
+        act(() => {
+          result.current.addToCompare(makeProduct(id));
+        });
+      }
+
+      let response;
+      act(() => {
+        response = result.current.addToCompare(makeProduct(99));
+      });
+
+      expect(response).toEqual({
+        success: false,
+        message: `You can compare up to ${COMPARE.MAX_PRODUCTS} products`,
+      });
+      expect(result.current.isCompareFull).toBe(true);
+      expect(result.current.isInCompare(99)).toBe(false);
+    });
+
+    it('keeps products in the order they were added', () => {
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      act(() => {
+        result.current.addToCompare(makeProduct(3));
+      });
+      act(() => {
+        result.current.addToCompare(makeProduct(1));
+      });
+
+      expect(result.current.compareItems.map((item) => item.id)).toEqual([3, 1]);
+    });
+
+    it('rejects invalid products', () => {
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      let response;
+      act(() => {
+        response = result.current.addToCompare(null);
+      });
+
+      expect(response.success).toBe(false);
+      expect(result.current.compareCount).toBe(0);
+    });
+  });
+
+  describe('replacing and clearing', () => {
+    it('replaces the selection, keeping the first products that fit', () => {
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      act(() => {
+        result.current.addToCompare(makeProduct(9));
+      });
+      act(() => {
+        result.current.replaceCompare([1, 2, 3, 4, 5].map(makeProduct));
+      });
+
+      expect(result.current.compareItems.map((item) => item.id)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('clears every product', () => {
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      act(() => {
+        result.current.addToCompare(mockProduct);
+      });
+      act(() => {
+        result.current.clearCompare();
+      });
+
+      expect(result.current.compareCount).toBe(0);
+    });
+  });
+
+  describe('persistence', () => {
+    it('saves the selection to localStorage', () => {
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      act(() => {
+        result.current.addToCompare(mockProduct);
+      });
+
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.COMPARE));
+      expect(saved.schemaVersion).toBe(1);
+      expect(saved.data.map((item) => item.id)).toEqual([mockProduct.id]);
+    });
+
+    it('restores a selection saved before versioned storage', () => {
+      localStorage.setItem(STORAGE_KEYS.COMPARE, JSON.stringify([mockProduct]));
+
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      expect(result.current.compareItems).toEqual([mockProduct]);
+    });
+
+    it('quarantines a selection with invalid entries', () => {
+      const raw = JSON.stringify([mockProduct, { id: 5, name: '' }]);
+      localStorage.setItem(STORAGE_KEYS.COMPARE, raw);
+
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      expect(result.current.compareItems).toEqual([]);
+      expect(getQuarantinedEntries()).toEqual([
+        expect.objectContaining({ key: STORAGE_KEYS.COMPARE, raw }),
+      ]);
+    });
+
+    it('quarantines non-array storage data', () => {
+      localStorage.setItem(STORAGE_KEYS.COMPARE, JSON.stringify({ id: 1 }));
+
+      const { result } = renderHook(() => useCompare(), { wrapper });
+
+      expect(result.current.compareItems).toEqual([]);
+      expect(getQuarantinedEntries()).toEqual([
+        expect.objectContaining({ reason: 'Compare selection is not a list' }),
+      ]);
+    });
+  });
+});
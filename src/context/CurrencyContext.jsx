@@ -0,0 +1,139 @@
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { currencies } from '../data/currencies';
+import { BASE_CURRENCY, STORAGE_KEYS } from '../constants';
+import { findCurrency, formatPrice as formatWithCurrency, getUserLocale } from '../utils/currency';
+import { getVersionedFromStorage, setVersionedToStorage } from '../utils/storageSchema';
+
+// Create the Currency Context
+const CurrencyContext = createContext(null);
+
+/**
+ * Helper function to get the initial currency code
+ * Uses the saved choice when it is still supported, otherwise the base currency
+ * @returns {string} ISO 4217 currency code
+ */
+function getInitialCurrency() {
+  // SSR safety check
+  if (typeof window === 'undefined') {
+    return BASE_CURRENCY;
+  }
+
+  const savedCurrency = getVersionedFromStorage(STORAGE_KEYS.CURRENCY, null);
+  return findCurrency(currencies, savedCurrency)?.code ?? BASE_CURRENCY;
+}
+
+/**
+ * CurrencyProvider - Provides display currency to the application
+ *
+ * Catalog prices are stored in the base currency. This context holds
+ * the shopper's chosen display currency (persisted in localStorage),
+ * converts base prices with the static rates table, and formats them
+ * with Intl.NumberFormat for the browser's locale.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Child components
+ * @param {string} [props.locale] - Locale override (defaults to the browser locale)
+ */
+export function CurrencyProvider({ children, locale: localeOverride }) {
+  const [currencyCode, setCurrencyCode] = useState(getInitialCurrency);
+  const locale = localeOverride ?? getUserLocale();
+
+  // Persist the choice
+  useEffect(() => {
+    setVersionedToStorage(STORAGE_KEYS.CURRENCY, currencyCode);
+  }, [currencyCode]);
+
+  const currency = useMemo(
+    () => findCurrency(currencies, currencyCode) ?? findCurrency(currencies, BASE_CURRENCY),
+    [currencyCode]
+  );
+
+  /**
+   * Switch display currency, ignoring unsupported codes
+   * @param {string} code - ISO 4217 currency code
+   */
+  const setCurrency = useCallback((code) => {
+    const next = findCurrency(currencies, code);
+    if (next) {
+      setCurrencyCode(next.code);
+    }
+  }, []);
+
+  /**
+   * Convert a base-currency amount to the display currency
+   * @param {number} amount - Amount in the base currency
+   * @returns {number}
+   */
+  const convert = useCallback((amount) => amount * currency.rate, [currency]);
+
+  /**
+   * Convert and format a base-currency amount
+   * @param {number} amount - Amount in the base currency
+   * @param {Object} [options] - See utils/currency formatPrice (e.g. `wholeUnits`)
+   * @returns {string}
+   */
+  const formatPrice = useCallback(
+    (amount, options = {}) => formatWithCurrency(amount, { currency, locale, ...options }),
+    [currency, locale]
+  );
+
+  /**
+   * Format a base-currency amount in a given currency instead of the
+   * selected one, e.g. the currency an order was placed in
+   * @param {number} amount - Amount in the base currency
+   * @param {Object} [priceCurrency] - Currency (`{ code, rate }`); defaults to the base currency
+   * @param {Object} [options] - See utils/currency formatPrice (e.g. `wholeUnits`)
+   * @returns {string}
+   */
+  const formatPriceIn = useCallback(
+    (amount, priceCurrency, options = {}) =>
+      formatWithCurrency(amount, { currency: priceCurrency, locale, ...options }),
+    [locale]
+  );
+
+  // Memoize context value to prevent unnecessary re-renders of consumers
+  const value = useMemo(
+    () => ({
+      currency,
+      currencyCode: currency.code,
+      currencies,
+      setCurrency,
+      locale,
+      convert,
+      formatPrice,
+      formatPriceIn,
+    }),
+    [currency, setCurrency, locale, convert, formatPrice, formatPriceIn]
+  );
+
+  return <CurrencyContext.Provider value={value}>{children}</CurrencyContext.Provider>;
+}
+
+/**
+ * useCurrency - Custom hook to access currency context
+ *
+ * @returns {Object} Currency context value containing:
+ *   - currency: Object - Selected currency `{ code, name, rate }`
+ *   - currencyCode: string - Selected ISO 4217 code
+ *   - currencies: Array - Supported currencies
+ *   - setCurrency: Function - Switch currency by code
+ *   - locale: string - Locale used for formatting
+ *   - convert: Function - Convert a base-currency amount
+ *   - formatPrice: Function - Convert and format a base-currency amount
+ *   - formatPriceIn: Function - Format a base-currency amount in a given currency
+ *
+ * @throws {Error} If used outside of CurrencyProvider
+ *
+ * @example
+ * const { formatPrice } = useCurrency();
+ * <span>{formatPrice(product.price)}</span>
+ */
+export function useCurrency() {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+}
+
+export default CurrencyContext;
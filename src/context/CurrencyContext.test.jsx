@@ -0,0 +1,89 @@
+// CurrencyContext tests
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { CurrencyProvider, useCurrency } from './CurrencyContext';
+import { STORAGE_KEYS } from '../constants';
+
+const wrapper = ({ children }) => <CurrencyProvider locale="en-US">{children}</CurrencyProvider>;
+
+describe('CurrencyContext', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.getItem.mockReturnValue(null);
+  });
+
+  it('throws error when used outside CurrencyProvider', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => {
+      renderHook(() => useCurrency());
+    }).toThrow('useCurrency must be used within a CurrencyProvider');
+
+    consoleSpy.mockRestore();
+  });
+
+  it('defaults to the base currency', () => {
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    expect(result.current.currencyCode).toBe('USD');
+    expect(result.current.formatPrice(5)).toBe('$5.00');
+  });
+
+  it('restores the saved currency', () => {
+    localStorage.getItem.mockImplementation((key) =>
+      key === STORAGE_KEYS.CURRENCY ? JSON.stringify({ schemaVersion: 1, data: 'EUR' }) : null
+    );
+
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    expect(result.current.currencyCode).toBe('EUR');
+  });
+
+  it('restores a currency saved before versioned storage', () => {
+    localStorage.getItem.mockImplementation((key) =>
+      key === STORAGE_KEYS.CURRENCY ? 'EUR' : null
+    );
+
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    expect(result.current.currencyCode).toBe('EUR');
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      STORAGE_KEYS.CURRENCY,
+      JSON.stringify({ schemaVersion: 1, data: 'EUR' })
+    );
+  });
+
+  it('ignores an unsupported saved currency', () => {
+    localStorage.getItem.mockReturnValue('XYZ');
+
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    expect(result.current.currencyCode).toBe('USD');
+  });
+
+  it('switches and persists the currency', () => {
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    act(() => {
+      result.current.setCurrency('gbp');
+    });
+
+    expect(result.current.currencyCode).toBe('GBP');
+    expect(result.current.convert(100)).toBeCloseTo(79);
+    expect(result.current.formatPrice(100)).toBe('£79.00');
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      STORAGE_KEYS.CURRENCY,
+      JSON.stringify({ schemaVersion: 1, data: 'GBP' })
+    );
+  });
+
+  it('ignores unsupported codes', () => {
+    const { result } = renderHook(() => useCurrency(), { wrapper });
+
+    act(() => {
+      result.current.setCurrency('XYZ');
+    });
+
+    expect(result.current.currencyCode).toBe('USD');
+  });
+});
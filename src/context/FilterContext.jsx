@@ -1,17 +1,76 @@
 import { createContext, useContext, useState, useCallback, useMemo } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { CATEGORIES } from '../constants';
+import { CATEGORIES, FACET_PARAMS, SORT_PARAM } from '../constants';
+import { SORT_OPTIONS } from '../services/productsApi';
 
 // Create the Filter Context
 const FilterContext = createContext(null);
 
+/**
+ * Read a non-negative number from URL search params
+ * @param {URLSearchParams} searchParams - URL search params
+ * @param {string} key - Param name
+ * @returns {number|undefined} Parsed number, or undefined if missing or invalid
+ */
+function getNumberParam(searchParams, key) {
+  const raw = searchParams.get(key);
+  if (raw === null || raw === '') {
+    return undefined;
+  }
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : undefined;
+}
+
+/**
+ * Parse product facets from URL search params
+ * The result uses the filter names `filterProducts` expects.
+ * @param {URLSearchParams} searchParams - URL search params
+ * @returns {Object} Facet filters
+ */
+function parseFacets(searchParams) {
+  return {
+    minPrice: getNumberParam(searchParams, FACET_PARAMS.MIN_PRICE),
+    maxPrice: getNumberParam(searchParams, FACET_PARAMS.MAX_PRICE),
+    colours: searchParams.getAll(FACET_PARAMS.COLOUR),
+    inStock: searchParams.get(FACET_PARAMS.IN_STOCK) === '1',
+    onSale: searchParams.get(FACET_PARAMS.ON_SALE) === '1',
+    maxDeliveryDays: getNumberParam(searchParams, FACET_PARAMS.DELIVERY),
+    minRating: getNumberParam(searchParams, FACET_PARAMS.MIN_RATING),
+  };
+}
+
+/**
+ * Read the sort order from URL search params
+ * @param {URLSearchParams} searchParams - URL search params
+ * @returns {string} A `SORT_OPTIONS` value (default for missing or unknown values)
+ */
+function parseSort(searchParams) {
+  const sort = searchParams.get(SORT_PARAM);
+  return Object.values(SORT_OPTIONS).includes(sort) ? sort : SORT_OPTIONS.DEFAULT;
+}
+
+/**
+ * Set or remove a URL search param
+ * @param {URLSearchParams} params - Params to update
+ * @param {string} key - Param name
+ * @param {string|number|boolean|undefined|null} value - Value; removed when empty or false
+ */
+function setOrDeleteParam(params, key, value) {
+  if (value === undefined || value === null || value === '' || value === false) {
+    params.delete(key);
+  } else {
+    params.set(key, value === true ? '1' : String(value));
+  }
+}
+
 /**
  * FilterProvider - Centralized state management for product filtering
  *
  * Consolidates activeCategory and viewingOffers state that was previously
  * duplicated across App.jsx, HomePage.jsx, and ProductsPage.jsx.
- * Uses URL search params as the source of truth for category to enable
- * deep linking and browser history support.
+ * Uses URL search params as the source of truth for category and product
+ * facets (price range, colour, availability, on sale, delivery time,
+ * minimum rating) and the sort order to enable deep linking and browser history support.
  *
  * @param {Object} props
  * @param {React.ReactNode} props.children - Child components
@@ -22,6 +81,13 @@ export function FilterProvider({ children }) {
   // Get category from URL or default to 'all'
   const activeCategory = searchParams.get('category') || CATEGORIES.ALL;
 
+  // Facets from URL, memoized on the query string so consumers get a stable object
+  const facetQuery = searchParams.toString();
+  const facets = useMemo(() => parseFacets(new URLSearchParams(facetQuery)), [facetQuery]);
+
+  // Sort order from URL, shared by every listing view
+  const sortBy = parseSort(searchParams);
+
   // Offers state (not persisted in URL for simplicity)
   const [viewingOffers, setViewingOffers] = useState(false);
 
@@ -58,6 +124,113 @@ export function FilterProvider({ children }) {
     setSearchParams(newParams, { replace: true });
   }, [searchParams, setSearchParams]);
 
+  /**
+   * Update facet params in the URL
+   * @param {Function} update - Receives a copy of the params to modify
+   */
+  const updateFacetParams = useCallback(
+    (update) => {
+      const newParams = new URLSearchParams(searchParams);
+      update(newParams);
+      setSearchParams(newParams, { replace: true });
+    },
+    [searchParams, setSearchParams]
+  );
+
+  /**
+   * Set the price range facet
+   * @param {number} [minPrice] - Minimum price (omit to clear)
+   * @param {number} [maxPrice] - Maximum price (omit to clear)
+   */
+  const setPriceRange = useCallback(
+    (minPrice, maxPrice) =>
+      updateFacetParams((params) => {
+        setOrDeleteParam(params, FACET_PARAMS.MIN_PRICE, minPrice);
+        setOrDeleteParam(params, FACET_PARAMS.MAX_PRICE, maxPrice);
+      }),
+    [updateFacetParams]
+  );
+
+  /**
+   * Add or remove a colour from the colour facet
+   * @param {string} colour - Colour value
+   */
+  const toggleColour = useCallback(
+    (colour) =>
+      updateFacetParams((params) => {
+        const colours = params.getAll(FACET_PARAMS.COLOUR);
+        params.delete(FACET_PARAMS.COLOUR);
+        const next = colours.includes(colour)
+          ? colours.filter((value) => value !== colour)
+          : [...colours, colour];
+        next.forEach((value) => params.append(FACET_PARAMS.COLOUR, value));
+      }),
+    [updateFacetParams]
+  );
+
+  /**
+   * Toggle the in-stock facet
+   * @param {boolean} inStock - Whether to show in-stock items only
+   */
+  const setInStock = useCallback(
+    (inStock) =>
+      updateFacetParams((params) => setOrDeleteParam(params, FACET_PARAMS.IN_STOCK, inStock)),
+    [updateFacetParams]
+  );
+
+  /**
+   * Toggle the on-sale facet
+   * @param {boolean} onSale - Whether to show on-sale items only
+   */
+  const setOnSale = useCallback(
+    (onSale) =>
+      updateFacetParams((params) => setOrDeleteParam(params, FACET_PARAMS.ON_SALE, onSale)),
+    [updateFacetParams]
+  );
+
+  /**
+   * Set the delivery time facet
+   * @param {number|null} days - Longest acceptable delivery time (null for any)
+   */
+  const setMaxDeliveryDays = useCallback(
+    (days) => updateFacetParams((params) => setOrDeleteParam(params, FACET_PARAMS.DELIVERY, days)),
+    [updateFacetParams]
+  );
+
+  /**
+   * Set the minimum-rating facet
+   * @param {number|null} rating - Lowest acceptable average rating (null for any)
+   */
+  const setMinRating = useCallback(
+    (rating) =>
+      updateFacetParams((params) => setOrDeleteParam(params, FACET_PARAMS.MIN_RATING, rating)),
+    [updateFacetParams]
+  );
+
+  /**
+   * Clear every facet, keeping the category
+   */
+  const clearFacets = useCallback(
+    () =>
+      updateFacetParams((params) => {
+        Object.values(FACET_PARAMS).forEach((key) => params.delete(key));
+      }),
+    [updateFacetParams]
+  );
+
+  /**
+   * Set the listing sort order
+   * The default order is kept out of the URL.
+   * @param {string} sort - A `SORT_OPTIONS` value
+   */
+  const setSortBy = useCallback(
+    (sort) =>
+      updateFacetParams((params) =>
+        setOrDeleteParam(params, SORT_PARAM, sort === SORT_OPTIONS.DEFAULT ? null : sort)
+      ),
+    [updateFacetParams]
+  );
+
   /**
    * Reset all filters to default state
    */
@@ -66,16 +239,31 @@ export function FilterProvider({ children }) {
 
     const newParams = new URLSearchParams(searchParams);
     newParams.delete('category');
+    Object.values(FACET_PARAMS).forEach((key) => newParams.delete(key));
     setSearchParams(newParams, { replace: true });
   }, [searchParams, setSearchParams]);
 
+  /**
+   * Number of facets with a selection (each colour counts once)
+   */
+  const activeFacetCount = useMemo(
+    () =>
+      (facets.minPrice !== undefined || facets.maxPrice !== undefined ? 1 : 0) +
+      facets.colours.length +
+      (facets.inStock ? 1 : 0) +
+      (facets.onSale ? 1 : 0) +
+      (facets.maxDeliveryDays !== undefined ? 1 : 0) +
+      (facets.minRating !== undefined ? 1 : 0),
+    [facets]
+  );
+
   /**
    * Check if any filter is active
-   * @returns {boolean} True if category is not 'all' or offers view is active
+   * @returns {boolean} True if category is not 'all', offers view is active or a facet is set
    */
   const hasActiveFilters = useMemo(
-    () => activeCategory !== CATEGORIES.ALL || viewingOffers,
-    [activeCategory, viewingOffers]
+    () => activeCategory !== CATEGORIES.ALL || viewingOffers || activeFacetCount > 0,
+    [activeCategory, viewingOffers, activeFacetCount]
   );
 
   // Memoize context value to prevent unnecessary re-renders
@@ -87,6 +275,17 @@ export function FilterProvider({ children }) {
       enableOffersView,
       resetFilters,
       hasActiveFilters,
+      facets,
+      activeFacetCount,
+      setPriceRange,
+      toggleColour,
+      setInStock,
+      setOnSale,
+      setMaxDeliveryDays,
+      setMinRating,
+      clearFacets,
+      sortBy,
+      setSortBy,
     }),
     [
       activeCategory,
@@ -95,6 +294,17 @@ export function FilterProvider({ children }) {
       enableOffersView,
       resetFilters,
       hasActiveFilters,
+      facets,
+      activeFacetCount,
+      setPriceRange,
+      toggleColour,
+      setInStock,
+      setOnSale,
+      setMaxDeliveryDays,
+      setMinRating,
+      clearFacets,
+      sortBy,
+      setSortBy,
     ]
   );
 
@@ -109,6 +319,15 @@ export function FilterProvider({ children }) {
  *
  * @example
  * const { activeCategory, setActiveCategory, viewingOffers, enableOffersView } = useFilter();
+ *
+ * @example
+ * // Facets are shaped as `filterProducts` filters
+ * const { facets, toggleColour, setPriceRange } = useFilter();
+ * const visible = filterProducts(products, { category: activeCategory, ...facets });
+ *
+ * @example
+ * const { sortBy, setSortBy } = useFilter();
+ * const ordered = sortProducts(visible, sortBy);
  */
 export function useFilter() {
   const context = useContext(FilterContext);
@@ -4,6 +4,7 @@ import { renderHook, act, waitFor } from '@testing-library/react';
 import { MemoryRouter } from 'react-router-dom';
 import { FilterProvider, useFilter } from './FilterContext';
 import { CATEGORIES } from '../constants';
+import { SORT_OPTIONS } from '../services/productsApi';
 
 // Wrapper component with MemoryRouter for testing
 const createWrapper = (initialEntries = ['/']) =>
@@ -391,6 +392,203 @@ describe('FilterContext', () => {
     });
   });
 
+  describe('facets', () => {
+    it('has no facets selected by default', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products']),
+      });
+
+      expect(result.current.facets).toEqual({
+        minPrice: undefined,
+        maxPrice: undefined,
+        colours: [],
+        inStock: false,
+        onSale: false,
+        maxDeliveryDays: undefined,
+      });
+      expect(result.current.activeFacetCount).toBe(0);
+    });
+
+    it('reads facets from the URL', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper([
+          '/products?minPrice=10&maxPrice=50&colour=Black&colour=White&inStock=1&delivery=8',
+        ]),
+      });
+
+      expect(result.current.facets).toMatchObject({
+        minPrice: 10,
+        maxPrice: 50,
+        colours: ['Black', 'White'],
+        inStock: true,
+        maxDeliveryDays: 8,
+      });
+      // Price range, two colours, availability and delivery
+      expect(result.current.activeFacetCount).toBe(5);
+      expect(result.current.hasActiveFilters).toBe(true);
+    });
+
+    it('ignores invalid numeric params', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products?minPrice=abc&delivery=-3']),
+      });
+
+      expect(result.current.facets.minPrice).toBeUndefined();
+      expect(result.current.facets.maxDeliveryDays).toBeUndefined();
+    });
+
+    it('toggles colours on and off', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products']),
+      });
+
+      act(() => {
+        result.current.toggleColour('Black');
+      });
+      act(() => {
+        result.current.toggleColour('Red');
+      });
+      expect(result.current.facets.colours).toEqual(['Black', 'Red']);
+
+      act(() => {
+        result.current.toggleColour('Black');
+      });
+      expect(result.current.facets.colours).toEqual(['Red']);
+    });
+
+    it('sets and clears the price range', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products']),
+      });
+
+      act(() => {
+        result.current.setPriceRange(20, 80);
+      });
+      expect(result.current.facets.minPrice).toBe(20);
+      expect(result.current.facets.maxPrice).toBe(80);
+
+      act(() => {
+        result.current.setPriceRange(undefined, 80);
+      });
+      expect(result.current.facets.minPrice).toBeUndefined();
+      expect(result.current.activeFacetCount).toBe(1);
+    });
+
+    it('sets availability, offers and delivery facets', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products']),
+      });
+
+      act(() => {
+        result.current.setInStock(true);
+      });
+      act(() => {
+        result.current.setOnSale(true);
+      });
+      act(() => {
+        result.current.setMaxDeliveryDays(10);
+      });
+
+      expect(result.current.facets).toMatchObject({
+        inStock: true,
+        onSale: true,
+        maxDeliveryDays: 10,
+      });
+
+      act(() => {
+        result.current.setMaxDeliveryDays(null);
+      });
+      expect(result.current.facets.maxDeliveryDays).toBeUndefined();
+    });
+
+    it('sets and clears the minimum rating', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products']),
+      });
+
+      act(() => {
+        result.current.setMinRating(4);
+      });
+      expect(result.current.facets.minRating).toBe(4);
+      expect(result.current.activeFacetCount).toBe(1);
+
+      act(() => {
+        result.current.setMinRating(null);
+      });
+      expect(result.current.facets.minRating).toBeUndefined();
+    });
+
+    it('clearFacets keeps the category', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products?category=fashion&colour=Black&inStock=1']),
+      });
+
+      act(() => {
+        result.current.clearFacets();
+      });
+
+      expect(result.current.activeFacetCount).toBe(0);
+      expect(result.current.activeCategory).toBe('fashion');
+    });
+
+    it('resetFilters clears facets', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products?colour=Black&onSale=1']),
+      });
+
+      act(() => {
+        result.current.resetFilters();
+      });
+
+      expect(result.current.activeFacetCount).toBe(0);
+      expect(result.current.hasActiveFilters).toBe(false);
+    });
+  });
+
+  describe('sortBy', () => {
+    it('defaults to catalog order', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products']),
+      });
+
+      expect(result.current.sortBy).toBe(SORT_OPTIONS.DEFAULT);
+    });
+
+    it('reads the sort order from the URL', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products?sort=discount']),
+      });
+
+      expect(result.current.sortBy).toBe(SORT_OPTIONS.BIGGEST_DISCOUNT);
+    });
+
+    it('ignores unknown sort values', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products?sort=bogus']),
+      });
+
+      expect(result.current.sortBy).toBe(SORT_OPTIONS.DEFAULT);
+    });
+
+    it('updates the sort order and keeps it through resetFilters', () => {
+      const { result } = renderHook(() => useFilter(), {
+        wrapper: createWrapper(['/products?category=fashion']),
+      });
+
+      act(() => {
+        result.current.setSortBy(SORT_OPTIONS.PRICE_HIGH_LOW);
+      });
+      expect(result.current.sortBy).toBe(SORT_OPTIONS.PRICE_HIGH_LOW);
+      expect(result.current.activeCategory).toBe('fashion');
+
+      act(() => {
+        result.current.resetFilters();
+      });
+      expect(result.current.sortBy).toBe(SORT_OPTIONS.PRICE_HIGH_LOW);
+      expect(result.current.hasActiveFilters).toBe(false);
+    });
+  });
+
   describe('integration scenarios', () => {
     it('handles rapid filter changes', async () => {
       const { result } = renderHook(() => useFilter(), {
@@ -1,7 +1,9 @@
 import { createContext, useContext, useState, useCallback, useMemo, useEffect } from 'react';
 import { STORAGE_KEYS } from '../constants';
-import { getFromStorage, setToStorage } from '../utils/storage';
+import { getVersionedFromStorage, setVersionedToStorage } from '../utils/storageSchema';
+import { subscribeToStorageKey } from '../utils/storageSync';
 import { validateProfile } from '../utils/validation';
+import { profileApi } from '../services/api';
 
 // Create the Profile Context
 const ProfileContext = createContext(null);
@@ -26,23 +28,17 @@ const defaultProfile = {
 
 /**
  * Load profile from localStorage, with validation
+ * Profiles saved by older releases are upgraded first, and invalid ones
+ * put aside rather than lost (see `utils/storageSchema`).
  * @returns {Object} User profile
  */
 function loadProfileFromStorage() {
-  const savedProfile = getFromStorage(STORAGE_KEYS.USER_PROFILE, null);
+  const savedProfile = getVersionedFromStorage(STORAGE_KEYS.USER_PROFILE, null);
 
   if (!savedProfile) {
     return defaultProfile;
   }
 
-  // Validate the loaded profile
-  const validation = validateProfile(savedProfile);
-
-  if (!validation.valid) {
-    console.warn('Invalid profile data in storage, using defaults:', validation.errors);
-    return defaultProfile;
-  }
-
   // Merge with defaults to ensure all fields exist
   return { ...defaultProfile, ...savedProfile };
 }
@@ -53,7 +49,7 @@ function loadProfileFromStorage() {
  * @returns {boolean} Success status
  */
 function saveProfileToStorage(profile) {
-  return setToStorage(STORAGE_KEYS.USER_PROFILE, profile);
+  return setVersionedToStorage(STORAGE_KEYS.USER_PROFILE, profile);
 }
 
 /**
@@ -64,7 +60,7 @@ function saveProfileToStorage(profile) {
  * for save operations with loading state.
  *
  * Features:
- * - localStorage persistence
+ * - localStorage persistence, kept in step with other tabs
  * - Profile validation
  * - Unsaved changes detection
  * - Async save with loading state
@@ -91,6 +87,25 @@ export function ProfileProvider({ children }) {
     saveProfileToStorage(savedProfile);
   }, [savedProfile]);
 
+  // Take profiles saved in other tabs; an edit in progress here is kept
+  // and saves over them
+  useEffect(
+    () =>
+      subscribeToStorageKey(STORAGE_KEYS.USER_PROFILE, () => {
+        const storedProfile = getVersionedFromStorage(STORAGE_KEYS.USER_PROFILE, null);
+        if (!storedProfile) {
+          return;
+        }
+
+        const profile = { ...defaultProfile, ...storedProfile };
+        setSavedProfile(profile);
+        if (!isProfileEditing) {
+          setUserProfile(profile);
+        }
+      }),
+    [isProfileEditing]
+  );
+
   /**
    * Update a single field in the profile
    * @param {string} fieldName - Name of the field to update
@@ -131,8 +146,9 @@ export function ProfileProvider({ children }) {
 
   /**
    * Save profile changes
-   * Async operation with loading state, validation, and error handling
-   * @returns {Promise<{success: boolean, error?: string, errors?: string[]}>} Save result
+   * Async operation with loading state, validation, and error handling.
+   * Offline, the profile is saved locally and `queued` for the service.
+   * @returns {Promise<{success: boolean, queued?: boolean, error?: string, errors?: string[]}>} Save result
    */
   const saveProfile = useCallback(async () => {
     setIsSaving(true);
@@ -152,16 +168,19 @@ export function ProfileProvider({ children }) {
         };
       }
 
-      // Simulate API call - in production, replace with actual API call
-      // await api.saveProfile(userProfile);
-      await new Promise((resolve) => setTimeout(resolve, 300));
+      // Saved through the service layer, which queues it while offline
+      const result = await profileApi.save(userProfile);
+      if (!result.success) {
+        setSaveError(result.message);
+        return { success: false, error: result.message, errors: result.errors };
+      }
 
       // Update saved profile (triggers localStorage save via useEffect)
       setSavedProfile({ ...userProfile });
       setIsProfileEditing(false);
       setIsProfileOpen(false);
 
-      return { success: true };
+      return { success: true, ...(result.queued && { queued: true }) };
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : 'Failed to save profile';
       setSaveError(errorMessage);
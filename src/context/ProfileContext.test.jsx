@@ -3,6 +3,8 @@ import { describe, it, expect, vi } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
 import { ProfileProvider, useProfile } from './ProfileContext';
 import { ThemeProvider } from './ThemeContext';
+import { writeFromOtherTab } from '../testing/test-utils';
+import { getQuarantinedEntries } from '../utils/storageSchema';
 
 // Wrapper component with necessary providers
 const wrapper = ({ children }) => (
@@ -1050,4 +1052,69 @@ describe('ProfileContext', () => {
       expect(result.current.savedProfile).toEqual(defaultProfile);
     });
   });
+
+  describe('stored profile', () => {
+    it('loads a profile saved by an older release', () => {
+      localStorage.setItem(
+        'userProfile',
+        JSON.stringify({ ...defaultProfile, firstName: 'Legacy' })
+      );
+
+      const { result } = renderHook(() => useProfile(), { wrapper });
+
+      expect(result.current.userProfile).toEqual({ ...defaultProfile, firstName: 'Legacy' });
+      expect(JSON.parse(localStorage.getItem('userProfile')).schemaVersion).toBe(1);
+    });
+
+    it('puts an invalid stored profile aside and uses the defaults', () => {
+      const invalid = JSON.stringify({ ...defaultProfile, email: 'not-an-email' });
+      localStorage.setItem('userProfile', invalid);
+
+      const { result } = renderHook(() => useProfile(), { wrapper });
+
+      expect(result.current.userProfile).toEqual(defaultProfile);
+      expect(getQuarantinedEntries()).toEqual([
+        expect.objectContaining({ key: 'userProfile', raw: invalid }),
+      ]);
+    });
+  });
+
+  describe('cross-tab sync', () => {
+    it('shows a profile saved in another tab', () => {
+      const { result } = renderHook(() => useProfile(), { wrapper });
+
+      act(() => {
+        writeFromOtherTab('userProfile', { ...defaultProfile, firstName: 'Remote' });
+      });
+
+      expect(result.current.userProfile.firstName).toBe('Remote');
+      expect(result.current.savedProfile.firstName).toBe('Remote');
+    });
+
+    it('keeps unsaved edits while editing', () => {
+      const { result } = renderHook(() => useProfile(), { wrapper });
+
+      act(() => {
+        result.current.startEditing();
+        result.current.updateProfile({ firstName: 'Local' });
+      });
+
+      act(() => {
+        writeFromOtherTab('userProfile', { ...defaultProfile, firstName: 'Remote' });
+      });
+
+      expect(result.current.userProfile.firstName).toBe('Local');
+      expect(result.current.savedProfile.firstName).toBe('Remote');
+    });
+
+    it('ignores an invalid profile from another tab', () => {
+      const { result } = renderHook(() => useProfile(), { wrapper });
+
+      act(() => {
+        writeFromOtherTab('userProfile', { ...defaultProfile, email: 'not-an-email' });
+      });
+
+      expect(result.current.userProfile).toEqual(defaultProfile);
+    });
+  });
 });
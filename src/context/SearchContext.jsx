@@ -37,6 +37,17 @@ export function SearchProvider({ children }) {
     }
   }, [location.pathname, navigate]);
 
+  /**
+   * Show the current search within one category on the products page
+   * @param {string} category - Category to search in
+   */
+  const searchInCategory = useCallback(
+    (category) => {
+      navigate(`${ROUTES.PRODUCTS}?category=${encodeURIComponent(category)}`);
+    },
+    [navigate]
+  );
+
   /**
    * Clear search term
    */
@@ -55,10 +66,11 @@ export function SearchProvider({ children }) {
       searchTerm,
       setSearchTerm,
       onSearchSubmit,
+      searchInCategory,
       clearSearch,
       isSearchActive,
     }),
-    [searchTerm, setSearchTerm, onSearchSubmit, clearSearch, isSearchActive]
+    [searchTerm, setSearchTerm, onSearchSubmit, searchInCategory, clearSearch, isSearchActive]
   );
 
   return <SearchContext.Provider value={value}>{children}</SearchContext.Provider>;
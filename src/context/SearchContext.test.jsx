@@ -3,7 +3,7 @@ import { describe, it, expect, vi } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
 import { SearchProvider } from './SearchContext';
 import { useSearch } from './index';
-import { BrowserRouter, MemoryRouter } from 'react-router-dom';
+import { BrowserRouter, MemoryRouter, useLocation } from 'react-router-dom';
 
 // Helper wrapper for testing
 const createWrapper = (initialEntries = ['/']) =>
@@ -237,6 +237,25 @@ describe('SearchContext', () => {
     });
   });
 
+  describe('searchInCategory', () => {
+    it('opens the products page filtered to the category, keeping the search', () => {
+      const { result } = renderHook(() => ({ search: useSearch(), location: useLocation() }), {
+        wrapper: createWrapper(['/home']),
+      });
+
+      act(() => {
+        result.current.search.setSearchTerm('speaker');
+      });
+      act(() => {
+        result.current.search.searchInCategory('electronics');
+      });
+
+      expect(result.current.location.pathname).toBe('/products');
+      expect(result.current.location.search).toBe('?category=electronics');
+      expect(result.current.search.searchTerm).toBe('speaker');
+    });
+  });
+
   describe('context value stability', () => {
     it('setSearchTerm function is stable', () => {
       const { result, rerender } = renderHook(() => useSearch(), {
@@ -1,6 +1,8 @@
 import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
 import { COLORS } from '../data/colors';
 import { STORAGE_KEYS } from '../constants';
+import { getVersionedFromStorage, setVersionedToStorage } from '../utils/storageSchema';
+import { subscribeToStorageKey } from '../utils/storageSync';
 
 // Create the Theme Context
 const ThemeContext = createContext(null);
@@ -17,9 +19,9 @@ function getInitialDarkMode() {
   }
 
   // Check localStorage first
-  const savedDarkMode = localStorage.getItem(STORAGE_KEYS.DARK_MODE);
+  const savedDarkMode = getVersionedFromStorage(STORAGE_KEYS.DARK_MODE, null);
   if (savedDarkMode !== null) {
-    return savedDarkMode === 'true';
+    return savedDarkMode;
   }
 
   // Fall back to system preference
@@ -33,8 +35,8 @@ function getInitialDarkMode() {
 /**
  * ThemeProvider - Provides theme context to the application
  *
- * Manages dark mode state with localStorage persistence and
- * system preference detection. Automatically updates document
+ * Manages dark mode state with localStorage persistence (shared
+ * with other tabs) and system preference detection. Automatically updates document
  * classes for Tailwind dark mode support.
  *
  * @param {Object} props
@@ -52,7 +54,7 @@ export function ThemeProvider({ children }) {
       document.documentElement.classList.remove('dark');
       document.body.classList.remove('dark:bg-gray-900');
     }
-    localStorage.setItem(STORAGE_KEYS.DARK_MODE, String(darkMode));
+    setVersionedToStorage(STORAGE_KEYS.DARK_MODE, darkMode);
   }, [darkMode]);
 
   // Listen for system preference changes
@@ -88,6 +90,18 @@ export function ThemeProvider({ children }) {
     };
   }, []);
 
+  // Follow dark mode toggled in other tabs
+  useEffect(
+    () =>
+      subscribeToStorageKey(STORAGE_KEYS.DARK_MODE, () => {
+        const savedDarkMode = getVersionedFromStorage(STORAGE_KEYS.DARK_MODE, null);
+        if (savedDarkMode !== null) {
+          setDarkMode(savedDarkMode);
+        }
+      }),
+    []
+  );
+
   // Toggle dark mode - memoized callback
   const toggleDarkMode = useCallback(() => {
     setDarkMode((prev) => !prev);
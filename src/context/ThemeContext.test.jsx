@@ -3,6 +3,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
 import { ThemeProvider, useTheme } from './ThemeContext';
 import { COLORS } from '../data/colors';
+import { writeFromOtherTab } from '../testing/test-utils';
 
 // Helper to create a proper matchMedia mock
 const createMatchMediaMock = (matches = false) => ({
@@ -288,7 +289,10 @@ describe('ThemeContext', () => {
         result.current.setDarkMode(true);
       });
 
-      expect(localStorage.setItem).toHaveBeenCalledWith('darkMode', 'true');
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        'darkMode',
+        JSON.stringify({ schemaVersion: 1, data: true })
+      );
     });
 
     it('saves light mode to localStorage when disabled', () => {
@@ -300,7 +304,10 @@ describe('ThemeContext', () => {
         result.current.setDarkMode(false);
       });
 
-      expect(localStorage.setItem).toHaveBeenCalledWith('darkMode', 'false');
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        'darkMode',
+        JSON.stringify({ schemaVersion: 1, data: false })
+      );
     });
 
     it('saves on toggle', () => {
@@ -312,7 +319,10 @@ describe('ThemeContext', () => {
         result.current.toggleDarkMode();
       });
 
-      expect(localStorage.setItem).toHaveBeenCalledWith('darkMode', 'true');
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        'darkMode',
+        JSON.stringify({ schemaVersion: 1, data: true })
+      );
     });
 
     it('reads from localStorage on initialization', () => {
@@ -592,4 +602,18 @@ describe('ThemeContext', () => {
       expect(result.current.colors.background).not.toBe(COLORS.light.background);
     });
   });
+
+  describe('cross-tab sync', () => {
+    it('follows a theme change made in another tab', () => {
+      const { result } = renderHook(() => useTheme(), { wrapper: createWrapper() });
+
+      localStorage.getItem.mockReturnValue('true');
+      act(() => {
+        writeFromOtherTab('darkMode', true);
+      });
+
+      expect(result.current.darkMode).toBe(true);
+      expect(document.documentElement.classList.contains('dark')).toBe(true);
+    });
+  });
 });
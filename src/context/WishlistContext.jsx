@@ -0,0 +1,295 @@
+import { createContext, useContext, useState, useCallback, useMemo, useEffect } from 'react';
+import { DEFAULTS, STORAGE_KEYS } from '../constants';
+import { getVersionedFromStorage, setVersionedToStorage } from '../utils/storageSchema';
+import { createLogger } from '../utils/logger';
+import { getAvailableStock } from '../services/inventory';
+import { getCartItemId } from '../utils/id';
+import { applyVariant, getDefaultVariant, hasVariants } from '../utils/variants';
+import { useCartItems } from './cart/CartItemsContext';
+
+// Create logger for this context
+const log = createLogger('WishlistContext');
+
+// Create the Wishlist Context
+const WishlistContext = createContext(null);
+
+/**
+ * Load wishlist from localStorage
+ * Saved items share the cart item shape (product fields, `cartItemId`
+ * and quantity). Older wishlists are upgraded, and unreadable ones
+ * quarantined (see `utils/storageSchema`).
+ * @returns {Array} Saved items
+ */
+function loadWishlistFromStorage() {
+  return getVersionedFromStorage(STORAGE_KEYS.WISHLIST, []);
+}
+
+/**
+ * Check whether a saved item is the one an ID refers to
+ * A product ID only matches an item saved without a variant.
+ * @param {Object} item - Saved item
+ * @param {number|string} id - Cart item ID or product ID
+ * @returns {boolean}
+ */
+function matchesItem(item, id) {
+  return getCartItemId(item) === id || (item.id === id && !item.variantId);
+}
+
+/**
+ * Most units of a product the cart can hold right now
+ * @param {Object} product - Product or saved item (resolved to a variant if it has them)
+ * @returns {number} Units allowed (stock left, capped at the cart maximum)
+ */
+function getCartLimit(product) {
+  return Math.min(
+    getAvailableStock(product.id, product.stock, product.variantId),
+    DEFAULTS.CART_MAX_QUANTITY
+  );
+}
+
+/**
+ * Resolve a saved product with variants to the first one in stock
+ * Items saved from the cart already carry their variant.
+ * @param {Object} product - Saved product
+ * @returns {Object} Product ready to add to the cart
+ */
+function resolveSavedVariant(product) {
+  if (!hasVariants(product)) {
+    return product;
+  }
+  const variant = getDefaultVariant(product, (v) => getAvailableStock(product.id, v.stock, v.id));
+  return applyVariant(product, variant.id);
+}
+
+/**
+ * WishlistProvider - Manages saved-for-later products
+ *
+ * Keeps a persisted list of products the shopper wants to buy later,
+ * and moves items between it and the cart. Moves keep the quantity,
+ * capped at `DEFAULTS.CART_MAX_QUANTITY` and the stock left.
+ * A cart line keeps its variant; a product with variants saved from a
+ * listing goes to the cart as its first variant in stock.
+ * Must be rendered inside CartProvider.
+ *
+ * Saved items are keyed like cart lines (see `generateCartItemId`), so
+ * each variant of a product is saved separately.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function WishlistProvider({ children }) {
+  const { addToCart, removeFromCart, getItemQuantity } = useCartItems();
+  const [wishlistItems, setWishlistItems] = useState(() => loadWishlistFromStorage());
+
+  // Persist wishlist to localStorage whenever it changes
+  useEffect(() => {
+    if (!setVersionedToStorage(STORAGE_KEYS.WISHLIST, wishlistItems)) {
+      log.error('Failed to save wishlist to localStorage');
+    }
+  }, [wishlistItems]);
+
+  /**
+   * Check if a product is saved
+   * @param {number|string} id - Cart item ID, or product ID (any of its variants)
+   * @returns {boolean}
+   */
+  const isInWishlist = useCallback(
+    (id) => wishlistItems.some((item) => getCartItemId(item) === id || item.id === id),
+    [wishlistItems]
+  );
+
+  /**
+   * Save a product (no-op if already saved)
+   * @param {Object} product - Product to save
+   * @param {number} [quantity=1] - Units to remember
+   * @returns {{ success: boolean, message: string }} Result of operation
+   */
+  const addToWishlist = useCallback((product, quantity = 1) => {
+    if (!product || !product.id) {
+      log.warn('Attempted to add invalid product to wishlist');
+      return { success: false, message: 'Invalid product' };
+    }
+
+    const cartItemId = getCartItemId(product);
+    const savedQuantity = Math.max(1, Math.min(quantity, DEFAULTS.CART_MAX_QUANTITY));
+
+    setWishlistItems((prevItems) =>
+      prevItems.some((item) => getCartItemId(item) === cartItemId)
+        ? prevItems
+        : [...prevItems, { ...product, cartItemId, quantity: savedQuantity }]
+    );
+
+    return { success: true, message: `${product.name} saved to wishlist` };
+  }, []);
+
+  /**
+   * Remove a saved item, or every saved variant of a product
+   * @param {number|string} id - Cart item ID, or product ID (all of its variants)
+   * @returns {{ success: boolean, message: string }} Result of operation
+   */
+  const removeFromWishlist = useCallback(
+    (id) => {
+      const isSaved = (item) => getCartItemId(item) === id || item.id === id;
+      const item = wishlistItems.find(isSaved);
+      setWishlistItems((prevItems) => prevItems.filter((prevItem) => !isSaved(prevItem)));
+
+      return {
+        success: true,
+        message: item ? `${item.name} removed from wishlist` : 'Item removed',
+      };
+    },
+    [wishlistItems]
+  );
+
+  /**
+   * Save or unsave a product
+   * @param {Object} product - Product to toggle
+   * @returns {{ success: boolean, message: string }} Result of operation
+   */
+  const toggleWishlist = useCallback(
+    (product) =>
+      isInWishlist(product.id) ? removeFromWishlist(product.id) : addToWishlist(product),
+    [isInWishlist, removeFromWishlist, addToWishlist]
+  );
+
+  /**
+   * Move a cart line to the wishlist, keeping its quantity
+   * @param {Object} cartItem - Cart item
+   * @returns {{ success: boolean, message: string }} Result of operation
+   */
+  const moveToWishlist = useCallback(
+    (cartItem) => {
+      const { quantity, ...product } = cartItem;
+      const cartItemId = getCartItemId(cartItem);
+
+      setWishlistItems((prevItems) => [
+        ...prevItems.filter((item) => getCartItemId(item) !== cartItemId),
+        { ...product, cartItemId, quantity: Math.min(quantity, DEFAULTS.CART_MAX_QUANTITY) },
+      ]);
+      removeFromCart(cartItemId);
+
+      log.debug('Cart item moved to wishlist', { cartItemId });
+      return { success: true, message: `${product.name} moved to wishlist` };
+    },
+    [removeFromCart]
+  );
+
+  /**
+   * Move a saved item into the cart
+   * Adds as many of the saved units as stock and the cart maximum allow.
+   * The item stays saved if none can be added or the cart refuses it.
+   * @param {number|string} id - Cart item ID (or product ID) of the saved item
+   * @returns {{ success: boolean, message: string }} Result of operation
+   */
+  const moveToCart = useCallback(
+    (id) => {
+      const item = wishlistItems.find((wishlistItem) => matchesItem(wishlistItem, id));
+      if (!item) {
+        return { success: false, message: 'Item not found in wishlist' };
+      }
+
+      // The cart line ID comes from the variant the item resolves to
+      const { quantity, cartItemId, ...saved } = item;
+      const product = resolveSavedVariant(saved);
+      const limit = getCartLimit(product);
+
+      if (limit <= 0) {
+        return { success: false, message: `${product.name} is out of stock` };
+      }
+
+      const room = limit - getItemQuantity(getCartItemId(product));
+      if (room <= 0) {
+        return { success: false, message: 'Maximum quantity reached' };
+      }
+
+      const quantityToAdd = Math.min(quantity, room);
+      const added = addToCart(product, quantityToAdd);
+      if (!added.success) {
+        return added;
+      }
+
+      const savedId = cartItemId ?? getCartItemId(item);
+      setWishlistItems((prevItems) =>
+        prevItems.filter((prevItem) => getCartItemId(prevItem) !== savedId)
+      );
+
+      log.debug('Wishlist item moved to cart', { cartItemId: savedId, quantity: quantityToAdd });
+      return {
+        success: true,
+        message:
+          quantityToAdd < quantity
+            ? `Only ${quantityToAdd} of ${product.name} moved to cart`
+            : `${product.name} moved to cart`,
+      };
+    },
+    [wishlistItems, addToCart, getItemQuantity]
+  );
+
+  /**
+   * Remove every saved item
+   * @returns {{ success: boolean, message: string }}
+   */
+  const clearWishlist = useCallback(() => {
+    setWishlistItems([]);
+    return { success: true, message: 'Wishlist cleared' };
+  }, []);
+
+  const wishlistCount = wishlistItems.length;
+
+  // Memoize context value
+  const value = useMemo(
+    () => ({
+      wishlistItems,
+      wishlistCount,
+      isInWishlist,
+      addToWishlist,
+      removeFromWishlist,
+      toggleWishlist,
+      moveToWishlist,
+      moveToCart,
+      clearWishlist,
+    }),
+    [
+      wishlistItems,
+      wishlistCount,
+      isInWishlist,
+      addToWishlist,
+      removeFromWishlist,
+      toggleWishlist,
+      moveToWishlist,
+      moveToCart,
+      clearWishlist,
+    ]
+  );
+
+  return <WishlistContext.Provider value={value}>{children}</WishlistContext.Provider>;
+}
+
+/**
+ * useWishlist - Hook to access wishlist context
+ *
+ * @returns {Object} Wishlist context value containing:
+ *   - wishlistItems: Array - Saved products with the quantity to buy
+ *   - wishlistCount: number - Number of saved products
+ *   - isInWishlist: Function - Check if a product is saved
+ *   - addToWishlist: Function - Save a product
+ *   - removeFromWishlist: Function - Unsave a product
+ *   - toggleWishlist: Function - Save or unsave a product
+ *   - moveToWishlist: Function - Move a cart item to the wishlist
+ *   - moveToCart: Function - Move a saved item to the cart
+ *   - clearWishlist: Function - Remove every saved item
+ *
+ * @throws {Error} If used outside of WishlistProvider
+ *
+ * @example
+ * const { isInWishlist, toggleWishlist } = useWishlist();
+ */
+export function useWishlist() {
+  const context = useContext(WishlistContext);
+  if (!context) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+}
+
+export default WishlistContext;
@@ -0,0 +1,325 @@
+// WishlistContext tests
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { WishlistProvider, useWishlist } from './WishlistContext';
+import CartItemsContext, { CartItemsProvider, useCartItems } from './cart/CartItemsContext';
+import { resetInventory, reserveStock } from '../services/inventory';
+import { DEFAULTS, STORAGE_KEYS } from '../constants';
+import { mockProduct } from '../testing/test-utils';
+import { applyVariant } from '../utils/variants';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+
+const wrapper = ({ children }) => (
+  <CartItemsProvider>
+    <WishlistProvider>{children}</WishlistProvider>
+  </CartItemsProvider>
+);
+
+// Hook returning both contexts so moves can be checked on each side
+const useWishlistAndCart = () => ({ ...useWishlist(), ...useCartItems() });
+
+// Product 1 in the catalog has 3 units in stock
+const limitedProduct = { ...mockProduct, id: 1, stock: 3 };
+
+describe('WishlistContext', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    resetInventory();
+  });
+
+  it('throws error when used outside WishlistProvider', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => {
+      renderHook(() => useWishlist(), {
+        wrapper: ({ children }) => <CartItemsProvider>{children}</CartItemsProvider>,
+      });
+    }).toThrow('useWishlist must be used within a WishlistProvider');
+
+    consoleSpy.mockRestore();
+  });
+
+  describe('saving products', () => {
+    it('toggles a product in and out of the wishlist', () => {
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      act(() => {
+        result.current.toggleWishlist(mockProduct);
+      });
+
+      expect(result.current.isInWishlist(mockProduct.id)).toBe(true);
+      expect(result.current.wishlistCount).toBe(1);
+
+      act(() => {
+        result.current.toggleWishlist(mockProduct);
+      });
+
+      expect(result.current.isInWishlist(mockProduct.id)).toBe(false);
+    });
+
+    it('does not save the same product twice', () => {
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(mockProduct);
+        result.current.addToWishlist(mockProduct);
+      });
+
+      expect(result.current.wishlistCount).toBe(1);
+    });
+
+    it('persists the wishlist to storage', () => {
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(mockProduct);
+      });
+
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.WISHLIST));
+      expect(saved).toEqual({
+        schemaVersion: 1,
+        data: [{ ...mockProduct, cartItemId: 'cart-item-1', quantity: 1 }],
+      });
+    });
+
+    it('upgrades a wishlist saved before versioned storage', () => {
+      localStorage.setItem(
+        STORAGE_KEYS.WISHLIST,
+        JSON.stringify([{ ...mockProduct, quantity: 1 }])
+      );
+
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      expect(result.current.wishlistItems).toEqual([
+        { ...mockProduct, cartItemId: 'cart-item-1', quantity: 1 },
+      ]);
+    });
+
+    it('quarantines a wishlist with invalid items instead of dropping them', () => {
+      const raw = JSON.stringify([{ ...mockProduct, quantity: 1 }, { id: 2 }]);
+      localStorage.setItem(STORAGE_KEYS.WISHLIST, raw);
+
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      expect(result.current.wishlistItems).toEqual([]);
+      expect(getQuarantinedEntries()).toEqual([
+        expect.objectContaining({ key: STORAGE_KEYS.WISHLIST, raw, schemaVersion: 0 }),
+      ]);
+    });
+  });
+
+  describe('variants', () => {
+    const tee = {
+      ...mockProduct,
+      id: 9002,
+      options: [{ type: 'size', values: ['S', 'L'] }],
+      variants: [
+        { id: 's', options: { size: 'S' }, stock: 5 },
+        { id: 'l', options: { size: 'L' }, stock: 5 },
+      ],
+    };
+
+    it('saves each variant of a product separately', () => {
+      const { result } = renderHook(useWishlistAndCart, { wrapper });
+
+      act(() => {
+        result.current.addToCart(applyVariant(tee, 's'));
+        result.current.addToCart(applyVariant(tee, 'l'), 2);
+      });
+      act(() => {
+        result.current.moveToWishlist(result.current.getCartItem('cart-item-9002-s'));
+        result.current.moveToWishlist(result.current.getCartItem('cart-item-9002-l'));
+      });
+
+      expect(result.current.wishlistItems.map((item) => [item.cartItemId, item.quantity])).toEqual([
+        ['cart-item-9002-s', 1],
+        ['cart-item-9002-l', 2],
+      ]);
+      expect(result.current.isInWishlist(tee.id)).toBe(true);
+    });
+
+    it('moves and removes one saved variant at a time', () => {
+      const { result } = renderHook(useWishlistAndCart, { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(applyVariant(tee, 's'));
+        result.current.addToWishlist(applyVariant(tee, 'l'));
+      });
+      act(() => {
+        result.current.moveToCart('cart-item-9002-l');
+      });
+
+      expect(result.current.getItemQuantity('cart-item-9002-l')).toBe(1);
+      expect(result.current.isInWishlist('cart-item-9002-s')).toBe(true);
+      expect(result.current.isInWishlist('cart-item-9002-l')).toBe(false);
+
+      act(() => {
+        result.current.removeFromWishlist('cart-item-9002-s');
+      });
+
+      expect(result.current.wishlistCount).toBe(0);
+    });
+
+    it('unsaves every variant when toggled from the product', () => {
+      const { result } = renderHook(() => useWishlist(), { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(applyVariant(tee, 's'));
+        result.current.addToWishlist(applyVariant(tee, 'l'));
+      });
+      act(() => {
+        result.current.toggleWishlist(tee);
+      });
+
+      expect(result.current.wishlistCount).toBe(0);
+    });
+  });
+
+  describe('moving items', () => {
+    it('moves a cart line to the wishlist with its quantity', () => {
+      const { result } = renderHook(useWishlistAndCart, { wrapper });
+
+      act(() => {
+        result.current.addToCart(mockProduct, 2);
+      });
+      act(() => {
+        result.current.moveToWishlist(result.current.getCartItem(mockProduct.id));
+      });
+
+      expect(result.current.isInCart(mockProduct.id)).toBe(false);
+      expect(result.current.wishlistItems).toEqual([
+        { ...mockProduct, cartItemId: 'cart-item-1', quantity: 2 },
+      ]);
+    });
+
+    it('moves a saved item to the cart', () => {
+      const { result } = renderHook(useWishlistAndCart, { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(mockProduct, 2);
+      });
+
+      let moveResult;
+      act(() => {
+        moveResult = result.current.moveToCart('cart-item-1');
+      });
+
+      expect(moveResult).toEqual({ success: true, message: 'Test Product moved to cart' });
+      expect(result.current.getItemQuantity(mockProduct.id)).toBe(2);
+      expect(result.current.isInWishlist(mockProduct.id)).toBe(false);
+    });
+
+    it('only moves as many units as are in stock', () => {
+      reserveStock([{ ...limitedProduct, quantity: 1 }]);
+      const { result } = renderHook(useWishlistAndCart, { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(limitedProduct, 3);
+      });
+
+      let moveResult;
+      act(() => {
+        moveResult = result.current.moveToCart('cart-item-1');
+      });
+
+      expect(moveResult.message).toBe('Only 2 of Test Product moved to cart');
+      expect(result.current.getItemQuantity(limitedProduct.id)).toBe(2);
+    });
+
+    it('caps the moved quantity at the cart maximum', () => {
+      const bulkProduct = { ...mockProduct, id: 9001, stock: 500 };
+      const { result } = renderHook(useWishlistAndCart, { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(bulkProduct, 500);
+      });
+      act(() => {
+        result.current.moveToCart('cart-item-9001');
+      });
+
+      expect(result.current.getItemQuantity(bulkProduct.id)).toBe(DEFAULTS.CART_MAX_QUANTITY);
+    });
+
+    it('keeps the item saved when the cart is already at the limit', () => {
+      const { result } = renderHook(useWishlistAndCart, { wrapper });
+
+      act(() => {
+        result.current.addToCart(limitedProduct, 3);
+        result.current.addToWishlist(limitedProduct);
+      });
+
+      let moveResult;
+      act(() => {
+        moveResult = result.current.moveToCart('cart-item-1');
+      });
+
+      expect(moveResult).toEqual({ success: false, message: 'Maximum quantity reached' });
+      expect(result.current.isInWishlist(limitedProduct.id)).toBe(true);
+    });
+
+    it('keeps the item saved when it is out of stock', () => {
+      reserveStock([{ ...limitedProduct, quantity: 3 }]);
+      const { result } = renderHook(useWishlistAndCart, { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(limitedProduct);
+      });
+
+      let moveResult;
+      act(() => {
+        moveResult = result.current.moveToCart('cart-item-1');
+      });
+
+      expect(moveResult).toEqual({ success: false, message: 'Test Product is out of stock' });
+      expect(result.current.isInCart(limitedProduct.id)).toBe(false);
+      expect(result.current.isInWishlist(limitedProduct.id)).toBe(true);
+    });
+
+    it('keeps the item saved when the cart line fills up first', () => {
+      const { result } = renderHook(useWishlistAndCart, { wrapper });
+
+      act(() => {
+        result.current.addToWishlist(limitedProduct);
+      });
+
+      let moveResult;
+      act(() => {
+        // Fills the line before the wishlist sees the cart change
+        result.current.addToCart(limitedProduct, 3);
+        moveResult = result.current.moveToCart('cart-item-1');
+      });
+
+      expect(moveResult).toEqual({ success: false, message: 'Maximum quantity reached' });
+      expect(result.current.getItemQuantity(limitedProduct.id)).toBe(3);
+      expect(result.current.isInWishlist(limitedProduct.id)).toBe(true);
+    });
+
+    it('keeps the item saved when the cart refuses it', () => {
+      const refused = { success: false, message: 'Cart is unavailable' };
+      const cart = {
+        addToCart: vi.fn(() => refused),
+        removeFromCart: vi.fn(),
+        getItemQuantity: () => 0,
+      };
+      const { result } = renderHook(() => useWishlist(), {
+        wrapper: ({ children }) => (
+          <CartItemsContext.Provider value={cart}>
+            <WishlistProvider>{children}</WishlistProvider>
+          </CartItemsContext.Provider>
+        ),
+      });
+
+      act(() => {
+        result.current.addToWishlist(mockProduct);
+      });
+
+      let moveResult;
+      act(() => {
+        moveResult = result.current.moveToCart('cart-item-1');
+      });
+
+      expect(moveResult).toEqual(refused);
+      expect(result.current.isInWishlist(mockProduct.id)).toBe(true);
+    });
+  });
+});
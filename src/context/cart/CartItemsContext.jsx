@@ -1,8 +1,24 @@
-import { createContext, useContext, useState, useCallback, useMemo, useEffect } from 'react';
-import { DEFAULTS, STORAGE_KEYS } from '../../constants';
-import { getFromStorage, setToStorage } from '../../utils/storage';
+import {
+  createContext,
+  useContext,
+  useState,
+  useCallback,
+  useMemo,
+  useEffect,
+  useRef,
+  useSyncExternalStore,
+} from 'react';
+import { STORAGE_KEYS } from '../../constants';
+import { getVersionedFromStorage, setVersionedToStorage } from '../../utils/storageSchema';
+import { subscribeToStorageKey } from '../../utils/storageSync';
+import { EMPTY_CART_STAMPS, mergeCarts, stampCartChanges } from '../../utils/cartSync';
 import { validateCartItem } from '../../utils/validation';
+import { getCartItemId } from '../../utils/id';
+import { hasVariants } from '../../utils/variants';
 import { createLogger } from '../../utils/logger';
+import { cartApi } from '../../services/api';
+import { getAvailableStock, subscribeToInventory } from '../../services/inventory';
+import ToastContext from '../ToastContext';
 
 // Create logger for this context
 const log = createLogger('CartItemsContext');
@@ -10,12 +26,24 @@ const log = createLogger('CartItemsContext');
 // Create the Cart Items Context
 const CartItemsContext = createContext(null);
 
+/**
+ * Check whether a cart line is the one an ID refers to
+ * A product ID only matches a line without a variant.
+ * @param {Object} item - Cart line
+ * @param {number|string} id - Cart item ID or product ID
+ * @returns {boolean}
+ */
+function matchesLine(item, id) {
+  return getCartItemId(item) === id || (item.id === id && !item.variantId);
+}
+
 /**
  * Load cart from localStorage with validation
+ * Carts saved by older releases are upgraded first (see `utils/storageSchema`).
  * @returns {Array} Valid cart items array
  */
 function loadCartFromStorage() {
-  const savedCart = getFromStorage(STORAGE_KEYS.CART, []);
+  const savedCart = getVersionedFromStorage(STORAGE_KEYS.CART, []);
 
   // Validate loaded cart items
   if (!Array.isArray(savedCart)) {
@@ -49,12 +77,30 @@ function loadCartFromStorage() {
  * @param {Array} cartItems - Cart items to save
  */
 function saveCartToStorage(cartItems) {
-  const success = setToStorage(STORAGE_KEYS.CART, cartItems);
+  const success = setVersionedToStorage(STORAGE_KEYS.CART, cartItems);
   if (!success) {
     log.error('Failed to save cart to localStorage');
   }
 }
 
+/**
+ * Load when each cart line was last changed or removed (see `utils/cartSync`)
+ * @returns {import('../../utils/cartSync').CartStamps}
+ */
+function loadCartStampsFromStorage() {
+  return getVersionedFromStorage(STORAGE_KEYS.CART_SYNC, EMPTY_CART_STAMPS);
+}
+
+/**
+ * Save the cart through the service layer (queued while offline)
+ * @param {Array} cartItems - Cart items to save
+ */
+function syncCart(cartItems) {
+  cartApi.save(cartItems).catch((error) => {
+    log.warn('Failed to sync cart', { error });
+  });
+}
+
 /**
  * CartItemsProvider - Manages cart items state and CRUD operations
  *
@@ -62,6 +108,20 @@ function saveCartToStorage(cartItems) {
  * Separated from UI state (modal) and checkout logic for better
  * performance and maintainability.
  *
+ * Each line has a `cartItemId` (see `generateCartItemId`), so every
+ * variant of a product gets its own line. Products with variants must
+ * be resolved to one (see `applyVariant`) before they are added.
+ * Line operations take a cart item ID, or a product ID for products
+ * without variants. Changes are saved through `cartApi.save`, which
+ * queues them while offline.
+ *
+ * Each action's result is decided from the latest cart, including
+ * changes not rendered yet, so it matches what the cart ends up holding.
+ *
+ * The cart stays in step with other tabs: their changes are merged in
+ * line by line, the latest change to a line winning (see `mergeCarts`),
+ * and the shopper is told when another tab changed the cart.
+ *
  * @param {Object} props
  * @param {React.ReactNode} props.children - Child components
  * @param {Function} [props.onCartChange] - Callback when cart changes
@@ -69,82 +129,148 @@ function saveCartToStorage(cartItems) {
 export function CartItemsProvider({ children, onCartChange }) {
   // Cart state - initialized from localStorage
   const [cartItems, setCartItems] = useState(() => loadCartFromStorage());
+  const [initialStamps] = useState(loadCartStampsFromStorage);
+
+  // Toasts are optional - the cart can be rendered without a ToastProvider (e.g. in tests)
+  const toast = useContext(ToastContext);
+
+  // The cart as last persisted, and when its lines changed
+  const persistedCartRef = useRef(cartItems);
+  const stampsRef = useRef(initialStamps);
 
-  // Persist cart to localStorage whenever it changes
+  // The cart as loaded or merged from another tab, which needs no syncing
+  const unchangedCartRef = useRef(cartItems);
+
+  // The latest cart, including changes React hasn't rendered yet, so each
+  // action decides its result from what the cart will actually hold
+  const latestCartRef = useRef(cartItems);
+
+  /**
+   * Replace the cart
+   * @param {Array} nextItems - New cart lines
+   */
+  const commitCart = useCallback((nextItems) => {
+    latestCartRef.current = nextItems;
+    setCartItems(nextItems);
+  }, []);
+
+  // Persist cart to localStorage whenever it changes, stamping the changed lines
   useEffect(() => {
+    stampsRef.current = stampCartChanges(persistedCartRef.current, cartItems, stampsRef.current);
+    persistedCartRef.current = cartItems;
+
+    // Stamps first, so another tab reading the cart finds them
+    setVersionedToStorage(STORAGE_KEYS.CART_SYNC, stampsRef.current);
     saveCartToStorage(cartItems);
     onCartChange?.(cartItems);
   }, [cartItems, onCartChange]);
 
+  // Sync changes made in this tab
+  useEffect(() => {
+    if (cartItems !== unchangedCartRef.current) {
+      syncCart(cartItems);
+    }
+  }, [cartItems]);
+
+  // Merge in changes made in other tabs
+  useEffect(
+    () =>
+      subscribeToStorageKey(STORAGE_KEYS.CART, () => {
+        const merged = mergeCarts(
+          { items: persistedCartRef.current, stamps: stampsRef.current },
+          { items: loadCartFromStorage(), stamps: loadCartStampsFromStorage() }
+        );
+
+        stampsRef.current = merged.stamps;
+        if (!merged.changed) {
+          return;
+        }
+
+        log.debug('Cart changed in another tab', { lines: merged.items.length });
+        persistedCartRef.current = merged.items;
+        unchangedCartRef.current = merged.items;
+        commitCart(merged.items);
+        toast?.showInfo('Your cart was updated in another tab');
+      }),
+    [toast, commitCart]
+  );
+
   /**
    * Add item to cart (respects stock limit)
-   * @param {Object} product - Product to add
+   * @param {Object} product - Product to add, resolved to a variant if it has them
+   * @param {number} [quantity=1] - Units to add
    * @returns {{ success: boolean, message: string }} Result of operation
    */
-  const addToCart = useCallback((product) => {
-    if (!product || !product.id) {
-      log.warn('Attempted to add invalid product to cart');
-      return { success: false, message: 'Invalid product' };
-    }
+  const addToCart = useCallback(
+    (product, quantity = 1) => {
+      if (!product || !product.id) {
+        log.warn('Attempted to add invalid product to cart');
+        return { success: false, message: 'Invalid product' };
+      }
 
-    const stockLimit = product.stock || DEFAULTS.STOCK_LIMIT;
+      if (hasVariants(product)) {
+        return { success: false, message: `Choose options for ${product.name}` };
+      }
 
-    // Check if out of stock
-    if (stockLimit <= 0) {
-      return { success: false, message: `${product.name} is out of stock` };
-    }
+      const cartItemId = getCartItemId(product);
+      const stockLimit = getAvailableStock(product.id, product.stock, product.variantId);
 
-    let result = { success: true, message: '' };
+      // Check if out of stock
+      if (stockLimit <= 0) {
+        return { success: false, message: `${product.name} is out of stock` };
+      }
 
-    setCartItems((prevItems) => {
-      const existingItem = prevItems.find((item) => item.id === product.id);
+      const prevItems = latestCartRef.current;
+      const existingItem = prevItems.find((item) => getCartItemId(item) === cartItemId);
 
       if (existingItem) {
         // Don't exceed stock limit
         if (existingItem.quantity >= stockLimit) {
-          result = { success: false, message: 'Maximum quantity reached' };
-          return prevItems;
+          return { success: false, message: 'Maximum quantity reached' };
         }
-        result.message = `Added another ${product.name} to cart`;
-        return prevItems.map((item) =>
-          item.id === product.id ? { ...item, quantity: item.quantity + 1 } : item
+        commitCart(
+          prevItems.map((item) =>
+            item === existingItem
+              ? { ...item, quantity: Math.min(item.quantity + quantity, stockLimit) }
+              : item
+          )
         );
+        return { success: true, message: `Added another ${product.name} to cart` };
       }
 
-      result.message = `${product.name} added to cart`;
-      log.debug('Product added to cart', { productId: product.id, name: product.name });
-      return [...prevItems, { ...product, quantity: 1 }];
-    });
-
-    return result;
-  }, []);
+      commitCart([
+        ...prevItems,
+        { ...product, cartItemId, quantity: Math.min(quantity, stockLimit) },
+      ]);
+      log.debug('Product added to cart', { cartItemId, name: product.name });
+      return { success: true, message: `${product.name} added to cart` };
+    },
+    [commitCart]
+  );
 
   /**
    * Remove item from cart
-   * @param {number|string} id - Product ID to remove
+   * @param {number|string} id - Cart item ID (or product ID) to remove
    * @returns {{ success: boolean, message: string }} Result of operation
    */
-  const removeFromCart = useCallback((id) => {
-    let removedName = '';
-
-    setCartItems((prevItems) => {
-      const item = prevItems.find((item) => item.id === id);
-      if (item) {
-        removedName = item.name;
-        log.debug('Product removed from cart', { productId: id, name: removedName });
+  const removeFromCart = useCallback(
+    (id) => {
+      const prevItems = latestCartRef.current;
+      const item = prevItems.find((prevItem) => matchesLine(prevItem, id));
+      if (!item) {
+        return { success: true, message: 'Item removed' };
       }
-      return prevItems.filter((item) => item.id !== id);
-    });
 
-    return {
-      success: true,
-      message: removedName ? `${removedName} removed from cart` : 'Item removed',
-    };
-  }, []);
+      commitCart(prevItems.filter((prevItem) => prevItem !== item));
+      log.debug('Product removed from cart', { cartItemId: id, name: item.name });
+      return { success: true, message: `${item.name} removed from cart` };
+    },
+    [commitCart]
+  );
 
   /**
    * Update item quantity (respects stock limit)
-   * @param {number|string} id - Product ID
+   * @param {number|string} id - Cart item ID (or product ID)
    * @param {number} newQuantity - New quantity value
    * @returns {{ success: boolean, message: string }} Result of operation
    */
@@ -154,31 +280,26 @@ export function CartItemsProvider({ children, onCartChange }) {
         return removeFromCart(id);
       }
 
-      let result = { success: true, message: '' };
-      let _itemName = '';
-
-      setCartItems((prevItems) =>
-        prevItems.map((item) => {
-          if (item.id === id) {
-            _itemName = item.name;
-            const stockLimit = item.stock || DEFAULTS.STOCK_LIMIT;
-
-            // Don't exceed stock limit
-            if (newQuantity > stockLimit) {
-              result = { success: false, message: 'Maximum quantity reached' };
-              return { ...item, quantity: stockLimit };
-            }
-
-            // Quantity updated successfully (message intentionally empty - no toast needed for quantity changes)
-            return { ...item, quantity: newQuantity };
-          }
-          return item;
-        })
-      );
-
-      return result;
+      const prevItems = latestCartRef.current;
+      const line = prevItems.find((item) => matchesLine(item, id));
+      if (!line) {
+        return { success: true, message: '' };
+      }
+
+      const stockLimit = getAvailableStock(line.id, line.stock, line.variantId);
+      if (stockLimit <= 0) {
+        return { success: false, message: `${line.name} is out of stock` };
+      }
+
+      const quantity = Math.min(newQuantity, stockLimit);
+      commitCart(prevItems.map((item) => (item === line ? { ...item, quantity } : item)));
+
+      // Don't exceed stock limit (no message otherwise - no toast needed for quantity changes)
+      return newQuantity > stockLimit
+        ? { success: false, message: 'Maximum quantity reached' }
+        : { success: true, message: '' };
     },
-    [removeFromCart]
+    [removeFromCart, commitCart]
   );
 
   /**
@@ -187,40 +308,45 @@ export function CartItemsProvider({ children, onCartChange }) {
    */
   const clearCart = useCallback(() => {
     log.debug('Cart cleared');
-    setCartItems([]);
+    commitCart([]);
     return { success: true, message: 'Cart cleared' };
-  }, []);
+  }, [commitCart]);
 
   /**
    * Check if item is in cart
-   * @param {number|string} productId - Product ID to check
+   * @param {number|string} id - Cart item ID, or product ID (any of its variants)
    * @returns {boolean} True if item is in cart
    */
   const isInCart = useCallback(
-    (productId) => cartItems.some((item) => item.id === productId),
+    (id) => cartItems.some((item) => getCartItemId(item) === id || item.id === id),
     [cartItems]
   );
 
   /**
    * Get item quantity in cart
-   * @param {number|string} productId - Product ID
+   * @param {number|string} id - Cart item ID, or product ID (summed over its variants)
    * @returns {number} Quantity in cart (0 if not in cart)
    */
   const getItemQuantity = useCallback(
-    (productId) => {
-      const item = cartItems.find((cartItem) => cartItem.id === productId);
-      return item ? item.quantity : 0;
+    (id) => {
+      const line = cartItems.find((item) => getCartItemId(item) === id);
+      if (line) {
+        return line.quantity;
+      }
+      return cartItems
+        .filter((item) => item.id === id)
+        .reduce((sum, item) => sum + item.quantity, 0);
     },
     [cartItems]
   );
 
   /**
-   * Get cart item by product ID
-   * @param {number|string} productId - Product ID
+   * Get cart item by cart item ID (or product ID)
+   * @param {number|string} id - Cart item ID or product ID
    * @returns {Object|null} Cart item or null
    */
   const getCartItem = useCallback(
-    (productId) => cartItems.find((item) => item.id === productId) || null,
+    (id) => cartItems.find((item) => matchesLine(item, id)) || null,
     [cartItems]
   );
 
@@ -239,14 +365,12 @@ export function CartItemsProvider({ children, onCartChange }) {
 
   /**
    * Check if any item is at stock limit
+   * Re-checked when stock changes, e.g. after an order in another tab.
    */
-  const hasItemsAtLimit = useMemo(
-    () =>
-      cartItems.some((item) => {
-        const stockLimit = item.stock || DEFAULTS.STOCK_LIMIT;
-        return item.quantity >= stockLimit;
-      }),
-    [cartItems]
+  const hasItemsAtLimit = useSyncExternalStore(subscribeToInventory, () =>
+    cartItems.some(
+      (item) => item.quantity >= getAvailableStock(item.id, item.stock, item.variantId)
+    )
   );
 
   // Memoize context value
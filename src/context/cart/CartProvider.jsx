@@ -1,4 +1,6 @@
-import { useCallback } from 'react';
+import { useCallback, useContext } from 'react';
+import ProfileContext from '../ProfileContext';
+import CurrencyContext from '../CurrencyContext';
 import { CartItemsProvider, useCartItems } from './CartItemsContext';
 import { CartTotalsProvider, useCartTotals } from './CartTotalsContext';
 import { CartUIProvider, useCartUI } from './CartUIContext';
@@ -38,9 +40,14 @@ function CartProviderInner({ children }) {
   const cartItems = useCartItems();
   const { clearCart } = cartItems;
 
+  // Profile is optional - cart can be rendered without a ProfileProvider (e.g. in tests)
+  const profile = useContext(ProfileContext);
+
   return (
-    <CartTotalsProvider cartItems={cartItems.cartItems}>
-      <CheckoutProvider clearCart={clearCart}>{children}</CheckoutProvider>
+    <CartTotalsProvider cartItems={cartItems.cartItems} destination={profile?.savedProfile}>
+      <CheckoutProvider clearCart={clearCart} customer={profile?.savedProfile}>
+        {children}
+      </CheckoutProvider>
     </CartTotalsProvider>
   );
 }
@@ -118,14 +125,55 @@ export function useCart() {
   const checkout = useCheckout();
 
   // Create a checkout handler that passes the cart data
+  // The promo code is kept on the order, then cleared for the next cart;
+  // the display currency is recorded so the order is shown as it was paid
+  const { removeCoupon } = cartTotals;
+  const currency = useContext(CurrencyContext)?.currency;
   const handleCheckoutWithData = useCallback(
-    (options = {}) =>
-      checkout.handleCheckout({
+    async (options = {}) => {
+      const result = await checkout.handleCheckout({
         cartItems: cartItems.cartItems,
         total: cartTotals.cartTotal,
+        totals: {
+          subtotal: cartTotals.cartSubtotal,
+          shipping: cartTotals.shippingCost,
+          savings: cartTotals.totalSavings,
+          discount: cartTotals.discountTotal,
+          discounts: cartTotals.discounts,
+          tax: cartTotals.taxTotal,
+          taxLabel: cartTotals.tax.label,
+          taxInclusive: cartTotals.tax.inclusive,
+          taxLines: cartTotals.tax.lines,
+          total: cartTotals.cartTotal,
+        },
+        shippingOption: cartTotals.selectedShippingOption,
+        coupon: cartTotals.discountTotal > 0 ? cartTotals.appliedCoupon : null,
+        currency,
         ...options,
-      }),
-    [checkout, cartItems.cartItems, cartTotals.cartTotal]
+      });
+
+      if (result?.success) {
+        removeCoupon();
+      }
+
+      return result;
+    },
+    [
+      checkout,
+      cartItems.cartItems,
+      cartTotals.cartTotal,
+      cartTotals.cartSubtotal,
+      cartTotals.shippingCost,
+      cartTotals.totalSavings,
+      cartTotals.discountTotal,
+      cartTotals.discounts,
+      cartTotals.taxTotal,
+      cartTotals.tax,
+      cartTotals.appliedCoupon,
+      cartTotals.selectedShippingOption,
+      currency,
+      removeCoupon,
+    ]
   );
 
   // Combine all context values
@@ -148,6 +196,7 @@ export function useCart() {
     // Cart Totals
     cartTotal: cartTotals.cartSubtotal, // Using subtotal as cartTotal for compatibility
     cartSubtotal: cartTotals.cartSubtotal,
+    lineTotals: cartTotals.lineTotals,
     selectedShipping: cartTotals.selectedShipping,
     setSelectedShipping: cartTotals.setSelectedShipping,
     shippingCost: cartTotals.shippingCost,
@@ -156,6 +205,18 @@ export function useCart() {
     getTotal: cartTotals.getTotal,
     shippingOptions: cartTotals.shippingOptions,
     totalSavings: cartTotals.totalSavings,
+    appliedCoupon: cartTotals.appliedCoupon,
+    applyCoupon: cartTotals.applyCoupon,
+    removeCoupon: cartTotals.removeCoupon,
+    couponError: cartTotals.couponError,
+    couponMessage: cartTotals.couponMessage,
+    couponDescription: cartTotals.couponDescription,
+    discounts: cartTotals.discounts,
+    discountTotal: cartTotals.discountTotal,
+    tax: cartTotals.tax,
+    taxTotal: cartTotals.taxTotal,
+    taxDisplayMode: cartTotals.taxDisplayMode,
+    setTaxDisplayMode: cartTotals.setTaxDisplayMode,
     formattedTotals: cartTotals.formattedTotals,
     qualifiesForFreeShipping: cartTotals.qualifiesForFreeShipping,
     amountToFreeShipping: cartTotals.amountToFreeShipping,
@@ -186,7 +247,7 @@ export { useCartItems } from './CartItemsContext';
 export { useCartTotals } from './CartTotalsContext';
 export { useCartUI } from './CartUIContext';
 export { useCheckout } from './CheckoutContext';
-export { CHECKOUT_STAGES } from './constants';
+export { CHECKOUT_STAGES, CHECKOUT_STAGE_LABELS, CHECKOUT_STAGE_PARAM } from './constants';
 
 // Re-export providers for custom composition
 export { CartItemsProvider } from './CartItemsContext';
@@ -1,34 +1,89 @@
 import { createContext, useContext, useState, useCallback, useMemo } from 'react';
 import { shippingOptions } from '../../data/products';
+import { taxRules } from '../../data/taxRules';
 import { SHIPPING } from '../../constants';
+import { couponsApi } from '../../services/api';
+import { applyCoupon, describeCoupon, getMinSpendMessage } from '../../utils/promotions';
+import { calculateTax } from '../../utils/tax';
+import { getCartItemId } from '../../utils/id';
+import { getUnitPrice, getUnitSavings } from '../../utils/variants';
+import { formatPrice as formatBasePrice } from '../../utils/currency';
+import CurrencyContext from '../CurrencyContext';
+import { createLogger } from '../../utils/logger';
+
+// Create logger for totals operations
+const log = createLogger('CartTotals');
 
 // Create the Cart Totals Context
 const CartTotalsContext = createContext(null);
 
+/**
+ * Message for a promo code `couponsApi` turned down
+ * @param {{ message: string, shortfall?: number|null }} rejection - Validation result
+ * @param {Function} formatPrice - Money formatter for the display currency
+ * @returns {string}
+ */
+function getRejectionMessage({ message, shortfall }, formatPrice) {
+  return shortfall ? getMinSpendMessage(shortfall, formatPrice) : message;
+}
+
 /**
  * CartTotalsProvider - Manages cart totals and shipping calculations
  *
  * This context handles all computed values related to cart pricing,
- * including subtotal, shipping costs, and final total.
+ * including subtotal, shipping costs, promo code discounts, and final total.
  * Separated from items management for focused responsibility.
  *
+ * A promo code is checked by `couponsApi` when applied, then re-applied
+ * to the cart on every change so the discount breakdown stays current.
+ * If the cart stops qualifying the code stays applied but gives no
+ * discount, and `couponMessage` explains why. Amounts in promo code
+ * text are formatted in the display currency.
+ *
+ * Tax follows the destination's rule in data/taxRules. In inclusive
+ * mode the tax is already part of the prices and is shown for
+ * information; in exclusive mode it is added to the total.
+ *
+ * Lines are priced per variant, so two sizes of a product at different
+ * prices each count at their own price.
+ *
  * @param {Object} props
  * @param {React.ReactNode} props.children - Child components
  * @param {Array} props.cartItems - Cart items from CartItemsContext
+ * @param {Object} [props.destination] - `{ country, state }` used to pick tax rates
  */
-export function CartTotalsProvider({ children, cartItems = [] }) {
+export function CartTotalsProvider({ children, cartItems = [], destination }) {
   // Shipping state
   const [selectedShipping, setSelectedShipping] = useState(SHIPPING.STANDARD);
 
+  // Promo code state
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponRejection, setCouponRejection] = useState(null);
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
+
+  // Tax display mode override (null follows the destination's rule)
+  const [taxDisplayModeOverride, setTaxDisplayMode] = useState(null);
+
+  // Currency is optional - totals fall back to base currency formatting (e.g. in tests)
+  const currencyContext = useContext(CurrencyContext);
+  const formatPrice = currencyContext?.formatPrice ?? formatBasePrice;
+
+  /**
+   * Price of each line (unit price times quantity), keyed by cart item ID
+   */
+  const lineTotals = useMemo(
+    () =>
+      Object.fromEntries(
+        cartItems.map((item) => [getCartItemId(item), getUnitPrice(item) * item.quantity])
+      ),
+    [cartItems]
+  );
+
   /**
    * Calculate cart subtotal (before shipping)
    */
   const cartSubtotal = useMemo(
-    () =>
-      cartItems.reduce((sum, item) => {
-        const price = item.onSale ? item.salePrice : item.price;
-        return sum + price * item.quantity;
-      }, 0),
+    () => cartItems.reduce((sum, item) => sum + getUnitPrice(item) * item.quantity, 0),
     [cartItems]
   );
 
@@ -36,14 +91,7 @@ export function CartTotalsProvider({ children, cartItems = [] }) {
    * Calculate total savings from sale items
    */
   const totalSavings = useMemo(
-    () =>
-      cartItems.reduce((sum, item) => {
-        if (item.onSale && item.salePrice) {
-          const savings = (item.price - item.salePrice) * item.quantity;
-          return sum + savings;
-        }
-        return sum;
-      }, 0),
+    () => cartItems.reduce((sum, item) => sum + getUnitSavings(item) * item.quantity, 0),
     [cartItems]
   );
 
@@ -79,10 +127,108 @@ export function CartTotalsProvider({ children, cartItems = [] }) {
   );
 
   /**
-   * Calculate total with shipping
+   * Applied promo code evaluated against the current cart
+   */
+  const couponResult = useMemo(
+    () =>
+      appliedCoupon
+        ? applyCoupon(appliedCoupon, { items: cartItems, shippingCost, formatPrice })
+        : null,
+    [appliedCoupon, cartItems, shippingCost, formatPrice]
+  );
+
+  /**
+   * Itemised discounts from the applied promo code
+   */
+  const discounts = useMemo(() => couponResult?.discounts ?? [], [couponResult]);
+  const discountTotal = couponResult?.discountTotal ?? 0;
+  const couponMessage = couponResult && !couponResult.eligible ? couponResult.reason : null;
+  const couponError = couponRejection ? getRejectionMessage(couponRejection, formatPrice) : null;
+
+  /**
+   * Applied promo code described in the display currency
+   */
+  const couponDescription = useMemo(
+    () => (appliedCoupon ? describeCoupon(appliedCoupon, formatPrice) : null),
+    [appliedCoupon, formatPrice]
+  );
+
+  /**
+   * Apply a promo code
+   * @param {string} code - Code entered by the shopper
+   * @returns {Promise<{ success: boolean, message: string }>}
+   */
+  const applyCouponCode = useCallback(
+    async (code) => {
+      setIsApplyingCoupon(true);
+      setCouponRejection(null);
+
+      try {
+        const result = await couponsApi.validate(code, { items: cartItems, shippingCost });
+
+        if (!result.valid) {
+          setCouponRejection(result);
+          return { success: false, message: getRejectionMessage(result, formatPrice) };
+        }
+
+        setAppliedCoupon(result.coupon);
+        log.info('Promo code applied', { code: result.coupon.code });
+        return { success: true, message: result.message };
+      } catch (error) {
+        const message = 'Could not check promo code';
+        setCouponRejection({ message });
+        log.error('Promo code validation failed', error);
+        return { success: false, message };
+      } finally {
+        setIsApplyingCoupon(false);
+      }
+    },
+    [cartItems, shippingCost, formatPrice]
+  );
+
+  /**
+   * Remove the applied promo code
+   */
+  const removeCoupon = useCallback(() => {
+    setAppliedCoupon(null);
+    setCouponRejection(null);
+  }, []);
+
+  const country = destination?.country;
+  const state = destination?.state;
+
+  /**
+   * Tax for the destination, after discounts
+   */
+  const tax = useMemo(
+    () =>
+      calculateTax(
+        {
+          items: cartItems,
+          discounts,
+          shippingCost,
+          destination: { country, state },
+          displayMode: taxDisplayModeOverride ?? undefined,
+        },
+        taxRules
+      ),
+    [cartItems, discounts, shippingCost, country, state, taxDisplayModeOverride]
+  );
+  const { taxTotal } = tax;
+
+  /**
+   * Tax added on top of prices (zero when prices already include it)
+   */
+  const addedTax = tax.inclusive ? 0 : taxTotal;
+
+  /**
+   * Calculate total with shipping and tax, less any promo code discount
    * @returns {number} Total including shipping
    */
-  const getTotal = useCallback(() => cartSubtotal + shippingCost, [cartSubtotal, shippingCost]);
+  const getTotal = useCallback(
+    () => cartSubtotal + shippingCost - discountTotal + addedTax,
+    [cartSubtotal, shippingCost, discountTotal, addedTax]
+  );
 
   /**
    * Cart total as memoized value
@@ -107,17 +253,28 @@ export function CartTotalsProvider({ children, cartItems = [] }) {
   );
 
   /**
-   * Formatted currency values for display
+   * Formatted values in the display currency
    */
   const formattedTotals = useMemo(
     () => ({
-      subtotal: cartSubtotal.toFixed(2),
-      shipping: shippingCost === 0 ? 'Free' : shippingCost.toFixed(2),
-      total: cartTotal.toFixed(2),
-      savings: totalSavings.toFixed(2),
-      toFreeShipping: amountToFreeShipping.toFixed(2),
+      subtotal: formatPrice(cartSubtotal),
+      shipping: shippingCost === 0 ? 'Free' : formatPrice(shippingCost),
+      total: formatPrice(cartTotal),
+      savings: formatPrice(totalSavings),
+      discount: formatPrice(discountTotal),
+      tax: formatPrice(taxTotal),
+      toFreeShipping: formatPrice(amountToFreeShipping),
     }),
-    [cartSubtotal, shippingCost, cartTotal, totalSavings, amountToFreeShipping]
+    [
+      formatPrice,
+      cartSubtotal,
+      shippingCost,
+      cartTotal,
+      totalSavings,
+      discountTotal,
+      taxTotal,
+      amountToFreeShipping,
+    ]
   );
 
   // Memoize context value
@@ -129,11 +286,29 @@ export function CartTotalsProvider({ children, cartItems = [] }) {
       shippingOptions,
 
       // Computed values
+      lineTotals,
       cartSubtotal,
       shippingCost,
       cartTotal,
       totalSavings,
 
+      // Promo code
+      appliedCoupon,
+      applyCoupon: applyCouponCode,
+      removeCoupon,
+      isApplyingCoupon,
+      couponError,
+      couponMessage,
+      couponDescription,
+      discounts,
+      discountTotal,
+
+      // Tax
+      tax,
+      taxTotal,
+      taxDisplayMode: tax.displayMode,
+      setTaxDisplayMode,
+
       // Free shipping
       freeShippingThreshold,
       qualifiesForFreeShipping,
@@ -150,10 +325,22 @@ export function CartTotalsProvider({ children, cartItems = [] }) {
     }),
     [
       selectedShipping,
+      lineTotals,
       cartSubtotal,
       shippingCost,
       cartTotal,
       totalSavings,
+      appliedCoupon,
+      applyCouponCode,
+      removeCoupon,
+      isApplyingCoupon,
+      couponError,
+      couponMessage,
+      couponDescription,
+      discounts,
+      discountTotal,
+      tax,
+      taxTotal,
       qualifiesForFreeShipping,
       amountToFreeShipping,
       formattedTotals,
@@ -175,6 +362,7 @@ export function CartTotalsProvider({ children, cartItems = [] }) {
  *
  * @example
  * const { cartSubtotal, shippingCost, cartTotal, formattedTotals } = useCartTotals();
+ * const { applyCoupon, discounts, discountTotal } = useCartTotals();
  */
 export function useCartTotals() {
   const context = useContext(CartTotalsContext);
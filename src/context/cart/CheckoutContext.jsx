@@ -1,6 +1,7 @@
 import { createContext, useContext, useState, useCallback, useMemo } from 'react';
-import { generateOrderNumber } from '../../utils/id';
 import { createLogger } from '../../utils/logger';
+import { ordersApi } from '../../services/api';
+import { validateShippingAddress, validatePaymentDetails } from '../../utils/validation';
 import { CHECKOUT_STAGES } from './constants';
 
 // Create logger for this context
@@ -9,6 +10,70 @@ const log = createLogger('CheckoutContext');
 // Create the Checkout Context
 const CheckoutContext = createContext(null);
 
+/**
+ * Address fields collected on the shipping stage
+ */
+const ADDRESS_FIELDS = [
+  'firstName',
+  'lastName',
+  'email',
+  'phone',
+  'address',
+  'city',
+  'state',
+  'zip',
+  'country',
+];
+
+/**
+ * Empty mock payment form
+ */
+const EMPTY_PAYMENT = {
+  cardName: '',
+  cardNumber: '',
+  expiry: '',
+  cvc: '',
+};
+
+/**
+ * Build a shipping address prefilled from the customer profile
+ * @param {Object} [customer] - Customer profile
+ * @returns {Object} Shipping address
+ */
+function createShippingAddress(customer) {
+  return Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, customer?.[field] ?? '']));
+}
+
+/**
+ * Reduce payment details to what is safe to keep on an order
+ * @param {Object} [paymentInfo] - Payment details from the payment form
+ * @returns {Object|null} Cardholder name and last four digits, or null
+ */
+function maskPaymentInfo(paymentInfo) {
+  const digits = paymentInfo?.cardNumber?.replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+  return { cardName: paymentInfo.cardName, cardLast4: digits.slice(-4) };
+}
+
+/**
+ * Run the validator for a checkout stage
+ * @param {string} stage - Checkout stage
+ * @param {Object} data - Current shipping address and payment details
+ * @returns {Object<string, string>} Error message keyed by field name
+ */
+function getStageErrors(stage, { shippingAddress, paymentDetails }) {
+  switch (stage) {
+    case CHECKOUT_STAGES.SHIPPING:
+      return validateShippingAddress(shippingAddress).fieldErrors;
+    case CHECKOUT_STAGES.PAYMENT:
+      return validatePaymentDetails(paymentDetails).fieldErrors;
+    default:
+      return {};
+  }
+}
+
 /**
  * CheckoutProvider - Manages checkout flow state
  *
@@ -16,6 +81,8 @@ const CheckoutContext = createContext(null);
  * - Order placement and confirmation
  * - Loading/error states during checkout
  * - Checkout stage progression
+ * - Shipping address (prefilled from the customer profile) and mock payment details
+ * - Per-stage validation surfaced through validationErrors
  *
  * Separated from cart items/totals for focused responsibility
  * and to prevent unnecessary re-renders during checkout flow.
@@ -24,8 +91,9 @@ const CheckoutContext = createContext(null);
  * @param {React.ReactNode} props.children - Child components
  * @param {Function} [props.onOrderPlaced] - Callback when order is placed
  * @param {Function} [props.clearCart] - Function to clear cart after checkout
+ * @param {Object} [props.customer] - Customer profile snapshotted onto placed orders
  */
-export function CheckoutProvider({ children, onOrderPlaced, clearCart }) {
+export function CheckoutProvider({ children, onOrderPlaced, clearCart, customer }) {
   // Order state
   const [orderPlaced, setOrderPlaced] = useState(false);
   const [orderNumber, setOrderNumber] = useState(null);
@@ -38,9 +106,16 @@ export function CheckoutProvider({ children, onOrderPlaced, clearCart }) {
   // Checkout stage tracking
   const [checkoutStage, setCheckoutStage] = useState(CHECKOUT_STAGES.CART);
 
+  // Form state for the shipping and payment stages
+  const [shippingAddress, setShippingAddress] = useState(() => createShippingAddress(customer));
+  const [paymentDetails, setPaymentDetails] = useState(EMPTY_PAYMENT);
+
   // Validation state
   const [validationErrors, setValidationErrors] = useState({});
 
+  // Per-line stock errors from the last failed order, keyed by cart item ID
+  const [lineErrors, setLineErrors] = useState({});
+
   /**
    * Clear checkout error
    */
@@ -79,6 +154,76 @@ export function CheckoutProvider({ children, onOrderPlaced, clearCart }) {
     });
   }, []);
 
+  /**
+   * Clear errors for the given fields
+   * @param {string[]} fields - Field names
+   */
+  const clearFieldErrors = useCallback((fields) => {
+    setValidationErrors((prev) => {
+      if (!fields.some((field) => field in prev)) {
+        return prev;
+      }
+      const next = { ...prev };
+      fields.forEach((field) => delete next[field]);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Update shipping address fields, clearing their errors
+   * @param {Object} updates - Changed address fields
+   */
+  const updateShippingAddress = useCallback(
+    (updates) => {
+      setShippingAddress((prev) => ({ ...prev, ...updates }));
+      clearFieldErrors(Object.keys(updates));
+    },
+    [clearFieldErrors]
+  );
+
+  /**
+   * Update payment fields, clearing their errors
+   * @param {Object} updates - Changed payment fields
+   */
+  const updatePaymentDetails = useCallback(
+    (updates) => {
+      setPaymentDetails((prev) => ({ ...prev, ...updates }));
+      clearFieldErrors(Object.keys(updates));
+    },
+    [clearFieldErrors]
+  );
+
+  /**
+   * Check whether a stage's form is valid without reporting errors
+   * @param {string} stage - Checkout stage
+   * @returns {boolean}
+   */
+  const isStageValid = useCallback(
+    (stage) => Object.keys(getStageErrors(stage, { shippingAddress, paymentDetails })).length === 0,
+    [shippingAddress, paymentDetails]
+  );
+
+  /**
+   * Validate a stage's form, reporting each failing field via setFieldError
+   * @param {string} stage - Checkout stage
+   * @returns {boolean} Whether the stage is valid
+   */
+  const validateStage = useCallback(
+    (stage) => {
+      const errors = getStageErrors(stage, { shippingAddress, paymentDetails });
+
+      clearValidationErrors();
+      Object.entries(errors).forEach(([field, error]) => setFieldError(field, error));
+
+      if (Object.keys(errors).length > 0) {
+        log.debug('Checkout stage invalid', { stage, fields: Object.keys(errors) });
+        return false;
+      }
+      return true;
+    },
+    [shippingAddress, paymentDetails, clearValidationErrors, setFieldError]
+  );
+
   /**
    * Move to next checkout stage
    */
@@ -115,18 +260,33 @@ export function CheckoutProvider({ children, onOrderPlaced, clearCart }) {
 
   /**
    * Handle checkout process
-   * Validates cart, generates order number, and clears cart
+   * Places the order through ordersApi.create (which validates the cart and
+   * takes stock), then clears the cart. Stock failures are exposed per line
+   * through `lineErrors`.
    *
    * @param {Object} options - Checkout options
    * @param {Array} options.cartItems - Cart items to checkout
    * @param {number} options.total - Order total
-   * @param {Object} [options.shippingInfo] - Shipping information
-   * @param {Object} [options.paymentInfo] - Payment information
-   * @returns {Promise<{ success: boolean, orderId?: string, error?: string }>} Checkout result
+   * @param {Object} [options.totals] - Itemised totals (subtotal, shipping, savings, discount, total)
+   * @param {Object} [options.shippingOption] - Selected shipping option
+   * @param {Object} [options.coupon] - Applied promo code
+   * @param {Object} [options.currency] - Display currency (`{ code, rate }`), recorded on the order
+   * @param {Object} [options.shippingInfo] - Shipping information (defaults to the shipping stage address)
+   * @param {Object} [options.paymentInfo] - Payment information (defaults to the payment stage details)
+   * @returns {Promise<{ success: boolean, orderId?: string, error?: string, lineErrors?: Array<Object> }>} Checkout result
    */
   const handleCheckout = useCallback(
     async (options = {}) => {
-      const { cartItems = [], total = 0, shippingInfo, paymentInfo } = options;
+      const {
+        cartItems = [],
+        total = 0,
+        totals,
+        shippingOption,
+        coupon = null,
+        currency,
+        shippingInfo = shippingAddress,
+        paymentInfo = paymentDetails,
+      } = options;
 
       // Validate cart has items
       if (!cartItems || cartItems.length === 0) {
@@ -137,22 +297,34 @@ export function CheckoutProvider({ children, onOrderPlaced, clearCart }) {
 
       setIsCheckingOut(true);
       setCheckoutError(null);
+      setLineErrors({});
       clearValidationErrors();
 
       try {
         log.info('Starting checkout process', { itemCount: cartItems.length, total });
 
-        // Simulate API call delay (replace with actual API call in production)
-        await new Promise((resolve) => setTimeout(resolve, 500));
-
-        // In production, this would:
-        // 1. Validate inventory
-        // 2. Process payment
-        // 3. Create order in database
-        // 4. Send confirmation email
+        const maskedPayment = maskPaymentInfo(paymentInfo); // Don't store full card
+        const response = await ordersApi.create({
+          items: cartItems,
+          totals: totals ?? { total },
+          shipping: shippingOption,
+          customer,
+          shippingAddress: shippingInfo,
+          paymentInfo: maskedPayment,
+          coupon,
+          currency,
+        });
+
+        if (!response.success) {
+          const errorMessage = response.message || 'Checkout failed';
+          const failedLines = response.lineErrors ?? [];
+          setCheckoutError(errorMessage);
+          setLineErrors(Object.fromEntries(failedLines.map((line) => [line.cartItemId, line])));
+          log.warn('Order rejected', { message: errorMessage, errors: response.errors });
+          return { success: false, error: errorMessage, lineErrors: failedLines };
+        }
 
-        // Generate unique order number
-        const newOrderNumber = generateOrderNumber();
+        const newOrderNumber = response.orderId;
 
         // Store order details
         const details = {
@@ -160,8 +332,9 @@ export function CheckoutProvider({ children, onOrderPlaced, clearCart }) {
           items: cartItems,
           total,
           shippingInfo,
-          paymentInfo: paymentInfo ? { ...paymentInfo, cardNumber: '****' } : null, // Don't store full card
-          createdAt: new Date().toISOString(),
+          paymentInfo: maskedPayment,
+          coupon,
+          createdAt: response.order.createdAt,
         };
 
         setOrderNumber(newOrderNumber);
@@ -191,7 +364,7 @@ export function CheckoutProvider({ children, onOrderPlaced, clearCart }) {
         setIsCheckingOut(false);
       }
     },
-    [clearCart, onOrderPlaced, clearValidationErrors]
+    [clearCart, onOrderPlaced, clearValidationErrors, customer, shippingAddress, paymentDetails]
   );
 
   /**
@@ -202,10 +375,13 @@ export function CheckoutProvider({ children, onOrderPlaced, clearCart }) {
     setOrderNumber(null);
     setOrderDetails(null);
     setCheckoutError(null);
+    setLineErrors({});
     setCheckoutStage(CHECKOUT_STAGES.CART);
     setValidationErrors({});
+    setShippingAddress(createShippingAddress(customer));
+    setPaymentDetails(EMPTY_PAYMENT);
     log.debug('Order state reset');
-  }, []);
+  }, [customer]);
 
   /**
    * Start new checkout (alias for resetOrder + goToStage)
@@ -246,9 +422,18 @@ export function CheckoutProvider({ children, onOrderPlaced, clearCart }) {
       checkoutError,
       checkoutStage,
 
+      // Checkout forms
+      shippingAddress,
+      paymentDetails,
+      updateShippingAddress,
+      updatePaymentDetails,
+
       // Validation
       validationErrors,
       hasValidationErrors,
+      validateStage,
+      isStageValid,
+      lineErrors,
 
       // Actions
       handleCheckout,
@@ -279,8 +464,15 @@ export function CheckoutProvider({ children, onOrderPlaced, clearCart }) {
       isCheckingOut,
       checkoutError,
       checkoutStage,
+      shippingAddress,
+      paymentDetails,
+      updateShippingAddress,
+      updatePaymentDetails,
       validationErrors,
       hasValidationErrors,
+      validateStage,
+      isStageValid,
+      lineErrors,
       handleCheckout,
       resetOrder,
       startNewCheckout,
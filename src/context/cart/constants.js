@@ -15,3 +15,19 @@ export const CHECKOUT_STAGES = {
   REVIEW: 'review',
   CONFIRMATION: 'confirmation',
 };
+
+/**
+ * Display labels for the checkout wizard steps
+ */
+export const CHECKOUT_STAGE_LABELS = {
+  [CHECKOUT_STAGES.CART]: 'Cart',
+  [CHECKOUT_STAGES.SHIPPING]: 'Shipping',
+  [CHECKOUT_STAGES.PAYMENT]: 'Payment',
+  [CHECKOUT_STAGES.REVIEW]: 'Review',
+  [CHECKOUT_STAGES.CONFIRMATION]: 'Confirmation',
+};
+
+/**
+ * URL search param holding the current checkout stage
+ */
+export const CHECKOUT_STAGE_PARAM = 'step';
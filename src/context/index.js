@@ -5,6 +5,9 @@ import { SearchProvider } from './SearchContext';
 // Theme exports
 export { ThemeProvider, useTheme } from './ThemeContext';
 
+// Currency exports
+export { CurrencyProvider, useCurrency } from './CurrencyContext';
+
 // Cart exports - using split cart contexts for better performance
 export {
   CartProvider,
@@ -29,6 +32,12 @@ export { ToastProvider, useToast } from './ToastContext';
 // Profile exports
 export { ProfileProvider, useProfile } from './ProfileContext';
 
+// Wishlist exports
+export { WishlistProvider, useWishlist } from './WishlistContext';
+
+// Compare exports
+export { CompareProvider, useCompare } from './CompareContext';
+
 // Filter exports
 export { FilterProvider, useFilter } from './FilterContext';
 
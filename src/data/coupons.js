@@ -0,0 +1,65 @@
+// Promo code catalog
+//
+// Every code has a `type` (see COUPON_TYPES) and an expiry date. A
+// `minSpend` can be added to any type; it is checked against the
+// subtotal after sale prices.
+//
+// Descriptions never contain money amounts: fixed and free-shipping
+// codes are described from their numbers by `describeCoupon`
+// (utils/promotions), so amounts show in the shopper's currency.
+import { COUPON_TYPES } from '../constants';
+
+export const coupons = [
+  {
+    code: 'WELCOME10',
+    type: COUPON_TYPES.PERCENTAGE,
+    value: 10,
+    description: '10% off your order',
+    expiresAt: '2027-12-31T23:59:59Z',
+  },
+  {
+    code: 'SAVE5',
+    type: COUPON_TYPES.FIXED,
+    value: 5,
+    expiresAt: '2027-12-31T23:59:59Z',
+  },
+  {
+    code: 'BIGSPEND',
+    type: COUPON_TYPES.FIXED,
+    value: 20,
+    minSpend: 150,
+    expiresAt: '2027-12-31T23:59:59Z',
+  },
+  {
+    code: 'TECH15',
+    type: COUPON_TYPES.CATEGORY,
+    value: 15,
+    category: 'electronics',
+    description: '15% off electronics',
+    expiresAt: '2027-06-30T23:59:59Z',
+  },
+  {
+    code: 'PANTRY3FOR2',
+    type: COUPON_TYPES.BUY_X_GET_Y,
+    buyQuantity: 2,
+    getQuantity: 1,
+    category: 'food',
+    description: 'Buy 2 food items, get the 3rd free',
+    expiresAt: '2027-06-30T23:59:59Z',
+  },
+  {
+    code: 'FREESHIP',
+    type: COUPON_TYPES.FREE_SHIPPING,
+    minSpend: 25,
+    expiresAt: '2027-12-31T23:59:59Z',
+  },
+  {
+    code: 'SUMMER25',
+    type: COUPON_TYPES.PERCENTAGE,
+    value: 25,
+    description: '25% off summer sale',
+    expiresAt: '2025-08-31T23:59:59Z',
+  },
+];
+
+export default coupons;
@@ -0,0 +1,15 @@
+// Supported display currencies
+//
+// `rate` converts from the base catalog currency (BASE_CURRENCY): a
+// price of 1 in the base currency is shown as `rate` in this currency.
+// Rates are a static snapshot; there is no live exchange-rate feed.
+export const currencies = [
+  { code: 'USD', name: 'US Dollar', rate: 1 },
+  { code: 'INR', name: 'Indian Rupee', rate: 83.2 },
+  { code: 'EUR', name: 'Euro', rate: 0.92 },
+  { code: 'GBP', name: 'British Pound', rate: 0.79 },
+  { code: 'AUD', name: 'Australian Dollar', rate: 1.52 },
+  { code: 'JPY', name: 'Japanese Yen', rate: 149.5 },
+];
+
+export default currencies;
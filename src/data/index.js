@@ -1,3 +1,7 @@
 // Data exports
 export { COLORS, default as colors } from './colors';
 export { products, shippingOptions, categories, default as productData } from './products';
+export { coupons } from './coupons';
+export { taxRules } from './taxRules';
+export { currencies } from './currencies';
+export { reviews } from './reviews';
@@ -32,6 +32,11 @@ export const products = [
     deliveryTime: 12,
     stock: 14,
     colour: 'Black',
+    options: [{ type: 'colour', values: ['Black', 'Silver'] }],
+    variants: [
+      { id: 'black', options: { colour: 'Black' }, stock: 8 },
+      { id: 'silver', options: { colour: 'Silver' }, stock: 6 },
+    ],
     disclaimer:
       'Health metrics are for reference only and not intended for medical diagnosis. GPS accuracy depends on environmental conditions. Strap size may need adjustment.',
   },
@@ -132,6 +137,11 @@ export const products = [
     deliveryTime: 15,
     stock: 13,
     colour: 'Black',
+    options: [{ type: 'colour', values: ['Black', 'White'] }],
+    variants: [
+      { id: 'black', options: { colour: 'Black' }, stock: 8 },
+      { id: 'white', options: { colour: 'White' }, stock: 5 },
+    ],
     disclaimer:
       'ANC effectiveness varies with ambient noise type. Battery life measured without ANC. Extended use at high volumes may cause hearing damage.',
   },
@@ -144,10 +154,15 @@ export const products = [
     description:
       'High-capacity 20000mAh power bank with 65W Power Delivery for rapid charging. Charge laptops, tablets, and phones simultaneously with smart device detection technology.',
     category: 'electronics',
-    weight: '20000mAh, PD 65W',
+    weight: '10000-20000mAh, PD 65W',
     deliveryTime: 8,
     stock: 7,
     colour: 'Black',
+    options: [{ type: 'capacity', values: ['10000mAh', '20000mAh'] }],
+    variants: [
+      { id: '10000mah', options: { capacity: '10000mAh' }, price: 29.99, stock: 3 },
+      { id: '20000mah', options: { capacity: '20000mAh' }, stock: 4 },
+    ],
     disclaimer:
       'Actual charging capacity is approximately 60-70% of stated capacity. Charging speed depends on device compatibility. Not permitted in checked airline luggage.',
   },
@@ -212,10 +227,18 @@ export const products = [
     description:
       'Timeless white leather sneakers with minimalist design that pairs perfectly with any outfit. Premium cushioned sole provides all-day comfort for casual wear or light activities.',
     category: 'fashion',
-    weight: 'Size: 8 US',
+    weight: 'Sizes: 7-11 US',
     deliveryTime: 12,
     stock: 9,
     colour: 'White',
+    options: [{ type: 'size', values: ['7', '8', '9', '10', '11'] }],
+    variants: [
+      { id: 'us7', options: { size: '7' }, stock: 1 },
+      { id: 'us8', options: { size: '8' }, stock: 3 },
+      { id: 'us9', options: { size: '9' }, stock: 2 },
+      { id: 'us10', options: { size: '10' }, stock: 3 },
+      { id: 'us11', options: { size: '11' }, stock: 0 },
+    ],
     disclaimer:
       'Please refer to size chart before ordering. White leather may show scuffs; clean with appropriate leather care products. Break-in period may be required.',
   },
@@ -230,10 +253,17 @@ export const products = [
     category: 'fashion',
     onSale: true,
     salePrice: 59.99,
-    weight: 'Size: L',
+    weight: 'Sizes: S-XL',
     deliveryTime: 15,
     stock: 9,
     colour: 'Blue',
+    options: [{ type: 'size', values: ['S', 'M', 'L', 'XL'] }],
+    variants: [
+      { id: 's', options: { size: 'S' }, stock: 2 },
+      { id: 'm', options: { size: 'M' }, stock: 3 },
+      { id: 'l', options: { size: 'L' }, stock: 3 },
+      { id: 'xl', options: { size: 'XL' }, stock: 1 },
+    ],
     disclaimer:
       'Denim color may fade with washing; follow care label instructions. Vintage wash means each piece may vary slightly. Size may differ from other brands.',
   },
@@ -378,10 +408,18 @@ export const products = [
     description:
       'High-performance running shoes with responsive foam cushioning and breathable mesh upper. Bold red colorway with reflective accents for visibility during early morning or evening runs.',
     category: 'fashion',
-    weight: 'Sizes: 6-13 US',
+    weight: 'Sizes: 8-12 US',
     deliveryTime: 15,
     stock: 7,
     colour: 'Red',
+    options: [{ type: 'size', values: ['8', '9', '10', '11', '12'] }],
+    variants: [
+      { id: 'us8', options: { size: '8' }, stock: 1 },
+      { id: 'us9', options: { size: '9' }, stock: 2 },
+      { id: 'us10', options: { size: '10' }, stock: 2 },
+      { id: 'us11', options: { size: '11' }, stock: 1 },
+      { id: 'us12', options: { size: '12' }, stock: 1 },
+    ],
     disclaimer:
       'Consult a professional for proper fit. Replace shoes after 300-500 miles. Not designed for sports other than running. Break-in period recommended.',
   },
@@ -0,0 +1,248 @@
+// Seed product reviews
+//
+// Starting reviews shown before any shopper writes one. Reviews written
+// in the app are stored locally alongside these (see services/reviews).
+// `rating` is 1-5 stars; `verified` marks a review from a confirmed buyer.
+
+export const reviews = [
+  {
+    id: 'seed-1',
+    productId: 1,
+    rating: 5,
+    title: 'Great sound for the price',
+    body: 'Clear highs, decent bass and the case charges quickly. I use them every day on my commute.',
+    author: 'Priya S.',
+    createdAt: '2025-11-02T10:15:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-2',
+    productId: 1,
+    rating: 4,
+    title: 'Comfortable fit',
+    body: 'Stay in during runs. Battery life is a little shorter than advertised with noise cancelling on.',
+    author: 'Marcus L.',
+    createdAt: '2025-12-18T08:40:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-3',
+    productId: 1,
+    rating: 3,
+    title: 'Good, not great',
+    body: 'Pairing was fiddly with my laptop, but they work well with my phone.',
+    author: 'Dana K.',
+    createdAt: '2026-01-09T19:05:00Z',
+    verified: false,
+  },
+  {
+    id: 'seed-4',
+    productId: 2,
+    rating: 5,
+    title: 'Replaced my fitness band',
+    body: 'Heart rate tracking matches my chest strap closely and GPS locks on fast.',
+    author: 'Tom R.',
+    createdAt: '2025-10-21T07:30:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-5',
+    productId: 2,
+    rating: 4,
+    title: 'Lovely screen',
+    body: 'Bright and easy to read outdoors. Wish the strap came in more sizes.',
+    author: 'Aisha M.',
+    createdAt: '2026-02-03T12:00:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-6',
+    productId: 3,
+    rating: 4,
+    title: 'Loud and sturdy',
+    body: 'Survived a weekend of camping, including some rain. Bass is punchy for the size.',
+    author: 'Leo G.',
+    createdAt: '2025-09-14T16:20:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-7',
+    productId: 3,
+    rating: 2,
+    title: 'Connection drops',
+    body: 'Sound is fine but it disconnects when my phone is more than a few metres away.',
+    author: 'Hannah W.',
+    createdAt: '2026-01-27T21:10:00Z',
+    verified: false,
+  },
+  {
+    id: 'seed-8',
+    productId: 5,
+    rating: 5,
+    title: 'Quiet keys',
+    body: 'Typing feels great and it switches between my three devices with one key.',
+    author: 'Ravi P.',
+    createdAt: '2025-11-30T09:45:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-9',
+    productId: 6,
+    rating: 5,
+    title: 'Precise and light',
+    body: 'Sensor tracks perfectly on my desk mat and the side buttons are easy to reach.',
+    author: 'Chen Y.',
+    createdAt: '2026-02-11T22:30:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-10',
+    productId: 6,
+    rating: 4,
+    title: 'Solid mouse',
+    body: 'Good grip. The software for changing the lights is a bit clunky.',
+    author: 'Sam O.',
+    createdAt: '2026-03-02T18:00:00Z',
+    verified: false,
+  },
+  {
+    id: 'seed-11',
+    productId: 8,
+    rating: 5,
+    title: 'Noise cancelling is excellent',
+    body: 'Blocks out the office completely. Comfortable for a full working day.',
+    author: 'Elena V.',
+    createdAt: '2025-12-05T11:25:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-12',
+    productId: 8,
+    rating: 4,
+    title: 'Great for flights',
+    body: 'Engine noise disappears. They get a little warm after a few hours.',
+    author: 'Jon B.',
+    createdAt: '2026-01-15T06:50:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-13',
+    productId: 9,
+    rating: 3,
+    title: 'Heavy but reliable',
+    body: 'Charges my laptop once and my phone several times. It is quite heavy to carry around.',
+    author: 'Fatima Z.',
+    createdAt: '2025-10-08T14:35:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-14',
+    productId: 13,
+    rating: 5,
+    title: 'Go with everything',
+    body: 'Comfortable straight out of the box and easy to clean. True to size.',
+    author: 'Olivia H.',
+    createdAt: '2025-09-29T13:15:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-15',
+    productId: 13,
+    rating: 4,
+    title: 'Nice classic look',
+    body: 'Look great. Ordered a half size up which was the right call for me.',
+    author: 'Ben T.',
+    createdAt: '2026-02-20T10:05:00Z',
+    verified: false,
+  },
+  {
+    id: 'seed-16',
+    productId: 14,
+    rating: 4,
+    title: 'Good weight denim',
+    body: 'Feels well made and has softened nicely after a few washes.',
+    author: 'Grace N.',
+    createdAt: '2025-11-11T17:40:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-17',
+    productId: 15,
+    rating: 5,
+    title: 'Perfect everyday bag',
+    body: 'Fits my phone, wallet and keys with room to spare. The leather looks lovely.',
+    author: 'Maya D.',
+    createdAt: '2026-01-03T15:55:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-18',
+    productId: 23,
+    rating: 5,
+    title: 'Springy and light',
+    body: 'Took them on a half marathon with no blisters. Great cushioning.',
+    author: 'Kofi A.',
+    createdAt: '2025-12-28T07:10:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-19',
+    productId: 23,
+    rating: 3,
+    title: 'Run small',
+    body: 'Good shoe, but I had to exchange for a size up. Narrow in the toe box.',
+    author: 'Irene F.',
+    createdAt: '2026-03-09T19:30:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-20',
+    productId: 25,
+    rating: 4,
+    title: 'Makes a good cup',
+    body: 'Brews quickly and keeps coffee hot. The carafe lid drips a little when pouring.',
+    author: 'Pete C.',
+    createdAt: '2025-10-17T06:20:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-21',
+    productId: 26,
+    rating: 5,
+    title: 'So soft',
+    body: 'Warm without being heavy. Washed well and has not pilled.',
+    author: 'Rosa E.',
+    createdAt: '2025-12-12T20:45:00Z',
+    verified: false,
+  },
+  {
+    id: 'seed-22',
+    productId: 32,
+    rating: 5,
+    title: 'Sharp out of the box',
+    body: 'Cuts tomatoes paper thin. The block looks smart on the counter.',
+    author: 'Nadia J.',
+    createdAt: '2026-02-07T12:35:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-23',
+    productId: 35,
+    rating: 2,
+    title: 'Too loud',
+    body: 'Blends well but it is very noisy, and the jar is hard to clean under the blades.',
+    author: 'Greg M.',
+    createdAt: '2026-01-21T08:15:00Z',
+    verified: true,
+  },
+  {
+    id: 'seed-24',
+    productId: 37,
+    rating: 4,
+    title: 'Skin feels great',
+    body: 'Gentle on sensitive skin. The moisturiser is my favourite part of the set.',
+    author: 'Lina Q.',
+    createdAt: '2025-11-24T21:00:00Z',
+    verified: true,
+  },
+];
@@ -0,0 +1,83 @@
+// Tax rules by destination
+//
+// Each jurisdiction matches a country (and optionally a state) from the
+// shopper's profile. `names` lists the spellings accepted for the
+// country. Rates are percentages keyed by product category, with
+// `default` used for any category not listed. State rules are matched
+// before the country-wide rule.
+import { TAX_DISPLAY_MODES } from '../constants';
+
+export const taxRules = [
+  {
+    country: 'IN',
+    names: ['india', 'in', 'bharat'],
+    label: 'GST',
+    displayMode: TAX_DISPLAY_MODES.INCLUSIVE,
+    taxShipping: true,
+    rates: {
+      default: 18,
+      food: 5,
+      books: 0,
+      fashion: 12,
+      beauty: 18,
+      electronics: 18,
+      toys: 12,
+      home: 12,
+      sports: 12,
+    },
+  },
+  {
+    country: 'US',
+    state: 'CA',
+    stateNames: ['california', 'ca'],
+    names: ['united states', 'united states of america', 'usa', 'us'],
+    label: 'Sales tax',
+    displayMode: TAX_DISPLAY_MODES.EXCLUSIVE,
+    taxShipping: false,
+    rates: { default: 7.25, food: 0 },
+  },
+  {
+    country: 'US',
+    state: 'NY',
+    stateNames: ['new york', 'ny'],
+    names: ['united states', 'united states of america', 'usa', 'us'],
+    label: 'Sales tax',
+    displayMode: TAX_DISPLAY_MODES.EXCLUSIVE,
+    taxShipping: true,
+    rates: { default: 8.875, food: 0, fashion: 4.5 },
+  },
+  {
+    country: 'US',
+    names: ['united states', 'united states of america', 'usa', 'us'],
+    label: 'Sales tax',
+    displayMode: TAX_DISPLAY_MODES.EXCLUSIVE,
+    taxShipping: false,
+    rates: { default: 6, food: 0 },
+  },
+  {
+    country: 'GB',
+    names: ['united kingdom', 'uk', 'gb', 'great britain', 'england'],
+    label: 'VAT',
+    displayMode: TAX_DISPLAY_MODES.INCLUSIVE,
+    taxShipping: true,
+    rates: { default: 20, food: 0, books: 0 },
+  },
+  {
+    country: 'DE',
+    names: ['germany', 'deutschland', 'de'],
+    label: 'VAT',
+    displayMode: TAX_DISPLAY_MODES.INCLUSIVE,
+    taxShipping: true,
+    rates: { default: 19, food: 7, books: 7 },
+  },
+  {
+    country: 'AU',
+    names: ['australia', 'au'],
+    label: 'GST',
+    displayMode: TAX_DISPLAY_MODES.INCLUSIVE,
+    taxShipping: true,
+    rates: { default: 10, food: 0 },
+  },
+];
+
+export default taxRules;
@@ -6,6 +6,7 @@
 
 // Navigation hooks
 export { useNavigateToSection } from './useNavigateToSection';
+export { useOpenProduct } from './useOpenProduct';
 
 // Accessibility hooks
 export { useReducedMotion } from './useReducedMotion';
@@ -17,21 +18,55 @@ export { useScrollLock } from './useScrollLock';
 export { useDebouncedValue, useDebouncedCallback, useDebouncedState } from './useDebouncedValue';
 export { useDebouncedSearch } from './useDebouncedSearch';
 
+// Inventory hooks
+export { useAvailableStock } from './useAvailableStock';
+
+// Review hooks
+export { useRatingSummary } from './useRatingSummary';
+export { useProductReviews } from './useProductReviews';
+
+// Browsing history hooks
+export { useRecentlyViewed } from './useRecentlyViewed';
+
+// Connectivity hooks
+export { useConnectivity } from './useConnectivity';
+export { useOfflineSync } from './useOfflineSync';
+
+// Catalog hooks
+export { useCategories, useCategoryNames } from './useCategories';
+
+// Product listing filter and facet hooks
+export { useListingFilters } from './useListingFilters';
+export { useProductFacets } from './useProductFacets';
+
 // Products data fetching hooks
 export {
   useProducts,
   useInfiniteProducts,
   useProduct,
+  useProductsByIds,
   useRelatedProducts,
+  useRecommendedProducts,
   useFeaturedProducts,
+  useSaleSummary,
   useProductSearch,
   SORT_OPTIONS,
 } from './useProducts';
 
 // Re-export defaults for convenience
 export { default as useNavigateToSectionDefault } from './useNavigateToSection';
+export { default as useOpenProductDefault } from './useOpenProduct';
 export { default as useReducedMotionDefault } from './useReducedMotion';
 export { default as useScrollLockDefault } from './useScrollLock';
 export { default as useDebouncedValueDefault } from './useDebouncedValue';
 export { default as useDebouncedSearchDefault } from './useDebouncedSearch';
 export { default as useProductsDefault } from './useProducts';
+export { default as useAvailableStockDefault } from './useAvailableStock';
+export { default as useListingFiltersDefault } from './useListingFilters';
+export { default as useProductFacetsDefault } from './useProductFacets';
+export { default as useRatingSummaryDefault } from './useRatingSummary';
+export { default as useProductReviewsDefault } from './useProductReviews';
+export { default as useRecentlyViewedDefault } from './useRecentlyViewed';
+export { default as useCategoriesDefault } from './useCategories';
+export { default as useConnectivityDefault } from './useConnectivity';
+export { default as useOfflineSyncDefault } from './useOfflineSync';
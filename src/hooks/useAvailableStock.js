@@ -0,0 +1,28 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { getAvailableStock, subscribeToInventory } from '../services/inventory';
+
+/**
+ * useAvailableStock - Live stock level for a product
+ *
+ * Reads from the local inventory store and re-renders when an order
+ * takes stock, so quantity limits reflect what is actually left.
+ *
+ * @param {number|string} [productId] - Product ID (nothing is read while undefined)
+ * @param {number} [fallbackStock] - Stock to use for products not in the catalog
+ * @param {string} [variantId] - Variant ID, for a single variant's stock
+ * @returns {number} Units available
+ *
+ * @example
+ * const stockLimit = useAvailableStock(product.id, product.stock);
+ * const isAtStockLimit = quantityInCart >= stockLimit;
+ */
+export function useAvailableStock(productId, fallbackStock, variantId) {
+  const getSnapshot = useCallback(
+    () => (productId === undefined ? 0 : getAvailableStock(productId, fallbackStock, variantId)),
+    [productId, fallbackStock, variantId]
+  );
+
+  return useSyncExternalStore(subscribeToInventory, getSnapshot);
+}
+
+export default useAvailableStock;
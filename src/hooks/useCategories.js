@@ -0,0 +1,32 @@
+import { useSyncExternalStore } from 'react';
+import { getCategories, getCategoryNames, subscribeToCatalog } from '../services/catalog';
+
+/**
+ * useCategories - Live list of product categories
+ *
+ * A catalog import can add categories (see `services/catalog`), so
+ * components listing them re-render when the catalog changes.
+ *
+ * @returns {string[]} Category IDs, starting with `'all'`
+ *
+ * @example
+ * const categories = useCategories();
+ */
+export function useCategories() {
+  return useSyncExternalStore(subscribeToCatalog, getCategories);
+}
+
+/**
+ * useCategoryNames - Live display names of product categories
+ *
+ * @returns {Object<string, string>} Display names by category ID
+ *
+ * @example
+ * const categoryNames = useCategoryNames();
+ * categoryNames[product.category] ?? product.category;
+ */
+export function useCategoryNames() {
+  return useSyncExternalStore(subscribeToCatalog, getCategoryNames);
+}
+
+export default useCategories;
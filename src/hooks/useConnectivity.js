@@ -0,0 +1,22 @@
+import { useSyncExternalStore } from 'react';
+import { isOnline, subscribeToConnectivity } from '../services/connectivity';
+import { getQueuedChanges, subscribeToOfflineQueue } from '../services/offlineQueue';
+
+/**
+ * useConnectivity - Live connectivity and offline queue state
+ *
+ * @returns {Object} Connectivity state:
+ *   - isOnline: boolean - Whether the browser is online
+ *   - queuedCount: number - Cart and profile changes waiting to be saved
+ *
+ * @example
+ * const { isOnline, queuedCount } = useConnectivity();
+ */
+export function useConnectivity() {
+  const online = useSyncExternalStore(subscribeToConnectivity, isOnline);
+  const queuedChanges = useSyncExternalStore(subscribeToOfflineQueue, getQueuedChanges);
+
+  return { isOnline: online, queuedCount: queuedChanges.length };
+}
+
+export default useConnectivity;
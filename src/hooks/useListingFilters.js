@@ -0,0 +1,35 @@
+import { useMemo } from 'react';
+import { useFilter, useSearch } from '../context';
+
+/**
+ * useListingFilters - Product listing filters from app state
+ *
+ * Combines the category, offers view, facets and sort order from
+ * FilterContext with the search term into the options object the
+ * products service and `useInfiniteProducts` expect.
+ *
+ * @returns {Object} Filters: `category`, `search`, `onSale`, `minPrice`,
+ *   `maxPrice`, `colours`, `inStock`, `maxDeliveryDays`, `minRating` and `sortBy`.
+ *   The object is memoized, so it can be spread into hook options.
+ *
+ * @example
+ * const filters = useListingFilters();
+ * const { products } = useInfiniteProducts({ ...filters, pageSize: 24 });
+ */
+export function useListingFilters() {
+  const { activeCategory, viewingOffers, facets, sortBy } = useFilter();
+  const { searchTerm } = useSearch();
+
+  return useMemo(
+    () => ({
+      ...facets,
+      category: activeCategory,
+      search: searchTerm,
+      onSale: viewingOffers || facets.onSale,
+      sortBy,
+    }),
+    [facets, activeCategory, searchTerm, viewingOffers, sortBy]
+  );
+}
+
+export default useListingFilters;
@@ -0,0 +1,48 @@
+import { useEffect } from 'react';
+import { useToast } from '../context/ToastContext';
+import { offlineApi } from '../services/api';
+import { useConnectivity } from './useConnectivity';
+
+/**
+ * useOfflineSync - Save changes queued while offline once back online
+ *
+ * Replays the offline queue through `offlineApi.replay` whenever the
+ * browser is online with changes waiting, and tells the shopper how it
+ * went. Use it once, near the root of the app.
+ *
+ * @returns {Object} Connectivity state (see `useConnectivity`)
+ *
+ * @example
+ * function AppRoutes() {
+ *   useOfflineSync();
+ *   ...
+ * }
+ */
+export function useOfflineSync() {
+  const connectivity = useConnectivity();
+  const { isOnline, queuedCount } = connectivity;
+  const { showSuccess, showWarning } = useToast();
+
+  const hasQueued = queuedCount > 0;
+
+  useEffect(() => {
+    if (!isOnline || !hasQueued) {
+      return;
+    }
+
+    offlineApi.replay().then(({ replayed, failed }) => {
+      if (replayed > 0) {
+        showSuccess(`Synced ${replayed} ${replayed === 1 ? 'change' : 'changes'} made offline`);
+      }
+      if (failed > 0) {
+        showWarning(
+          `${failed} ${failed === 1 ? 'change' : 'changes'} made offline could not be saved`
+        );
+      }
+    });
+  }, [isOnline, hasQueued, showSuccess, showWarning]);
+
+  return connectivity;
+}
+
+export default useOfflineSync;
@@ -0,0 +1,62 @@
+/**
+ * Tests for useOfflineSync hook
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { act, screen } from '@testing-library/react';
+import { useOfflineSync } from './useOfflineSync';
+import ToastContainer from '../components/ToastContainer';
+import { render } from '../testing/test-utils';
+import { cartApi } from '../services/api';
+import { clearQueuedChanges, getQueuedChanges } from '../services/offlineQueue';
+import { products as catalog } from '../data/products';
+
+function SyncStatus() {
+  const { isOnline, queuedCount } = useOfflineSync();
+  return (
+    <>
+      <p>{isOnline ? 'Online' : 'Offline'}</p>
+      <p>{queuedCount} queued</p>
+      <ToastContainer />
+    </>
+  );
+}
+
+describe('useOfflineSync', () => {
+  let onLine;
+
+  beforeEach(() => {
+    clearQueuedChanges();
+    onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('saves the queued changes once back online', async () => {
+    await cartApi.save([{ ...catalog[0], quantity: 1 }]);
+    render(<SyncStatus />);
+    expect(screen.getByText('1 queued')).toBeInTheDocument();
+
+    onLine.mockReturnValue(true);
+    act(() => {
+      window.dispatchEvent(new Event('online'));
+    });
+
+    expect(
+      await screen.findByText('Synced 1 change made offline', {}, { timeout: 2000 })
+    ).toBeInTheDocument();
+    expect(screen.getByText('0 queued')).toBeInTheDocument();
+    expect(getQueuedChanges()).toEqual([]);
+  });
+
+  it('keeps the changes queued while offline', async () => {
+    await cartApi.save([{ ...catalog[0], quantity: 1 }]);
+    render(<SyncStatus />);
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(screen.getByText('Offline')).toBeInTheDocument();
+    expect(getQueuedChanges()).toHaveLength(1);
+  });
+});
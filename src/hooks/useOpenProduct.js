@@ -0,0 +1,42 @@
+import { useCallback } from 'react';
+import { generatePath, useLocation, useNavigate } from 'react-router-dom';
+import { ROUTES } from '../constants';
+
+/**
+ * useOpenProduct - Custom hook for opening a product's detail view
+ *
+ * Pushes the product's deep link (`/products/:productId`) with the
+ * current page as the background location, so the detail view opens as
+ * a modal over the page and the browser back button closes it. The
+ * page's query string is kept so URL-driven filters underneath don't
+ * change. Opening another product from inside a detail view keeps the
+ * original page underneath.
+ *
+ * @returns {Function} openProduct - Called with the product to show
+ *
+ * @example
+ * const openProduct = useOpenProduct();
+ * <button onClick={() => openProduct(product)}>View</button>
+ */
+export function useOpenProduct() {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  return useCallback(
+    (product) => {
+      const backgroundLocation = location.state?.backgroundLocation ?? location;
+
+      navigate(
+        {
+          pathname: generatePath(ROUTES.PRODUCT_DETAIL, { productId: String(product.id) }),
+          search: backgroundLocation.search,
+        },
+        // The product is passed along so the modal can show it before it is fetched
+        { state: { backgroundLocation, product } }
+      );
+    },
+    [location, navigate]
+  );
+}
+
+export default useOpenProduct;
@@ -0,0 +1,79 @@
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { fetchProductFacets } from '../services/productsApi';
+import { getCatalogVersion, subscribeToCatalog } from '../services/catalog';
+import { createLogger } from '../utils/logger';
+import { useListingFilters } from './useListingFilters';
+
+// Create logger for this hook
+const log = createLogger('useProductFacets');
+
+// Facets before the first response arrives
+const EMPTY_FACETS = {
+  price: { min: 0, max: 0, count: 0 },
+  colours: [],
+  inStock: 0,
+  onSale: 0,
+  delivery: [],
+  ratings: [],
+};
+
+/**
+ * useProductFacets - Live facet counts for the current listing filters
+ *
+ * Fetches facet options and counts from the products service whenever
+ * the listing filters or the local catalog change, so the facet sidebar
+ * and the listing always agree. The previous counts stay on screen while refetching.
+ *
+ * @returns {Object} Facet state:
+ *   - facets: Object - Facet options and counts (see `getProductFacets`)
+ *   - filters: Object - Filters the counts were requested for
+ *   - isLoading: boolean - Whether counts are being fetched
+ *   - error: string|null - Error message if the last fetch failed
+ *
+ * @example
+ * const { facets } = useProductFacets();
+ * <span>({facets.inStock})</span>
+ */
+export function useProductFacets() {
+  const filters = useListingFilters();
+  const catalogVersion = useSyncExternalStore(subscribeToCatalog, getCatalogVersion);
+  const [facets, setFacets] = useState(EMPTY_FACETS);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchFacets = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const data = await fetchProductFacets(filters);
+
+        if (!cancelled) {
+          setFacets(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          log.error('Error fetching product facets', err);
+          setError(err.message || 'Failed to fetch filters');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchFacets();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, catalogVersion]);
+
+  return { facets, filters, isLoading, error };
+}
+
+export default useProductFacets;
@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback, useSyncExternalStore } from 'react';
+import { reviewsApi } from '../services/api';
+import { getReviewsVersion, subscribeToReviews } from '../services/reviews';
+import { REVIEW_SORT_OPTIONS } from '../constants';
+import { summarizeRatings } from '../utils/reviews';
+import { createLogger } from '../utils/logger';
+
+// Create logger for this hook
+const log = createLogger('useProductReviews');
+
+// Summary before the first response arrives
+const EMPTY_SUMMARY = summarizeRatings([]);
+
+/**
+ * useProductReviews - Reviews, rating summary and review submission for a product
+ *
+ * Refetches when the sort order changes and whenever a review is added,
+ * so a submitted review shows up straight away.
+ *
+ * @param {number|string} productId - Product ID (nothing is fetched while undefined)
+ * @param {string} [sortBy] - A `REVIEW_SORT_OPTIONS` value (defaults to newest)
+ * @returns {Object} Review state:
+ *   - reviews: Array - Sorted reviews
+ *   - summary: Object - `{ average, count, histogram }`
+ *   - hasPurchased: boolean - Whether a new review would be a verified purchase
+ *   - isLoading: boolean - Whether reviews are being fetched
+ *   - error: string|null - Error message if the last fetch failed
+ *   - submitReview: Function - Submit form values, resolves to the API result
+ *
+ * @example
+ * const { reviews, summary, submitReview } = useProductReviews(product.id, sortBy);
+ */
+export function useProductReviews(productId, sortBy = REVIEW_SORT_OPTIONS.NEWEST) {
+  const version = useSyncExternalStore(subscribeToReviews, getReviewsVersion);
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(EMPTY_SUMMARY);
+  const [hasPurchased, setHasPurchased] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (productId === undefined) return;
+
+    let cancelled = false;
+
+    const fetchReviews = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const [result, purchased] = await Promise.all([
+          reviewsApi.list(productId, { sortBy }),
+          reviewsApi.hasPurchased(productId),
+        ]);
+
+        if (!cancelled) {
+          setReviews(result.data);
+          setSummary(result.summary);
+          setHasPurchased(purchased);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          log.error('Error fetching reviews', err);
+          setError(err.message || 'Failed to fetch reviews');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchReviews();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, sortBy, version]);
+
+  const submitReview = useCallback(
+    (reviewData) => reviewsApi.submit(productId, reviewData),
+    [productId]
+  );
+
+  return { reviews, summary, hasPurchased, isLoading, error, submitReview };
+}
+
+export default useProductReviews;
@@ -12,24 +12,45 @@
  * - Loading and error states
  * - Automatic refetching on filter changes
  * - Cache integration
+ * - Refetching when the local catalog is edited (see `services/catalog`)
  */
 
-import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef, useSyncExternalStore } from 'react';
 import {
   fetchProducts,
   fetchProductById,
+  fetchProductsByIds,
   fetchProductsInfinite,
   fetchRelatedProducts,
+  fetchRecommendedProducts,
   fetchFeaturedProducts,
+  fetchSaleSummary,
   searchProductsSuggestions,
+  productsCache,
   SORT_OPTIONS,
 } from '../services/productsApi';
+import { getCatalogVersion, subscribeToCatalog } from '../services/catalog';
+import { useDebouncedSearch } from './useDebouncedSearch';
 import { createLogger } from '../utils/logger';
-import { CATEGORIES } from '../constants';
+import { CATEGORIES, SEARCH_SUGGESTIONS } from '../constants';
 
 // Create logger for this hook
 const log = createLogger('useProducts');
 
+/**
+ * Catalog version, bumped whenever a product is edited or a stale cached
+ * read is refreshed with new data (see `services/productsCache`)
+ * Hooks refetch when it changes so changes show up straight away.
+ * @returns {number}
+ */
+const useCatalogVersion = () => {
+  const localVersion = useSyncExternalStore(subscribeToCatalog, getCatalogVersion);
+  const cacheVersion = useSyncExternalStore(productsCache.subscribe, productsCache.getVersion);
+
+  // Both only grow, so their sum changes whenever either does
+  return localVersion + cacheVersion;
+};
+
 /**
  * useProducts - Main hook for fetching products with pagination
  *
@@ -91,6 +112,7 @@ export function useProducts(options = {}) {
 
   // Current page state for controlled pagination
   const [currentPage, setCurrentPage] = useState(initialPage);
+  const catalogVersion = useCatalogVersion();
 
   // Memoize filter options to prevent unnecessary refetches
   const filterOptions = useMemo(
@@ -148,10 +170,10 @@ export function useProducts(options = {}) {
     [enabled, currentPage, pageSize, filterOptions]
   );
 
-  // Fetch on mount and when dependencies change
+  // Fetch on mount and when dependencies or the catalog change
   useEffect(() => {
     fetchProductsData(currentPage);
-  }, [fetchProductsData, currentPage]);
+  }, [fetchProductsData, currentPage, catalogVersion]);
 
   // Reset to page 1 when filters change
   useEffect(() => {
@@ -229,7 +251,14 @@ export function useProducts(options = {}) {
  * @param {string} [options.category] - Category filter
  * @param {string} [options.search] - Search term
  * @param {boolean} [options.onSale] - Filter to on-sale items
+ * @param {number} [options.minPrice] - Minimum price filter
+ * @param {number} [options.maxPrice] - Maximum price filter
+ * @param {boolean} [options.inStock] - Filter to in-stock items
+ * @param {string[]} [options.colours] - Colour filter (pass a stable array)
+ * @param {number} [options.maxDeliveryDays] - Delivery time filter
+ * @param {number} [options.minRating] - Minimum rating filter
  * @param {string} [options.sortBy='default'] - Sort option
+ * @param {boolean} [options.enabled=true] - Whether to fetch automatically
  * @returns {Object} Products state and controls for infinite scroll
  *
  * @example
@@ -257,6 +286,12 @@ export function useInfiniteProducts(options = {}) {
     category,
     search,
     onSale,
+    minPrice,
+    maxPrice,
+    inStock,
+    colours,
+    maxDeliveryDays,
+    minRating,
     sortBy = SORT_OPTIONS.DEFAULT,
     enabled = true,
   } = options;
@@ -273,6 +308,7 @@ export function useInfiniteProducts(options = {}) {
 
   // Track requests
   const requestIdRef = useRef(0);
+  const catalogVersion = useCatalogVersion();
 
   // Memoize filter options
   const filterOptions = useMemo(
@@ -280,9 +316,26 @@ export function useInfiniteProducts(options = {}) {
       category: category === CATEGORIES.ALL ? undefined : category,
       search: search?.trim() || undefined,
       onSale,
+      minPrice,
+      maxPrice,
+      inStock,
+      colours,
+      maxDeliveryDays,
+      minRating,
       sortBy,
     }),
-    [category, search, onSale, sortBy]
+    [
+      category,
+      search,
+      onSale,
+      minPrice,
+      maxPrice,
+      inStock,
+      colours,
+      maxDeliveryDays,
+      minRating,
+      sortBy,
+    ]
   );
 
   /**
@@ -310,7 +363,6 @@ export function useInfiniteProducts(options = {}) {
         setCursor(response.nextCursor);
         setHasMore(response.hasMore);
         setTotalItems(response.totalItems);
-        setIsInitialLoading(false);
       }
     } catch (err) {
       if (requestId === requestIdRef.current) {
@@ -321,6 +373,7 @@ export function useInfiniteProducts(options = {}) {
     } finally {
       if (requestId === requestIdRef.current) {
         setIsLoading(false);
+        setIsInitialLoading(false);
       }
     }
   }, [enabled, pageSize, filterOptions]);
@@ -362,14 +415,14 @@ export function useInfiniteProducts(options = {}) {
     }
   }, [hasMore, isLoading, isLoadingMore, cursor, pageSize, filterOptions]);
 
-  // Fetch on mount and when filters change
+  // Fetch on mount and when filters or the catalog change
   useEffect(() => {
     // Reset state when filters change
     setProducts([]);
     setCursor(null);
     setHasMore(true);
     fetchInitial();
-  }, [fetchInitial]);
+  }, [fetchInitial, catalogVersion]);
 
   /**
    * Refetch all products
@@ -417,42 +470,42 @@ export function useInfiniteProducts(options = {}) {
  * @returns {Object} Product state
  *
  * @example
- * const { product, isLoading, error } = useProduct(123);
+ * const { product, isLoading, error, notFound } = useProduct(123);
  */
 export function useProduct(productId, options = {}) {
   const { enabled = true } = options;
 
-  const [product, setProduct] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  // Outcome of the last fetch, tagged with the request it answers so a
+  // changed ID never shows the previous product (or "not found") early
+  const [result, setResult] = useState({ key: null, productId: null, product: null, error: null });
+  const [fetchCount, setFetchCount] = useState(0);
+  const catalogVersion = useCatalogVersion();
+  const shouldFetch = enabled && Boolean(productId);
+  const requestKey = shouldFetch ? `${productId}:${fetchCount}:${catalogVersion}` : null;
 
   useEffect(() => {
-    if (!enabled || !productId) {
-      setProduct(null);
+    if (!requestKey) {
       return;
     }
 
     let cancelled = false;
 
     const fetchProduct = async () => {
-      setIsLoading(true);
-      setError(null);
-
       try {
         const data = await fetchProductById(productId);
 
         if (!cancelled) {
-          setProduct(data);
+          setResult({ key: requestKey, productId, product: data, error: null });
         }
       } catch (err) {
         if (!cancelled) {
           log.error('Error fetching product', err);
-          setError(err.message || 'Failed to fetch product');
-          setProduct(null);
-        }
-      } finally {
-        if (!cancelled) {
-          setIsLoading(false);
+          setResult({
+            key: requestKey,
+            productId,
+            product: null,
+            error: err.message || 'Failed to fetch product',
+          });
         }
       }
     };
@@ -462,24 +515,88 @@ export function useProduct(productId, options = {}) {
     return () => {
       cancelled = true;
     };
-  }, [productId, enabled]);
+  }, [productId, requestKey]);
 
   const refetch = useCallback(() => {
-    if (productId) {
-      setIsLoading(true);
-      fetchProductById(productId)
-        .then(setProduct)
-        .catch((err) => setError(err.message))
-        .finally(() => setIsLoading(false));
-    }
-  }, [productId]);
+    setFetchCount((count) => count + 1);
+  }, []);
+
+  // A refetch keeps showing the product it already has
+  const isCurrent = shouldFetch && result.productId === productId;
+  const product = isCurrent ? result.product : null;
+  const error = isCurrent ? result.error : null;
+  const isLoading = shouldFetch && result.key !== requestKey;
 
   return {
     product,
     isLoading,
     error,
     refetch,
-    notFound: !isLoading && !product && !error,
+    notFound: isCurrent && !isLoading && !product && !error,
+  };
+}
+
+/**
+ * useProductsByIds - Hook for fetching several products by ID
+ *
+ * Products come back in the order of the IDs; unknown IDs are skipped.
+ * While a changed list of IDs loads, the previous products stay
+ * available so callers can keep showing the ones still requested.
+ *
+ * @param {Array<number|string>} productIds - Product IDs to fetch
+ * @param {Object} [options] - Hook options
+ * @param {boolean} [options.enabled=true] - Whether to fetch automatically
+ * @returns {Object} Products state
+ *
+ * @example
+ * const { products, isLoading, error } = useProductsByIds([3, 1, 12]);
+ */
+export function useProductsByIds(productIds, options = {}) {
+  const { enabled = true } = options;
+
+  // Outcome of the last fetch, tagged with the IDs it answers
+  const [result, setResult] = useState({ key: null, products: [], error: null });
+  const catalogVersion = useCatalogVersion();
+  const idsKey = productIds.join(',');
+  const shouldFetch = enabled && productIds.length > 0;
+
+  useEffect(() => {
+    if (!shouldFetch) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetch = async () => {
+      try {
+        const data = await fetchProductsByIds(idsKey.split(','));
+
+        if (!cancelled) {
+          setResult({ key: idsKey, products: data, error: null });
+        }
+      } catch (err) {
+        if (!cancelled) {
+          log.error('Error fetching products by IDs', err);
+          setResult({
+            key: idsKey,
+            products: [],
+            error: err.message || 'Failed to fetch products',
+          });
+        }
+      }
+    };
+
+    fetch();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey, shouldFetch, catalogVersion]);
+
+  return {
+    products: shouldFetch ? result.products : [],
+    isLoading: shouldFetch && result.key !== idsKey,
+    error: shouldFetch && result.key === idsKey ? result.error : null,
   };
 }
 
@@ -493,6 +610,7 @@ export function useProduct(productId, options = {}) {
  */
 export function useRelatedProducts(productId, options = {}) {
   const { limit = 4, enabled = true } = options;
+  const catalogVersion = useCatalogVersion();
 
   const [products, setProducts] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -534,7 +652,7 @@ export function useRelatedProducts(productId, options = {}) {
     return () => {
       cancelled = true;
     };
-  }, [productId, limit, enabled]);
+  }, [productId, limit, enabled, catalogVersion]);
 
   return {
     products,
@@ -543,6 +661,69 @@ export function useRelatedProducts(productId, options = {}) {
   };
 }
 
+/**
+ * useRecommendedProducts - Hook for fetching products to recommend alongside others
+ *
+ * Ranked by co-purchase and co-view data, falling back to products from
+ * the same categories (see `fetchRecommendedProducts`). Recommendations
+ * are fetched again when the IDs or the catalog change, not on every
+ * recorded view, so they don't shift while the shopper browses.
+ *
+ * @param {Array<number|string>} productIds - Products to recommend for
+ * @param {Object} [options] - Hook options
+ * @param {number} [options.limit=4] - Number of products
+ * @param {boolean} [options.purchasesOnly=false] - Only use co-purchase data
+ * @param {boolean} [options.enabled=true] - Whether to fetch automatically
+ * @returns {Object} Recommended products state
+ *
+ * @example
+ * const { products } = useRecommendedProducts(cartProductIds, { limit: 6 });
+ */
+export function useRecommendedProducts(productIds, options = {}) {
+  const { limit = 4, purchasesOnly = false, enabled = true } = options;
+
+  // Outcome of the last fetch, tagged with the IDs it answers
+  const [result, setResult] = useState({ key: null, products: [], error: null });
+  const catalogVersion = useCatalogVersion();
+  const idsKey = productIds.join(',');
+  const shouldFetch = enabled && productIds.length > 0;
+
+  useEffect(() => {
+    if (!shouldFetch) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetch = async () => {
+      try {
+        const data = await fetchRecommendedProducts(idsKey.split(','), { limit, purchasesOnly });
+
+        if (!cancelled) {
+          setResult({ key: idsKey, products: data, error: null });
+        }
+      } catch (err) {
+        if (!cancelled) {
+          log.error('Error fetching recommended products', err);
+          setResult({ key: idsKey, products: [], error: err.message });
+        }
+      }
+    };
+
+    fetch();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey, limit, purchasesOnly, shouldFetch, catalogVersion]);
+
+  return {
+    products: shouldFetch ? result.products : [],
+    isLoading: shouldFetch && result.key !== idsKey,
+    error: shouldFetch && result.key === idsKey ? result.error : null,
+  };
+}
+
 /**
  * useFeaturedProducts - Hook for fetching featured products
  *
@@ -553,6 +734,7 @@ export function useRelatedProducts(productId, options = {}) {
  */
 export function useFeaturedProducts(options = {}) {
   const { limit = 8, excludeIds = [], enabled = true } = options;
+  const catalogVersion = useCatalogVersion();
 
   const [products, setProducts] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -598,7 +780,7 @@ export function useFeaturedProducts(options = {}) {
     return () => {
       cancelled = true;
     };
-  }, [limit, excludeIdsKey, enabled]);
+  }, [limit, excludeIdsKey, enabled, catalogVersion]);
 
   return {
     products,
@@ -608,76 +790,160 @@ export function useFeaturedProducts(options = {}) {
 }
 
 /**
- * useProductSearch - Hook for search with suggestions
+ * useSaleSummary - Hook for fetching the on-sale item count and total savings
  *
- * @param {string} query - Search query
- * @param {Object} [options] - Hook options
- * @param {number} [options.limit=10] - Maximum suggestions
- * @param {number} [options.debounceMs=300] - Debounce delay
- * @returns {Object} Search state with suggestions
+ * @returns {Object} Sale summary state
+ *
+ * @example
+ * const { summary } = useSaleSummary();
+ * <p>{summary.count} items on sale</p>
  */
-export function useProductSearch(query, options = {}) {
-  const { limit = 10, debounceMs = 300 } = options;
+export function useSaleSummary() {
+  const catalogVersion = useCatalogVersion();
+  const [summary, setSummary] = useState({ count: 0, totalSavings: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
 
-  const [suggestions, setSuggestions] = useState([]);
-  const [products, setProducts] = useState([]);
-  const [totalMatches, setTotalMatches] = useState(0);
-  const [isLoading, setIsLoading] = useState(false);
+  useEffect(() => {
+    let cancelled = false;
 
-  const timeoutRef = useRef(null);
+    const fetch = async () => {
+      try {
+        const data = await fetchSaleSummary();
 
-  useEffect(() => {
-    // Clear previous timeout
-    if (timeoutRef.current) {
-      clearTimeout(timeoutRef.current);
-    }
+        if (!cancelled) {
+          setSummary(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          log.error('Error fetching sale summary', err);
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
 
-    // Clear results if query is too short
-    if (!query || query.length < 2) {
-      setSuggestions([]);
-      setProducts([]);
-      setTotalMatches(0);
-      return;
-    }
+    fetch();
 
-    // Debounce the search
-    timeoutRef.current = setTimeout(async () => {
-      setIsLoading(true);
+    return () => {
+      cancelled = true;
+    };
+  }, [catalogVersion]);
+
+  return {
+    summary,
+    isLoading,
+    error,
+  };
+}
+
+const EMPTY_SUGGESTIONS = {
+  suggestions: [],
+  products: [],
+  results: [],
+  categories: [],
+  totalMatches: 0,
+};
+
+/**
+ * useProductSearch - Search-as-you-type suggestions
+ *
+ * Feed it every keystroke with `setQuery`. Requests are debounced by
+ * `useDebouncedSearch`, and a request still in flight is aborted when a
+ * newer one starts, so results never arrive out of order.
+ *
+ * @param {Object} [options] - Hook options
+ * @param {number} [options.limit] - Maximum product suggestions
+ * @param {number} [options.categoryLimit] - Maximum category suggestions
+ * @param {number} [options.minLength] - Shortest query that is searched
+ * @param {number} [options.debounceMs] - Debounce delay
+ * @returns {Object} Suggestions (see `searchProductsSuggestions`) with
+ *   `isLoading`, `error`, `hasResults`, `setQuery` and `clear`
+ *
+ * @example
+ * const { results, totalMatches, setQuery } = useProductSearch();
+ * <input onChange={(e) => setQuery(e.target.value)} />
+ */
+export function useProductSearch(options = {}) {
+  const {
+    limit = SEARCH_SUGGESTIONS.MAX_PRODUCTS,
+    categoryLimit = SEARCH_SUGGESTIONS.MAX_CATEGORIES,
+    minLength = SEARCH_SUGGESTIONS.MIN_QUERY_LENGTH,
+    debounceMs,
+  } = options;
+
+  const [data, setData] = useState(EMPTY_SUGGESTIONS);
+  const [isFetching, setIsFetching] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Request in flight, aborted when a newer one starts
+  const controllerRef = useRef(null);
+
+  const fetchSuggestions = useCallback(
+    async (term) => {
+      controllerRef.current?.abort();
+      const controller = new AbortController();
+      controllerRef.current = controller;
+
+      setIsFetching(true);
+      setError(null);
 
       try {
-        const result = await searchProductsSuggestions(query, { limit });
-        setSuggestions(result.suggestions);
-        setProducts(result.products);
-        setTotalMatches(result.totalMatches);
+        const result = await searchProductsSuggestions(term, {
+          limit,
+          categoryLimit,
+          signal: controller.signal,
+        });
+        if (controller.signal.aborted) return;
+
+        setData(result);
       } catch (err) {
+        if (controller.signal.aborted) return;
+
         log.error('Error searching products', err);
-        setSuggestions([]);
-        setProducts([]);
+        setData(EMPTY_SUGGESTIONS);
+        setError(err.message || 'Failed to load suggestions');
       } finally {
-        setIsLoading(false);
-      }
-    }, debounceMs);
-
-    return () => {
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
+        if (!controller.signal.aborted) {
+          setIsFetching(false);
+        }
       }
-    };
-  }, [query, limit, debounceMs]);
+    },
+    [limit, categoryLimit]
+  );
 
-  const clear = useCallback(() => {
-    setSuggestions([]);
-    setProducts([]);
-    setTotalMatches(0);
+  const resetSuggestions = useCallback(() => {
+    controllerRef.current?.abort();
+    setData(EMPTY_SUGGESTIONS);
+    setIsFetching(false);
+    setError(null);
   }, []);
 
+  const { searchTerm, isSearching, setSearchTerm, clearSearch } = useDebouncedSearch({
+    delay: debounceMs,
+    minLength,
+    onSearch: fetchSuggestions,
+    onClear: resetSuggestions,
+  });
+
+  // Abort anything in flight on unmount
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Short queries show nothing, whatever the last search returned
+  const isSearchable = searchTerm.trim().length >= minLength;
+  const visible = isSearchable ? data : EMPTY_SUGGESTIONS;
+
   return {
-    suggestions,
-    products,
-    totalMatches,
-    isLoading,
-    clear,
-    hasResults: suggestions.length > 0 || products.length > 0,
+    ...visible,
+    query: searchTerm,
+    isLoading: isSearchable && (isSearching || isFetching),
+    error: isSearchable ? error : null,
+    hasResults: visible.results.length > 0 || visible.categories.length > 0,
+    setQuery: setSearchTerm,
+    clear: clearSearch,
   };
 }
 
@@ -0,0 +1,21 @@
+import { useSyncExternalStore } from 'react';
+import { getRatingSummary, subscribeToReviews } from '../services/reviews';
+
+/**
+ * useRatingSummary - Live rating summary for a product
+ *
+ * Reads from the local reviews store and re-renders when a review is
+ * added, so star ratings on cards stay current.
+ *
+ * @param {number|string} productId - Product ID
+ * @returns {import('../utils/reviews').RatingSummary} `{ average, count, histogram }`
+ *
+ * @example
+ * const { average, count } = useRatingSummary(product.id);
+ */
+export function useRatingSummary(productId) {
+  // Summaries are cached until a review is added, so this is a stable snapshot
+  return useSyncExternalStore(subscribeToReviews, () => getRatingSummary(productId));
+}
+
+export default useRatingSummary;
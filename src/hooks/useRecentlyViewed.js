@@ -0,0 +1,57 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import {
+  clearRecentlyViewed,
+  getRecentlyViewed,
+  subscribeToRecentlyViewed,
+} from '../services/recentlyViewed';
+import { useProductsByIds } from './useProducts';
+
+/**
+ * useRecentlyViewed - Live list of the products the shopper has viewed
+ *
+ * Reads the recently viewed history and loads its products from the
+ * catalog, most recent first. Products no longer in the catalog are
+ * skipped.
+ *
+ * @param {Object} [options] - Hook options
+ * @param {Array<number>} [options.excludeIds=[]] - Product IDs to leave out
+ * @returns {Object} History state:
+ *   - products: Array - Viewed products, each with its `viewedAt` timestamp
+ *   - isLoading: boolean - Whether the products are loading
+ *   - historyCount: number - Number of entries in the history
+ *   - clearHistory: Function - Forget every viewed product
+ *
+ * @example
+ * const { products, clearHistory } = useRecentlyViewed({ excludeIds: [product.id] });
+ */
+export function useRecentlyViewed(options = {}) {
+  const { excludeIds = [] } = options;
+  const entries = useSyncExternalStore(subscribeToRecentlyViewed, getRecentlyViewed);
+
+  const excludeKey = excludeIds.join(',');
+  const visibleEntries = useMemo(() => {
+    const excluded = new Set(excludeKey.split(',').filter(Boolean).map(Number));
+    return entries.filter((entry) => !excluded.has(entry.productId));
+  }, [entries, excludeKey]);
+
+  const { products: fetchedProducts, isLoading } = useProductsByIds(
+    visibleEntries.map((entry) => entry.productId)
+  );
+
+  // Follow the history's order, dropping IDs the catalog doesn't have
+  const products = useMemo(() => {
+    const productsById = new Map(fetchedProducts.map((product) => [product.id, product]));
+    return visibleEntries
+      .filter((entry) => productsById.has(entry.productId))
+      .map((entry) => ({ ...productsById.get(entry.productId), viewedAt: entry.viewedAt }));
+  }, [fetchedProducts, visibleEntries]);
+
+  return {
+    products,
+    isLoading: isLoading && products.length === 0,
+    historyCount: entries.length,
+    clearHistory: clearRecentlyViewed,
+  };
+}
+
+export default useRecentlyViewed;
@@ -1,6 +1,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import { registerServiceWorker } from './pwa/registerServiceWorker';
 import './index.css';
 
 /**
@@ -36,6 +37,14 @@ root.render(
   </React.StrictMode>
 );
 
+// Service worker for offline support - production builds only, as the
+// development server doesn't emit one (see vite.config.js)
+if (import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    registerServiceWorker({ base: import.meta.env.BASE_URL });
+  });
+}
+
 // Performance measurement (optional - uncomment to enable)
 // This can be used with web-vitals library for Core Web Vitals reporting
 // import { onCLS, onFID, onFCP, onLCP, onTTFB } from 'web-vitals';
@@ -0,0 +1,485 @@
+import { useId, useState, useSyncExternalStore } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiArrowLeft, FiDownload, FiEdit, FiPlus, FiTrash2, FiUpload } from 'react-icons/fi';
+import { useTheme } from '../context/ThemeContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useToast } from '../context/ToastContext';
+import { useProducts } from '../hooks/useProducts';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { useCategoryNames } from '../hooks/useCategories';
+import { catalogApi } from '../services/api';
+import { getLocalChangeCount, subscribeToCatalog } from '../services/catalog';
+import { CATALOG_ADMIN, CATALOG_FILE_FORMATS, ROUTES } from '../constants';
+import Loading from '../components/Loading';
+import ProductForm from '../components/admin/ProductForm';
+import CatalogImportPreview from '../components/admin/CatalogImportPreview';
+
+/**
+ * Save a file through the browser's downloads
+ * @param {{ name: string, type: string, content: string }} file - File to save
+ */
+const downloadFile = ({ name, type, content }) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Read a chosen file as text
+ * @param {File} file - File from a file input
+ * @returns {Promise<string>}
+ */
+const readFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+/**
+ * AdminCatalogPage - Local catalog administration
+ *
+ * Lists the catalog with search and paging, and adds, edits and deletes
+ * products through `catalogApi`. The catalog can be exported as CSV or
+ * JSON, and replaced by importing such a file once its preview has been
+ * checked. Changes are kept in the local catalog store, so they show up
+ * across the shop straight away and can be discarded to go back to the
+ * served catalog.
+ */
+function AdminCatalogPage() {
+  const { darkMode, COLORS } = useTheme();
+  const categoryNames = useCategoryNames();
+  const { formatPrice } = useCurrency();
+  const { showSuccess, showError } = useToast();
+  const searchId = useId();
+  const importId = useId();
+  const [search, setSearch] = useState('');
+  // `null` when closed, `{}` to add a product, `{ product }` to edit one
+  const [editing, setEditing] = useState(null);
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+  // Result of `catalogApi.previewImport` for the chosen file
+  const [importPreview, setImportPreview] = useState(null);
+
+  const changeCount = useSyncExternalStore(subscribeToCatalog, getLocalChangeCount);
+
+  const debouncedSearch = useDebouncedValue(search);
+  const { products, pagination, isInitialLoading, error, currentPage, nextPage, prevPage } =
+    useProducts({ search: debouncedSearch, pageSize: CATALOG_ADMIN.PAGE_SIZE });
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const cardBg = darkMode ? COLORS.dark.secondary : COLORS.light.background;
+  const inputBorder = darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)';
+  const buttonText = darkMode ? COLORS.dark.modalBackground : COLORS.light.background;
+
+  const handleSubmit = async (values) => {
+    const result = editing.product
+      ? await catalogApi.update(editing.product.id, values)
+      : await catalogApi.create(values);
+
+    if (result.success) {
+      showSuccess(result.message);
+      setEditing(null);
+    }
+    return result;
+  };
+
+  const handleDelete = async (product) => {
+    const result = await catalogApi.remove(product.id);
+    setPendingDeleteId(null);
+
+    if (result.success) {
+      showSuccess(result.message);
+    } else {
+      showError(result.message);
+    }
+  };
+
+  const handleExport = async (format) => {
+    const result = await catalogApi.exportCatalog(format);
+    downloadFile(result.file);
+    showSuccess(result.message);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    // Let the same file be picked again after changing it
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    const format = file.name.toLowerCase().endsWith('.json')
+      ? CATALOG_FILE_FORMATS.JSON
+      : CATALOG_FILE_FORMATS.CSV;
+
+    let content;
+    try {
+      content = await readFile(file);
+    } catch {
+      showError(`Couldn't read ${file.name}`);
+      return;
+    }
+
+    const preview = await catalogApi.previewImport(content, format);
+    setEditing(null);
+    setImportPreview({ ...preview, fileName: file.name });
+  };
+
+  const handleApplyImport = async () => {
+    const result = await catalogApi.applyImport(importPreview);
+
+    if (result.success) {
+      showSuccess(result.message);
+      setImportPreview(null);
+    } else {
+      showError(result.message);
+    }
+  };
+
+  const handleDiscardChanges = async () => {
+    const result = await catalogApi.reset();
+    setEditing(null);
+    showSuccess(result.message);
+  };
+
+  const renderProducts = () => {
+    if (isInitialLoading) {
+      return <Loading message="Loading products..." fullScreen={false} size="md" />;
+    }
+
+    if (error) {
+      return (
+        <p className="p-6 text-center" style={{ color: subtextColor }}>
+          {error}
+        </p>
+      );
+    }
+
+    if (products.length === 0) {
+      return (
+        <p className="p-6 text-center" style={{ color: subtextColor }}>
+          No products match your search.
+        </p>
+      );
+    }
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="w-full min-w-xl text-sm">
+          <caption className="sr-only">Catalog products</caption>
+          <thead>
+            <tr
+              className="text-left text-xs uppercase tracking-wider"
+              style={{ color: subtextColor }}
+            >
+              <th scope="col" className="p-3 font-medium">
+                Product
+              </th>
+              <th scope="col" className="p-3 font-medium">
+                Category
+              </th>
+              <th scope="col" className="p-3 font-medium">
+                Price
+              </th>
+              <th scope="col" className="p-3 font-medium">
+                Stock
+              </th>
+              <th scope="col" className="p-3 font-medium text-right">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {products.map((product) => (
+              <tr key={product.id} style={{ borderTop: `1px solid ${borderColor}` }}>
+                <th scope="row" className="p-3 text-left font-normal">
+                  <div className="flex items-center gap-3">
+                    <img
+                      src={product.image}
+                      alt=""
+                      className="h-10 w-10 shrink-0 rounded-md object-cover"
+                      loading="lazy"
+                    />
+                    <div className="min-w-0">
+                      <p className="font-medium truncate" style={{ color: textColor }}>
+                        {product.name}
+                      </p>
+                      <p className="text-xs" style={{ color: subtextColor }}>
+                        #{product.id}
+                      </p>
+                    </div>
+                  </div>
+                </th>
+                <td className="p-3" style={{ color: textColor }}>
+                  {categoryNames[product.category] ?? product.category}
+                </td>
+                <td className="p-3" style={{ color: textColor }}>
+                  {product.onSale ? (
+                    <>
+                      {formatPrice(product.salePrice)}{' '}
+                      <s className="text-xs" style={{ color: subtextColor }}>
+                        {formatPrice(product.price)}
+                      </s>
+                    </>
+                  ) : (
+                    formatPrice(product.price)
+                  )}
+                </td>
+                <td className="p-3" style={{ color: textColor }}>
+                  {product.stock ?? '-'}
+                </td>
+                <td className="p-3">
+                  {pendingDeleteId === product.id ? (
+                    <div className="flex items-center justify-end gap-3">
+                      <span className="text-xs" style={{ color: subtextColor }}>
+                        Delete?
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(product)}
+                        className="text-sm font-medium cursor-pointer text-red-500 hover:underline"
+                        aria-label={`Confirm delete ${product.name}`}
+                      >
+                        Delete
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setPendingDeleteId(null)}
+                        className="text-sm cursor-pointer hover:underline"
+                        style={{ color: subtextColor }}
+                      >
+                        Keep
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex items-center justify-end gap-2">
+                      <button
+                        type="button"
+                        onClick={() => setEditing({ product })}
+                        className="p-2 rounded-md cursor-pointer transition-opacity hover:opacity-70"
+                        style={{ color: primaryColor }}
+                        aria-label={`Edit ${product.name}`}
+                      >
+                        <FiEdit className="h-4 w-4" aria-hidden="true" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setPendingDeleteId(product.id)}
+                        className="p-2 rounded-md cursor-pointer text-red-500 transition-opacity hover:opacity-70"
+                        aria-label={`Delete ${product.name}`}
+                      >
+                        <FiTrash2 className="h-4 w-4" aria-hidden="true" />
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <main
+      className="min-h-screen py-8"
+      style={{
+        background: darkMode ? COLORS.dark.backgroundGradient : COLORS.light.backgroundGradient,
+      }}
+    >
+      <div className="max-w-6xl mx-auto px-3 sm:px-4">
+        {/* Page Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+          className="mb-8"
+        >
+          <Link
+            to={ROUTES.HOME}
+            className="inline-flex items-center text-sm font-medium mb-4 hover:opacity-80 transition-opacity cursor-pointer"
+            style={{ color: primaryColor }}
+          >
+            <FiArrowLeft className="mr-2 h-4 w-4" />
+            Back to Home
+          </Link>
+
+          <div className="flex flex-wrap items-end justify-between gap-4">
+            <div>
+              <h1
+                className="text-3xl font-bold"
+                style={{
+                  color: textColor,
+                  fontFamily: "'Metropolis', sans-serif",
+                }}
+              >
+                Catalog
+              </h1>
+              <p className="mt-1 text-sm" style={{ color: subtextColor }}>
+                {changeCount > 0
+                  ? `${changeCount} local ${changeCount === 1 ? 'change' : 'changes'}`
+                  : 'No local changes'}
+              </p>
+            </div>
+            <div className="flex items-center gap-4">
+              {changeCount > 0 && (
+                <button
+                  type="button"
+                  onClick={handleDiscardChanges}
+                  className="text-sm cursor-pointer transition-opacity hover:opacity-80"
+                  style={{ color: subtextColor }}
+                >
+                  Discard local changes
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => {
+                  setImportPreview(null);
+                  setEditing({});
+                }}
+                className="flex items-center gap-2 px-4 py-2 text-sm font-semibold rounded-lg cursor-pointer transition-all hover:opacity-90"
+                style={{ backgroundColor: primaryColor, color: buttonText }}
+              >
+                <FiPlus className="h-4 w-4" aria-hidden="true" />
+                Add product
+              </button>
+            </div>
+          </div>
+
+          {/* Import / Export */}
+          <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+            {Object.values(CATALOG_FILE_FORMATS).map((format) => (
+              <button
+                key={format}
+                type="button"
+                onClick={() => handleExport(format)}
+                className="flex items-center gap-1 font-medium cursor-pointer transition-opacity hover:opacity-80"
+                style={{ color: primaryColor }}
+              >
+                <FiDownload className="h-4 w-4" aria-hidden="true" />
+                Export {format.toUpperCase()}
+              </button>
+            ))}
+            <label
+              htmlFor={importId}
+              className="flex items-center gap-1 font-medium cursor-pointer transition-opacity hover:opacity-80 focus-within:underline"
+              style={{ color: primaryColor }}
+            >
+              <FiUpload className="h-4 w-4" aria-hidden="true" />
+              Import CSV or JSON
+              <input
+                id={importId}
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                onChange={handleImportFile}
+                className="sr-only"
+              />
+            </label>
+          </div>
+        </motion.div>
+
+        {/* Import Preview */}
+        {importPreview && (
+          <CatalogImportPreview
+            preview={importPreview}
+            onApply={handleApplyImport}
+            onCancel={() => setImportPreview(null)}
+          />
+        )}
+
+        {/* Add / Edit Form */}
+        {editing && (
+          <section
+            aria-labelledby="product-form-heading"
+            className="mb-8 rounded-lg p-6"
+            style={{ backgroundColor: cardBg }}
+          >
+            <h2
+              id="product-form-heading"
+              className="text-lg font-bold mb-6 pb-4 border-b"
+              style={{ color: textColor, borderColor }}
+            >
+              {editing.product ? `Edit ${editing.product.name}` : 'Add product'}
+            </h2>
+            <ProductForm
+              key={editing.product?.id ?? 'new'}
+              product={editing.product}
+              onSubmit={handleSubmit}
+              onCancel={() => setEditing(null)}
+            />
+          </section>
+        )}
+
+        {/* Product List */}
+        <section
+          aria-label="Products"
+          className="rounded-lg"
+          style={{ backgroundColor: cardBg, border: `1px solid ${borderColor}` }}
+        >
+          <div className="p-3" style={{ borderBottom: `1px solid ${borderColor}` }}>
+            <label htmlFor={searchId} className="sr-only">
+              Search products
+            </label>
+            <input
+              id={searchId}
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search products..."
+              className="w-full sm:w-72 px-4 py-2 text-sm rounded-lg focus:outline-none focus:ring-2"
+              style={{
+                backgroundColor: cardBg,
+                color: textColor,
+                border: `1px solid ${inputBorder}`,
+                '--tw-ring-color': primaryColor,
+              }}
+            />
+          </div>
+
+          {renderProducts()}
+
+          {pagination.totalPages > 1 && (
+            <nav
+              aria-label="Catalog pages"
+              className="flex items-center justify-between p-3 text-sm"
+              style={{ borderTop: `1px solid ${borderColor}`, color: subtextColor }}
+            >
+              <button
+                type="button"
+                onClick={prevPage}
+                disabled={!pagination.hasPrevPage}
+                className="cursor-pointer hover:underline disabled:opacity-50 disabled:cursor-not-allowed disabled:no-underline"
+              >
+                Previous
+              </button>
+              <span>
+                Page {currentPage} of {pagination.totalPages} ({pagination.totalItems} products)
+              </span>
+              <button
+                type="button"
+                onClick={nextPage}
+                disabled={!pagination.hasNextPage}
+                className="cursor-pointer hover:underline disabled:opacity-50 disabled:cursor-not-allowed disabled:no-underline"
+              >
+                Next
+              </button>
+            </nav>
+          )}
+        </section>
+      </div>
+    </main>
+  );
+}
+
+export default AdminCatalogPage;
@@ -0,0 +1,242 @@
+// AdminCatalogPage component tests
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { screen, waitFor, within } from '@testing-library/react';
+import AdminCatalogPage from './AdminCatalogPage';
+import ToastContainer from '../components/ToastContainer';
+import { renderWithMemoryRouter } from '../testing/test-utils';
+import { getLocalChangeCount, getLocalProduct, resetLocalCatalog } from '../services/catalog';
+import { clearProductsCache } from '../services/productsApi';
+import { products } from '../data/products';
+import { toCSV } from '../utils/csv';
+
+const LOAD_TIMEOUT = { timeout: 2000 };
+
+const renderPage = () =>
+  renderWithMemoryRouter(
+    <>
+      <AdminCatalogPage />
+      <ToastContainer />
+    </>,
+    { initialEntries: ['/admin/catalog'] }
+  );
+
+const lampRow = {
+  name: 'Desk Lamp',
+  category: 'garden',
+  categoryName: 'Garden & Outdoor',
+  price: '34.50',
+  image: 'https://example.com/lamp.jpg',
+  description: 'Adjustable LED desk lamp.',
+};
+
+const csvFile = (rows, name = 'catalog.csv') => {
+  const header = Object.keys(rows[0]);
+  const content = toCSV([header, ...rows.map((row) => header.map((column) => row[column]))]);
+  return new File([content], name, { type: 'text/csv' });
+};
+
+const getRow = (name) => screen.getByRole('rowheader', { name: new RegExp(name) }).closest('tr');
+
+describe('AdminCatalogPage', () => {
+  beforeEach(() => {
+    resetLocalCatalog();
+    clearProductsCache();
+  });
+
+  it('lists catalog products with their price and stock', async () => {
+    renderPage();
+
+    await screen.findByRole('table', { name: 'Catalog products' }, LOAD_TIMEOUT);
+    const row = getRow('Bluetooth Speaker');
+    expect(within(row).getByText('$79.99')).toBeInTheDocument();
+    expect(screen.getByText('No local changes')).toBeInTheDocument();
+    expect(screen.getByRole('navigation', { name: 'Catalog pages' })).toBeInTheDocument();
+  });
+
+  it('filters the list by search', async () => {
+    const { user } = renderPage();
+    await screen.findByRole('table', {}, LOAD_TIMEOUT);
+
+    await user.type(screen.getByLabelText('Search products'), 'speaker');
+
+    await waitFor(() => {
+      expect(screen.queryByRole('rowheader', { name: /Wireless Earbuds/ })).not.toBeInTheDocument();
+    }, LOAD_TIMEOUT);
+    expect(getRow('Bluetooth Speaker')).toBeInTheDocument();
+  });
+
+  it('edits a product', async () => {
+    const { user } = renderPage();
+    await screen.findByRole('table', {}, LOAD_TIMEOUT);
+
+    await user.click(screen.getByRole('button', { name: 'Edit Bluetooth Speaker' }));
+    const form = screen.getByRole('form', { name: 'Edit Bluetooth Speaker' });
+    const price = within(form).getByLabelText(/^Price/);
+    await user.clear(price);
+    await user.type(price, '69.99');
+    await user.click(within(form).getByRole('button', { name: 'Save changes' }));
+
+    expect(
+      await screen.findByText('Bluetooth Speaker updated', {}, LOAD_TIMEOUT)
+    ).toBeInTheDocument();
+    await waitFor(() => {
+      expect(within(getRow('Bluetooth Speaker')).getByText('$69.99')).toBeInTheDocument();
+    }, LOAD_TIMEOUT);
+    expect(screen.queryByRole('form')).not.toBeInTheDocument();
+    expect(screen.getByText('1 local change')).toBeInTheDocument();
+  });
+
+  it('shows validation errors and keeps the form open', async () => {
+    const { user } = renderPage();
+    await screen.findByRole('table', {}, LOAD_TIMEOUT);
+
+    await user.click(screen.getByRole('button', { name: 'Add product' }));
+    const form = screen.getByRole('form', { name: 'Add product' });
+    await user.click(within(form).getByRole('button', { name: 'Add product' }));
+
+    const errors = await within(form).findByRole('alert', {}, LOAD_TIMEOUT);
+    expect(within(errors).getByText('Product name must be a non-empty string')).toBeInTheDocument();
+    expect(getLocalChangeCount()).toBe(0);
+  });
+
+  it('adds a product', async () => {
+    const { user } = renderPage();
+    await screen.findByRole('table', {}, LOAD_TIMEOUT);
+
+    await user.click(screen.getByRole('button', { name: 'Add product' }));
+    const form = screen.getByRole('form', { name: 'Add product' });
+    await user.type(within(form).getByLabelText(/^Name/), 'Desk Lamp');
+    await user.selectOptions(within(form).getByLabelText(/^Category/), 'home');
+    await user.type(within(form).getByLabelText(/^Description/), 'Adjustable LED desk lamp.');
+    await user.type(within(form).getByLabelText(/^Image URL/), 'https://example.com/lamp.jpg');
+    await user.type(within(form).getByLabelText(/^Price/), '34.50');
+    await user.click(within(form).getByLabelText('On sale'));
+    await user.type(within(form).getByLabelText(/^Sale price/), '29');
+    await user.type(within(form).getByLabelText(/^Stock/), '12');
+    await user.click(within(form).getByRole('button', { name: 'Add product' }));
+
+    expect(
+      await screen.findByText('Desk Lamp added to the catalog', {}, LOAD_TIMEOUT)
+    ).toBeInTheDocument();
+    await user.type(screen.getByLabelText('Search products'), 'desk lamp');
+    await waitFor(() => {
+      expect(within(getRow('Desk Lamp')).getByText('$29.00')).toBeInTheDocument();
+    }, LOAD_TIMEOUT);
+  });
+
+  it('deletes a product after confirmation', async () => {
+    const { user } = renderPage();
+    await screen.findByRole('table', {}, LOAD_TIMEOUT);
+
+    await user.click(screen.getByRole('button', { name: 'Delete Bluetooth Speaker' }));
+    await user.click(screen.getByRole('button', { name: 'Keep' }));
+    expect(getLocalChangeCount()).toBe(0);
+
+    await user.click(screen.getByRole('button', { name: 'Delete Bluetooth Speaker' }));
+    await user.click(screen.getByRole('button', { name: 'Confirm delete Bluetooth Speaker' }));
+
+    await waitFor(() => {
+      expect(
+        screen.queryByRole('rowheader', { name: /Bluetooth Speaker/ })
+      ).not.toBeInTheDocument();
+    }, LOAD_TIMEOUT);
+    expect(getLocalProduct(3)).toBeNull();
+  });
+
+  it('discards local changes', async () => {
+    const { user } = renderPage();
+    await screen.findByRole('table', {}, LOAD_TIMEOUT);
+    await user.click(screen.getByRole('button', { name: 'Delete Bluetooth Speaker' }));
+    await user.click(screen.getByRole('button', { name: 'Confirm delete Bluetooth Speaker' }));
+    await screen.findByText('1 local change', {}, LOAD_TIMEOUT);
+
+    await user.click(screen.getByRole('button', { name: 'Discard local changes' }));
+
+    expect(await screen.findByText('No local changes', {}, LOAD_TIMEOUT)).toBeInTheDocument();
+    expect(
+      await screen.findByRole('rowheader', { name: /Bluetooth Speaker/ }, LOAD_TIMEOUT)
+    ).toBeInTheDocument();
+  });
+
+  describe('export', () => {
+    let createObjectURL;
+
+    beforeEach(() => {
+      createObjectURL = vi.fn(() => 'blob:catalog');
+      URL.createObjectURL = createObjectURL;
+      URL.revokeObjectURL = vi.fn();
+    });
+
+    afterEach(() => {
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    });
+
+    it('downloads the catalog as CSV', async () => {
+      const { user } = renderPage();
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+      await user.click(screen.getByRole('button', { name: 'Export CSV' }));
+
+      expect(
+        await screen.findByText(`Exported ${products.length} products`, {}, LOAD_TIMEOUT)
+      ).toBeInTheDocument();
+      expect(createObjectURL.mock.calls[0][0].type).toBe('text/csv');
+      expect(click).toHaveBeenCalledTimes(1);
+      click.mockRestore();
+    });
+  });
+
+  describe('import', () => {
+    it('lists the rows with errors', async () => {
+      const { user } = renderPage();
+
+      await user.upload(
+        screen.getByLabelText('Import CSV or JSON'),
+        csvFile([lampRow, { ...lampRow, name: 'Broken Lamp', price: '-1' }])
+      );
+
+      const preview = await screen.findByRole(
+        'region',
+        { name: 'Import catalog.csv' },
+        LOAD_TIMEOUT
+      );
+      expect(within(preview).getByText('1 of 2 rows have errors')).toBeInTheDocument();
+      const rows = within(preview).getByRole('list', { name: 'Rows with errors' });
+      expect(within(rows).getByText('Row 3 (Broken Lamp)')).toBeInTheDocument();
+      expect(within(rows).getByText('Product price must be a positive number')).toBeInTheDocument();
+      expect(
+        within(preview).queryByRole('button', { name: 'Apply import' })
+      ).not.toBeInTheDocument();
+    });
+
+    it('previews and applies an import', async () => {
+      const { user } = renderPage();
+      await screen.findByRole('table', {}, LOAD_TIMEOUT);
+
+      await user.upload(screen.getByLabelText('Import CSV or JSON'), csvFile([lampRow]));
+
+      const preview = await screen.findByRole(
+        'region',
+        { name: 'Import catalog.csv' },
+        LOAD_TIMEOUT
+      );
+      expect(
+        within(preview).getByText(`1 added, 0 changed, ${products.length} removed`)
+      ).toBeInTheDocument();
+      expect(within(preview).getByText('New categories: Garden & Outdoor')).toBeInTheDocument();
+      expect(within(preview).getByText('Added (1)')).toBeInTheDocument();
+      expect(within(preview).getByText(`Removed (${products.length})`)).toBeInTheDocument();
+      expect(getLocalChangeCount()).toBe(0);
+
+      await user.click(within(preview).getByRole('button', { name: 'Apply import' }));
+
+      expect(await screen.findByText('Imported 1 products', {}, LOAD_TIMEOUT)).toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.getAllByRole('rowheader')).toHaveLength(1);
+      }, LOAD_TIMEOUT);
+      expect(within(getRow('Desk Lamp')).getByText('Garden & Outdoor')).toBeInTheDocument();
+      expect(screen.queryByRole('region', { name: /^Import/ })).not.toBeInTheDocument();
+    });
+  });
+});
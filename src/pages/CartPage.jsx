@@ -1,12 +1,23 @@
-import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useCallback, useEffect, useMemo } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FiShoppingCart, FiCheck, FiArrowLeft, FiTrash2 } from 'react-icons/fi';
 import { useTheme } from '../context/ThemeContext';
 import { useCart } from '../context/CartContext';
+import { useCheckout, CHECKOUT_STAGES, CHECKOUT_STAGE_PARAM } from '../context/cart';
 import { useToast } from '../context/ToastContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { getCartItemId } from '../utils/id';
 import CartItem from '../components/CartItem';
 import ShippingOptions from '../components/ShippingOptions';
+import RecentlyViewed from '../components/RecentlyViewed';
+import { CheckoutWizard, CheckoutProgress } from '../components/checkout';
+import { CouponForm, DiscountBreakdown, TaxLine } from '../components/cart';
+
+/**
+ * Checkout stages in wizard order
+ */
+const STAGE_ORDER = Object.values(CHECKOUT_STAGES);
 
 /**
  * CartPage - Full page shopping cart component
@@ -14,38 +25,89 @@ import ShippingOptions from '../components/ShippingOptions';
  * Displays the complete shopping cart with items, shipping options,
  * order summary, and checkout functionality. Provides a more detailed
  * view than the cart modal.
+ *
+ * Checkout runs as a wizard (cart → shipping → payment → review →
+ * confirmation). The current stage is kept in the `step` URL param so
+ * browser back/forward move between stages; deep links to a later
+ * stage fall back to the first stage that is not yet valid.
  */
 function CartPage() {
   const navigate = useNavigate();
   const { darkMode, COLORS } = useTheme();
   const { showSuccess } = useToast();
+  const { formatPrice } = useCurrency();
   const {
     cartItems,
     totalItems,
     cartTotal,
     getShippingCost,
     getTotal,
+    discounts,
+    tax,
     handleCheckout,
     clearCart,
     orderPlaced,
     orderNumber,
+    resetOrder,
   } = useCart();
+  const { goToStage, isStageValid, checkoutError } = useCheckout();
+
+  // Products already in the cart are left out of the recently viewed row
+  const cartProductIds = useMemo(() => cartItems.map((item) => item.id), [cartItems]);
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Current stage comes from the URL so back/forward work
+  const requestedStage = searchParams.get(CHECKOUT_STAGE_PARAM);
+  const stage = STAGE_ORDER.includes(requestedStage) ? requestedStage : CHECKOUT_STAGES.CART;
+
+  // First earlier stage that still needs completing when the URL skips ahead
+  const blockingStage =
+    STAGE_ORDER.slice(1, STAGE_ORDER.indexOf(stage)).find((s) => !isStageValid(s)) ??
+    (stage === CHECKOUT_STAGES.CONFIRMATION && !orderPlaced ? CHECKOUT_STAGES.REVIEW : undefined);
+  const activeStage = blockingStage ?? stage;
+
+  /**
+   * Move to a checkout stage by updating the URL
+   * @param {string} nextStage - Stage to show
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the history entry instead of pushing
+   */
+  const navigateToStage = useCallback(
+    (nextStage, { replace = false } = {}) => {
+      const params = new URLSearchParams(searchParams);
+      if (nextStage === CHECKOUT_STAGES.CART) {
+        params.delete(CHECKOUT_STAGE_PARAM);
+      } else {
+        params.set(CHECKOUT_STAGE_PARAM, nextStage);
+      }
+      setSearchParams(params, { replace });
+    },
+    [searchParams, setSearchParams]
+  );
+
+  // Correct deep links to stages whose earlier steps are incomplete
+  useEffect(() => {
+    if (blockingStage && !orderPlaced) {
+      navigateToStage(blockingStage, { replace: true });
+    }
+  }, [blockingStage, orderPlaced, navigateToStage]);
 
-  const [isProcessing, setIsProcessing] = useState(false);
+  // Keep the checkout context in step with the URL
+  useEffect(() => {
+    if (!orderPlaced) {
+      goToStage(activeStage);
+    }
+  }, [activeStage, orderPlaced, goToStage]);
 
-  // Handle checkout
-  const onCheckout = async () => {
-    setIsProcessing(true);
-    try {
-      await handleCheckout();
-      // Navigate to home after order is processed
-      setTimeout(() => {
-        navigate('/home');
-      }, 3500);
-    } catch (error) {
-      console.error('Checkout error:', error);
+  // Place the order from the review step. Stock problems are shown
+  // next to each affected item, so send the user back to the cart.
+  const onPlaceOrder = async () => {
+    const result = await handleCheckout();
+    if (result?.success) {
+      navigateToStage(CHECKOUT_STAGES.CONFIRMATION, { replace: true });
+    } else if (result?.lineErrors?.length > 0) {
+      navigateToStage(CHECKOUT_STAGES.CART);
     }
-    setIsProcessing(false);
   };
 
   // Handle clear cart
@@ -161,9 +223,17 @@ function CartPage() {
               <p className="text-sm font-medium" style={{ color: textColor }}>
                 Order #: {orderNumber}
               </p>
+              <Link
+                to={`/orders/${orderNumber}`}
+                className="inline-block text-sm font-medium hover:underline"
+                style={{ color: primaryColor }}
+              >
+                View order details
+              </Link>
             </div>
             <Link
               to="/home"
+              onClick={resetOrder}
               className="inline-block px-6 py-3 font-medium rounded-md transition-all hover:opacity-90"
               style={{
                 backgroundColor: primaryColor,
@@ -208,33 +278,53 @@ function CartPage() {
         ) : (
           /* Cart Contents */
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-            {/* Cart Items - Left Column */}
+            {/* Cart Items or Checkout Step - Left Column */}
             <motion.div
               initial={{ opacity: 0, x: -20 }}
               animate={{ opacity: 1, x: 0 }}
               transition={{ duration: 0.3 }}
               className="lg:col-span-2"
             >
-              <div className="rounded-lg p-6" style={{ backgroundColor: cardBg }}>
-                <h2
-                  className="text-lg font-bold mb-4 pb-4 border-b"
-                  style={{
-                    color: textColor,
-                    borderColor,
-                  }}
-                >
-                  Cart Items
-                </h2>
+              {activeStage !== CHECKOUT_STAGES.CART ? (
+                <CheckoutWizard
+                  stage={activeStage}
+                  onNavigate={navigateToStage}
+                  onPlaceOrder={onPlaceOrder}
+                />
+              ) : (
+                <div className="rounded-lg p-6" style={{ backgroundColor: cardBg }}>
+                  <CheckoutProgress stage={activeStage} />
+
+                  {/* Order rejected - affected items show their own stock errors */}
+                  {checkoutError && (
+                    <p
+                      className="mb-4 p-3 rounded-md text-sm"
+                      style={{ color: '#ef4444', backgroundColor: 'rgba(239, 68, 68, 0.1)' }}
+                    >
+                      {checkoutError}. Update the highlighted items to continue.
+                    </p>
+                  )}
+
+                  <h2
+                    className="text-lg font-bold mb-4 pb-4 border-b"
+                    style={{
+                      color: textColor,
+                      borderColor,
+                    }}
+                  >
+                    Cart Items
+                  </h2>
 
-                {/* Cart Items List */}
-                <div className="space-y-0">
-                  <AnimatePresence mode="popLayout">
-                    {cartItems.map((item) => (
-                      <CartItem key={item.id} item={item} />
-                    ))}
-                  </AnimatePresence>
+                  {/* Cart Items List */}
+                  <div className="space-y-0">
+                    <AnimatePresence mode="popLayout">
+                      {cartItems.map((item) => (
+                        <CartItem key={getCartItemId(item)} item={item} />
+                      ))}
+                    </AnimatePresence>
+                  </div>
                 </div>
-              </div>
+              )}
             </motion.div>
 
             {/* Order Summary - Right Column */}
@@ -255,15 +345,18 @@ function CartPage() {
                   Order Summary
                 </h2>
 
-                {/* Shipping Options */}
-                <ShippingOptions className="mb-6" />
+                {/* Shipping Options - chosen in the shipping step once checkout starts */}
+                {activeStage === CHECKOUT_STAGES.CART && <ShippingOptions className="mb-6" />}
+
+                {/* Promo Code */}
+                {activeStage === CHECKOUT_STAGES.CART && <CouponForm className="mb-6" />}
 
                 {/* Summary Lines */}
                 <div className="space-y-3 py-4 border-t" style={{ borderColor }}>
                   {/* Subtotal */}
                   <div className="flex justify-between text-sm">
                     <span style={{ color: subtextColor }}>Subtotal ({totalItems} items)</span>
-                    <span style={{ color: textColor }}>${cartTotal.toFixed(2)}</span>
+                    <span style={{ color: textColor }}>{formatPrice(cartTotal)}</span>
                   </div>
 
                   {/* Shipping */}
@@ -274,15 +367,24 @@ function CartPage() {
                         color: getShippingCost() === 0 ? 'rgb(34, 197, 94)' : textColor,
                       }}
                     >
-                      {getShippingCost() === 0 ? 'Free' : `$${getShippingCost().toFixed(2)}`}
+                      {getShippingCost() === 0 ? 'Free' : formatPrice(getShippingCost())}
                     </span>
                   </div>
 
-                  {/* Tax (estimated) */}
-                  <div className="flex justify-between text-sm">
-                    <span style={{ color: subtextColor }}>Estimated Tax</span>
-                    <span style={{ color: textColor }}>${(cartTotal * 0.08).toFixed(2)}</span>
-                  </div>
+                  {/* Discounts */}
+                  <DiscountBreakdown discounts={discounts} subtextColor={subtextColor} />
+
+                  {/* Tax */}
+                  {tax.jurisdiction && (
+                    <TaxLine
+                      label={tax.label}
+                      amount={tax.taxTotal}
+                      inclusive={tax.inclusive}
+                      lines={tax.lines}
+                      textColor={textColor}
+                      subtextColor={subtextColor}
+                    />
+                  )}
                 </div>
 
                 {/* Total */}
@@ -291,23 +393,24 @@ function CartPage() {
                     Total
                   </span>
                   <span className="text-lg font-bold" style={{ color: textColor }}>
-                    ${(getTotal() + cartTotal * 0.08).toFixed(2)}
+                    {formatPrice(getTotal())}
                   </span>
                 </div>
 
                 {/* Checkout Button */}
-                <button
-                  onClick={onCheckout}
-                  disabled={isProcessing}
-                  className="w-full py-3 px-4 font-medium rounded-md transition-all hover:opacity-90 disabled:opacity-50 disabled:cursor-not-allowed"
-                  style={{
-                    backgroundColor: primaryColor,
-                    color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
-                    boxShadow: '0 4px 8px rgba(0, 0, 0, 0.15)',
-                  }}
-                >
-                  {isProcessing ? 'Processing...' : 'Proceed to Checkout'}
-                </button>
+                {activeStage === CHECKOUT_STAGES.CART && (
+                  <button
+                    onClick={() => navigateToStage(CHECKOUT_STAGES.SHIPPING)}
+                    className="w-full py-3 px-4 font-medium rounded-md transition-all hover:opacity-90"
+                    style={{
+                      backgroundColor: primaryColor,
+                      color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+                      boxShadow: '0 4px 8px rgba(0, 0, 0, 0.15)',
+                    }}
+                  >
+                    Proceed to Checkout
+                  </button>
+                )}
 
                 {/* Secure Checkout Notice */}
                 <p
@@ -355,6 +458,13 @@ function CartPage() {
             </motion.div>
           </div>
         )}
+
+        {/* Recently Viewed (not shown during checkout) */}
+        {!orderPlaced && activeStage === CHECKOUT_STAGES.CART && (
+          <div className="mt-12">
+            <RecentlyViewed excludeIds={cartProductIds} />
+          </div>
+        )}
       </div>
     </main>
   );
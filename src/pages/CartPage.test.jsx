@@ -1,8 +1,9 @@
 // CartPage component tests
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { screen } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, waitFor } from '@testing-library/react';
+import { useLocation } from 'react-router-dom';
 import CartPage from './CartPage';
-import { render } from '../testing/test-utils';
+import { render, renderWithMemoryRouter, mockProduct } from '../testing/test-utils';
 
 // Mock framer-motion to avoid animation issues
 vi.mock('framer-motion', async () => {
@@ -244,4 +245,191 @@ describe('CartPage', () => {
       expect(screen.queryByText(/order placed successfully/i)).not.toBeInTheDocument();
     });
   });
+
+  describe('tax', () => {
+    it('shows GST included in prices for the default profile', () => {
+      localStorage.setItem('cart', JSON.stringify([{ ...mockProduct, quantity: 1 }]));
+      render(<CartPage />);
+
+      expect(screen.getByText('Includes GST (18%)')).toBeInTheDocument();
+    });
+  });
+
+  describe('promo codes', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2026-06-01T12:00:00Z'));
+      localStorage.setItem('cart', JSON.stringify([{ ...mockProduct, quantity: 1 }]));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('applies a code and shows the discount in the summary', async () => {
+      const { user } = render(<CartPage />);
+
+      await user.type(screen.getByLabelText(/promo code/i), 'save5');
+      await user.click(screen.getByRole('button', { name: /apply/i }));
+
+      const breakdown = await screen.findByRole('list', { name: /discounts/i });
+      expect(breakdown).toHaveTextContent('$5.00 off your order');
+      expect(breakdown).toHaveTextContent('-$5.00');
+      expect(screen.getByRole('button', { name: /remove promo code save5/i })).toBeInTheDocument();
+    });
+
+    it('shows why a code was rejected', async () => {
+      const { user } = render(<CartPage />);
+
+      await user.type(screen.getByLabelText(/promo code/i), 'summer25');
+      await user.click(screen.getByRole('button', { name: /apply/i }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('This promo code has expired');
+      expect(screen.queryByRole('list', { name: /discounts/i })).not.toBeInTheDocument();
+    });
+
+    it('shows promo code amounts in the display currency', async () => {
+      localStorage.setItem('currency', 'GBP');
+      const { user } = render(<CartPage />);
+
+      await user.type(screen.getByLabelText(/promo code/i), 'bigspend');
+      await user.click(screen.getByRole('button', { name: /apply/i }));
+
+      // 150 - 99.99 = 50.01 USD short, at 0.79 GBP per USD
+      expect(await screen.findByRole('alert')).toHaveTextContent(
+        'Spend £39.51 more to use this code'
+      );
+    });
+  });
+
+  describe('checkout wizard', () => {
+    // Renders the current query string so tests can assert on the URL
+    function LocationProbe() {
+      const location = useLocation();
+      return <span data-testid="location-search">{location.search}</span>;
+    }
+
+    const renderWizard = (path = '/cart') =>
+      renderWithMemoryRouter(
+        <>
+          <CartPage />
+          <LocationProbe />
+        </>,
+        { initialEntries: [path] }
+      );
+
+    const fillPayment = async (user) => {
+      await user.type(screen.getByLabelText(/name on card/i), 'Vanshika Juneja');
+      await user.type(screen.getByLabelText(/card number/i), '4242424242424242');
+      await user.type(screen.getByLabelText(/expiry/i), '1299');
+      await user.type(screen.getByLabelText(/cvc/i), '123');
+    };
+
+    beforeEach(() => {
+      localStorage.clear();
+      localStorage.setItem('cart', JSON.stringify([{ ...mockProduct, quantity: 1 }]));
+    });
+
+    it('moves to the shipping step and records it in the URL', async () => {
+      const { user } = renderWizard();
+
+      await user.click(screen.getByRole('button', { name: /proceed to checkout/i }));
+
+      expect(screen.getByTestId('location-search')).toHaveTextContent('?step=shipping');
+      expect(screen.getByRole('heading', { name: /shipping address/i })).toBeInTheDocument();
+    });
+
+    it('prefills the shipping address from the profile', () => {
+      renderWizard('/cart?step=shipping');
+
+      expect(screen.getByLabelText(/first name/i)).toHaveValue('Vanshika');
+      expect(screen.getByLabelText(/street address/i)).toHaveValue('123 DLF Green Street');
+    });
+
+    it('shows shipping options in the shipping step', () => {
+      renderWizard('/cart?step=shipping');
+
+      expect(screen.getByText(/shipping method/i)).toBeInTheDocument();
+      expect(screen.getAllByRole('radio').length).toBeGreaterThan(0);
+    });
+
+    it('blocks the shipping step until required fields are filled', async () => {
+      const { user } = renderWizard('/cart?step=shipping');
+
+      await user.clear(screen.getByLabelText(/city/i));
+      await user.click(screen.getByRole('button', { name: /continue to payment/i }));
+
+      expect(screen.getByRole('alert')).toHaveTextContent('City is required');
+      expect(screen.getByTestId('location-search')).toHaveTextContent('?step=shipping');
+    });
+
+    it('validates the payment form', async () => {
+      const { user } = renderWizard('/cart?step=payment');
+
+      await user.click(screen.getByRole('button', { name: /continue to review/i }));
+
+      expect(screen.getByText('Card number is required')).toBeInTheDocument();
+      expect(screen.getByTestId('location-search')).toHaveTextContent('?step=payment');
+    });
+
+    it('redirects a deep link past an incomplete step', async () => {
+      renderWizard('/cart?step=review');
+
+      await waitFor(() => {
+        expect(screen.getByTestId('location-search')).toHaveTextContent('?step=payment');
+      });
+      expect(screen.getByRole('heading', { name: /payment details/i })).toBeInTheDocument();
+    });
+
+    it('marks the current step in the progress indicator', () => {
+      renderWizard('/cart?step=payment');
+
+      const progress = screen.getByRole('list', { name: /checkout progress/i });
+      const current = progress.querySelector('[aria-current="step"]');
+      expect(current).toHaveTextContent('Payment');
+    });
+
+    it('goes back a step', async () => {
+      const { user } = renderWizard('/cart?step=payment');
+
+      await user.click(screen.getByRole('button', { name: /back to shipping/i }));
+
+      expect(screen.getByTestId('location-search')).toHaveTextContent('?step=shipping');
+    });
+
+    it('walks through review and places the order', async () => {
+      const { user } = renderWizard('/cart?step=payment');
+
+      await fillPayment(user);
+      await user.click(screen.getByRole('button', { name: /continue to review/i }));
+
+      expect(screen.getByRole('heading', { name: /review your order/i })).toBeInTheDocument();
+      expect(screen.getByText(/card ending in 4242/i)).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: /place order/i }));
+
+      expect(
+        await screen.findByText(/order placed successfully/i, {}, { timeout: 2000 })
+      ).toBeInTheDocument();
+      await waitFor(() => {
+        expect(screen.getByTestId('location-search')).toHaveTextContent('?step=confirmation');
+      });
+    });
+
+    it('returns to the cart when an item is out of stock', async () => {
+      // Catalog product 1 only has 3 units
+      localStorage.setItem('cart', JSON.stringify([{ ...mockProduct, quantity: 5 }]));
+      const { user } = renderWizard('/cart?step=payment');
+
+      await fillPayment(user);
+      await user.click(screen.getByRole('button', { name: /continue to review/i }));
+      await user.click(screen.getByRole('button', { name: /place order/i }));
+
+      expect(
+        await screen.findByText(/only 3 left in stock/i, {}, { timeout: 2000 })
+      ).toBeInTheDocument();
+      expect(screen.getByTestId('location-search')).toBeEmptyDOMElement();
+      expect(screen.getByText(/update the highlighted items/i)).toBeInTheDocument();
+    });
+  });
 });
@@ -0,0 +1,345 @@
+import { useEffect, useId, useMemo, useState } from 'react';
+import { Link, Navigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiArrowLeft, FiColumns, FiLink, FiX } from 'react-icons/fi';
+import { useTheme } from '../context/ThemeContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useToast } from '../context/ToastContext';
+import { useCompare } from '../context/CompareContext';
+import { useProductsByIds } from '../hooks/useProducts';
+import { useOpenProduct } from '../hooks/useOpenProduct';
+import { useCategoryNames } from '../hooks/useCategories';
+import { getAvailableStock } from '../services/inventory';
+import { COMPARE, ROUTES } from '../constants';
+import { buildComparisonRows, getComparePath, parseCompareIds } from '../utils/compare';
+import Loading from '../components/Loading';
+
+/**
+ * Units available for a product (summed over variants)
+ * @param {Object} product - Product
+ * @returns {number}
+ */
+const getStock = (product) => getAvailableStock(product.id, product.stock);
+
+/**
+ * ComparePage - Side-by-side product comparison
+ *
+ * Lines up the price, sale price, stock, delivery time and specifications
+ * of up to `COMPARE.MAX_PRODUCTS` products in a table, highlighting rows
+ * where they differ. The compared products are the `ids` URL parameter,
+ * so the page can be shared; opening a shared link makes its products the
+ * compare selection. Without the parameter the current selection is shown.
+ */
+function ComparePage() {
+  const { darkMode, COLORS } = useTheme();
+  const { formatPrice } = useCurrency();
+  const categoryNames = useCategoryNames();
+  const { showSuccess, showWarning } = useToast();
+  const { compareItems, replaceCompare } = useCompare();
+  const openProduct = useOpenProduct();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+  const differencesId = useId();
+
+  const hasSharedIds = searchParams.has(COMPARE.URL_PARAM);
+  const productIds = useMemo(
+    () => parseCompareIds(searchParams.get(COMPARE.URL_PARAM)),
+    [searchParams]
+  );
+
+  const { products: fetchedProducts, isLoading, error } = useProductsByIds(productIds);
+
+  // Drop removed products straight away instead of waiting for the refetch
+  const products = useMemo(
+    () => fetchedProducts.filter((product) => productIds.includes(product.id)),
+    [fetchedProducts, productIds]
+  );
+
+  // The URL decides what is compared; keep the selection in step with it
+  useEffect(() => {
+    if (!hasSharedIds || isLoading || error) {
+      return;
+    }
+
+    const isSameSelection =
+      products.length === compareItems.length &&
+      products.every((product, index) => product.id === compareItems[index].id);
+
+    if (!isSameSelection) {
+      replaceCompare(products);
+    }
+  }, [hasSharedIds, isLoading, error, products, compareItems, replaceCompare]);
+
+  const rows = useMemo(
+    () => buildComparisonRows(products, { formatPrice, getStock, categoryNames }),
+    [products, formatPrice, categoryNames]
+  );
+  const visibleRows = onlyDifferences ? rows.filter((row) => row.differs) : rows;
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const cardBg = darkMode ? COLORS.dark.secondary : COLORS.light.background;
+  const differsBg = darkMode ? 'rgba(251, 191, 36, 0.12)' : 'rgba(251, 191, 36, 0.18)';
+
+  // Put the current selection in the URL so the page can be shared
+  if (!hasSharedIds && compareItems.length > 0) {
+    return <Navigate to={getComparePath(compareItems.map((item) => item.id))} replace />;
+  }
+
+  // Only the URL is changed here; the selection follows it
+  const setProductIds = (ids) => {
+    setSearchParams({ [COMPARE.URL_PARAM]: ids.join(',') }, { replace: true });
+  };
+
+  const handleRemove = (productId) => {
+    setProductIds(productIds.filter((id) => id !== productId));
+  };
+
+  const handleClear = () => {
+    setProductIds([]);
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      showSuccess('Comparison link copied');
+    } catch {
+      showWarning("Couldn't copy the link");
+    }
+  };
+
+  const renderContent = () => {
+    if (isLoading && products.length === 0) {
+      return <Loading message="Loading products..." fullScreen={false} size="md" />;
+    }
+
+    if (error) {
+      return (
+        <div className="text-center py-16 rounded-lg" style={{ backgroundColor: cardBg }}>
+          <h2 className="text-xl font-bold mb-2" style={{ color: textColor }}>
+            Something went wrong
+          </h2>
+          <p style={{ color: subtextColor }}>{error}</p>
+        </div>
+      );
+    }
+
+    if (products.length === 0) {
+      return (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center py-16 rounded-lg"
+          style={{ backgroundColor: cardBg }}
+        >
+          <FiColumns
+            className="mx-auto h-16 w-16 mb-6"
+            style={{
+              color: darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)',
+            }}
+          />
+          <h2 className="text-xl font-bold mb-2" style={{ color: textColor }}>
+            Nothing to compare yet
+          </h2>
+          <p className="mb-8" style={{ color: subtextColor }}>
+            Use the compare button on up to {COMPARE.MAX_PRODUCTS} products to see them side by
+            side.
+          </p>
+          <Link
+            to={ROUTES.PRODUCTS}
+            className="inline-block px-6 py-3 font-medium rounded-md transition-all hover:scale-105 active:scale-95"
+            style={{
+              backgroundColor: primaryColor,
+              color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+              boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+            }}
+          >
+            Browse Products
+          </Link>
+        </motion.div>
+      );
+    }
+
+    return (
+      <>
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+          <label
+            htmlFor={differencesId}
+            className="flex items-center gap-2 text-sm cursor-pointer"
+            style={{ color: textColor }}
+          >
+            <input
+              id={differencesId}
+              type="checkbox"
+              checked={onlyDifferences}
+              onChange={(e) => setOnlyDifferences(e.target.checked)}
+              className="h-4 w-4 cursor-pointer"
+            />
+            Only show differences
+          </label>
+          <div className="flex items-center gap-4 text-sm">
+            <button
+              type="button"
+              onClick={handleCopyLink}
+              className="flex items-center gap-1 font-medium cursor-pointer transition-opacity hover:opacity-80"
+              style={{ color: primaryColor }}
+            >
+              <FiLink className="h-4 w-4" aria-hidden="true" />
+              Copy link
+            </button>
+            <button
+              type="button"
+              onClick={handleClear}
+              className="cursor-pointer transition-opacity hover:opacity-80"
+              style={{ color: subtextColor }}
+            >
+              Clear all
+            </button>
+          </div>
+        </div>
+
+        <div
+          className="overflow-x-auto rounded-lg"
+          style={{ backgroundColor: cardBg, border: `1px solid ${borderColor}` }}
+        >
+          <table className="w-full min-w-lg text-sm">
+            <caption className="sr-only">
+              Product comparison. Highlighted rows differ between products.
+            </caption>
+            <thead>
+              <tr>
+                <td className="w-36 p-3" />
+                {products.map((product) => (
+                  <th
+                    key={product.id}
+                    scope="col"
+                    className="p-3 text-left align-top font-normal"
+                    style={{ borderLeft: `1px solid ${borderColor}` }}
+                  >
+                    <div className="relative">
+                      <img
+                        src={product.image}
+                        alt=""
+                        className="mb-2 aspect-square w-full max-w-32 rounded-md object-cover"
+                        loading="lazy"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => handleRemove(product.id)}
+                        className="absolute top-1 right-1 rounded-full p-1 shadow-sm cursor-pointer bg-white/90 transition-transform hover:scale-110"
+                        style={{ color: 'rgba(51, 51, 51, 0.7)' }}
+                        aria-label={`Remove ${product.name} from compare`}
+                      >
+                        <FiX className="h-3.5 w-3.5" aria-hidden="true" />
+                      </button>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => openProduct(product)}
+                      className="text-left font-semibold cursor-pointer hover:underline"
+                      style={{ color: textColor }}
+                    >
+                      {product.name}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map((row) => (
+                <tr
+                  key={row.key}
+                  data-differs={row.differs}
+                  style={{ borderTop: `1px solid ${borderColor}` }}
+                >
+                  <th
+                    scope="row"
+                    className="p-3 text-left align-top text-xs font-medium uppercase tracking-wider"
+                    style={{ color: subtextColor }}
+                  >
+                    {row.label}
+                    {row.differs && <span className="sr-only"> (differs)</span>}
+                  </th>
+                  {row.values.map((value, index) => (
+                    <td
+                      key={products[index].id}
+                      className="p-3 align-top whitespace-pre-line"
+                      style={{
+                        color: textColor,
+                        borderLeft: `1px solid ${borderColor}`,
+                        backgroundColor: row.differs ? differsBg : 'transparent',
+                      }}
+                    >
+                      {value}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visibleRows.length === 0 && (
+            <p className="p-4 text-sm" style={{ color: subtextColor }}>
+              These products don&apos;t differ in anything we compare.
+            </p>
+          )}
+        </div>
+
+        {products.length === 1 && (
+          <p className="mt-4 text-sm" style={{ color: subtextColor }}>
+            Add another product to see how they differ.
+          </p>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <main
+      className="min-h-screen py-8"
+      style={{
+        background: darkMode ? COLORS.dark.backgroundGradient : COLORS.light.backgroundGradient,
+      }}
+    >
+      <div className="max-w-6xl mx-auto px-3 sm:px-4">
+        {/* Page Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+          className="mb-8"
+        >
+          <Link
+            to={ROUTES.PRODUCTS}
+            className="inline-flex items-center text-sm font-medium mb-4 hover:opacity-80 transition-opacity cursor-pointer"
+            style={{ color: primaryColor }}
+          >
+            <FiArrowLeft className="mr-2 h-4 w-4" />
+            Back to Products
+          </Link>
+
+          <h1
+            className="text-3xl font-bold"
+            style={{
+              color: textColor,
+              fontFamily: "'Metropolis', sans-serif",
+            }}
+          >
+            Compare Products
+          </h1>
+          {products.length > 0 && (
+            <p className="mt-1 text-sm" style={{ color: subtextColor }}>
+              {products.length} of {COMPARE.MAX_PRODUCTS} products
+            </p>
+          )}
+        </motion.div>
+
+        {renderContent()}
+      </div>
+    </main>
+  );
+}
+
+export default ComparePage;
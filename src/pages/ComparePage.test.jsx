@@ -0,0 +1,138 @@
+// ComparePage component tests
+import { describe, it, expect, beforeEach } from 'vitest';
+import { screen, waitFor, within } from '@testing-library/react';
+import { Routes, Route, useLocation } from 'react-router-dom';
+import ComparePage from './ComparePage';
+import { renderWithMemoryRouter } from '../testing/test-utils';
+import { products } from '../data/products';
+import { STORAGE_KEYS } from '../constants';
+
+const LOAD_TIMEOUT = { timeout: 2000 };
+
+const earbuds = products.find((product) => product.name === 'Wireless Earbuds');
+const speaker = products.find((product) => product.name === 'Bluetooth Speaker');
+
+// Renders the current URL so tests can assert on the shared IDs
+function LocationProbe() {
+  const location = useLocation();
+  return <span data-testid="location">{`${location.pathname}${location.search}`}</span>;
+}
+
+const renderCompare = (path = '/compare') =>
+  renderWithMemoryRouter(
+    <>
+      <Routes>
+        <Route path="/compare" element={<ComparePage />} />
+      </Routes>
+      <LocationProbe />
+    </>,
+    { initialEntries: [path] }
+  );
+
+const getSavedIds = () =>
+  (JSON.parse(localStorage.getItem(STORAGE_KEYS.COMPARE))?.data ?? []).map((item) => item.id);
+
+const getRow = (label) =>
+  screen.getByRole('rowheader', { name: new RegExp(`^${label}`) }).closest('tr');
+
+describe('ComparePage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('shows the empty state when nothing is selected', () => {
+    renderCompare();
+
+    expect(screen.getByRole('heading', { name: /nothing to compare yet/i })).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /browse products/i })).toHaveAttribute(
+      'href',
+      '/products'
+    );
+  });
+
+  describe('shared link', () => {
+    it('compares the products in the URL side by side', async () => {
+      renderCompare(`/compare?ids=${earbuds.id},${speaker.id}`);
+
+      const table = await screen.findByRole('table', {}, LOAD_TIMEOUT);
+      const columns = within(table).getAllByRole('columnheader');
+      expect(columns.map((column) => column.textContent)).toEqual([
+        'Wireless Earbuds',
+        'Bluetooth Speaker',
+      ]);
+
+      expect(
+        within(getRow('Price'))
+          .getAllByRole('cell')
+          .map((cell) => cell.textContent)
+      ).toEqual(['$49.99', '$79.99']);
+      expect(within(getRow('Sale price')).getByText('$39.99')).toBeInTheDocument();
+    });
+
+    it('highlights rows where the products differ', async () => {
+      renderCompare(`/compare?ids=${earbuds.id},${speaker.id}`);
+
+      await screen.findByRole('table', {}, LOAD_TIMEOUT);
+
+      expect(getRow('Colour')).toHaveAttribute('data-differs', 'true');
+      expect(screen.getByRole('rowheader', { name: 'Colour (differs)' })).toBeInTheDocument();
+      expect(getRow('Category')).toHaveAttribute('data-differs', 'false');
+    });
+
+    it('makes the shared products the compare selection', async () => {
+      localStorage.setItem(STORAGE_KEYS.COMPARE, JSON.stringify([products[5]]));
+      renderCompare(`/compare?ids=${speaker.id},${earbuds.id}`);
+
+      await screen.findByRole('table', {}, LOAD_TIMEOUT);
+
+      await waitFor(() => expect(getSavedIds()).toEqual([speaker.id, earbuds.id]));
+    });
+
+    it('can hide rows that are the same', async () => {
+      const { user } = renderCompare(`/compare?ids=${earbuds.id},${speaker.id}`);
+
+      await screen.findByRole('table', {}, LOAD_TIMEOUT);
+      await user.click(screen.getByRole('checkbox', { name: /only show differences/i }));
+
+      expect(screen.queryByRole('rowheader', { name: /^Category/ })).not.toBeInTheDocument();
+      expect(getRow('Colour')).toBeInTheDocument();
+    });
+  });
+
+  describe('selection', () => {
+    it('puts the saved selection in the URL', async () => {
+      localStorage.setItem(STORAGE_KEYS.COMPARE, JSON.stringify([earbuds, speaker]));
+      renderCompare();
+
+      expect(await screen.findByRole('table', {}, LOAD_TIMEOUT)).toBeInTheDocument();
+      expect(screen.getByTestId('location')).toHaveTextContent(
+        `/compare?ids=${earbuds.id},${speaker.id}`
+      );
+    });
+
+    it('removes a product from the table, the URL and the selection', async () => {
+      const { user } = renderCompare(`/compare?ids=${earbuds.id},${speaker.id}`);
+
+      await screen.findByRole('table', {}, LOAD_TIMEOUT);
+      await user.click(
+        screen.getByRole('button', { name: 'Remove Wireless Earbuds from compare' })
+      );
+
+      expect(
+        screen.queryByRole('columnheader', { name: 'Wireless Earbuds' })
+      ).not.toBeInTheDocument();
+      expect(screen.getByTestId('location')).toHaveTextContent(`/compare?ids=${speaker.id}`);
+      await waitFor(() => expect(getSavedIds()).toEqual([speaker.id]), LOAD_TIMEOUT);
+    });
+
+    it('clears the comparison', async () => {
+      const { user } = renderCompare(`/compare?ids=${earbuds.id},${speaker.id}`);
+
+      await screen.findByRole('table', {}, LOAD_TIMEOUT);
+      await user.click(screen.getByRole('button', { name: /clear all/i }));
+
+      expect(screen.getByRole('heading', { name: /nothing to compare yet/i })).toBeInTheDocument();
+      await waitFor(() => expect(getSavedIds()).toEqual([]));
+    });
+  });
+});
@@ -6,60 +6,40 @@ import Hero from '../components/Hero';
 import Navigation from '../components/Navigation';
 import ProductGrid from '../components/ProductGrid';
 import CategorySection from '../components/CategorySection';
-import { products, categories } from '../data/products';
-import { CATEGORY_DISPLAY_NAMES, CATEGORIES } from '../constants';
+import RecentlyViewed from '../components/RecentlyViewed';
+import { SortSelect } from '../components/filters';
+import { useInfiniteProducts } from '../hooks/useProducts';
+import { useCategories, useCategoryNames } from '../hooks/useCategories';
+import { CATEGORIES, GRID } from '../constants';
 
 /**
  * HomePage - Main landing page component
  *
  * Displays the hero section with video background,
  * category navigation, and category-wise product scrolling sections.
- * Uses FilterContext for category and offers state management.
+ * Uses FilterContext for category, offers and sort order state management;
+ * the sort order applies to the grid and to every category row. Products
+ * come from the products service through `useInfiniteProducts` (filtered
+ * grid) and CategorySection (one fetch per row).
  *
  * Note: CartModal is now rendered once in AppLayout (via CartContext),
  * eliminating the need for duplicate modal instances.
  */
 function HomePage() {
   const { darkMode, COLORS } = useTheme();
+  const categoryNames = useCategoryNames();
   const { searchTerm, clearSearch } = useSearch();
-  const { activeCategory, viewingOffers, setActiveCategory, enableOffersView } = useFilter();
+  const { activeCategory, viewingOffers, setActiveCategory, enableOffersView, sortBy } =
+    useFilter();
   const { openCart } = useCart();
 
   // Get unique categories (excluding 'all')
-  const productCategories = useMemo(() => categories.filter((cat) => cat !== CATEGORIES.ALL), []);
-
-  // Filter products based on category, search, and offers
-  const filteredProducts = useMemo(
-    () =>
-      products.filter((product) => {
-        // Category filter
-        const categoryMatch =
-          activeCategory === CATEGORIES.ALL || product.category === activeCategory;
-
-        // Offers filter
-        const offersMatch = !viewingOffers || product.onSale === true;
-
-        // Search filter
-        const searchMatch =
-          !searchTerm ||
-          product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          product.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          product.category.toLowerCase().includes(searchTerm.toLowerCase());
-
-        return categoryMatch && searchMatch && offersMatch;
-      }),
-    [activeCategory, searchTerm, viewingOffers]
+  const categories = useCategories();
+  const productCategories = useMemo(
+    () => categories.filter((cat) => cat !== CATEGORIES.ALL),
+    [categories]
   );
 
-  // Group products by category for scrolling sections
-  const productsByCategory = useMemo(() => {
-    const grouped = {};
-    productCategories.forEach((category) => {
-      grouped[category] = products.filter((p) => p.category === category);
-    });
-    return grouped;
-  }, [productCategories]);
-
   // Handle category change
   const handleCategoryChange = (category) => {
     setActiveCategory(category);
@@ -73,6 +53,36 @@ function HomePage() {
   // Check if we should show category sections or filtered grid
   const showCategorySections = activeCategory === CATEGORIES.ALL && !searchTerm && !viewingOffers;
 
+  // Products for the filtered grid, loaded page by page (category rows fetch their own)
+  const {
+    products: filteredProducts,
+    totalItems,
+    isInitialLoading,
+    isLoadingMore,
+    hasMore,
+    error,
+    loadMore,
+    refetch,
+  } = useInfiniteProducts({
+    category: activeCategory,
+    search: searchTerm,
+    onSale: viewingOffers || undefined,
+    sortBy,
+    pageSize: GRID.PRODUCTS_PER_PAGE,
+    enabled: !showCategorySections,
+  });
+
+  const gridProps = {
+    products: filteredProducts,
+    loading: isInitialLoading,
+    error,
+    onRetry: refetch,
+    hasMore,
+    isLoadingMore,
+    onLoadMore: loadMore,
+    highlight: searchTerm,
+  };
+
   return (
     <div>
       {/* Hero and Navigation Section with shared gradient background */}
@@ -103,6 +113,11 @@ function HomePage() {
         }}
       >
         <div className="max-w-7xl mx-auto px-3 sm:px-4">
+          {/* Sort Order */}
+          <div className="flex justify-end mb-6">
+            <SortSelect />
+          </div>
+
           {/* Search Results Summary */}
           {searchTerm && (
             <div className="mb-8 text-center">
@@ -123,10 +138,11 @@ function HomePage() {
                 </span>
               </p>
               <p className="text-sm">
-                Found {filteredProducts.length}{' '}
-                {filteredProducts.length === 1 ? 'product' : 'products'}
+                {isInitialLoading
+                  ? 'Searching...'
+                  : `Found ${totalItems} ${totalItems === 1 ? 'product' : 'products'}`}
               </p>
-              {filteredProducts.length === 0 && (
+              {!isInitialLoading && totalItems === 0 && (
                 <button
                   onClick={clearSearch}
                   className="mt-2 text-sm underline cursor-pointer"
@@ -153,7 +169,7 @@ function HomePage() {
                 >
                   {viewingOffers
                     ? 'Special Offers'
-                    : CATEGORY_DISPLAY_NAMES[activeCategory] || activeCategory}
+                    : categoryNames[activeCategory] || activeCategory}
                 </h2>
                 <p
                   className="mt-2 text-base max-w-2xl mx-auto"
@@ -163,11 +179,11 @@ function HomePage() {
                 >
                   {viewingOffers
                     ? 'Limited time deals with amazing discounts'
-                    : `Explore our ${CATEGORY_DISPLAY_NAMES[activeCategory]?.toLowerCase() || activeCategory} collection`}
+                    : `Explore our ${categoryNames[activeCategory]?.toLowerCase() || activeCategory} collection`}
                 </p>
               </div>
               <ProductGrid
-                products={filteredProducts}
+                {...gridProps}
                 emptyMessage={
                   viewingOffers
                     ? 'No offers available at the moment'
@@ -179,21 +195,19 @@ function HomePage() {
 
           {/* Search Results Grid */}
           {searchTerm && !viewingOffers && activeCategory === CATEGORIES.ALL && (
-            <ProductGrid
-              products={filteredProducts}
-              emptyMessage="No products found matching your search"
-            />
+            <ProductGrid {...gridProps} emptyMessage="No products found matching your search" />
           )}
 
           {/* Category-wise Scrolling Sections (Home View) */}
           {showCategorySections && (
             <div className="space-y-6">
+              <RecentlyViewed />
               {productCategories.map((category) => (
                 <CategorySection
                   key={category}
-                  title={CATEGORY_DISPLAY_NAMES[category] || category}
+                  title={categoryNames[category] || category}
                   categoryId={category}
-                  products={productsByCategory[category]}
+                  sortBy={sortBy}
                   seeAllLink={`/products?category=${category}`}
                 />
               ))}
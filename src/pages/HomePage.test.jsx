@@ -204,10 +204,10 @@ describe('HomePage', () => {
       expect(productNames.length).toBeGreaterThan(0);
     });
 
-    it('renders product images', () => {
+    it('renders product images', async () => {
       render(<HomePage />);
 
-      const images = screen.getAllByRole('img');
+      const images = await screen.findAllByRole('img');
       expect(images.length).toBeGreaterThan(0);
     });
   });
@@ -1,59 +1,53 @@
-import { useState, useMemo } from 'react';
+import { useState } from 'react';
 import { motion } from 'framer-motion';
 import { useTheme } from '../context/ThemeContext';
-import { useSearch } from '../context';
+import { useCurrency } from '../context/CurrencyContext';
+import { useSearch, useFilter } from '../context';
 import Hero from '../components/Hero';
 import Navigation from '../components/Navigation';
 import ProductGrid from '../components/ProductGrid';
 import CartModal from '../components/CartModal';
-import { products } from '../data/products';
+import { SortSelect } from '../components/filters';
+import { useInfiniteProducts, useSaleSummary } from '../hooks/useProducts';
+import { SORT_OPTIONS } from '../services/productsApi';
+import { GRID } from '../constants';
 
 /**
  * OffersPage - Special offers/sales page component
  *
  * Displays all products that are currently on sale with
  * discounted prices. Includes hero section, search functionality,
- * and promotional banner.
+ * promotional banner and the shared sort order (kept in the URL).
+ * Offers load page by page through `useInfiniteProducts`.
  */
 function OffersPage() {
   const { darkMode, COLORS } = useTheme();
+  const { formatPrice } = useCurrency();
   const { searchTerm, clearSearch } = useSearch();
+  const { sortBy } = useFilter();
   const [activeCategory, setActiveCategory] = useState('all');
   const [isCartOpen, setIsCartOpen] = useState(false);
 
-  // Get only products on sale
-  const saleProducts = useMemo(() => products.filter((product) => product.onSale === true), []);
+  // Sale products matching search and category, loaded page by page
+  const {
+    products: filteredProducts,
+    totalItems,
+    isInitialLoading,
+    isLoadingMore,
+    hasMore,
+    error,
+    loadMore,
+    refetch,
+  } = useInfiniteProducts({
+    category: activeCategory,
+    search: searchTerm,
+    onSale: true,
+    sortBy,
+    pageSize: GRID.PRODUCTS_PER_PAGE,
+  });
 
-  // Filter sale products based on search and category
-  const filteredProducts = useMemo(
-    () =>
-      saleProducts.filter((product) => {
-        // Category filter
-        const categoryMatch = activeCategory === 'all' || product.category === activeCategory;
-
-        // Search filter
-        const searchMatch =
-          !searchTerm ||
-          product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          product.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          product.category.toLowerCase().includes(searchTerm.toLowerCase());
-
-        return categoryMatch && searchMatch;
-      }),
-    [saleProducts, activeCategory, searchTerm]
-  );
-
-  // Calculate total savings
-  const totalSavings = useMemo(
-    () =>
-      saleProducts.reduce((total, product) => {
-        if (product.salePrice) {
-          return total + (product.price - product.salePrice);
-        }
-        return total;
-      }, 0),
-    [saleProducts]
-  );
+  // Item count and total savings across every offer
+  const { summary: saleSummary } = useSaleSummary();
 
   // Handle category change
   const handleCategoryChange = (category) => {
@@ -206,7 +200,7 @@ function OffersPage() {
                       color: darkMode ? COLORS.dark.primary : COLORS.light.primary,
                     }}
                   >
-                    {saleProducts.length}
+                    {saleSummary.count}
                   </p>
                   <p
                     className="text-xs"
@@ -224,7 +218,7 @@ function OffersPage() {
                       color: 'rgb(239, 68, 68)',
                     }}
                   >
-                    ${totalSavings.toFixed(0)}+
+                    {formatPrice(saleSummary.totalSavings, { wholeUnits: true })}+
                   </p>
                   <p
                     className="text-xs"
@@ -268,9 +262,11 @@ function OffersPage() {
                   color: darkMode ? 'rgba(255, 255, 255, 0.6)' : 'rgba(0, 0, 0, 0.6)',
                 }}
               >
-                Found {filteredProducts.length} {filteredProducts.length === 1 ? 'offer' : 'offers'}
+                {isInitialLoading
+                  ? 'Searching offers...'
+                  : `Found ${totalItems} ${totalItems === 1 ? 'offer' : 'offers'}`}
               </p>
-              {filteredProducts.length === 0 && (
+              {!isInitialLoading && totalItems === 0 && (
                 <button
                   onClick={clearSearch}
                   className="mt-2 text-sm underline cursor-pointer hover:opacity-80 transition-opacity"
@@ -284,9 +280,21 @@ function OffersPage() {
             </motion.div>
           )}
 
+          {/* Sort Order (every item is on sale, so "on sale first" is left out) */}
+          <div className="flex justify-end mb-4">
+            <SortSelect exclude={[SORT_OPTIONS.ON_SALE]} />
+          </div>
+
           {/* Product Grid */}
           <ProductGrid
             products={filteredProducts}
+            loading={isInitialLoading}
+            error={error}
+            onRetry={refetch}
+            hasMore={hasMore}
+            isLoadingMore={isLoadingMore}
+            onLoadMore={loadMore}
+            highlight={searchTerm}
             emptyMessage={
               searchTerm
                 ? 'No offers found matching your search'
@@ -3,6 +3,7 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { screen, waitFor } from '@testing-library/react';
 import OffersPage from './OffersPage';
 import { render, renderWithMemoryRouter } from '../testing/test-utils';
+import { products } from '../data/products';
 
 // Mock framer-motion to avoid animation issues in tests
 vi.mock('framer-motion', async () => {
@@ -182,11 +183,11 @@ describe('OffersPage', () => {
   });
 
   describe('products display', () => {
-    it('displays sale products', () => {
+    it('displays sale products', async () => {
       render(<OffersPage />);
 
       // Should display product cards for sale items
-      const images = screen.getAllByRole('img');
+      const images = await screen.findAllByRole('img');
       expect(images.length).toBeGreaterThan(0);
     });
 
@@ -199,6 +200,33 @@ describe('OffersPage', () => {
     });
   });
 
+  describe('sorting', () => {
+    // Product cards are buttons labelled with the product name
+    const getFirstCardLabel = async () =>
+      (await screen.findAllByRole('button', { name: /^view details for/i }))[0].getAttribute(
+        'aria-label'
+      );
+
+    it('offers biggest discount but not on sale first', () => {
+      render(<OffersPage />);
+
+      const select = screen.getByLabelText(/sort by/i);
+      expect(select).toContainElement(screen.getByRole('option', { name: /biggest discount/i }));
+      expect(screen.queryByRole('option', { name: /on sale first/i })).not.toBeInTheDocument();
+    });
+
+    it('lists the biggest discount first when sorted from the URL', async () => {
+      renderWithMemoryRouter(<OffersPage />, {
+        initialEntries: ['/offers?sort=discount'],
+      });
+
+      const [biggestDiscount] = products
+        .filter((p) => p.onSale)
+        .sort((a, b) => b.price - b.salePrice - (a.price - a.salePrice));
+      expect(await getFirstCardLabel()).toContain(`View details for ${biggestDiscount.name},`);
+    });
+  });
+
   describe('cart modal', () => {
     it('includes cart modal component', () => {
       render(<OffersPage />);
@@ -241,10 +269,10 @@ describe('OffersPage', () => {
       });
     });
 
-    it('images have alt text', () => {
+    it('images have alt text', async () => {
       render(<OffersPage />);
 
-      const images = screen.getAllByRole('img');
+      const images = await screen.findAllByRole('img');
       images.forEach((img) => {
         expect(img).toHaveAttribute('alt');
       });
@@ -291,10 +319,10 @@ describe('OffersPage', () => {
   });
 
   describe('bottom CTA', () => {
-    it('displays disclaimer text', () => {
+    it('displays disclaimer text', async () => {
       render(<OffersPage />);
 
-      expect(screen.getByText(/offers valid while supplies last/i)).toBeInTheDocument();
+      expect(await screen.findByText(/offers valid while supplies last/i)).toBeInTheDocument();
     });
   });
 
@@ -0,0 +1,385 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiArrowLeft, FiCheck, FiPackage } from 'react-icons/fi';
+import { useTheme } from '../context/ThemeContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { ordersApi } from '../services/api';
+import { ORDER_STATUS_LABELS, ROUTES } from '../constants';
+import { getCartItemId } from '../utils/id';
+import Loading from '../components/Loading';
+import { DiscountBreakdown, TaxLine } from '../components/cart';
+
+/**
+ * Format an ISO timestamp as date and time
+ * @param {string} isoString - ISO date string
+ * @returns {string} Formatted date and time
+ */
+function formatOrderDateTime(isoString) {
+  return new Date(isoString).toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * StatusTimeline - Vertical list of fulfilment steps
+ */
+function StatusTimeline({ timeline, primaryColor, textColor, subtextColor, borderColor }) {
+  return (
+    <ol className="relative" aria-label="Order status timeline">
+      {timeline.map((step, index) => {
+        const isLast = index === timeline.length - 1;
+
+        return (
+          <li
+            key={step.status}
+            className="flex gap-3"
+            aria-current={step.completed && !timeline[index + 1]?.completed ? 'step' : undefined}
+          >
+            <div className="flex flex-col items-center">
+              <span
+                className="h-6 w-6 flex items-center justify-center rounded-full border-2 shrink-0"
+                style={{
+                  borderColor: step.completed ? primaryColor : borderColor,
+                  backgroundColor: step.completed ? primaryColor : 'transparent',
+                }}
+              >
+                {step.completed && <FiCheck className="h-3 w-3 text-white" />}
+              </span>
+              {!isLast && (
+                <span
+                  className="w-0.5 flex-1 min-h-6"
+                  style={{
+                    backgroundColor: timeline[index + 1].completed ? primaryColor : borderColor,
+                  }}
+                />
+              )}
+            </div>
+            <div className={isLast ? '' : 'pb-5'}>
+              <p
+                className="text-sm font-medium"
+                style={{ color: step.completed ? textColor : subtextColor }}
+              >
+                {step.label}
+              </p>
+              <p className="text-xs" style={{ color: subtextColor }}>
+                {step.completed ? formatOrderDateTime(step.at) : 'Pending'}
+              </p>
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+/**
+ * OrderDetailPage - Single order detail page component
+ *
+ * Shows the full line items, totals, shipping details and
+ * status timeline for an order from the user's order history.
+ */
+function OrderDetailPage() {
+  const { orderId } = useParams();
+  const { darkMode, COLORS } = useTheme();
+  const { formatPriceIn } = useCurrency();
+
+  const [order, setOrder] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch the order whenever the route param changes
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchOrder = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const response = await ordersApi.getById(orderId);
+
+        if (!cancelled) {
+          setOrder(response);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load order');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchOrder();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId]);
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const borderColor = darkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const cardBg = darkMode ? COLORS.dark.secondary : COLORS.light.background;
+
+  const backLink = (
+    <Link
+      to={ROUTES.ORDERS}
+      className="inline-flex items-center text-sm font-medium mb-4 hover:opacity-80 transition-opacity cursor-pointer"
+      style={{ color: primaryColor }}
+    >
+      <FiArrowLeft className="mr-2 h-4 w-4" />
+      Back to Orders
+    </Link>
+  );
+
+  if (isLoading) {
+    return <Loading message="Loading order..." fullScreen={true} size="md" />;
+  }
+
+  if (error || !order) {
+    return (
+      <main
+        className="min-h-screen py-8"
+        style={{
+          background: darkMode ? COLORS.dark.backgroundGradient : COLORS.light.backgroundGradient,
+        }}
+      >
+        <div className="max-w-4xl mx-auto px-3 sm:px-4">
+          {backLink}
+          <div className="text-center py-16 rounded-lg" style={{ backgroundColor: cardBg }}>
+            <FiPackage
+              className="mx-auto h-16 w-16 mb-6"
+              style={{
+                color: darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)',
+              }}
+            />
+            <h1 className="text-xl font-bold mb-2" style={{ color: textColor }}>
+              {error ? 'Something went wrong' : 'Order not found'}
+            </h1>
+            <p style={{ color: subtextColor }}>
+              {error || `We couldn't find an order with number ${orderId}.`}
+            </p>
+          </div>
+        </div>
+      </main>
+    );
+  }
+
+  const { totals, shipping, coupon } = order;
+  // Amounts are shown in the currency the order was placed in
+  const formatPrice = (amount) => formatPriceIn(amount, order.currency);
+  // Orders placed before the address was kept separately only have the profile
+  const deliveryAddress = order.shippingAddress ?? order.customer;
+
+  return (
+    <main
+      className="min-h-screen py-8"
+      style={{
+        background: darkMode ? COLORS.dark.backgroundGradient : COLORS.light.backgroundGradient,
+      }}
+    >
+      <div className="max-w-6xl mx-auto px-3 sm:px-4">
+        {/* Page Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+          className="mb-8"
+        >
+          {backLink}
+
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <h1
+                className="text-3xl font-bold"
+                style={{
+                  color: textColor,
+                  fontFamily: "'Metropolis', sans-serif",
+                }}
+              >
+                Order {order.orderNumber}
+              </h1>
+              <p className="mt-1 text-sm" style={{ color: subtextColor }}>
+                Placed {formatOrderDateTime(order.createdAt)}
+              </p>
+            </div>
+            <span
+              className="px-3 py-1 text-sm font-medium rounded-full"
+              style={{
+                backgroundColor: darkMode ? 'rgba(96, 165, 250, 0.2)' : 'rgba(37, 99, 235, 0.1)',
+                color: primaryColor,
+              }}
+            >
+              {ORDER_STATUS_LABELS[order.status]}
+            </span>
+          </div>
+        </motion.div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Line Items - Left Column */}
+          <div className="lg:col-span-2 rounded-lg p-6" style={{ backgroundColor: cardBg }}>
+            <h2
+              className="text-lg font-bold mb-4 pb-4 border-b"
+              style={{ color: textColor, borderColor }}
+            >
+              Items
+            </h2>
+            <ul>
+              {order.items.map((item) => (
+                <li
+                  key={getCartItemId(item)}
+                  className="flex items-center border-b py-4"
+                  style={{ borderColor }}
+                >
+                  <img
+                    src={item.image}
+                    alt={item.name}
+                    className="h-16 w-16 shrink-0 rounded-md object-cover"
+                    loading="lazy"
+                  />
+                  <div className="ml-4 grow min-w-0">
+                    <p className="text-sm font-medium truncate" style={{ color: textColor }}>
+                      {item.name}
+                    </p>
+                    {item.variantLabel && (
+                      <p className="text-xs truncate" style={{ color: subtextColor }}>
+                        {item.variantLabel}
+                      </p>
+                    )}
+                    <p className="text-sm" style={{ color: subtextColor }}>
+                      {item.quantity} × {formatPrice(item.unitPrice)}
+                      {item.onSale && (
+                        <span className="ml-2 text-xs line-through">{formatPrice(item.price)}</span>
+                      )}
+                    </p>
+                  </div>
+                  <p className="ml-4 text-sm font-medium" style={{ color: textColor }}>
+                    {formatPrice(item.lineTotal)}
+                  </p>
+                </li>
+              ))}
+            </ul>
+
+            {/* Totals */}
+            <div className="space-y-3 pt-4">
+              <div className="flex justify-between text-sm">
+                <span style={{ color: subtextColor }}>Subtotal</span>
+                <span style={{ color: textColor }}>{formatPrice(totals.subtotal)}</span>
+              </div>
+              {totals.savings > 0 && (
+                <div className="flex justify-between text-sm">
+                  <span style={{ color: subtextColor }}>Savings</span>
+                  <span style={{ color: 'rgb(34, 197, 94)' }}>-{formatPrice(totals.savings)}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-sm">
+                <span style={{ color: subtextColor }}>Shipping</span>
+                <span style={{ color: textColor }}>
+                  {totals.shipping === 0 ? 'Free' : formatPrice(totals.shipping)}
+                </span>
+              </div>
+              {coupon && (
+                <div className="flex justify-between text-sm">
+                  <span style={{ color: subtextColor }}>Promo code</span>
+                  <span className="font-semibold" style={{ color: textColor }}>
+                    {coupon.code}
+                  </span>
+                </div>
+              )}
+              <DiscountBreakdown discounts={totals.discounts ?? []} subtextColor={subtextColor} />
+              {totals.tax > 0 && (
+                <TaxLine
+                  label={totals.taxLabel}
+                  amount={totals.tax}
+                  inclusive={totals.taxInclusive}
+                  lines={totals.taxLines}
+                  textColor={textColor}
+                  subtextColor={subtextColor}
+                />
+              )}
+              <div
+                className="flex justify-between pt-3 border-t text-lg font-bold"
+                style={{ borderColor, color: textColor }}
+              >
+                <span>Total</span>
+                <span>{formatPrice(totals.total)}</span>
+              </div>
+            </div>
+          </div>
+
+          {/* Status & Delivery - Right Column */}
+          <div className="lg:col-span-1 space-y-6">
+            <div className="rounded-lg p-6" style={{ backgroundColor: cardBg }}>
+              <h2
+                className="text-lg font-bold mb-4 pb-4 border-b"
+                style={{ color: textColor, borderColor }}
+              >
+                Status
+              </h2>
+              <StatusTimeline
+                timeline={order.timeline}
+                primaryColor={primaryColor}
+                textColor={textColor}
+                subtextColor={subtextColor}
+                borderColor={borderColor}
+              />
+            </div>
+
+            <div className="rounded-lg p-6" style={{ backgroundColor: cardBg }}>
+              <h2
+                className="text-lg font-bold mb-4 pb-4 border-b"
+                style={{ color: textColor, borderColor }}
+              >
+                Delivery
+              </h2>
+              {shipping && (
+                <p className="text-sm mb-3" style={{ color: textColor }}>
+                  {shipping.name}
+                  {shipping.estimatedDelivery && (
+                    <span className="block text-xs" style={{ color: subtextColor }}>
+                      {shipping.estimatedDelivery}
+                    </span>
+                  )}
+                </p>
+              )}
+              {deliveryAddress ? (
+                <address className="not-italic text-sm" style={{ color: subtextColor }}>
+                  <span className="block font-medium" style={{ color: textColor }}>
+                    {[deliveryAddress.firstName, deliveryAddress.lastName]
+                      .filter(Boolean)
+                      .join(' ')}
+                  </span>
+                  {[
+                    deliveryAddress.address,
+                    deliveryAddress.city,
+                    deliveryAddress.state,
+                    deliveryAddress.zip,
+                    deliveryAddress.country,
+                  ]
+                    .filter(Boolean)
+                    .join(', ')}
+                </address>
+              ) : (
+                <p className="text-sm" style={{ color: subtextColor }}>
+                  No delivery address recorded
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+}
+
+export default OrderDetailPage;
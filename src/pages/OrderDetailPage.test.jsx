@@ -0,0 +1,162 @@
+// OrderDetailPage component tests
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { screen, within } from '@testing-library/react';
+import { Routes, Route } from 'react-router-dom';
+import OrderDetailPage from './OrderDetailPage';
+import { renderWithMemoryRouter, mockProduct, mockSaleProduct } from '../testing/test-utils';
+import { buildOrderRecord, saveOrder } from '../services/orders';
+
+// Mock framer-motion to avoid animation issues
+vi.mock('framer-motion', async () => {
+  const actual = await vi.importActual('framer-motion');
+  return {
+    ...actual,
+    AnimatePresence: ({ children }) => children,
+    motion: {
+      div: ({ children, ...props }) => <div {...props}>{children}</div>,
+      p: ({ children, ...props }) => <p {...props}>{children}</p>,
+      span: ({ children, ...props }) => <span {...props}>{children}</span>,
+    },
+  };
+});
+
+const renderOrder = (orderId) =>
+  renderWithMemoryRouter(
+    <Routes>
+      <Route path="/orders/:orderId" element={<OrderDetailPage />} />
+    </Routes>,
+    { initialEntries: [`/orders/${orderId}`] }
+  );
+
+const seedOrder = (createdAt = new Date().toISOString(), overrides = {}) =>
+  saveOrder(
+    buildOrderRecord({
+      orderNumber: 'ORD-20260101-ABC123',
+      items: [
+        { ...mockProduct, quantity: 2 },
+        { ...mockSaleProduct, quantity: 1 },
+      ],
+      shipping: {
+        id: 'express',
+        name: 'Express Shipping',
+        price: 9.99,
+        estimatedDelivery: '1-2 business days',
+      },
+      customer: {
+        firstName: 'John',
+        lastName: 'Doe',
+        address: '1 Profile Road',
+        city: 'Home Town',
+        country: 'India',
+      },
+      shippingAddress: {
+        firstName: 'John',
+        lastName: 'Doe',
+        address: '123 Test Street',
+        city: 'Test City',
+        country: 'India',
+      },
+      createdAt,
+      ...overrides,
+    })
+  );
+
+describe('OrderDetailPage', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('not found', () => {
+    it('shows a not found state for unknown order IDs', async () => {
+      renderOrder('ORD-MISSING');
+
+      expect(await screen.findByRole('heading', { name: /order not found/i })).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: /back to orders/i })).toHaveAttribute(
+        'href',
+        '/orders'
+      );
+    });
+  });
+
+  describe('order details', () => {
+    it('renders the order number heading', async () => {
+      seedOrder();
+      renderOrder('ORD-20260101-ABC123');
+
+      expect(
+        await screen.findByRole('heading', { name: /order ORD-20260101-ABC123/i })
+      ).toBeInTheDocument();
+    });
+
+    it('renders every line item with its total', async () => {
+      seedOrder();
+      renderOrder('ORD-20260101-ABC123');
+
+      expect(await screen.findByText('Test Product')).toBeInTheDocument();
+      expect(screen.getByText('Sale Product')).toBeInTheDocument();
+      expect(screen.getByText('$199.98')).toBeInTheDocument();
+    });
+
+    it('renders order totals including savings and shipping', async () => {
+      seedOrder();
+      renderOrder('ORD-20260101-ABC123');
+
+      expect(await screen.findByText('-$50.00')).toBeInTheDocument();
+      expect(screen.getByText('$9.99')).toBeInTheDocument();
+      // 199.98 + 99.99 + 9.99
+      expect(screen.getByText('$309.96')).toBeInTheDocument();
+    });
+
+    it('shows amounts in the currency the order was placed in', async () => {
+      localStorage.setItem('currency', 'GBP');
+      seedOrder(undefined, { currency: { code: 'EUR', rate: 0.92 } });
+      renderOrder('ORD-20260101-ABC123');
+
+      // 199.98 * 0.92, then (199.98 + 99.99 + 9.99) * 0.92
+      expect(await screen.findByText('€183.98')).toBeInTheDocument();
+      expect(screen.getByText('€285.16')).toBeInTheDocument();
+      expect(screen.queryByText(/£/)).not.toBeInTheDocument();
+    });
+
+    it('renders the delivery address snapshot', async () => {
+      seedOrder();
+      renderOrder('ORD-20260101-ABC123');
+
+      expect(await screen.findByText('John Doe')).toBeInTheDocument();
+      expect(screen.getByText(/123 Test Street, Test City, India/)).toBeInTheDocument();
+      expect(screen.getByText('1-2 business days')).toBeInTheDocument();
+      expect(screen.queryByText(/1 Profile Road/)).not.toBeInTheDocument();
+    });
+
+    it('falls back to the profile for orders without a delivery address', async () => {
+      seedOrder(undefined, { shippingAddress: undefined });
+      renderOrder('ORD-20260101-ABC123');
+
+      expect(await screen.findByText(/1 Profile Road, Home Town, India/)).toBeInTheDocument();
+    });
+  });
+
+  describe('status timeline', () => {
+    it('marks only the placed step complete for a new order', async () => {
+      seedOrder();
+      renderOrder('ORD-20260101-ABC123');
+
+      const timeline = await screen.findByRole('list', { name: /order status timeline/i });
+      const steps = within(timeline).getAllByRole('listitem');
+
+      expect(steps).toHaveLength(4);
+      expect(steps[0]).toHaveAttribute('aria-current', 'step');
+      expect(within(timeline).getAllByText('Pending')).toHaveLength(3);
+    });
+
+    it('marks all steps complete for an old order', async () => {
+      seedOrder('2020-01-01T10:00:00.000Z');
+      renderOrder('ORD-20260101-ABC123');
+
+      const timeline = await screen.findByRole('list', { name: /order status timeline/i });
+
+      expect(within(timeline).queryByText('Pending')).not.toBeInTheDocument();
+      expect(within(timeline).getAllByRole('listitem')[3]).toHaveAttribute('aria-current', 'step');
+    });
+  });
+});
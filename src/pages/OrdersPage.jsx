@@ -0,0 +1,274 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiArrowLeft, FiChevronLeft, FiChevronRight, FiPackage } from 'react-icons/fi';
+import { useTheme } from '../context/ThemeContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { ordersApi } from '../services/api';
+import { ORDER_STATUS_LABELS, ROUTES } from '../constants';
+import { getCartItemId } from '../utils/id';
+import Loading from '../components/Loading';
+
+/**
+ * Number of orders shown per page
+ */
+const ORDERS_PER_PAGE = 10;
+
+/**
+ * Format an ISO timestamp as a short date
+ * @param {string} isoString - ISO date string
+ * @returns {string} Formatted date
+ */
+function formatOrderDate(isoString) {
+  return new Date(isoString).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+/**
+ * OrdersPage - Order history page component
+ *
+ * Lists every order the user has placed, newest first, with
+ * status, item count and total. Each order links to its detail page.
+ */
+function OrdersPage() {
+  const { darkMode, COLORS } = useTheme();
+  const { formatPriceIn } = useCurrency();
+
+  const [page, setPage] = useState(1);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch the current page of orders
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchOrders = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const response = await ordersApi.list({ page, limit: ORDERS_PER_PAGE });
+
+        if (!cancelled) {
+          setResult(response);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load orders');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchOrders();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [page, reloadKey]);
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const cardBg = darkMode ? COLORS.dark.secondary : COLORS.light.background;
+
+  const orders = result?.data ?? [];
+
+  return (
+    <main
+      className="min-h-screen py-8"
+      style={{
+        background: darkMode ? COLORS.dark.backgroundGradient : COLORS.light.backgroundGradient,
+      }}
+    >
+      <div className="max-w-4xl mx-auto px-3 sm:px-4">
+        {/* Page Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+          className="mb-8"
+        >
+          <Link
+            to={ROUTES.HOME}
+            className="inline-flex items-center text-sm font-medium mb-4 hover:opacity-80 transition-opacity cursor-pointer"
+            style={{ color: primaryColor }}
+          >
+            <FiArrowLeft className="mr-2 h-4 w-4" />
+            Back to Home
+          </Link>
+
+          <h1
+            className="text-3xl font-bold"
+            style={{
+              color: textColor,
+              fontFamily: "'Metropolis', sans-serif",
+            }}
+          >
+            My Orders
+          </h1>
+          {result && result.total > 0 && (
+            <p className="mt-1 text-sm" style={{ color: subtextColor }}>
+              {result.total} {result.total === 1 ? 'order' : 'orders'} placed
+            </p>
+          )}
+        </motion.div>
+
+        {/* Content */}
+        {isLoading ? (
+          <Loading message="Loading orders..." fullScreen={false} size="md" />
+        ) : error ? (
+          <div className="text-center py-16 rounded-lg" style={{ backgroundColor: cardBg }}>
+            <p className="mb-4" style={{ color: textColor }}>
+              {error}
+            </p>
+            <button
+              onClick={() => setReloadKey((key) => key + 1)}
+              className="px-6 py-3 font-medium rounded-md transition-all hover:opacity-90 cursor-pointer"
+              style={{
+                backgroundColor: primaryColor,
+                color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+              }}
+            >
+              Try Again
+            </button>
+          </div>
+        ) : orders.length === 0 ? (
+          /* No Orders */
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="text-center py-16 rounded-lg"
+            style={{ backgroundColor: cardBg }}
+          >
+            <FiPackage
+              className="mx-auto h-16 w-16 mb-6"
+              style={{
+                color: darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)',
+              }}
+            />
+            <h2 className="text-xl font-bold mb-2" style={{ color: textColor }}>
+              No orders yet
+            </h2>
+            <p className="mb-8" style={{ color: subtextColor }}>
+              Orders you place will show up here.
+            </p>
+            <Link
+              to={ROUTES.PRODUCTS}
+              className="inline-block px-6 py-3 font-medium rounded-md transition-all hover:scale-105 active:scale-95"
+              style={{
+                backgroundColor: primaryColor,
+                color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+                boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+              }}
+            >
+              Start Shopping
+            </Link>
+          </motion.div>
+        ) : (
+          <>
+            {/* Orders List */}
+            <ul className="space-y-4">
+              {orders.map((order) => {
+                const itemCount = order.items.reduce((sum, item) => sum + item.quantity, 0);
+
+                return (
+                  <li key={order.id}>
+                    <Link
+                      to={`${ROUTES.ORDERS}/${order.id}`}
+                      className="block rounded-lg p-5 transition-all hover:shadow-md"
+                      style={{ backgroundColor: cardBg }}
+                      aria-label={`View order ${order.orderNumber}`}
+                    >
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <div>
+                          <p className="font-semibold" style={{ color: textColor }}>
+                            {order.orderNumber}
+                          </p>
+                          <p className="text-sm" style={{ color: subtextColor }}>
+                            Placed {formatOrderDate(order.createdAt)} · {itemCount}{' '}
+                            {itemCount === 1 ? 'item' : 'items'}
+                          </p>
+                        </div>
+                        <div className="text-right">
+                          <p className="font-semibold" style={{ color: textColor }}>
+                            {formatPriceIn(order.totals.total, order.currency)}
+                          </p>
+                          <span
+                            className="inline-block mt-1 px-2 py-0.5 text-xs font-medium rounded-full"
+                            style={{
+                              backgroundColor: darkMode
+                                ? 'rgba(96, 165, 250, 0.2)'
+                                : 'rgba(37, 99, 235, 0.1)',
+                              color: primaryColor,
+                            }}
+                          >
+                            {ORDER_STATUS_LABELS[order.status]}
+                          </span>
+                        </div>
+                      </div>
+
+                      {/* Item thumbnails */}
+                      <div className="flex gap-2 mt-4">
+                        {order.items.slice(0, 5).map((item) => (
+                          <img
+                            key={getCartItemId(item)}
+                            src={item.image}
+                            alt={item.name}
+                            className="h-12 w-12 rounded-md object-cover"
+                            loading="lazy"
+                          />
+                        ))}
+                      </div>
+                    </Link>
+                  </li>
+                );
+              })}
+            </ul>
+
+            {/* Pagination */}
+            {result.totalPages > 1 && (
+              <nav
+                className="flex items-center justify-center gap-4 mt-8"
+                aria-label="Orders pagination"
+              >
+                <button
+                  onClick={() => setPage((current) => current - 1)}
+                  disabled={!result.hasPrevPage}
+                  className="flex items-center gap-1 px-4 py-2 text-sm font-medium rounded-md transition-all hover:opacity-80 cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+                  style={{ color: primaryColor }}
+                >
+                  <FiChevronLeft className="h-4 w-4" />
+                  Previous
+                </button>
+                <span className="text-sm" style={{ color: subtextColor }}>
+                  Page {result.page} of {result.totalPages}
+                </span>
+                <button
+                  onClick={() => setPage((current) => current + 1)}
+                  disabled={!result.hasNextPage}
+                  className="flex items-center gap-1 px-4 py-2 text-sm font-medium rounded-md transition-all hover:opacity-80 cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+                  style={{ color: primaryColor }}
+                >
+                  Next
+                  <FiChevronRight className="h-4 w-4" />
+                </button>
+              </nav>
+            )}
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
+
+export default OrdersPage;
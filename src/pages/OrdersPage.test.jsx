@@ -0,0 +1,141 @@
+// OrdersPage component tests
+import { describe, it, expect, vi } from 'vitest';
+import { screen } from '@testing-library/react';
+import OrdersPage from './OrdersPage';
+import { render, mockProduct, mockSaleProduct } from '../testing/test-utils';
+import { buildOrderRecord, saveOrder } from '../services/orders';
+
+// Mock framer-motion to avoid animation issues
+vi.mock('framer-motion', async () => {
+  const actual = await vi.importActual('framer-motion');
+  return {
+    ...actual,
+    AnimatePresence: ({ children }) => children,
+    motion: {
+      div: ({ children, ...props }) => <div {...props}>{children}</div>,
+      p: ({ children, ...props }) => <p {...props}>{children}</p>,
+      span: ({ children, ...props }) => <span {...props}>{children}</span>,
+    },
+  };
+});
+
+const placeOrder = (orderNumber, createdAt, items = [{ ...mockProduct, quantity: 2 }]) =>
+  saveOrder(
+    buildOrderRecord({
+      orderNumber,
+      items,
+      shipping: { id: 'standard', name: 'Standard Shipping', price: 4.99 },
+      createdAt,
+    })
+  );
+
+describe('OrdersPage', () => {
+  describe('rendering', () => {
+    it('renders the page title', async () => {
+      render(<OrdersPage />);
+
+      expect(screen.getByRole('heading', { name: /my orders/i })).toBeInTheDocument();
+      await screen.findByText(/no orders yet/i);
+    });
+
+    it('shows a loading state while orders are fetched', () => {
+      render(<OrdersPage />);
+
+      expect(screen.getByText(/loading orders/i)).toBeInTheDocument();
+    });
+  });
+
+  describe('empty state', () => {
+    it('displays empty message when no orders exist', async () => {
+      render(<OrdersPage />);
+
+      expect(await screen.findByText(/no orders yet/i)).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: /start shopping/i })).toHaveAttribute(
+        'href',
+        '/products'
+      );
+    });
+  });
+
+  describe('order list', () => {
+    it('lists saved orders newest first', async () => {
+      placeOrder('ORD-20260101-AAAAAA', '2025-01-01T10:00:00.000Z');
+      placeOrder('ORD-20260201-BBBBBB', '2025-02-01T10:00:00.000Z');
+
+      render(<OrdersPage />);
+
+      const links = await screen.findAllByRole('link', { name: /view order/i });
+      expect(links).toHaveLength(2);
+      expect(links[0]).toHaveAccessibleName('View order ORD-20260201-BBBBBB');
+      expect(links[1]).toHaveAccessibleName('View order ORD-20260101-AAAAAA');
+    });
+
+    it('links each order to its detail page', async () => {
+      placeOrder('ORD-20260101-AAAAAA', '2025-01-01T10:00:00.000Z');
+
+      render(<OrdersPage />);
+
+      const link = await screen.findByRole('link', { name: /view order/i });
+      expect(link).toHaveAttribute('href', '/orders/ORD-20260101-AAAAAA');
+    });
+
+    it('shows order total, item count and status', async () => {
+      placeOrder('ORD-20260101-AAAAAA', '2025-01-01T10:00:00.000Z', [
+        { ...mockProduct, quantity: 2 },
+        { ...mockSaleProduct, quantity: 1 },
+      ]);
+
+      render(<OrdersPage />);
+
+      // 2 * 99.99 + 99.99 + 4.99 shipping
+      expect(await screen.findByText('$304.96')).toBeInTheDocument();
+      expect(screen.getByText(/3 items/)).toBeInTheDocument();
+      expect(screen.getByText('Delivered')).toBeInTheDocument();
+    });
+
+    it('shows each total in the currency the order was placed in', async () => {
+      localStorage.setItem('currency', 'GBP');
+      saveOrder(
+        buildOrderRecord({
+          orderNumber: 'ORD-20260101-AAAAAA',
+          items: [{ ...mockProduct, quantity: 2 }],
+          shipping: { id: 'standard', name: 'Standard Shipping', price: 4.99 },
+          currency: { code: 'EUR', rate: 0.92 },
+          createdAt: '2025-01-01T10:00:00.000Z',
+        })
+      );
+      // Placed before orders recorded their currency
+      saveOrder({
+        ...buildOrderRecord({
+          orderNumber: 'ORD-20260201-BBBBBB',
+          items: [{ ...mockProduct, quantity: 1 }],
+          createdAt: '2025-02-01T10:00:00.000Z',
+        }),
+        currency: undefined,
+      });
+
+      render(<OrdersPage />);
+
+      // (2 * 99.99 + 4.99) * 0.92
+      expect(await screen.findByText('€188.57')).toBeInTheDocument();
+      expect(screen.getByText('$99.99')).toBeInTheDocument();
+    });
+
+    it('paginates when there are more than ten orders', async () => {
+      for (let i = 1; i <= 12; i++) {
+        const day = String(i).padStart(2, '0');
+        placeOrder(`ORD-202601${day}-ORDER${i}`, `2025-01-${day}T10:00:00.000Z`);
+      }
+
+      const { user } = render(<OrdersPage />);
+
+      expect(await screen.findAllByRole('link', { name: /view order/i })).toHaveLength(10);
+      expect(screen.getByText('Page 1 of 2')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: /next/i }));
+
+      expect(await screen.findAllByRole('link', { name: /view order/i })).toHaveLength(2);
+      expect(screen.getByText('Page 2 of 2')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { useCallback } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FiArrowLeft, FiShoppingBag } from 'react-icons/fi';
+import { useTheme } from '../context/ThemeContext';
+import { useProduct, useRelatedProducts } from '../hooks/useProducts';
+import { ROUTES } from '../constants';
+import Loading from '../components/Loading';
+import ProductDetails from '../components/ProductDetails';
+import ProductDetailModal from '../components/ProductDetailModal';
+import FrequentlyBoughtTogether from '../components/FrequentlyBoughtTogether';
+import RelatedProducts from '../components/RelatedProducts';
+
+/**
+ * ProductDetailPage - Deep-linkable product detail view
+ *
+ * Rendered for `/products/:productId`. When the product was opened from
+ * a page in the app (see `useOpenProduct`), it shows as a modal over that
+ * page and closing it goes back in history. Visiting the link directly
+ * (shared link, refresh) shows the details as a full page. IDs that
+ * aren't in the catalog get a product not-found state.
+ */
+function ProductDetailPage() {
+  const { productId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { darkMode, COLORS } = useTheme();
+
+  const { product: fetchedProduct, isLoading, error, notFound, refetch } = useProduct(productId);
+
+  // The opening page passes the product along so the modal shows it straight away
+  const passedProduct = location.state?.product;
+  const product =
+    fetchedProduct ?? (String(passedProduct?.id) === productId ? passedProduct : null);
+
+  const { products: relatedProducts, isLoading: isLoadingRelated } = useRelatedProducts(productId, {
+    enabled: Boolean(product),
+  });
+
+  const isModal = Boolean(location.state?.backgroundLocation);
+  const handleClose = useCallback(() => navigate(-1), [navigate]);
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const cardBg = darkMode ? COLORS.dark.modalBackground : COLORS.light.modalBackground;
+  const pageBackground = darkMode
+    ? COLORS.dark.backgroundGradient
+    : COLORS.light.backgroundGradient;
+
+  if (isModal && product) {
+    return (
+      <ProductDetailModal isOpen onClose={handleClose} product={product}>
+        <RelatedProducts products={relatedProducts} loading={isLoadingRelated} />
+      </ProductDetailModal>
+    );
+  }
+
+  if (isLoading && !product) {
+    return isModal ? null : <Loading message="Loading product..." fullScreen={true} size="md" />;
+  }
+
+  const backLink = (
+    <Link
+      to={ROUTES.PRODUCTS}
+      className="inline-flex items-center text-sm font-medium mb-4 hover:opacity-80 transition-opacity cursor-pointer"
+      style={{ color: primaryColor }}
+    >
+      <FiArrowLeft className="mr-2 h-4 w-4" />
+      Back to Products
+    </Link>
+  );
+
+  if (notFound || error || !product) {
+    return (
+      <main className="min-h-screen py-8" style={{ background: pageBackground }}>
+        <div className="max-w-4xl mx-auto px-3 sm:px-4">
+          {backLink}
+          <div className="text-center py-16 rounded-lg" style={{ backgroundColor: cardBg }}>
+            <FiShoppingBag
+              className="mx-auto h-16 w-16 mb-6"
+              style={{
+                color: darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)',
+              }}
+            />
+            <h1 className="text-xl font-bold mb-2" style={{ color: textColor }}>
+              {error ? 'Something went wrong' : 'Product not found'}
+            </h1>
+            <p style={{ color: subtextColor }}>
+              {error ||
+                `We couldn't find a product with ID ${productId}. It may no longer be available.`}
+            </p>
+            {error && (
+              <button
+                type="button"
+                onClick={refetch}
+                className="mt-6 px-5 py-2 text-sm font-semibold rounded-lg transition-all hover:scale-[1.02] active:scale-[0.98] cursor-pointer"
+                style={{ backgroundColor: primaryColor, color: cardBg }}
+              >
+                Try again
+              </button>
+            )}
+          </div>
+        </div>
+      </main>
+    );
+  }
+
+  return (
+    <main className="min-h-screen py-8" style={{ background: pageBackground }}>
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+        className="max-w-4xl mx-auto px-3 sm:px-4"
+      >
+        {backLink}
+        <div className="rounded-lg shadow-lg overflow-hidden" style={{ backgroundColor: cardBg }}>
+          <ProductDetails product={product} headingLevel={1} />
+          <FrequentlyBoughtTogether key={product.id} product={product} headingLevel={2} />
+          <RelatedProducts products={relatedProducts} loading={isLoadingRelated} headingLevel={2} />
+        </div>
+      </motion.div>
+    </main>
+  );
+}
+
+export default ProductDetailPage;
@@ -0,0 +1,123 @@
+// ProductDetailPage component tests
+import { describe, it, expect, beforeEach } from 'vitest';
+import { screen } from '@testing-library/react';
+import { Routes, Route, useLocation } from 'react-router-dom';
+import ProductDetailPage from './ProductDetailPage';
+import { renderWithMemoryRouter } from '../testing/test-utils';
+import { clearRecentlyViewed, getRecentlyViewed } from '../services/recentlyViewed';
+
+const LOAD_TIMEOUT = { timeout: 2000 };
+
+// Renders the current path so tests can assert on navigation
+function LocationProbe() {
+  const location = useLocation();
+  return <span data-testid="location">{location.pathname}</span>;
+}
+
+const renderProductPage = (initialEntries) =>
+  renderWithMemoryRouter(
+    <>
+      <Routes>
+        <Route path="/products" element={<p>Product listing</p>} />
+        <Route path="/products/:productId" element={<ProductDetailPage />} />
+      </Routes>
+      <LocationProbe />
+    </>,
+    { initialEntries }
+  );
+
+describe('ProductDetailPage', () => {
+  describe('deep link', () => {
+    it('renders the product as a full page', async () => {
+      renderProductPage(['/products/1']);
+
+      expect(
+        await screen.findByRole('heading', { level: 1, name: 'Wireless Earbuds' }, LOAD_TIMEOUT)
+      ).toBeInTheDocument();
+      expect(screen.queryByTestId('modal-backdrop')).not.toBeInTheDocument();
+      expect(screen.getByRole('link', { name: /back to products/i })).toHaveAttribute(
+        'href',
+        '/products'
+      );
+    });
+
+    it('shows related products', async () => {
+      renderProductPage(['/products/1']);
+
+      expect(
+        await screen.findByRole('heading', { name: 'You might also like' }, LOAD_TIMEOUT)
+      ).toBeInTheDocument();
+      expect(
+        await screen.findByRole(
+          'button',
+          { name: /view details for bluetooth speaker/i },
+          LOAD_TIMEOUT
+        )
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe('recently viewed', () => {
+    beforeEach(() => {
+      clearRecentlyViewed();
+    });
+
+    it('records the viewed product', async () => {
+      renderProductPage(['/products/3']);
+
+      await screen.findByRole('heading', { level: 1, name: 'Bluetooth Speaker' }, LOAD_TIMEOUT);
+
+      expect(getRecentlyViewed().map((entry) => entry.productId)).toEqual([3]);
+    });
+
+    it('does not record unknown products', async () => {
+      renderProductPage(['/products/99999']);
+
+      await screen.findByRole('heading', { name: /product not found/i }, LOAD_TIMEOUT);
+
+      expect(getRecentlyViewed()).toEqual([]);
+    });
+  });
+
+  describe('not found', () => {
+    it('shows a product not found state for unknown IDs', async () => {
+      renderProductPage(['/products/99999']);
+
+      expect(
+        await screen.findByRole('heading', { name: /product not found/i }, LOAD_TIMEOUT)
+      ).toBeInTheDocument();
+      expect(screen.getByText(/couldn't find a product with ID 99999/i)).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: /back to products/i })).toHaveAttribute(
+        'href',
+        '/products'
+      );
+    });
+  });
+
+  describe('opened from a page', () => {
+    const openedEntries = [
+      '/products',
+      {
+        pathname: '/products/1',
+        state: { backgroundLocation: { pathname: '/products', search: '' } },
+      },
+    ];
+
+    it('renders as a modal', async () => {
+      renderProductPage(openedEntries);
+
+      expect(await screen.findByTestId('modal-backdrop', {}, LOAD_TIMEOUT)).toBeInTheDocument();
+      expect(screen.getByRole('heading', { name: 'Wireless Earbuds' })).toBeInTheDocument();
+    });
+
+    it('goes back to the page when closed', async () => {
+      const { user } = renderProductPage(openedEntries);
+
+      await screen.findByTestId('modal-backdrop', {}, LOAD_TIMEOUT);
+      await user.click(screen.getByRole('button', { name: /close/i }));
+
+      expect(screen.getByTestId('location')).toHaveTextContent('/products');
+      expect(screen.getByText('Product listing')).toBeInTheDocument();
+    });
+  });
+});
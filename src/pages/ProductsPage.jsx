@@ -1,51 +1,47 @@
-import { useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { useTheme } from '../context/ThemeContext';
 import { useSearch, useFilter } from '../context';
 import { useCart } from '../context/CartContext';
+import { useListingFilters } from '../hooks/useListingFilters';
+import { useInfiniteProducts } from '../hooks/useProducts';
+import { useCategoryNames } from '../hooks/useCategories';
 import Navigation from '../components/Navigation';
 import ProductGrid from '../components/ProductGrid';
-import { products } from '../data/products';
-import { CATEGORY_DISPLAY_NAMES, CATEGORIES } from '../constants';
+import { FacetPanel, SortSelect } from '../components/filters';
+import { CATEGORIES, GRID } from '../constants';
 
 /**
  * ProductsPage - Products listing page component
  *
  * Displays all products with category filtering, search functionality,
- * and optional offers filter. Uses FilterContext for state management
- * which handles URL query parameters for deep linking support.
+ * optional offers filter, a facet sidebar (price, colour, availability,
+ * on sale, delivery time) and a sort order. Uses FilterContext for state management
+ * which handles URL query parameters for deep linking support. Products
+ * come from `useInfiniteProducts` and load page by page as the shopper scrolls.
  *
  * Note: CartModal is now rendered once in AppLayout (via CartContext),
  * eliminating the need for duplicate modal instances.
  */
 function ProductsPage() {
   const { darkMode, COLORS } = useTheme();
+  const categoryNames = useCategoryNames();
   const { searchTerm, clearSearch } = useSearch();
-  const { activeCategory, viewingOffers, setActiveCategory, enableOffersView } = useFilter();
+  const { activeCategory, viewingOffers, setActiveCategory, enableOffersView, activeFacetCount } =
+    useFilter();
   const { openCart } = useCart();
 
-  // Filter products based on category, search, and offers
-  const filteredProducts = useMemo(
-    () =>
-      products.filter((product) => {
-        // Category filter
-        const categoryMatch =
-          activeCategory === CATEGORIES.ALL || product.category === activeCategory;
-
-        // Offers filter
-        const offersMatch = !viewingOffers || product.onSale === true;
-
-        // Search filter
-        const searchMatch =
-          !searchTerm ||
-          product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          product.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          product.category.toLowerCase().includes(searchTerm.toLowerCase());
-
-        return categoryMatch && searchMatch && offersMatch;
-      }),
-    [activeCategory, searchTerm, viewingOffers]
-  );
+  // Products matching category, search, offers and facets, loaded page by page
+  const filters = useListingFilters();
+  const {
+    products: filteredProducts,
+    totalItems,
+    isInitialLoading,
+    isLoadingMore,
+    hasMore,
+    error,
+    loadMore,
+    refetch,
+  } = useInfiniteProducts({ ...filters, pageSize: GRID.PRODUCTS_PER_PAGE });
 
   // Handle category change
   const handleCategoryChange = (category) => {
@@ -61,7 +57,7 @@ function ProductsPage() {
   const getPageTitle = () => {
     if (viewingOffers) return 'Special Offers';
     if (activeCategory !== CATEGORIES.ALL) {
-      const displayName = CATEGORY_DISPLAY_NAMES[activeCategory];
+      const displayName = categoryNames[activeCategory];
       return displayName
         ? `${displayName}`
         : `${activeCategory.charAt(0).toUpperCase() + activeCategory.slice(1)} Products`;
@@ -75,7 +71,7 @@ function ProductsPage() {
       return 'Limited time deals with amazing discounts on selected products.';
     }
     if (activeCategory !== CATEGORIES.ALL) {
-      const displayName = CATEGORY_DISPLAY_NAMES[activeCategory]?.toLowerCase() || activeCategory;
+      const displayName = categoryNames[activeCategory]?.toLowerCase() || activeCategory;
       return `Browse our selection of ${displayName} products.`;
     }
     return 'Explore our complete collection of carefully curated products.';
@@ -134,16 +130,20 @@ function ProductsPage() {
               {getPageDescription()}
             </p>
 
-            {/* Product Count */}
-            <p
-              className="mt-2 text-sm"
-              style={{
-                color: darkMode ? 'rgba(255, 255, 255, 0.6)' : 'rgba(0, 0, 0, 0.6)',
-              }}
-            >
-              {filteredProducts.length} {filteredProducts.length === 1 ? 'product' : 'products'}{' '}
-              found
-            </p>
+            {/* Product Count (hidden when the first page failed; the grid shows the error) */}
+            {!(error && filteredProducts.length === 0) && (
+              <p
+                className="mt-2 text-sm"
+                style={{
+                  color: darkMode ? 'rgba(255, 255, 255, 0.6)' : 'rgba(0, 0, 0, 0.6)',
+                }}
+                aria-live="polite"
+              >
+                {isInitialLoading
+                  ? 'Loading products...'
+                  : `${totalItems} ${totalItems === 1 ? 'product' : 'products'} found`}
+              </p>
+            )}
           </motion.div>
 
           {/* Offers Banner */}
@@ -218,7 +218,7 @@ function ProductsPage() {
                   &quot;{searchTerm}&quot;
                 </span>
               </p>
-              {filteredProducts.length === 0 && (
+              {!isInitialLoading && totalItems === 0 && (
                 <button
                   onClick={clearSearch}
                   className="mt-2 text-sm underline cursor-pointer hover:opacity-80 transition-opacity"
@@ -232,17 +232,38 @@ function ProductsPage() {
             </div>
           )}
 
-          {/* Product Grid */}
-          <ProductGrid
-            products={filteredProducts}
-            emptyMessage={
-              searchTerm
-                ? 'No products found matching your search'
-                : viewingOffers
-                  ? 'No offers available at the moment'
-                  : 'No products available in this category'
-            }
-          />
+          <div className="flex gap-8">
+            {/* Facet Sidebar (desktop; mobile facets live in MobileSidebar) */}
+            <aside className="hidden lg:block w-60 shrink-0" aria-label="Filters">
+              <FacetPanel />
+            </aside>
+
+            {/* Product Grid */}
+            <div className="flex-1 min-w-0">
+              <div className="flex justify-end mb-4">
+                <SortSelect />
+              </div>
+              <ProductGrid
+                products={filteredProducts}
+                loading={isInitialLoading}
+                error={error}
+                onRetry={refetch}
+                hasMore={hasMore}
+                isLoadingMore={isLoadingMore}
+                onLoadMore={loadMore}
+                highlight={searchTerm}
+                emptyMessage={
+                  searchTerm
+                    ? 'No products found matching your search'
+                    : activeFacetCount > 0
+                      ? 'No products match the selected filters'
+                      : viewingOffers
+                        ? 'No offers available at the moment'
+                        : 'No products available in this category'
+                }
+              />
+            </div>
+          </div>
         </div>
       </main>
     </div>
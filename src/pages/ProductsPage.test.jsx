@@ -3,6 +3,7 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { screen, waitFor } from '@testing-library/react';
 import ProductsPage from './ProductsPage';
 import { render, renderWithMemoryRouter } from '../testing/test-utils';
+import { products } from '../data/products';
 
 // Mock framer-motion to avoid animation issues in tests
 vi.mock('framer-motion', async () => {
@@ -95,10 +96,10 @@ describe('ProductsPage', () => {
       expect(main).toBeInTheDocument();
     });
 
-    it('displays product count', () => {
+    it('displays product count', async () => {
       render(<ProductsPage />);
 
-      expect(screen.getByText(/products? found/i)).toBeInTheDocument();
+      expect(await screen.findByText(/products? found/i)).toBeInTheDocument();
     });
   });
 
@@ -136,11 +137,11 @@ describe('ProductsPage', () => {
       });
     });
 
-    it('displays products based on selected category', () => {
+    it('displays products based on selected category', async () => {
       render(<ProductsPage />);
 
       // Products should be displayed
-      const images = screen.getAllByRole('img');
+      const images = await screen.findAllByRole('img');
       expect(images.length).toBeGreaterThan(0);
     });
   });
@@ -176,11 +177,11 @@ describe('ProductsPage', () => {
   });
 
   describe('product grid', () => {
-    it('displays products in a grid', () => {
+    it('displays products in a grid', async () => {
       render(<ProductsPage />);
 
       // Should display product cards with images
-      const images = screen.getAllByRole('img');
+      const images = await screen.findAllByRole('img');
       expect(images.length).toBeGreaterThan(0);
     });
 
@@ -192,10 +193,10 @@ describe('ProductsPage', () => {
       expect(headings.length).toBeGreaterThan(0);
     });
 
-    it('displays add to cart buttons', () => {
+    it('displays add to cart buttons', async () => {
       render(<ProductsPage />);
 
-      const addButtons = screen.getAllByRole('button', { name: /add.*cart/i });
+      const addButtons = await screen.findAllByRole('button', { name: /add.*cart/i });
       expect(addButtons.length).toBeGreaterThan(0);
     });
   });
@@ -247,10 +248,10 @@ describe('ProductsPage', () => {
       });
     });
 
-    it('images have alt text', () => {
+    it('images have alt text', async () => {
       render(<ProductsPage />);
 
-      const images = screen.getAllByRole('img');
+      const images = await screen.findAllByRole('img');
       images.forEach((img) => {
         expect(img).toHaveAttribute('alt');
       });
@@ -334,6 +335,79 @@ describe('ProductsPage', () => {
     });
   });
 
+  describe('facet filters', () => {
+    it('renders the filter sidebar', () => {
+      render(<ProductsPage />);
+
+      expect(screen.getByRole('group', { name: /product filters/i })).toBeInTheDocument();
+      expect(screen.getByRole('checkbox', { name: /in stock/i })).toBeInTheDocument();
+    });
+
+    it('narrows products by colour from the URL', async () => {
+      const redCount = products.filter((p) => p.colour === 'Red').length;
+      renderWithMemoryRouter(<ProductsPage />, {
+        initialEntries: ['/products?colour=Red'],
+      });
+
+      expect(await screen.findByText(`${redCount} products found`)).toBeInTheDocument();
+      expect(await screen.findByRole('checkbox', { name: /^red/i })).toBeChecked();
+    });
+
+    it('applies a colour facet when checked', async () => {
+      const { user } = renderWithMemoryRouter(<ProductsPage />, {
+        initialEntries: ['/products'],
+      });
+      const countText = () => screen.getByText(/products? found/i).textContent;
+      await screen.findByText(/products? found/i);
+      const before = countText();
+
+      await user.click(await screen.findByRole('checkbox', { name: /^white\s*\(\d+\)$/i }));
+
+      await waitFor(() => {
+        expect(countText()).not.toBe(before);
+      });
+      expect(screen.getByRole('button', { name: /clear all/i })).toBeInTheDocument();
+    });
+  });
+
+  describe('sorting', () => {
+    // Product cards are buttons labelled with the product name
+    const getFirstCardLabel = async () =>
+      (await screen.findAllByRole('button', { name: /^view details for/i }))[0].getAttribute(
+        'aria-label'
+      );
+
+    it('renders the sort dropdown', () => {
+      render(<ProductsPage />);
+
+      expect(screen.getByLabelText(/sort by/i)).toHaveValue('default');
+    });
+
+    it('sorts products by price from the URL', async () => {
+      renderWithMemoryRouter(<ProductsPage />, {
+        initialEntries: ['/products?sort=price_desc'],
+      });
+
+      const [mostExpensive] = [...products].sort(
+        (a, b) => (b.onSale ? b.salePrice : b.price) - (a.onSale ? a.salePrice : a.price)
+      );
+      expect(await getFirstCardLabel()).toContain(`View details for ${mostExpensive.name},`);
+    });
+
+    it('reorders products when a sort option is picked', async () => {
+      const { user } = renderWithMemoryRouter(<ProductsPage />, {
+        initialEntries: ['/products'],
+      });
+
+      await user.selectOptions(screen.getByLabelText(/sort by/i), 'name_asc');
+
+      const [firstByName] = [...products].sort((a, b) => a.name.localeCompare(b.name));
+      await waitFor(async () => {
+        expect(await getFirstCardLabel()).toContain(`View details for ${firstByName.name},`);
+      });
+    });
+  });
+
   describe('navigation interactions', () => {
     it('renders all category options', () => {
       render(<ProductsPage />);
@@ -359,19 +433,19 @@ describe('ProductsPage', () => {
   });
 
   describe('product display', () => {
-    it('displays multiple products', () => {
+    it('displays multiple products', async () => {
       render(<ProductsPage />);
 
       // Should have multiple product images
-      const images = screen.getAllByRole('img');
+      const images = await screen.findAllByRole('img');
       expect(images.length).toBeGreaterThan(1);
     });
 
-    it('displays product prices', () => {
+    it('displays product prices', async () => {
       render(<ProductsPage />);
 
       // Price elements should be present (formatted as $XX.XX)
-      const priceElements = screen.getAllByText(/\$\d+\.\d{2}/);
+      const priceElements = await screen.findAllByText(/\$\d+\.\d{2}/);
       expect(priceElements.length).toBeGreaterThan(0);
     });
   });
@@ -402,14 +476,14 @@ describe('ProductsPage', () => {
   });
 
   describe('integration', () => {
-    it('integrates Navigation and ProductGrid components', () => {
+    it('integrates Navigation and ProductGrid components', async () => {
       render(<ProductsPage />);
 
       // Navigation should be present - use button role to be specific
       expect(screen.getByRole('button', { name: /^all$/i })).toBeInTheDocument();
 
       // Products should be present
-      const images = screen.getAllByRole('img');
+      const images = await screen.findAllByRole('img');
       expect(images.length).toBeGreaterThan(0);
     });
 
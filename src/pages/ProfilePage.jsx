@@ -1,10 +1,11 @@
 import { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { FiArrowLeft, FiEdit, FiUser, FiMail, FiPhone, FiMapPin } from 'react-icons/fi';
+import { FiArrowLeft, FiClock, FiEdit, FiUser, FiMail, FiPhone, FiMapPin } from 'react-icons/fi';
 import { useTheme } from '../context/ThemeContext';
 import { useProfile } from '../context/ProfileContext';
 import { useToast } from '../context/ToastContext';
+import { useRecentlyViewed } from '../hooks/useRecentlyViewed';
 import ProfileForm from '../components/ProfileForm';
 
 /**
@@ -61,7 +62,8 @@ function InfoCard({
  * ProfilePage - User profile management page component
  *
  * Displays user profile information with the ability to view and edit
- * personal details, address, and contact information.
+ * personal details, address, and contact information, and lets the user
+ * clear their recently viewed products.
  */
 function ProfilePage() {
   const { darkMode, COLORS } = useTheme();
@@ -75,6 +77,8 @@ function ProfilePage() {
     getFormattedAddress,
   } = useProfile();
 
+  const { historyCount, clearHistory } = useRecentlyViewed();
+
   const [isEditing, setIsEditing] = useState(false);
 
   // Handle edit button click
@@ -96,6 +100,12 @@ function ProfilePage() {
     setIsEditing(false);
   };
 
+  // Handle clearing the recently viewed products
+  const handleClearHistory = () => {
+    clearHistory();
+    showSuccess('Browsing history cleared');
+  };
+
   // Styles
   const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
   const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
@@ -379,6 +389,47 @@ function ProfilePage() {
             </div>
           </motion.div>
         </div>
+
+        {/* Browsing History */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3, delay: 0.2 }}
+          className="mt-8"
+        >
+          <section
+            aria-labelledby="browsing-history-heading"
+            className="rounded-lg p-6 flex flex-wrap items-center justify-between gap-4"
+            style={{ backgroundColor: cardBg }}
+          >
+            <div className="flex items-center gap-3">
+              <FiClock className="w-5 h-5 shrink-0" style={{ color: primaryColor }} />
+              <div>
+                <h2
+                  id="browsing-history-heading"
+                  className="text-lg font-bold"
+                  style={{ color: textColor }}
+                >
+                  Browsing History
+                </h2>
+                <p className="text-sm" style={{ color: subtextColor }}>
+                  {historyCount > 0
+                    ? `${historyCount} ${historyCount === 1 ? 'product' : 'products'} in your recently viewed list`
+                    : "You haven't viewed any products yet"}
+                </p>
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={handleClearHistory}
+              disabled={historyCount === 0}
+              className="px-4 py-2 text-sm font-medium rounded-lg transition-all hover:opacity-80 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ color: textColor, border: `1px solid ${borderColor}` }}
+            >
+              Clear history
+            </button>
+          </section>
+        </motion.div>
       </div>
     </main>
   );
@@ -3,6 +3,7 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { screen, waitFor } from '@testing-library/react';
 import ProfilePage from './ProfilePage';
 import { render, renderWithMemoryRouter } from '../testing/test-utils';
+import { clearRecentlyViewed, recordProductView } from '../services/recentlyViewed';
 
 // Mock framer-motion to avoid animation issues in tests
 vi.mock('framer-motion', async () => {
@@ -389,4 +390,35 @@ describe('ProfilePage', () => {
       expect(editButton).toHaveClass('items-center');
     });
   });
+
+  describe('browsing history', () => {
+    beforeEach(() => {
+      clearRecentlyViewed();
+    });
+
+    it('shows how many products were viewed', () => {
+      recordProductView(1);
+      recordProductView(3);
+      render(<ProfilePage />);
+
+      expect(screen.getByText('2 products in your recently viewed list')).toBeInTheDocument();
+    });
+
+    it('disables clearing when nothing was viewed', () => {
+      render(<ProfilePage />);
+
+      expect(screen.getByText("You haven't viewed any products yet")).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /clear history/i })).toBeDisabled();
+    });
+
+    it('clears the recently viewed products', async () => {
+      recordProductView(1);
+      const { user } = render(<ProfilePage />);
+
+      await user.click(screen.getByRole('button', { name: /clear history/i }));
+
+      expect(screen.getByText("You haven't viewed any products yet")).toBeInTheDocument();
+      expect(localStorage.getItem('recentlyViewed')).toContain('"data":[]');
+    });
+  });
 });
@@ -0,0 +1,223 @@
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiArrowLeft, FiHeart, FiShoppingCart, FiTrash2 } from 'react-icons/fi';
+import { useTheme } from '../context/ThemeContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useToast } from '../context/ToastContext';
+import { useWishlist } from '../context/WishlistContext';
+import { useAvailableStock } from '../hooks/useAvailableStock';
+import { ROUTES } from '../constants';
+import { getCartItemId } from '../utils/id';
+import { getPriceRange } from '../utils/variants';
+
+/**
+ * WishlistRow - A saved product with move-to-cart and remove actions
+ *
+ * @param {Object} props
+ * @param {Object} props.item - Wishlist item (product fields plus saved quantity)
+ */
+function WishlistRow({ item }) {
+  const { darkMode, COLORS } = useTheme();
+  const { formatPrice } = useCurrency();
+  const { showSuccess, showWarning } = useToast();
+  const { moveToCart, removeFromWishlist } = useWishlist();
+  const availableStock = useAvailableStock(item.id, item.stock, item.variantId);
+
+  const isOutOfStock = availableStock <= 0;
+  const price = getPriceRange(item).min;
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const cardBg = darkMode ? COLORS.dark.secondary : COLORS.light.background;
+
+  const handleMoveToCart = () => {
+    const result = moveToCart(getCartItemId(item));
+    if (result.success) {
+      showSuccess(result.message);
+    } else {
+      showWarning(result.message);
+    }
+  };
+
+  const handleRemove = () => {
+    const result = removeFromWishlist(getCartItemId(item));
+    showSuccess(result.message);
+  };
+
+  return (
+    <motion.li
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: -20 }}
+      transition={{ duration: 0.2 }}
+      className="flex items-center gap-4 rounded-lg p-4"
+      style={{ backgroundColor: cardBg }}
+    >
+      <img
+        src={item.image}
+        alt={item.name}
+        className="h-20 w-20 shrink-0 rounded-md object-cover"
+        loading="lazy"
+      />
+
+      <div className="grow min-w-0">
+        <h2 className="font-medium truncate" style={{ color: textColor }} title={item.name}>
+          {item.name}
+        </h2>
+        {item.variantLabel && (
+          <p className="text-xs truncate" style={{ color: subtextColor }}>
+            {item.variantLabel}
+          </p>
+        )}
+        <p className="text-sm" style={{ color: subtextColor }}>
+          {formatPrice(price)}
+          {item.quantity > 1 && ` · Qty ${item.quantity}`}
+        </p>
+        {isOutOfStock ? (
+          <p className="text-xs mt-1" style={{ color: darkMode ? '#f87171' : '#dc2626' }}>
+            Out of stock
+          </p>
+        ) : (
+          availableStock < item.quantity && (
+            <p className="text-xs mt-1" style={{ color: subtextColor }}>
+              Only {availableStock} left in stock
+            </p>
+          )
+        )}
+      </div>
+
+      <div className="flex flex-col items-end gap-2 shrink-0">
+        <button
+          onClick={handleMoveToCart}
+          disabled={isOutOfStock}
+          className="flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-md transition-all hover:opacity-90 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{
+            backgroundColor: primaryColor,
+            color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+          }}
+          aria-label={`Move ${item.name} to cart`}
+        >
+          <FiShoppingCart className="h-4 w-4" aria-hidden="true" />
+          Move to cart
+        </button>
+        <button
+          onClick={handleRemove}
+          className="flex items-center gap-1 text-xs cursor-pointer transition-colors hover:opacity-80"
+          style={{ color: darkMode ? '#ff0000' : '#dc2626' }}
+          aria-label={`Remove ${item.name} from wishlist`}
+        >
+          <FiTrash2 className="h-3 w-3" aria-hidden="true" />
+          Remove
+        </button>
+      </div>
+    </motion.li>
+  );
+}
+
+/**
+ * WishlistPage - Saved-for-later products page component
+ *
+ * Lists the products the shopper has saved, with actions to move
+ * each one into the cart or remove it.
+ */
+function WishlistPage() {
+  const { darkMode, COLORS } = useTheme();
+  const { wishlistItems, wishlistCount } = useWishlist();
+
+  // Styles
+  const textColor = darkMode ? COLORS.dark.text : COLORS.light.text;
+  const subtextColor = darkMode ? 'rgba(224, 224, 224, 0.7)' : 'rgba(51, 51, 51, 0.7)';
+  const primaryColor = darkMode ? COLORS.dark.primary : COLORS.light.primary;
+  const cardBg = darkMode ? COLORS.dark.secondary : COLORS.light.background;
+
+  return (
+    <main
+      className="min-h-screen py-8"
+      style={{
+        background: darkMode ? COLORS.dark.backgroundGradient : COLORS.light.backgroundGradient,
+      }}
+    >
+      <div className="max-w-4xl mx-auto px-3 sm:px-4">
+        {/* Page Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+          className="mb-8"
+        >
+          <Link
+            to={ROUTES.HOME}
+            className="inline-flex items-center text-sm font-medium mb-4 hover:opacity-80 transition-opacity cursor-pointer"
+            style={{ color: primaryColor }}
+          >
+            <FiArrowLeft className="mr-2 h-4 w-4" />
+            Back to Home
+          </Link>
+
+          <h1
+            className="text-3xl font-bold"
+            style={{
+              color: textColor,
+              fontFamily: "'Metropolis', sans-serif",
+            }}
+          >
+            My Wishlist
+          </h1>
+          {wishlistCount > 0 && (
+            <p className="mt-1 text-sm" style={{ color: subtextColor }}>
+              {wishlistCount} {wishlistCount === 1 ? 'item' : 'items'} saved
+            </p>
+          )}
+        </motion.div>
+
+        {/* Content */}
+        {wishlistCount === 0 ? (
+          /* Empty Wishlist */
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="text-center py-16 rounded-lg"
+            style={{ backgroundColor: cardBg }}
+          >
+            <FiHeart
+              className="mx-auto h-16 w-16 mb-6"
+              style={{
+                color: darkMode ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)',
+              }}
+            />
+            <h2 className="text-xl font-bold mb-2" style={{ color: textColor }}>
+              Your wishlist is empty
+            </h2>
+            <p className="mb-8" style={{ color: subtextColor }}>
+              Tap the heart on a product to save it for later.
+            </p>
+            <Link
+              to={ROUTES.PRODUCTS}
+              className="inline-block px-6 py-3 font-medium rounded-md transition-all hover:scale-105 active:scale-95"
+              style={{
+                backgroundColor: primaryColor,
+                color: darkMode ? COLORS.dark.modalBackground : COLORS.light.background,
+                boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+              }}
+            >
+              Start Shopping
+            </Link>
+          </motion.div>
+        ) : (
+          <ul className="space-y-4" aria-label="Saved items">
+            <AnimatePresence>
+              {wishlistItems.map((item) => (
+                <WishlistRow key={getCartItemId(item)} item={item} />
+              ))}
+            </AnimatePresence>
+          </ul>
+        )}
+      </div>
+    </main>
+  );
+}
+
+export default WishlistPage;
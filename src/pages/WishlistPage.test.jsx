@@ -0,0 +1,90 @@
+// WishlistPage component tests
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { screen } from '@testing-library/react';
+import WishlistPage from './WishlistPage';
+import { render, mockProduct } from '../testing/test-utils';
+import { useCart } from '../context/CartContext';
+import { resetInventory, reserveStock } from '../services/inventory';
+import { STORAGE_KEYS } from '../constants';
+
+// Mock framer-motion to avoid animation issues
+vi.mock('framer-motion', async () => {
+  const actual = await vi.importActual('framer-motion');
+  return {
+    ...actual,
+    AnimatePresence: ({ children }) => children,
+    motion: {
+      div: ({ children, ...props }) => <div {...props}>{children}</div>,
+      li: ({ children, layout: _layout, ...props }) => <li {...props}>{children}</li>,
+    },
+  };
+});
+
+// Shows the cart quantity so moves can be checked
+function CartQuantity({ productId }) {
+  const { getItemQuantity } = useCart();
+  return <p data-testid="cart-quantity">{getItemQuantity(productId)}</p>;
+}
+
+const saveToWishlist = (items) =>
+  localStorage.setItem(STORAGE_KEYS.WISHLIST, JSON.stringify(items));
+
+describe('WishlistPage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    resetInventory();
+  });
+
+  it('shows the empty state when nothing is saved', () => {
+    render(<WishlistPage />);
+
+    expect(screen.getByRole('heading', { name: /my wishlist/i })).toBeInTheDocument();
+    expect(screen.getByText(/your wishlist is empty/i)).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /start shopping/i })).toHaveAttribute(
+      'href',
+      '/products'
+    );
+  });
+
+  it('lists saved items', () => {
+    saveToWishlist([{ ...mockProduct, quantity: 2 }]);
+    render(<WishlistPage />);
+
+    expect(screen.getByText('1 item saved')).toBeInTheDocument();
+    expect(screen.getByText('Test Product')).toBeInTheDocument();
+    expect(screen.getByText('$99.99 · Qty 2')).toBeInTheDocument();
+  });
+
+  it('moves an item to the cart', async () => {
+    saveToWishlist([{ ...mockProduct, quantity: 2 }]);
+    const { user } = render(
+      <>
+        <WishlistPage />
+        <CartQuantity productId={mockProduct.id} />
+      </>
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Move Test Product to cart' }));
+
+    expect(screen.getByTestId('cart-quantity')).toHaveTextContent('2');
+    expect(screen.getByText(/your wishlist is empty/i)).toBeInTheDocument();
+  });
+
+  it('removes an item', async () => {
+    saveToWishlist([{ ...mockProduct, quantity: 1 }]);
+    const { user } = render(<WishlistPage />);
+
+    await user.click(screen.getByRole('button', { name: 'Remove Test Product from wishlist' }));
+
+    expect(screen.getByText(/your wishlist is empty/i)).toBeInTheDocument();
+  });
+
+  it('disables moving out-of-stock items', () => {
+    saveToWishlist([{ ...mockProduct, quantity: 1 }]);
+    reserveStock([{ ...mockProduct, quantity: 3 }]);
+    render(<WishlistPage />);
+
+    expect(screen.getByText('Out of stock')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Move Test Product to cart' })).toBeDisabled();
+  });
+});
@@ -2,7 +2,13 @@
 export { default as LandingPage } from './LandingPage';
 export { default as HomePage } from './HomePage';
 export { default as ProductsPage } from './ProductsPage';
+export { default as ProductDetailPage } from './ProductDetailPage';
 export { default as OffersPage } from './OffersPage';
 export { default as CartPage } from './CartPage';
 export { default as ProfilePage } from './ProfilePage';
+export { default as OrdersPage } from './OrdersPage';
+export { default as OrderDetailPage } from './OrderDetailPage';
+export { default as WishlistPage } from './WishlistPage';
+export { default as ComparePage } from './ComparePage';
+export { default as AdminCatalogPage } from './AdminCatalogPage';
 export { default as NotFoundPage } from './NotFoundPage';
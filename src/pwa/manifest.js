@@ -0,0 +1,47 @@
+/**
+ * Web App Manifest
+ *
+ * Builds the manifest that makes the app installable, from the brand
+ * names the logo shows and the light theme colors. The build emits it
+ * as `manifest.webmanifest` (see `vite.config.js`).
+ */
+
+import { BRAND, ROUTES } from '../constants';
+import { COLORS } from '../data/colors';
+
+/**
+ * Logo image served from `public/`, used as the app icon
+ */
+export const LOGO_ICON = {
+  src: 'logo.png',
+  sizes: '1200x1200',
+  type: 'image/png',
+};
+
+/**
+ * Build the web app manifest
+ * @param {Object} [options] - Options
+ * @param {string} [options.base='/'] - Public base path the app is served from
+ * @returns {Object} Manifest, ready to serialize as JSON
+ */
+export function buildWebManifest(options = {}) {
+  const { base = '/' } = options;
+
+  return {
+    name: BRAND.FULL_NAME,
+    short_name: BRAND.NAME,
+    description: BRAND.DESCRIPTION,
+    id: base,
+    // Routes live in the hash (see HashRouter in App.jsx)
+    start_url: `${base}#${ROUTES.HOME}`,
+    scope: base,
+    display: 'standalone',
+    orientation: 'portrait-primary',
+    theme_color: COLORS.light.primary,
+    background_color: COLORS.light.background,
+    categories: ['shopping'],
+    icons: [{ ...LOGO_ICON, src: `${base}${LOGO_ICON.src}`, purpose: 'any' }],
+  };
+}
+
+export default buildWebManifest;
@@ -0,0 +1,27 @@
+/**
+ * Tests for the web app manifest
+ */
+import { describe, it, expect } from 'vitest';
+import { buildWebManifest } from './manifest';
+import { BRAND } from '../constants';
+import { COLORS } from '../data/colors';
+
+describe('buildWebManifest', () => {
+  it('uses the brand names and theme colors', () => {
+    expect(buildWebManifest()).toMatchObject({
+      name: BRAND.FULL_NAME,
+      short_name: BRAND.NAME,
+      display: 'standalone',
+      theme_color: COLORS.light.primary,
+      background_color: COLORS.light.background,
+    });
+  });
+
+  it('resolves the start URL and icons against the base path', () => {
+    const manifest = buildWebManifest({ base: '/mart/' });
+
+    expect(manifest.start_url).toBe('/mart/#/home');
+    expect(manifest.scope).toBe('/mart/');
+    expect(manifest.icons).toEqual([expect.objectContaining({ src: '/mart/logo.png' })]);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Service Worker Registration
+ *
+ * Registers the service worker the production build emits as `sw.js`
+ * (see `./serviceWorker.js`). The development server has none.
+ */
+
+import { createLogger } from '../utils/logger';
+
+// Create logger for service worker registration
+const log = createLogger('ServiceWorker');
+
+/**
+ * Register the service worker
+ * Failing to register leaves the app working online, so errors are
+ * logged rather than thrown.
+ *
+ * @param {Object} [options] - Options
+ * @param {string} [options.base='/'] - Public base path the app is served from
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when unsupported or failed
+ */
+export async function registerServiceWorker(options = {}) {
+  const { base = '/' } = options;
+
+  if (!('serviceWorker' in navigator)) {
+    log.info('Service workers are not supported');
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(`${base}sw.js`, { scope: base });
+    log.info('Service worker registered', { scope: registration.scope });
+    return registration;
+  } catch (error) {
+    log.warn('Service worker registration failed', { error });
+    return null;
+  }
+}
+
+export default registerServiceWorker;
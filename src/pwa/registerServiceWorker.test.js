@@ -0,0 +1,34 @@
+/**
+ * Tests for service worker registration
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { registerServiceWorker } from './registerServiceWorker';
+
+describe('registerServiceWorker', () => {
+  afterEach(() => {
+    delete navigator.serviceWorker;
+  });
+
+  const mockServiceWorker = (register) => {
+    Object.defineProperty(navigator, 'serviceWorker', { value: { register }, configurable: true });
+  };
+
+  it('registers sw.js under the base path', async () => {
+    const registration = { scope: 'https://shop.test/mart/' };
+    const register = vi.fn().mockResolvedValue(registration);
+    mockServiceWorker(register);
+
+    await expect(registerServiceWorker({ base: '/mart/' })).resolves.toBe(registration);
+    expect(register).toHaveBeenCalledWith('/mart/sw.js', { scope: '/mart/' });
+  });
+
+  it('resolves to null when registration fails', async () => {
+    mockServiceWorker(vi.fn().mockRejectedValue(new Error('Insecure context')));
+
+    await expect(registerServiceWorker()).resolves.toBeNull();
+  });
+
+  it('resolves to null without service worker support', async () => {
+    await expect(registerServiceWorker()).resolves.toBeNull();
+  });
+});
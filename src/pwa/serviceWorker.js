@@ -0,0 +1,136 @@
+/**
+ * Service Worker
+ *
+ * Keeps the app usable on patchy connections:
+ * - Precaches the build output, so the app shell loads offline
+ * - Caches product images as they are shown, up to `MAX_IMAGE_ENTRIES`
+ * - Serves `offline.html` for pages that can't load and aren't cached
+ *
+ * This file is not bundled with the app: the build copies it to `sw.js`,
+ * filling in the files to precache and a cache version that changes
+ * with them (see `vite.config.js`). Old precaches are dropped once a new
+ * version activates.
+ */
+
+// Filled in by the build
+const PRECACHE_URLS = self.__PRECACHE_URLS__;
+const CACHE_VERSION = self.__CACHE_VERSION__;
+
+const PRECACHE_PREFIX = 'mart-precache-';
+const PRECACHE = `${PRECACHE_PREFIX}${CACHE_VERSION}`;
+const IMAGE_CACHE = 'mart-images';
+
+// Product images kept for offline browsing, oldest dropped first
+const MAX_IMAGE_ENTRIES = 120;
+
+// Hosts product images are served from
+const IMAGE_HOSTS = ['images.unsplash.com'];
+
+// Scope the worker was registered with, ending in a slash
+const { scope } = self.registration;
+
+const APP_SHELL_URL = new URL('index.html', scope).href;
+const OFFLINE_URL = new URL('offline.html', scope).href;
+
+/**
+ * Whether a request is for a product image
+ * @param {Request} request - Request
+ * @returns {boolean}
+ */
+const isImageRequest = (request) =>
+  request.destination === 'image' || IMAGE_HOSTS.includes(new URL(request.url).hostname);
+
+/**
+ * Drop the oldest entries of a cache beyond a limit
+ * @param {string} cacheName - Cache name
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise<void>}
+ */
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, keys.length - maxEntries).map((key) => cache.delete(key)));
+}
+
+/**
+ * Load a page from the network, falling back to the cached app shell
+ * (which routes in the browser), then to the offline page
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cached = (await caches.match(APP_SHELL_URL)) ?? (await caches.match(OFFLINE_URL));
+    return cached ?? Response.error();
+  }
+}
+
+/**
+ * Serve an image from the cache, or load and cache it
+ * Cross-origin images come back opaque; they are cached all the same.
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>}
+ */
+async function handleImage(request) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(IMAGE_CACHE);
+    await cache.put(request, response.clone());
+    trimCache(IMAGE_CACHE, MAX_IMAGE_ENTRIES);
+  }
+  return response;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(PRECACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (isImageRequest(request)) {
+    event.respondWith(handleImage(request));
+    return;
+  }
+
+  // Precached build output never changes under the same name
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin && PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(caches.match(request).then((cached) => cached ?? fetch(request)));
+  }
+});
@@ -2,13 +2,66 @@
  * API Service Layer
  *
  * Provides an abstraction layer for data operations.
- * Currently uses local data but can be easily swapped
- * for real API calls in production.
+ * Catalog reads (products, categories, shipping options) go through
+ * the configured transport (see `./transport`), with local catalog
+ * edits layered over the products (see `./catalog`); coupons, orders,
+ * reviews and the profile still live in local data and storage. Cart
+ * and profile saves made offline are queued (see `./offlineQueue`) and
+ * sent by `offlineApi.replay` once back online.
  */
 
-import { products, shippingOptions, categories } from '../data/products';
-import { CATEGORIES, GRID } from '../constants';
-import { validateProduct, validateCart, validateProfile } from '../utils/validation';
+import { coupons } from '../data/coupons';
+import {
+  API_ENDPOINTS,
+  CATALOG_FILE_FORMATS,
+  CATEGORIES,
+  CATEGORY_DISPLAY_NAMES,
+  GRID,
+  OFFLINE_CHANGE_TYPES,
+  ORDER_STATUSES,
+  ORDER_STATUS_LABELS,
+  REVIEW_SORT_OPTIONS,
+} from '../constants';
+import {
+  validateProduct,
+  validateCart,
+  validateProfile,
+  validateReview,
+} from '../utils/validation';
+import { sanitizeProduct, sanitizeReview } from '../utils/sanitize';
+import {
+  buildImportedCatalog,
+  diffCatalog,
+  exportCatalog,
+  parseCatalogFile,
+} from '../utils/catalogTransfer';
+import { sortReviews, summarizeRatings } from '../utils/reviews';
+import { searchProducts } from '../utils/search';
+import { applyCoupon, describeCoupon, findCoupon } from '../utils/promotions';
+import { createLogger } from '../utils/logger';
+import { generateId, getCartItemId } from '../utils/id';
+import { getAvailableStock, getStockErrors, releaseStock, reserveStock } from './inventory';
+import { getTransport, isNotFoundError } from './transport';
+import { buildOrderRecord, getOrders, saveOrder } from './orders';
+import { addReview, getReviews } from './reviews';
+import { recordPurchase, recommendProducts } from './recommendations';
+import {
+  applyLocalCatalog,
+  applyLocalCategories,
+  deleteLocalProduct,
+  getCategoryNames,
+  getLocalProduct,
+  getNextProductId,
+  importLocalCatalog,
+  resetLocalCatalog,
+  setLocalProduct,
+} from './catalog';
+import { clearProductsCache } from './productsApi';
+import { isOnline } from './connectivity';
+import { getQueuedChanges, queueChange, replayQueuedChanges } from './offlineQueue';
+
+// Create logger for the API layer
+const log = createLogger('API');
 
 /**
  * Simulate network delay for realistic async behavior
@@ -17,6 +70,34 @@ import { validateProduct, validateCart, validateProfile } from '../utils/validat
  */
 const simulateDelay = (ms = 100) => new Promise((resolve) => setTimeout(resolve, ms));
 
+/**
+ * Read a catalog resource through the active transport
+ * @param {string} path - Resource path (see `API_ENDPOINTS`)
+ * @returns {Promise<*>}
+ */
+const fetchResource = (path) => getTransport().request(path);
+
+/**
+ * Read the product catalog with local catalog edits applied
+ * @returns {Promise<Array>}
+ */
+const fetchCatalog = async () => applyLocalCatalog(await fetchResource(API_ENDPOINTS.PRODUCTS));
+
+/**
+ * Read the category list with imported categories added
+ * @returns {Promise<string[]>}
+ */
+const fetchCategories = async () =>
+  applyLocalCategories(await fetchResource(API_ENDPOINTS.CATEGORIES));
+
+/**
+ * Validate a product against the shop's current categories
+ * @param {Object} product - Product to validate
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+const validateCatalogProduct = (product) =>
+  validateProduct(product, { categories: Object.keys(getCategoryNames()) });
+
 /**
  * Simulate API error for testing
  * @param {number} [probability=0] - Probability of error (0-1)
@@ -39,13 +120,14 @@ export const productsApi = {
    * @param {number} [options.limit=24] - Items per page
    * @param {string} [options.category] - Filter by category
    * @param {boolean} [options.onSale] - Filter by sale status
-   * @param {string} [options.search] - Search term
-   * @param {string} [options.sortBy='name'] - Sort field
+   * @param {string} [options.search] - Search term (typo tolerant, see `utils/search`)
+   * @param {string} [options.sortBy] - Sort field (defaults to name, or to
+   *   relevance when searching)
    * @param {string} [options.sortOrder='asc'] - Sort order
    * @returns {Promise<{ data: Array, total: number, page: number, totalPages: number }>}
    */
   async getAll(options = {}) {
-    await simulateDelay();
+    const products = await fetchCatalog();
     maybeThrowError(0);
 
     const {
@@ -54,11 +136,16 @@ export const productsApi = {
       category,
       onSale,
       search,
-      sortBy = 'name',
+      sortBy,
       sortOrder = 'asc',
     } = options;
+    const isSearching = Boolean(search?.trim());
+    const sortField = sortBy ?? (isSearching ? null : 'name');
 
-    let filtered = [...products];
+    // Search first: matches come back most relevant first
+    let filtered = isSearching
+      ? searchProducts(products, search).map(({ item }) => item)
+      : [...products];
 
     // Apply category filter
     if (category && category !== CATEGORIES.ALL) {
@@ -70,33 +157,24 @@ export const productsApi = {
       filtered = filtered.filter((p) => p.onSale === onSale);
     }
 
-    // Apply search filter
-    if (search && search.trim()) {
-      const searchLower = search.toLowerCase().trim();
-      filtered = filtered.filter(
-        (p) =>
-          p.name.toLowerCase().includes(searchLower) ||
-          p.description.toLowerCase().includes(searchLower) ||
-          p.category.toLowerCase().includes(searchLower)
-      );
-    }
-
-    // Apply sorting
-    filtered.sort((a, b) => {
-      let aVal = a[sortBy];
-      let bVal = b[sortBy];
+    // Apply sorting (unsorted searches stay in relevance order)
+    if (sortField) {
+      filtered.sort((a, b) => {
+        let aVal = a[sortField];
+        let bVal = b[sortField];
 
-      // Handle string comparison
-      if (typeof aVal === 'string') {
-        aVal = aVal.toLowerCase();
-        bVal = bVal.toLowerCase();
-      }
+        // Handle string comparison
+        if (typeof aVal === 'string') {
+          aVal = aVal.toLowerCase();
+          bVal = bVal.toLowerCase();
+        }
 
-      if (sortOrder === 'asc') {
-        return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-      }
-      return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
-    });
+        if (sortOrder === 'asc') {
+          return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
+        }
+        return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
+      });
+    }
 
     // Calculate pagination
     const total = filtered.length;
@@ -121,11 +199,19 @@ export const productsApi = {
    * @returns {Promise<Object|null>}
    */
   async getById(id) {
-    await simulateDelay();
-    maybeThrowError(0);
+    const localProduct = getLocalProduct(id);
+    if (localProduct !== undefined) {
+      return localProduct;
+    }
 
-    const product = products.find((p) => p.id === Number(id));
-    return product || null;
+    try {
+      return await fetchResource(`${API_ENDPOINTS.PRODUCTS}/${id}`);
+    } catch (error) {
+      if (isNotFoundError(error)) {
+        return null;
+      }
+      throw error;
+    }
   },
 
   /**
@@ -164,18 +250,14 @@ export const productsApi = {
    * @returns {Promise<Array>}
    */
   async getRelated(productId, limit = 4) {
-    await simulateDelay();
+    const products = await fetchCatalog();
     maybeThrowError(0);
 
     const product = products.find((p) => p.id === Number(productId));
     if (!product) return [];
 
-    // Get products in the same category, excluding the current product
-    const related = products
-      .filter((p) => p.category === product.category && p.id !== product.id)
-      .slice(0, limit);
-
-    return related;
+    // Products bought or viewed with this one, then the rest of its category
+    return recommendProducts(products, [product.id], { limit });
   },
 
   /**
@@ -185,7 +267,7 @@ export const productsApi = {
    */
   async validate(product) {
     await simulateDelay(50);
-    return validateProduct(product);
+    return validateCatalogProduct(product);
   },
 };
 
@@ -197,9 +279,8 @@ export const categoriesApi = {
    * Get all categories
    * @returns {Promise<string[]>}
    */
-  async getAll() {
-    await simulateDelay();
-    return categories;
+  getAll() {
+    return fetchCategories();
   },
 
   /**
@@ -207,7 +288,7 @@ export const categoriesApi = {
    * @returns {Promise<Array<{ name: string, count: number }>>}
    */
   async getWithCounts() {
-    await simulateDelay();
+    const [categories, products] = await Promise.all([fetchCategories(), fetchCatalog()]);
 
     const counts = {};
     products.forEach((p) => {
@@ -229,9 +310,8 @@ export const shippingApi = {
    * Get all shipping options
    * @returns {Promise<Array>}
    */
-  async getOptions() {
-    await simulateDelay();
-    return shippingOptions;
+  getOptions() {
+    return fetchResource(API_ENDPOINTS.SHIPPING_OPTIONS);
   },
 
   /**
@@ -240,7 +320,7 @@ export const shippingApi = {
    * @returns {Promise<Object|null>}
    */
   async getById(id) {
-    await simulateDelay();
+    const shippingOptions = await fetchResource(API_ENDPOINTS.SHIPPING_OPTIONS);
     return shippingOptions.find((opt) => opt.id === id) || null;
   },
 
@@ -251,7 +331,7 @@ export const shippingApi = {
    * @returns {Promise<{ cost: number, estimatedDelivery: string }>}
    */
   async calculateCost(shippingId, _cartItems) {
-    await simulateDelay();
+    const shippingOptions = await fetchResource(API_ENDPOINTS.SHIPPING_OPTIONS);
     maybeThrowError(0);
 
     const option = shippingOptions.find((opt) => opt.id === shippingId);
@@ -267,10 +347,69 @@ export const shippingApi = {
   },
 };
 
+/**
+ * Save the cart
+ * @param {Array} items - Cart items
+ * @returns {Promise<{ success: boolean, message: string, errors?: string[] }>}
+ */
+async function saveCart(items) {
+  await simulateDelay();
+  maybeThrowError(0);
+
+  const validation = validateCart(items);
+  if (!validation.valid) {
+    return { success: false, message: 'Cart validation failed', errors: validation.errors };
+  }
+
+  // In a real app, this would save to a database/API
+  return { success: true, message: 'Cart saved' };
+}
+
+/**
+ * Save the user profile
+ * @param {Object} profileData - Profile data, already validated
+ * @returns {Promise<{ success: boolean, message: string }>}
+ */
+async function saveProfile(profileData) {
+  await simulateDelay(200);
+  maybeThrowError(0);
+
+  // In a real app, this would save `profileData` to a database/API
+  log.debug('Profile saved', { email: profileData.email });
+  return { success: true, message: 'Profile saved successfully' };
+}
+
+/**
+ * Senders of the changes queued while offline, by change type
+ */
+const offlineChangeHandlers = {
+  [OFFLINE_CHANGE_TYPES.CART]: saveCart,
+  [OFFLINE_CHANGE_TYPES.PROFILE]: saveProfile,
+};
+
 /**
  * Cart API
  */
 export const cartApi = {
+  /**
+   * Save the cart
+   * While offline the cart is queued and saved once back online.
+   * @param {Array} items - Cart items to save
+   * @returns {Promise<{ success: boolean, message: string, queued?: boolean, errors?: string[] }>}
+   */
+  save(items) {
+    if (!isOnline()) {
+      queueChange(OFFLINE_CHANGE_TYPES.CART, items);
+      return Promise.resolve({
+        success: true,
+        queued: true,
+        message: 'Cart will be saved when you are back online',
+      });
+    }
+
+    return saveCart(items);
+  },
+
   /**
    * Validate cart
    * @param {Array} items - Cart items to validate
@@ -282,20 +421,22 @@ export const cartApi = {
   },
 
   /**
-   * Check stock availability for cart items
-   * @param {Array} _cartItems - Cart items to check
-   * @returns {Promise<Array<{ id: number, available: boolean, maxQuantity: number }>>}
+   * Check stock availability for cart items against the inventory store
+   * Lines for a product variant are checked against that variant's stock.
+   * @param {Array} cartItems - Cart items to check
+   * @returns {Promise<Array<{ id: number, cartItemId: string, variantId?: string, available: boolean, maxQuantity: number, requestedQuantity: number }>>}
    */
-  async checkStock(_cartItems) {
+  async checkStock(cartItems) {
     await simulateDelay();
     maybeThrowError(0);
 
-    return _cartItems.map((item) => {
-      const product = products.find((p) => p.id === item.id);
-      const stock = product?.stock ?? 10;
+    return cartItems.map((item) => {
+      const stock = getAvailableStock(item.id, item.stock, item.variantId);
 
       return {
         id: item.id,
+        cartItemId: getCartItemId(item),
+        ...(item.variantId && { variantId: item.variantId }),
         available: item.quantity <= stock,
         maxQuantity: stock,
         requestedQuantity: item.quantity,
@@ -304,6 +445,91 @@ export const cartApi = {
   },
 };
 
+/**
+ * Coupons API
+ */
+export const couponsApi = {
+  /**
+   * Validate a promo code against the current cart
+   * @param {string} code - Code entered by the shopper (any case)
+   * @param {Object} [cart] - Cart to check the code against
+   * @param {Array} [cart.items=[]] - Cart items
+   * @param {number} [cart.shippingCost=0] - Selected shipping cost
+   * @returns {Promise<{ valid: boolean, coupon: Object|null, message: string, shortfall?: number|null, discounts: Array<Object>, discountTotal: number }>}
+   *   `shortfall` is set when the cart is below the code's minimum spend.
+   */
+  async validate(code, cart = {}) {
+    await simulateDelay();
+    maybeThrowError(0);
+
+    if (!code || !code.trim()) {
+      return {
+        valid: false,
+        coupon: null,
+        message: 'Enter a promo code',
+        discounts: [],
+        discountTotal: 0,
+      };
+    }
+
+    const coupon = findCoupon(coupons, code);
+    const result = applyCoupon(coupon, cart);
+
+    if (!result.eligible) {
+      log.debug('Promo code rejected', { code, reason: result.reason });
+      return {
+        valid: false,
+        coupon: null,
+        message: result.reason,
+        shortfall: result.shortfall,
+        discounts: [],
+        discountTotal: 0,
+      };
+    }
+
+    return {
+      valid: true,
+      coupon,
+      message: `${coupon.code} applied: ${describeCoupon(coupon)}`,
+      discounts: result.discounts,
+      discountTotal: result.discountTotal,
+    };
+  },
+};
+
+/**
+ * Simulated fulfilment schedule - how long after placement
+ * an order reaches each status. Replaced by real tracking data
+ * once orders come from a backend.
+ */
+const ORDER_STATUS_SCHEDULE = [
+  { status: ORDER_STATUSES.PLACED, afterMs: 0 },
+  { status: ORDER_STATUSES.PROCESSING, afterMs: 60 * 60 * 1000 },
+  { status: ORDER_STATUSES.SHIPPED, afterMs: 24 * 60 * 60 * 1000 },
+  { status: ORDER_STATUSES.DELIVERED, afterMs: 3 * 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * Add derived status and timeline to a stored order
+ * @param {Object} order - Stored order record
+ * @param {number} [now=Date.now()] - Reference time
+ * @returns {Object} Order with `status` and `timeline`
+ */
+function withStatusTimeline(order, now = Date.now()) {
+  const placedAt = Date.parse(order.createdAt);
+
+  const timeline = ORDER_STATUS_SCHEDULE.map(({ status, afterMs }) => ({
+    status,
+    label: ORDER_STATUS_LABELS[status],
+    at: new Date(placedAt + afterMs).toISOString(),
+    completed: now >= placedAt + afterMs,
+  }));
+
+  const current = timeline.filter((step) => step.completed).pop() || timeline[0];
+
+  return { ...order, status: current.status, timeline };
+}
+
 /**
  * Orders API
  */
@@ -313,8 +539,16 @@ export const ordersApi = {
    * @param {Object} orderData - Order data
    * @param {Array} orderData.items - Cart items
    * @param {Object} orderData.shipping - Shipping info
-   * @param {Object} orderData.customer - Customer info
-   * @returns {Promise<{ success: boolean, orderId: string, message: string }>}
+   * @param {Object} orderData.customer - Customer profile
+   * @param {Object} [orderData.shippingAddress] - Delivery address
+   * @param {Object} [orderData.totals] - Order totals
+   * @param {Object} [orderData.paymentInfo] - Masked payment details
+   * @param {Object} [orderData.coupon] - Applied promo code, kept on the order
+   * @param {Object} [orderData.currency] - Display currency the order is placed in
+   * @returns {Promise<{ success: boolean, orderId: string, message: string, order?: Object, lineErrors?: Array<Object> }>}
+   *   On stock failures `lineErrors` holds one entry per affected line with
+   *   `id`, `name`, `code` (see STOCK_ERROR_CODES), `requestedQuantity`,
+   *   `availableQuantity` and a display `message`.
    */
   async create(orderData) {
     await simulateDelay(300);
@@ -333,18 +567,23 @@ export const ordersApi = {
       };
     }
 
-    // Check stock
+    // Check stock, then take it. reserveStock re-checks so a change
+    // between the two calls cannot oversell.
     const stockCheck = await cartApi.checkStock(items);
-    const outOfStock = stockCheck.filter((item) => !item.available);
-    if (outOfStock.length > 0) {
+    const reservation = stockCheck.every((line) => line.available)
+      ? reserveStock(items)
+      : { success: false, lineErrors: getStockErrors(items) };
+
+    if (!reservation.success) {
       return {
         success: false,
         orderId: null,
         message: 'Some items are out of stock',
-        errors: outOfStock.map(
-          (item) =>
-            `Product ${item.id}: Requested ${item.requestedQuantity}, available ${item.maxQuantity}`
+        errors: reservation.lineErrors.map(
+          (line) =>
+            `Product ${line.id}: Requested ${line.requestedQuantity}, available ${line.availableQuantity}`
         ),
+        lineErrors: reservation.lineErrors,
       };
     }
 
@@ -352,56 +591,402 @@ export const ordersApi = {
     const { generateOrderNumber } = await import('../utils/id');
     const orderId = generateOrderNumber();
 
-    // In a real app, this would save to a database
+    const record = buildOrderRecord({ ...orderData, orderNumber: orderId });
+    if (!saveOrder(record)) {
+      releaseStock(items);
+      return {
+        success: false,
+        orderId: null,
+        message: 'Your order could not be saved. Please try again.',
+      };
+    }
+    recordPurchase(items.map((item) => item.id));
+
     return {
       success: true,
       orderId,
       message: 'Order placed successfully',
       estimatedDelivery: shipping?.estimatedDelivery || '3-5 business days',
+      order: withStatusTimeline(record),
     };
   },
 
   /**
-   * Get order by ID (mock implementation)
-   * @param {string} _orderId - Order ID
+   * List placed orders, newest first
+   * @param {Object} [options] - Query options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=10] - Orders per page
+   * @returns {Promise<{ data: Array, total: number, page: number, totalPages: number }>}
+   */
+  async list(options = {}) {
+    await simulateDelay();
+    maybeThrowError(0);
+
+    const { page = 1, limit = 10 } = options;
+    const orders = [...getOrders()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const total = orders.length;
+    const totalPages = Math.ceil(total / limit);
+    const startIndex = (page - 1) * limit;
+    const data = orders
+      .slice(startIndex, startIndex + limit)
+      .map((order) => withStatusTimeline(order));
+
+    return {
+      data,
+      total,
+      page,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    };
+  },
+
+  /**
+   * Get order by ID
+   * @param {string} orderId - Order ID
    * @returns {Promise<Object|null>}
    */
-  async getById(_orderId) {
+  async getById(orderId) {
     await simulateDelay();
-    // In a real app, this would fetch from a database
-    return null;
+
+    const order = getOrders().find((o) => o.id === orderId);
+    return order ? withStatusTimeline(order) : null;
   },
 };
 
 /**
- * Profile API
+ * Check whether any placed order included a product
+ * @param {number|string} productId - Product ID
+ * @returns {boolean}
  */
-export const profileApi = {
+function hasPurchased(productId) {
+  return getOrders().some((order) => order.items?.some((item) => item.id === Number(productId)));
+}
+
+/**
+ * Reviews API
+ *
+ * Reviews are kept by the local reviews store. A review is marked as a
+ * verified purchase when the shopper has placed an order for the product.
+ */
+export const reviewsApi = {
   /**
-   * Save user profile
-   * @param {Object} profileData - Profile data to save
-   * @returns {Promise<{ success: boolean, message: string }>}
+   * List a product's reviews with its rating summary
+   * @param {number|string} productId - Product ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.sortBy='newest'] - A `REVIEW_SORT_OPTIONS` value
+   * @returns {Promise<{ data: Array, summary: Object }>} Sorted reviews and
+   *   `{ average, count, histogram }`
+   */
+  async list(productId, options = {}) {
+    await simulateDelay();
+    maybeThrowError(0);
+
+    const { sortBy = REVIEW_SORT_OPTIONS.NEWEST } = options;
+    const reviews = getReviews(productId);
+
+    return {
+      data: sortReviews(reviews, sortBy),
+      summary: summarizeRatings(reviews),
+    };
+  },
+
+  /**
+   * Check whether the shopper has bought a product (so a review would be verified)
+   * Order history is local, so this resolves without simulated latency.
+   *
+   * @param {number|string} productId - Product ID
+   * @returns {Promise<boolean>}
+   */
+  hasPurchased(productId) {
+    return Promise.resolve(hasPurchased(productId));
+  },
+
+  /**
+   * Submit a review
+   * Input is sanitized, then validated; invalid reviews are not stored.
+   *
+   * @param {number|string} productId - Product ID
+   * @param {Object} reviewData - Form values `{ rating, author, title?, body }`
+   * @returns {Promise<{ success: boolean, message: string, review?: Object, fieldErrors?: Object }>}
    */
-  async save(profileData) {
+  async submit(productId, reviewData) {
     await simulateDelay(200);
     maybeThrowError(0);
 
-    const validation = validateProfile(profileData);
+    const sanitized = sanitizeReview(reviewData);
+    const validation = validateReview(sanitized);
     if (!validation.valid) {
       return {
         success: false,
-        message: 'Profile validation failed',
+        message: 'Please fix the highlighted fields',
+        fieldErrors: validation.fieldErrors,
+      };
+    }
+
+    const review = addReview({
+      id: `review-${generateId()}`,
+      productId: Number(productId),
+      ...sanitized,
+      createdAt: new Date().toISOString(),
+      verified: hasPurchased(productId),
+    });
+
+    // Ratings feed the product listing's rating sort and filter
+    clearProductsCache();
+
+    return { success: true, message: 'Thanks for your review', review };
+  },
+};
+
+/**
+ * MIME types of catalog files
+ */
+const CATALOG_FILE_TYPES = {
+  [CATALOG_FILE_FORMATS.CSV]: 'text/csv',
+  [CATALOG_FILE_FORMATS.JSON]: 'application/json',
+};
+
+/**
+ * Catalog API
+ *
+ * Product edits and imports are kept by the local catalog store and
+ * show up in every catalog read. Input is sanitized, then validated with
+ * `validateProduct`; invalid products are not stored. The catalog can be
+ * exported and imported as CSV or JSON (see `utils/catalogTransfer`).
+ */
+export const catalogApi = {
+  /**
+   * Add a product
+   * The new product gets a new ID; IDs of deleted products are not reused.
+   *
+   * @param {Object} productData - Form values (see `sanitizeProduct`)
+   * @returns {Promise<{ success: boolean, message: string, product?: Object, errors?: string[] }>}
+   */
+  async create(productData) {
+    await simulateDelay(200);
+    maybeThrowError(0);
+
+    const product = {
+      ...sanitizeProduct(productData),
+      id: getNextProductId(await fetchResource(API_ENDPOINTS.PRODUCTS)),
+    };
+
+    const validation = validateCatalogProduct(product);
+    if (!validation.valid) {
+      return {
+        success: false,
+        message: 'Please fix the product details',
+        errors: validation.errors,
+      };
+    }
+
+    setLocalProduct(product);
+
+    return { success: true, message: `${product.name} added to the catalog`, product };
+  },
+
+  /**
+   * Update a product
+   * Fields missing from `changes` keep their current values.
+   *
+   * @param {number|string} productId - Product ID
+   * @param {Object} changes - Form values (see `sanitizeProduct`)
+   * @returns {Promise<{ success: boolean, message: string, product?: Object, errors?: string[] }>}
+   */
+  async update(productId, changes) {
+    await simulateDelay(200);
+    maybeThrowError(0);
+
+    const current = await productsApi.getById(productId);
+    if (!current) {
+      return { success: false, message: 'Product not found' };
+    }
+
+    const product = { ...current, ...sanitizeProduct(changes), id: current.id };
+
+    const validation = validateCatalogProduct(product);
+    if (!validation.valid) {
+      return {
+        success: false,
+        message: 'Please fix the product details',
         errors: validation.errors,
       };
     }
 
-    // In a real app, this would save to a database/API
+    setLocalProduct(product);
+
+    return { success: true, message: `${product.name} updated`, product };
+  },
+
+  /**
+   * Delete a product
+   * @param {number|string} productId - Product ID
+   * @returns {Promise<{ success: boolean, message: string }>}
+   */
+  async remove(productId) {
+    await simulateDelay(200);
+    maybeThrowError(0);
+
+    const current = await productsApi.getById(productId);
+    if (!current) {
+      return { success: false, message: 'Product not found' };
+    }
+
+    deleteLocalProduct(current.id);
+
+    return { success: true, message: `${current.name} removed from the catalog` };
+  },
+
+  /**
+   * Drop every local product edit and go back to the served catalog
+   * @returns {Promise<{ success: boolean, message: string }>}
+   */
+  async reset() {
+    await simulateDelay(200);
+    maybeThrowError(0);
+
+    resetLocalCatalog();
+
+    return { success: true, message: 'Catalog changes discarded' };
+  },
+
+  /**
+   * Export the catalog, local changes included
+   * @param {string} [format='csv'] - One of `CATALOG_FILE_FORMATS`
+   * @returns {Promise<{ success: boolean, message: string, file: { name: string, type: string, content: string } }>}
+   */
+  async exportCatalog(format = CATALOG_FILE_FORMATS.CSV) {
+    await simulateDelay(200);
+    maybeThrowError(0);
+
+    const catalog = await fetchCatalog();
+    const date = new Date().toISOString().slice(0, 10);
+
     return {
       success: true,
-      message: 'Profile saved successfully',
+      message: `Exported ${catalog.length} products`,
+      file: {
+        name: `catalog-${date}.${format}`,
+        type: CATALOG_FILE_TYPES[format],
+        content: exportCatalog(catalog, format, getCategoryNames()),
+      },
     };
   },
 
+  /**
+   * Check an import file and compare it with the catalog
+   * Nothing is stored; pass a successful preview to `applyImport`. An
+   * import replaces the whole catalog, so products missing from the
+   * file are listed as removed.
+   *
+   * @param {string} content - File contents
+   * @param {string} format - One of `CATALOG_FILE_FORMATS`
+   * @returns {Promise<Object>} Preview:
+   *   - success: boolean - Whether the file can be imported
+   *   - message: string - Summary
+   *   - rowErrors: Array<{ row, name, errors }> - Rows that failed validation
+   *   - diff: { added, changed, removed, unchanged } - Changes the import makes
+   *   - products: Array - Imported products
+   *   - categories: Object - Display names of the non-built-in categories used
+   *   - newCategories: string[] - Categories the import adds
+   */
+  async previewImport(content, format) {
+    await simulateDelay(200);
+    maybeThrowError(0);
+
+    const { rows, categoryNames, error } = parseCatalogFile(content, format);
+    if (error) {
+      return { success: false, message: error, rowErrors: [] };
+    }
+    if (rows.length === 0) {
+      return { success: false, message: 'The file has no products', rowErrors: [] };
+    }
+
+    const servedProducts = await fetchResource(API_ENDPOINTS.PRODUCTS);
+    const catalog = applyLocalCatalog(servedProducts);
+    const { products, categories, newCategories, rowErrors } = buildImportedCatalog(
+      rows,
+      getNextProductId(servedProducts),
+      categoryNames,
+      getCategoryNames()
+    );
+
+    if (rowErrors.length > 0) {
+      return {
+        success: false,
+        message: `${rowErrors.length} of ${rows.length} ${rows.length === 1 ? 'row has' : 'rows have'} errors`,
+        rowErrors,
+      };
+    }
+
+    const diff = diffCatalog(catalog, products);
+    const message =
+      diff.added.length + diff.changed.length + diff.removed.length === 0
+        ? 'The file matches the catalog'
+        : `${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`;
+
+    return { success: true, message, rowErrors, diff, products, categories, newCategories };
+  },
+
+  /**
+   * Replace the catalog with a previewed import
+   * @param {Object} preview - Successful result of `previewImport`
+   * @returns {Promise<{ success: boolean, message: string }>}
+   */
+  async applyImport(preview) {
+    await simulateDelay(200);
+    maybeThrowError(0);
+
+    const { products = [], categories = {} } = preview ?? {};
+    const knownCategories = [...Object.keys(CATEGORY_DISPLAY_NAMES), ...Object.keys(categories)];
+    const isValid =
+      products.length > 0 &&
+      products.every((product) => validateProduct(product, { categories: knownCategories }).valid);
+
+    if (!isValid) {
+      return { success: false, message: 'Preview the import again before applying it' };
+    }
+
+    importLocalCatalog(products, await fetchResource(API_ENDPOINTS.PRODUCTS), categories);
+
+    return { success: true, message: `Imported ${products.length} products` };
+  },
+};
+
+/**
+ * Profile API
+ */
+export const profileApi = {
+  /**
+   * Save user profile
+   * While offline a valid profile is queued and saved once back online.
+   * @param {Object} profileData - Profile data to save
+   * @returns {Promise<{ success: boolean, message: string, queued?: boolean, errors?: string[] }>}
+   */
+  save(profileData) {
+    const validation = validateProfile(profileData);
+    if (!validation.valid) {
+      return Promise.resolve({
+        success: false,
+        message: 'Profile validation failed',
+        errors: validation.errors,
+      });
+    }
+
+    if (!isOnline()) {
+      queueChange(OFFLINE_CHANGE_TYPES.PROFILE, profileData);
+      return Promise.resolve({
+        success: true,
+        queued: true,
+        message: 'Profile will be saved when you are back online',
+      });
+    }
+
+    return saveProfile(profileData);
+  },
+
   /**
    * Get user profile (mock implementation)
    * @returns {Promise<Object|null>}
@@ -413,6 +998,27 @@ export const profileApi = {
   },
 };
 
+/**
+ * Offline API
+ */
+export const offlineApi = {
+  /**
+   * Get the cart and profile changes waiting to be saved
+   * @returns {Array<{ id: string, type: string, payload: *, queuedAt: string }>}
+   */
+  getQueued() {
+    return getQueuedChanges();
+  },
+
+  /**
+   * Save the changes queued while offline
+   * @returns {Promise<{ replayed: number, failed: number, remaining: number }>}
+   */
+  replay() {
+    return replayQueuedChanges(offlineChangeHandlers);
+  },
+};
+
 /**
  * Unified API object
  */
@@ -421,8 +1027,12 @@ const api = {
   categories: categoriesApi,
   shipping: shippingApi,
   cart: cartApi,
+  coupons: couponsApi,
   orders: ordersApi,
+  reviews: reviewsApi,
+  catalog: catalogApi,
   profile: profileApi,
+  offline: offlineApi,
 };
 
 export default api;
@@ -2,7 +2,38 @@
  * Tests for API service layer
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { productsApi, categoriesApi, shippingApi, cartApi, ordersApi, profileApi } from './api';
+import {
+  productsApi,
+  categoriesApi,
+  shippingApi,
+  cartApi,
+  couponsApi,
+  ordersApi,
+  reviewsApi,
+  catalogApi,
+  profileApi,
+  offlineApi,
+} from './api';
+import { getAvailableStock, reserveStock } from './inventory';
+import { buildOrderRecord, getOrders, saveOrder } from './orders';
+import {
+  getCategoryNames,
+  getLocalChangeCount,
+  importLocalCatalog,
+  resetLocalCatalog,
+} from './catalog';
+import { clearRecommendations, getRecommendationScores, recordPurchase } from './recommendations';
+import { clearQueuedChanges, getQueuedChanges } from './offlineQueue';
+import {
+  clearProductsCache,
+  fetchCategories,
+  fetchProductById,
+  fetchProducts,
+} from './productsApi';
+import { products as catalog } from '../data/products';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+import { CATEGORY_DISPLAY_NAMES } from '../constants';
+import { parseCSV, toCSV } from '../utils/csv';
 
 describe('API Service', () => {
   beforeEach(() => {
@@ -278,6 +309,21 @@ describe('API Service', () => {
         expect(result.length).toBeLessThanOrEqual(2);
       });
 
+      it('puts products bought with it first', async () => {
+        const lamp = catalog.find((product) => product.category !== catalog[0].category);
+        recordPurchase([1, lamp.id]);
+
+        const promise = productsApi.getRelated(1);
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+        clearRecommendations();
+
+        expect(result[0].id).toBe(lamp.id);
+        expect(result.slice(1).every((product) => product.category === catalog[0].category)).toBe(
+          true
+        );
+      });
+
       it('returns empty array for non-existent product', async () => {
         const promise = productsApi.getRelated(99999);
         vi.advanceTimersByTime(200);
@@ -533,10 +579,152 @@ describe('API Service', () => {
         // Most products should have stock > 1
         expect(result[0].available).toBe(true);
       });
+
+      it('reflects stock taken by placed orders', async () => {
+        const promise = cartApi.checkStock([{ id: 1, quantity: 1 }]);
+        vi.advanceTimersByTime(200);
+        const before = (await promise)[0].maxQuantity;
+
+        reserveStock([{ id: 1, quantity: 1 }]);
+
+        const afterPromise = cartApi.checkStock([{ id: 1, quantity: 1 }]);
+        vi.advanceTimersByTime(200);
+        const [after] = await afterPromise;
+
+        expect(after.maxQuantity).toBe(before - 1);
+      });
+
+      it('checks variant lines against the variant stock', async () => {
+        // Product 14 (Denim Jacket) has 1 in size XL
+        const promise = cartApi.checkStock([{ id: 14, variantId: 'xl', quantity: 2 }]);
+        vi.advanceTimersByTime(200);
+        const [line] = await promise;
+
+        expect(line).toMatchObject({
+          id: 14,
+          variantId: 'xl',
+          cartItemId: 'cart-item-14-xl',
+          available: false,
+          maxQuantity: 1,
+        });
+      });
+    });
+    describe('save', () => {
+      beforeEach(() => {
+        clearQueuedChanges();
+      });
+
+      afterEach(() => {
+        vi.restoreAllMocks();
+      });
+
+      it('saves a valid cart while online', async () => {
+        const promise = cartApi.save([{ ...catalog[0], quantity: 1 }]);
+        vi.advanceTimersByTime(200);
+
+        await expect(promise).resolves.toMatchObject({ success: true, message: 'Cart saved' });
+        expect(getQueuedChanges()).toHaveLength(0);
+      });
+
+      it('queues the cart while offline', async () => {
+        vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        const items = [{ ...catalog[0], quantity: 1 }];
+
+        await expect(cartApi.save(items)).resolves.toMatchObject({ success: true, queued: true });
+        expect(getQueuedChanges()).toEqual([
+          expect.objectContaining({ type: 'cart', payload: items }),
+        ]);
+      });
+    });
+  });
+
+  describe('couponsApi', () => {
+    const items = [
+      { id: 1, name: 'Test Product', price: 40, category: 'electronics', quantity: 1 },
+    ];
+
+    beforeEach(() => {
+      vi.setSystemTime(new Date('2026-06-01T12:00:00Z'));
+    });
+
+    describe('validate', () => {
+      it('accepts a valid code in any case', async () => {
+        const promise = couponsApi.validate(' welcome10 ', { items });
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.valid).toBe(true);
+        expect(result.coupon.code).toBe('WELCOME10');
+        expect(result.discountTotal).toBe(4);
+        expect(result.message).toBe('WELCOME10 applied: 10% off your order');
+      });
+
+      it('rejects an empty code', async () => {
+        const promise = couponsApi.validate('   ', { items });
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.valid).toBe(false);
+        expect(result.message).toBe('Enter a promo code');
+      });
+
+      it('rejects unknown codes', async () => {
+        const promise = couponsApi.validate('NOTACODE', { items });
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.valid).toBe(false);
+        expect(result.coupon).toBeNull();
+        expect(result.message).toBe('Promo code not found');
+      });
+
+      it('rejects expired codes', async () => {
+        const promise = couponsApi.validate('SUMMER25', { items });
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.valid).toBe(false);
+        expect(result.message).toBe('This promo code has expired');
+      });
+
+      it('rejects codes whose minimum spend is not met', async () => {
+        const promise = couponsApi.validate('BIGSPEND', { items });
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.valid).toBe(false);
+        expect(result.message).toBe('Spend $110.00 more to use this code');
+        expect(result.shortfall).toBe(110);
+      });
     });
   });
 
   describe('ordersApi', () => {
+    const validOrderData = {
+      items: [
+        {
+          id: 1,
+          name: 'Test Product',
+          price: 19.99,
+          image: 'https://example.com/image.jpg',
+          description: 'A test product',
+          category: 'electronics',
+          quantity: 1,
+          stock: 10,
+        },
+      ],
+      shipping: {
+        id: 'standard',
+        name: 'Standard Shipping',
+        price: 4.99,
+        estimatedDelivery: '3-5 business days',
+      },
+      customer: {
+        name: 'John Doe',
+        email: 'john@example.com',
+      },
+    };
+
     describe('create', () => {
       it('creates an order successfully', async () => {
         const orderData = {
@@ -571,6 +759,72 @@ describe('API Service', () => {
         expect(result.message).toBe('Order placed successfully');
       });
 
+      it('puts the stock back when the order cannot be saved', async () => {
+        const writeItem = localStorage.setItem.getMockImplementation();
+        localStorage.setItem.mockImplementation((key, value) => {
+          if (key === 'orders') {
+            throw new DOMException('Storage is full', 'QuotaExceededError');
+          }
+          writeItem(key, value);
+        });
+        const before = getAvailableStock(1);
+
+        try {
+          const promise = ordersApi.create(validOrderData);
+          await vi.runAllTimersAsync();
+          const result = await promise;
+
+          expect(result).toEqual({
+            success: false,
+            orderId: null,
+            message: 'Your order could not be saved. Please try again.',
+          });
+          expect(getAvailableStock(1)).toBe(before);
+          expect(getOrders()).toEqual([]);
+        } finally {
+          localStorage.setItem.mockImplementation(writeItem);
+        }
+      });
+
+      it('records the display currency on the order', async () => {
+        const promise = ordersApi.create({
+          ...validOrderData,
+          currency: { code: 'EUR', name: 'Euro', rate: 0.92 },
+        });
+        await vi.runAllTimersAsync();
+        const result = await promise;
+
+        expect(result.order.currency).toEqual({ code: 'EUR', rate: 0.92 });
+      });
+
+      it('records the base currency when none is given', async () => {
+        const promise = ordersApi.create(validOrderData);
+        await vi.runAllTimersAsync();
+        const result = await promise;
+
+        expect(result.order.currency).toEqual({ code: 'USD', rate: 1 });
+      });
+
+      it('records the products ordered together', async () => {
+        const other = catalog.find(
+          (product) => product.category !== catalog[0].category && !product.variants
+        );
+
+        const promise = ordersApi.create({
+          ...validOrderData,
+          items: [
+            { ...catalog[0], quantity: 1 },
+            { ...other, quantity: 2 },
+          ],
+        });
+        await vi.runAllTimersAsync();
+        const result = await promise;
+
+        expect(result.success).toBe(true);
+        expect(getRecommendationScores([catalog[0].id]).has(other.id)).toBe(true);
+        clearRecommendations();
+      });
+
       it('fails with invalid cart items', async () => {
         const orderData = {
           items: [
@@ -655,13 +909,619 @@ describe('API Service', () => {
     });
 
     describe('getById', () => {
-      it('returns null for any order ID (mock implementation)', async () => {
+      it('returns null for an unknown order ID', async () => {
         const promise = ordersApi.getById('ORD-123');
         vi.advanceTimersByTime(200);
         const result = await promise;
 
         expect(result).toBeNull();
       });
+
+      it('returns an order created through create', async () => {
+        const createPromise = ordersApi.create(validOrderData);
+        await vi.runAllTimersAsync();
+        const { orderId } = await createPromise;
+
+        const promise = ordersApi.getById(orderId);
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.orderNumber).toBe(orderId);
+        expect(result.items).toHaveLength(1);
+        expect(result.items[0]).toMatchObject({ id: 1, quantity: 1, lineTotal: 19.99 });
+      });
+    });
+
+    describe('promo codes', () => {
+      it('keeps the applied code and discount on the order', async () => {
+        const promise = ordersApi.create({
+          ...validOrderData,
+          totals: {
+            subtotal: 19.99,
+            shipping: 4.99,
+            discount: 5,
+            discounts: [{ id: 'SAVE5', label: '$5.00 off your order', amount: 5 }],
+            total: 19.98,
+          },
+          coupon: { code: 'SAVE5', type: 'fixed', value: 5 },
+        });
+        await vi.runAllTimersAsync();
+        const result = await promise;
+
+        expect(result.order.coupon).toEqual({ code: 'SAVE5', description: '$5.00 off your order' });
+        expect(result.order.totals.discount).toBe(5);
+        expect(result.order.totals.discounts).toEqual([
+          { id: 'SAVE5', label: '$5.00 off your order', amount: 5 },
+        ]);
+      });
+
+      it('subtracts discounts when no total is given', async () => {
+        const promise = ordersApi.create({
+          ...validOrderData,
+          totals: { discounts: [{ id: 'SAVE5', label: '$5.00 off your order', amount: 5 }] },
+        });
+        await vi.runAllTimersAsync();
+        const result = await promise;
+
+        expect(result.order.coupon).toBeNull();
+        expect(result.order.totals.total).toBeCloseTo(19.99 + 4.99 - 5);
+      });
+    });
+
+    describe('tax', () => {
+      it('keeps the tax breakdown on the order', async () => {
+        const promise = ordersApi.create({
+          ...validOrderData,
+          totals: {
+            tax: 1.6,
+            taxLabel: 'Sales tax',
+            taxInclusive: false,
+            taxLines: [{ rate: 8, taxableAmount: 19.99, tax: 1.6 }],
+          },
+        });
+        await vi.runAllTimersAsync();
+        const result = await promise;
+
+        expect(result.order.totals).toMatchObject({
+          tax: 1.6,
+          taxLabel: 'Sales tax',
+          taxInclusive: false,
+          taxLines: [{ rate: 8, taxableAmount: 19.99, tax: 1.6 }],
+        });
+        expect(result.order.totals.total).toBeCloseTo(19.99 + 4.99 + 1.6);
+      });
+
+      it('does not add tax-inclusive tax to the total', async () => {
+        const promise = ordersApi.create({
+          ...validOrderData,
+          totals: { tax: 3.05, taxLabel: 'GST', taxInclusive: true },
+        });
+        await vi.runAllTimersAsync();
+        const result = await promise;
+
+        expect(result.order.totals.total).toBeCloseTo(19.99 + 4.99);
+      });
+    });
+
+    describe('inventory', () => {
+      it('takes stock for a placed order', async () => {
+        const before = getAvailableStock(1);
+
+        const promise = ordersApi.create(validOrderData);
+        await vi.runAllTimersAsync();
+        await promise;
+
+        expect(getAvailableStock(1)).toBe(before - 1);
+      });
+
+      it('returns structured per-line errors when stock runs out', async () => {
+        const available = getAvailableStock(1);
+        const orderData = {
+          ...validOrderData,
+          items: [{ ...validOrderData.items[0], quantity: available + 1, stock: undefined }],
+        };
+
+        const promise = ordersApi.create(orderData);
+        await vi.runAllTimersAsync();
+        const result = await promise;
+
+        expect(result.success).toBe(false);
+        expect(result.message).toBe('Some items are out of stock');
+        expect(result.lineErrors).toEqual([
+          expect.objectContaining({
+            id: 1,
+            name: 'Test Product',
+            code: 'insufficient_stock',
+            requestedQuantity: available + 1,
+            availableQuantity: available,
+          }),
+        ]);
+        expect(getAvailableStock(1)).toBe(available);
+      });
+
+      it('does not save an order that fails the stock check', async () => {
+        reserveStock([{ id: 1, quantity: getAvailableStock(1) }]);
+
+        const promise = ordersApi.create(validOrderData);
+        await vi.runAllTimersAsync();
+        const result = await promise;
+
+        expect(result.lineErrors[0].code).toBe('out_of_stock');
+        expect(localStorage.getItem('orders')).toBeNull();
+      });
+    });
+
+    describe('persistence', () => {
+      it('stores orders in a versioned store', async () => {
+        const promise = ordersApi.create(validOrderData);
+        await vi.runAllTimersAsync();
+        const { orderId } = await promise;
+
+        const store = JSON.parse(localStorage.getItem('orders'));
+        expect(store.schemaVersion).toBe(1);
+        expect(store.data[0].id).toBe(orderId);
+      });
+
+      it('snapshots totals, shipping and customer', async () => {
+        const promise = ordersApi.create(validOrderData);
+        await vi.runAllTimersAsync();
+        const { order } = await promise;
+
+        expect(order.totals).toMatchObject({ subtotal: 19.99, shipping: 4.99, savings: 0 });
+        expect(order.totals.total).toBeCloseTo(24.98);
+        expect(order.shipping).toMatchObject({ id: 'standard', price: 4.99 });
+        expect(order.customer).toEqual({ name: 'John Doe', email: 'john@example.com' });
+        expect(order.createdAt).toBeDefined();
+      });
+
+      it('quarantines a store with an unknown version instead of overwriting it', async () => {
+        const unreadable = JSON.stringify({ version: 999, orders: [{ id: 'X' }] });
+        localStorage.setItem('orders', unreadable);
+
+        const listPromise = ordersApi.list();
+        vi.advanceTimersByTime(200);
+        expect((await listPromise).total).toBe(0);
+
+        const createPromise = ordersApi.create(validOrderData);
+        await vi.runAllTimersAsync();
+        await createPromise;
+
+        expect(getQuarantinedEntries()).toEqual([
+          expect.objectContaining({ key: 'orders', raw: unreadable }),
+        ]);
+      });
+    });
+
+    describe('status timeline', () => {
+      const placeOrder = (orderData) => {
+        saveOrder(buildOrderRecord(orderData));
+        const promise = ordersApi.getById(orderData.orderNumber);
+        vi.advanceTimersByTime(200);
+        return promise;
+      };
+
+      it('starts a new order at placed', async () => {
+        const order = await placeOrder({
+          orderNumber: 'ORD-NEW',
+          items: validOrderData.items,
+          createdAt: new Date().toISOString(),
+        });
+
+        expect(order.status).toBe('placed');
+        expect(order.timeline.map((step) => step.status)).toEqual([
+          'placed',
+          'processing',
+          'shipped',
+          'delivered',
+        ]);
+        expect(order.timeline.filter((step) => step.completed)).toHaveLength(1);
+      });
+
+      it('advances status as time passes', async () => {
+        const placedAt = Date.now() - 2 * 24 * 60 * 60 * 1000;
+        const order = await placeOrder({
+          orderNumber: 'ORD-OLD',
+          items: validOrderData.items,
+          createdAt: new Date(placedAt).toISOString(),
+        });
+
+        expect(order.status).toBe('shipped');
+      });
+    });
+
+    describe('list', () => {
+      const seedOrders = (count) => {
+        for (let i = 0; i < count; i++) {
+          saveOrder(
+            buildOrderRecord({
+              orderNumber: `ORD-${i}`,
+              items: validOrderData.items,
+              createdAt: new Date(Date.UTC(2025, 0, i + 1)).toISOString(),
+            })
+          );
+        }
+      };
+
+      it('returns an empty page when there are no orders', async () => {
+        const promise = ordersApi.list();
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result).toEqual({
+          data: [],
+          total: 0,
+          page: 1,
+          totalPages: 0,
+          hasNextPage: false,
+          hasPrevPage: false,
+        });
+      });
+
+      it('returns orders newest first', async () => {
+        seedOrders(3);
+
+        const promise = ordersApi.list();
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.data.map((order) => order.id)).toEqual(['ORD-2', 'ORD-1', 'ORD-0']);
+      });
+
+      it('paginates orders', async () => {
+        seedOrders(5);
+
+        const promise = ordersApi.list({ page: 2, limit: 2 });
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.data.map((order) => order.id)).toEqual(['ORD-2', 'ORD-1']);
+        expect(result.total).toBe(5);
+        expect(result.totalPages).toBe(3);
+        expect(result.hasNextPage).toBe(true);
+        expect(result.hasPrevPage).toBe(true);
+      });
+    });
+  });
+
+  describe('reviewsApi', () => {
+    const validReview = {
+      rating: 5,
+      author: 'Sam',
+      title: 'Love them',
+      body: 'Comfortable and the battery lasts all day.',
+    };
+
+    describe('list', () => {
+      it('returns sorted reviews with a rating summary', async () => {
+        const promise = reviewsApi.list(1, { sortBy: 'lowest' });
+        vi.advanceTimersByTime(100);
+        const result = await promise;
+
+        expect(result.data.map((review) => review.rating)).toEqual([3, 4, 5]);
+        expect(result.summary).toMatchObject({ average: 4, count: 3 });
+      });
+
+      it('returns an empty list for products without reviews', async () => {
+        const promise = reviewsApi.list(99999);
+        vi.advanceTimersByTime(100);
+        const result = await promise;
+
+        expect(result.data).toEqual([]);
+        expect(result.summary.count).toBe(0);
+      });
+    });
+
+    describe('submit', () => {
+      it('stores a valid review', async () => {
+        const promise = reviewsApi.submit(1, validReview);
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.success).toBe(true);
+        expect(result.message).toBe('Thanks for your review');
+        expect(result.review).toMatchObject({ productId: 1, ...validReview, verified: false });
+
+        const listPromise = reviewsApi.list(1);
+        vi.advanceTimersByTime(100);
+        const { data } = await listPromise;
+        expect(data[0].id).toBe(result.review.id);
+      });
+
+      it('returns field errors for an invalid review', async () => {
+        const promise = reviewsApi.submit(1, { ...validReview, rating: 0, body: 'Meh' });
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.success).toBe(false);
+        expect(result.fieldErrors).toEqual({
+          rating: 'Choose a rating from 1 to 5 stars',
+          body: 'Review must be at least 10 characters',
+        });
+        expect(localStorage.getItem('reviews')).toBeNull();
+      });
+
+      it('sanitizes review text', async () => {
+        const promise = reviewsApi.submit(1, {
+          ...validReview,
+          body: '  <script>alert(1)</script>Comfortable and light.  ',
+        });
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.review.body).toBe('Comfortable and light.');
+      });
+
+      it('marks reviews of purchased products as verified', async () => {
+        localStorage.setItem(
+          'orders',
+          JSON.stringify({ version: 1, orders: [{ id: 'ORD-1', items: [{ id: 1, quantity: 1 }] }] })
+        );
+
+        await expect(reviewsApi.hasPurchased(1)).resolves.toBe(true);
+        await expect(reviewsApi.hasPurchased(2)).resolves.toBe(false);
+
+        const promise = reviewsApi.submit(1, validReview);
+        vi.advanceTimersByTime(200);
+        const result = await promise;
+
+        expect(result.review.verified).toBe(true);
+      });
+    });
+  });
+
+  describe('catalogApi', () => {
+    const newProduct = {
+      name: 'Desk Lamp',
+      description: 'Adjustable LED lamp with three brightness levels.',
+      category: 'home',
+      image: 'https://example.com/lamp.jpg',
+      price: '34.50',
+      stock: '12',
+    };
+
+    const run = async (promise) => {
+      await vi.runAllTimersAsync();
+      return promise;
+    };
+
+    afterEach(() => {
+      resetLocalCatalog();
+      clearProductsCache();
+    });
+
+    describe('create', () => {
+      it('adds a product with the next free ID', async () => {
+        const maxId = Math.max(...catalog.map((product) => product.id));
+
+        const result = await run(catalogApi.create(newProduct));
+
+        expect(result.success).toBe(true);
+        expect(result.message).toBe('Desk Lamp added to the catalog');
+        expect(result.product).toMatchObject({ id: maxId + 1, price: 34.5, stock: 12 });
+        await expect(run(fetchProductById(maxId + 1))).resolves.toMatchObject({
+          name: 'Desk Lamp',
+        });
+      });
+
+      it('does not reuse the ID of a deleted product', async () => {
+        const { product } = await run(catalogApi.create(newProduct));
+        await run(catalogApi.remove(product.id));
+
+        const result = await run(catalogApi.create({ ...newProduct, name: 'Floor Lamp' }));
+
+        expect(result.product.id).toBe(product.id + 1);
+      });
+
+      it('returns validation errors for an invalid product', async () => {
+        const result = await run(
+          catalogApi.create({ ...newProduct, name: '', onSale: true, salePrice: '40' })
+        );
+
+        expect(result.success).toBe(false);
+        expect(result.errors).toEqual(
+          expect.arrayContaining([
+            expect.stringMatching(/name/i),
+            expect.stringMatching(/sale price/i),
+          ])
+        );
+        expect(getLocalChangeCount()).toBe(0);
+      });
+    });
+
+    describe('update', () => {
+      it('merges changes into the current product', async () => {
+        const result = await run(catalogApi.update(3, { price: '69.99' }));
+
+        expect(result.success).toBe(true);
+        expect(result.message).toBe('Bluetooth Speaker updated');
+        expect(result.product).toMatchObject({ id: 3, name: 'Bluetooth Speaker', price: 69.99 });
+      });
+
+      it('drops the sale price when a product comes off sale', async () => {
+        const result = await run(catalogApi.update(1, { onSale: false }));
+
+        expect(result.product.onSale).toBe(false);
+        expect(result.product.salePrice).toBeUndefined();
+      });
+
+      it('fails for unknown products', async () => {
+        const result = await run(catalogApi.update(99999, { price: '10' }));
+
+        expect(result).toEqual({ success: false, message: 'Product not found' });
+      });
+
+      it('shows in cached product listings straight away', async () => {
+        const before = await run(fetchProducts({ search: 'Bluetooth Speaker' }));
+        expect(before.items[0].price).toBe(79.99);
+
+        await run(catalogApi.update(3, { price: '69.99' }));
+
+        const after = await run(fetchProducts({ search: 'Bluetooth Speaker' }));
+        expect(after.items[0].price).toBe(69.99);
+      });
+    });
+
+    describe('remove', () => {
+      it('deletes the product from the catalog', async () => {
+        const result = await run(catalogApi.remove(3));
+
+        expect(result).toEqual({
+          success: true,
+          message: 'Bluetooth Speaker removed from the catalog',
+        });
+        await expect(run(fetchProductById(3))).resolves.toBeNull();
+        const { data } = await run(productsApi.getAll({ limit: 200 }));
+        expect(data.some((product) => product.id === 3)).toBe(false);
+      });
+    });
+
+    describe('exportCatalog', () => {
+      it('exports the catalog with local changes as CSV', async () => {
+        await run(catalogApi.update(3, { price: '69.99' }));
+
+        const result = await run(catalogApi.exportCatalog('csv'));
+
+        expect(result.success).toBe(true);
+        expect(result.file).toMatchObject({
+          name: expect.stringMatching(/^catalog-\d{4}-\d{2}-\d{2}\.csv$/),
+          type: 'text/csv',
+        });
+        const rows = parseCSV(result.file.content);
+        expect(rows).toHaveLength(catalog.length + 1);
+        expect(rows.find((row) => row[0] === '3')).toContain('69.99');
+      });
+
+      it('exports JSON', async () => {
+        const result = await run(catalogApi.exportCatalog('json'));
+
+        expect(result.file.type).toBe('application/json');
+        expect(JSON.parse(result.file.content).products).toHaveLength(catalog.length);
+      });
+    });
+
+    describe('import', () => {
+      const exportRows = async () => parseCSV((await run(catalogApi.exportCatalog())).file.content);
+
+      it('previews the changes an import makes', async () => {
+        const [header, ...rows] = await exportRows();
+        const priceColumn = header.indexOf('price');
+        rows[0][priceColumn] = '44.99';
+        const garden = header.map((column) => newProduct[column] ?? '');
+        garden[header.indexOf('category')] = 'garden';
+
+        const preview = await run(
+          catalogApi.previewImport(toCSV([header, ...rows.slice(0, -1), garden]), 'csv')
+        );
+
+        expect(preview.success).toBe(true);
+        expect(preview.message).toBe('1 added, 1 changed, 1 removed');
+        expect(preview.diff.changed.map((product) => product.id)).toEqual([1]);
+        expect(preview.diff.removed).toEqual([catalog[catalog.length - 1]]);
+        expect(preview.newCategories).toEqual(['garden']);
+        expect(getLocalChangeCount()).toBe(0);
+      });
+
+      it('does not give a new row the ID of a deleted product', async () => {
+        const { product } = await run(catalogApi.create(newProduct));
+        await run(catalogApi.remove(product.id));
+        const [header, ...rows] = await exportRows();
+        const floorLamp = header.map((column) => newProduct[column] ?? '');
+        floorLamp[header.indexOf('name')] = 'Floor Lamp';
+
+        const preview = await run(
+          catalogApi.previewImport(toCSV([header, ...rows, floorLamp]), 'csv')
+        );
+
+        expect(preview.success).toBe(true);
+        expect(preview.diff.added).toEqual([
+          expect.objectContaining({ id: product.id + 1, name: 'Floor Lamp' }),
+        ]);
+      });
+
+      it('reports the rows with errors', async () => {
+        const [header, ...rows] = await exportRows();
+        rows[1][header.indexOf('price')] = '-5';
+
+        const preview = await run(catalogApi.previewImport(toCSV([header, ...rows]), 'csv'));
+
+        expect(preview.success).toBe(false);
+        expect(preview.message).toBe(`1 of ${rows.length} rows have errors`);
+        expect(preview.rowErrors).toEqual([
+          {
+            row: 3,
+            name: catalog[1].name,
+            errors: ['Product price must be a positive number'],
+          },
+        ]);
+      });
+
+      it('reports files it cannot read', async () => {
+        const preview = await run(catalogApi.previewImport('not json', 'json'));
+
+        expect(preview).toEqual({
+          success: false,
+          message: 'The file is not valid JSON',
+          rowErrors: [],
+        });
+      });
+
+      it('reports a CSV file with a quote that is never closed', async () => {
+        const [header, ...rows] = await exportRows();
+        const text = `${toCSV([header, ...rows])}\r\n"Floor Lamp,home`;
+
+        const preview = await run(catalogApi.previewImport(text, 'csv'));
+
+        expect(preview).toEqual({
+          success: false,
+          message: `The file is not valid CSV: Quoted cell on line ${rows.length + 2} is never closed`,
+          rowErrors: [],
+        });
+      });
+
+      it('serves the imported catalog and its new categories', async () => {
+        const { products } = JSON.parse((await run(catalogApi.exportCatalog('json'))).file.content);
+        const imported = [
+          ...products.slice(1),
+          { ...newProduct, category: 'garden', categoryName: 'Garden & Outdoor' },
+        ];
+        const preview = await run(catalogApi.previewImport(JSON.stringify(imported), 'json'));
+
+        const result = await run(catalogApi.applyImport(preview));
+
+        expect(result).toEqual({ success: true, message: `Imported ${catalog.length} products` });
+        await expect(run(fetchProductById(catalog[0].id))).resolves.toBeNull();
+        const { items } = await run(fetchProducts({ category: 'garden' }));
+        expect(items.map((product) => product.name)).toEqual(['Desk Lamp']);
+        expect(getCategoryNames().garden).toBe('Garden & Outdoor');
+        expect(CATEGORY_DISPLAY_NAMES.garden).toBeUndefined();
+        await expect(run(fetchCategories())).resolves.toContain('garden');
+      });
+
+      it('accepts new products in the imported categories', async () => {
+        importLocalCatalog(catalog, catalog, { garden: 'Garden & Outdoor' });
+
+        const result = await run(catalogApi.create({ ...newProduct, category: 'garden' }));
+
+        expect(result.success).toBe(true);
+      });
+
+      it('refuses to apply a failed preview', async () => {
+        const result = await run(catalogApi.applyImport({ success: false, rowErrors: [] }));
+
+        expect(result.success).toBe(false);
+        expect(getLocalChangeCount()).toBe(0);
+      });
+    });
+
+    describe('reset', () => {
+      it('goes back to the served catalog', async () => {
+        await run(catalogApi.update(3, { price: '69.99' }));
+
+        const result = await run(catalogApi.reset());
+
+        expect(result.success).toBe(true);
+        await expect(run(fetchProductById(3))).resolves.toMatchObject({ price: 79.99 });
+      });
     });
   });
 
@@ -720,6 +1580,40 @@ describe('API Service', () => {
       });
     });
 
+    describe('offline', () => {
+      const profile = {
+        firstName: 'John',
+        lastName: 'Doe',
+        email: 'john@example.com',
+      };
+
+      beforeEach(() => {
+        clearQueuedChanges();
+        vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      });
+
+      afterEach(() => {
+        vi.restoreAllMocks();
+      });
+
+      it('queues a valid profile', async () => {
+        await expect(profileApi.save(profile)).resolves.toMatchObject({
+          success: true,
+          queued: true,
+        });
+        expect(getQueuedChanges()).toEqual([
+          expect.objectContaining({ type: 'profile', payload: profile }),
+        ]);
+      });
+
+      it('rejects an invalid profile without queueing it', async () => {
+        await expect(profileApi.save({ ...profile, email: 'nope' })).resolves.toMatchObject({
+          success: false,
+        });
+        expect(getQueuedChanges()).toHaveLength(0);
+      });
+    });
+
     describe('get', () => {
       it('returns null (mock implementation)', async () => {
         const promise = profileApi.get();
@@ -731,6 +1625,40 @@ describe('API Service', () => {
     });
   });
 
+  describe('offlineApi', () => {
+    beforeEach(() => {
+      clearQueuedChanges();
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('saves the changes queued while offline once back online', async () => {
+      const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      await cartApi.save([{ ...catalog[0], quantity: 2 }]);
+      await profileApi.save({ firstName: 'John', lastName: 'Doe', email: 'john@example.com' });
+      expect(offlineApi.getQueued()).toHaveLength(2);
+
+      onLine.mockReturnValue(true);
+      const promise = offlineApi.replay();
+      await vi.advanceTimersByTimeAsync(500);
+
+      await expect(promise).resolves.toEqual({ replayed: 2, failed: 0, remaining: 0 });
+      expect(offlineApi.getQueued()).toHaveLength(0);
+    });
+
+    it('drops a queued change the service rejects', async () => {
+      vi.spyOn(navigator, 'onLine', 'get').mockReturnValueOnce(false);
+      await cartApi.save([{ id: 1, quantity: -1 }]);
+
+      const promise = offlineApi.replay();
+      await vi.advanceTimersByTimeAsync(500);
+
+      await expect(promise).resolves.toEqual({ replayed: 0, failed: 1, remaining: 0 });
+    });
+  });
+
   describe('integration tests', () => {
     it('can fetch products and validate them', async () => {
       // Fetch products
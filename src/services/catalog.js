@@ -0,0 +1,308 @@
+/**
+ * Local Catalog Store
+ *
+ * Local stand-in for a backend catalog admin service. Products edited,
+ * added or imported through `catalogApi` and the IDs of deleted products
+ * are kept in localStorage and layered over the catalog the transport
+ * serves, so changes survive reloads without touching `data/products`.
+ * Categories an import adds are layered over the built-in ones the same
+ * way. Components can subscribe to be told when the catalog changes.
+ */
+
+import { CATEGORY_DISPLAY_NAMES, STORAGE_KEYS } from '../constants';
+import { categories as categoryList } from '../data/products';
+import { createVersionedStore, migrateLegacyStore } from '../utils/versionedStore';
+import { diffCatalog } from '../utils/catalogTransfer';
+import { createLogger } from '../utils/logger';
+
+// Create logger for catalog operations
+const log = createLogger('Catalog');
+
+/**
+ * Local catalog changes
+ * @typedef {Object} CatalogChanges
+ * @property {Object<string, Object>} products - Edited and added products keyed by ID
+ * @property {number[]} deletedIds - IDs of deleted products
+ * @property {Object<string, string>} categories - Display names of added categories by ID
+ * @property {number} lastId - Highest product ID ever stored, so IDs are never reused
+ */
+
+/**
+ * No local changes
+ * @type {CatalogChanges}
+ */
+const NO_CHANGES = { products: {}, deletedIds: [], categories: {}, lastId: 0 };
+
+/**
+ * Highest product ID among stored changes
+ * @param {Object<string, Object>} products - Edited and added products keyed by ID
+ * @param {number[]} deletedIds - IDs of deleted products
+ * @returns {number}
+ */
+function getHighestId(products, deletedIds) {
+  return Math.max(0, ...Object.keys(products).map(Number), ...deletedIds);
+}
+
+/**
+ * Stored changes
+ */
+const store = createVersionedStore(
+  STORAGE_KEYS.CATALOG,
+  {
+    migrations: [
+      migrateLegacyStore(({ products, deletedIds, categories = {} }) => {
+        if (!products || typeof products !== 'object' || !Array.isArray(deletedIds)) {
+          throw new Error('Catalog changes are not products and deleted IDs');
+        }
+        return { products, deletedIds, categories, lastId: getHighestId(products, deletedIds) };
+      }),
+    ],
+  },
+  NO_CHANGES
+);
+
+/**
+ * Catalogs with the local changes applied, per source array
+ */
+const appliedCatalogs = new WeakMap();
+
+/**
+ * Categories the shop starts with
+ */
+const builtInCategories = new Set(Object.keys(CATEGORY_DISPLAY_NAMES));
+
+/**
+ * Category lists with the added categories appended, per source array
+ */
+const appliedCategoryLists = new WeakMap();
+
+/**
+ * Category display names for the stored changes
+ */
+let categoryNames = { changes: null, names: CATEGORY_DISPLAY_NAMES };
+
+/**
+ * Layer the local changes over a catalog
+ * Edited products replace their originals in place, deleted products
+ * are dropped and added products come last.
+ *
+ * The same array is returned for the same catalog until the changes do,
+ * so indexes kept per array (see `searchProducts`) are reused.
+ *
+ * @param {Array} products - Catalog from the transport
+ * @returns {Array} Catalog as the shop should see it
+ */
+export function applyLocalCatalog(products) {
+  const changes = store.get();
+  const cached = appliedCatalogs.get(products);
+  if (cached?.changes === changes) {
+    return cached.catalog;
+  }
+
+  const deleted = new Set(changes.deletedIds);
+  const catalogIds = new Set(products.map((product) => product.id));
+
+  const added = Object.values(changes.products)
+    .filter((product) => !catalogIds.has(product.id) && !deleted.has(product.id))
+    .sort((a, b) => a.id - b.id);
+
+  const catalog = [
+    ...products
+      .filter((product) => !deleted.has(product.id))
+      .map((product) => changes.products[product.id] ?? product),
+    ...added,
+  ];
+  appliedCatalogs.set(products, { changes, catalog });
+  return catalog;
+}
+
+/**
+ * Get the display names of every category
+ * Built-in categories come first, then the ones an import added. The
+ * same object is returned until the changes do.
+ * @returns {Object<string, string>} Display names by category ID
+ */
+export function getCategoryNames() {
+  const changes = store.get();
+  if (categoryNames.changes !== changes) {
+    const added = Object.entries(changes.categories).filter(([id]) => !builtInCategories.has(id));
+    categoryNames = {
+      changes,
+      names:
+        added.length > 0
+          ? { ...CATEGORY_DISPLAY_NAMES, ...Object.fromEntries(added) }
+          : CATEGORY_DISPLAY_NAMES,
+    };
+  }
+  return categoryNames.names;
+}
+
+/**
+ * Append the added categories to a category list
+ * The same array is returned for the same list until the changes do.
+ * @param {string[]} categories - Category IDs from the transport
+ * @returns {string[]} Category IDs as the shop should see them
+ */
+export function applyLocalCategories(categories) {
+  const changes = store.get();
+  const cached = appliedCategoryLists.get(categories);
+  if (cached?.changes === changes) {
+    return cached.categories;
+  }
+
+  const added = Object.keys(changes.categories).filter(
+    (id) => !builtInCategories.has(id) && !categories.includes(id)
+  );
+  const applied = added.length > 0 ? [...categories, ...added] : categories;
+  appliedCategoryLists.set(categories, { changes, categories: applied });
+  return applied;
+}
+
+/**
+ * Get every category, starting with `'all'`
+ * @returns {string[]} Category IDs
+ */
+export function getCategories() {
+  return applyLocalCategories(categoryList);
+}
+
+/**
+ * Get the ID for a new product
+ * Higher than any served product and any product stored, deleted or
+ * discarded before, so a new product never takes over the orders or
+ * reviews of an old one.
+ *
+ * @param {Array} servedProducts - Catalog from the transport
+ * @returns {number}
+ */
+export function getNextProductId(servedProducts) {
+  const { lastId } = store.get();
+  return Math.max(lastId, ...servedProducts.map((product) => product.id)) + 1;
+}
+
+/**
+ * Get the local version of a product
+ * @param {number|string} productId - Product ID
+ * @returns {Object|null|undefined} The edited or added product, `null` if
+ *   it was deleted, or `undefined` if it hasn't been changed locally
+ */
+export function getLocalProduct(productId) {
+  const id = Number(productId);
+  const changes = store.get();
+
+  if (changes.deletedIds.includes(id)) {
+    return null;
+  }
+
+  return changes.products[id];
+}
+
+/**
+ * Save an edited or added product
+ * @param {Object} product - Complete, validated product
+ */
+export function setLocalProduct(product) {
+  const changes = store.get();
+
+  store.set({
+    ...changes,
+    products: { ...changes.products, [product.id]: product },
+    deletedIds: changes.deletedIds.filter((id) => id !== product.id),
+    lastId: Math.max(changes.lastId, product.id),
+  });
+  log.debug('Product saved', { productId: product.id });
+}
+
+/**
+ * Delete a product from the catalog
+ * @param {number|string} productId - Product ID
+ */
+export function deleteLocalProduct(productId) {
+  const id = Number(productId);
+  const changes = store.get();
+  const { [id]: _deleted, ...products } = changes.products;
+  const { deletedIds } = changes;
+
+  store.set({
+    ...changes,
+    products,
+    deletedIds: deletedIds.includes(id) ? deletedIds : [...deletedIds, id],
+  });
+  log.debug('Product deleted', { productId: id });
+}
+
+/**
+ * Replace the whole catalog with an imported one
+ * Stores only what differs from the served catalog: changed and added
+ * products, and the IDs of the served products the import leaves out.
+ *
+ * @param {Array} products - Validated imported products
+ * @param {Array} servedProducts - Catalog from the transport
+ * @param {Object<string, string>} [categories={}] - Display names of the
+ *   non-built-in categories the products use
+ */
+export function importLocalCatalog(products, servedProducts, categories = {}) {
+  const { added, changed, removed } = diffCatalog(servedProducts, products);
+  const changedProducts = Object.fromEntries(
+    [...changed, ...added].map((product) => [product.id, product])
+  );
+  const deletedIds = removed.map((product) => product.id);
+
+  store.set({
+    products: changedProducts,
+    deletedIds,
+    categories,
+    lastId: Math.max(store.get().lastId, getHighestId(changedProducts, deletedIds)),
+  });
+  log.debug('Catalog imported', { productCount: products.length });
+}
+
+/**
+ * Count the local changes
+ * @returns {number} Number of edited, added and deleted products
+ */
+export function getLocalChangeCount() {
+  const changes = store.get();
+  return Object.keys(changes.products).length + changes.deletedIds.length;
+}
+
+/**
+ * Subscribe to catalog changes
+ * @param {Function} listener - Called after the catalog changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToCatalog(listener) {
+  return store.subscribe(listener);
+}
+
+/**
+ * Current change counter (for `useSyncExternalStore` snapshots)
+ * @returns {number}
+ */
+export function getCatalogVersion() {
+  return store.getVersion();
+}
+
+/**
+ * Drop every local change and go back to the served catalog
+ * The highest ID is kept, so discarded products' IDs aren't reused.
+ */
+export function resetLocalCatalog() {
+  store.set({ ...NO_CHANGES, lastId: store.get().lastId });
+}
+
+export default {
+  applyLocalCatalog,
+  getNextProductId,
+  getCategoryNames,
+  applyLocalCategories,
+  getCategories,
+  getLocalProduct,
+  setLocalProduct,
+  deleteLocalProduct,
+  importLocalCatalog,
+  getLocalChangeCount,
+  subscribeToCatalog,
+  getCatalogVersion,
+  resetLocalCatalog,
+};
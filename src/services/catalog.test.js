@@ -0,0 +1,230 @@
+/**
+ * Tests for the local catalog store
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  applyLocalCatalog,
+  getNextProductId,
+  getCategoryNames,
+  getCategories,
+  getLocalProduct,
+  setLocalProduct,
+  deleteLocalProduct,
+  importLocalCatalog,
+  getLocalChangeCount,
+  subscribeToCatalog,
+  getCatalogVersion,
+  resetLocalCatalog,
+} from './catalog';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+import { CATEGORY_DISPLAY_NAMES, STORAGE_KEYS } from '../constants';
+import { categories as categoryList } from '../data/products';
+
+const catalog = [
+  { id: 1, name: 'Wireless Earbuds', price: 49.99 },
+  { id: 2, name: 'Smart Watch', price: 199.99 },
+  { id: 3, name: 'Bluetooth Speaker', price: 79.99 },
+];
+
+describe('Local catalog', () => {
+  beforeEach(() => {
+    resetLocalCatalog();
+  });
+
+  describe('applyLocalCatalog', () => {
+    it('returns the catalog unchanged without local changes', () => {
+      expect(applyLocalCatalog(catalog)).toEqual(catalog);
+    });
+
+    it('replaces edited products in place', () => {
+      setLocalProduct({ ...catalog[1], price: 149.99 });
+
+      const result = applyLocalCatalog(catalog);
+
+      expect(result.map((product) => product.id)).toEqual([1, 2, 3]);
+      expect(result[1].price).toBe(149.99);
+    });
+
+    it('drops deleted products', () => {
+      deleteLocalProduct(2);
+
+      expect(applyLocalCatalog(catalog).map((product) => product.id)).toEqual([1, 3]);
+    });
+
+    it('adds new products last, in ID order', () => {
+      setLocalProduct({ id: 5, name: 'Desk Lamp', price: 29.99 });
+      setLocalProduct({ id: 4, name: 'Phone Stand', price: 9.99 });
+
+      expect(applyLocalCatalog(catalog).map((product) => product.id)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('returns the same array for the same catalog until the changes do', () => {
+      deleteLocalProduct(2);
+      const applied = applyLocalCatalog(catalog);
+
+      expect(applyLocalCatalog(catalog)).toBe(applied);
+
+      setLocalProduct({ ...catalog[0], price: 44.99 });
+      expect(applyLocalCatalog(catalog)).not.toBe(applied);
+    });
+  });
+
+  describe('getNextProductId', () => {
+    it('follows the highest served product ID', () => {
+      expect(getNextProductId(catalog)).toBe(4);
+    });
+
+    it('never hands out the ID of a deleted or discarded product', () => {
+      setLocalProduct({ id: 4, name: 'Phone Stand', price: 9.99 });
+      deleteLocalProduct(4);
+      expect(getNextProductId(catalog)).toBe(5);
+
+      setLocalProduct({ id: 5, name: 'Desk Lamp', price: 29.99 });
+      resetLocalCatalog();
+      expect(getNextProductId(catalog)).toBe(6);
+    });
+  });
+
+  describe('getLocalProduct', () => {
+    it('returns undefined for products without local changes', () => {
+      expect(getLocalProduct(1)).toBeUndefined();
+    });
+
+    it('returns the edited product', () => {
+      setLocalProduct({ ...catalog[0], price: 44.99 });
+
+      expect(getLocalProduct('1')).toMatchObject({ id: 1, price: 44.99 });
+    });
+
+    it('returns null for deleted products', () => {
+      deleteLocalProduct(1);
+
+      expect(getLocalProduct(1)).toBeNull();
+    });
+
+    it('restores a deleted product when it is saved again', () => {
+      deleteLocalProduct(1);
+      setLocalProduct(catalog[0]);
+
+      expect(getLocalProduct(1)).toEqual(catalog[0]);
+    });
+  });
+
+  describe('importLocalCatalog', () => {
+    it('stores only what differs from the served catalog', () => {
+      const garden = { id: 4, name: 'Hose', price: 19.99, category: 'garden' };
+
+      importLocalCatalog([catalog[0], { ...catalog[1], price: 149.99 }, garden], catalog);
+
+      expect(getLocalProduct(1)).toBeUndefined();
+      expect(getLocalProduct(2)).toMatchObject({ price: 149.99 });
+      expect(getLocalProduct(3)).toBeNull();
+      expect(getLocalProduct(4)).toEqual(garden);
+      expect(getLocalChangeCount()).toBe(3);
+      expect(applyLocalCatalog(catalog).map((product) => product.id)).toEqual([1, 2, 4]);
+    });
+
+    it('adds the categories it names until the catalog is reset', () => {
+      importLocalCatalog(catalog, catalog, { garden: 'Garden & Outdoor' });
+
+      expect(getCategoryNames()).toMatchObject({
+        electronics: 'Electronics',
+        garden: 'Garden & Outdoor',
+      });
+      expect(getCategories()).toEqual([...categoryList, 'garden']);
+      expect(CATEGORY_DISPLAY_NAMES.garden).toBeUndefined();
+      expect(categoryList).not.toContain('garden');
+
+      resetLocalCatalog();
+
+      expect(getCategoryNames()).toBe(CATEGORY_DISPLAY_NAMES);
+      expect(getCategories()).toBe(categoryList);
+    });
+
+    it('never renames built-in categories', () => {
+      importLocalCatalog(catalog, catalog, { electronics: 'Gadgets' });
+
+      expect(getCategoryNames().electronics).toBe('Electronics');
+      expect(getCategories()).toBe(categoryList);
+    });
+
+    it('returns the same categories until the changes do', () => {
+      importLocalCatalog(catalog, catalog, { garden: 'Garden & Outdoor' });
+      const names = getCategoryNames();
+      const categories = getCategories();
+
+      expect(getCategoryNames()).toBe(names);
+      expect(getCategories()).toBe(categories);
+
+      importLocalCatalog(catalog, catalog, { garden: 'Gardening' });
+      expect(getCategoryNames()).not.toBe(names);
+      expect(getCategories()).not.toBe(categories);
+    });
+  });
+
+  it('drops the edits of a product when it is deleted', () => {
+    setLocalProduct({ ...catalog[0], price: 44.99 });
+    deleteLocalProduct(1);
+
+    expect(getLocalChangeCount()).toBe(1);
+    expect(getLocalProduct(1)).toBeNull();
+  });
+
+  it('counts edited, added and deleted products', () => {
+    setLocalProduct({ ...catalog[0], price: 44.99 });
+    setLocalProduct({ id: 4, name: 'Phone Stand', price: 9.99 });
+    deleteLocalProduct(2);
+
+    expect(getLocalChangeCount()).toBe(3);
+  });
+
+  it('drops every change on reset', () => {
+    setLocalProduct({ ...catalog[0], price: 44.99 });
+    deleteLocalProduct(2);
+
+    resetLocalCatalog();
+
+    expect(getLocalChangeCount()).toBe(0);
+    expect(applyLocalCatalog(catalog)).toEqual(catalog);
+  });
+
+  it('migrates changes stored before the envelope', () => {
+    localStorage.setItem(
+      STORAGE_KEYS.CATALOG,
+      JSON.stringify({
+        version: 1,
+        products: { 4: { id: 4, name: 'Phone Stand' } },
+        deletedIds: [7],
+      })
+    );
+
+    expect(getLocalChangeCount()).toBe(2);
+    expect(getNextProductId(catalog)).toBe(8);
+  });
+
+  it('quarantines a store with an unsupported version', () => {
+    const unreadable = JSON.stringify({ version: 99, products: { 1: { id: 1 } }, deletedIds: [2] });
+    localStorage.setItem(STORAGE_KEYS.CATALOG, unreadable);
+
+    expect(getLocalChangeCount()).toBe(0);
+    expect(applyLocalCatalog(catalog)).toEqual(catalog);
+    expect(getQuarantinedEntries()).toEqual([
+      expect.objectContaining({ key: STORAGE_KEYS.CATALOG, raw: unreadable }),
+    ]);
+  });
+
+  it('notifies subscribers and bumps the version on change', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToCatalog(listener);
+    const versionBefore = getCatalogVersion();
+
+    deleteLocalProduct(1);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(getCatalogVersion()).toBe(versionBefore + 1);
+
+    unsubscribe();
+    setLocalProduct(catalog[0]);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Connectivity Store
+ *
+ * Tracks whether the browser is online, from `navigator.onLine` and the
+ * window's `online`/`offline` events. The events are only listened to
+ * while someone is subscribed.
+ */
+
+import { createLogger } from '../utils/logger';
+
+// Create logger for connectivity changes
+const log = createLogger('Connectivity');
+
+/**
+ * Listeners notified when the browser goes online or offline
+ */
+const listeners = new Set();
+
+/**
+ * Read the browser's connectivity
+ * Browsers without `navigator.onLine` are taken to be online.
+ * @returns {boolean}
+ */
+const readOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Connectivity last told to subscribers, so repeated events don't notify twice
+ */
+let online = readOnline();
+
+/**
+ * Update the connectivity after an `online` or `offline` event
+ */
+function handleChange() {
+  const next = readOnline();
+  if (next === online) {
+    return;
+  }
+
+  online = next;
+  log.info(online ? 'Back online' : 'Gone offline');
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Whether the browser is online
+ * @returns {boolean}
+ */
+export function isOnline() {
+  return readOnline();
+}
+
+/**
+ * Subscribe to connectivity changes
+ * @param {Function} listener - Called after the browser goes online or offline
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToConnectivity(listener) {
+  if (listeners.size === 0) {
+    online = readOnline();
+    window.addEventListener('online', handleChange);
+    window.addEventListener('offline', handleChange);
+  }
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      window.removeEventListener('online', handleChange);
+      window.removeEventListener('offline', handleChange);
+    }
+  };
+}
+
+export default {
+  isOnline,
+  subscribeToConnectivity,
+};
@@ -0,0 +1,56 @@
+/**
+ * Tests for the connectivity store
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { isOnline, subscribeToConnectivity } from './connectivity';
+
+describe('Connectivity', () => {
+  let onLine;
+
+  beforeEach(() => {
+    onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const goOffline = () => {
+    onLine.mockReturnValue(false);
+    window.dispatchEvent(new Event('offline'));
+  };
+
+  it('reads the browser connectivity', () => {
+    expect(isOnline()).toBe(true);
+
+    onLine.mockReturnValue(false);
+    expect(isOnline()).toBe(false);
+  });
+
+  it('notifies subscribers when connectivity changes', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToConnectivity(listener);
+
+    goOffline();
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    onLine.mockReturnValue(true);
+    window.dispatchEvent(new Event('online'));
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    goOffline();
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not notify twice for the same connectivity', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToConnectivity(listener);
+
+    goOffline();
+    window.dispatchEvent(new Event('offline'));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    unsubscribe();
+  });
+});
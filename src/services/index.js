@@ -8,22 +8,118 @@
 
 // Products API Service - main data fetching layer
 export {
+  filterProducts,
+  sortProducts,
+  getProductFacets,
   fetchProducts,
   fetchProductById,
   fetchProductsByIds,
   fetchProductsInfinite,
+  fetchProductFacets,
+  fetchSaleSummary,
   fetchCategories,
   fetchCategoryCounts,
   searchProductsSuggestions,
   fetchFeaturedProducts,
   fetchRelatedProducts,
+  fetchRecommendedProducts,
   clearProductsCache,
   invalidateProductsCache,
   prefetchCategory,
   productsCache,
   SORT_OPTIONS,
+  SORT_OPTION_LABELS,
   default as productsApi,
 } from './productsApi';
 
+// Transport - where catalog data comes from (in-memory or REST)
+export {
+  getTransport,
+  setTransport,
+  createTransport,
+  resolveApiConfig,
+  createHttpTransport,
+  createMemoryTransport,
+  ApiError,
+  HttpError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  isNotFoundError,
+} from './transport';
+
+// Inventory store - local stock levels
+export {
+  getAvailableStock,
+  getStockErrors,
+  reserveStock,
+  subscribeToInventory,
+  resetInventory,
+} from './inventory';
+
+// Orders store - placed orders
+export { buildOrderRecord, getOrders, saveOrder, subscribeToOrders } from './orders';
+
+// Reviews store - local product reviews and ratings
+export {
+  getReviews,
+  getRatingSummary,
+  getRatingSummaries,
+  addReview,
+  subscribeToReviews,
+  getReviewsVersion,
+  resetReviews,
+} from './reviews';
+
+// Recently viewed store - local browsing history
+export {
+  getRecentlyViewed,
+  recordProductView,
+  clearRecentlyViewed,
+  subscribeToRecentlyViewed,
+  getRecentlyViewedVersion,
+} from './recentlyViewed';
+
+// Recommendations store - co-purchase and co-view counts
+export {
+  recordPurchase,
+  recordSessionView,
+  getRecommendationScores,
+  recommendProducts,
+  clearRecommendations,
+  subscribeToRecommendations,
+  getRecommendationsVersion,
+} from './recommendations';
+
+// Connectivity store - whether the browser is online
+export { isOnline, subscribeToConnectivity } from './connectivity';
+
+// Offline queue store - cart and profile changes made offline
+export {
+  queueChange,
+  getQueuedChanges,
+  replayQueuedChanges,
+  clearQueuedChanges,
+  subscribeToOfflineQueue,
+  getOfflineQueueVersion,
+} from './offlineQueue';
+
+// Catalog store - local product edits layered over the catalog
+export {
+  applyLocalCatalog,
+  getNextProductId,
+  getCategoryNames,
+  applyLocalCategories,
+  getCategories,
+  getLocalProduct,
+  setLocalProduct,
+  deleteLocalProduct,
+  importLocalCatalog,
+  getLocalChangeCount,
+  subscribeToCatalog,
+  getCatalogVersion,
+  resetLocalCatalog,
+} from './catalog';
+
 // Legacy API exports (for backwards compatibility)
 export { default as api } from './api';
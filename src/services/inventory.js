@@ -0,0 +1,197 @@
+/**
+ * Inventory Store
+ *
+ * Local stand-in for a backend inventory service. Catalog stock from
+ * the product data, or from a local catalog edit (see `./catalog`), is
+ * the starting level; units sold through `ordersApi.create` are recorded
+ * in localStorage so stock stays down across reloads. Components can
+ * subscribe to be told when stock changes.
+ *
+ * Products with variants are stocked per variant: sales are recorded
+ * under `<productId>:<variantId>`, and a product's own stock level is
+ * the sum over its variants.
+ */
+
+import { products } from '../data/products';
+import { DEFAULTS, STOCK_ERROR_CODES, STORAGE_KEYS } from '../constants';
+import { getCartItemId } from '../utils/id';
+import { createVersionedStore, migrateLegacyStore } from '../utils/versionedStore';
+import { getLocalProduct } from './catalog';
+import { createLogger } from '../utils/logger';
+
+// Create logger for inventory operations
+const log = createLogger('Inventory');
+
+/**
+ * Units sold, keyed by product ID (or product and variant)
+ */
+const store = createVersionedStore(
+  STORAGE_KEYS.INVENTORY,
+  {
+    migrations: [
+      migrateLegacyStore(({ sold }) => {
+        if (!sold || typeof sold !== 'object') {
+          throw new Error('Units sold are not an object');
+        }
+        return sold;
+      }),
+    ],
+  },
+  {}
+);
+
+/**
+ * Key that units sold are recorded under
+ * @param {number|string} productId - Product ID
+ * @param {string} [variantId] - Variant ID
+ * @returns {string}
+ */
+function getStockKey(productId, variantId) {
+  return variantId ? `${productId}:${variantId}` : String(productId);
+}
+
+/**
+ * Catalog stock level for a product or variant before any sales
+ * @param {Object} [product] - Catalog product
+ * @param {string} [variantId] - Variant ID
+ * @param {number} [fallbackStock] - Stock to use for products or variants not in the catalog
+ * @returns {number} Starting stock
+ */
+function getCatalogStock(product, variantId, fallbackStock) {
+  const stock = variantId
+    ? product?.variants?.find((variant) => variant.id === variantId)?.stock
+    : product?.stock;
+  return stock ?? fallbackStock ?? DEFAULTS.STOCK_LIMIT;
+}
+
+/**
+ * Get the units currently available for a product or one of its variants
+ * Without a variant ID, a product with variants reports the total over its variants.
+ *
+ * @param {number|string} productId - Product ID
+ * @param {number} [fallbackStock] - Stock to use for products not in the catalog
+ * @param {string} [variantId] - Variant ID
+ * @returns {number} Available units (never negative)
+ *
+ * @example
+ * const available = getAvailableStock(product.id, product.stock);
+ * const sizeM = getAvailableStock(product.id, undefined, 'm');
+ */
+export function getAvailableStock(productId, fallbackStock, variantId) {
+  const sold = store.get();
+  const localProduct = getLocalProduct(productId);
+  const product =
+    localProduct !== undefined ? localProduct : products.find((p) => p.id === Number(productId));
+  const available = (id) =>
+    Math.max(
+      0,
+      getCatalogStock(product, id, fallbackStock) - (sold[getStockKey(productId, id)] ?? 0)
+    );
+
+  if (!variantId && product?.variants?.length) {
+    return product.variants.reduce((total, variant) => total + available(variant.id), 0);
+  }
+
+  return available(variantId);
+}
+
+/**
+ * Check requested quantities against available stock
+ *
+ * @param {Array<{ id: number, variantId?: string, name?: string, quantity: number, stock?: number }>} lines - Order lines
+ * @returns {Array<Object>} One structured error per line that cannot be filled
+ */
+export function getStockErrors(lines) {
+  return lines
+    .map((line) => {
+      const availableQuantity = getAvailableStock(line.id, line.stock, line.variantId);
+      if (line.quantity <= availableQuantity) {
+        return null;
+      }
+
+      const outOfStock = availableQuantity === 0;
+      return {
+        id: line.id,
+        cartItemId: getCartItemId(line),
+        ...(line.variantId && { variantId: line.variantId }),
+        name: line.name,
+        code: outOfStock ? STOCK_ERROR_CODES.OUT_OF_STOCK : STOCK_ERROR_CODES.INSUFFICIENT_STOCK,
+        requestedQuantity: line.quantity,
+        availableQuantity,
+        message: outOfStock ? 'Out of stock' : `Only ${availableQuantity} left in stock`,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Take stock for an order
+ * Either every line is reserved or none are.
+ *
+ * @param {Array<{ id: number, variantId?: string, quantity: number, stock?: number }>} lines - Order lines
+ * @returns {{ success: boolean, lineErrors: Array<Object> }} Result with per-line errors
+ */
+export function reserveStock(lines) {
+  const lineErrors = getStockErrors(lines);
+
+  if (lineErrors.length > 0) {
+    log.warn('Stock reservation failed', { lines: lineErrors.map((error) => error.id) });
+    return { success: false, lineErrors };
+  }
+
+  const sold = { ...store.get() };
+  lines.forEach((line) => {
+    const key = getStockKey(line.id, line.variantId);
+    sold[key] = (sold[key] ?? 0) + line.quantity;
+  });
+  store.set(sold);
+
+  log.debug('Stock reserved', { lines: lines.length });
+  return { success: true, lineErrors: [] };
+}
+
+/**
+ * Put back stock taken by `reserveStock`, e.g. when the order could not be saved
+ *
+ * @param {Array<{ id: number, variantId?: string, quantity: number }>} lines - Order lines
+ */
+export function releaseStock(lines) {
+  const sold = { ...store.get() };
+  lines.forEach((line) => {
+    const key = getStockKey(line.id, line.variantId);
+    const remaining = (sold[key] ?? 0) - line.quantity;
+    if (remaining > 0) {
+      sold[key] = remaining;
+    } else {
+      delete sold[key];
+    }
+  });
+  store.set(sold);
+
+  log.debug('Stock released', { lines: lines.length });
+}
+
+/**
+ * Subscribe to stock changes
+ * @param {Function} listener - Called after stock changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToInventory(listener) {
+  return store.subscribe(listener);
+}
+
+/**
+ * Restore catalog stock levels (e.g. for tests or a demo reset)
+ */
+export function resetInventory() {
+  store.set({});
+}
+
+export default {
+  getAvailableStock,
+  getStockErrors,
+  reserveStock,
+  releaseStock,
+  subscribeToInventory,
+  resetInventory,
+};
@@ -0,0 +1,208 @@
+/**
+ * Tests for the local inventory store
+ */
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getAvailableStock,
+  getStockErrors,
+  reserveStock,
+  releaseStock,
+  subscribeToInventory,
+  resetInventory,
+} from './inventory';
+import { deleteLocalProduct, resetLocalCatalog, setLocalProduct } from './catalog';
+import { products } from '../data/products';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+
+// Product 1 (Wireless Earbuds) starts with 3 units in the catalog
+const catalogProduct = products.find((p) => p.id === 1);
+
+// Product 14 (Denim Jacket) has size variants
+const jacket = products.find((p) => p.id === 14);
+const jacketM = jacket.variants.find((v) => v.id === 'm');
+
+describe('Inventory', () => {
+  describe('getAvailableStock', () => {
+    it('starts at the catalog stock level', () => {
+      expect(getAvailableStock(1)).toBe(catalogProduct.stock);
+    });
+
+    it('uses the fallback for products not in the catalog', () => {
+      expect(getAvailableStock(99999, 4)).toBe(4);
+    });
+
+    it('defaults to the standard stock limit without a fallback', () => {
+      expect(getAvailableStock(99999)).toBe(10);
+    });
+
+    it('reads units sold recorded before the store used the envelope', () => {
+      localStorage.setItem('inventory', JSON.stringify({ version: 1, sold: { 1: 3 } }));
+
+      expect(getAvailableStock(1)).toBe(catalogProduct.stock - 3);
+    });
+
+    it('quarantines a store with an unknown version', () => {
+      localStorage.setItem('inventory', JSON.stringify({ version: 999, sold: { 1: 3 } }));
+
+      expect(getAvailableStock(1)).toBe(catalogProduct.stock);
+      expect(getQuarantinedEntries()).toEqual([
+        expect.objectContaining({ key: 'inventory', reason: 'Unsupported store version 999' }),
+      ]);
+    });
+
+    it('reads a variant at its own catalog stock', () => {
+      expect(getAvailableStock(14, undefined, 'm')).toBe(jacketM.stock);
+    });
+
+    it('sums variant stock when no variant is given', () => {
+      const total = jacket.variants.reduce((sum, v) => sum + v.stock, 0);
+
+      expect(getAvailableStock(14)).toBe(total);
+    });
+
+    it('follows stock edited in the local catalog', () => {
+      setLocalProduct({ ...catalogProduct, stock: 8 });
+
+      expect(getAvailableStock(1)).toBe(8);
+      resetLocalCatalog();
+    });
+
+    it('uses the fallback for products deleted from the local catalog', () => {
+      deleteLocalProduct(1);
+
+      expect(getAvailableStock(1, 2)).toBe(2);
+      resetLocalCatalog();
+    });
+  });
+
+  describe('reserveStock', () => {
+    it('takes units out of stock', () => {
+      const result = reserveStock([{ id: 1, quantity: 2 }]);
+
+      expect(result).toEqual({ success: true, lineErrors: [] });
+      expect(getAvailableStock(1)).toBe(catalogProduct.stock - 2);
+    });
+
+    it('persists units sold', () => {
+      reserveStock([{ id: 1, quantity: 1 }]);
+
+      const store = JSON.parse(localStorage.getItem('inventory'));
+      expect(store).toEqual({ schemaVersion: 1, data: { 1: 1 } });
+    });
+
+    it('accumulates across orders', () => {
+      reserveStock([{ id: 1, quantity: 1 }]);
+      reserveStock([{ id: 1, quantity: 1 }]);
+
+      expect(getAvailableStock(1)).toBe(catalogProduct.stock - 2);
+    });
+
+    it('reserves nothing when any line cannot be filled', () => {
+      const result = reserveStock([
+        { id: 2, quantity: 1 },
+        { id: 1, quantity: catalogProduct.stock + 1 },
+      ]);
+
+      expect(result.success).toBe(false);
+      expect(result.lineErrors).toHaveLength(1);
+      expect(getAvailableStock(2)).toBe(products.find((p) => p.id === 2).stock);
+    });
+
+    it('takes units from the ordered variant only', () => {
+      reserveStock([{ id: 14, variantId: 'm', quantity: 2 }]);
+
+      expect(getAvailableStock(14, undefined, 'm')).toBe(jacketM.stock - 2);
+      expect(getAvailableStock(14, undefined, 's')).toBe(
+        jacket.variants.find((v) => v.id === 's').stock
+      );
+    });
+  });
+
+  describe('releaseStock', () => {
+    it('puts reserved units back', () => {
+      reserveStock([{ id: 1, quantity: 2 }]);
+      releaseStock([{ id: 1, quantity: 2 }]);
+
+      expect(getAvailableStock(1)).toBe(catalogProduct.stock);
+      expect(JSON.parse(localStorage.getItem('inventory'))).toEqual({ schemaVersion: 1, data: {} });
+    });
+
+    it('keeps units sold by earlier orders', () => {
+      reserveStock([{ id: 14, variantId: 'm', quantity: 1 }]);
+      reserveStock([{ id: 14, variantId: 'm', quantity: 2 }]);
+      releaseStock([{ id: 14, variantId: 'm', quantity: 2 }]);
+
+      expect(getAvailableStock(14, undefined, 'm')).toBe(jacketM.stock - 1);
+    });
+  });
+
+  describe('getStockErrors', () => {
+    it('returns no errors when every line fits', () => {
+      expect(getStockErrors([{ id: 1, quantity: 1 }])).toEqual([]);
+    });
+
+    it('reports insufficient stock per line', () => {
+      const errors = getStockErrors([{ id: 1, name: 'Earbuds', quantity: 5 }]);
+
+      expect(errors).toEqual([
+        {
+          id: 1,
+          cartItemId: 'cart-item-1',
+          name: 'Earbuds',
+          code: 'insufficient_stock',
+          requestedQuantity: 5,
+          availableQuantity: catalogProduct.stock,
+          message: `Only ${catalogProduct.stock} left in stock`,
+        },
+      ]);
+    });
+
+    it('reports out of stock once everything is sold', () => {
+      reserveStock([{ id: 1, quantity: catalogProduct.stock }]);
+
+      const [error] = getStockErrors([{ id: 1, quantity: 1 }]);
+
+      expect(error.code).toBe('out_of_stock');
+      expect(error.availableQuantity).toBe(0);
+      expect(error.message).toBe('Out of stock');
+    });
+
+    it('checks each variant line against its own stock', () => {
+      const errors = getStockErrors([
+        { id: 14, variantId: 's', quantity: 1 },
+        { id: 14, variantId: 'm', quantity: jacketM.stock + 1 },
+      ]);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatchObject({
+        id: 14,
+        variantId: 'm',
+        cartItemId: 'cart-item-14-m',
+        availableQuantity: jacketM.stock,
+      });
+    });
+  });
+
+  describe('subscribeToInventory', () => {
+    it('notifies listeners when stock changes', () => {
+      const listener = vi.fn();
+      const unsubscribe = subscribeToInventory(listener);
+
+      reserveStock([{ id: 1, quantity: 1 }]);
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      unsubscribe();
+      reserveStock([{ id: 1, quantity: 1 }]);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('resetInventory', () => {
+    it('restores catalog stock', () => {
+      reserveStock([{ id: 1, quantity: 2 }]);
+      resetInventory();
+
+      expect(getAvailableStock(1)).toBe(catalogProduct.stock);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Offline Queue Store
+ *
+ * Holds cart and profile changes made while offline until they can be
+ * sent through the service layer. Each kind of change carries the whole
+ * cart or profile, so only the latest change of a kind is kept. The
+ * queue is kept in localStorage, so changes survive a reload while
+ * offline; components can subscribe to be told when it changes.
+ */
+
+import { STORAGE_KEYS } from '../constants';
+import { createVersionedStore, migrateLegacyStore } from '../utils/versionedStore';
+import { createLogger } from '../utils/logger';
+import { generateId } from '../utils/id';
+import { ApiError } from './transport';
+
+// Create logger for offline queue operations
+const log = createLogger('OfflineQueue');
+
+/**
+ * A change waiting to be sent
+ * @typedef {Object} QueuedChange
+ * @property {string} id - Change ID
+ * @property {string} type - Kind of change (see `OFFLINE_CHANGE_TYPES`)
+ * @property {*} payload - Data to send
+ * @property {string} queuedAt - ISO timestamp of when it was queued
+ */
+
+/**
+ * Stored changes, oldest first
+ */
+const store = createVersionedStore(
+  STORAGE_KEYS.OFFLINE_QUEUE,
+  {
+    migrations: [
+      migrateLegacyStore(({ changes }) => {
+        if (!Array.isArray(changes)) {
+          throw new Error('Queued changes are not a list');
+        }
+        return changes;
+      }),
+    ],
+  },
+  []
+);
+
+/**
+ * Replay in progress, shared by callers that ask for another one meanwhile
+ */
+let replaying = null;
+
+/**
+ * Queue a change to send once back online
+ * Replaces a queued change of the same type.
+ *
+ * @param {string} type - Kind of change (see `OFFLINE_CHANGE_TYPES`)
+ * @param {*} payload - Data to send
+ * @returns {QueuedChange} The queued change
+ */
+export function queueChange(type, payload) {
+  const change = { id: generateId(), type, payload, queuedAt: new Date().toISOString() };
+
+  store.set([...store.get().filter((queued) => queued.type !== type), change]);
+  log.debug('Change queued', { type });
+
+  return change;
+}
+
+/**
+ * Get the changes waiting to be sent, oldest first
+ * The same list is returned until the queue changes, so it works as a
+ * `useSyncExternalStore` snapshot.
+ *
+ * @returns {QueuedChange[]}
+ */
+export function getQueuedChanges() {
+  return store.get();
+}
+
+/**
+ * Send the queued changes, oldest first
+ * Each change goes to the handler for its type. A change whose handler
+ * fails with a retryable transport error (see `ApiError.retryable`) stays
+ * queued with the ones after it, for the next replay; one that is
+ * rejected otherwise is dropped. Concurrent calls share one replay.
+ *
+ * @param {Object<string, Function>} handlers - Async handler by change type, given the payload
+ * @returns {Promise<{ replayed: number, failed: number, remaining: number }>}
+ */
+export function replayQueuedChanges(handlers) {
+  replaying ??= replay(handlers).finally(() => {
+    replaying = null;
+  });
+  return replaying;
+}
+
+/**
+ * Send the queued changes (see `replayQueuedChanges`)
+ * @param {Object<string, Function>} handlers - Async handler by change type
+ * @returns {Promise<{ replayed: number, failed: number, remaining: number }>}
+ */
+async function replay(handlers) {
+  let replayed = 0;
+  let failed = 0;
+
+  for (const change of store.get()) {
+    try {
+      const result = await handlers[change.type](change.payload);
+      if (result?.success === false) {
+        throw new Error(result.message);
+      }
+      replayed += 1;
+    } catch (error) {
+      if (error instanceof ApiError && error.retryable) {
+        log.warn('Replay interrupted, keeping the rest queued', { type: change.type, error });
+        break;
+      }
+      failed += 1;
+      log.warn('Dropping queued change that could not be sent', { type: change.type, error });
+    }
+
+    // Changes queued meanwhile stay, even if of the same type
+    store.set(store.get().filter((queued) => queued.id !== change.id));
+  }
+
+  const remaining = store.get().length;
+  log.info('Offline changes replayed', { replayed, failed, remaining });
+
+  return { replayed, failed, remaining };
+}
+
+/**
+ * Forget every queued change
+ */
+export function clearQueuedChanges() {
+  store.set([]);
+}
+
+/**
+ * Subscribe to changes in the queue
+ * @param {Function} listener - Called after the queue changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToOfflineQueue(listener) {
+  return store.subscribe(listener);
+}
+
+/**
+ * Current change counter (for `useSyncExternalStore` snapshots)
+ * @returns {number}
+ */
+export function getOfflineQueueVersion() {
+  return store.getVersion();
+}
+
+export default {
+  queueChange,
+  getQueuedChanges,
+  replayQueuedChanges,
+  clearQueuedChanges,
+  subscribeToOfflineQueue,
+  getOfflineQueueVersion,
+};
@@ -0,0 +1,165 @@
+/**
+ * Tests for the offline queue store
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  queueChange,
+  getQueuedChanges,
+  replayQueuedChanges,
+  clearQueuedChanges,
+  subscribeToOfflineQueue,
+  getOfflineQueueVersion,
+} from './offlineQueue';
+import { NetworkError } from './transport';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+import { STORAGE_KEYS } from '../constants';
+
+describe('OfflineQueue', () => {
+  beforeEach(() => {
+    clearQueuedChanges();
+  });
+
+  describe('queueChange', () => {
+    it('keeps changes in the order they were made', () => {
+      queueChange('cart', [{ id: 1 }]);
+      queueChange('profile', { firstName: 'Ann' });
+
+      expect(getQueuedChanges().map((change) => change.type)).toEqual(['cart', 'profile']);
+    });
+
+    it('keeps only the latest change of a type', () => {
+      queueChange('cart', [{ id: 1 }]);
+      queueChange('profile', { firstName: 'Ann' });
+      queueChange('cart', [{ id: 2 }]);
+
+      expect(getQueuedChanges()).toEqual([
+        expect.objectContaining({ type: 'profile' }),
+        expect.objectContaining({ type: 'cart', payload: [{ id: 2 }] }),
+      ]);
+    });
+  });
+
+  describe('replayQueuedChanges', () => {
+    it('sends each change to the handler for its type', async () => {
+      const handlers = {
+        cart: vi.fn().mockResolvedValue({ success: true }),
+        profile: vi.fn().mockResolvedValue({ success: true }),
+      };
+      queueChange('cart', [{ id: 1 }]);
+      queueChange('profile', { firstName: 'Ann' });
+
+      await expect(replayQueuedChanges(handlers)).resolves.toEqual({
+        replayed: 2,
+        failed: 0,
+        remaining: 0,
+      });
+      expect(handlers.cart).toHaveBeenCalledWith([{ id: 1 }]);
+      expect(handlers.profile).toHaveBeenCalledWith({ firstName: 'Ann' });
+      expect(getQueuedChanges()).toEqual([]);
+    });
+
+    it('keeps the rest queued after a retryable error', async () => {
+      const handlers = {
+        cart: vi.fn().mockRejectedValue(new NetworkError()),
+        profile: vi.fn().mockResolvedValue({ success: true }),
+      };
+      queueChange('cart', [{ id: 1 }]);
+      queueChange('profile', { firstName: 'Ann' });
+
+      await expect(replayQueuedChanges(handlers)).resolves.toEqual({
+        replayed: 0,
+        failed: 0,
+        remaining: 2,
+      });
+      expect(handlers.profile).not.toHaveBeenCalled();
+    });
+
+    it('drops changes that are rejected', async () => {
+      const handlers = {
+        cart: vi.fn().mockResolvedValue({ success: false, message: 'Invalid cart' }),
+        profile: vi.fn().mockRejectedValue(new Error('Boom')),
+      };
+      queueChange('cart', [{ id: 1 }]);
+      queueChange('profile', { firstName: 'Ann' });
+
+      await expect(replayQueuedChanges(handlers)).resolves.toEqual({
+        replayed: 0,
+        failed: 2,
+        remaining: 0,
+      });
+    });
+
+    it('keeps a change queued while its older version was being sent', async () => {
+      const handlers = {
+        cart: vi.fn(() => {
+          queueChange('cart', [{ id: 2 }]);
+          return Promise.resolve({ success: true });
+        }),
+      };
+      queueChange('cart', [{ id: 1 }]);
+
+      await replayQueuedChanges(handlers);
+
+      expect(getQueuedChanges()).toEqual([
+        expect.objectContaining({ type: 'cart', payload: [{ id: 2 }] }),
+      ]);
+    });
+
+    it('shares one replay between concurrent calls', async () => {
+      const handlers = { cart: vi.fn().mockResolvedValue({ success: true }) };
+      queueChange('cart', [{ id: 1 }]);
+
+      await Promise.all([replayQueuedChanges(handlers), replayQueuedChanges(handlers)]);
+
+      expect(handlers.cart).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('migrates a queue stored before the envelope', () => {
+    const change = { id: 'a', type: 'cart', payload: [], queuedAt: '2026-05-01T00:00:00.000Z' };
+    localStorage.setItem(
+      STORAGE_KEYS.OFFLINE_QUEUE,
+      JSON.stringify({ version: 1, changes: [change] })
+    );
+
+    expect(getQueuedChanges()).toEqual([change]);
+  });
+
+  it('quarantines a queue with an unsupported version', () => {
+    const unreadable = JSON.stringify({
+      version: 99,
+      changes: [{ id: 'a', type: 'cart', payload: [] }],
+    });
+    localStorage.setItem(STORAGE_KEYS.OFFLINE_QUEUE, unreadable);
+
+    expect(getQueuedChanges()).toEqual([]);
+    expect(getQuarantinedEntries()).toEqual([
+      expect.objectContaining({ key: STORAGE_KEYS.OFFLINE_QUEUE, raw: unreadable }),
+    ]);
+  });
+
+  it('returns the same queue until it changes', () => {
+    queueChange('cart', []);
+    const queued = getQueuedChanges();
+
+    expect(getQueuedChanges()).toBe(queued);
+
+    queueChange('profile', {});
+    expect(getQueuedChanges()).not.toBe(queued);
+  });
+
+  it('notifies subscribers and bumps the version on change', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToOfflineQueue(listener);
+    const versionBefore = getOfflineQueueVersion();
+
+    queueChange('cart', []);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(getOfflineQueueVersion()).toBe(versionBefore + 1);
+
+    unsubscribe();
+    clearQueuedChanges();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Orders Store
+ *
+ * Local stand-in for a backend orders service. Orders placed through
+ * `ordersApi.create` are kept in localStorage, newest first. Order
+ * history written by an older release is migrated when read, and
+ * history that can't be read is quarantined (see `utils/storageSchema`)
+ * so the next order placed doesn't overwrite it.
+ */
+
+import { BASE_CURRENCY, STORAGE_KEYS } from '../constants';
+import { createVersionedStore, migrateLegacyStore } from '../utils/versionedStore';
+import { getUnitPrice } from '../utils/variants';
+import { describeCoupon } from '../utils/promotions';
+import { createLogger } from '../utils/logger';
+
+// Create logger for order operations
+const log = createLogger('Orders');
+
+/**
+ * Stored orders, newest first
+ */
+const store = createVersionedStore(
+  STORAGE_KEYS.ORDERS,
+  {
+    migrations: [
+      migrateLegacyStore(({ orders }) => {
+        if (!Array.isArray(orders)) {
+          throw new Error('Orders are not a list');
+        }
+        return orders;
+      }),
+    ],
+  },
+  []
+);
+
+/**
+ * Build a storable order record from checkout data
+ * Snapshots line items, totals, shipping, the customer profile and the
+ * delivery address so the order stays accurate even if the catalog or
+ * profile changes later. Amounts stay in the base currency; the display
+ * currency the shopper paid in is recorded with its rate, so the order
+ * is shown as it was placed whatever currency is picked later.
+ *
+ * @param {Object} orderData - Order data
+ * @param {string} orderData.orderNumber - Order number
+ * @param {Array} orderData.items - Cart items
+ * @param {Object} [orderData.totals] - Precomputed totals
+ * @param {Object} [orderData.shipping] - Shipping option
+ * @param {Object} [orderData.customer] - Customer profile
+ * @param {Object} [orderData.shippingAddress] - Address the order is delivered to
+ * @param {Object} [orderData.paymentInfo] - Masked payment info
+ * @param {Object} [orderData.coupon] - Applied promo code
+ * @param {Object} [orderData.currency] - Display currency (`{ code, rate }`), defaults to the base currency
+ * @param {string} [orderData.createdAt] - Placement timestamp
+ * @returns {Object} Order record
+ */
+export function buildOrderRecord(orderData) {
+  const {
+    orderNumber,
+    items = [],
+    totals = {},
+    shipping,
+    customer,
+    shippingAddress,
+    paymentInfo,
+    coupon,
+    currency,
+  } = orderData;
+  const createdAt = orderData.createdAt || new Date().toISOString();
+
+  const lineItems = items.map((item) => {
+    const unitPrice = getUnitPrice(item);
+    return {
+      id: item.id,
+      ...(item.variantId && { variantId: item.variantId, variantLabel: item.variantLabel }),
+      name: item.name,
+      image: item.image,
+      category: item.category,
+      price: item.price,
+      salePrice: item.salePrice,
+      onSale: Boolean(item.onSale),
+      unitPrice,
+      quantity: item.quantity,
+      lineTotal: unitPrice * item.quantity,
+    };
+  });
+
+  const subtotal = totals.subtotal ?? lineItems.reduce((sum, line) => sum + line.lineTotal, 0);
+  const shippingCost = totals.shipping ?? shipping?.price ?? 0;
+  const savings =
+    totals.savings ??
+    lineItems.reduce(
+      (sum, line) => (line.onSale ? sum + (line.price - line.salePrice) * line.quantity : sum),
+      0
+    );
+  const discounts = totals.discounts ?? [];
+  const discount = totals.discount ?? discounts.reduce((sum, line) => sum + line.amount, 0);
+  const tax = totals.tax ?? 0;
+  const taxInclusive = Boolean(totals.taxInclusive);
+
+  return {
+    id: orderNumber,
+    orderNumber,
+    items: lineItems,
+    totals: {
+      subtotal,
+      shipping: shippingCost,
+      savings,
+      discount,
+      discounts: discounts.map(({ id, label, amount }) => ({ id, label, amount })),
+      tax,
+      taxLabel: totals.taxLabel ?? 'Tax',
+      taxInclusive,
+      taxLines: (totals.taxLines ?? []).map(({ rate, taxableAmount, tax: lineTax }) => ({
+        rate,
+        taxableAmount,
+        tax: lineTax,
+      })),
+      total: totals.total ?? subtotal + shippingCost - discount + (taxInclusive ? 0 : tax),
+    },
+    coupon: coupon ? { code: coupon.code, description: describeCoupon(coupon) } : null,
+    currency: { code: currency?.code ?? BASE_CURRENCY, rate: currency?.rate ?? 1 },
+    shipping: shipping
+      ? {
+          id: shipping.id ?? null,
+          name: shipping.name ?? null,
+          price: shipping.price ?? shippingCost,
+          estimatedDelivery: shipping.estimatedDelivery ?? null,
+        }
+      : null,
+    customer: customer ? { ...customer } : null,
+    shippingAddress: shippingAddress ? { ...shippingAddress } : null,
+    paymentInfo: paymentInfo ?? null,
+    createdAt,
+    updatedAt: createdAt,
+  };
+}
+
+/**
+ * Get every stored order, newest first
+ * @returns {Array} Order records
+ */
+export function getOrders() {
+  return store.get();
+}
+
+/**
+ * Store an order record, replacing any existing order with the same ID
+ * @param {Object} record - Order record
+ * @returns {boolean} True if successful
+ */
+export function saveOrder(record) {
+  const orders = getOrders().filter((order) => order.id !== record.id);
+  const saved = store.set([record, ...orders]);
+
+  if (!saved) {
+    log.error('Failed to persist order', { orderId: record.id });
+  }
+  return saved;
+}
+
+/**
+ * Subscribe to order changes
+ * @param {Function} listener - Called after an order is stored
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToOrders(listener) {
+  return store.subscribe(listener);
+}
+
+export default {
+  buildOrderRecord,
+  getOrders,
+  saveOrder,
+  subscribeToOrders,
+};
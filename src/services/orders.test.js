@@ -0,0 +1,68 @@
+/**
+ * Tests for the local orders store
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getOrders, saveOrder, subscribeToOrders } from './orders';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+import { STORAGE_KEYS } from '../constants';
+
+const order = (id) => ({ id, items: [{ id: 1, quantity: 1 }], createdAt: '2026-05-01T00:00:00Z' });
+
+describe('Orders', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('is empty when nothing is stored', () => {
+    expect(getOrders()).toEqual([]);
+  });
+
+  it('keeps orders newest first, replacing one with the same ID', () => {
+    saveOrder(order('ORD-1'));
+    saveOrder(order('ORD-2'));
+    saveOrder({ ...order('ORD-1'), note: 'updated' });
+
+    expect(getOrders().map((stored) => stored.id)).toEqual(['ORD-1', 'ORD-2']);
+    expect(getOrders()[0].note).toBe('updated');
+  });
+
+  it('notifies subscribers when an order is stored', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToOrders(listener);
+
+    saveOrder(order('ORD-1'));
+    unsubscribe();
+    saveOrder(order('ORD-2'));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('migrates order history written before the envelope', () => {
+    localStorage.setItem(
+      STORAGE_KEYS.ORDERS,
+      JSON.stringify({ version: 1, orders: [order('ORD-OLD')] })
+    );
+
+    expect(getOrders()).toEqual([order('ORD-OLD')]);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.ORDERS))).toEqual({
+      schemaVersion: 1,
+      data: [order('ORD-OLD')],
+    });
+  });
+
+  it('quarantines order history it cannot read rather than overwriting it', () => {
+    const unreadable = JSON.stringify({ version: 2, orders: [order('ORD-NEW')] });
+    localStorage.setItem(STORAGE_KEYS.ORDERS, unreadable);
+
+    saveOrder(order('ORD-1'));
+
+    expect(getOrders().map((stored) => stored.id)).toEqual(['ORD-1']);
+    expect(getQuarantinedEntries()).toEqual([
+      expect.objectContaining({
+        key: STORAGE_KEYS.ORDERS,
+        raw: unreadable,
+        reason: 'Unsupported store version 2',
+      }),
+    ]);
+  });
+});
@@ -6,16 +6,38 @@
  *
  * 1. Easy migration from static data to a real API
  * 2. Built-in pagination for large datasets
- * 3. Caching for improved performance
+ * 3. Caching for improved performance (see `./productsCache`)
  * 4. Consistent async interface throughout the app
  *
- * Currently uses static data but is designed for seamless API integration.
+ * The catalog is read through the configured transport (see
+ * `./transport`): the bundled data by default, or a REST backend.
+ * Local catalog changes (see `./catalog`) are layered over either.
+ * Filtering, sorting and pagination happen here for both.
  */
 
-import { products as allProducts, categories } from '../data/products';
 import { createLogger } from '../utils/logger';
 import { sanitizeSearchTerm } from '../utils/sanitize';
-import { CATEGORIES, GRID } from '../constants';
+import { searchProducts } from '../utils/search';
+import {
+  API_ENDPOINTS,
+  CATEGORIES,
+  DELIVERY_FACET_DAYS,
+  GRID,
+  PRODUCTS_CACHE,
+  RATING_FACET_VALUES,
+  STORAGE_KEYS,
+} from '../constants';
+import { getAvailableStock, subscribeToInventory } from './inventory';
+import { getRatingSummaries } from './reviews';
+import {
+  applyLocalCatalog,
+  applyLocalCategories,
+  getLocalProduct,
+  subscribeToCatalog,
+} from './catalog';
+import { recommendProducts } from './recommendations';
+import { ProductsCache } from './productsCache';
+import { getTransport, isNotFoundError } from './transport';
 
 // Create logger for this service
 const log = createLogger('ProductsAPI');
@@ -37,100 +59,65 @@ export const SORT_OPTIONS = {
   NAME_Z_A: 'name_desc',
   NEWEST: 'newest',
   ON_SALE: 'on_sale',
+  BIGGEST_DISCOUNT: 'discount',
+  RATING: 'rating',
 };
 
 /**
- * Simple in-memory cache for API responses
+ * Display labels for sort options, in menu order
  */
-class ProductsCache {
-  constructor(maxSize = 50, ttlMs = 5 * 60 * 1000) {
-    this.cache = new Map();
-    this.maxSize = maxSize;
-    this.ttlMs = ttlMs;
-  }
-
-  /**
-   * Generate cache key from request parameters
-   */
-  generateKey(params) {
-    return JSON.stringify(params);
-  }
-
-  /**
-   * Get cached response
-   */
-  get(params) {
-    const key = this.generateKey(params);
-    const entry = this.cache.get(key);
-
-    if (!entry) {
-      return null;
-    }
-
-    // Check if expired
-    if (Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
-      return null;
-    }
-
-    log.debug('Cache hit', { key });
-    return entry.data;
-  }
-
-  /**
-   * Set cached response
-   */
-  set(params, data) {
-    const key = this.generateKey(params);
-
-    // Evict oldest entries if at capacity
-    if (this.cache.size >= this.maxSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-
-    this.cache.set(key, {
-      data,
-      expiresAt: Date.now() + this.ttlMs,
-    });
+export const SORT_OPTION_LABELS = {
+  [SORT_OPTIONS.DEFAULT]: 'Featured',
+  [SORT_OPTIONS.PRICE_LOW_HIGH]: 'Price: Low to High',
+  [SORT_OPTIONS.PRICE_HIGH_LOW]: 'Price: High to Low',
+  [SORT_OPTIONS.NAME_A_Z]: 'Name: A to Z',
+  [SORT_OPTIONS.NAME_Z_A]: 'Name: Z to A',
+  [SORT_OPTIONS.NEWEST]: 'Newest',
+  [SORT_OPTIONS.ON_SALE]: 'On Sale First',
+  [SORT_OPTIONS.BIGGEST_DISCOUNT]: 'Biggest Discount',
+  [SORT_OPTIONS.RATING]: 'Top Rated',
+};
 
-    log.debug('Cache set', { key });
-  }
+// Create cache instance
+const cache = new ProductsCache({
+  maxSize: PRODUCTS_CACHE.MAX_ENTRIES,
+  ttlMs: PRODUCTS_CACHE.TTL_MS,
+  staleTtlMs: PRODUCTS_CACHE.STALE_TTL_MS,
+  storageKey: STORAGE_KEYS.PRODUCTS_CACHE,
+});
 
-  /**
-   * Clear the cache
-   */
-  clear() {
-    this.cache.clear();
-    log.debug('Cache cleared');
-  }
+/**
+ * Cached reads that a catalog edit or a stock change can change
+ * Matched against the `type` of cache entries.
+ */
+const CATALOG_CACHE_TYPES = [
+  'products',
+  'product',
+  'featured',
+  'saleSummary',
+  'categories',
+  'categoryCounts',
+];
 
-  /**
-   * Invalidate entries matching a pattern
-   */
-  invalidate(pattern) {
-    const keysToDelete = [];
-    for (const key of this.cache.keys()) {
-      if (key.includes(pattern)) {
-        keysToDelete.push(key);
-      }
-    }
-    keysToDelete.forEach((key) => this.cache.delete(key));
-    log.debug('Cache invalidated', { pattern, count: keysToDelete.length });
-  }
-}
+/**
+ * Drop cached catalog reads, so the persisted cache doesn't outlive the
+ * data it was built from
+ */
+const invalidateCatalogReads = () => {
+  cache.invalidate((params) => CATALOG_CACHE_TYPES.includes(params.type));
+};
 
-// Create cache instance
-const cache = new ProductsCache();
+subscribeToCatalog(invalidateCatalogReads);
+subscribeToInventory(invalidateCatalogReads);
 
 /**
- * Simulate network delay for realistic API behavior
- * @param {number} minMs - Minimum delay
- * @param {number} maxMs - Maximum delay
+ * Load the full product catalog through the active transport
+ * Local catalog changes (see `./catalog`) are applied on top.
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<Array>} Products
  */
-async function simulateNetworkDelay(minMs = 50, maxMs = 200) {
-  const delay = Math.random() * (maxMs - minMs) + minMs;
-  await new Promise((resolve) => setTimeout(resolve, delay));
+async function loadCatalog(signal) {
+  return applyLocalCatalog(await getTransport().request(API_ENDPOINTS.PRODUCTS, { signal }));
 }
 
 /**
@@ -139,7 +126,7 @@ async function simulateNetworkDelay(minMs = 50, maxMs = 200) {
  * @param {string} sortBy - Sort option
  * @returns {Array} Sorted products
  */
-function sortProducts(products, sortBy) {
+export function sortProducts(products, sortBy) {
   const sorted = [...products];
 
   switch (sortBy) {
@@ -170,6 +157,18 @@ function sortProducts(products, sortBy) {
         return 0;
       });
 
+    case SORT_OPTIONS.BIGGEST_DISCOUNT:
+      return sorted.sort((a, b) => getDiscount(b) - getDiscount(a));
+
+    case SORT_OPTIONS.RATING: {
+      // Highest average first; more reviews wins a tie, unreviewed products go last
+      const ratings = getRatingSummaries();
+      const rating = (product) => ratings.get(product.id) ?? { average: 0, count: 0 };
+      return sorted.sort(
+        (a, b) => rating(b).average - rating(a).average || rating(b).count - rating(a).count
+      );
+    }
+
     case SORT_OPTIONS.NEWEST:
       // Assuming higher ID = newer (in real app, use createdAt)
       return sorted.sort((a, b) => b.id - a.id);
@@ -180,38 +179,78 @@ function sortProducts(products, sortBy) {
   }
 }
 
+/**
+ * Get the price a product currently sells at
+ * @param {Object} product - Product
+ * @returns {number} Sale price when on sale, otherwise list price
+ */
+function getEffectivePrice(product) {
+  return product.onSale ? product.salePrice : product.price;
+}
+
+/**
+ * Get the amount a product is discounted by
+ * @param {Object} product - Product
+ * @returns {number} `price - salePrice` for sale items, otherwise 0
+ */
+function getDiscount(product) {
+  return product.onSale && typeof product.salePrice === 'number'
+    ? product.price - product.salePrice
+    : 0;
+}
+
 /**
  * Filter products based on criteria
+ * With a search term, only matching products are kept and they come
+ * back most relevant first; otherwise the input order is kept.
+ *
  * @param {Array} products - Products to filter
  * @param {Object} filters - Filter criteria
+ * @param {string} [filters.category] - Category filter
+ * @param {string} [filters.search] - Search term (typo tolerant, see `utils/search`)
+ * @param {boolean} [filters.onSale] - On-sale items only
+ * @param {number} [filters.minPrice] - Minimum effective price
+ * @param {number} [filters.maxPrice] - Maximum effective price
+ * @param {boolean} [filters.inStock] - Items with stock left only
+ * @param {string[]} [filters.colours] - Colours to include (any of)
+ * @param {number} [filters.maxDeliveryDays] - Longest acceptable delivery time
+ * @param {number} [filters.minRating] - Lowest acceptable average review rating
  * @returns {Array} Filtered products
  */
-function filterProducts(products, filters = {}) {
-  const { category, search, onSale, minPrice, maxPrice, inStock } = filters;
+export function filterProducts(products, filters = {}) {
+  const {
+    category,
+    search,
+    onSale,
+    minPrice,
+    maxPrice,
+    inStock,
+    colours,
+    maxDeliveryDays,
+    minRating,
+  } = filters;
+
+  // Read ratings once for the whole list
+  const ratings = typeof minRating === 'number' ? getRatingSummaries() : null;
+
+  // Search filter (keeps matches, most relevant first)
+  const pool = search
+    ? searchProducts(products, sanitizeSearchTerm(search)).map(({ item }) => item)
+    : products;
 
-  return products.filter((product) => {
+  return pool.filter((product) => {
     // Category filter
     if (category && category !== CATEGORIES.ALL && product.category !== category) {
       return false;
     }
 
-    // Search filter
-    if (search) {
-      const sanitized = sanitizeSearchTerm(search).toLowerCase();
-      const searchableText =
-        `${product.name} ${product.description} ${product.category}`.toLowerCase();
-      if (!searchableText.includes(sanitized)) {
-        return false;
-      }
-    }
-
     // On sale filter
     if (onSale === true && !product.onSale) {
       return false;
     }
 
     // Price range filter
-    const effectivePrice = product.onSale ? product.salePrice : product.price;
+    const effectivePrice = getEffectivePrice(product);
     if (typeof minPrice === 'number' && effectivePrice < minPrice) {
       return false;
     }
@@ -219,8 +258,23 @@ function filterProducts(products, filters = {}) {
       return false;
     }
 
-    // In stock filter
-    if (inStock === true && product.stock !== undefined && product.stock <= 0) {
+    // In stock filter (stock left after placed orders)
+    if (inStock === true && getAvailableStock(product.id, product.stock) <= 0) {
+      return false;
+    }
+
+    // Colour filter
+    if (colours?.length > 0 && !colours.includes(product.colour)) {
+      return false;
+    }
+
+    // Delivery time filter
+    if (typeof maxDeliveryDays === 'number' && !(product.deliveryTime <= maxDeliveryDays)) {
+      return false;
+    }
+
+    // Minimum rating filter (unreviewed products have no rating)
+    if (ratings && !((ratings.get(product.id)?.average ?? 0) >= minRating)) {
       return false;
     }
 
@@ -228,6 +282,66 @@ function filterProducts(products, filters = {}) {
   });
 }
 
+/**
+ * Calculate facet options and live counts for a product list
+ *
+ * Each facet is counted with every other active filter applied but its
+ * own selection ignored, so the counts show what picking an option
+ * would return.
+ *
+ * @param {Array} products - Products to facet
+ * @param {Object} [filters] - Active filters (same shape as `filterProducts`)
+ * @returns {Object} Facets:
+ *   - price: `{ min, max, count }` - Whole-unit price bounds and matching count
+ *   - colours: Array<{ value, count }> - Colours, most common first
+ *   - inStock: number - Count with the in-stock filter on
+ *   - onSale: number - Count with the on-sale filter on
+ *   - delivery: Array<{ days, count }> - Count per delivery time option
+ *   - ratings: Array<{ minRating, count }> - Count per minimum-rating option
+ *
+ * @example
+ * const facets = getProductFacets(products, { category: 'electronics', colours: ['Black'] });
+ * facets.colours; // [{ value: 'Black', count: 5 }, { value: 'White', count: 3 }, ...]
+ */
+export function getProductFacets(products, filters = {}) {
+  const countWith = (overrides) => filterProducts(products, { ...filters, ...overrides }).length;
+
+  // Price bounds come from the products left by the other filters
+  const pricePool = filterProducts(products, {
+    ...filters,
+    minPrice: undefined,
+    maxPrice: undefined,
+  }).map(getEffectivePrice);
+
+  const colourCounts = new Map();
+  filterProducts(products, { ...filters, colours: undefined }).forEach((product) => {
+    if (product.colour) {
+      colourCounts.set(product.colour, (colourCounts.get(product.colour) || 0) + 1);
+    }
+  });
+
+  return {
+    price: {
+      min: pricePool.length > 0 ? Math.floor(Math.min(...pricePool)) : 0,
+      max: pricePool.length > 0 ? Math.ceil(Math.max(...pricePool)) : 0,
+      count: countWith({}),
+    },
+    colours: [...colourCounts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    inStock: countWith({ inStock: true }),
+    onSale: countWith({ onSale: true }),
+    delivery: DELIVERY_FACET_DAYS.map((days) => ({
+      days,
+      count: countWith({ maxDeliveryDays: days }),
+    })),
+    ratings: RATING_FACET_VALUES.map((minRating) => ({
+      minRating,
+      count: countWith({ minRating }),
+    })),
+  };
+}
+
 /**
  * Paginate products array
  * @param {Array} products - Products to paginate
@@ -270,8 +384,12 @@ function paginateProducts(products, page, pageSize) {
  * @param {number} [options.minPrice] - Minimum price filter
  * @param {number} [options.maxPrice] - Maximum price filter
  * @param {boolean} [options.inStock] - Filter to in-stock items only
+ * @param {string[]} [options.colours] - Filter to these colours
+ * @param {number} [options.maxDeliveryDays] - Filter to items delivered within this many days
+ * @param {number} [options.minRating] - Filter to items rated at least this many stars
  * @param {string} [options.sortBy='default'] - Sort option
  * @param {boolean} [options.useCache=true] - Whether to use cache
+ * @param {AbortSignal} [options.signal] - Abort signal
  * @returns {Promise<Object>} Paginated products response
  *
  * @example
@@ -282,7 +400,7 @@ function paginateProducts(products, page, pageSize) {
  *   sortBy: 'price_asc',
  * });
  */
-export async function fetchProducts(options = {}) {
+export function fetchProducts(options = {}) {
   const {
     page = DEFAULT_PAGE,
     pageSize = DEFAULT_PAGE_SIZE,
@@ -292,62 +410,76 @@ export async function fetchProducts(options = {}) {
     minPrice,
     maxPrice,
     inStock,
+    colours,
+    maxDeliveryDays,
+    minRating,
     sortBy = SORT_OPTIONS.DEFAULT,
     useCache = true,
+    signal,
   } = options;
 
-  const cacheKey = { ...options, type: 'products' };
+  const load = async (loadSignal) => {
+    log.debug('Fetching products', { page, pageSize, category, search, sortBy });
+
+    const catalog = await loadCatalog(loadSignal);
+
+    try {
+      // Filter products
+      let filtered = filterProducts(catalog, {
+        category,
+        search,
+        onSale,
+        minPrice,
+        maxPrice,
+        inStock,
+        colours,
+        maxDeliveryDays,
+        minRating,
+      });
 
-  // Check cache first
-  if (useCache) {
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      return cached;
+      // Sort products
+      filtered = sortProducts(filtered, sortBy);
+
+      // Paginate results
+      const result = paginateProducts(filtered, page, pageSize);
+
+      // Add metadata
+      const response = {
+        ...result,
+        meta: {
+          filters: {
+            category,
+            search,
+            onSale,
+            minPrice,
+            maxPrice,
+            inStock,
+            colours,
+            maxDeliveryDays,
+            minRating,
+          },
+          sortBy,
+          fetchedAt: new Date().toISOString(),
+        },
+      };
+
+      return response;
+    } catch (error) {
+      log.error('Error fetching products', error);
+      throw new Error('Failed to fetch products');
     }
-  }
-
-  // Simulate API delay
-  await simulateNetworkDelay();
-
-  log.debug('Fetching products', { page, pageSize, category, search, sortBy });
-
-  try {
-    // Filter products
-    let filtered = filterProducts(allProducts, {
-      category,
-      search,
-      onSale,
-      minPrice,
-      maxPrice,
-      inStock,
-    });
-
-    // Sort products
-    filtered = sortProducts(filtered, sortBy);
+  };
 
-    // Paginate results
-    const result = paginateProducts(filtered, page, pageSize);
-
-    // Add metadata
-    const response = {
-      ...result,
-      meta: {
-        filters: { category, search, onSale, minPrice, maxPrice, inStock },
-        sortBy,
-        fetchedAt: new Date().toISOString(),
-      },
-    };
+  if (!useCache) {
+    return load(signal);
+  }
 
-    // Cache the response
-    if (useCache) {
-      cache.set(cacheKey, response);
-    }
+  // The signal and cache flag are per call, so they stay out of the cache key
+  const cacheKey = { ...options, type: 'products' };
+  delete cacheKey.signal;
+  delete cacheKey.useCache;
 
-    return response;
-  } catch (error) {
-    log.error('Error fetching products', error);
-    throw new Error('Failed to fetch products');
-  }
+  return cache.fetch(cacheKey, load, { signal });
 }
 
 /**
@@ -356,34 +488,41 @@ export async function fetchProducts(options = {}) {
  * @param {number|string} productId - Product ID
  * @param {Object} [options] - Options
  * @param {boolean} [options.useCache=true] - Whether to use cache
+ * @param {AbortSignal} [options.signal] - Abort signal
  * @returns {Promise<Object|null>} Product or null if not found
  *
  * @example
  * const product = await fetchProductById(123);
  */
-export async function fetchProductById(productId, options = {}) {
-  const { useCache = true } = options;
-  const cacheKey = { productId, type: 'product' };
-
-  // Check cache
-  if (useCache) {
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      return cached;
-    }
-  }
+export function fetchProductById(productId, options = {}) {
+  const { useCache = true, signal } = options;
 
-  await simulateNetworkDelay(30, 100);
+  // Products edited, added or deleted locally don't need the transport
+  const localProduct = getLocalProduct(productId);
+  if (localProduct !== undefined) {
+    return Promise.resolve(localProduct);
+  }
 
-  log.debug('Fetching product by ID', { productId });
+  const load = async (loadSignal) => {
+    log.debug('Fetching product by ID', { productId });
 
-  const product = allProducts.find((p) => p.id === Number(productId)) || null;
+    try {
+      return await getTransport().request(`${API_ENDPOINTS.PRODUCTS}/${productId}`, {
+        signal: loadSignal,
+      });
+    } catch (error) {
+      if (isNotFoundError(error)) {
+        return null;
+      }
+      throw error;
+    }
+  };
 
-  if (useCache && product) {
-    cache.set(cacheKey, product);
+  if (!useCache) {
+    return load(signal);
   }
 
-  return product;
+  return cache.fetch({ productId: String(productId), type: 'product' }, load, { signal });
 }
 
 /**
@@ -396,14 +535,13 @@ export async function fetchProductById(productId, options = {}) {
  * const products = await fetchProductsByIds([1, 2, 3]);
  */
 export async function fetchProductsByIds(productIds) {
-  await simulateNetworkDelay(50, 150);
-
   log.debug('Fetching products by IDs', { count: productIds.length });
 
+  const catalog = await loadCatalog();
   const idSet = new Set(productIds.map(Number));
   const productsMap = new Map();
 
-  allProducts.forEach((product) => {
+  catalog.forEach((product) => {
     if (idSet.has(product.id)) {
       productsMap.set(product.id, product);
     }
@@ -423,6 +561,14 @@ export async function fetchProductsByIds(productIds) {
  * @param {string} [options.category] - Category filter
  * @param {string} [options.search] - Search term
  * @param {boolean} [options.onSale] - Filter to on-sale items
+ * @param {number} [options.minPrice] - Minimum price filter
+ * @param {number} [options.maxPrice] - Maximum price filter
+ * @param {boolean} [options.inStock] - Filter to in-stock items only
+ * @param {string[]} [options.colours] - Filter to these colours
+ * @param {number} [options.maxDeliveryDays] - Filter to items delivered within this many days
+ * @param {number} [options.minRating] - Filter to items rated at least this many stars
+ * @param {string} [options.sortBy='default'] - Sort option
+ * @param {AbortSignal} [options.signal] - Abort signal
  * @returns {Promise<Object>} Cursor-paginated result
  *
  * @example
@@ -439,129 +585,179 @@ export async function fetchProductsInfinite(options = {}) {
     category,
     search,
     onSale,
+    minPrice,
+    maxPrice,
+    inStock,
+    colours,
+    maxDeliveryDays,
+    minRating,
     sortBy = SORT_OPTIONS.DEFAULT,
+    signal,
   } = options;
 
-  await simulateNetworkDelay();
+  log.debug('Fetching products (infinite)', { cursor, limit, category, sortBy });
 
-  log.debug('Fetching products (infinite)', { cursor, limit, category });
+  const catalog = await loadCatalog(signal);
 
-  // Filter products
-  let filtered = filterProducts(allProducts, { category, search, onSale });
+  try {
+    // Filter products
+    let filtered = filterProducts(catalog, {
+      category,
+      search,
+      onSale,
+      minPrice,
+      maxPrice,
+      inStock,
+      colours,
+      maxDeliveryDays,
+      minRating,
+    });
 
-  // Sort products
-  filtered = sortProducts(filtered, sortBy);
+    // Sort products
+    filtered = sortProducts(filtered, sortBy);
 
-  // Find starting index based on cursor
-  let startIndex = 0;
-  if (cursor) {
-    const cursorIndex = filtered.findIndex((p) => p.id === Number(cursor));
-    if (cursorIndex !== -1) {
-      startIndex = cursorIndex + 1;
+    // Find starting index based on cursor
+    let startIndex = 0;
+    if (cursor) {
+      const cursorIndex = filtered.findIndex((p) => p.id === Number(cursor));
+      if (cursorIndex !== -1) {
+        startIndex = cursorIndex + 1;
+      }
     }
-  }
 
-  // Get items
-  const items = filtered.slice(startIndex, startIndex + limit);
-  const hasMore = startIndex + limit < filtered.length;
-  const nextCursor = hasMore && items.length > 0 ? items[items.length - 1].id : null;
+    // Get items
+    const items = filtered.slice(startIndex, startIndex + limit);
+    const hasMore = startIndex + limit < filtered.length;
+    const nextCursor = hasMore && items.length > 0 ? items[items.length - 1].id : null;
 
-  return {
-    items,
-    nextCursor,
-    hasMore,
-    totalItems: filtered.length,
-  };
+    return {
+      items,
+      nextCursor,
+      hasMore,
+      totalItems: filtered.length,
+    };
+  } catch (error) {
+    log.error('Error fetching products (infinite)', error);
+    throw new Error('Failed to fetch products');
+  }
 }
 
 /**
- * Fetch all categories
+ * Fetch facet options and live counts for the catalog
+ * Not cached: in-stock counts change as orders are placed.
  *
- * @returns {Promise<Array>} Array of category objects
+ * @param {Object} [filters] - Active filters (same shape as `filterProducts`)
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<Object>} Facets (see `getProductFacets`)
+ *
+ * @example
+ * const facets = await fetchProductFacets({ category: 'electronics' });
  */
-export async function fetchCategories() {
-  const cacheKey = { type: 'categories' };
-  const cached = cache.get(cacheKey);
+export async function fetchProductFacets(filters = {}, options = {}) {
+  log.debug('Fetching product facets', filters);
 
-  if (cached) {
-    return cached;
-  }
+  const catalog = await loadCatalog(options.signal);
 
-  await simulateNetworkDelay(20, 50);
+  return getProductFacets(catalog, filters);
+}
 
-  log.debug('Fetching categories');
+/**
+ * Fetch a summary of products on sale
+ *
+ * @returns {Promise<{ count: number, totalSavings: number }>} Number of sale
+ *   items and the sum of their discounts (base currency)
+ */
+export function fetchSaleSummary() {
+  return cache.fetch({ type: 'saleSummary' }, async () => {
+    log.debug('Fetching sale summary');
 
-  const result = categories || [];
-  cache.set(cacheKey, result);
+    const catalog = await loadCatalog();
+    const saleProducts = catalog.filter((product) => product.onSale === true);
 
-  return result;
+    return {
+      count: saleProducts.length,
+      totalSavings: saleProducts.reduce((total, product) => total + getDiscount(product), 0),
+    };
+  });
 }
 
 /**
- * Fetch category product counts
+ * Fetch all categories
  *
- * @returns {Promise<Object>} Object with category counts
+ * @returns {Promise<Array>} Array of category objects
  */
-export async function fetchCategoryCounts() {
-  const cacheKey = { type: 'categoryCounts' };
-  const cached = cache.get(cacheKey);
+export function fetchCategories() {
+  return cache.fetch({ type: 'categories' }, async () => {
+    log.debug('Fetching categories');
 
-  if (cached) {
-    return cached;
-  }
+    return applyLocalCategories((await getTransport().request(API_ENDPOINTS.CATEGORIES)) || []);
+  });
+}
 
-  await simulateNetworkDelay(30, 80);
+/**
+ * Fetch category product counts
+ *
+ * @returns {Promise<Object>} Object with category counts
+ */
+export function fetchCategoryCounts() {
+  return cache.fetch({ type: 'categoryCounts' }, async () => {
+    log.debug('Fetching category counts');
 
-  log.debug('Fetching category counts');
+    const catalog = await loadCatalog();
+    const counts = { all: catalog.length };
 
-  const counts = { all: allProducts.length };
+    catalog.forEach((product) => {
+      const cat = product.category;
+      counts[cat] = (counts[cat] || 0) + 1;
+    });
 
-  allProducts.forEach((product) => {
-    const cat = product.category;
-    counts[cat] = (counts[cat] || 0) + 1;
+    return counts;
   });
-
-  cache.set(cacheKey, counts);
-
-  return counts;
 }
 
 /**
  * Search products with auto-complete suggestions
+ * Matches are ranked by relevance and tolerate typos (see `utils/search`).
  *
  * @param {string} query - Search query
  * @param {Object} [options] - Options
  * @param {number} [options.limit=10] - Maximum suggestions
- * @returns {Promise<Object>} Search suggestions
+ * @param {number} [options.categoryLimit=3] - Maximum category suggestions
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<Object>} Search suggestions:
+ *   - suggestions: string[] - Names of the best matching products
+ *   - products: Array - Best matching products
+ *   - results: Array<{ item, score, highlights }> - Best matches with matched text ranges
+ *   - categories: Array<{ category, count }> - Categories with the most matches
+ *   - totalMatches: number - Number of matching products
  */
 export async function searchProductsSuggestions(query, options = {}) {
-  const { limit = 10 } = options;
+  const { limit = 10, categoryLimit = 3, signal } = options;
 
   if (!query || query.length < 2) {
-    return { suggestions: [], products: [] };
+    return { suggestions: [], products: [], results: [], categories: [], totalMatches: 0 };
   }
 
-  await simulateNetworkDelay(30, 100);
-
-  const sanitized = sanitizeSearchTerm(query).toLowerCase();
+  const catalog = await loadCatalog(signal);
+  const matches = searchProducts(catalog, sanitizeSearchTerm(query));
+  const results = matches.slice(0, limit);
 
-  // Find matching products
-  const matches = allProducts.filter((product) => {
-    const searchableText = `${product.name} ${product.category}`.toLowerCase();
-    return searchableText.includes(sanitized);
+  // Most matches first; ties keep the category of the more relevant match first
+  const categoryCounts = new Map();
+  matches.forEach(({ item }) => {
+    categoryCounts.set(item.category, (categoryCounts.get(item.category) ?? 0) + 1);
   });
-
-  // Get unique search terms from matches
-  const suggestions = [...new Set(matches.map((p) => p.name))]
-    .filter((name) => name.toLowerCase().includes(sanitized))
-    .slice(0, limit);
-
-  // Get top products
-  const products = matches.slice(0, limit);
+  const categories = [...categoryCounts.entries()]
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, categoryLimit);
 
   return {
-    suggestions,
-    products,
+    suggestions: [...new Set(results.map(({ item }) => item.name))],
+    products: results.map(({ item }) => item),
+    results,
+    categories,
     totalMatches: matches.length,
   };
 }
@@ -574,38 +770,32 @@ export async function searchProductsSuggestions(query, options = {}) {
  * @param {Array} [options.excludeIds=[]] - Product IDs to exclude
  * @returns {Promise<Array>} Featured products
  */
-export async function fetchFeaturedProducts(options = {}) {
+export function fetchFeaturedProducts(options = {}) {
   const { limit = 8, excludeIds = [] } = options;
-  const cacheKey = { type: 'featured', limit, excludeIds };
-
-  const cached = cache.get(cacheKey);
-  if (cached) {
-    return cached;
-  }
-
-  await simulateNetworkDelay(30, 100);
-
-  log.debug('Fetching featured products');
 
-  const excludeSet = new Set(excludeIds.map(Number));
+  return cache.fetch({ type: 'featured', limit, excludeIds }, async () => {
+    log.debug('Fetching featured products');
 
-  // Get on-sale items first, then fill with random popular items
-  const onSaleProducts = allProducts.filter((p) => p.onSale && !excludeSet.has(p.id));
-  const regularProducts = allProducts.filter((p) => !p.onSale && !excludeSet.has(p.id));
+    const catalog = await loadCatalog();
+    const excludeSet = new Set(excludeIds.map(Number));
 
-  // Shuffle regular products
-  const shuffled = [...regularProducts].sort(() => Math.random() - 0.5);
+    // Get on-sale items first, then fill with random popular items
+    const onSaleProducts = catalog.filter((p) => p.onSale && !excludeSet.has(p.id));
+    const regularProducts = catalog.filter((p) => !p.onSale && !excludeSet.has(p.id));
 
-  // Combine: sale items first, then random
-  const featured = [...onSaleProducts, ...shuffled].slice(0, limit);
+    // Shuffle regular products
+    const shuffled = [...regularProducts].sort(() => Math.random() - 0.5);
 
-  cache.set(cacheKey, featured);
-
-  return featured;
+    // Combine: sale items first, then random
+    return [...onSaleProducts, ...shuffled].slice(0, limit);
+  });
 }
 
 /**
  * Get related products
+ * Products often bought or viewed with this one come first (see
+ * `./recommendations`), then others from its category, then the rest of
+ * the catalog.
  *
  * @param {number|string} productId - Reference product ID
  * @param {Object} [options] - Options
@@ -615,9 +805,8 @@ export async function fetchFeaturedProducts(options = {}) {
 export async function fetchRelatedProducts(productId, options = {}) {
   const { limit = 4 } = options;
 
-  await simulateNetworkDelay(30, 100);
-
-  const product = allProducts.find((p) => p.id === Number(productId));
+  const catalog = await loadCatalog();
+  const product = catalog.find((p) => p.id === Number(productId));
 
   if (!product) {
     return [];
@@ -625,15 +814,13 @@ export async function fetchRelatedProducts(productId, options = {}) {
 
   log.debug('Fetching related products', { productId, category: product.category });
 
-  // Find products in same category, excluding current product
-  const related = allProducts
-    .filter((p) => p.category === product.category && p.id !== product.id)
-    .slice(0, limit);
+  const related = recommendProducts(catalog, [product.id], { limit });
 
   // If not enough, add from other categories
   if (related.length < limit) {
-    const others = allProducts
-      .filter((p) => p.category !== product.category && p.id !== product.id)
+    const relatedIds = new Set(related.map((p) => p.id));
+    const others = catalog
+      .filter((p) => p.id !== product.id && !relatedIds.has(p.id))
       .slice(0, limit - related.length);
     related.push(...others);
   }
@@ -641,6 +828,31 @@ export async function fetchRelatedProducts(productId, options = {}) {
   return related;
 }
 
+/**
+ * Get products to recommend alongside others (e.g. the cart's)
+ * Ranked by co-purchase and co-view data (see `./recommendations`),
+ * falling back to products from the same categories.
+ *
+ * @param {Array<number|string>} productIds - Products to recommend for
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=4] - Number of products
+ * @param {boolean} [options.purchasesOnly=false] - Only use co-purchase data
+ * @returns {Promise<Array>} Recommended products, without the given ones
+ */
+export async function fetchRecommendedProducts(productIds, options = {}) {
+  const { limit = 4, purchasesOnly = false } = options;
+
+  if (productIds.length === 0) {
+    return [];
+  }
+
+  const catalog = await loadCatalog();
+
+  log.debug('Fetching recommended products', { productIds, purchasesOnly });
+
+  return recommendProducts(catalog, productIds, { limit, purchasesOnly });
+}
+
 /**
  * Clear the products cache
  * Call this after data mutations
@@ -651,10 +863,11 @@ export function clearProductsCache() {
 
 /**
  * Invalidate specific cache entries
- * @param {string} pattern - Pattern to match cache keys
+ * @param {Object|Function} match - Request parameters the entries must have
+ *   (e.g. `{ type: 'featured' }`), or a predicate on their parameters
  */
-export function invalidateProductsCache(pattern) {
-  cache.invalidate(pattern);
+export function invalidateProductsCache(match) {
+  cache.invalidate(match);
 }
 
 /**
@@ -664,29 +877,33 @@ export function invalidateProductsCache(pattern) {
  * @param {string} category - Category to prefetch
  */
 export async function prefetchCategory(category) {
-  const cacheKey = { page: 1, pageSize: DEFAULT_PAGE_SIZE, category, type: 'products' };
-
-  if (!cache.get(cacheKey)) {
-    await fetchProducts({ category, page: 1, useCache: true });
-    log.debug('Prefetched category', { category });
-  }
+  // Answered from the cache when it already has the page
+  await fetchProducts({ category, page: 1, pageSize: DEFAULT_PAGE_SIZE });
+  log.debug('Prefetched category', { category });
 }
 
 // Export cache for testing/debugging
 export { cache as productsCache };
 
 export default {
+  filterProducts,
+  sortProducts,
+  getProductFacets,
   fetchProducts,
   fetchProductById,
   fetchProductsByIds,
   fetchProductsInfinite,
+  fetchProductFacets,
+  fetchSaleSummary,
   fetchCategories,
   fetchCategoryCounts,
   searchProductsSuggestions,
   fetchFeaturedProducts,
   fetchRelatedProducts,
+  fetchRecommendedProducts,
   clearProductsCache,
   invalidateProductsCache,
   prefetchCategory,
   SORT_OPTIONS,
+  SORT_OPTION_LABELS,
 };
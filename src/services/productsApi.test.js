@@ -0,0 +1,446 @@
+/**
+ * Tests for product filtering and facet counts
+ */
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  filterProducts,
+  getProductFacets,
+  sortProducts,
+  fetchProductsInfinite,
+  fetchProductById,
+  fetchSaleSummary,
+  fetchRelatedProducts,
+  fetchRecommendedProducts,
+  fetchCategoryCounts,
+  searchProductsSuggestions,
+  productsCache,
+  SORT_OPTIONS,
+} from './productsApi';
+import { products as catalog } from '../data/products';
+import { reserveStock, resetInventory } from './inventory';
+import { resetLocalCatalog, setLocalProduct } from './catalog';
+import { addReview, resetReviews } from './reviews';
+import { clearRecommendations, recordPurchase, recordSessionView } from './recommendations';
+import { HttpError, NetworkError, setTransport } from './transport';
+
+// IDs outside the catalog so stock comes from each sample's `stock`
+const sampleProducts = [
+  {
+    id: 9001,
+    name: 'Black Phone',
+    category: 'electronics',
+    price: 100,
+    colour: 'Black',
+    stock: 3,
+    deliveryTime: 5,
+  },
+  {
+    id: 9002,
+    name: 'White Phone',
+    category: 'electronics',
+    price: 200,
+    salePrice: 150,
+    onSale: true,
+    colour: 'White',
+    stock: 5,
+    deliveryTime: 9,
+  },
+  {
+    id: 9003,
+    name: 'Black Shirt',
+    category: 'fashion',
+    price: 40,
+    colour: 'Black',
+    stock: 2,
+    deliveryTime: 14,
+  },
+  {
+    id: 9004,
+    name: 'Red Shirt',
+    category: 'fashion',
+    price: 60,
+    colour: 'Red',
+    stock: 4,
+    deliveryTime: 20,
+  },
+];
+
+const ids = (products) => products.map((product) => product.id);
+
+// Rate sample products: 9001 averages 4.5, 9002 gets 3 and 9003 gets 5
+const rateSamples = () => {
+  [
+    [9001, 5],
+    [9001, 4],
+    [9002, 3],
+    [9003, 5],
+  ].forEach(([productId, rating], index) => {
+    addReview({
+      id: `review-${index}`,
+      productId,
+      rating,
+      author: 'Tester',
+      title: '',
+      body: 'Sample review text',
+      createdAt: '2026-01-01T00:00:00Z',
+      verified: false,
+    });
+  });
+};
+
+describe('productsApi', () => {
+  afterEach(() => {
+    resetInventory();
+    resetReviews();
+    clearRecommendations();
+  });
+
+  describe('filterProducts', () => {
+    it('returns every product without filters', () => {
+      expect(filterProducts(sampleProducts)).toHaveLength(4);
+    });
+
+    it('keeps products matching any selected colour', () => {
+      expect(ids(filterProducts(sampleProducts, { colours: ['Black', 'Red'] }))).toEqual([
+        9001, 9003, 9004,
+      ]);
+    });
+
+    it('ignores an empty colour selection', () => {
+      expect(filterProducts(sampleProducts, { colours: [] })).toHaveLength(4);
+    });
+
+    it('filters by maximum delivery days', () => {
+      expect(ids(filterProducts(sampleProducts, { maxDeliveryDays: 10 }))).toEqual([9001, 9002]);
+    });
+
+    it('compares price ranges against the sale price', () => {
+      expect(ids(filterProducts(sampleProducts, { minPrice: 120, maxPrice: 160 }))).toEqual([9002]);
+    });
+
+    it('uses stock left after orders for the in-stock filter', () => {
+      reserveStock([{ id: 9003, quantity: 2, stock: 2 }]);
+
+      expect(ids(filterProducts(sampleProducts, { inStock: true }))).toEqual([9001, 9002, 9004]);
+    });
+
+    it('filters by minimum average rating, leaving out unreviewed products', () => {
+      rateSamples();
+
+      expect(ids(filterProducts(sampleProducts, { minRating: 4 }))).toEqual([9001, 9003]);
+      expect(ids(filterProducts(sampleProducts, { minRating: 2 }))).toEqual([9001, 9002, 9003]);
+    });
+
+    it('matches search terms despite typos, most relevant first', () => {
+      expect(ids(filterProducts(sampleProducts, { search: 'shrit' }))).toEqual([9003, 9004]);
+      expect(ids(filterProducts(sampleProducts, { search: 'black' }))).toEqual([9001, 9003]);
+    });
+
+    it('combines search with facets', () => {
+      expect(ids(filterProducts(sampleProducts, { search: 'phone', colours: ['White'] }))).toEqual([
+        9002,
+      ]);
+    });
+
+    it('combines facets with category', () => {
+      expect(
+        ids(filterProducts(sampleProducts, { category: 'fashion', colours: ['Black'] }))
+      ).toEqual([9003]);
+    });
+  });
+
+  describe('searchProductsSuggestions', () => {
+    it('returns ranked matches with highlights', async () => {
+      const { suggestions, results, totalMatches } = await searchProductsSuggestions('erbuds');
+
+      expect(suggestions[0]).toBe('Wireless Earbuds');
+      expect(results[0].highlights.name).toEqual([[9, 16]]);
+      expect(totalMatches).toBeGreaterThan(0);
+    });
+
+    it('suggests the categories with the most matches', async () => {
+      const { categories, totalMatches } = await searchProductsSuggestions('black');
+      const counted = categories.reduce((sum, { count }) => sum + count, 0);
+
+      expect(categories.length).toBeGreaterThan(0);
+      expect(categories.length).toBeLessThanOrEqual(3);
+      expect(counted).toBeLessThanOrEqual(totalMatches);
+      expect(categories.map(({ count }) => count)).toEqual(
+        [...categories.map(({ count }) => count)].sort((a, b) => b - a)
+      );
+    });
+
+    it('returns nothing for queries under two characters', async () => {
+      expect(await searchProductsSuggestions('e')).toEqual({
+        suggestions: [],
+        products: [],
+        results: [],
+        categories: [],
+        totalMatches: 0,
+      });
+    });
+  });
+
+  describe('sortProducts', () => {
+    it('keeps catalog order by default', () => {
+      expect(ids(sortProducts(sampleProducts, SORT_OPTIONS.DEFAULT))).toEqual([
+        9001, 9002, 9003, 9004,
+      ]);
+    });
+
+    it('sorts by the price a product sells at', () => {
+      expect(ids(sortProducts(sampleProducts, SORT_OPTIONS.PRICE_LOW_HIGH))).toEqual([
+        9003, 9004, 9001, 9002,
+      ]);
+    });
+
+    it('puts the biggest discount first', () => {
+      const products = [
+        ...sampleProducts,
+        { id: 9005, name: 'Cheap Deal', price: 30, salePrice: 25, onSale: true },
+        { id: 9006, name: 'Big Deal', price: 500, salePrice: 300, onSale: true },
+      ];
+
+      expect(ids(sortProducts(products, SORT_OPTIONS.BIGGEST_DISCOUNT)).slice(0, 3)).toEqual([
+        9006, 9002, 9005,
+      ]);
+    });
+
+    it('sorts by average rating, unreviewed products last', () => {
+      rateSamples();
+
+      expect(ids(sortProducts(sampleProducts, SORT_OPTIONS.RATING))).toEqual([
+        9003, 9001, 9002, 9004,
+      ]);
+    });
+
+    it('does not mutate the input', () => {
+      const copy = [...sampleProducts];
+      sortProducts(sampleProducts, SORT_OPTIONS.NAME_Z_A);
+
+      expect(sampleProducts).toEqual(copy);
+    });
+  });
+
+  describe('getProductFacets', () => {
+    it('counts colours, most common first', () => {
+      const facets = getProductFacets(sampleProducts);
+
+      expect(facets.colours).toEqual([
+        { value: 'Black', count: 2 },
+        { value: 'Red', count: 1 },
+        { value: 'White', count: 1 },
+      ]);
+    });
+
+    it('ignores the colour selection when counting colours', () => {
+      const facets = getProductFacets(sampleProducts, { colours: ['Red'] });
+
+      expect(facets.colours.find((c) => c.value === 'Black').count).toBe(2);
+      expect(facets.price.count).toBe(1);
+    });
+
+    it('applies other filters to colour counts', () => {
+      const facets = getProductFacets(sampleProducts, { category: 'electronics' });
+
+      expect(facets.colours).toEqual([
+        { value: 'Black', count: 1 },
+        { value: 'White', count: 1 },
+      ]);
+    });
+
+    it('reports whole-unit price bounds ignoring the price selection', () => {
+      const facets = getProductFacets(sampleProducts, { minPrice: 100 });
+
+      expect(facets.price.min).toBe(40);
+      expect(facets.price.max).toBe(150);
+      expect(facets.price.count).toBe(2);
+    });
+
+    it('counts in-stock, on-sale and delivery options', () => {
+      const facets = getProductFacets(sampleProducts);
+
+      expect(facets.inStock).toBe(4);
+      expect(facets.onSale).toBe(1);
+      expect(facets.delivery).toEqual([
+        { days: 6, count: 1 },
+        { days: 8, count: 1 },
+        { days: 10, count: 2 },
+        { days: 15, count: 3 },
+      ]);
+    });
+
+    it('counts products per minimum rating', () => {
+      rateSamples();
+
+      expect(getProductFacets(sampleProducts, { minRating: 4 }).ratings).toEqual([
+        { minRating: 4, count: 2 },
+        { minRating: 3, count: 3 },
+        { minRating: 2, count: 3 },
+      ]);
+    });
+
+    it('returns zero price bounds when nothing matches', () => {
+      const facets = getProductFacets(sampleProducts, { category: 'toys' });
+
+      expect(facets.price).toEqual({ min: 0, max: 0, count: 0 });
+      expect(facets.colours).toEqual([]);
+    });
+  });
+
+  describe('fetchProductsInfinite', () => {
+    it('applies facet filters and sort order', async () => {
+      const expected = sortProducts(
+        catalog.filter((p) => p.colour === 'Black'),
+        SORT_OPTIONS.NAME_A_Z
+      );
+
+      const result = await fetchProductsInfinite({
+        colours: ['Black'],
+        sortBy: SORT_OPTIONS.NAME_A_Z,
+        limit: 5,
+      });
+
+      expect(result.totalItems).toBe(expected.length);
+      expect(ids(result.items)).toEqual(ids(expected.slice(0, 5)));
+      expect(result.hasMore).toBe(expected.length > 5);
+    });
+
+    it('continues from the cursor', async () => {
+      const first = await fetchProductsInfinite({ limit: 4 });
+      const second = await fetchProductsInfinite({ cursor: first.nextCursor, limit: 4 });
+
+      expect(ids(second.items)).toEqual(ids(catalog.slice(4, 8)));
+    });
+  });
+
+  describe('fetchSaleSummary', () => {
+    it('counts sale items and their total savings', async () => {
+      const saleItems = catalog.filter((p) => p.onSale);
+
+      const summary = await fetchSaleSummary();
+
+      expect(summary.count).toBe(saleItems.length);
+      expect(summary.totalSavings).toBeCloseTo(
+        saleItems.reduce((total, p) => total + (p.price - p.salePrice), 0)
+      );
+    });
+  });
+
+  describe('fetchRelatedProducts', () => {
+    const [earbuds] = catalog;
+    const sameCategory = catalog.filter(
+      (p) => p.category === earbuds.category && p.id !== earbuds.id
+    );
+    const other = catalog.find((p) => p.category !== earbuds.category);
+
+    it('picks products from the same category without purchase data', async () => {
+      const related = await fetchRelatedProducts(earbuds.id);
+
+      expect(ids(related)).toEqual(ids(sameCategory.slice(0, 4)));
+    });
+
+    it('puts products bought together first, from any category', async () => {
+      recordPurchase([earbuds.id, other.id]);
+
+      const related = await fetchRelatedProducts(earbuds.id);
+
+      expect(ids(related)).toEqual([other.id, ...ids(sameCategory.slice(0, 3))]);
+    });
+  });
+
+  describe('fetchRecommendedProducts', () => {
+    it('recommends for several products, leaving them out', async () => {
+      const [first, second] = catalog;
+      const other = catalog.find((p) => p.category !== first.category);
+      recordPurchase([second.id, other.id]);
+
+      const recommended = await fetchRecommendedProducts([first.id, second.id], { limit: 2 });
+
+      expect(ids(recommended)[0]).toBe(other.id);
+      expect(ids(recommended)).not.toContain(first.id);
+      expect(ids(recommended)).not.toContain(second.id);
+    });
+
+    it('leaves out viewing sessions when asked for purchases only', async () => {
+      const [first] = catalog;
+      const other = catalog.find((p) => p.category !== first.category);
+      recordSessionView(first.id);
+      recordSessionView(other.id);
+
+      const viewed = await fetchRecommendedProducts([first.id], { limit: 1 });
+      const bought = await fetchRecommendedProducts([first.id], {
+        limit: 1,
+        purchasesOnly: true,
+      });
+
+      expect(ids(viewed)).toEqual([other.id]);
+      expect(bought[0].category).toBe(first.category);
+    });
+
+    it('returns nothing for no products', async () => {
+      expect(await fetchRecommendedProducts([])).toEqual([]);
+    });
+  });
+
+  describe('cache invalidation', () => {
+    afterEach(() => {
+      resetLocalCatalog();
+    });
+
+    it('drops cached counts when the local catalog changes', async () => {
+      const before = await fetchCategoryCounts();
+
+      setLocalProduct({ ...catalog[0], id: 9999 });
+
+      await expect(fetchCategoryCounts()).resolves.toMatchObject({
+        all: before.all + 1,
+        [catalog[0].category]: before[catalog[0].category] + 1,
+      });
+    });
+
+    it('drops cached listings when stock is reserved', () => {
+      productsCache.set({ type: 'products', inStock: true }, { items: [] });
+      productsCache.set({ type: 'categoryCounts' }, { all: 1 });
+
+      reserveStock([{ id: catalog[0].id, quantity: 1, stock: catalog[0].stock }]);
+
+      expect(productsCache.get({ type: 'products', inStock: true })).toBeNull();
+      expect(productsCache.get({ type: 'categoryCounts' })).toBeNull();
+    });
+  });
+
+  describe('transport', () => {
+    afterEach(() => {
+      setTransport(null);
+    });
+
+    it('reads the catalog from the active transport', async () => {
+      const request = vi.fn(() => Promise.resolve(sampleProducts));
+      setTransport({ name: 'stub', request });
+
+      const result = await fetchProductsInfinite({ category: 'electronics', limit: 10 });
+
+      expect(request).toHaveBeenCalledWith('/products', expect.anything());
+      expect(ids(result.items)).toEqual([9001, 9002]);
+    });
+
+    it('returns null for products the backend does not know', async () => {
+      setTransport({
+        name: 'stub',
+        request: () => Promise.reject(new HttpError(404)),
+      });
+
+      await expect(fetchProductById(424242, { useCache: false })).resolves.toBeNull();
+    });
+
+    it('passes other transport errors through', async () => {
+      setTransport({
+        name: 'stub',
+        request: () => Promise.reject(new NetworkError()),
+      });
+
+      await expect(fetchProductsInfinite()).rejects.toBeInstanceOf(NetworkError);
+    });
+  });
+});
@@ -0,0 +1,486 @@
+/**
+ * Products Cache
+ *
+ * Least-recently-used cache for catalog reads, keyed by request
+ * parameters. Keys are hashed with object fields sorted, so
+ * `{ page: 1, type: 'products' }` and `{ type: 'products', page: 1 }`
+ * are the same entry.
+ *
+ * Entries are fresh for `ttlMs`. For `staleTtlMs` after that they are
+ * still served, while a background request refreshes them
+ * (stale-while-revalidate); subscribers are told when a refresh brings
+ * new data. Identical requests in flight share one load.
+ *
+ * With a `storageKey` the entries are kept in localStorage through a
+ * versioned store (see `utils/versionedStore`). Storage is written when
+ * entries change, not on every read, so a reload keeps the order entries
+ * were stored in.
+ *
+ * Metrics are written to the log after each background refresh and
+ * invalidation.
+ */
+
+import { createVersionedStore, migrateLegacyStore } from '../utils/versionedStore';
+import { createLogger } from '../utils/logger';
+import { AbortError } from './transport';
+
+// Create logger for cache operations
+const log = createLogger('ProductsCache');
+
+/**
+ * A cached response
+ * @typedef {Object} CacheEntry
+ * @property {Object} params - Request parameters the entry answers
+ * @property {*} data - Cached response
+ * @property {number} storedAt - When the response was stored (ms since epoch)
+ */
+
+/**
+ * Cache hit/miss counters
+ * @typedef {Object} CacheMetrics
+ * @property {number} hits - Lookups answered with fresh data
+ * @property {number} staleHits - Lookups answered with stale data while refreshing
+ * @property {number} misses - Lookups that had to load
+ * @property {number} dedupedRequests - Loads shared with an identical request in flight
+ * @property {number} revalidations - Background refreshes started
+ * @property {number} evictions - Entries dropped to stay within `maxSize`
+ * @property {number} size - Entries held
+ * @property {number} hitRate - Share of lookups answered from the cache (0-1)
+ */
+
+/**
+ * Hash request parameters into a key that ignores field order
+ * Fields set to `undefined` count as missing.
+ *
+ * @param {Object} params - Request parameters
+ * @returns {string}
+ *
+ * @example
+ * stableKey({ type: 'products', page: 1 }) === stableKey({ page: 1, type: 'products' }); // true
+ */
+export function stableKey(params) {
+  return JSON.stringify(params, (_key, value) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+      : value
+  );
+}
+
+/**
+ * Wait for a shared load, rejecting early for this caller if its signal aborts
+ * Other callers sharing the load are not affected.
+ *
+ * @param {Promise} promise - Shared load
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @returns {Promise}
+ */
+function withSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new AbortError());
+      return;
+    }
+
+    const onAbort = () => reject(new AbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      (data) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(data);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Create the store persisting a cache's entries
+ * @param {string} storageKey - localStorage key
+ * @returns {import('../utils/versionedStore').VersionedStore} Store of
+ *   `CacheEntry` lists, least recently used first
+ */
+function createPersistedEntries(storageKey) {
+  return createVersionedStore(
+    storageKey,
+    {
+      migrations: [
+        migrateLegacyStore(({ entries }) => {
+          if (!Array.isArray(entries)) {
+            throw new Error('Cached entries are not a list');
+          }
+          return entries;
+        }),
+      ],
+    },
+    []
+  );
+}
+
+/**
+ * LRU cache for API responses with stale-while-revalidate
+ */
+export class ProductsCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxSize=50] - Entries kept before the least recently used is evicted
+   * @param {number} [options.ttlMs=300000] - How long entries are fresh
+   * @param {number} [options.staleTtlMs=0] - How long after that stale entries are served while refreshed
+   * @param {string} [options.storageKey] - localStorage key to persist entries under
+   */
+  constructor(options = {}) {
+    const { maxSize = 50, ttlMs = 5 * 60 * 1000, staleTtlMs = 0, storageKey = null } = options;
+
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    this.staleTtlMs = staleTtlMs;
+    this.store = storageKey ? createPersistedEntries(storageKey) : null;
+
+    /** @type {Map<string, CacheEntry>} Least recently used first */
+    this.cache = new Map();
+    /** @type {Map<string, Promise>} Loads in flight by key */
+    this.inflight = new Map();
+    this.listeners = new Set();
+    this.version = 0;
+    this.metrics = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      dedupedRequests: 0,
+      revalidations: 0,
+      evictions: 0,
+    };
+
+    this.load();
+  }
+
+  /**
+   * Generate cache key from request parameters
+   * @param {Object} params - Request parameters
+   * @returns {string}
+   */
+  generateKey(params) {
+    return stableKey(params);
+  }
+
+  /**
+   * How old an entry is relative to the TTLs
+   * @param {CacheEntry} entry - Cache entry
+   * @returns {'fresh'|'stale'|'expired'}
+   */
+  getState(entry) {
+    const age = Date.now() - entry.storedAt;
+    if (age <= this.ttlMs) {
+      return 'fresh';
+    }
+    return age <= this.ttlMs + this.staleTtlMs ? 'stale' : 'expired';
+  }
+
+  /**
+   * Look up an entry, marking it most recently used
+   * Expired entries are dropped.
+   *
+   * @param {string} key - Cache key
+   * @returns {{ entry: CacheEntry, state: 'fresh'|'stale' }|null}
+   */
+  lookup(key) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    const state = this.getState(entry);
+    if (state === 'expired') {
+      this.cache.delete(key);
+      this.persist();
+      return null;
+    }
+
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return { entry, state };
+  }
+
+  /**
+   * Get a fresh cached response
+   * @param {Object} params - Request parameters
+   * @returns {*} Cached data, or null if missing or stale
+   */
+  get(params) {
+    const key = this.generateKey(params);
+    const found = this.lookup(key);
+
+    if (found?.state !== 'fresh') {
+      return null;
+    }
+
+    this.metrics.hits += 1;
+    log.debug('Cache hit', { key, hits: this.metrics.hits });
+    return found.entry.data;
+  }
+
+  /**
+   * Set cached response
+   * Evicts the least recently used entries beyond `maxSize`.
+   *
+   * @param {Object} params - Request parameters
+   * @param {*} data - Response to cache
+   */
+  set(params, data) {
+    const key = this.generateKey(params);
+
+    this.cache.delete(key);
+    this.cache.set(key, { params, data, storedAt: Date.now() });
+
+    while (this.cache.size > this.maxSize) {
+      const leastRecentKey = this.cache.keys().next().value;
+      this.cache.delete(leastRecentKey);
+      this.metrics.evictions += 1;
+    }
+
+    this.persist();
+    log.debug('Cache set', { key });
+  }
+
+  /**
+   * Get a response through the cache
+   * Fresh entries are returned as is. Stale ones are returned while
+   * `loader` refreshes them in the background. Otherwise `loader` is
+   * called, shared with any identical request already in flight. Loads
+   * resolving to `null` or `undefined` aren't cached.
+   *
+   * @param {Object} params - Request parameters
+   * @param {Function} loader - Loads the response: () => Promise<*>
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Stops waiting for the load; the shared load carries on
+   * @returns {Promise<*>} The response
+   *
+   * @example
+   * const counts = await cache.fetch({ type: 'categoryCounts' }, loadCategoryCounts);
+   */
+  fetch(params, loader, options = {}) {
+    const { signal } = options;
+    const key = this.generateKey(params);
+    const found = this.lookup(key);
+
+    if (found?.state === 'fresh') {
+      this.metrics.hits += 1;
+      log.debug('Cache hit', { key, hits: this.metrics.hits });
+      return Promise.resolve(found.entry.data);
+    }
+
+    if (found?.state === 'stale') {
+      this.metrics.staleHits += 1;
+      log.debug('Cache stale hit', { key, staleHits: this.metrics.staleHits });
+      this.revalidate(key, params, loader);
+      return Promise.resolve(found.entry.data);
+    }
+
+    if (this.inflight.has(key)) {
+      this.metrics.dedupedRequests += 1;
+      log.debug('Cache request shared', { key });
+      return withSignal(this.inflight.get(key), signal);
+    }
+
+    this.metrics.misses += 1;
+    log.debug('Cache miss', { key, misses: this.metrics.misses });
+    return withSignal(this.startLoad(key, params, loader), signal);
+  }
+
+  /**
+   * Load a response and cache it, unless the entry is invalidated meanwhile
+   * @param {string} key - Cache key
+   * @param {Object} params - Request parameters
+   * @param {Function} loader - Loads the response
+   * @returns {Promise<*>} The response
+   */
+  startLoad(key, params, loader) {
+    const request = new Promise((resolve) => resolve(loader())).then(
+      (data) => {
+        if (this.inflight.get(key) === request) {
+          this.inflight.delete(key);
+          if (data != null) {
+            this.set(params, data);
+          }
+        }
+        return data;
+      },
+      (error) => {
+        if (this.inflight.get(key) === request) {
+          this.inflight.delete(key);
+        }
+        throw error;
+      }
+    );
+
+    this.inflight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Refresh a stale entry in the background
+   * Subscribers are told when the refreshed data differs. The metrics
+   * are logged once the refresh settles.
+   *
+   * @param {string} key - Cache key
+   * @param {Object} params - Request parameters
+   * @param {Function} loader - Loads the response
+   */
+  revalidate(key, params, loader) {
+    if (this.inflight.has(key)) {
+      return;
+    }
+
+    this.metrics.revalidations += 1;
+    const previous = stableKey(this.cache.get(key)?.data);
+
+    this.startLoad(key, params, loader)
+      .then(
+        (data) => {
+          if (data != null && stableKey(data) !== previous) {
+            log.debug('Cache revalidated with new data', { key });
+            this.notify();
+          }
+        },
+        (error) => {
+          log.warn('Cache revalidation failed, keeping stale data', { key, error: error.message });
+        }
+      )
+      .then(() => this.logMetrics());
+  }
+
+  /**
+   * Clear the cache
+   */
+  clear() {
+    this.cache.clear();
+    this.inflight.clear();
+    this.persist();
+    log.debug('Cache cleared');
+  }
+
+  /**
+   * Invalidate entries by their request parameters
+   * Loads in flight for them are not cached when they finish. The
+   * metrics are logged afterwards.
+   *
+   * @param {Object|Function} match - Parameters the entries must have
+   *   (e.g. `{ type: 'products' }`), or a predicate on their parameters
+   *
+   * @example
+   * cache.invalidate({ type: 'product', productId: 3 });
+   * cache.invalidate((params) => params.category === 'electronics');
+   */
+  invalidate(match) {
+    const matches =
+      typeof match === 'function'
+        ? match
+        : (params) =>
+            Object.entries(match).every(
+              ([field, value]) => stableKey(params[field]) === stableKey(value)
+            );
+
+    const keysToDelete = [...this.cache.entries()]
+      .filter(([, entry]) => matches(entry.params))
+      .map(([key]) => key);
+    keysToDelete.forEach((key) => this.cache.delete(key));
+
+    // Drop matching loads in flight so their results aren't cached
+    const inflightKeys = [...this.inflight.keys()].filter((key) => matches(JSON.parse(key)));
+    inflightKeys.forEach((key) => this.inflight.delete(key));
+
+    this.persist();
+    log.debug('Cache invalidated', { count: keysToDelete.length });
+    this.logMetrics();
+  }
+
+  /**
+   * Hit/miss counters and size
+   * @returns {CacheMetrics}
+   */
+  getMetrics() {
+    const { hits, staleHits, misses } = this.metrics;
+    const lookups = hits + staleHits + misses;
+
+    return {
+      ...this.metrics,
+      size: this.cache.size,
+      hitRate: lookups === 0 ? 0 : (hits + staleHits) / lookups,
+    };
+  }
+
+  /**
+   * Write the metrics to the log
+   * @returns {CacheMetrics}
+   */
+  logMetrics() {
+    const metrics = this.getMetrics();
+    log.info('Cache metrics', metrics);
+    return metrics;
+  }
+
+  /**
+   * Reset the metrics counters
+   */
+  resetMetrics() {
+    Object.keys(this.metrics).forEach((name) => {
+      this.metrics[name] = 0;
+    });
+  }
+
+  /**
+   * Subscribe to background refreshes that brought new data
+   * @param {Function} listener - Called after such a refresh
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  /**
+   * Current change counter (for `useSyncExternalStore` snapshots)
+   * @returns {number}
+   */
+  getVersion = () => this.version;
+
+  /**
+   * Bump the version and notify subscribers
+   */
+  notify() {
+    this.version += 1;
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Restore persisted entries, dropping expired ones
+   */
+  load() {
+    if (!this.store) {
+      return;
+    }
+
+    this.store.get().forEach((entry) => {
+      if (this.getState(entry) !== 'expired') {
+        this.cache.set(this.generateKey(entry.params), entry);
+      }
+    });
+    log.debug('Cache restored', { size: this.cache.size });
+  }
+
+  /**
+   * Persist the entries, least recently used first
+   */
+  persist() {
+    this.store?.set([...this.cache.values()]);
+  }
+}
+
+export default ProductsCache;
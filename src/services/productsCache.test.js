@@ -0,0 +1,369 @@
+/**
+ * Tests for the products cache
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ProductsCache, stableKey } from './productsCache';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+import logger from '../utils/logger';
+
+const TTL = 1000;
+const STALE_TTL = 5000;
+const STORAGE_KEY = 'testProductsCache';
+
+const createCache = (options = {}) =>
+  new ProductsCache({ maxSize: 3, ttlMs: TTL, staleTtlMs: STALE_TTL, ...options });
+
+/**
+ * A loader whose calls resolve one by one with the given values
+ */
+const deferredLoader = () => {
+  const pending = [];
+  const loader = vi.fn(
+    () =>
+      new Promise((resolve, reject) => {
+        pending.push({ resolve, reject });
+      })
+  );
+  loader.resolveNext = async (value) => {
+    pending.shift().resolve(value);
+    await vi.advanceTimersByTimeAsync(0);
+  };
+  loader.rejectNext = async (error) => {
+    pending.shift().reject(error);
+    await vi.advanceTimersByTimeAsync(0);
+  };
+  return loader;
+};
+
+describe('ProductsCache', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    localStorage.removeItem(STORAGE_KEY);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('stableKey', () => {
+    it('ignores field order and undefined fields', () => {
+      expect(stableKey({ type: 'products', page: 1, search: undefined })).toBe(
+        stableKey({ page: 1, type: 'products' })
+      );
+      expect(stableKey({ filters: { b: 2, a: 1 } })).toBe(stableKey({ filters: { a: 1, b: 2 } }));
+    });
+
+    it('keeps array order', () => {
+      expect(stableKey({ ids: [1, 2] })).not.toBe(stableKey({ ids: [2, 1] }));
+    });
+  });
+
+  describe('LRU eviction', () => {
+    it('evicts the least recently used entry', () => {
+      const cache = createCache();
+      cache.set({ id: 1 }, 'one');
+      cache.set({ id: 2 }, 'two');
+      cache.set({ id: 3 }, 'three');
+
+      // Reading the oldest entry makes it the most recently used
+      cache.get({ id: 1 });
+      cache.set({ id: 4 }, 'four');
+
+      expect(cache.get({ id: 1 })).toBe('one');
+      expect(cache.get({ id: 2 })).toBeNull();
+      expect(cache.getMetrics()).toMatchObject({ size: 3, evictions: 1 });
+    });
+
+    it('updates an entry without evicting another', () => {
+      const cache = createCache();
+      cache.set({ id: 1 }, 'one');
+      cache.set({ id: 2 }, 'two');
+      cache.set({ id: 3 }, 'three');
+      cache.set({ id: 1 }, 'uno');
+
+      expect(cache.get({ id: 1 })).toBe('uno');
+      expect(cache.get({ id: 2 })).toBe('two');
+    });
+  });
+
+  describe('fetch', () => {
+    it('loads on a miss and answers later requests from the cache', async () => {
+      const cache = createCache();
+      const loader = vi.fn().mockResolvedValue('data');
+
+      await expect(cache.fetch({ type: 'a', page: 1 }, loader)).resolves.toBe('data');
+      await expect(cache.fetch({ page: 1, type: 'a' }, loader)).resolves.toBe('data');
+
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(cache.getMetrics()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    it('does not cache empty results', async () => {
+      const cache = createCache();
+      const loader = vi.fn().mockResolvedValue(null);
+
+      await cache.fetch({ id: 1 }, loader);
+      await cache.fetch({ id: 1 }, loader);
+
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('shares one load between identical requests in flight', async () => {
+      const cache = createCache();
+      const loader = deferredLoader();
+
+      const first = cache.fetch({ id: 1 }, loader);
+      const second = cache.fetch({ id: 1 }, loader);
+      await loader.resolveNext('data');
+
+      await expect(Promise.all([first, second])).resolves.toEqual(['data', 'data']);
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(cache.getMetrics().dedupedRequests).toBe(1);
+    });
+
+    it('passes load errors on without caching them', async () => {
+      const cache = createCache();
+      const loader = vi.fn().mockRejectedValueOnce(new Error('Offline')).mockResolvedValue('data');
+
+      await expect(cache.fetch({ id: 1 }, loader)).rejects.toThrow('Offline');
+      await expect(cache.fetch({ id: 1 }, loader)).resolves.toBe('data');
+    });
+
+    it('stops waiting for an aborted caller only', async () => {
+      const cache = createCache();
+      const loader = deferredLoader();
+      const controller = new AbortController();
+
+      const aborted = cache.fetch({ id: 1 }, loader, { signal: controller.signal });
+      const other = cache.fetch({ id: 1 }, loader);
+      // Attach the assertion first, so the rejection is never unhandled
+      const abortCheck = expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+      controller.abort();
+      await loader.resolveNext('data');
+
+      await abortCheck;
+      await expect(other).resolves.toBe('data');
+      expect(cache.get({ id: 1 })).toBe('data');
+    });
+  });
+
+  describe('stale-while-revalidate', () => {
+    it('serves stale data while refreshing it in the background', async () => {
+      const cache = createCache();
+      cache.set({ id: 1 }, 'old');
+      vi.advanceTimersByTime(TTL + 1);
+      const loader = deferredLoader();
+
+      await expect(cache.fetch({ id: 1 }, loader)).resolves.toBe('old');
+      expect(loader).toHaveBeenCalledTimes(1);
+
+      await loader.resolveNext('new');
+
+      await expect(cache.fetch({ id: 1 }, loader)).resolves.toBe('new');
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(cache.getMetrics()).toMatchObject({ staleHits: 1, revalidations: 1, hits: 1 });
+    });
+
+    it('refreshes a stale entry once however often it is read', async () => {
+      const cache = createCache();
+      cache.set({ id: 1 }, 'old');
+      vi.advanceTimersByTime(TTL + 1);
+      const loader = deferredLoader();
+
+      await cache.fetch({ id: 1 }, loader);
+      await cache.fetch({ id: 1 }, loader);
+
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('notifies subscribers when a refresh brings new data', async () => {
+      const cache = createCache();
+      const listener = vi.fn();
+      cache.subscribe(listener);
+      cache.set({ id: 1 }, 'old');
+      cache.set({ id: 2 }, 'same');
+      vi.advanceTimersByTime(TTL + 1);
+
+      await cache.fetch({ id: 2 }, () => Promise.resolve('same'));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(listener).not.toHaveBeenCalled();
+
+      await cache.fetch({ id: 1 }, () => Promise.resolve('new'));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(cache.getVersion()).toBe(1);
+    });
+
+    it('keeps the stale data when a refresh fails', async () => {
+      const cache = createCache();
+      cache.set({ id: 1 }, 'old');
+      vi.advanceTimersByTime(TTL + 1);
+      const loader = deferredLoader();
+
+      await cache.fetch({ id: 1 }, loader);
+      await loader.rejectNext(new Error('Offline'));
+
+      await expect(cache.fetch({ id: 1 }, loader)).resolves.toBe('old');
+    });
+
+    it('waits for a load once entries are past the stale window', async () => {
+      const cache = createCache();
+      cache.set({ id: 1 }, 'old');
+      vi.advanceTimersByTime(TTL + STALE_TTL + 1);
+
+      await expect(cache.fetch({ id: 1 }, () => Promise.resolve('new'))).resolves.toBe('new');
+      expect(cache.getMetrics()).toMatchObject({ misses: 1, staleHits: 0 });
+    });
+
+    it('does not return stale data from get', () => {
+      const cache = createCache();
+      cache.set({ id: 1 }, 'old');
+      vi.advanceTimersByTime(TTL + 1);
+
+      expect(cache.get({ id: 1 })).toBeNull();
+    });
+  });
+
+  describe('invalidate', () => {
+    it('drops entries with the given parameters, whatever their field order', () => {
+      const cache = createCache();
+      cache.set({ type: 'product', productId: '1' }, 'one');
+      cache.set({ productId: '2', type: 'product' }, 'two');
+      cache.set({ type: 'categories' }, ['all']);
+
+      cache.invalidate({ type: 'product' });
+
+      expect(cache.get({ type: 'product', productId: '1' })).toBeNull();
+      expect(cache.get({ type: 'product', productId: '2' })).toBeNull();
+      expect(cache.get({ type: 'categories' })).toEqual(['all']);
+    });
+
+    it('accepts a predicate', () => {
+      const cache = createCache();
+      cache.set({ type: 'products', page: 1 }, 'first');
+      cache.set({ type: 'products', page: 2 }, 'second');
+
+      cache.invalidate((params) => params.page > 1);
+
+      expect(cache.get({ type: 'products', page: 1 })).toBe('first');
+      expect(cache.get({ type: 'products', page: 2 })).toBeNull();
+    });
+
+    it('does not cache loads that were in flight', async () => {
+      const cache = createCache();
+      const loader = deferredLoader();
+
+      const request = cache.fetch({ type: 'product', productId: '1' }, loader);
+      cache.invalidate({ type: 'product' });
+      await loader.resolveNext('outdated');
+
+      await expect(request).resolves.toBe('outdated');
+      expect(cache.get({ type: 'product', productId: '1' })).toBeNull();
+    });
+  });
+
+  describe('persistence', () => {
+    it('restores entries saved under the storage key', () => {
+      const cache = createCache({ storageKey: STORAGE_KEY });
+      cache.set({ id: 1 }, { name: 'Lamp' });
+
+      const restored = createCache({ storageKey: STORAGE_KEY });
+
+      expect(restored.get({ id: 1 })).toEqual({ name: 'Lamp' });
+    });
+
+    it('keeps the order entries were stored in', () => {
+      const cache = createCache({ storageKey: STORAGE_KEY });
+      cache.set({ id: 1 }, 'one');
+      cache.set({ id: 2 }, 'two');
+      cache.set({ id: 3 }, 'three');
+      cache.set({ id: 1 }, 'uno');
+
+      const restored = createCache({ storageKey: STORAGE_KEY });
+      restored.set({ id: 4 }, 'four');
+
+      expect(restored.get({ id: 1 })).toBe('uno');
+      expect(restored.get({ id: 2 })).toBeNull();
+    });
+
+    it('migrates entries persisted before the envelope', () => {
+      const entry = { params: { id: 1 }, data: 'one', storedAt: Date.now() };
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: 1, entries: [entry] }));
+
+      expect(createCache({ storageKey: STORAGE_KEY }).get({ id: 1 })).toBe('one');
+    });
+
+    it('quarantines entries it cannot read', () => {
+      const unreadable = JSON.stringify({ version: 2, entries: [] });
+      localStorage.setItem(STORAGE_KEY, unreadable);
+
+      const restored = createCache({ storageKey: STORAGE_KEY });
+
+      expect(restored.getMetrics().size).toBe(0);
+      expect(getQuarantinedEntries()).toEqual([
+        expect.objectContaining({ key: STORAGE_KEY, raw: unreadable }),
+      ]);
+    });
+
+    it('drops expired entries', () => {
+      createCache({ storageKey: STORAGE_KEY }).set({ id: 1 }, 'one');
+      vi.advanceTimersByTime(TTL + STALE_TTL + 1);
+
+      expect(createCache({ storageKey: STORAGE_KEY }).getMetrics().size).toBe(0);
+    });
+
+    it('is off without a storage key', () => {
+      createCache().set({ id: 1 }, 'one');
+
+      expect(createCache().get({ id: 1 })).toBeNull();
+    });
+  });
+
+  describe('metrics', () => {
+    it('writes the metrics to the log', async () => {
+      const handler = vi.fn();
+      logger.addHandler(handler);
+      const cache = createCache();
+      await cache.fetch({ id: 1 }, () => Promise.resolve('data'));
+      await cache.fetch({ id: 1 }, () => Promise.resolve('data'));
+
+      cache.logMetrics();
+      logger.removeHandler(handler);
+
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Cache metrics', hits: 1, misses: 1, size: 1 })
+      );
+    });
+
+    it('logs the metrics after a background refresh and on invalidation', async () => {
+      const handler = vi.fn();
+      logger.addHandler(handler);
+      const cache = createCache();
+      cache.set({ id: 1 }, 'old');
+      vi.advanceTimersByTime(TTL + 1);
+
+      await cache.fetch({ id: 1 }, () => Promise.resolve('new'));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Cache metrics', staleHits: 1, revalidations: 1 })
+      );
+
+      handler.mockClear();
+      cache.invalidate({ id: 1 });
+      logger.removeHandler(handler);
+
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Cache metrics', size: 0 })
+      );
+    });
+
+    it('resets the counters', async () => {
+      const cache = createCache();
+      await cache.fetch({ id: 1 }, () => Promise.resolve('data'));
+
+      cache.resetMetrics();
+
+      expect(cache.getMetrics()).toMatchObject({ hits: 0, misses: 0, hitRate: 0, size: 1 });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Recently Viewed Store
+ *
+ * Records which products the shopper has opened, most recent first.
+ * Each product appears once, with the time it was last viewed, and the
+ * list is capped at `RECENTLY_VIEWED.MAX_ITEMS`. The history is kept in
+ * localStorage; components can subscribe to be told when it changes.
+ */
+
+import { RECENTLY_VIEWED, STORAGE_KEYS } from '../constants';
+import { createVersionedStore, migrateLegacyStore } from '../utils/versionedStore';
+import { createLogger } from '../utils/logger';
+
+// Create logger for history operations
+const log = createLogger('RecentlyViewed');
+
+/**
+ * A viewed product
+ * @typedef {Object} ViewedEntry
+ * @property {number} productId - Product ID
+ * @property {string} viewedAt - ISO timestamp of the latest view
+ */
+
+/**
+ * Stored history, most recent first
+ */
+const store = createVersionedStore(
+  STORAGE_KEYS.RECENTLY_VIEWED,
+  {
+    migrations: [
+      migrateLegacyStore(({ entries }) => {
+        if (!Array.isArray(entries)) {
+          throw new Error('Recently viewed history is not a list');
+        }
+        return entries;
+      }),
+    ],
+  },
+  []
+);
+
+/**
+ * Get the viewed products, most recent first
+ * The same list is returned until the history changes, so it works as a
+ * `useSyncExternalStore` snapshot.
+ *
+ * @returns {ViewedEntry[]}
+ */
+export function getRecentlyViewed() {
+  return store.get();
+}
+
+/**
+ * Record that a product was viewed
+ * Moves the product to the front of the history if it was already there.
+ *
+ * @param {number|string} productId - Product ID
+ * @param {Date} [viewedAt=new Date()] - When the product was viewed
+ * @returns {ViewedEntry[]} The updated history
+ */
+export function recordProductView(productId, viewedAt = new Date()) {
+  const id = Number(productId);
+  const entries = [
+    { productId: id, viewedAt: viewedAt.toISOString() },
+    ...store.get().filter((entry) => entry.productId !== id),
+  ].slice(0, RECENTLY_VIEWED.MAX_ITEMS);
+
+  store.set(entries);
+  return entries;
+}
+
+/**
+ * Forget every viewed product
+ */
+export function clearRecentlyViewed() {
+  store.set([]);
+  log.debug('Recently viewed history cleared');
+}
+
+/**
+ * Subscribe to history changes
+ * @param {Function} listener - Called after the history changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRecentlyViewed(listener) {
+  return store.subscribe(listener);
+}
+
+/**
+ * Current change counter (for `useSyncExternalStore` snapshots)
+ * @returns {number}
+ */
+export function getRecentlyViewedVersion() {
+  return store.getVersion();
+}
+
+export default {
+  getRecentlyViewed,
+  recordProductView,
+  clearRecentlyViewed,
+  subscribeToRecentlyViewed,
+  getRecentlyViewedVersion,
+};
@@ -0,0 +1,131 @@
+/**
+ * Tests for the recently viewed store
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getRecentlyViewed,
+  recordProductView,
+  clearRecentlyViewed,
+  subscribeToRecentlyViewed,
+  getRecentlyViewedVersion,
+} from './recentlyViewed';
+import { RECENTLY_VIEWED, STORAGE_KEYS } from '../constants';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+
+const viewedIds = () => getRecentlyViewed().map((entry) => entry.productId);
+
+describe('Recently viewed', () => {
+  beforeEach(() => {
+    clearRecentlyViewed();
+  });
+
+  describe('recordProductView', () => {
+    it('puts the latest view first', () => {
+      recordProductView(1);
+      recordProductView(3);
+
+      expect(viewedIds()).toEqual([3, 1]);
+    });
+
+    it('moves a product viewed again to the front without duplicating it', () => {
+      recordProductView(1);
+      recordProductView(3);
+      recordProductView(1);
+
+      expect(viewedIds()).toEqual([1, 3]);
+    });
+
+    it('stores when the product was last viewed', () => {
+      recordProductView(1, new Date('2026-05-01T10:00:00Z'));
+      recordProductView(1, new Date('2026-05-02T10:00:00Z'));
+
+      expect(getRecentlyViewed()).toEqual([{ productId: 1, viewedAt: '2026-05-02T10:00:00.000Z' }]);
+    });
+
+    it('accepts string product IDs', () => {
+      recordProductView('5');
+
+      expect(viewedIds()).toEqual([5]);
+    });
+
+    it(`keeps at most ${RECENTLY_VIEWED.MAX_ITEMS} products`, () => {
+      for (let id = 1; id <= RECENTLY_VIEWED.MAX_ITEMS + 3; id++) {
+        recordProductView(id);
+      }
+
+      const ids = viewedIds();
+      expect(ids).toHaveLength(RECENTLY_VIEWED.MAX_ITEMS);
+      expect(ids[0]).toBe(RECENTLY_VIEWED.MAX_ITEMS + 3);
+      expect(ids).not.toContain(1);
+    });
+
+    it('persists the history with a store version', () => {
+      recordProductView(2);
+
+      const store = JSON.parse(localStorage.getItem(STORAGE_KEYS.RECENTLY_VIEWED));
+      expect(store.schemaVersion).toBe(1);
+      expect(store.data.map((entry) => entry.productId)).toEqual([2]);
+    });
+  });
+
+  describe('getRecentlyViewed', () => {
+    it('reads a history stored before the store used the envelope', () => {
+      const entries = [{ productId: 1, viewedAt: '2026-05-01T00:00:00.000Z' }];
+      localStorage.setItem(STORAGE_KEYS.RECENTLY_VIEWED, JSON.stringify({ version: 1, entries }));
+
+      expect(getRecentlyViewed()).toEqual(entries);
+    });
+
+    it('quarantines a store with an unknown version', () => {
+      localStorage.setItem(
+        STORAGE_KEYS.RECENTLY_VIEWED,
+        JSON.stringify({ version: 999, entries: [{ productId: 1, viewedAt: '' }] })
+      );
+
+      expect(getRecentlyViewed()).toEqual([]);
+      expect(getQuarantinedEntries()).toEqual([
+        expect.objectContaining({ key: STORAGE_KEYS.RECENTLY_VIEWED }),
+      ]);
+    });
+
+    it('returns the same list until the history changes', () => {
+      recordProductView(1);
+      const entries = getRecentlyViewed();
+
+      expect(getRecentlyViewed()).toBe(entries);
+
+      recordProductView(2);
+
+      expect(getRecentlyViewed()).not.toBe(entries);
+    });
+  });
+
+  describe('clearRecentlyViewed', () => {
+    it('forgets every viewed product', () => {
+      recordProductView(1);
+      recordProductView(2);
+
+      clearRecentlyViewed();
+
+      expect(getRecentlyViewed()).toEqual([]);
+    });
+  });
+
+  describe('subscribeToRecentlyViewed', () => {
+    it('notifies listeners and bumps the version on change', () => {
+      const listener = vi.fn();
+      const unsubscribe = subscribeToRecentlyViewed(listener);
+      const before = getRecentlyViewedVersion();
+
+      recordProductView(1);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(getRecentlyViewedVersion()).toBe(before + 1);
+
+      unsubscribe();
+      recordProductView(2);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Recommendations Store
+ *
+ * Counts how often pairs of products end up together: in a checked-out
+ * cart, or viewed in the same browsing session (views at most
+ * `RECOMMENDATIONS.SESSION_GAP_MINUTES` apart). Pairs are counted
+ * whatever their categories, so a lamp bought with bulbs recommends the
+ * bulbs. The counts are kept in localStorage; components can subscribe
+ * to be told when they change.
+ */
+
+import { RECOMMENDATIONS, STORAGE_KEYS } from '../constants';
+import { createVersionedStore, migrateLegacyStore } from '../utils/versionedStore';
+import { createLogger } from '../utils/logger';
+
+// Create logger for recommendation operations
+const log = createLogger('Recommendations');
+
+/**
+ * How often two products appeared together
+ * @typedef {Object} PairCounts
+ * @property {number} bought - Orders with both products
+ * @property {number} viewed - Browsing sessions with both products
+ */
+
+/**
+ * The current browsing session
+ * @typedef {Object} ViewingSession
+ * @property {number[]} productIds - Products viewed, oldest first
+ * @property {string} lastViewedAt - ISO timestamp of the latest view
+ */
+
+/**
+ * Store without any data
+ */
+const EMPTY_STORE = { pairs: {}, session: null };
+
+/**
+ * Stored counts and the current browsing session
+ */
+const store = createVersionedStore(
+  STORAGE_KEYS.RECOMMENDATIONS,
+  {
+    migrations: [
+      migrateLegacyStore(({ pairs, session = null }) => {
+        if (!pairs || typeof pairs !== 'object') {
+          throw new Error('Recommendation counts are not an object');
+        }
+        return { pairs, session };
+      }),
+    ],
+  },
+  EMPTY_STORE
+);
+
+/**
+ * Key of a pair of products, the same whichever order they come in
+ * @param {number} a - Product ID
+ * @param {number} b - Product ID
+ * @returns {string}
+ */
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+/**
+ * Count one more appearance of a product with each of the others
+ * @param {Object<string, PairCounts>} pairs - Counts to update
+ * @param {number} productId - Product ID
+ * @param {number[]} otherIds - IDs of the products it appeared with
+ * @param {'bought'|'viewed'} field - Which count to bump
+ * @returns {Object<string, PairCounts>} Updated counts
+ */
+function countPairs(pairs, productId, otherIds, field) {
+  const updated = { ...pairs };
+  otherIds.forEach((otherId) => {
+    const key = pairKey(productId, otherId);
+    const counts = updated[key] ?? { bought: 0, viewed: 0 };
+    updated[key] = { ...counts, [field]: counts[field] + 1 };
+  });
+  return updated;
+}
+
+/**
+ * Record the products of a checked-out cart
+ * Each product is counted once per order, however many lines or units
+ * of it the cart had.
+ *
+ * @param {Array<number|string>} productIds - IDs of the products ordered
+ */
+export function recordPurchase(productIds) {
+  const ids = [...new Set(productIds.map(Number))];
+  if (ids.length < 2) {
+    return;
+  }
+
+  const stored = store.get();
+  let { pairs } = stored;
+  ids.forEach((id, index) => {
+    pairs = countPairs(pairs, id, ids.slice(index + 1), 'bought');
+  });
+
+  store.set({ ...stored, pairs });
+  log.debug('Purchase recorded', { productIds: ids });
+}
+
+/**
+ * Record a product view in the current browsing session
+ * Pairs the product with the others viewed in the session the first time
+ * it is viewed there. A view more than `RECOMMENDATIONS.SESSION_GAP_MINUTES`
+ * after the previous one starts a new session.
+ *
+ * @param {number|string} productId - Product ID
+ * @param {Date} [viewedAt=new Date()] - When the product was viewed
+ */
+export function recordSessionView(productId, viewedAt = new Date()) {
+  const id = Number(productId);
+  const stored = store.get();
+  const { session } = stored;
+
+  const gap = session ? viewedAt - new Date(session.lastViewedAt) : Infinity;
+  const sessionIds =
+    gap <= RECOMMENDATIONS.SESSION_GAP_MINUTES * 60 * 1000 ? session.productIds : [];
+
+  const pairs = sessionIds.includes(id)
+    ? stored.pairs
+    : countPairs(stored.pairs, id, sessionIds, 'viewed');
+
+  store.set({
+    pairs,
+    session: {
+      productIds: [...sessionIds.filter((sessionId) => sessionId !== id), id].slice(
+        -RECOMMENDATIONS.MAX_SESSION_ITEMS
+      ),
+      lastViewedAt: viewedAt.toISOString(),
+    },
+  });
+}
+
+/**
+ * Score the products that appeared with any of the given ones
+ * Purchases weigh `RECOMMENDATIONS.PURCHASE_WEIGHT` and shared sessions
+ * `RECOMMENDATIONS.VIEW_WEIGHT`; scores add up across the given products.
+ *
+ * @param {Array<number|string>} productIds - Products to recommend for
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.purchasesOnly=false] - Ignore shared viewing sessions
+ * @returns {Map<number, number>} Score by product ID, without the given products
+ */
+export function getRecommendationScores(productIds, options = {}) {
+  const { purchasesOnly = false } = options;
+  const ids = new Set(productIds.map(Number));
+  const scores = new Map();
+
+  Object.entries(store.get().pairs).forEach(([key, { bought, viewed }]) => {
+    const score =
+      bought * RECOMMENDATIONS.PURCHASE_WEIGHT +
+      (purchasesOnly ? 0 : viewed * RECOMMENDATIONS.VIEW_WEIGHT);
+    if (score === 0) {
+      return;
+    }
+
+    const [a, b] = key.split(':').map(Number);
+    if (ids.has(a) && !ids.has(b)) {
+      scores.set(b, (scores.get(b) ?? 0) + score);
+    } else if (ids.has(b) && !ids.has(a)) {
+      scores.set(a, (scores.get(a) ?? 0) + score);
+    }
+  });
+
+  return scores;
+}
+
+/**
+ * Pick the products to recommend for the given ones
+ * Products scored by `getRecommendationScores` come first, highest
+ * score first (catalog order breaks ties). Without enough data the rest
+ * are filled with products from the same categories as the given ones.
+ *
+ * @param {Array} catalog - Products to choose from
+ * @param {Array<number|string>} productIds - Products to recommend for
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=4] - Number of products
+ * @param {boolean} [options.purchasesOnly=false] - Ignore shared viewing sessions
+ * @returns {Array} Recommended products, without the given ones
+ */
+export function recommendProducts(catalog, productIds, options = {}) {
+  const { limit = 4, purchasesOnly = false } = options;
+  const ids = new Set(productIds.map(Number));
+  const scores = getRecommendationScores([...ids], { purchasesOnly });
+  const categories = new Set(
+    catalog.filter((product) => ids.has(product.id)).map((product) => product.category)
+  );
+
+  const scored = catalog
+    .filter((product) => scores.has(product.id))
+    .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+  const sameCategory = catalog.filter(
+    (product) => categories.has(product.category) && !ids.has(product.id) && !scores.has(product.id)
+  );
+
+  return [...scored, ...sameCategory].slice(0, limit);
+}
+
+/**
+ * Forget every recorded purchase and view
+ */
+export function clearRecommendations() {
+  store.set(EMPTY_STORE);
+  log.debug('Recommendation data cleared');
+}
+
+/**
+ * Subscribe to changes in the counts
+ * @param {Function} listener - Called after the counts change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRecommendations(listener) {
+  return store.subscribe(listener);
+}
+
+/**
+ * Current change counter (for `useSyncExternalStore` snapshots)
+ * @returns {number}
+ */
+export function getRecommendationsVersion() {
+  return store.getVersion();
+}
+
+export default {
+  recordPurchase,
+  recordSessionView,
+  getRecommendationScores,
+  recommendProducts,
+  clearRecommendations,
+  subscribeToRecommendations,
+  getRecommendationsVersion,
+};
@@ -0,0 +1,176 @@
+/**
+ * Tests for the recommendations store
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  recordPurchase,
+  recordSessionView,
+  getRecommendationScores,
+  recommendProducts,
+  clearRecommendations,
+  subscribeToRecommendations,
+  getRecommendationsVersion,
+} from './recommendations';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+import { RECOMMENDATIONS, STORAGE_KEYS } from '../constants';
+
+const { PURCHASE_WEIGHT, VIEW_WEIGHT } = RECOMMENDATIONS;
+
+const catalog = [
+  { id: 1, name: 'Wireless Earbuds', category: 'electronics' },
+  { id: 2, name: 'Smart Watch', category: 'electronics' },
+  { id: 3, name: 'Bluetooth Speaker', category: 'electronics' },
+  { id: 4, name: 'Desk Lamp', category: 'home' },
+  { id: 5, name: 'Light Bulbs', category: 'home' },
+  { id: 6, name: 'Running Shoes', category: 'fashion' },
+];
+
+const at = (minutes) => new Date(Date.UTC(2026, 4, 1, 10, minutes));
+
+const scoresFor = (productIds, options) =>
+  Object.fromEntries(getRecommendationScores(productIds, options));
+
+describe('Recommendations', () => {
+  beforeEach(() => {
+    clearRecommendations();
+  });
+
+  describe('recordPurchase', () => {
+    it('pairs every product of the order', () => {
+      recordPurchase([1, 4, 6]);
+
+      expect(scoresFor([1])).toEqual({ 4: PURCHASE_WEIGHT, 6: PURCHASE_WEIGHT });
+      expect(scoresFor([6])).toEqual({ 1: PURCHASE_WEIGHT, 4: PURCHASE_WEIGHT });
+    });
+
+    it('counts a product once per order', () => {
+      recordPurchase([1, '4', 4]);
+
+      expect(scoresFor([1])).toEqual({ 4: PURCHASE_WEIGHT });
+    });
+
+    it('ignores orders of a single product', () => {
+      recordPurchase([1, 1]);
+
+      expect(scoresFor([1])).toEqual({});
+    });
+  });
+
+  describe('recordSessionView', () => {
+    it('pairs a view with the others in the session', () => {
+      recordSessionView(1, at(0));
+      recordSessionView(4, at(5));
+      recordSessionView(6, at(10));
+
+      expect(scoresFor([6])).toEqual({ 1: VIEW_WEIGHT, 4: VIEW_WEIGHT });
+    });
+
+    it('counts a product viewed again in the session once', () => {
+      recordSessionView(1, at(0));
+      recordSessionView(4, at(1));
+      recordSessionView(1, at(2));
+
+      expect(scoresFor([1])).toEqual({ 4: VIEW_WEIGHT });
+    });
+
+    it('starts a new session after a long gap', () => {
+      recordSessionView(1, at(0));
+      recordSessionView(4, at(RECOMMENDATIONS.SESSION_GAP_MINUTES + 1));
+
+      expect(scoresFor([1])).toEqual({});
+    });
+
+    it('pairs with the latest products of a long session only', () => {
+      const viewed = Array.from(
+        { length: RECOMMENDATIONS.MAX_SESSION_ITEMS + 1 },
+        (_, i) => i + 10
+      );
+      viewed.forEach((id, index) => recordSessionView(id, at(index)));
+
+      recordSessionView(1, at(viewed.length));
+
+      expect(Object.keys(scoresFor([1]))).toHaveLength(RECOMMENDATIONS.MAX_SESSION_ITEMS);
+      expect(scoresFor([1])[viewed[0]]).toBeUndefined();
+    });
+  });
+
+  describe('getRecommendationScores', () => {
+    it('adds up purchases and shared sessions', () => {
+      recordPurchase([1, 4]);
+      recordSessionView(1, at(0));
+      recordSessionView(4, at(1));
+
+      expect(scoresFor([1])).toEqual({ 4: PURCHASE_WEIGHT + VIEW_WEIGHT });
+      expect(scoresFor([1], { purchasesOnly: true })).toEqual({ 4: PURCHASE_WEIGHT });
+    });
+
+    it('adds up scores across products and leaves them out', () => {
+      recordPurchase([1, 4, 5]);
+      recordPurchase([2, 5]);
+
+      expect(scoresFor([1, 2])).toEqual({ 4: PURCHASE_WEIGHT, 5: 2 * PURCHASE_WEIGHT });
+    });
+  });
+
+  describe('recommendProducts', () => {
+    it('falls back to the same category without data', () => {
+      expect(recommendProducts(catalog, [1]).map((p) => p.id)).toEqual([2, 3]);
+    });
+
+    it('puts the highest scored products first, whatever their category', () => {
+      recordPurchase([1, 5]);
+      recordPurchase([1, 4]);
+      recordPurchase([1, 4]);
+
+      expect(recommendProducts(catalog, [1]).map((p) => p.id)).toEqual([4, 5, 2, 3]);
+    });
+
+    it('keeps catalog order between equal scores and respects the limit', () => {
+      recordPurchase([1, 6, 4]);
+
+      expect(recommendProducts(catalog, [1], { limit: 3 }).map((p) => p.id)).toEqual([4, 6, 2]);
+    });
+
+    it('recommends for several products at once', () => {
+      expect(recommendProducts(catalog, [1, 4]).map((p) => p.id)).toEqual([2, 3, 5]);
+    });
+  });
+
+  it('migrates counts stored before the envelope', () => {
+    localStorage.setItem(
+      STORAGE_KEYS.RECOMMENDATIONS,
+      JSON.stringify({ version: 1, pairs: { '1:4': { bought: 1, viewed: 0 } }, session: null })
+    );
+
+    expect(scoresFor([1])).toEqual({ 4: PURCHASE_WEIGHT });
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.RECOMMENDATIONS))).toEqual({
+      schemaVersion: 1,
+      data: { pairs: { '1:4': { bought: 1, viewed: 0 } }, session: null },
+    });
+  });
+
+  it('quarantines a store with an unsupported version', () => {
+    const unreadable = JSON.stringify({ version: 99, pairs: { '1:4': { bought: 5, viewed: 0 } } });
+    localStorage.setItem(STORAGE_KEYS.RECOMMENDATIONS, unreadable);
+
+    expect(scoresFor([1])).toEqual({});
+    expect(getQuarantinedEntries()).toEqual([
+      expect.objectContaining({ key: STORAGE_KEYS.RECOMMENDATIONS, raw: unreadable }),
+    ]);
+  });
+
+  it('notifies subscribers and bumps the version on change', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToRecommendations(listener);
+    const versionBefore = getRecommendationsVersion();
+
+    recordPurchase([1, 4]);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(getRecommendationsVersion()).toBe(versionBefore + 1);
+
+    unsubscribe();
+    recordSessionView(1);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
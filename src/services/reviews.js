@@ -0,0 +1,148 @@
+/**
+ * Reviews Store
+ *
+ * Local stand-in for a backend reviews service. Seed reviews from
+ * data/reviews are always present; reviews written through
+ * `reviewsApi.submit` are kept in localStorage. Components can
+ * subscribe to be told when reviews change.
+ */
+
+import { reviews as seedReviews } from '../data/reviews';
+import { STORAGE_KEYS } from '../constants';
+import { createVersionedStore, migrateLegacyStore } from '../utils/versionedStore';
+import { summarizeRatings } from '../utils/reviews';
+import { createLogger } from '../utils/logger';
+
+// Create logger for review operations
+const log = createLogger('Reviews');
+
+/**
+ * Reviews written in the app
+ */
+const store = createVersionedStore(
+  STORAGE_KEYS.REVIEWS,
+  {
+    migrations: [
+      migrateLegacyStore(({ reviews }) => {
+        if (!Array.isArray(reviews)) {
+          throw new Error('Reviews are not a list');
+        }
+        return reviews;
+      }),
+    ],
+  },
+  []
+);
+
+/**
+ * Summary of a product nobody has reviewed
+ */
+const EMPTY_SUMMARY = summarizeRatings([]);
+
+/**
+ * Rating summaries, with the stored reviews they were worked out from
+ */
+let summaries = { stored: null, byProduct: new Map() };
+
+/**
+ * Every review, seed and stored
+ * @returns {Array}
+ */
+function loadAllReviews() {
+  return [...seedReviews, ...store.get()];
+}
+
+/**
+ * Get the reviews for a product (unsorted)
+ * @param {number|string} productId - Product ID
+ * @returns {Array} Reviews
+ */
+export function getReviews(productId) {
+  return loadAllReviews().filter((review) => review.productId === Number(productId));
+}
+
+/**
+ * Get the rating summary for a product
+ * @param {number|string} productId - Product ID
+ * @returns {import('../utils/reviews').RatingSummary}
+ */
+export function getRatingSummary(productId) {
+  return getRatingSummaries().get(Number(productId)) ?? EMPTY_SUMMARY;
+}
+
+/**
+ * Get rating summaries for every reviewed product in one pass
+ * Use this when rating many products (sorting, filtering). The same Map
+ * is returned until a review is added, so it works as a
+ * `useSyncExternalStore` snapshot.
+ *
+ * @returns {Map<number, import('../utils/reviews').RatingSummary>} Summaries keyed by product ID
+ */
+export function getRatingSummaries() {
+  const stored = store.get();
+  if (stored === summaries.stored) {
+    return summaries.byProduct;
+  }
+
+  const byProduct = new Map();
+  [...seedReviews, ...stored].forEach((review) => {
+    const productReviews = byProduct.get(review.productId) ?? [];
+    productReviews.push(review);
+    byProduct.set(review.productId, productReviews);
+  });
+
+  summaries = {
+    stored,
+    byProduct: new Map(
+      [...byProduct.entries()].map(([productId, reviews]) => [productId, summarizeRatings(reviews)])
+    ),
+  };
+  return summaries.byProduct;
+}
+
+/**
+ * Store a new review
+ * The review should already be sanitized and validated.
+ *
+ * @param {Object} review - Complete review record
+ * @returns {Object} The stored review
+ */
+export function addReview(review) {
+  store.set([...store.get(), review]);
+  log.debug('Review added', { productId: review.productId, rating: review.rating });
+  return review;
+}
+
+/**
+ * Subscribe to review changes
+ * @param {Function} listener - Called after reviews change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToReviews(listener) {
+  return store.subscribe(listener);
+}
+
+/**
+ * Current change counter (for `useSyncExternalStore` snapshots)
+ * @returns {number}
+ */
+export function getReviewsVersion() {
+  return store.getVersion();
+}
+
+/**
+ * Remove every review written in the app (e.g. for tests or a demo reset)
+ */
+export function resetReviews() {
+  store.set([]);
+}
+
+export default {
+  getReviews,
+  getRatingSummary,
+  getRatingSummaries,
+  addReview,
+  subscribeToReviews,
+  getReviewsVersion,
+  resetReviews,
+};
@@ -0,0 +1,128 @@
+/**
+ * Tests for the local reviews store
+ */
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getReviews,
+  getRatingSummary,
+  getRatingSummaries,
+  addReview,
+  subscribeToReviews,
+  getReviewsVersion,
+  resetReviews,
+} from './reviews';
+import { reviews as seedReviews } from '../data/reviews';
+import { getQuarantinedEntries } from '../utils/storageSchema';
+
+// Product 1 (Wireless Earbuds) has three seed reviews: 5, 4 and 3 stars
+const seedCount = seedReviews.filter((review) => review.productId === 1).length;
+
+const newReview = {
+  id: 'review-test',
+  productId: 1,
+  rating: 1,
+  author: 'Alex',
+  title: '',
+  body: 'Stopped charging after a week.',
+  createdAt: '2026-05-01T00:00:00Z',
+  verified: false,
+};
+
+describe('Reviews', () => {
+  describe('getReviews', () => {
+    it('returns the seed reviews for a product', () => {
+      const reviews = getReviews(1);
+
+      expect(reviews).toHaveLength(seedCount);
+      expect(reviews.every((review) => review.productId === 1)).toBe(true);
+    });
+
+    it('accepts string product IDs', () => {
+      expect(getReviews('1')).toHaveLength(seedCount);
+    });
+
+    it('returns an empty list for products without reviews', () => {
+      expect(getReviews(99999)).toEqual([]);
+    });
+
+    it('reads reviews stored before the store used the envelope', () => {
+      localStorage.setItem('reviews', JSON.stringify({ version: 1, reviews: [newReview] }));
+
+      expect(getReviews(1)).toHaveLength(seedCount + 1);
+    });
+
+    it('quarantines a store with an unknown version', () => {
+      localStorage.setItem('reviews', JSON.stringify({ version: 999, reviews: [newReview] }));
+
+      expect(getReviews(1)).toHaveLength(seedCount);
+      expect(getQuarantinedEntries()).toEqual([
+        expect.objectContaining({ key: 'reviews', reason: 'Unsupported store version 999' }),
+      ]);
+    });
+  });
+
+  describe('addReview', () => {
+    it('stores the review alongside the seed reviews', () => {
+      addReview(newReview);
+
+      expect(getReviews(1)).toHaveLength(seedCount + 1);
+      expect(JSON.parse(localStorage.getItem('reviews'))).toEqual({
+        schemaVersion: 1,
+        data: [newReview],
+      });
+    });
+
+    it('updates the rating summary', () => {
+      expect(getRatingSummary(1)).toMatchObject({ average: 4, count: 3 });
+
+      addReview(newReview);
+
+      expect(getRatingSummary(1)).toMatchObject({ average: 3.3, count: 4 });
+      expect(getRatingSummary(1).histogram[1]).toBe(1);
+    });
+
+    it('notifies subscribers and bumps the version', () => {
+      const listener = vi.fn();
+      const unsubscribe = subscribeToReviews(listener);
+      const version = getReviewsVersion();
+
+      addReview(newReview);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(getReviewsVersion()).toBe(version + 1);
+
+      unsubscribe();
+      addReview({ ...newReview, id: 'review-test-2' });
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getRatingSummaries', () => {
+    it('summarizes every reviewed product', () => {
+      const summaries = getRatingSummaries();
+
+      expect(summaries.get(1)).toEqual(getRatingSummary(1));
+      expect(summaries.has(99999)).toBe(false);
+    });
+
+    it('returns the same summaries until a review is added', () => {
+      const summaries = getRatingSummaries();
+
+      expect(getRatingSummaries()).toBe(summaries);
+      expect(getRatingSummary(99999)).toBe(getRatingSummary(99998));
+
+      addReview(newReview);
+
+      expect(getRatingSummaries()).not.toBe(summaries);
+    });
+  });
+
+  describe('resetReviews', () => {
+    it('removes reviews written in the app', () => {
+      addReview(newReview);
+      resetReviews();
+
+      expect(getReviews(1)).toHaveLength(seedCount);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Service Transport Errors
+ *
+ * Typed errors raised by every transport, so callers can tell a
+ * missing resource from a dropped connection without parsing messages.
+ * `retryable` marks failures that are worth trying again.
+ */
+
+/**
+ * Base class for transport errors
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {string} [options.code='API_ERROR'] - Machine-readable error code
+   * @param {string} [options.url] - Request URL or path
+   * @param {boolean} [options.retryable=false] - Whether retrying may succeed
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, { code = 'API_ERROR', url, retryable = false, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'ApiError';
+    this.code = code;
+    this.url = url;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * The server answered with a non-2xx status
+ */
+export class HttpError extends ApiError {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {Object} [options]
+   * @param {string} [options.statusText] - HTTP status text
+   * @param {*} [options.body] - Parsed error response body
+   * @param {string} [options.url] - Request URL or path
+   */
+  constructor(status, { statusText = '', body = null, url } = {}) {
+    super(body?.message || `Request failed with status ${status}`, {
+      code: 'HTTP_ERROR',
+      url,
+      retryable: status >= 500 || status === 408 || status === 429,
+    });
+    this.name = 'HttpError';
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, refused connection)
+ */
+export class NetworkError extends ApiError {
+  constructor(message = 'Network request failed', { url, cause } = {}) {
+    super(message, { code: 'NETWORK_ERROR', url, retryable: true, cause });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The request took longer than the configured timeout
+ */
+export class TimeoutError extends ApiError {
+  /**
+   * @param {number} timeoutMs - Timeout that was exceeded
+   * @param {Object} [options]
+   * @param {string} [options.url] - Request URL or path
+   */
+  constructor(timeoutMs, { url } = {}) {
+    super(`Request timed out after ${timeoutMs}ms`, { code: 'TIMEOUT', url, retryable: true });
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The caller aborted the request through its AbortSignal
+ * Named like the DOM error so `error.name === 'AbortError'` checks keep working.
+ */
+export class AbortError extends ApiError {
+  constructor(message = 'Request was aborted', { url } = {}) {
+    super(message, { code: 'ABORTED', url });
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Check whether an error is a 404 from the transport
+ * @param {*} error - Caught error
+ * @returns {boolean}
+ */
+export function isNotFoundError(error) {
+  return error instanceof HttpError && error.status === 404;
+}
@@ -0,0 +1,192 @@
+/**
+ * HTTP Transport
+ *
+ * `fetch`-based REST client for a catalog backend. Each attempt has a
+ * timeout; network failures, timeouts and retryable statuses (408, 429,
+ * 5xx) are retried with exponential backoff for GET requests. Callers
+ * can cancel through an AbortSignal. Failures surface as the typed
+ * errors in `./errors`.
+ */
+
+import { API_DEFAULTS, API_TRANSPORTS } from '../../constants';
+import { createLogger } from '../../utils/logger';
+import { ApiError, AbortError, HttpError, NetworkError, TimeoutError } from './errors';
+import { wait } from './wait';
+
+// Create logger for this transport
+const log = createLogger('HttpTransport');
+
+/**
+ * Build a request URL from the base URL, path and query params
+ * Undefined, null and empty-array params are left out; arrays are comma-joined.
+ * @param {string} baseUrl - Backend base URL
+ * @param {string} path - Resource path
+ * @param {Object} [query] - Query params
+ * @returns {string}
+ */
+export function buildUrl(baseUrl, path, query = {}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+  const params = new URLSearchParams();
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+      return;
+    }
+    params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+  });
+
+  const search = params.toString();
+  return search ? `${url}?${search}` : url;
+}
+
+/**
+ * Delay before a retry: doubles per attempt, capped
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number} baseDelayMs - Delay after the first failure
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, baseDelayMs) {
+  return Math.min(baseDelayMs * 2 ** (attempt - 1), API_DEFAULTS.MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Read a response body as JSON, falling back to text
+ * @param {Response} response - Fetch response
+ * @returns {Promise<*>}
+ */
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Create a transport that talks to a REST backend
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl - Backend base URL (e.g. `http://localhost:4010`)
+ * @param {number} [config.timeoutMs] - Per-attempt timeout
+ * @param {number} [config.retries] - Retries after the first attempt (GET only)
+ * @param {number} [config.retryDelayMs] - Backoff delay after the first failure
+ * @param {Object} [config.headers] - Extra headers for every request
+ * @param {Function} [config.fetch] - fetch implementation (defaults to the global one)
+ * @returns {{ name: string, baseUrl: string, request: Function }} Transport
+ *
+ * @example
+ * const transport = createHttpTransport({ baseUrl: 'http://localhost:4010' });
+ * const product = await transport.request('/products/12', { signal });
+ */
+export function createHttpTransport(config = {}) {
+  const {
+    baseUrl,
+    timeoutMs = API_DEFAULTS.TIMEOUT_MS,
+    retries = API_DEFAULTS.RETRIES,
+    retryDelayMs = API_DEFAULTS.RETRY_DELAY_MS,
+    headers = {},
+    fetch: fetchImpl = globalThis.fetch,
+  } = config;
+
+  if (!baseUrl) {
+    throw new Error('HTTP transport requires a baseUrl');
+  }
+
+  /**
+   * Make a single attempt, enforcing the timeout
+   * @param {string} url - Full request URL
+   * @param {Object} init - fetch init (without signal)
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   * @returns {Promise<*>} Parsed response body
+   */
+  async function send(url, init, signal) {
+    if (signal?.aborted) {
+      throw new AbortError(undefined, { url });
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetchImpl(url, { ...init, signal: controller.signal });
+      const body = await readBody(response);
+
+      if (!response.ok) {
+        throw new HttpError(response.status, { statusText: response.statusText, body, url });
+      }
+
+      return body;
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      if (timedOut) {
+        throw new TimeoutError(timeoutMs, { url });
+      }
+      if (signal?.aborted) {
+        throw new AbortError(undefined, { url });
+      }
+      throw new NetworkError(error?.message, { url, cause: error });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Request a resource
+   * @param {string} path - Resource path (e.g. `/products`)
+   * @param {Object} [options]
+   * @param {string} [options.method='GET'] - HTTP method
+   * @param {Object} [options.query] - Query params
+   * @param {*} [options.body] - JSON request body
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @returns {Promise<*>} Parsed response body
+   * @throws {HttpError|NetworkError|TimeoutError|AbortError}
+   */
+  async function request(path, options = {}) {
+    const { method = 'GET', query, body, signal } = options;
+    const url = buildUrl(baseUrl, path, query);
+    const maxAttempts = method === 'GET' ? retries + 1 : 1;
+    const init = {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send(url, init, signal);
+      } catch (error) {
+        if (!error.retryable || attempt >= maxAttempts) {
+          if (!(error instanceof AbortError)) {
+            log.warn(`${method} ${url} failed`, { status: error.status, code: error.code });
+          }
+          throw error;
+        }
+
+        const delay = getRetryDelay(attempt, retryDelayMs);
+        log.warn(`${method} ${url} failed, retrying in ${delay}ms`, { attempt, code: error.code });
+        await wait(delay, signal);
+      }
+    }
+  }
+
+  return { name: API_TRANSPORTS.HTTP, baseUrl, request };
+}
+
+export default createHttpTransport;
@@ -0,0 +1,217 @@
+/**
+ * Tests for the HTTP transport
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createHttpTransport, buildUrl, getRetryDelay } from './httpTransport';
+import { AbortError, HttpError, NetworkError, TimeoutError } from './errors';
+
+const BASE_URL = 'http://api.test';
+
+/**
+ * Build a fetch Response stand-in
+ */
+function jsonResponse(data, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    text: () => Promise.resolve(data === undefined ? '' : JSON.stringify(data)),
+  };
+}
+
+/**
+ * fetch mock that never settles until its signal aborts
+ */
+function hangingFetch() {
+  return vi.fn(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      })
+  );
+}
+
+describe('buildUrl', () => {
+  it('joins the base URL and path with one slash', () => {
+    expect(buildUrl('http://api.test/', '/products')).toBe('http://api.test/products');
+    expect(buildUrl('http://api.test/v1', 'products')).toBe('http://api.test/v1/products');
+  });
+
+  it('adds query params, skipping empty values and joining arrays', () => {
+    const url = buildUrl(BASE_URL, '/products', {
+      page: 2,
+      colours: ['Red', 'Blue'],
+      search: undefined,
+      category: null,
+      tags: [],
+    });
+
+    expect(url).toBe('http://api.test/products?page=2&colours=Red%2CBlue');
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('doubles per attempt up to the cap', () => {
+    expect(getRetryDelay(1, 300)).toBe(300);
+    expect(getRetryDelay(2, 300)).toBe(600);
+    expect(getRetryDelay(3, 300)).toBe(1200);
+    expect(getRetryDelay(20, 300)).toBe(5000);
+  });
+});
+
+describe('createHttpTransport', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('requires a base URL', () => {
+    expect(() => createHttpTransport({})).toThrow(/baseUrl/);
+  });
+
+  it('returns the parsed JSON body', async () => {
+    const fetch = vi.fn(() => Promise.resolve(jsonResponse([{ id: 1 }])));
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch });
+
+    await expect(transport.request('/products')).resolves.toEqual([{ id: 1 }]);
+    expect(fetch).toHaveBeenCalledWith(
+      'http://api.test/products',
+      expect.objectContaining({
+        method: 'GET',
+        headers: expect.objectContaining({ Accept: 'application/json' }),
+      })
+    );
+  });
+
+  it('sends JSON bodies', async () => {
+    const fetch = vi.fn(() => Promise.resolve(jsonResponse({ id: 7 }, 201)));
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch });
+
+    await transport.request('/products', { method: 'POST', body: { name: 'Lamp' } });
+
+    const [, init] = fetch.mock.calls[0];
+    expect(init.body).toBe('{"name":"Lamp"}');
+    expect(init.headers['Content-Type']).toBe('application/json');
+  });
+
+  it('throws HttpError with status and body for 4xx without retrying', async () => {
+    const fetch = vi.fn(() => Promise.resolve(jsonResponse({ message: 'No such product' }, 404)));
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch });
+
+    const error = await transport.request('/products/999').catch((e) => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(404);
+    expect(error.message).toBe('No such product');
+    expect(error.retryable).toBe(false);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries 5xx responses with backoff, then succeeds', async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse({}, 503))
+      .mockResolvedValueOnce(jsonResponse({}, 500))
+      .mockResolvedValueOnce(jsonResponse(['ok']));
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch, retryDelayMs: 100 });
+
+    const promise = transport.request('/products');
+
+    await vi.advanceTimersByTimeAsync(99);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(200);
+
+    await expect(promise).resolves.toEqual(['ok']);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const fetch = vi.fn(() => Promise.resolve(jsonResponse({}, 502)));
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch, retries: 1 });
+
+    const promise = transport.request('/products').catch((e) => e);
+    await vi.runAllTimersAsync();
+
+    const error = await promise;
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(502);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry non-GET requests', async () => {
+    const fetch = vi.fn(() => Promise.resolve(jsonResponse({}, 503)));
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch });
+
+    await expect(transport.request('/products', { method: 'POST', body: {} })).rejects.toThrow(
+      HttpError
+    );
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('wraps connection failures in NetworkError', async () => {
+    const fetch = vi.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch, retries: 0 });
+
+    const error = await transport.request('/products').catch((e) => e);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.retryable).toBe(true);
+    expect(error.cause).toBeInstanceOf(TypeError);
+  });
+
+  it('throws TimeoutError when an attempt takes too long', async () => {
+    const fetch = hangingFetch();
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch, timeoutMs: 500, retries: 0 });
+
+    const promise = transport.request('/products').catch((e) => e);
+    await vi.advanceTimersByTimeAsync(500);
+
+    const error = await promise;
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.timeoutMs).toBe(500);
+  });
+
+  it('throws AbortError when the caller aborts, without retrying', async () => {
+    const fetch = hangingFetch();
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch });
+    const controller = new AbortController();
+
+    const promise = transport.request('/products', { signal: controller.signal }).catch((e) => e);
+    controller.abort();
+
+    const error = await promise;
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.name).toBe('AbortError');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not call fetch when the signal is already aborted', async () => {
+    const fetch = vi.fn();
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch });
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(transport.request('/products', { signal: controller.signal })).rejects.toThrow(
+      AbortError
+    );
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('stops waiting between retries when aborted', async () => {
+    const fetch = vi.fn(() => Promise.resolve(jsonResponse({}, 503)));
+    const transport = createHttpTransport({ baseUrl: BASE_URL, fetch, retryDelayMs: 1000 });
+    const controller = new AbortController();
+
+    const promise = transport.request('/products', { signal: controller.signal }).catch((e) => e);
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+
+    expect(await promise).toBeInstanceOf(AbortError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
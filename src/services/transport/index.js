@@ -0,0 +1,117 @@
+/**
+ * Service Transport
+ *
+ * Picks the backend the services read the catalog from:
+ *
+ * - `memory` (default): the bundled catalog, see `./memoryTransport`
+ * - `http`: a REST backend, see `./httpTransport`
+ *
+ * Config comes from `window.__MART_CONFIG__.api` when present (set at
+ * deploy time, before the bundle loads), then from `VITE_API_*` env
+ * vars, then `API_DEFAULTS`:
+ *
+ * | Runtime key    | Env var               |
+ * | -------------- | --------------------- |
+ * | `transport`    | `VITE_API_TRANSPORT`  |
+ * | `baseUrl`      | `VITE_API_BASE_URL`   |
+ * | `timeoutMs`    | `VITE_API_TIMEOUT`    |
+ * | `retries`      | `VITE_API_RETRIES`    |
+ */
+
+import { API_DEFAULTS, API_TRANSPORTS } from '../../constants';
+import { createLogger } from '../../utils/logger';
+import { createHttpTransport } from './httpTransport';
+import { createMemoryTransport } from './memoryTransport';
+
+// Create logger for transport selection
+const log = createLogger('Transport');
+
+/**
+ * Parse a numeric env value, ignoring blanks and junk
+ * @param {string|number|undefined} value - Raw value
+ * @returns {number|undefined}
+ */
+function toNumber(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Resolve transport config from runtime config, env vars and defaults
+ *
+ * @param {Object} [runtimeConfig] - Runtime overrides (defaults to `window.__MART_CONFIG__.api`)
+ * @param {Object} [env] - Env vars (defaults to `import.meta.env`)
+ * @returns {{ transport: string, baseUrl: string, timeoutMs: number, retries: number }}
+ */
+export function resolveApiConfig(
+  runtimeConfig = globalThis.__MART_CONFIG__?.api,
+  env = import.meta.env ?? {}
+) {
+  const runtime = runtimeConfig ?? {};
+
+  return {
+    transport: runtime.transport ?? env.VITE_API_TRANSPORT ?? API_DEFAULTS.TRANSPORT,
+    baseUrl: runtime.baseUrl ?? env.VITE_API_BASE_URL ?? API_DEFAULTS.BASE_URL,
+    timeoutMs: toNumber(runtime.timeoutMs ?? env.VITE_API_TIMEOUT) ?? API_DEFAULTS.TIMEOUT_MS,
+    retries: toNumber(runtime.retries ?? env.VITE_API_RETRIES) ?? API_DEFAULTS.RETRIES,
+  };
+}
+
+/**
+ * Create the transport named in a config
+ * Unknown names fall back to the in-memory transport.
+ *
+ * @param {Object} config - Resolved config (see `resolveApiConfig`)
+ * @returns {{ name: string, request: Function }} Transport
+ */
+export function createTransport(config) {
+  const { transport, ...options } = config;
+
+  if (transport === API_TRANSPORTS.HTTP) {
+    return createHttpTransport(options);
+  }
+
+  if (transport !== API_TRANSPORTS.MEMORY) {
+    log.warn(`Unknown transport "${transport}", using in-memory catalog`);
+  }
+
+  return createMemoryTransport();
+}
+
+// Active transport, created on first use
+let activeTransport = null;
+
+/**
+ * Get the active transport
+ * @returns {{ name: string, request: Function }}
+ */
+export function getTransport() {
+  if (!activeTransport) {
+    activeTransport = createTransport(resolveApiConfig());
+    log.debug('Transport ready', { name: activeTransport.name });
+  }
+  return activeTransport;
+}
+
+/**
+ * Replace the active transport (e.g. in tests)
+ * Pass null to go back to the configured one on next use.
+ * @param {{ name: string, request: Function }|null} transport - Transport to use
+ */
+export function setTransport(transport) {
+  activeTransport = transport;
+}
+
+export { createHttpTransport } from './httpTransport';
+export { createMemoryTransport } from './memoryTransport';
+export {
+  ApiError,
+  HttpError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  isNotFoundError,
+} from './errors';
@@ -0,0 +1,82 @@
+/**
+ * Tests for transport selection
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { createTransport, getTransport, resolveApiConfig, setTransport } from './index';
+import { API_DEFAULTS, API_TRANSPORTS } from '../../constants';
+
+describe('resolveApiConfig', () => {
+  it('falls back to the defaults', () => {
+    expect(resolveApiConfig({}, {})).toEqual({
+      transport: API_DEFAULTS.TRANSPORT,
+      baseUrl: API_DEFAULTS.BASE_URL,
+      timeoutMs: API_DEFAULTS.TIMEOUT_MS,
+      retries: API_DEFAULTS.RETRIES,
+    });
+  });
+
+  it('reads VITE_API_* env vars', () => {
+    const config = resolveApiConfig(
+      {},
+      {
+        VITE_API_TRANSPORT: 'http',
+        VITE_API_BASE_URL: 'http://env.test',
+        VITE_API_TIMEOUT: '2500',
+        VITE_API_RETRIES: '0',
+      }
+    );
+
+    expect(config).toEqual({
+      transport: 'http',
+      baseUrl: 'http://env.test',
+      timeoutMs: 2500,
+      retries: 0,
+    });
+  });
+
+  it('lets runtime config override env vars', () => {
+    const config = resolveApiConfig(
+      { transport: 'memory', timeoutMs: 1000 },
+      { VITE_API_TRANSPORT: 'http', VITE_API_TIMEOUT: '2500' }
+    );
+
+    expect(config.transport).toBe('memory');
+    expect(config.timeoutMs).toBe(1000);
+  });
+
+  it('ignores non-numeric timeouts', () => {
+    expect(resolveApiConfig({}, { VITE_API_TIMEOUT: 'soon' }).timeoutMs).toBe(
+      API_DEFAULTS.TIMEOUT_MS
+    );
+  });
+});
+
+describe('createTransport', () => {
+  it('creates the HTTP transport', () => {
+    const transport = createTransport({ transport: 'http', baseUrl: 'http://api.test' });
+
+    expect(transport.name).toBe(API_TRANSPORTS.HTTP);
+    expect(transport.baseUrl).toBe('http://api.test');
+  });
+
+  it('falls back to the in-memory transport for unknown names', () => {
+    expect(createTransport({ transport: 'carrier-pigeon' }).name).toBe(API_TRANSPORTS.MEMORY);
+  });
+});
+
+describe('getTransport', () => {
+  afterEach(() => {
+    setTransport(null);
+  });
+
+  it('uses the in-memory transport by default', () => {
+    expect(getTransport().name).toBe(API_TRANSPORTS.MEMORY);
+  });
+
+  it('returns the transport set with setTransport', () => {
+    const transport = { name: 'stub', request: () => Promise.resolve([]) };
+    setTransport(transport);
+
+    expect(getTransport()).toBe(transport);
+  });
+});
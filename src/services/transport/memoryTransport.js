@@ -0,0 +1,87 @@
+/**
+ * In-memory Transport
+ *
+ * Serves the bundled catalog from `data/products` with simulated
+ * latency. This is the default transport: the app works offline and
+ * tests need no server. Routes and errors match the REST backend
+ * (see mock-server/server.js), so services cannot tell them apart.
+ */
+
+import { products, categories, shippingOptions } from '../../data/products';
+import { API_DEFAULTS, API_ENDPOINTS, API_TRANSPORTS } from '../../constants';
+import { HttpError } from './errors';
+import { wait } from './wait';
+
+/**
+ * GET routes, matched against the request path
+ */
+const ROUTES = [
+  {
+    pattern: new RegExp(`^${API_ENDPOINTS.PRODUCTS}$`),
+    handler: () => products,
+  },
+  {
+    pattern: new RegExp(`^${API_ENDPOINTS.PRODUCTS}/([^/]+)$`),
+    handler: ([id], path) => {
+      const product = products.find((p) => p.id === Number(id));
+      if (!product) {
+        throw new HttpError(404, { statusText: 'Not Found', url: path });
+      }
+      return product;
+    },
+  },
+  {
+    pattern: new RegExp(`^${API_ENDPOINTS.CATEGORIES}$`),
+    handler: () => categories,
+  },
+  {
+    pattern: new RegExp(`^${API_ENDPOINTS.SHIPPING_OPTIONS}$`),
+    handler: () => shippingOptions,
+  },
+];
+
+/**
+ * Create a transport backed by the bundled catalog
+ *
+ * @param {Object} [config]
+ * @param {{ min: number, max: number }} [config.latencyMs] - Simulated response time range
+ * @returns {{ name: string, request: Function }} Transport
+ *
+ * @example
+ * const transport = createMemoryTransport({ latencyMs: { min: 0, max: 0 } });
+ * const products = await transport.request('/products');
+ */
+export function createMemoryTransport(config = {}) {
+  const { latencyMs = API_DEFAULTS.MEMORY_LATENCY_MS } = config;
+
+  /**
+   * Resolve a catalog resource
+   * @param {string} path - Resource path (e.g. `/products/12`)
+   * @param {Object} [options]
+   * @param {string} [options.method='GET'] - HTTP method (only GET is served)
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @returns {Promise<*>} Response data
+   */
+  async function request(path, options = {}) {
+    const { method = 'GET', signal } = options;
+
+    await wait(latencyMs.min + Math.random() * (latencyMs.max - latencyMs.min), signal);
+
+    if (method !== 'GET') {
+      throw new HttpError(405, { statusText: 'Method Not Allowed', url: path });
+    }
+
+    for (const { pattern, handler } of ROUTES) {
+      const match = path.match(pattern);
+      if (match) {
+        return handler(match.slice(1), path);
+      }
+    }
+
+    throw new HttpError(404, { statusText: 'Not Found', url: path });
+  }
+
+  return { name: API_TRANSPORTS.MEMORY, request };
+}
+
+export default createMemoryTransport;
@@ -0,0 +1,49 @@
+/**
+ * Tests for the in-memory transport
+ */
+import { describe, it, expect } from 'vitest';
+import { createMemoryTransport } from './memoryTransport';
+import { AbortError, HttpError } from './errors';
+import { products, shippingOptions } from '../../data/products';
+
+const NO_LATENCY = { latencyMs: { min: 0, max: 0 } };
+
+describe('createMemoryTransport', () => {
+  it('serves the bundled catalog', async () => {
+    const transport = createMemoryTransport(NO_LATENCY);
+
+    await expect(transport.request('/products')).resolves.toBe(products);
+    await expect(transport.request('/shipping-options')).resolves.toBe(shippingOptions);
+  });
+
+  it('serves a single product by ID', async () => {
+    const transport = createMemoryTransport(NO_LATENCY);
+
+    await expect(transport.request(`/products/${products[0].id}`)).resolves.toBe(products[0]);
+  });
+
+  it('answers unknown products and paths with a 404 HttpError', async () => {
+    const transport = createMemoryTransport(NO_LATENCY);
+
+    await expect(transport.request('/products/999999')).rejects.toMatchObject({ status: 404 });
+    await expect(transport.request('/nope')).rejects.toBeInstanceOf(HttpError);
+  });
+
+  it('only serves GET', async () => {
+    const transport = createMemoryTransport(NO_LATENCY);
+
+    await expect(transport.request('/products', { method: 'POST' })).rejects.toMatchObject({
+      status: 405,
+    });
+  });
+
+  it('rejects with AbortError when aborted', async () => {
+    const transport = createMemoryTransport();
+    const controller = new AbortController();
+
+    const promise = transport.request('/products', { signal: controller.signal });
+    controller.abort();
+
+    await expect(promise).rejects.toBeInstanceOf(AbortError);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * REST path against the local mock server
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createMockServer } from '../../../mock-server/server.js';
+import { products, categories } from '../../data/products';
+import { createHttpTransport } from './httpTransport';
+import { HttpError } from './errors';
+
+describe('HTTP transport with the mock server', () => {
+  let server;
+  let transport;
+
+  beforeAll(async () => {
+    server = createMockServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    transport = createHttpTransport({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('serves the bundled catalog', async () => {
+    const data = await transport.request('/products');
+
+    expect(data).toHaveLength(products.length);
+    expect(data[0]).toEqual(products[0]);
+  });
+
+  it('serves a single product', async () => {
+    await expect(transport.request(`/products/${products[3].id}`)).resolves.toEqual(products[3]);
+  });
+
+  it('serves categories', async () => {
+    await expect(transport.request('/categories')).resolves.toEqual(categories);
+  });
+
+  it('answers unknown products with a 404 HttpError', async () => {
+    const error = await transport.request('/products/999999').catch((e) => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(404);
+  });
+});
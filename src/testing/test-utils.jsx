@@ -7,6 +7,9 @@ import { BrowserRouter, MemoryRouter } from 'react-router-dom';
 import { CartProvider } from '../context/cart';
 import { ProfileProvider } from '../context/ProfileContext';
 import { ThemeProvider } from '../context/ThemeContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { WishlistProvider } from '../context/WishlistContext';
+import { CompareProvider } from '../context/CompareContext';
 import { ToastProvider } from '../context/ToastContext';
 import { SearchProvider } from '../context/SearchContext';
 import { FilterProvider } from '../context/FilterContext';
@@ -19,15 +22,21 @@ function AllProviders({ children }) {
   return (
     <BrowserRouter>
       <ThemeProvider>
-        <ToastProvider>
-          <ProfileProvider>
-            <CartProvider>
-              <SearchProvider>
-                <FilterProvider>{children}</FilterProvider>
-              </SearchProvider>
-            </CartProvider>
-          </ProfileProvider>
-        </ToastProvider>
+        <CurrencyProvider>
+          <ToastProvider>
+            <ProfileProvider>
+              <CartProvider>
+                <WishlistProvider>
+                  <CompareProvider>
+                    <SearchProvider>
+                      <FilterProvider>{children}</FilterProvider>
+                    </SearchProvider>
+                  </CompareProvider>
+                </WishlistProvider>
+              </CartProvider>
+            </ProfileProvider>
+          </ToastProvider>
+        </CurrencyProvider>
       </ThemeProvider>
     </BrowserRouter>
   );
@@ -41,15 +50,21 @@ function MemoryRouterProviders({ children, initialEntries = ['/'] }) {
   return (
     <MemoryRouter initialEntries={initialEntries}>
       <ThemeProvider>
-        <ToastProvider>
-          <ProfileProvider>
-            <CartProvider>
-              <SearchProvider>
-                <FilterProvider>{children}</FilterProvider>
-              </SearchProvider>
-            </CartProvider>
-          </ProfileProvider>
-        </ToastProvider>
+        <CurrencyProvider>
+          <ToastProvider>
+            <ProfileProvider>
+              <CartProvider>
+                <WishlistProvider>
+                  <CompareProvider>
+                    <SearchProvider>
+                      <FilterProvider>{children}</FilterProvider>
+                    </SearchProvider>
+                  </CompareProvider>
+                </WishlistProvider>
+              </CartProvider>
+            </ProfileProvider>
+          </ToastProvider>
+        </CurrencyProvider>
       </ThemeProvider>
     </MemoryRouter>
   );
@@ -64,15 +79,19 @@ function ThemeOnlyProvider({ children }) {
 }
 
 /**
- * CartOnlyProvider - Wraps children with Cart and Theme providers
+ * CartOnlyProvider - Wraps children with Cart, Wishlist, Currency and Theme providers
  * Useful for testing cart-related functionality
  */
 function CartOnlyProvider({ children }) {
   return (
     <ThemeProvider>
-      <ToastProvider>
-        <CartProvider>{children}</CartProvider>
-      </ToastProvider>
+      <CurrencyProvider>
+        <ToastProvider>
+          <CartProvider>
+            <WishlistProvider>{children}</WishlistProvider>
+          </CartProvider>
+        </ToastProvider>
+      </CurrencyProvider>
     </ThemeProvider>
   );
 }
@@ -207,6 +226,23 @@ export const mockSaleProduct = {
   onSale: true,
 };
 
+export const mockVariantProduct = {
+  id: 601,
+  name: 'Variant Product',
+  price: 99.99,
+  image: 'https://example.com/variant.jpg',
+  description: 'A product in several sizes',
+  category: 'fashion',
+  onSale: false,
+  stock: 6,
+  options: [{ type: 'size', values: ['S', 'M', 'L'] }],
+  variants: [
+    { id: 's', options: { size: 'S' }, stock: 0 },
+    { id: 'm', options: { size: 'M' }, stock: 2 },
+    { id: 'l', options: { size: 'L' }, price: 109.99, stock: 4 },
+  ],
+};
+
 export const mockCartItem = {
   ...mockProduct,
   quantity: 2,
@@ -281,6 +317,28 @@ export const waitForAsync = (ms = 0) => new Promise((resolve) => setTimeout(reso
 export const createDelayedMock = (returnValue, delay = 100) =>
   vi.fn(() => new Promise((resolve) => setTimeout(() => resolve(returnValue), delay)));
 
+/**
+ * Change a localStorage key the way another tab would: the value is
+ * written, then a `storage` event fires in this window. The event's
+ * storage area is set afterwards, as jsdom only accepts its own Storage
+ * and localStorage is mocked in setup.js.
+ *
+ * @param {string|null} key - Storage key, or null to clear the whole storage
+ * @param {*} [value=null] - New value, or null to remove the key
+ */
+export const writeFromOtherTab = (key, value = null) => {
+  if (key === null) {
+    localStorage.clear();
+  } else if (value === null) {
+    localStorage.removeItem(key);
+  } else {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+  const event = new StorageEvent('storage', { key });
+  Object.defineProperty(event, 'storageArea', { value: localStorage });
+  window.dispatchEvent(event);
+};
+
 /**
  * Filter out framer-motion specific props that shouldn't be passed to DOM elements.
  * Use this helper when mocking framer-motion in tests.
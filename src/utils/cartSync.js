@@ -0,0 +1,152 @@
+/**
+ * Cart Sync Utilities
+ *
+ * Pure helpers for keeping the cart in step between browser tabs. Each
+ * tab stamps the lines it changes and the lines it removes; merging two
+ * carts keeps, line by line, whichever change was made last
+ * (last-writer-wins). Both tabs reach the same cart whichever merges
+ * first.
+ */
+
+import { CART_SYNC } from '../constants';
+import { getCartItemId } from './id';
+
+/**
+ * When each line was last changed or removed
+ * @typedef {Object} CartStamps
+ * @property {Object<string, number>} updatedAt - Change time by cart item ID
+ * @property {Object<string, number>} removedAt - Removal time by cart item ID
+ */
+
+/**
+ * Stamps of a cart no tab has changed yet
+ */
+export const EMPTY_CART_STAMPS = { updatedAt: {}, removedAt: {} };
+
+/**
+ * Compare two versions of a line
+ * @param {Object} line - Cart line
+ * @param {Object} other - Another version of the line
+ * @returns {boolean} Whether they hold the same data
+ */
+const isSameLine = (line, other) => JSON.stringify(line) === JSON.stringify(other);
+
+/**
+ * Stamp the lines that changed between two versions of the cart
+ * Lines added or edited get `now` as their change time, lines that went
+ * get it as their removal time. Removals older than
+ * `CART_SYNC.REMOVAL_TTL_MS` are forgotten.
+ *
+ * @param {Array} previousItems - Cart lines before the change
+ * @param {Array} items - Cart lines after the change
+ * @param {CartStamps} stamps - Stamps before the change
+ * @param {number} [now=Date.now()] - Time of the change
+ * @returns {CartStamps} Updated stamps
+ */
+export function stampCartChanges(previousItems, items, stamps, now = Date.now()) {
+  const updatedAt = { ...stamps.updatedAt };
+  const removedAt = {};
+  Object.entries(stamps.removedAt).forEach(([id, time]) => {
+    if (now - time <= CART_SYNC.REMOVAL_TTL_MS) {
+      removedAt[id] = time;
+    }
+  });
+
+  const previousById = new Map(previousItems.map((line) => [getCartItemId(line), line]));
+  const ids = new Set();
+
+  items.forEach((line) => {
+    const id = getCartItemId(line);
+    ids.add(id);
+    if (!previousById.has(id) || !isSameLine(previousById.get(id), line)) {
+      updatedAt[id] = now;
+      delete removedAt[id];
+    }
+  });
+
+  previousById.forEach((_line, id) => {
+    if (!ids.has(id)) {
+      removedAt[id] = now;
+      delete updatedAt[id];
+    }
+  });
+
+  return { updatedAt, removedAt };
+}
+
+/**
+ * Pick the later of two versions of a line
+ * Equal times go to the larger quantity, then to the greater serialized
+ * line, so every tab picks the same one.
+ * @param {{ line: Object, time: number }} [local] - This tab's version
+ * @param {{ line: Object, time: number }} [remote] - The other tab's version
+ * @returns {{ line: Object, time: number }}
+ */
+function pickLatest(local, remote) {
+  if (!remote) {
+    return local;
+  }
+  if (!local) {
+    return remote;
+  }
+  if (local.time !== remote.time) {
+    return local.time > remote.time ? local : remote;
+  }
+  if (local.line.quantity !== remote.line.quantity) {
+    return local.line.quantity > remote.line.quantity ? local : remote;
+  }
+  return JSON.stringify(local.line) >= JSON.stringify(remote.line) ? local : remote;
+}
+
+/**
+ * Merge another tab's cart into this one
+ * For each line the latest change wins; a line removed after its latest
+ * change stays removed. Lines without a stamp count as changed at time 0,
+ * so a line only one side has is kept unless the other removed it. This
+ * tab's line order is kept, with lines new to it added at the end.
+ *
+ * @param {{ items: Array, stamps: CartStamps }} local - This tab's cart
+ * @param {{ items: Array, stamps: CartStamps }} remote - The other tab's cart
+ * @returns {{ items: Array, stamps: CartStamps, changed: boolean }} Merged cart, and
+ *   whether it differs from this tab's
+ */
+export function mergeCarts(local, remote) {
+  const versionsOf = ({ items, stamps }) =>
+    new Map(
+      items.map((line) => {
+        const id = getCartItemId(line);
+        return [id, { line, time: stamps.updatedAt[id] ?? 0 }];
+      })
+    );
+  const localVersions = versionsOf(local);
+  const remoteVersions = versionsOf(remote);
+
+  const removedAt = { ...local.stamps.removedAt };
+  Object.entries(remote.stamps.removedAt).forEach(([id, time]) => {
+    removedAt[id] = Math.max(removedAt[id] ?? 0, time);
+  });
+
+  const updatedAt = {};
+  const items = [];
+  new Set([...localVersions.keys(), ...remoteVersions.keys()]).forEach((id) => {
+    const latest = pickLatest(localVersions.get(id), remoteVersions.get(id));
+    if (removedAt[id] !== undefined && removedAt[id] >= latest.time) {
+      return;
+    }
+    items.push(latest.line);
+    updatedAt[id] = latest.time;
+    delete removedAt[id];
+  });
+
+  const changed =
+    items.length !== local.items.length ||
+    items.some((line, index) => !isSameLine(line, local.items[index]));
+
+  return { items, stamps: { updatedAt, removedAt }, changed };
+}
+
+export default {
+  EMPTY_CART_STAMPS,
+  stampCartChanges,
+  mergeCarts,
+};
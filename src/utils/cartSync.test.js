@@ -0,0 +1,111 @@
+/**
+ * Tests for cart sync utilities
+ */
+import { describe, it, expect } from 'vitest';
+import { mergeCarts, stampCartChanges } from './cartSync';
+import { CART_SYNC } from '../constants';
+
+const line = (id, quantity = 1) => ({ id, cartItemId: `cart-item-${id}`, quantity });
+
+const cart = (items, updatedAt = {}, removedAt = {}) => ({
+  items,
+  stamps: { updatedAt, removedAt },
+});
+
+const idsOf = (items) => items.map((item) => item.id);
+
+describe('Cart sync utilities', () => {
+  describe('stampCartChanges', () => {
+    it('stamps added and edited lines', () => {
+      const stamps = stampCartChanges(
+        [line(1), line(2)],
+        [line(1), line(2, 3), line(4)],
+        { updatedAt: { 'cart-item-1': 10 }, removedAt: {} },
+        100
+      );
+
+      expect(stamps.updatedAt).toEqual({
+        'cart-item-1': 10,
+        'cart-item-2': 100,
+        'cart-item-4': 100,
+      });
+    });
+
+    it('stamps removed lines', () => {
+      const stamps = stampCartChanges(
+        [line(1), line(2)],
+        [line(1)],
+        { updatedAt: { 'cart-item-2': 10 }, removedAt: {} },
+        100
+      );
+
+      expect(stamps).toEqual({ updatedAt: {}, removedAt: { 'cart-item-2': 100 } });
+    });
+
+    it('forgets old removals', () => {
+      const now = CART_SYNC.REMOVAL_TTL_MS + 100;
+      const stamps = stampCartChanges(
+        [],
+        [],
+        { updatedAt: {}, removedAt: { 'cart-item-1': 50, 'cart-item-2': 100 } },
+        now
+      );
+
+      expect(stamps.removedAt).toEqual({ 'cart-item-2': 100 });
+    });
+  });
+
+  describe('mergeCarts', () => {
+    it("adds lines from the other tab after this tab's lines", () => {
+      const merged = mergeCarts(
+        cart([line(1)], { 'cart-item-1': 10 }),
+        cart([line(2), line(1)], { 'cart-item-2': 20, 'cart-item-1': 10 })
+      );
+
+      expect(idsOf(merged.items)).toEqual([1, 2]);
+      expect(merged.changed).toBe(true);
+    });
+
+    it('keeps the latest change to a line', () => {
+      const local = cart([line(1, 2), line(2, 5)], { 'cart-item-1': 30, 'cart-item-2': 10 });
+      const remote = cart([line(1, 4), line(2, 1)], { 'cart-item-1': 20, 'cart-item-2': 40 });
+
+      const merged = mergeCarts(local, remote);
+
+      expect(merged.items).toEqual([line(1, 2), line(2, 1)]);
+      expect(merged.stamps.updatedAt).toEqual({ 'cart-item-1': 30, 'cart-item-2': 40 });
+    });
+
+    it('removes lines removed after their latest change', () => {
+      const local = cart([line(1), line(2)], { 'cart-item-1': 10, 'cart-item-2': 50 });
+      const remote = cart([], {}, { 'cart-item-1': 20, 'cart-item-2': 30 });
+
+      const merged = mergeCarts(local, remote);
+
+      expect(idsOf(merged.items)).toEqual([2]);
+      expect(merged.stamps.removedAt).toEqual({ 'cart-item-1': 20 });
+    });
+
+    it('keeps unstamped lines only one side has', () => {
+      const merged = mergeCarts(cart([line(1)]), cart([line(2)]));
+
+      expect(idsOf(merged.items)).toEqual([1, 2]);
+    });
+
+    it('settles ties the same way in either tab', () => {
+      const a = cart([line(1, 2)], { 'cart-item-1': 10 });
+      const b = cart([line(1, 3)], { 'cart-item-1': 10 });
+
+      expect(mergeCarts(a, b).items).toEqual([line(1, 3)]);
+      expect(mergeCarts(b, a).items).toEqual([line(1, 3)]);
+    });
+
+    it('reports no change when the other tab adds nothing new', () => {
+      const local = cart([line(1, 2)], { 'cart-item-1': 30 });
+
+      const merged = mergeCarts(local, cart([line(1)], { 'cart-item-1': 10 }));
+
+      expect(merged.changed).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,424 @@
+/**
+ * Catalog Transfer Utilities
+ *
+ * Pure helpers for moving the catalog in and out of the app as CSV or
+ * JSON files: exporting products, reading an imported file into checked
+ * products with errors per row, and comparing an imported catalog with
+ * the current one. In CSV, variant options and variants travel as JSON
+ * inside their cells.
+ */
+
+import { CATALOG_FILE_FORMATS, CATEGORIES, CATEGORY_DISPLAY_NAMES } from '../constants';
+import { parseCSV, toCSV } from './csv';
+import { sanitizeProduct } from './sanitize';
+import { validateProduct } from './validation';
+
+/**
+ * Columns of an exported CSV file, in order
+ */
+export const CATALOG_CSV_COLUMNS = [
+  'id',
+  'name',
+  'category',
+  'categoryName',
+  'price',
+  'onSale',
+  'salePrice',
+  'stock',
+  'colour',
+  'weight',
+  'deliveryTime',
+  'image',
+  'description',
+  'disclaimer',
+  'options',
+  'variants',
+];
+
+/**
+ * Columns an imported CSV file must have
+ */
+const REQUIRED_CSV_COLUMNS = ['name', 'category', 'price', 'image', 'description'];
+
+/**
+ * Columns holding JSON
+ */
+const JSON_COLUMNS = ['options', 'variants'];
+
+/**
+ * Numeric product fields and how errors name them
+ */
+const NUMBER_FIELDS = {
+  price: 'Price',
+  salePrice: 'Sale price',
+  stock: 'Stock',
+  deliveryTime: 'Delivery time',
+};
+
+/**
+ * Categories every catalog has; only others are carried with an import
+ */
+const BUILT_IN_CATEGORIES = Object.values(CATEGORIES).filter(
+  (category) => category !== CATEGORIES.ALL
+);
+
+/**
+ * Format of new category IDs (e.g. "garden-tools")
+ */
+const CATEGORY_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * A row read from an import file
+ * @typedef {Object} ImportRow
+ * @property {number} row - Row number (the CSV header is row 1)
+ * @property {Object} values - Product fields as read from the file
+ * @property {string[]} errors - Problems reading the row
+ */
+
+/**
+ * A row that can't be imported
+ * @typedef {Object} ImportRowError
+ * @property {number} row - Row number
+ * @property {string} name - Product name, if the row has one
+ * @property {string[]} errors - Error messages
+ */
+
+/**
+ * Display name for a category ID without one (e.g. "garden-tools" → "Garden Tools")
+ * @param {string} categoryId - Category ID
+ * @returns {string}
+ */
+const toDisplayName = (categoryId) =>
+  categoryId
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+/**
+ * Serialize a value with its object keys sorted, so equal products
+ * compare equal whatever order their fields are in
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+const canonicalJSON = (value) =>
+  JSON.stringify(value, (_key, item) =>
+    item && typeof item === 'object' && !Array.isArray(item)
+      ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => a.localeCompare(b)))
+      : item
+  );
+
+/**
+ * Check whether two products have the same details
+ * Fields set to `undefined` count as missing.
+ *
+ * @param {Object} a - Product
+ * @param {Object} b - Product
+ * @returns {boolean}
+ */
+export function isSameProduct(a, b) {
+  return canonicalJSON(a) === canonicalJSON(b);
+}
+
+/**
+ * Export products as a file
+ *
+ * @param {Array} products - Products to export
+ * @param {string} [format='csv'] - One of `CATALOG_FILE_FORMATS`
+ * @param {Object<string, string>} [shopCategoryNames=CATEGORY_DISPLAY_NAMES] - The
+ *   shop's display names by category ID
+ * @returns {string} File contents
+ *
+ * @example
+ * const csv = exportCatalog(products, CATALOG_FILE_FORMATS.CSV);
+ */
+export function exportCatalog(
+  products,
+  format = CATALOG_FILE_FORMATS.CSV,
+  shopCategoryNames = CATEGORY_DISPLAY_NAMES
+) {
+  if (format === CATALOG_FILE_FORMATS.JSON) {
+    const categories = {};
+    products.forEach((product) => {
+      categories[product.category] = shopCategoryNames[product.category] ?? product.category;
+    });
+    return JSON.stringify({ categories, products }, null, 2);
+  }
+
+  const rows = products.map((product) =>
+    CATALOG_CSV_COLUMNS.map((column) => {
+      if (column === 'categoryName') {
+        return shopCategoryNames[product.category] ?? '';
+      }
+      if (JSON_COLUMNS.includes(column)) {
+        return product[column] ? JSON.stringify(product[column]) : '';
+      }
+      return product[column];
+    })
+  );
+
+  return toCSV([CATALOG_CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * Read the product fields of a CSV row
+ * Empty cells are left out, `onSale` accepts true/false or yes/no and
+ * JSON columns are parsed.
+ *
+ * @param {string[]} header - Column names
+ * @param {string[]} cells - Row cells
+ * @returns {{ values: Object, errors: string[] }}
+ */
+function readCSVRow(header, cells) {
+  const values = {};
+  const errors = [];
+
+  header.forEach((column, index) => {
+    const cell = (cells[index] ?? '').trim();
+    if (!column || cell === '') {
+      return;
+    }
+
+    if (column === 'onSale') {
+      const answer = cell.toLowerCase();
+      if (['true', 'yes', '1'].includes(answer)) {
+        values.onSale = true;
+      } else if (['false', 'no', '0'].includes(answer)) {
+        values.onSale = false;
+      } else {
+        errors.push('On sale must be true or false');
+      }
+    } else if (JSON_COLUMNS.includes(column)) {
+      try {
+        values[column] = JSON.parse(cell);
+      } catch {
+        errors.push(`${column} must be valid JSON`);
+      }
+    } else {
+      values[column] = cell;
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Read the rows of an import file
+ * CSV files need a header row naming at least the name, category, price,
+ * image and description columns. JSON files hold a list of products, or
+ * an object with `products` and optional `categories` display names (as
+ * exported).
+ *
+ * @param {string} text - File contents
+ * @param {string} format - One of `CATALOG_FILE_FORMATS`
+ * @returns {{ rows: ImportRow[], categoryNames: Object<string, string>, error: string|null }}
+ *   `error` explains why the file as a whole can't be read
+ */
+export function parseCatalogFile(text, format) {
+  if (format === CATALOG_FILE_FORMATS.JSON) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return { rows: [], categoryNames: {}, error: 'The file is not valid JSON' };
+    }
+
+    const products = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(products)) {
+      return { rows: [], categoryNames: {}, error: 'The file has no list of products' };
+    }
+
+    return {
+      rows: products.map((values, index) => {
+        const isObject = values && typeof values === 'object' && !Array.isArray(values);
+        return {
+          row: index + 1,
+          values: isObject ? values : {},
+          errors: isObject ? [] : ['Product must be an object'],
+        };
+      }),
+      categoryNames: (!Array.isArray(data) && data.categories) || {},
+      error: null,
+    };
+  }
+
+  let cells;
+  try {
+    cells = parseCSV(text);
+  } catch (error) {
+    return { rows: [], categoryNames: {}, error: `The file is not valid CSV: ${error.message}` };
+  }
+
+  const [headerCells, ...dataRows] = cells;
+  if (!headerCells) {
+    return { rows: [], categoryNames: {}, error: 'The file is empty' };
+  }
+
+  const header = headerCells.map((cell) => cell.trim());
+  const missing = REQUIRED_CSV_COLUMNS.filter((column) => !header.includes(column));
+  if (missing.length > 0) {
+    return {
+      rows: [],
+      categoryNames: {},
+      error: `The file is missing columns: ${missing.join(', ')}`,
+    };
+  }
+
+  return {
+    rows: dataRows.map((cells, index) => ({ row: index + 2, ...readCSVRow(header, cells) })),
+    categoryNames: {},
+    error: null,
+  };
+}
+
+/**
+ * Turn import rows into checked products
+ * Each row is sanitized and validated with `validateProduct`. Rows
+ * without an ID get the next free one, starting at `firstFreeId` and
+ * above every ID in the file. Categories can be given by ID or
+ * display name; unknown ones become new categories if their ID is
+ * valid, named by `categoryName` (or the file's `categoryNames`).
+ *
+ * @param {ImportRow[]} rows - Rows from `parseCatalogFile`
+ * @param {number} firstFreeId - Lowest ID a new product may take (see
+ *   `getNextProductId` in `services/catalog`), so deleted IDs aren't reused
+ * @param {Object<string, string>} [categoryNames={}] - Display names by category ID
+ *   from the file
+ * @param {Object<string, string>} [shopCategoryNames=CATEGORY_DISPLAY_NAMES] - The
+ *   shop's display names by category ID
+ * @returns {{ products: Array, categories: Object<string, string>, newCategories: string[], rowErrors: ImportRowError[] }}
+ *   `categories` names every category the products use besides the built-in
+ *   ones; `newCategories` lists the ones the shop doesn't have yet
+ */
+export function buildImportedCatalog(
+  rows,
+  firstFreeId,
+  categoryNames = {},
+  shopCategoryNames = CATEGORY_DISPLAY_NAMES
+) {
+  const knownCategories = Object.keys(shopCategoryNames);
+  const categoriesByName = new Map(
+    Object.entries(shopCategoryNames).map(([id, name]) => [name.toLowerCase(), id])
+  );
+
+  const rowIds = rows.map(({ values }) => Number(values.id)).filter(Number.isInteger);
+  let nextId = Math.max(firstFreeId, ...rowIds.map((id) => id + 1));
+  const seenIds = new Set();
+
+  const products = [];
+  const categories = {};
+  const rowErrors = [];
+
+  rows.forEach(({ row, values, errors: readErrors }) => {
+    const errors = [...readErrors];
+
+    // Category, by ID or display name
+    const rawCategory = String(values.category ?? '').trim();
+    const categoryId = categoriesByName.get(rawCategory.toLowerCase()) ?? rawCategory.toLowerCase();
+    const isNewCategory = categoryId !== '' && !knownCategories.includes(categoryId);
+    if (isNewCategory && !CATEGORY_ID_PATTERN.test(categoryId)) {
+      errors.push(
+        `Category "${rawCategory}" is new, so it needs an ID of lowercase letters, numbers and dashes`
+      );
+    }
+
+    // ID, or the next free one
+    let id = nextId;
+    if (values.id == null || values.id === '') {
+      nextId += 1;
+    } else {
+      id = Number(values.id);
+      if (!Number.isInteger(id) || id <= 0) {
+        errors.push('Product ID must be a positive whole number');
+      } else if (seenIds.has(id)) {
+        errors.push(`Product ID ${id} is used by more than one row`);
+      }
+      seenIds.add(id);
+    }
+
+    const product = {
+      ...sanitizeProduct({ ...values, category: categoryId }),
+      id,
+    };
+    JSON_COLUMNS.forEach((field) => {
+      if (values[field] !== undefined) {
+        product[field] = values[field];
+      }
+    });
+    // Drop empty optional fields so they compare as missing
+    Object.keys(product).forEach((field) => {
+      if (product[field] === undefined) {
+        delete product[field];
+      }
+    });
+
+    Object.entries(NUMBER_FIELDS).forEach(([field, label]) => {
+      if (Number.isNaN(product[field])) {
+        errors.push(`${label} must be a number`);
+      }
+    });
+
+    const validation = validateProduct(product, {
+      categories: isNewCategory ? [...knownCategories, categoryId] : knownCategories,
+    });
+    errors.push(...validation.errors);
+
+    if (errors.length > 0) {
+      rowErrors.push({ row, name: product.name ?? '', errors: [...new Set(errors)] });
+      return;
+    }
+
+    products.push(product);
+    if (!BUILT_IN_CATEGORIES.includes(categoryId)) {
+      categories[categoryId] =
+        shopCategoryNames[categoryId] ??
+        categoryNames[categoryId] ??
+        values.categoryName ??
+        toDisplayName(categoryId);
+    }
+  });
+
+  return {
+    products,
+    categories,
+    newCategories: Object.keys(categories).filter((id) => !knownCategories.includes(id)),
+    rowErrors,
+  };
+}
+
+/**
+ * Compare an imported catalog with the current one
+ *
+ * @param {Array} currentProducts - Current catalog
+ * @param {Array} importedProducts - Imported catalog
+ * @returns {{ added: Array, changed: Array, removed: Array, unchanged: number }}
+ *   Added and changed products as imported, removed products as they are now
+ */
+export function diffCatalog(currentProducts, importedProducts) {
+  const currentById = new Map(currentProducts.map((product) => [product.id, product]));
+  const importedIds = new Set(importedProducts.map((product) => product.id));
+  const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+
+  importedProducts.forEach((product) => {
+    const current = currentById.get(product.id);
+    if (!current) {
+      diff.added.push(product);
+    } else if (!isSameProduct(current, product)) {
+      diff.changed.push(product);
+    } else {
+      diff.unchanged += 1;
+    }
+  });
+
+  diff.removed = currentProducts.filter((product) => !importedIds.has(product.id));
+
+  return diff;
+}
+
+export default {
+  CATALOG_CSV_COLUMNS,
+  isSameProduct,
+  exportCatalog,
+  parseCatalogFile,
+  buildImportedCatalog,
+  diffCatalog,
+};
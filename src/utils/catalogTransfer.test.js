@@ -0,0 +1,222 @@
+/**
+ * Tests for catalog import/export utilities
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  CATALOG_CSV_COLUMNS,
+  buildImportedCatalog,
+  diffCatalog,
+  exportCatalog,
+  isSameProduct,
+  parseCatalogFile,
+} from './catalogTransfer';
+import { parseCSV, toCSV } from './csv';
+import { products as catalog } from '../data/products';
+import { CATALOG_FILE_FORMATS } from '../constants';
+
+const { CSV, JSON: JSON_FORMAT } = CATALOG_FILE_FORMATS;
+
+const lamp = {
+  name: 'Desk Lamp',
+  category: 'home',
+  price: '34.50',
+  image: 'https://example.com/lamp.jpg',
+  description: 'Adjustable LED desk lamp.',
+};
+
+const csvOf = (rows) => {
+  const header = Object.keys(rows[0]);
+  return toCSV([header, ...rows.map((row) => header.map((column) => row[column]))]);
+};
+
+const firstFreeId = Math.max(...catalog.map((p) => p.id)) + 1;
+
+const importCSV = (rows) => {
+  const { rows: parsed, categoryNames } = parseCatalogFile(csvOf(rows), CSV);
+  return buildImportedCatalog(parsed, firstFreeId, categoryNames);
+};
+
+describe('Catalog transfer', () => {
+  describe('exportCatalog', () => {
+    it('writes a CSV row per product under the column header', () => {
+      const rows = parseCSV(exportCatalog(catalog.slice(0, 2), CSV));
+
+      expect(rows[0]).toEqual(CATALOG_CSV_COLUMNS);
+      expect(rows).toHaveLength(3);
+      expect(rows[1].slice(0, 6)).toEqual([
+        '1',
+        'Wireless Earbuds',
+        'electronics',
+        'Electronics',
+        '49.99',
+        'true',
+      ]);
+    });
+
+    it('writes variants as JSON cells', () => {
+      const rows = parseCSV(exportCatalog([catalog.find((p) => p.id === 14)], CSV));
+      const variants = rows[1][CATALOG_CSV_COLUMNS.indexOf('variants')];
+
+      expect(JSON.parse(variants)).toHaveLength(4);
+    });
+
+    it('writes JSON with category display names', () => {
+      const data = JSON.parse(exportCatalog(catalog.slice(0, 1), JSON_FORMAT));
+
+      expect(data.categories).toEqual({ electronics: 'Electronics' });
+      expect(data.products).toEqual(catalog.slice(0, 1));
+    });
+  });
+
+  describe('round trip', () => {
+    it.each([CSV, JSON_FORMAT])('imports a %s export without changes', (format) => {
+      const { rows, categoryNames } = parseCatalogFile(exportCatalog(catalog, format), format);
+      const result = buildImportedCatalog(rows, firstFreeId, categoryNames);
+
+      expect(result.rowErrors).toEqual([]);
+      const diff = diffCatalog(catalog, result.products);
+      expect(diff.added).toEqual([]);
+      expect(diff.changed).toEqual([]);
+      expect(diff.removed).toEqual([]);
+      expect(diff.unchanged).toBe(catalog.length);
+    });
+  });
+
+  describe('parseCatalogFile', () => {
+    it('reports missing CSV columns', () => {
+      expect(parseCatalogFile('name,price\nLamp,3', CSV).error).toBe(
+        'The file is missing columns: category, image, description'
+      );
+    });
+
+    it('reports a quoted CSV cell that is never closed', () => {
+      const text = `${csvOf([lamp])}\r\nFloor Lamp,home,20,"https://example.com/floor.jpg,Tall`;
+
+      expect(parseCatalogFile(text, CSV)).toEqual({
+        rows: [],
+        categoryNames: {},
+        error: 'The file is not valid CSV: Quoted cell on line 3 is never closed',
+      });
+    });
+
+    it('reports empty and malformed files', () => {
+      expect(parseCatalogFile('', CSV).error).toBe('The file is empty');
+      expect(parseCatalogFile('{', JSON_FORMAT).error).toBe('The file is not valid JSON');
+      expect(parseCatalogFile('{"items": []}', JSON_FORMAT).error).toBe(
+        'The file has no list of products'
+      );
+    });
+
+    it('accepts a plain JSON list of products', () => {
+      const { rows, error } = parseCatalogFile(JSON.stringify([lamp]), JSON_FORMAT);
+
+      expect(error).toBeNull();
+      expect(rows).toEqual([{ row: 1, values: lamp, errors: [] }]);
+    });
+
+    it('numbers CSV rows as a spreadsheet does', () => {
+      const { rows } = parseCatalogFile(csvOf([lamp, lamp]), CSV);
+
+      expect(rows.map((row) => row.row)).toEqual([2, 3]);
+    });
+  });
+
+  describe('buildImportedCatalog', () => {
+    it('gives rows without an ID the next free ones', () => {
+      const { products } = importCSV([lamp, { ...lamp, name: 'Floor Lamp' }]);
+
+      expect(products.map((p) => p.id)).toEqual([firstFreeId, firstFreeId + 1]);
+      expect(products[0]).toMatchObject({ price: 34.5, category: 'home' });
+    });
+
+    it('numbers new rows above every ID in the file', () => {
+      const { products } = importCSV([
+        { id: '', ...lamp },
+        { ...lamp, id: String(firstFreeId + 5), name: 'Floor Lamp' },
+      ]);
+
+      expect(products.map((p) => p.id)).toEqual([firstFreeId + 6, firstFreeId + 5]);
+    });
+
+    it('reports every error of a row', () => {
+      const { products, rowErrors } = importCSV([
+        { ...lamp, onSale: 'no' },
+        { ...lamp, name: '', price: 'cheap', onSale: 'maybe' },
+      ]);
+
+      expect(products).toHaveLength(1);
+      expect(rowErrors).toEqual([
+        {
+          row: 3,
+          name: '',
+          errors: expect.arrayContaining([
+            'On sale must be true or false',
+            'Price must be a number',
+            'Product name must be a non-empty string',
+          ]),
+        },
+      ]);
+    });
+
+    it('rejects duplicate IDs', () => {
+      const { rowErrors } = importCSV([
+        { ...lamp, id: '500' },
+        { ...lamp, id: '500' },
+      ]);
+
+      expect(rowErrors).toEqual([
+        { row: 3, name: 'Desk Lamp', errors: ['Product ID 500 is used by more than one row'] },
+      ]);
+    });
+
+    it('reports invalid variant JSON', () => {
+      const { rowErrors } = importCSV([{ ...lamp, variants: '[{' }]);
+
+      expect(rowErrors[0].errors).toContain('variants must be valid JSON');
+    });
+
+    it('accepts categories by display name', () => {
+      const { products } = importCSV([{ ...lamp, category: 'Home & Living' }]);
+
+      expect(products[0].category).toBe('home');
+    });
+
+    it('adds new categories with their display names', () => {
+      const { products, categories, newCategories } = importCSV([
+        { ...lamp, category: 'garden', categoryName: 'Garden & Outdoor' },
+        { ...lamp, category: 'pet-care' },
+      ]);
+
+      expect(products.map((p) => p.category)).toEqual(['garden', 'pet-care']);
+      expect(categories).toEqual({ garden: 'Garden & Outdoor', 'pet-care': 'Pet Care' });
+      expect(newCategories).toEqual(['garden', 'pet-care']);
+    });
+
+    it('rejects new categories without a valid ID', () => {
+      const { rowErrors } = importCSV([{ ...lamp, category: 'Garden & Outdoor' }]);
+
+      expect(rowErrors[0].errors[0]).toMatch(/Category "Garden & Outdoor" is new/);
+    });
+  });
+
+  describe('diffCatalog', () => {
+    it('lists added, changed and removed products', () => {
+      const [earbuds, watch, speaker] = catalog;
+      const imported = [{ ...earbuds, price: 44.99 }, watch, { ...lamp, id: 500 }];
+
+      const diff = diffCatalog([earbuds, watch, speaker], imported);
+
+      expect(diff.added.map((p) => p.id)).toEqual([500]);
+      expect(diff.changed.map((p) => p.id)).toEqual([1]);
+      expect(diff.removed.map((p) => p.id)).toEqual([speaker.id]);
+      expect(diff.unchanged).toBe(1);
+    });
+  });
+
+  describe('isSameProduct', () => {
+    it('ignores field order and undefined fields', () => {
+      expect(isSameProduct({ a: 1, b: 2, c: undefined }, { b: 2, a: 1 })).toBe(true);
+      expect(isSameProduct({ a: 1 }, { a: 2 })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Comparison Utilities
+ *
+ * Pure helpers for the product comparison page: reading and writing the
+ * compared product IDs in its URL and lining up the attributes of several
+ * products as table rows.
+ */
+
+import { CATEGORY_DISPLAY_NAMES, COMPARE, ROUTES } from '../constants';
+import { generateSpecifications } from './specifications';
+import { applyVariant, getPriceRange, hasVariants } from './variants';
+
+/**
+ * A compared attribute, with one value per product
+ * @typedef {Object} ComparisonRow
+ * @property {string} key - Stable attribute key
+ * @property {string} label - Row heading
+ * @property {string[]} values - Display value for each product, in product order
+ * @property {boolean} differs - Whether the products don't all share the value
+ */
+
+/**
+ * Parse the compared product IDs from a URL parameter
+ * Ignores anything that isn't a positive whole number, drops duplicates
+ * and keeps at most `COMPARE.MAX_PRODUCTS` IDs.
+ * @param {string|null} value - Comma-separated IDs (e.g. "3,1,12")
+ * @returns {number[]} Product IDs in the order given
+ */
+export function parseCompareIds(value) {
+  if (!value) {
+    return [];
+  }
+
+  const ids = value
+    .split(',')
+    .map((part) => part.trim())
+    .filter((part) => /^\d+$/.test(part))
+    .map(Number)
+    .filter((id) => id > 0);
+
+  return [...new Set(ids)].slice(0, COMPARE.MAX_PRODUCTS);
+}
+
+/**
+ * Path of the compare page for a selection of products
+ * @param {Array<number|string>} productIds - Compared product IDs
+ * @returns {string} Shareable path (e.g. "/compare?ids=3,1")
+ */
+export function getComparePath(productIds) {
+  return productIds.length > 0
+    ? `${ROUTES.COMPARE}?${COMPARE.URL_PARAM}=${productIds.join(',')}`
+    : ROUTES.COMPARE;
+}
+
+/**
+ * Format a price range, or a single price when both ends match
+ * @param {{ min: number, max: number }} range - Price range
+ * @param {Function} formatPrice - Price formatter
+ * @returns {string}
+ */
+function formatPriceRange({ min, max }, formatPrice) {
+  return min === max ? formatPrice(min) : `${formatPrice(min)} - ${formatPrice(max)}`;
+}
+
+/**
+ * Regular (pre-sale) price range of a product across its variants
+ * @param {Object} product - Product
+ * @returns {{ min: number, max: number }}
+ */
+function getRegularPriceRange(product) {
+  const prices = hasVariants(product)
+    ? product.variants.map((variant) => applyVariant(product, variant.id).price)
+    : [product.price];
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+/**
+ * Line up products' attributes as comparison table rows
+ *
+ * Rows cover price, sale price, stock, delivery time, category and the
+ * product specifications (weight, colour, type, warranty, origin and
+ * disclaimer). A row differs when the products don't all show the same
+ * value; a single product never differs.
+ *
+ * @param {Object[]} products - Products to compare
+ * @param {Object} options
+ * @param {Function} options.formatPrice - Formats a base-currency price for display
+ * @param {Function} options.getStock - Returns the units available for a product
+ * @param {Object<string, string>} [options.categoryNames=CATEGORY_DISPLAY_NAMES] - Category
+ *   display names by ID
+ * @returns {ComparisonRow[]}
+ *
+ * @example
+ * const rows = buildComparisonRows(products, { formatPrice, getStock });
+ * rows.filter((row) => row.differs);
+ */
+export function buildComparisonRows(
+  products,
+  { formatPrice, getStock, categoryNames = CATEGORY_DISPLAY_NAMES }
+) {
+  const specifications = products.map(generateSpecifications);
+
+  const attributes = [
+    {
+      key: 'price',
+      label: 'Price',
+      getValue: (product) => formatPriceRange(getRegularPriceRange(product), formatPrice),
+    },
+    {
+      key: 'salePrice',
+      label: 'Sale price',
+      getValue: (product) =>
+        product.onSale ? formatPriceRange(getPriceRange(product), formatPrice) : 'Not on sale',
+    },
+    {
+      key: 'stock',
+      label: 'Stock',
+      getValue: (product) => {
+        const stock = getStock(product);
+        return stock > 0 ? `${stock} available` : 'Out of stock';
+      },
+    },
+    {
+      key: 'deliveryTime',
+      label: 'Delivery time',
+      getValue: (product) =>
+        product.deliveryTime
+          ? `${product.deliveryTime} ${product.deliveryTime === 1 ? 'day' : 'days'}`
+          : 'Not specified',
+    },
+    {
+      key: 'category',
+      label: 'Category',
+      getValue: (product) => categoryNames[product.category] ?? product.category,
+    },
+    {
+      key: 'weight',
+      label: 'Weight / size',
+      getValue: (product) => product.weight || 'Not specified',
+    },
+    { key: 'colour', label: 'Colour', getValue: (_, specs) => specs.colour },
+    { key: 'type', label: 'Type', getValue: (_, specs) => specs.type },
+    { key: 'warranty', label: 'Warranty', getValue: (_, specs) => specs.warranty },
+    {
+      key: 'countryOfOrigin',
+      label: 'Country of origin',
+      getValue: (_, specs) => specs.countryOfOrigin,
+    },
+    { key: 'disclaimer', label: 'Disclaimer', getValue: (_, specs) => specs.disclaimer },
+  ];
+
+  return attributes.map(({ key, label, getValue }) => {
+    const values = products.map((product, index) => getValue(product, specifications[index]));
+    return { key, label, values, differs: new Set(values).size > 1 };
+  });
+}
+
+export default {
+  parseCompareIds,
+  getComparePath,
+  buildComparisonRows,
+};
@@ -0,0 +1,126 @@
+/**
+ * Tests for comparison utilities
+ */
+import { describe, it, expect } from 'vitest';
+import { parseCompareIds, getComparePath, buildComparisonRows } from './compare';
+
+const formatPrice = (price) => `$${price.toFixed(2)}`;
+const stockById = { 1: 3, 2: 0, 3: 12 };
+const getStock = (product) => stockById[product.id];
+
+const earbuds = {
+  id: 1,
+  name: 'Earbuds',
+  price: 49.99,
+  onSale: true,
+  salePrice: 39.99,
+  category: 'electronics',
+  weight: 'Bluetooth 5.0, 6h',
+  deliveryTime: 15,
+  colour: 'White',
+};
+
+const speaker = {
+  id: 2,
+  name: 'Speaker',
+  price: 79.99,
+  category: 'electronics',
+  weight: '20W, 12h battery',
+  deliveryTime: 15,
+  colour: 'Black',
+};
+
+const shirt = {
+  id: 3,
+  name: 'Shirt',
+  price: 30,
+  category: 'fashion',
+  deliveryTime: 1,
+  options: [{ type: 'size', values: ['S', 'L'] }],
+  variants: [
+    { id: 's', options: { size: 'S' }, stock: 4 },
+    { id: 'l', options: { size: 'L' }, price: 35, stock: 8 },
+  ],
+};
+
+const rowsByKey = (rows) => Object.fromEntries(rows.map((row) => [row.key, row]));
+
+describe('Comparison Utilities', () => {
+  describe('parseCompareIds', () => {
+    it('reads comma-separated IDs in order', () => {
+      expect(parseCompareIds('3,1,12')).toEqual([3, 1, 12]);
+    });
+
+    it('ignores invalid and duplicate IDs', () => {
+      expect(parseCompareIds('2, abc,2,-4,0,1.5, 7')).toEqual([2, 7]);
+    });
+
+    it('keeps at most four IDs', () => {
+      expect(parseCompareIds('1,2,3,4,5,6')).toEqual([1, 2, 3, 4]);
+    });
+
+    it('is empty without a value', () => {
+      expect(parseCompareIds(null)).toEqual([]);
+      expect(parseCompareIds('')).toEqual([]);
+    });
+  });
+
+  describe('getComparePath', () => {
+    it('puts the IDs in the URL', () => {
+      expect(getComparePath([3, 1])).toBe('/compare?ids=3,1');
+    });
+
+    it('is the bare page path without IDs', () => {
+      expect(getComparePath([])).toBe('/compare');
+    });
+
+    it('round-trips through parseCompareIds', () => {
+      const search = getComparePath([5, 9]).split('?')[1];
+      expect(parseCompareIds(new URLSearchParams(search).get('ids'))).toEqual([5, 9]);
+    });
+  });
+
+  describe('buildComparisonRows', () => {
+    it('lines up one value per product', () => {
+      const rows = rowsByKey(buildComparisonRows([earbuds, speaker], { formatPrice, getStock }));
+
+      expect(rows.price.values).toEqual(['$49.99', '$79.99']);
+      expect(rows.salePrice.values).toEqual(['$39.99', 'Not on sale']);
+      expect(rows.stock.values).toEqual(['3 available', 'Out of stock']);
+      expect(rows.deliveryTime.values).toEqual(['15 days', '15 days']);
+      expect(rows.weight.values).toEqual(['Bluetooth 5.0, 6h', '20W, 12h battery']);
+      expect(rows.colour.values).toEqual(['White', 'Black']);
+    });
+
+    it('flags rows where the products differ', () => {
+      const rows = rowsByKey(buildComparisonRows([earbuds, speaker], { formatPrice, getStock }));
+
+      expect(rows.price.differs).toBe(true);
+      expect(rows.colour.differs).toBe(true);
+      expect(rows.deliveryTime.differs).toBe(false);
+      expect(rows.category.differs).toBe(false);
+    });
+
+    it('never flags a single product', () => {
+      const rows = buildComparisonRows([earbuds], { formatPrice, getStock });
+
+      expect(rows.some((row) => row.differs)).toBe(false);
+    });
+
+    it('shows price ranges for products with variants', () => {
+      const rows = rowsByKey(buildComparisonRows([shirt], { formatPrice, getStock }));
+
+      expect(rows.price.values).toEqual(['$30.00 - $35.00']);
+      expect(rows.deliveryTime.values).toEqual(['1 day']);
+    });
+
+    it('falls back to category default specifications', () => {
+      const rows = rowsByKey(buildComparisonRows([shirt], { formatPrice, getStock }));
+
+      expect(rows.category.values).toEqual(['Fashion & Apparel']);
+      expect(rows.type.values).toEqual(['Fashion Accessory']);
+      expect(rows.colour.values).toEqual(['As shown in image']);
+      expect(rows.weight.values).toEqual(['Not specified']);
+    });
+  });
+});
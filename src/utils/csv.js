@@ -0,0 +1,123 @@
+/**
+ * CSV Utilities
+ *
+ * Reads and writes comma-separated values the way spreadsheet apps do
+ * (RFC 4180): cells holding commas, quotes or line breaks are quoted and
+ * quotes inside them are doubled. Text that a spreadsheet app would run
+ * as a formula (starting with `=`, `+`, `-` or `@`) is written with a
+ * leading `'`, which reading drops again.
+ */
+
+// Leading characters that make a spreadsheet app read a cell as a formula
+const FORMULA_START = /^[=+\-@]/;
+
+/**
+ * Read a cell's text, dropping the `'` written before formula-like text
+ * @param {string} cell - Cell as written
+ * @returns {string}
+ */
+function readCell(cell) {
+  return cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Accepts `\n` and `\r\n` line endings and a leading byte order mark.
+ * Blank lines are skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cell values
+ * @throws {SyntaxError} If a quoted cell is never closed
+ *
+ * @example
+ * parseCSV('name,price\n"Lamp, desk",34.5');
+ * // Returns: [['name', 'price'], ['Lamp, desk', '34.5']]
+ */
+export function parseCSV(text) {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let quoteLine = 1;
+
+  const endRow = () => {
+    row.push(readCell(cell));
+    // A blank line parses as a single empty cell
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (char === '\n') {
+      line += 1;
+    }
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      row.push(readCell(cell));
+      cell = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new SyntaxError(`Quoted cell on line ${quoteLine} is never closed`);
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Format a single CSV cell
+ * @param {*} value - Cell value (`null` and `undefined` become empty)
+ * @returns {string}
+ */
+function formatCell(value) {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = typeof value === 'string' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows of cells as CSV text
+ *
+ * @param {Array<Array<*>>} rows - Rows of cell values
+ * @returns {string} CSV text with `\r\n` line endings
+ *
+ * @example
+ * toCSV([['name', 'price'], ['Lamp, desk', 34.5]]);
+ * // Returns: 'name,price\r\n"Lamp, desk",34.5'
+ */
+export function toCSV(rows) {
+  return rows.map((row) => row.map(formatCell).join(',')).join('\r\n');
+}
+
+export default {
+  parseCSV,
+  toCSV,
+};
@@ -0,0 +1,78 @@
+/**
+ * Tests for CSV utilities
+ */
+import { describe, it, expect } from 'vitest';
+import { parseCSV, toCSV } from './csv';
+
+describe('CSV utilities', () => {
+  describe('parseCSV', () => {
+    it('splits rows and cells', () => {
+      expect(parseCSV('name,price\nLamp,34.5\nChair,80')).toEqual([
+        ['name', 'price'],
+        ['Lamp', '34.5'],
+        ['Chair', '80'],
+      ]);
+    });
+
+    it('reads quoted cells with commas, quotes and line breaks', () => {
+      expect(parseCSV('"Lamp, desk","The ""best"" lamp\nyet"')).toEqual([
+        ['Lamp, desk', 'The "best" lamp\nyet'],
+      ]);
+    });
+
+    it('handles CRLF line endings, a byte order mark and blank lines', () => {
+      expect(parseCSV('\uFEFFname,price\r\n\r\nLamp,34.5\r\n')).toEqual([
+        ['name', 'price'],
+        ['Lamp', '34.5'],
+      ]);
+    });
+
+    it('keeps empty cells', () => {
+      expect(parseCSV('a,,c\n,,')).toEqual([
+        ['a', '', 'c'],
+        ['', '', ''],
+      ]);
+    });
+
+    it('throws for a quoted cell that is never closed', () => {
+      expect(() => parseCSV('name,description\nLamp,"Bright\nChair,Sturdy')).toThrow(
+        new SyntaxError('Quoted cell on line 2 is never closed')
+      );
+    });
+
+    it('drops the quote written before formula-like text', () => {
+      expect(parseCSV("'=SUM(A1:A2),'+1,'-x,'@me,'plain")).toEqual([
+        ['=SUM(A1:A2)', '+1', '-x', '@me', "'plain"],
+      ]);
+    });
+
+    it('returns no rows for empty input', () => {
+      expect(parseCSV('')).toEqual([]);
+      expect(parseCSV(undefined)).toEqual([]);
+    });
+  });
+
+  describe('toCSV', () => {
+    it('quotes cells only when needed', () => {
+      expect(toCSV([['Lamp, desk', 'Say "hi"', 'plain', 34.5, undefined]])).toBe(
+        '"Lamp, desk","Say ""hi""",plain,34.5,'
+      );
+    });
+
+    it('writes text a spreadsheet would run as a formula with a leading quote', () => {
+      expect(toCSV([['=HYPERLINK("x")', '+1', '-1', '@me', -5]])).toBe(
+        '"\'=HYPERLINK(""x"")",\'+1,\'-1,\'@me,-5'
+      );
+    });
+
+    it('round-trips through parseCSV', () => {
+      const rows = [
+        ['name', 'description'],
+        ['Lamp', 'Line one\nline two, with "quotes"'],
+        ['=1+1', '@mention'],
+      ];
+
+      expect(parseCSV(toCSV(rows))).toEqual(rows);
+    });
+  });
+});
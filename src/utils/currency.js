@@ -0,0 +1,110 @@
+/**
+ * Currency utilities
+ *
+ * Converts prices from the base catalog currency using the static rates
+ * in data/currencies and formats them with Intl.NumberFormat.
+ */
+
+import { BASE_CURRENCY } from '../constants';
+
+/**
+ * Cache of Intl.NumberFormat instances keyed by locale, currency and options
+ * @type {Map<string, Intl.NumberFormat>}
+ */
+const formatterCache = new Map();
+
+/**
+ * Get (and cache) a currency number formatter
+ * @param {string} locale - BCP 47 locale
+ * @param {string} currencyCode - ISO 4217 code
+ * @param {Object} [options] - Extra Intl.NumberFormat options
+ * @returns {Intl.NumberFormat}
+ */
+function getNumberFormat(locale, currencyCode, options = {}) {
+  const key = `${locale}|${currencyCode}|${JSON.stringify(options)}`;
+  let formatter = formatterCache.get(key);
+
+  if (!formatter) {
+    try {
+      formatter = new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: currencyCode,
+        ...options,
+      });
+    } catch {
+      // Unknown locale - fall back to the runtime default
+      formatter = new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: currencyCode,
+        ...options,
+      });
+    }
+    formatterCache.set(key, formatter);
+  }
+
+  return formatter;
+}
+
+/**
+ * Get the user's preferred locale from the browser
+ * @returns {string} BCP 47 locale (defaults to en-US)
+ */
+export function getUserLocale() {
+  if (typeof navigator === 'undefined') {
+    return 'en-US';
+  }
+  return navigator.languages?.[0] || navigator.language || 'en-US';
+}
+
+/**
+ * Find a currency by code
+ * @param {Array<Object>} currencies - Supported currencies
+ * @param {string} code - ISO 4217 code (any case)
+ * @returns {Object|null} Matching currency
+ */
+export function findCurrency(currencies, code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  const normalized = code.trim().toUpperCase();
+  return currencies.find((currency) => currency.code === normalized) || null;
+}
+
+/**
+ * Convert an amount from the base currency
+ * @param {number} amount - Amount in the base currency
+ * @param {Object} [currency] - Target currency with `rate`
+ * @returns {number} Converted amount
+ */
+export function convertPrice(amount, currency) {
+  return amount * (currency?.rate ?? 1);
+}
+
+/**
+ * Convert and format a base-currency amount
+ *
+ * @param {number} amount - Amount in the base currency
+ * @param {Object} [options]
+ * @param {Object} [options.currency] - Target currency (`{ code, rate }`); defaults to the base currency
+ * @param {string} [options.locale] - Locale to format for; defaults to the user's locale
+ * @param {boolean} [options.wholeUnits=false] - Drop the fractional part
+ * @returns {string} Formatted price
+ *
+ * @example
+ * formatPrice(49.99, { currency: { code: 'INR', rate: 83.2 }, locale: 'en-IN' }); // "₹4,159.17"
+ */
+export function formatPrice(
+  amount,
+  { currency, locale = getUserLocale(), wholeUnits = false } = {}
+) {
+  const code = currency?.code ?? BASE_CURRENCY;
+  const options = wholeUnits ? { minimumFractionDigits: 0, maximumFractionDigits: 0 } : {};
+  return getNumberFormat(locale, code, options).format(convertPrice(amount, currency));
+}
+
+export default {
+  getUserLocale,
+  findCurrency,
+  convertPrice,
+  formatPrice,
+};
@@ -0,0 +1,49 @@
+/**
+ * Tests for currency conversion and formatting
+ */
+import { describe, it, expect } from 'vitest';
+import { findCurrency, convertPrice, formatPrice } from './currency';
+import { currencies } from '../data/currencies';
+
+describe('Currency', () => {
+  describe('findCurrency', () => {
+    it('matches codes in any case', () => {
+      expect(findCurrency(currencies, ' inr ').code).toBe('INR');
+    });
+
+    it('returns null for unknown or missing codes', () => {
+      expect(findCurrency(currencies, 'XYZ')).toBeNull();
+      expect(findCurrency(currencies, null)).toBeNull();
+    });
+  });
+
+  describe('convertPrice', () => {
+    it('multiplies by the currency rate', () => {
+      expect(convertPrice(10, { code: 'EUR', rate: 0.92 })).toBeCloseTo(9.2);
+    });
+
+    it('leaves base amounts unchanged without a currency', () => {
+      expect(convertPrice(10)).toBe(10);
+    });
+  });
+
+  describe('formatPrice', () => {
+    it('formats the base currency by default', () => {
+      expect(formatPrice(1234.5, { locale: 'en-US' })).toBe('$1,234.50');
+    });
+
+    it('converts and formats for the locale', () => {
+      const inr = findCurrency(currencies, 'INR');
+      expect(formatPrice(100, { currency: inr, locale: 'en-IN' })).toBe('₹8,320.00');
+    });
+
+    it('uses the currency minor units', () => {
+      const jpy = findCurrency(currencies, 'JPY');
+      expect(formatPrice(10, { currency: jpy, locale: 'en-US' })).toBe('¥1,495');
+    });
+
+    it('drops the fractional part for whole units', () => {
+      expect(formatPrice(19.99, { locale: 'en-US', wholeUnits: true })).toBe('$20');
+    });
+  });
+});
@@ -141,14 +141,26 @@ export function resetSequentialCounter() {
 }
 
 /**
- * Generate a cart item ID based on product ID
- * Ensures consistency for the same product
+ * Generate a cart item ID based on product ID and variant
+ * Ensures consistency for the same product, with one line per variant
  *
  * @param {number|string} productId - The product ID
+ * @param {string} [variantId] - The variant ID, for products with variants
  * @returns {string} A cart item identifier
  */
-export function generateCartItemId(productId) {
-  return `cart-item-${productId}`;
+export function generateCartItemId(productId, variantId) {
+  return variantId ? `cart-item-${productId}-${variantId}` : `cart-item-${productId}`;
+}
+
+/**
+ * Get the cart item ID of a cart line
+ * Lines saved before they carried a `cartItemId` get it derived.
+ *
+ * @param {{ id: number|string, variantId?: string, cartItemId?: string }} item - Cart line
+ * @returns {string} A cart item identifier
+ */
+export function getCartItemId(item) {
+  return item.cartItemId ?? generateCartItemId(item.id, item.variantId);
 }
 
 export default {
@@ -159,4 +171,5 @@ export default {
   generateSequentialId,
   resetSequentialCounter,
   generateCartItemId,
+  getCartItemId,
 };
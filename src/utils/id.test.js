@@ -314,6 +314,15 @@ describe('ID Generation Utilities', () => {
       expect(cartItemId).toBe('cart-item-999');
     });
 
+    it('adds the variant ID for product variants', () => {
+      expect(generateCartItemId(14, 'm')).toBe('cart-item-14-m');
+    });
+
+    it('generates different IDs for different variants of a product', () => {
+      expect(generateCartItemId(14, 'm')).not.toBe(generateCartItemId(14, 'l'));
+      expect(generateCartItemId(14, 'm')).not.toBe(generateCartItemId(14));
+    });
+
     it('handles zero as product ID', () => {
       const cartItemId = generateCartItemId(0);
       expect(cartItemId).toBe('cart-item-0');
@@ -16,6 +16,7 @@ export {
   generateSequentialId,
   resetSequentialCounter,
   generateCartItemId,
+  getCartItemId,
 } from './id';
 
 // Timing utilities
@@ -25,6 +26,7 @@ export { debounce, throttle, defer, sleep, delayedCall } from './timing';
 export {
   isStorageAvailable,
   getFromStorage,
+  getRawFromStorage,
   setToStorage,
   removeFromStorage,
   clearStorage,
@@ -34,6 +36,16 @@ export {
   setWithExpiry,
   getWithExpiry,
 } from './storage';
+export {
+  STORAGE_SCHEMAS,
+  getSchemaVersion,
+  migrateStoredValue,
+  getVersionedFromStorage,
+  setVersionedToStorage,
+  getQuarantinedEntries,
+} from './storageSchema';
+export { migrateLegacyStore, createVersionedStore } from './versionedStore';
+export { subscribeToStorageKey } from './storageSync';
 
 // Validation utilities
 export {
@@ -41,8 +53,11 @@ export {
   validateCartItem,
   validateProfile,
   validateShippingOption,
+  validateShippingAddress,
+  validatePaymentDetails,
   validateCart,
   validateSearchTerm,
+  validateReview,
   sanitizeString,
 } from './validation';
 
@@ -71,5 +86,73 @@ export {
   sanitizeURL,
   sanitizeObject,
   sanitizeProfile,
+  sanitizeReview,
+  sanitizeProduct,
   createSanitizer,
 } from './sanitize';
+
+// Promotion utilities
+export {
+  normalizeCouponCode,
+  findCoupon,
+  getCartSubtotal,
+  getMinSpendMessage,
+  describeCoupon,
+  applyCoupon,
+} from './promotions';
+
+// Tax utilities
+export { findTaxRule, getTaxRate, calculateTax } from './tax';
+
+// Currency utilities
+export { getUserLocale, findCurrency, convertPrice, formatPrice } from './currency';
+
+// Cart sync utilities
+export { EMPTY_CART_STAMPS, stampCartChanges, mergeCarts } from './cartSync';
+
+// Product variant utilities
+export {
+  hasVariants,
+  getVariant,
+  findVariant,
+  getDefaultVariant,
+  getOptionLabel,
+  getVariantLabel,
+  applyVariant,
+  getUnitPrice,
+  getUnitSavings,
+  getPriceRange,
+} from './variants';
+
+// Review utilities
+export { summarizeRatings, sortReviews } from './reviews';
+
+// Search utilities
+export {
+  tokenize,
+  editDistance,
+  createSearchIndex,
+  searchIndex,
+  searchProducts,
+  getHighlightRanges,
+  splitHighlights,
+} from './search';
+
+// Specification utilities
+export { generateSpecifications } from './specifications';
+
+// Comparison utilities
+export { parseCompareIds, getComparePath, buildComparisonRows } from './compare';
+
+// CSV utilities
+export { parseCSV, toCSV } from './csv';
+
+// Catalog import/export utilities
+export {
+  CATALOG_CSV_COLUMNS,
+  isSameProduct,
+  exportCatalog,
+  parseCatalogFile,
+  buildImportedCatalog,
+  diffCatalog,
+} from './catalogTransfer';
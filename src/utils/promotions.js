@@ -0,0 +1,285 @@
+/**
+ * Promotions engine
+ *
+ * Pure functions that check whether a promo code applies to a cart and
+ * work out the discount it gives. Used by `couponsApi` when a code is
+ * entered and by the cart totals whenever the cart changes, so a code
+ * that stops qualifying (e.g. the cart drops below its minimum spend)
+ * stops discounting straight away.
+ */
+
+import { COUPON_TYPES } from '../constants';
+import { formatPrice as formatBasePrice } from './currency';
+import { getCartItemId } from './id';
+import { getUnitPrice } from './variants';
+
+/**
+ * A single line in the discount breakdown
+ * @typedef {Object} DiscountLine
+ * @property {string} id - Stable key for the line
+ * @property {string} label - Display label
+ * @property {number} amount - Amount taken off (positive)
+ * @property {number} [productId] - Product the line applies to, if item-specific
+ * @property {string} [cartItemId] - Cart line the line applies to, if item-specific
+ * @property {boolean} [shipping] - Whether the line comes off shipping rather than items
+ */
+
+/**
+ * Result of applying a coupon to a cart
+ * @typedef {Object} CouponResult
+ * @property {boolean} eligible - Whether the coupon applies
+ * @property {string|null} reason - Why the coupon does not apply
+ * @property {number|null} shortfall - How much more the cart must spend to
+ *   reach the coupon's minimum, when that is why it does not apply
+ * @property {DiscountLine[]} discounts - Itemised discounts
+ * @property {number} discountTotal - Sum of all discounts
+ * @property {boolean} freeShipping - Whether shipping is waived
+ */
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number}
+ */
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Create a coupon result
+ * @param {DiscountLine[]} discounts - Discount lines
+ * @param {Object} [options]
+ * @param {boolean} [options.freeShipping=false] - Whether shipping is waived
+ * @returns {CouponResult}
+ */
+function createResult(discounts, { freeShipping = false } = {}) {
+  const lines = discounts.filter((line) => line.amount > 0);
+  return {
+    eligible: true,
+    reason: null,
+    shortfall: null,
+    discounts: lines,
+    discountTotal: roundCents(lines.reduce((sum, line) => sum + line.amount, 0)),
+    freeShipping,
+  };
+}
+
+/**
+ * Create a result for a coupon that does not apply
+ * @param {string} reason - Message to show the shopper
+ * @param {number|null} [shortfall=null] - Amount still to spend, for a minimum spend
+ * @returns {CouponResult}
+ */
+function createIneligibleResult(reason, shortfall = null) {
+  return {
+    eligible: false,
+    reason,
+    shortfall,
+    discounts: [],
+    discountTotal: 0,
+    freeShipping: false,
+  };
+}
+
+/**
+ * Message for a cart below a coupon's minimum spend
+ * @param {number} shortfall - Amount still to spend
+ * @param {Function} [formatPrice] - Money formatter, e.g. from `useCurrency`
+ * @returns {string}
+ */
+export function getMinSpendMessage(shortfall, formatPrice = formatBasePrice) {
+  return `Spend ${formatPrice(shortfall)} more to use this code`;
+}
+
+/**
+ * Describe a coupon for display
+ * Money amounts come from the coupon's numbers and are formatted with
+ * `formatPrice`, so they show in the shopper's currency; other coupons
+ * use their `description`.
+ *
+ * @param {Object} coupon - Coupon definition (see data/coupons)
+ * @param {Function} [formatPrice] - Money formatter, e.g. from `useCurrency`
+ * @returns {string}
+ *
+ * @example
+ * describeCoupon({ type: 'fixed', value: 20, minSpend: 150 });
+ * // '$20.00 off orders over $150.00'
+ */
+export function describeCoupon(coupon, formatPrice = formatBasePrice) {
+  const overMinSpend = coupon.minSpend ? ` over ${formatPrice(coupon.minSpend)}` : '';
+
+  switch (coupon.type) {
+    case COUPON_TYPES.FIXED:
+      return coupon.minSpend
+        ? `${formatPrice(coupon.value)} off orders${overMinSpend}`
+        : `${formatPrice(coupon.value)} off your order`;
+
+    case COUPON_TYPES.FREE_SHIPPING:
+      return coupon.minSpend ? `Free shipping on orders${overMinSpend}` : 'Free shipping';
+
+    default:
+      return coupon.description;
+  }
+}
+
+/**
+ * Normalize a code typed by the shopper for lookup
+ * @param {string} code - Raw code
+ * @returns {string} Trimmed, upper-case code
+ */
+export function normalizeCouponCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Find a coupon by code
+ * @param {Array<Object>} coupons - Coupon catalog
+ * @param {string} code - Code typed by the shopper (any case)
+ * @returns {Object|null} Matching coupon
+ */
+export function findCoupon(coupons, code) {
+  const normalized = normalizeCouponCode(code);
+  return coupons.find((coupon) => coupon.code === normalized) || null;
+}
+
+/**
+ * Calculate the cart subtotal after sale prices
+ * @param {Array<Object>} items - Cart items
+ * @returns {number}
+ */
+export function getCartSubtotal(items) {
+  return items.reduce((sum, item) => sum + getUnitPrice(item) * item.quantity, 0);
+}
+
+/**
+ * Apply a coupon to a cart
+ *
+ * @param {Object} coupon - Coupon definition (see data/coupons)
+ * @param {Object} cart
+ * @param {Array<Object>} cart.items - Cart items
+ * @param {number} [cart.shippingCost=0] - Selected shipping cost, waived by free-shipping codes
+ * @param {Function} [cart.formatPrice] - Money formatter for labels and messages, e.g. from `useCurrency`
+ * @param {Date|number|string} [now=new Date()] - Reference time for start/expiry checks
+ * @returns {CouponResult}
+ *
+ * @example
+ * const { eligible, discounts, discountTotal } = applyCoupon(coupon, { items, shippingCost });
+ */
+export function applyCoupon(
+  coupon,
+  { items = [], shippingCost = 0, formatPrice = formatBasePrice } = {},
+  now = new Date()
+) {
+  if (!coupon) {
+    return createIneligibleResult('Promo code not found');
+  }
+
+  const time = new Date(now).getTime();
+
+  if (coupon.startsAt && time < Date.parse(coupon.startsAt)) {
+    return createIneligibleResult('This promo code is not active yet');
+  }
+
+  if (coupon.expiresAt && time > Date.parse(coupon.expiresAt)) {
+    return createIneligibleResult('This promo code has expired');
+  }
+
+  if (items.length === 0) {
+    return createIneligibleResult('Add items to your cart to use this code');
+  }
+
+  const subtotal = getCartSubtotal(items);
+
+  if (coupon.minSpend && subtotal < coupon.minSpend) {
+    const shortfall = roundCents(coupon.minSpend - subtotal);
+    return createIneligibleResult(getMinSpendMessage(shortfall, formatPrice), shortfall);
+  }
+
+  const qualifyingItems = coupon.category
+    ? items.filter((item) => item.category === coupon.category)
+    : items;
+
+  if (qualifyingItems.length === 0) {
+    return createIneligibleResult('No items in your cart qualify for this code');
+  }
+
+  switch (coupon.type) {
+    case COUPON_TYPES.PERCENTAGE:
+      return createResult([
+        {
+          id: coupon.code,
+          label: coupon.description,
+          amount: roundCents((subtotal * coupon.value) / 100),
+        },
+      ]);
+
+    case COUPON_TYPES.FIXED:
+      return createResult([
+        {
+          id: coupon.code,
+          label: describeCoupon(coupon, formatPrice),
+          amount: roundCents(Math.min(coupon.value, subtotal)),
+        },
+      ]);
+
+    case COUPON_TYPES.CATEGORY:
+      return createResult(
+        qualifyingItems.map((item) => ({
+          id: `${coupon.code}-${getCartItemId(item)}`,
+          label: `${coupon.value}% off ${item.name}`,
+          amount: roundCents((getUnitPrice(item) * item.quantity * coupon.value) / 100),
+          productId: item.id,
+          cartItemId: getCartItemId(item),
+        }))
+      );
+
+    case COUPON_TYPES.BUY_X_GET_Y: {
+      // Free units are counted per cart line: every (buy + get) units
+      // of the same item and variant earn `get` of them free
+      const groupSize = coupon.buyQuantity + coupon.getQuantity;
+      const lines = qualifyingItems.map((item) => {
+        const freeUnits = Math.floor(item.quantity / groupSize) * coupon.getQuantity;
+        return {
+          id: `${coupon.code}-${getCartItemId(item)}`,
+          label: `${freeUnits} free × ${item.name}`,
+          amount: roundCents(freeUnits * getUnitPrice(item)),
+          productId: item.id,
+          cartItemId: getCartItemId(item),
+        };
+      });
+
+      if (lines.every((line) => line.amount === 0)) {
+        return createIneligibleResult(
+          `Add ${groupSize} of the same item to get ${coupon.getQuantity} free`
+        );
+      }
+
+      return createResult(lines);
+    }
+
+    case COUPON_TYPES.FREE_SHIPPING:
+      return createResult(
+        [
+          {
+            id: coupon.code,
+            label: 'Free shipping',
+            amount: roundCents(shippingCost),
+            shipping: true,
+          },
+        ],
+        { freeShipping: true }
+      );
+
+    default:
+      return createIneligibleResult('This promo code cannot be used');
+  }
+}
+
+export default {
+  normalizeCouponCode,
+  findCoupon,
+  getCartSubtotal,
+  getMinSpendMessage,
+  describeCoupon,
+  applyCoupon,
+};
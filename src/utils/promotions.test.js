@@ -0,0 +1,278 @@
+/**
+ * Tests for the promotions engine
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeCouponCode,
+  findCoupon,
+  getCartSubtotal,
+  describeCoupon,
+  applyCoupon,
+} from './promotions';
+import { COUPON_TYPES } from '../constants';
+
+const NOW = '2026-01-15T12:00:00Z';
+
+const headphones = {
+  id: 1,
+  name: 'Headphones',
+  price: 50,
+  category: 'electronics',
+  quantity: 2,
+};
+
+const mug = {
+  id: 2,
+  name: 'Mug',
+  price: 20,
+  salePrice: 15,
+  onSale: true,
+  category: 'home',
+  quantity: 1,
+};
+
+const coupon = (overrides) => ({
+  code: 'TEST',
+  description: 'Test code',
+  expiresAt: '2026-12-31T23:59:59Z',
+  ...overrides,
+});
+
+describe('Promotions', () => {
+  describe('normalizeCouponCode', () => {
+    it('trims and upper-cases codes', () => {
+      expect(normalizeCouponCode('  save5 ')).toBe('SAVE5');
+    });
+
+    it('returns an empty string for non-strings', () => {
+      expect(normalizeCouponCode(null)).toBe('');
+    });
+  });
+
+  describe('findCoupon', () => {
+    const catalog = [coupon({ code: 'SAVE5' })];
+
+    it('finds codes case-insensitively', () => {
+      expect(findCoupon(catalog, 'save5')).toBe(catalog[0]);
+    });
+
+    it('returns null for unknown codes', () => {
+      expect(findCoupon(catalog, 'NOPE')).toBeNull();
+    });
+  });
+
+  describe('getCartSubtotal', () => {
+    it('uses sale prices', () => {
+      expect(getCartSubtotal([headphones, mug])).toBe(115);
+    });
+
+    it('prices a free sale item at zero, like the cart does', () => {
+      expect(getCartSubtotal([headphones, { ...mug, salePrice: 0 }])).toBe(100);
+    });
+  });
+
+  describe('applyCoupon', () => {
+    const items = [headphones, mug];
+
+    it('rejects a missing coupon', () => {
+      const result = applyCoupon(null, { items }, NOW);
+
+      expect(result.eligible).toBe(false);
+      expect(result.reason).toBe('Promo code not found');
+    });
+
+    it('rejects expired coupons', () => {
+      const result = applyCoupon(
+        coupon({ type: COUPON_TYPES.PERCENTAGE, value: 10, expiresAt: '2026-01-01T00:00:00Z' }),
+        { items },
+        NOW
+      );
+
+      expect(result.eligible).toBe(false);
+      expect(result.reason).toBe('This promo code has expired');
+    });
+
+    it('rejects coupons that have not started', () => {
+      const result = applyCoupon(
+        coupon({ type: COUPON_TYPES.PERCENTAGE, value: 10, startsAt: '2026-02-01T00:00:00Z' }),
+        { items },
+        NOW
+      );
+
+      expect(result.reason).toBe('This promo code is not active yet');
+    });
+
+    it('rejects an empty cart', () => {
+      const result = applyCoupon(coupon({ type: COUPON_TYPES.FIXED, value: 5 }), {}, NOW);
+
+      expect(result.eligible).toBe(false);
+    });
+
+    it('enforces a minimum spend', () => {
+      const result = applyCoupon(
+        coupon({ type: COUPON_TYPES.FIXED, value: 20, minSpend: 150 }),
+        { items },
+        NOW
+      );
+
+      expect(result.eligible).toBe(false);
+      expect(result.shortfall).toBe(35);
+      expect(result.reason).toBe('Spend $35.00 more to use this code');
+    });
+
+    it('formats money in labels and messages with the given formatter', () => {
+      const formatPrice = (amount) => `€${amount}`;
+      const fixed = coupon({ type: COUPON_TYPES.FIXED, value: 5 });
+
+      expect(applyCoupon(fixed, { items, formatPrice }, NOW).discounts[0].label).toBe(
+        '€5 off your order'
+      );
+      expect(applyCoupon({ ...fixed, minSpend: 150 }, { items, formatPrice }, NOW).reason).toBe(
+        'Spend €35 more to use this code'
+      );
+    });
+
+    it('takes a percentage off the subtotal', () => {
+      const result = applyCoupon(
+        coupon({ type: COUPON_TYPES.PERCENTAGE, value: 10 }),
+        { items },
+        NOW
+      );
+
+      expect(result.eligible).toBe(true);
+      expect(result.discountTotal).toBe(11.5);
+      expect(result.discounts).toEqual([{ id: 'TEST', label: 'Test code', amount: 11.5 }]);
+    });
+
+    it('takes a fixed amount off, capped at the subtotal', () => {
+      const fixed = applyCoupon(coupon({ type: COUPON_TYPES.FIXED, value: 5 }), { items }, NOW);
+      const capped = applyCoupon(
+        coupon({ type: COUPON_TYPES.FIXED, value: 500 }),
+        { items: [mug] },
+        NOW
+      );
+
+      expect(fixed.discountTotal).toBe(5);
+      expect(capped.discountTotal).toBe(15);
+    });
+
+    it('itemises category discounts per matching product', () => {
+      const result = applyCoupon(
+        coupon({ type: COUPON_TYPES.CATEGORY, value: 20, category: 'electronics' }),
+        { items },
+        NOW
+      );
+
+      expect(result.discounts).toEqual([
+        {
+          id: 'TEST-cart-item-1',
+          label: '20% off Headphones',
+          amount: 20,
+          productId: 1,
+          cartItemId: 'cart-item-1',
+        },
+      ]);
+      expect(result.discountTotal).toBe(20);
+    });
+
+    it('gives each variant of a product its own category discount line', () => {
+      const black = { ...headphones, variantId: 'black', cartItemId: 'cart-item-1-black' };
+      const silver = {
+        ...headphones,
+        variantId: 'silver',
+        cartItemId: 'cart-item-1-silver',
+        quantity: 1,
+      };
+
+      const result = applyCoupon(
+        coupon({ type: COUPON_TYPES.CATEGORY, value: 20, category: 'electronics' }),
+        { items: [black, silver] },
+        NOW
+      );
+
+      expect(result.discounts).toEqual([
+        expect.objectContaining({ id: 'TEST-cart-item-1-black', amount: 20 }),
+        expect.objectContaining({ id: 'TEST-cart-item-1-silver', amount: 10 }),
+      ]);
+    });
+
+    it('rejects category coupons with no matching items', () => {
+      const result = applyCoupon(
+        coupon({ type: COUPON_TYPES.CATEGORY, value: 20, category: 'toys' }),
+        { items },
+        NOW
+      );
+
+      expect(result.reason).toBe('No items in your cart qualify for this code');
+    });
+
+    it('gives free units for buy-x-get-y coupons', () => {
+      const bundle = coupon({ type: COUPON_TYPES.BUY_X_GET_Y, buyQuantity: 2, getQuantity: 1 });
+      const result = applyCoupon(bundle, { items: [{ ...mug, quantity: 7 }] }, NOW);
+
+      expect(result.discounts).toEqual([
+        {
+          id: 'TEST-cart-item-2',
+          label: '2 free × Mug',
+          amount: 30,
+          productId: 2,
+          cartItemId: 'cart-item-2',
+        },
+      ]);
+    });
+
+    it('rejects buy-x-get-y coupons when no product has enough units', () => {
+      const bundle = coupon({ type: COUPON_TYPES.BUY_X_GET_Y, buyQuantity: 2, getQuantity: 1 });
+      const result = applyCoupon(bundle, { items }, NOW);
+
+      expect(result.eligible).toBe(false);
+      expect(result.reason).toBe('Add 3 of the same item to get 1 free');
+    });
+
+    it('waives shipping for free-shipping coupons', () => {
+      const result = applyCoupon(
+        coupon({ type: COUPON_TYPES.FREE_SHIPPING }),
+        { items, shippingCost: 9.99 },
+        NOW
+      );
+
+      expect(result.freeShipping).toBe(true);
+      expect(result.discounts).toEqual([
+        { id: 'TEST', label: 'Free shipping', amount: 9.99, shipping: true },
+      ]);
+    });
+
+    it('omits the free shipping line when shipping is already free', () => {
+      const result = applyCoupon(
+        coupon({ type: COUPON_TYPES.FREE_SHIPPING }),
+        { items, shippingCost: 0 },
+        NOW
+      );
+
+      expect(result.eligible).toBe(true);
+      expect(result.discounts).toEqual([]);
+    });
+  });
+
+  describe('describeCoupon', () => {
+    it('describes money-off codes from their amounts', () => {
+      expect(describeCoupon({ type: COUPON_TYPES.FIXED, value: 5 })).toBe('$5.00 off your order');
+      expect(describeCoupon({ type: COUPON_TYPES.FIXED, value: 20, minSpend: 150 })).toBe(
+        '$20.00 off orders over $150.00'
+      );
+    });
+
+    it('describes free shipping with its minimum spend', () => {
+      expect(describeCoupon({ type: COUPON_TYPES.FREE_SHIPPING })).toBe('Free shipping');
+      expect(
+        describeCoupon({ type: COUPON_TYPES.FREE_SHIPPING, minSpend: 25 }, (amount) => `€${amount}`)
+      ).toBe('Free shipping on orders over €25');
+    });
+
+    it('uses the description of other codes', () => {
+      expect(describeCoupon(coupon({ type: COUPON_TYPES.PERCENTAGE, value: 10 }))).toBe(
+        'Test code'
+      );
+    });
+  });
+});
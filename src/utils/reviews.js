@@ -0,0 +1,79 @@
+/**
+ * Review Utilities
+ *
+ * Pure helpers for product reviews: rating summaries (average and
+ * histogram) and review list ordering. Reviews are stored by
+ * services/reviews.
+ */
+
+import { REVIEW_LIMITS, REVIEW_SORT_OPTIONS } from '../constants';
+
+/**
+ * Rating summary for a product
+ * @typedef {Object} RatingSummary
+ * @property {number} average - Mean rating to one decimal place (0 with no reviews)
+ * @property {number} count - Number of reviews
+ * @property {Object<number, number>} histogram - Review count per star rating (1-5)
+ */
+
+/**
+ * Summarize a product's reviews
+ * @param {Array<{ rating: number }>} reviews - Reviews for one product
+ * @returns {RatingSummary}
+ *
+ * @example
+ * summarizeRatings([{ rating: 5 }, { rating: 4 }]);
+ * // { average: 4.5, count: 2, histogram: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 } }
+ */
+export function summarizeRatings(reviews) {
+  const histogram = {};
+  for (let stars = REVIEW_LIMITS.MIN_RATING; stars <= REVIEW_LIMITS.MAX_RATING; stars++) {
+    histogram[stars] = 0;
+  }
+
+  let total = 0;
+  reviews.forEach(({ rating }) => {
+    histogram[rating] = (histogram[rating] ?? 0) + 1;
+    total += rating;
+  });
+
+  const count = reviews.length;
+  return {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    histogram,
+  };
+}
+
+/**
+ * Order reviews for display
+ * Ties fall back to newest first.
+ *
+ * @param {Array} reviews - Reviews to sort
+ * @param {string} [sortBy] - A `REVIEW_SORT_OPTIONS` value (defaults to newest)
+ * @returns {Array} Sorted copy
+ */
+export function sortReviews(reviews, sortBy = REVIEW_SORT_OPTIONS.NEWEST) {
+  const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+  const sorted = [...reviews];
+
+  switch (sortBy) {
+    case REVIEW_SORT_OPTIONS.HIGHEST:
+      return sorted.sort((a, b) => b.rating - a.rating || newestFirst(a, b));
+
+    case REVIEW_SORT_OPTIONS.LOWEST:
+      return sorted.sort((a, b) => a.rating - b.rating || newestFirst(a, b));
+
+    case REVIEW_SORT_OPTIONS.VERIFIED:
+      return sorted.sort((a, b) => Number(b.verified) - Number(a.verified) || newestFirst(a, b));
+
+    case REVIEW_SORT_OPTIONS.NEWEST:
+    default:
+      return sorted.sort(newestFirst);
+  }
+}
+
+export default {
+  summarizeRatings,
+  sortReviews,
+};
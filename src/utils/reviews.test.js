@@ -0,0 +1,59 @@
+/**
+ * Tests for review utilities
+ */
+import { describe, it, expect } from 'vitest';
+import { summarizeRatings, sortReviews } from './reviews';
+
+const reviews = [
+  { id: 'a', rating: 4, verified: false, createdAt: '2026-01-01T00:00:00Z' },
+  { id: 'b', rating: 5, verified: true, createdAt: '2026-02-01T00:00:00Z' },
+  { id: 'c', rating: 2, verified: true, createdAt: '2026-03-01T00:00:00Z' },
+  { id: 'd', rating: 4, verified: false, createdAt: '2026-04-01T00:00:00Z' },
+];
+
+const ids = (list) => list.map((review) => review.id);
+
+describe('Review Utilities', () => {
+  describe('summarizeRatings', () => {
+    it('computes the average to one decimal place', () => {
+      expect(summarizeRatings(reviews).average).toBe(3.8);
+      expect(summarizeRatings(reviews).count).toBe(4);
+    });
+
+    it('counts reviews per star rating', () => {
+      expect(summarizeRatings(reviews).histogram).toEqual({ 1: 0, 2: 1, 3: 0, 4: 2, 5: 1 });
+    });
+
+    it('is empty with no reviews', () => {
+      expect(summarizeRatings([])).toEqual({
+        average: 0,
+        count: 0,
+        histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      });
+    });
+  });
+
+  describe('sortReviews', () => {
+    it('sorts newest first by default', () => {
+      expect(ids(sortReviews(reviews))).toEqual(['d', 'c', 'b', 'a']);
+    });
+
+    it('sorts by highest rating, newest first on ties', () => {
+      expect(ids(sortReviews(reviews, 'highest'))).toEqual(['b', 'd', 'a', 'c']);
+    });
+
+    it('sorts by lowest rating', () => {
+      expect(ids(sortReviews(reviews, 'lowest'))).toEqual(['c', 'd', 'a', 'b']);
+    });
+
+    it('puts verified purchases first', () => {
+      expect(ids(sortReviews(reviews, 'verified'))).toEqual(['c', 'b', 'd', 'a']);
+    });
+
+    it('does not modify the input', () => {
+      sortReviews(reviews, 'highest');
+
+      expect(ids(reviews)).toEqual(['a', 'b', 'c', 'd']);
+    });
+  });
+});
@@ -8,6 +8,8 @@
  * that will be displayed or stored.
  */
 
+import { REVIEW_LIMITS } from '../constants';
+
 /**
  * HTML entities map for encoding
  */
@@ -435,6 +437,85 @@ export function sanitizeProfile(profile) {
   return sanitized;
 }
 
+/**
+ * Sanitize a product review from the review form
+ * Strips markup from the text fields and coerces the rating to a number.
+ * Text fields are capped a little above their limits so validation can
+ * still report overlong input.
+ *
+ * @param {Object} review - Review form values
+ * @returns {{ rating: number, author: string, title: string, body: string }} Sanitized review
+ */
+export function sanitizeReview(review) {
+  if (!review || typeof review !== 'object') {
+    return { rating: 0, author: '', title: '', body: '' };
+  }
+
+  const clean = (value, maxLength) =>
+    sanitizeString(value, { encodeEntities: false, maxLength: maxLength + 1 });
+
+  return {
+    rating: Number(review.rating) || 0,
+    author: clean(review.author, REVIEW_LIMITS.AUTHOR_MAX_LENGTH),
+    title: clean(review.title, REVIEW_LIMITS.TITLE_MAX_LENGTH),
+    body: clean(review.body, REVIEW_LIMITS.BODY_MAX_LENGTH),
+  };
+}
+
+/**
+ * Sanitize product details from the catalog admin form or an import
+ * Strips markup from the text fields and converts numeric fields from
+ * form strings. Only fields present in `values` are returned, so a
+ * partial form leaves the rest of a product alone; blank optional
+ * fields come back `undefined` to clear them. The sale price is dropped
+ * when the product isn't on sale.
+ *
+ * @param {Object} values - Form values
+ * @returns {Object} Sanitized product fields
+ */
+export function sanitizeProduct(values) {
+  if (!values || typeof values !== 'object') {
+    return {};
+  }
+
+  const clean = (value) => sanitizeString(value, { encodeEntities: false });
+  const toNumber = (value) =>
+    value === undefined || value === null || String(value).trim() === ''
+      ? undefined
+      : Number(value);
+  const sanitizers = {
+    name: clean,
+    description: clean,
+    category: clean,
+    colour: (value) => clean(value) || undefined,
+    weight: (value) => clean(value) || undefined,
+    disclaimer: (value) => clean(value) || undefined,
+    image: (value) => {
+      const result = sanitizeURL(value ?? '');
+      // Keep invalid input so validation can report it
+      return result.valid ? result.sanitized : clean(value);
+    },
+    price: toNumber,
+    salePrice: toNumber,
+    stock: toNumber,
+    deliveryTime: toNumber,
+    onSale: Boolean,
+  };
+
+  const sanitized = {};
+  Object.entries(sanitizers).forEach(([field, sanitize]) => {
+    if (field in values) {
+      sanitized[field] = sanitize(values[field]);
+    }
+  });
+
+  if ('onSale' in sanitized && !sanitized.onSale) {
+    sanitized.salePrice = undefined;
+  }
+
+  return sanitized;
+}
+
 /**
  * Create a sanitizer with preset options
  *
@@ -461,5 +542,7 @@ export default {
   sanitizeURL,
   sanitizeObject,
   sanitizeProfile,
+  sanitizeReview,
+  sanitizeProduct,
   createSanitizer,
 };
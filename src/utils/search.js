@@ -0,0 +1,417 @@
+/**
+ * Search Utilities
+ *
+ * Typo-tolerant, relevance-ranked product search. Text is split into
+ * normalised terms (lowercase, accents removed, simple plurals folded)
+ * and indexed per field. A query term matches an indexed term exactly,
+ * through a synonym, as a prefix or substring, or within a small edit
+ * distance, and each kind of match scores a little less than the last.
+ * Every query term must match for an item to be returned.
+ */
+
+import { SEARCH_FIELD_WEIGHTS, SEARCH_STOP_WORDS, SEARCH_SYNONYMS } from '../constants';
+
+// Words and numbers; punctuation separates terms
+const TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Score for each kind of term match (an exact match scores 1)
+const MATCH_WEIGHTS = {
+  SYNONYM: 0.9,
+  PREFIX: 0.75,
+  ONE_EDIT: 0.6,
+  SUBSTRING: 0.5,
+  TWO_EDITS: 0.4,
+};
+
+// Shortest query term matched as a prefix / inside a longer word
+const MIN_PREFIX_LENGTH = 2;
+const MIN_SUBSTRING_LENGTH = 3;
+
+/**
+ * Normalise a single word into an index term
+ * Lowercases, strips accents and folds simple plurals ("earbuds" and
+ * "earbud" both become "earbud", "batteries" becomes "battery").
+ *
+ * @param {string} word - Word to normalise
+ * @returns {string} Index term
+ */
+function toTerm(word) {
+  const term = word.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+
+  if (term.length > 4 && term.endsWith('ies')) {
+    return `${term.slice(0, -3)}y`;
+  }
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) {
+    return term.slice(0, -1);
+  }
+  return term;
+}
+
+/**
+ * Split text into terms with their positions in the original text
+ * @param {string} text - Text to split
+ * @returns {Array<{ term: string, start: number, end: number }>}
+ */
+function tokenizeWithPositions(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  return [...text.matchAll(TERM_PATTERN)].map((match) => ({
+    term: toTerm(match[0]),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Split text into normalised search terms
+ * @param {string} text - Text to split
+ * @returns {string[]} Terms, in order (duplicates kept)
+ *
+ * @example
+ * tokenize('Wireless Earbuds, 2-Pack'); // ['wireless', 'earbud', '2', 'pack']
+ */
+export function tokenize(text) {
+  return tokenizeWithPositions(text).map(({ term }) => term);
+}
+
+/**
+ * Edit distance between two strings
+ * Counts insertions, deletions, substitutions and swaps of adjacent
+ * letters. Stops early once the distance is known to exceed `maxDistance`.
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [maxDistance=Infinity] - Largest distance of interest
+ * @returns {number} Distance, or `maxDistance + 1` when it is larger
+ *
+ * @example
+ * editDistance('blutooth', 'bluetooth'); // 1
+ * editDistance('teh', 'the'); // 1
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+
+      current[j] = distance;
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], maxDistance + 1);
+}
+
+/**
+ * Typos tolerated for a query term: none for short words, more for long ones
+ * @param {string} term - Query term
+ * @returns {number} Maximum edit distance
+ */
+function getMaxEdits(term) {
+  if (term.length < 4) return 0;
+  if (term.length < 9) return 1;
+  return 2;
+}
+
+/**
+ * Build a lookup from each term to the terms it is interchangeable with
+ * @param {Array<string[]>} groups - Synonym groups
+ * @returns {Map<string, Set<string>>}
+ */
+function buildSynonymMap(groups) {
+  const synonyms = new Map();
+
+  groups.forEach((group) => {
+    const terms = group.map(toTerm);
+    terms.forEach((term) => {
+      const related = synonyms.get(term) ?? new Set();
+      terms.filter((other) => other !== term).forEach((other) => related.add(other));
+      synonyms.set(term, related);
+    });
+  });
+
+  return synonyms;
+}
+
+const SYNONYMS = buildSynonymMap(SEARCH_SYNONYMS);
+const STOP_WORDS = new Set(SEARCH_STOP_WORDS);
+
+/**
+ * Score how well a query term matches an indexed term
+ * @param {string} queryTerm - Normalised query term
+ * @param {string} term - Normalised indexed term
+ * @param {boolean} [fuzzy=true] - Whether near misses (typos) count
+ * @returns {number} 1 for an exact match down to 0 for no match
+ */
+function matchTerm(queryTerm, term, fuzzy = true) {
+  if (term === queryTerm) return 1;
+  if (SYNONYMS.get(queryTerm)?.has(term)) return MATCH_WEIGHTS.SYNONYM;
+  if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+    return MATCH_WEIGHTS.PREFIX;
+  }
+
+  // Distances beyond the typo allowance come back as `maxEdits + 1`
+  const maxEdits = fuzzy ? getMaxEdits(queryTerm) : 0;
+  const distance = maxEdits > 0 ? editDistance(queryTerm, term, maxEdits) : Infinity;
+  if (distance === 1) return MATCH_WEIGHTS.ONE_EDIT;
+  if (queryTerm.length >= MIN_SUBSTRING_LENGTH && term.includes(queryTerm)) {
+    return MATCH_WEIGHTS.SUBSTRING;
+  }
+  if (distance === 2 && maxEdits >= 2) return MATCH_WEIGHTS.TWO_EDITS;
+
+  return 0;
+}
+
+/**
+ * Normalised, de-duplicated terms of a query
+ * Stop words are dropped unless the query is nothing but stop words.
+ *
+ * @param {string} query - Search query
+ * @returns {string[]}
+ */
+function getQueryTerms(query) {
+  const terms = [...new Set(tokenize(query))];
+  const meaningful = terms.filter((term) => !STOP_WORDS.has(term));
+  return meaningful.length > 0 ? meaningful : terms;
+}
+
+/**
+ * Character ranges of the terms in a text that satisfy a test
+ * @param {string} text - Text to scan
+ * @param {Function} isMatch - Called with each normalised term
+ * @returns {Array<[number, number]>} `[start, end)` ranges, in order
+ */
+function findRanges(text, isMatch) {
+  return tokenizeWithPositions(text)
+    .filter(({ term }) => isMatch(term))
+    .map(({ start, end }) => [start, end]);
+}
+
+/**
+ * Search index over a list of items
+ * @typedef {Object} SearchIndex
+ * @property {Array} items - Indexed items, in their original order
+ * @property {Object<string, number>} fields - Indexed fields and their weights
+ * @property {Map<string, Map<number, number>>} postings - For each term, the
+ *   field weight it carries in each item (keyed by item position)
+ */
+
+/**
+ * Build an inverted index over the text fields of a list of items
+ * Build once per list and reuse it for every query.
+ *
+ * @param {Array<Object>} items - Items to index
+ * @param {Object} [options] - Index options
+ * @param {Object<string, number>} [options.fields] - Field names and weights
+ *   (defaults to `SEARCH_FIELD_WEIGHTS`)
+ * @returns {SearchIndex}
+ */
+export function createSearchIndex(items, options = {}) {
+  const { fields = SEARCH_FIELD_WEIGHTS } = options;
+  const postings = new Map();
+
+  items.forEach((item, position) => {
+    // A term counts once per field, however often it repeats there
+    const itemWeights = new Map();
+    Object.entries(fields).forEach(([field, weight]) => {
+      new Set(tokenize(item[field] == null ? '' : String(item[field]))).forEach((term) => {
+        itemWeights.set(term, (itemWeights.get(term) ?? 0) + weight);
+      });
+    });
+
+    itemWeights.forEach((weight, term) => {
+      const termPostings = postings.get(term) ?? new Map();
+      termPostings.set(position, weight);
+      postings.set(term, termPostings);
+    });
+  });
+
+  return { items, fields, postings };
+}
+
+/**
+ * Search result
+ * @typedef {Object} SearchResult
+ * @property {Object} item - Matching item
+ * @property {number} score - Relevance (higher is better)
+ * @property {Object<string, Array<[number, number]>>} highlights - Matched
+ *   character ranges per field, for fields with a match
+ */
+
+/**
+ * Search an index
+ * @param {SearchIndex} index - Index from `createSearchIndex`
+ * @param {string} query - Search query
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit] - Maximum results
+ * @returns {SearchResult[]} Matches, most relevant first (ties keep item order)
+ */
+export function searchIndex(index, query, options = {}) {
+  const queryTerms = getQueryTerms(query);
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  // position -> { score, matchedTerms, terms }
+  const candidates = new Map();
+  const getCandidate = (position) => {
+    if (!candidates.has(position)) {
+      candidates.set(position, { score: 0, matchedTerms: 0, terms: new Set() });
+    }
+    return candidates.get(position);
+  };
+
+  queryTerms.forEach((queryTerm) => {
+    // Best score this query term reaches in each item
+    const best = new Map();
+
+    // A word that appears in the index is taken as spelled correctly, so
+    // "black" finds black products rather than "blocks" as well
+    const fuzzy = !index.postings.has(queryTerm);
+
+    index.postings.forEach((termPostings, term) => {
+      const matchWeight = matchTerm(queryTerm, term, fuzzy);
+      if (matchWeight === 0) return;
+
+      termPostings.forEach((fieldWeight, position) => {
+        getCandidate(position).terms.add(term);
+        best.set(position, Math.max(best.get(position) ?? 0, matchWeight * fieldWeight));
+      });
+    });
+
+    best.forEach((score, position) => {
+      const candidate = getCandidate(position);
+      candidate.score += score;
+      candidate.matchedTerms += 1;
+    });
+  });
+
+  const results = [...candidates.entries()]
+    .filter(([, candidate]) => candidate.matchedTerms === queryTerms.length)
+    .sort(([positionA, a], [positionB, b]) => b.score - a.score || positionA - positionB)
+    .map(([position, candidate]) => {
+      const item = index.items[position];
+      const highlights = {};
+
+      Object.keys(index.fields).forEach((field) => {
+        const ranges = findRanges(item[field] == null ? '' : String(item[field]), (term) =>
+          candidate.terms.has(term)
+        );
+        if (ranges.length > 0) {
+          highlights[field] = ranges;
+        }
+      });
+
+      return { item, score: Math.round(candidate.score * 100) / 100, highlights };
+    });
+
+  return typeof options.limit === 'number' ? results.slice(0, options.limit) : results;
+}
+
+// Product indexes, built once per catalog array
+const productIndexes = new WeakMap();
+
+/**
+ * Search products by name, description, category and colour
+ * The index for a product array is built on first use and reused
+ * while the same array is searched again.
+ *
+ * @param {Array<Object>} products - Products to search
+ * @param {string} query - Search query
+ * @param {Object} [options] - Search options (see `searchIndex`)
+ * @returns {SearchResult[]} Matches, most relevant first
+ *
+ * @example
+ * searchProducts(products, 'blutooth speaker')[0].item.name; // 'Bluetooth Speaker'
+ */
+export function searchProducts(products, query, options = {}) {
+  let index = productIndexes.get(products);
+  if (!index) {
+    index = createSearchIndex(products);
+    productIndexes.set(products, index);
+  }
+
+  return searchIndex(index, query, options);
+}
+
+/**
+ * Find the parts of a text that match a query
+ * Uses the same matching rules as search, so highlights line up with results.
+ *
+ * @param {string} text - Text to highlight
+ * @param {string} query - Search query
+ * @returns {Array<[number, number]>} `[start, end)` ranges, in order
+ *
+ * @example
+ * getHighlightRanges('Wireless Earbuds', 'erbuds'); // [[9, 16]]
+ */
+export function getHighlightRanges(text, query) {
+  const queryTerms = getQueryTerms(query);
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  return findRanges(text, (term) => queryTerms.some((queryTerm) => matchTerm(queryTerm, term)));
+}
+
+/**
+ * Split text into plain and highlighted parts
+ * @param {string} text - Text to split
+ * @param {Array<[number, number]>} ranges - Ranges to highlight (from `getHighlightRanges`)
+ * @returns {Array<{ text: string, highlighted: boolean }>} Parts in order
+ *
+ * @example
+ * splitHighlights('Wireless Earbuds', [[9, 16]]);
+ * // [{ text: 'Wireless ', highlighted: false }, { text: 'Earbuds', highlighted: true }]
+ */
+export function splitHighlights(text, ranges) {
+  const parts = [];
+  let cursor = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) {
+      parts.push({ text: text.slice(cursor, start), highlighted: false });
+    }
+    parts.push({ text: text.slice(start, end), highlighted: true });
+    cursor = end;
+  });
+
+  if (cursor < text.length) {
+    parts.push({ text: text.slice(cursor), highlighted: false });
+  }
+
+  return parts;
+}
+
+export default {
+  tokenize,
+  editDistance,
+  createSearchIndex,
+  searchIndex,
+  searchProducts,
+  getHighlightRanges,
+  splitHighlights,
+};
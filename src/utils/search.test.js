@@ -0,0 +1,172 @@
+/**
+ * Tests for search utilities
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  tokenize,
+  editDistance,
+  createSearchIndex,
+  searchIndex,
+  searchProducts,
+  getHighlightRanges,
+  splitHighlights,
+} from './search';
+
+const products = [
+  {
+    id: 1,
+    name: 'Wireless Earbuds',
+    description: 'Noise cancelling earbuds with charging case',
+    category: 'electronics',
+    colour: 'Black',
+  },
+  {
+    id: 2,
+    name: 'Bluetooth Speaker',
+    description: 'Portable speaker with deep bass',
+    category: 'electronics',
+    colour: 'Blue',
+  },
+  {
+    id: 3,
+    name: 'Running Sneakers',
+    description: 'Lightweight shoes for the track',
+    category: 'fashion',
+    colour: 'White',
+  },
+  {
+    id: 4,
+    name: 'Canvas Tote',
+    description: 'Roomy bag for wireless gadgets and more',
+    category: 'fashion',
+    colour: 'Black',
+  },
+  {
+    id: 5,
+    name: 'Café Blend Coffee',
+    description: 'Medium roast beans',
+    category: 'groceries',
+    colour: 'Brown',
+  },
+];
+
+const ids = (results) => results.map(({ item }) => item.id);
+
+describe('Search Utilities', () => {
+  describe('tokenize', () => {
+    it('lowercases, splits on punctuation and folds plurals', () => {
+      expect(tokenize('Wireless Earbuds, 2-Pack')).toEqual(['wireless', 'earbud', '2', 'pack']);
+      expect(tokenize('Batteries')).toEqual(['battery']);
+    });
+
+    it('strips accents', () => {
+      expect(tokenize('Café')).toEqual(['cafe']);
+    });
+
+    it('returns nothing for non-string input', () => {
+      expect(tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('counts insertions, deletions and substitutions', () => {
+      expect(editDistance('blutooth', 'bluetooth')).toBe(1);
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+    });
+
+    it('counts a swap of adjacent letters as one edit', () => {
+      expect(editDistance('teh', 'the')).toBe(1);
+    });
+
+    it('stops once the distance exceeds the maximum', () => {
+      expect(editDistance('speaker', 'coffee', 1)).toBe(2);
+    });
+  });
+
+  describe('searchProducts', () => {
+    it('finds products despite typos', () => {
+      expect(ids(searchProducts(products, 'erbuds'))).toEqual([1]);
+      expect(ids(searchProducts(products, 'blutooth speakr'))).toEqual([2]);
+    });
+
+    it('matches synonyms', () => {
+      expect(ids(searchProducts(products, 'earphones'))).toEqual([1]);
+      expect(ids(searchProducts(products, 'trainers'))).toEqual([3]);
+    });
+
+    it('matches prefixes and accent-free spellings', () => {
+      expect(ids(searchProducts(products, 'sneak'))).toEqual([3]);
+      expect(ids(searchProducts(products, 'cafe'))).toEqual([5]);
+    });
+
+    it('requires every query term to match', () => {
+      expect(ids(searchProducts(products, 'black earbuds'))).toEqual([1]);
+    });
+
+    it('ranks name matches above description matches', () => {
+      expect(ids(searchProducts(products, 'wireless'))).toEqual([1, 4]);
+    });
+
+    it('searches colour and category', () => {
+      expect(ids(searchProducts(products, 'black'))).toEqual([1, 4]);
+      expect(ids(searchProducts(products, 'groceries'))).toEqual([5]);
+    });
+
+    it('ignores stop words', () => {
+      expect(ids(searchProducts(products, 'speaker with the bass'))).toEqual([2]);
+    });
+
+    it('returns nothing for an empty query', () => {
+      expect(searchProducts(products, '   ')).toEqual([]);
+    });
+
+    it('limits results', () => {
+      expect(searchProducts(products, 'black', { limit: 1 })).toHaveLength(1);
+    });
+
+    it('reports matched ranges per field', () => {
+      const [result] = searchProducts(products, 'erbuds');
+
+      expect(result.highlights.name).toEqual([[9, 16]]);
+      expect(result.highlights.description).toEqual([[17, 24]]);
+      expect(result.highlights.category).toBeUndefined();
+    });
+  });
+
+  describe('searchIndex', () => {
+    it('uses the configured field weights', () => {
+      const index = createSearchIndex(products, { fields: { description: 1 } });
+
+      expect(ids(searchIndex(index, 'wireless'))).toEqual([4]);
+    });
+  });
+
+  describe('getHighlightRanges', () => {
+    it('marks every word the query matches', () => {
+      expect(getHighlightRanges('Wireless Earbuds', 'erbuds')).toEqual([[9, 16]]);
+      expect(getHighlightRanges('Bluetooth Speaker', 'speaker blu')).toEqual([
+        [0, 9],
+        [10, 17],
+      ]);
+    });
+
+    it('returns nothing without a query', () => {
+      expect(getHighlightRanges('Wireless Earbuds', '')).toEqual([]);
+    });
+  });
+
+  describe('splitHighlights', () => {
+    it('splits text into plain and highlighted parts', () => {
+      expect(splitHighlights('Wireless Earbuds', [[9, 16]])).toEqual([
+        { text: 'Wireless ', highlighted: false },
+        { text: 'Earbuds', highlighted: true },
+      ]);
+    });
+
+    it('returns the whole text when nothing is highlighted', () => {
+      expect(splitHighlights('Canvas Tote', [])).toEqual([
+        { text: 'Canvas Tote', highlighted: false },
+      ]);
+    });
+  });
+});
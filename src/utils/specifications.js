@@ -0,0 +1,106 @@
+/**
+ * Specification Utilities
+ *
+ * Products only carry a few specification fields of their own; the rest
+ * come from per-category defaults. Shown in the product detail view and
+ * the comparison table.
+ */
+
+/**
+ * Generate default specifications based on product data
+ * Fields the product doesn't set fall back to defaults for its category.
+ * @param {Object} product - Product
+ * @returns {Object} Specifications shown in the product detail view
+ */
+export function generateSpecifications(product) {
+  // Category-specific defaults
+  const categoryDefaults = {
+    electronics: {
+      type: 'Electronic Device',
+      boxContent: `1x ${product.name}, User Manual, Warranty Card, Charging Cable`,
+      model: `${product.name.replace(/\s+/g, '-').toUpperCase()}-${product.id}`,
+      colour: 'Black / Silver',
+      warranty: '1 Year Manufacturer Warranty',
+    },
+    fashion: {
+      type: 'Fashion Accessory',
+      boxContent: `1x ${product.name}, Dust Bag, Care Instructions`,
+      model: `FA-${product.id}${new Date().getFullYear()}`,
+      colour: 'As shown in image',
+      warranty: '6 Months Warranty on Manufacturing Defects',
+    },
+    home: {
+      type: 'Home & Kitchen Product',
+      boxContent: `1x ${product.name}, Assembly Instructions (if applicable), Warranty Card`,
+      model: `HK-${product.id}-${new Date().getFullYear()}`,
+      colour: 'As per listing',
+      warranty: '1 Year Warranty',
+    },
+    beauty: {
+      type: 'Beauty & Personal Care',
+      boxContent: `${product.name} with packaging, Usage Instructions`,
+      model: `BP-${product.id}`,
+      colour: 'N/A',
+      warranty: 'Check expiry date on packaging',
+    },
+    sports: {
+      type: 'Sports & Fitness Equipment',
+      boxContent: `1x ${product.name}, Carrying Pouch (if applicable), User Guide`,
+      model: `SF-${product.id}-PRO`,
+      colour: 'As shown in image',
+      warranty: '6 Months Warranty',
+    },
+    food: {
+      type: 'Food & Beverages',
+      boxContent: `${product.name} in sealed packaging`,
+      model: 'N/A',
+      colour: 'N/A',
+      warranty: 'Best before date on packaging',
+    },
+    books: {
+      type: 'Books & Stationery',
+      boxContent: `${product.name}`,
+      model: `ISBN-${product.id}${Math.floor(Math.random() * 10000)}`,
+      colour: 'N/A',
+      warranty: 'N/A - Non-returnable if sealed',
+    },
+    toys: {
+      type: 'Toys & Games',
+      boxContent: `${product.name}, Assembly Instructions (if required)`,
+      model: `TG-${product.id}-${new Date().getFullYear()}`,
+      colour: 'Multi-color / As shown',
+      warranty: '3 Months Warranty on Manufacturing Defects',
+    },
+  };
+
+  const defaults = categoryDefaults[product.category] || {
+    type: 'General Product',
+    boxContent: `1x ${product.name}`,
+    model: `GP-${product.id}`,
+    colour: 'As shown',
+    warranty: 'Standard Warranty Applicable',
+  };
+
+  return {
+    description: product.description || 'High-quality product designed to meet your needs.',
+    boxContent: product.boxContent || defaults.boxContent,
+    model: product.model || defaults.model,
+    colour: product.colour || defaults.colour,
+    type: product.type || defaults.type,
+    serviceCenterDetails:
+      product.serviceCenterDetails ||
+      'For service center locations, please visit our website or contact customer care.',
+    customerCareDetails:
+      product.customerCareDetails ||
+      'Customer Care: 1800-XXX-XXXX (Toll Free)\nEmail: support@martforyou.com\nWorking Hours: Mon-Sat, 9 AM - 6 PM',
+    disclaimer:
+      product.disclaimer ||
+      'Product color may slightly vary due to photographic lighting or your monitor settings. Please check specifications before purchasing.',
+    countryOfOrigin: product.countryOfOrigin || 'Imported / Made in India',
+    warranty: product.warranty || defaults.warranty,
+  };
+}
+
+export default {
+  generateSpecifications,
+};
@@ -0,0 +1,37 @@
+/**
+ * Tests for specification utilities
+ */
+import { describe, it, expect } from 'vitest';
+import { generateSpecifications } from './specifications';
+
+describe('Specification Utilities', () => {
+  describe('generateSpecifications', () => {
+    it('uses the fields a product sets', () => {
+      const specs = generateSpecifications({
+        id: 1,
+        name: 'Earbuds',
+        category: 'electronics',
+        colour: 'White',
+        disclaimer: 'Battery life may vary.',
+      });
+
+      expect(specs.colour).toBe('White');
+      expect(specs.disclaimer).toBe('Battery life may vary.');
+    });
+
+    it('falls back to defaults for the category', () => {
+      const specs = generateSpecifications({ id: 7, name: 'Desk Lamp', category: 'home' });
+
+      expect(specs.type).toBe('Home & Kitchen Product');
+      expect(specs.warranty).toBe('1 Year Warranty');
+      expect(specs.boxContent).toContain('1x Desk Lamp');
+    });
+
+    it('falls back to general defaults for unknown categories', () => {
+      const specs = generateSpecifications({ id: 8, name: 'Gadget', category: 'misc' });
+
+      expect(specs.type).toBe('General Product');
+      expect(specs.model).toBe('GP-8');
+    });
+  });
+});
@@ -56,6 +56,27 @@ export function getFromStorage(key, defaultValue = null) {
   }
 }
 
+/**
+ * Get an item from localStorage as stored, without parsing
+ * Cheap to compare against a previous read to tell whether a key changed.
+ * Reads without the test write of `isStorageAvailable`, so a store that
+ * is read often stays cheap and full storage can still be read.
+ *
+ * @param {string} key - The storage key
+ * @returns {string|null} The stored string, or null if missing or on error
+ *
+ * @example
+ * const raw = getRawFromStorage('cart');
+ */
+export function getRawFromStorage(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch (error) {
+    log.error(`Error reading from localStorage key "${key}"`, error);
+    return null;
+  }
+}
+
 /**
  * Set an item in localStorage with JSON stringification
  *
@@ -282,6 +303,7 @@ export function getWithExpiry(key, defaultValue = null) {
 export default {
   isStorageAvailable,
   getFromStorage,
+  getRawFromStorage,
   setToStorage,
   removeFromStorage,
   clearStorage,
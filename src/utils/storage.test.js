@@ -5,6 +5,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import {
   isStorageAvailable,
   getFromStorage,
+  getRawFromStorage,
   setToStorage,
   removeFromStorage,
   clearStorage,
@@ -130,6 +131,54 @@ describe('Storage Utilities', () => {
     });
   });
 
+  describe('getRawFromStorage', () => {
+    it('returns the stored string without parsing it', () => {
+      localStorage.setItem('raw', '{"a":1}');
+
+      expect(getRawFromStorage('raw')).toBe('{"a":1}');
+    });
+
+    it('returns null for a missing key', () => {
+      expect(getRawFromStorage('missing')).toBeNull();
+    });
+
+    it('reads without writing to storage', () => {
+      localStorage.setItem('raw', '1');
+      localStorage.setItem.mockClear();
+
+      getRawFromStorage('raw');
+
+      expect(localStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('reads storage that is full', () => {
+      localStorage.setItem('raw', '1');
+      const writeItem = localStorage.setItem.getMockImplementation();
+      localStorage.setItem.mockImplementation(() => {
+        throw new DOMException('Storage is full', 'QuotaExceededError');
+      });
+
+      try {
+        expect(getRawFromStorage('raw')).toBe('1');
+      } finally {
+        localStorage.setItem.mockImplementation(writeItem);
+      }
+    });
+
+    it('returns null when storage cannot be read', () => {
+      const readItem = localStorage.getItem.getMockImplementation();
+      localStorage.getItem.mockImplementation(() => {
+        throw new DOMException('Access denied', 'SecurityError');
+      });
+
+      try {
+        expect(getRawFromStorage('raw')).toBeNull();
+      } finally {
+        localStorage.getItem.mockImplementation(readItem);
+      }
+    });
+  });
+
   describe('setToStorage', () => {
     it('stores value in localStorage', () => {
       setToStorage('key', { foo: 'bar' });
@@ -0,0 +1,387 @@
+/**
+ * Versioned Storage
+ *
+ * Keeps the cart, its sync stamps, the wishlist, the compare selection,
+ * the profile and the dark mode and currency settings in localStorage
+ * inside an envelope, `{ schemaVersion, data }`, and upgrades payloads written by
+ * older releases on read instead of dropping them. Values written before
+ * the envelope existed count as schema version 0. The service stores
+ * use the same envelope through `./versionedStore`, passing their own
+ * schemas.
+ *
+ * A payload that can't be parsed, upgraded or validated is quarantined:
+ * moved under `STORAGE_KEYS.STORAGE_QUARANTINE` as written, with a report
+ * of what went wrong, so it can still be recovered.
+ */
+
+import { STORAGE_KEYS } from '../constants';
+import { getRawFromStorage, setToStorage, removeFromStorage } from './storage';
+import { getCartItemId } from './id';
+import { validateCartItem, validateProduct, validateProfile } from './validation';
+import { createLogger } from './logger';
+
+// Create logger for versioned storage
+const log = createLogger('StorageSchema');
+
+/**
+ * Schema of a versioned key
+ * @typedef {Object} StorageSchema
+ * @property {Function[]} migrations - Upgrade steps, oldest first. Step `n`
+ *   takes data at version `n` and returns it at version `n + 1`, throwing
+ *   if it can't. The key's current version is the number of steps.
+ * @property {Function} [validate] - Checks upgraded data, returning a
+ *   `ValidationResult`
+ * @property {boolean} [plainText] - Values written before the envelope
+ *   were stored as plain text rather than JSON, so stored text that isn't
+ *   JSON is read as a version 0 string
+ */
+
+/**
+ * Upgrade a list written before the envelope
+ * @param {*} list - Raw stored value
+ * @param {string} name - What the list holds, for the error
+ * @returns {Array} The list
+ * @throws {Error} If the value is not a list
+ */
+function migrateRawList(list, name) {
+  if (!Array.isArray(list)) {
+    throw new Error(`${name} is not a list`);
+  }
+  return list;
+}
+
+/**
+ * Validation of a stored list, entry by entry
+ * @param {Function} validateItem - Validates one entry, returning a `ValidationResult`
+ * @returns {Function} Validation of the whole list, reporting every invalid entry
+ */
+function validateEach(validateItem) {
+  return (items) => {
+    const errors = Array.isArray(items)
+      ? items.flatMap((item, index) =>
+          validateItem(item).errors.map((error) => `Item ${index + 1}: ${error}`)
+        )
+      : ['Data is not a list'];
+    return { valid: errors.length === 0, errors };
+  };
+}
+
+/**
+ * Schemas of the versioned keys
+ * When the shape of a value changes, add a step at the end of its
+ * migrations; never change a step that has shipped.
+ * @type {Object<string, StorageSchema>}
+ */
+export const STORAGE_SCHEMAS = {
+  [STORAGE_KEYS.CURRENCY]: {
+    migrations: [
+      // 0 → 1: raw ISO 4217 code, e.g. EUR
+      (code) => {
+        if (typeof code !== 'string') {
+          throw new Error('Currency is not a currency code');
+        }
+        return code;
+      },
+    ],
+    plainText: true,
+  },
+  [STORAGE_KEYS.CART]: {
+    migrations: [
+      // 0 → 1: raw list of lines; lines saved before variants have no cartItemId
+      (cart) => {
+        if (!Array.isArray(cart)) {
+          throw new Error('Cart is not a list of lines');
+        }
+        return cart.map((line) =>
+          line && typeof line === 'object' ? { ...line, cartItemId: getCartItemId(line) } : line
+        );
+      },
+    ],
+  },
+  [STORAGE_KEYS.CART_SYNC]: {
+    migrations: [
+      // 0 → 1: raw `{ updatedAt, removedAt }` stamps
+      (stamps) => {
+        if (!stamps?.updatedAt || !stamps?.removedAt) {
+          throw new Error('Cart sync stamps are missing updatedAt or removedAt');
+        }
+        return stamps;
+      },
+    ],
+  },
+  [STORAGE_KEYS.WISHLIST]: {
+    migrations: [
+      // 0 → 1: raw list of saved items, keyed by product before variants were saved separately
+      (wishlist) =>
+        migrateRawList(wishlist, 'Wishlist').map((item) =>
+          item && typeof item === 'object' ? { ...item, cartItemId: getCartItemId(item) } : item
+        ),
+    ],
+    validate: validateEach(validateCartItem),
+  },
+  [STORAGE_KEYS.COMPARE]: {
+    migrations: [
+      // 0 → 1: raw list of products
+      (products) => migrateRawList(products, 'Compare selection'),
+    ],
+    validate: validateEach(validateProduct),
+  },
+  [STORAGE_KEYS.USER_PROFILE]: {
+    migrations: [
+      // 0 → 1: raw profile object
+      (profile) => {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+          throw new Error('Profile is not an object');
+        }
+        return profile;
+      },
+    ],
+    validate: validateProfile,
+  },
+  [STORAGE_KEYS.DARK_MODE]: {
+    migrations: [
+      // 0 → 1: raw 'true' or 'false', which parse as booleans
+      (darkMode) => {
+        if (typeof darkMode !== 'boolean') {
+          throw new Error('Dark mode setting is not a boolean');
+        }
+        return darkMode;
+      },
+    ],
+  },
+};
+
+/**
+ * A payload put aside because it couldn't be read
+ * @typedef {Object} QuarantinedEntry
+ * @property {string} key - Storage key it was read from
+ * @property {string} raw - The stored string, as written
+ * @property {number|null} schemaVersion - Its schema version, if known
+ * @property {string} reason - Why it couldn't be read
+ * @property {string} quarantinedAt - ISO timestamp of when it was put aside
+ */
+
+/**
+ * Get the schema a key is stored with
+ * @param {string} key - Storage key
+ * @returns {StorageSchema}
+ */
+function getSchema(key) {
+  const schema = STORAGE_SCHEMAS[key];
+  if (!schema) {
+    throw new Error(`No storage schema for key "${key}"`);
+  }
+  return schema;
+}
+
+/**
+ * Get the schema version a key is currently written at
+ * @param {string} key - Storage key
+ * @param {StorageSchema} [schema] - Schema to use instead of the key's in `STORAGE_SCHEMAS`
+ * @returns {number} Schema version
+ */
+export function getSchemaVersion(key, schema = getSchema(key)) {
+  return schema.migrations.length;
+}
+
+/**
+ * Check whether a stored value is a versioned envelope
+ * @param {*} stored - Parsed stored value
+ * @returns {boolean}
+ */
+function isEnvelope(stored) {
+  return (
+    stored !== null &&
+    typeof stored === 'object' &&
+    !Array.isArray(stored) &&
+    Number.isInteger(stored.schemaVersion) &&
+    'data' in stored
+  );
+}
+
+/**
+ * Get the schema version of a stored value
+ * @param {*} stored - Parsed stored value
+ * @returns {number} Schema version, 0 for a value written before envelopes
+ */
+function versionOf(stored) {
+  return isEnvelope(stored) ? stored.schemaVersion : 0;
+}
+
+/**
+ * Upgrade a stored value to the key's current schema
+ * Runs every migration step from the value's version onwards, then the
+ * key's validation.
+ *
+ * @param {string} key - Storage key
+ * @param {*} stored - Parsed stored value: an envelope or a raw legacy value
+ * @param {StorageSchema} [schema] - Schema to use instead of the key's in `STORAGE_SCHEMAS`
+ * @returns {{ data: *, fromVersion: number, toVersion: number }} Upgraded data
+ * @throws {Error} If the value is from a newer release, a step fails, or
+ *   the upgraded data is invalid
+ *
+ * @example
+ * migrateStoredValue('darkMode', true);
+ * // { data: true, fromVersion: 0, toVersion: 1 }
+ */
+export function migrateStoredValue(key, stored, schema = getSchema(key)) {
+  const { migrations, validate } = schema;
+  const fromVersion = versionOf(stored);
+  const toVersion = migrations.length;
+
+  if (fromVersion > toVersion) {
+    throw new Error(`Schema version ${fromVersion} is newer than supported ${toVersion}`);
+  }
+
+  const data = migrations
+    .slice(fromVersion)
+    .reduce((value, migrate) => migrate(value), isEnvelope(stored) ? stored.data : stored);
+
+  const validation = validate?.(data);
+  if (validation && !validation.valid) {
+    throw new Error(`Invalid data: ${validation.errors.join(', ')}`);
+  }
+
+  return { data, fromVersion, toVersion };
+}
+
+/**
+ * Schema of the quarantine itself
+ * @type {StorageSchema}
+ */
+const QUARANTINE_SCHEMA = {
+  migrations: [
+    // 0 → 1: `{ version: 1, entries }`, as written before the quarantine used the envelope
+    (store) => {
+      if (store?.version !== 1 || !Array.isArray(store.entries)) {
+        throw new Error('Quarantine is not a list of entries');
+      }
+      return store.entries;
+    },
+  ],
+};
+
+/**
+ * Move a stored payload into quarantine and report it
+ * If the quarantine can't be read either, both are left where they are.
+ *
+ * @param {string} key - Storage key
+ * @param {string} raw - The stored string
+ * @param {number|null} schemaVersion - Its schema version, if known
+ * @param {Error} error - Why it couldn't be read
+ * @param {StorageSchema} schema - Schema the payload was read with
+ */
+function quarantine(key, raw, schemaVersion, error, schema) {
+  const report = {
+    key,
+    schemaVersion,
+    currentVersion: getSchemaVersion(key, schema),
+    reason: error.message,
+  };
+
+  if (key === STORAGE_KEYS.STORAGE_QUARANTINE) {
+    log.error('Storage quarantine is unreadable, leaving it in place', report);
+    return;
+  }
+
+  const entries = getQuarantinedEntries();
+  const saved =
+    entries !== null &&
+    setVersionedToStorage(
+      STORAGE_KEYS.STORAGE_QUARANTINE,
+      [
+        ...entries,
+        { key, raw, schemaVersion, reason: report.reason, quarantinedAt: new Date().toISOString() },
+      ],
+      QUARANTINE_SCHEMA
+    );
+
+  // Only clear the key once its payload is safely put aside
+  if (saved) {
+    removeFromStorage(key);
+  }
+
+  log.error(`Quarantined unreadable "${key}" data`, { ...report, kept: saved });
+}
+
+/**
+ * Get a versioned value from localStorage
+ * Older payloads are upgraded and written back at the current version;
+ * ones that can't be read are quarantined.
+ *
+ * @param {string} key - Storage key
+ * @param {*} [defaultValue=null] - Value if the key is missing or unreadable
+ * @param {StorageSchema} [schema] - Schema to use instead of the key's in `STORAGE_SCHEMAS`
+ * @returns {*} The stored data or defaultValue
+ *
+ * @example
+ * const cart = getVersionedFromStorage(STORAGE_KEYS.CART, []);
+ */
+export function getVersionedFromStorage(key, defaultValue = null, schema = getSchema(key)) {
+  const raw = getRawFromStorage(key);
+
+  if (raw === null) {
+    return defaultValue;
+  }
+
+  let stored;
+  try {
+    stored = JSON.parse(raw);
+  } catch (error) {
+    if (!schema.plainText) {
+      quarantine(key, raw, null, error, schema);
+      return defaultValue;
+    }
+    stored = raw;
+  }
+
+  try {
+    const { data, fromVersion, toVersion } = migrateStoredValue(key, stored, schema);
+    if (fromVersion !== toVersion) {
+      log.info(`Migrated "${key}" from schema ${fromVersion} to ${toVersion}`);
+      setVersionedToStorage(key, data, schema);
+    }
+    return data;
+  } catch (error) {
+    quarantine(key, raw, versionOf(stored), error, schema);
+    return defaultValue;
+  }
+}
+
+/**
+ * Set a versioned value in localStorage at the key's current schema
+ *
+ * @param {string} key - Storage key
+ * @param {*} value - The data to store
+ * @param {StorageSchema} [schema] - Schema to use instead of the key's in `STORAGE_SCHEMAS`
+ * @returns {boolean} True if successful, false otherwise
+ *
+ * @example
+ * setVersionedToStorage(STORAGE_KEYS.DARK_MODE, true);
+ * // stored as {"schemaVersion":1,"data":true}
+ */
+export function setVersionedToStorage(key, value, schema = getSchema(key)) {
+  return setToStorage(key, { schemaVersion: getSchemaVersion(key, schema), data: value });
+}
+
+/**
+ * Get the payloads put aside because they couldn't be read
+ * @returns {QuarantinedEntry[]|null} Entries, oldest first, or null if
+ *   the quarantine itself can't be read
+ */
+export function getQuarantinedEntries() {
+  const entries = getVersionedFromStorage(STORAGE_KEYS.STORAGE_QUARANTINE, null, QUARANTINE_SCHEMA);
+  if (entries === null && getRawFromStorage(STORAGE_KEYS.STORAGE_QUARANTINE) !== null) {
+    return null;
+  }
+  return entries ?? [];
+}
+
+export default {
+  STORAGE_SCHEMAS,
+  getSchemaVersion,
+  migrateStoredValue,
+  getVersionedFromStorage,
+  setVersionedToStorage,
+  getQuarantinedEntries,
+};
@@ -0,0 +1,270 @@
+/**
+ * Tests for versioned storage
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getSchemaVersion,
+  migrateStoredValue,
+  getVersionedFromStorage,
+  setVersionedToStorage,
+  getQuarantinedEntries,
+} from './storageSchema';
+import { STORAGE_KEYS } from '../constants';
+
+const profile = {
+  firstName: 'Asha',
+  lastName: 'Rao',
+  email: 'asha@example.com',
+};
+
+const product = {
+  id: 1,
+  name: 'Earbuds',
+  price: 20,
+  image: 'https://example.com/earbuds.jpg',
+  description: 'Wireless earbuds',
+  category: 'electronics',
+};
+
+const stored = (key) => JSON.parse(localStorage.getItem(key));
+
+describe('Versioned storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('migrations', () => {
+    describe('cart', () => {
+      it('0 → 1 gives legacy lines a cart item ID', () => {
+        const result = migrateStoredValue(STORAGE_KEYS.CART, [
+          { id: 1, quantity: 2 },
+          { id: 2, variantId: 'm', quantity: 1 },
+          { id: 3, cartItemId: 'cart-item-3', quantity: 1 },
+        ]);
+
+        expect(result).toEqual({
+          data: [
+            { id: 1, cartItemId: 'cart-item-1', quantity: 2 },
+            { id: 2, variantId: 'm', cartItemId: 'cart-item-2-m', quantity: 1 },
+            { id: 3, cartItemId: 'cart-item-3', quantity: 1 },
+          ],
+          fromVersion: 0,
+          toVersion: 1,
+        });
+      });
+
+      it('0 → 1 rejects a cart that is not a list', () => {
+        expect(() => migrateStoredValue(STORAGE_KEYS.CART, { id: 1 })).toThrow(
+          'Cart is not a list of lines'
+        );
+      });
+    });
+
+    describe('currency', () => {
+      it('0 → 1 keeps a legacy currency code', () => {
+        expect(migrateStoredValue(STORAGE_KEYS.CURRENCY, 'EUR').data).toBe('EUR');
+      });
+
+      it('0 → 1 rejects anything else', () => {
+        expect(() => migrateStoredValue(STORAGE_KEYS.CURRENCY, 42)).toThrow(
+          'Currency is not a currency code'
+        );
+      });
+    });
+
+    describe('cart sync stamps', () => {
+      it('0 → 1 keeps legacy stamps as they are', () => {
+        const stamps = { updatedAt: { 'cart-item-1': 1 }, removedAt: {} };
+
+        expect(migrateStoredValue(STORAGE_KEYS.CART_SYNC, stamps).data).toEqual(stamps);
+      });
+
+      it('0 → 1 rejects stamps without both maps', () => {
+        expect(() => migrateStoredValue(STORAGE_KEYS.CART_SYNC, { updatedAt: {} })).toThrow(
+          'Cart sync stamps are missing updatedAt or removedAt'
+        );
+      });
+    });
+
+    describe('wishlist', () => {
+      const savedItem = { ...product, quantity: 2 };
+
+      it('0 → 1 gives legacy items a cart item ID', () => {
+        expect(
+          migrateStoredValue(STORAGE_KEYS.WISHLIST, [{ ...savedItem, variantId: 'm' }]).data
+        ).toEqual([{ ...savedItem, variantId: 'm', cartItemId: 'cart-item-1-m' }]);
+      });
+
+      it('validates every saved item', () => {
+        expect(() =>
+          migrateStoredValue(STORAGE_KEYS.WISHLIST, [savedItem, { ...savedItem, quantity: 0 }])
+        ).toThrow('Invalid data: Item 2: Cart item quantity must be a positive integer');
+      });
+    });
+
+    describe('compare', () => {
+      it('0 → 1 keeps a legacy list of products', () => {
+        expect(migrateStoredValue(STORAGE_KEYS.COMPARE, [product]).data).toEqual([product]);
+      });
+
+      it('0 → 1 rejects anything else', () => {
+        expect(() => migrateStoredValue(STORAGE_KEYS.COMPARE, { id: 1 })).toThrow(
+          'Compare selection is not a list'
+        );
+      });
+    });
+
+    describe('profile', () => {
+      it('0 → 1 keeps a legacy profile as it is', () => {
+        expect(migrateStoredValue(STORAGE_KEYS.USER_PROFILE, profile)).toEqual({
+          data: profile,
+          fromVersion: 0,
+          toVersion: 1,
+        });
+      });
+
+      it('0 → 1 rejects a profile that is not an object', () => {
+        expect(() => migrateStoredValue(STORAGE_KEYS.USER_PROFILE, ['Asha'])).toThrow(
+          'Profile is not an object'
+        );
+      });
+    });
+
+    describe('dark mode', () => {
+      it('0 → 1 keeps a legacy boolean', () => {
+        expect(migrateStoredValue(STORAGE_KEYS.DARK_MODE, false)).toEqual({
+          data: false,
+          fromVersion: 0,
+          toVersion: 1,
+        });
+      });
+
+      it('0 → 1 rejects anything else', () => {
+        expect(() => migrateStoredValue(STORAGE_KEYS.DARK_MODE, 'dark')).toThrow(
+          'Dark mode setting is not a boolean'
+        );
+      });
+    });
+
+    it('leaves data at the current version alone', () => {
+      const envelope = { schemaVersion: getSchemaVersion(STORAGE_KEYS.CART), data: [] };
+
+      expect(migrateStoredValue(STORAGE_KEYS.CART, envelope)).toEqual({
+        data: [],
+        fromVersion: 1,
+        toVersion: 1,
+      });
+    });
+
+    it('rejects data from a newer release', () => {
+      expect(() =>
+        migrateStoredValue(STORAGE_KEYS.DARK_MODE, { schemaVersion: 2, data: true })
+      ).toThrow('Schema version 2 is newer than supported 1');
+    });
+
+    it('validates the upgraded data', () => {
+      expect(() =>
+        migrateStoredValue(STORAGE_KEYS.USER_PROFILE, { ...profile, email: 'not-an-email' })
+      ).toThrow(/^Invalid data/);
+    });
+
+    it('has no schema for other keys', () => {
+      expect(() => getSchemaVersion(STORAGE_KEYS.ORDERS)).toThrow(
+        'No storage schema for key "orders"'
+      );
+    });
+  });
+
+  describe('setVersionedToStorage', () => {
+    it('writes the value in an envelope at the current version', () => {
+      setVersionedToStorage(STORAGE_KEYS.DARK_MODE, true);
+
+      expect(stored(STORAGE_KEYS.DARK_MODE)).toEqual({ schemaVersion: 1, data: true });
+    });
+  });
+
+  describe('getVersionedFromStorage', () => {
+    it('returns the default for a missing key', () => {
+      expect(getVersionedFromStorage(STORAGE_KEYS.CART, [])).toEqual([]);
+    });
+
+    it('reads a value written at the current version', () => {
+      setVersionedToStorage(STORAGE_KEYS.USER_PROFILE, profile);
+
+      expect(getVersionedFromStorage(STORAGE_KEYS.USER_PROFILE)).toEqual(profile);
+    });
+
+    it('upgrades a legacy value and writes it back', () => {
+      localStorage.setItem(STORAGE_KEYS.DARK_MODE, 'true');
+
+      expect(getVersionedFromStorage(STORAGE_KEYS.DARK_MODE)).toBe(true);
+      expect(stored(STORAGE_KEYS.DARK_MODE)).toEqual({ schemaVersion: 1, data: true });
+    });
+
+    it('quarantines a value that cannot be upgraded', () => {
+      localStorage.setItem(STORAGE_KEYS.CART, '{"id":1}');
+
+      expect(getVersionedFromStorage(STORAGE_KEYS.CART, [])).toEqual([]);
+      expect(localStorage.getItem(STORAGE_KEYS.CART)).toBeNull();
+      expect(getQuarantinedEntries()).toEqual([
+        {
+          key: STORAGE_KEYS.CART,
+          raw: '{"id":1}',
+          schemaVersion: 0,
+          reason: 'Cart is not a list of lines',
+          quarantinedAt: expect.any(String),
+        },
+      ]);
+    });
+
+    it('quarantines a value that is not JSON', () => {
+      localStorage.setItem(STORAGE_KEYS.USER_PROFILE, '{"firstName":');
+
+      expect(getVersionedFromStorage(STORAGE_KEYS.USER_PROFILE)).toBeNull();
+      expect(getQuarantinedEntries()).toEqual([
+        expect.objectContaining({
+          key: STORAGE_KEYS.USER_PROFILE,
+          raw: '{"firstName":',
+          schemaVersion: null,
+        }),
+      ]);
+    });
+
+    it('reads legacy plain text for keys that were stored as plain text', () => {
+      localStorage.setItem(STORAGE_KEYS.CURRENCY, 'EUR');
+
+      expect(getVersionedFromStorage(STORAGE_KEYS.CURRENCY)).toBe('EUR');
+      expect(stored(STORAGE_KEYS.CURRENCY)).toEqual({ schemaVersion: 1, data: 'EUR' });
+      expect(getQuarantinedEntries()).toEqual([]);
+    });
+
+    it('keeps every quarantined value', () => {
+      localStorage.setItem(STORAGE_KEYS.DARK_MODE, '{"schemaVersion":5,"data":true}');
+      getVersionedFromStorage(STORAGE_KEYS.DARK_MODE);
+      localStorage.setItem(STORAGE_KEYS.DARK_MODE, '"dark"');
+      getVersionedFromStorage(STORAGE_KEYS.DARK_MODE);
+
+      expect(getQuarantinedEntries().map((entry) => entry.schemaVersion)).toEqual([5, 0]);
+    });
+
+    it('reads a quarantine written before it used the envelope', () => {
+      const entry = { key: STORAGE_KEYS.CART, raw: '{}', schemaVersion: 0, reason: 'Broken' };
+      localStorage.setItem(
+        STORAGE_KEYS.STORAGE_QUARANTINE,
+        JSON.stringify({ version: 1, entries: [entry] })
+      );
+
+      expect(getQuarantinedEntries()).toEqual([entry]);
+    });
+
+    it('leaves data in place when the quarantine cannot be read', () => {
+      localStorage.setItem(STORAGE_KEYS.STORAGE_QUARANTINE, '{"broken":');
+      localStorage.setItem(STORAGE_KEYS.CART, '{"id":1}');
+
+      expect(getVersionedFromStorage(STORAGE_KEYS.CART, [])).toEqual([]);
+      expect(localStorage.getItem(STORAGE_KEYS.CART)).toBe('{"id":1}');
+      expect(localStorage.getItem(STORAGE_KEYS.STORAGE_QUARANTINE)).toBe('{"broken":');
+      expect(getQuarantinedEntries()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Storage Sync Utilities
+ *
+ * Lets state read from localStorage (see `./storage`) follow changes
+ * other tabs make to it. Browsers fire a `storage` event in every other
+ * tab of the same origin when a key changes; the tab that wrote it gets
+ * none, so subscribers only hear about changes from elsewhere.
+ */
+
+import { getFromStorage } from './storage';
+
+/**
+ * Subscribe to another tab's changes to a storage key
+ * The listener gets the key's current value, parsed as `getFromStorage`
+ * does (null once removed). Clearing the whole storage counts as a
+ * change to every key.
+ *
+ * @param {string} key - The storage key
+ * @param {Function} listener - Called with the new value
+ * @returns {Function} Unsubscribe function
+ *
+ * @example
+ * useEffect(
+ *   () => subscribeToStorageKey(STORAGE_KEYS.WISHLIST, (items) => setWishlist(items ?? [])),
+ *   []
+ * );
+ */
+export function subscribeToStorageKey(key, listener) {
+  const handleStorage = (event) => {
+    if (event.storageArea !== window.localStorage || (event.key !== null && event.key !== key)) {
+      return;
+    }
+    listener(getFromStorage(key, null));
+  };
+
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+}
+
+export default {
+  subscribeToStorageKey,
+};
@@ -0,0 +1,54 @@
+/**
+ * Tests for storage sync utilities
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { subscribeToStorageKey } from './storageSync';
+import { writeFromOtherTab } from '../testing/test-utils';
+
+describe('subscribeToStorageKey', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('passes on the parsed value when another tab changes the key', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToStorageKey('cart', listener);
+
+    writeFromOtherTab('cart', [{ id: 1 }]);
+    writeFromOtherTab('cart', null);
+
+    expect(listener.mock.calls).toEqual([[[{ id: 1 }]], [null]]);
+    unsubscribe();
+  });
+
+  it('ignores other keys and session storage', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToStorageKey('cart', listener);
+
+    writeFromOtherTab('wishlist', [1]);
+    sessionStorage.setItem('cart', '[]');
+    window.dispatchEvent(new StorageEvent('storage', { key: 'cart', storageArea: sessionStorage }));
+
+    expect(listener).not.toHaveBeenCalled();
+    unsubscribe();
+  });
+
+  it('treats clearing the storage as a change to every key', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToStorageKey('cart', listener);
+
+    writeFromOtherTab(null);
+
+    expect(listener).toHaveBeenCalledWith(null);
+    unsubscribe();
+  });
+
+  it('stops listening once unsubscribed', () => {
+    const listener = vi.fn();
+    subscribeToStorageKey('cart', listener)();
+
+    writeFromOtherTab('cart', []);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
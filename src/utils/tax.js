@@ -0,0 +1,203 @@
+/**
+ * Tax engine
+ *
+ * Pure functions that work out tax for a cart from a rules table (see
+ * data/taxRules) and the shopper's destination. Rates are per product
+ * category, and each jurisdiction says whether prices are shown with
+ * tax included or with tax added at checkout.
+ */
+
+import { TAX_DISPLAY_MODES } from '../constants';
+import { getCartItemId } from './id';
+import { getUnitPrice } from './variants';
+
+/**
+ * A group of taxed amounts sharing one rate
+ * @typedef {Object} TaxLine
+ * @property {number} rate - Rate as a percentage
+ * @property {number} taxableAmount - Amount the rate applies to
+ * @property {number} tax - Tax at this rate
+ */
+
+/**
+ * Tax worked out for a cart
+ * @typedef {Object} TaxResult
+ * @property {Object|null} jurisdiction - Matched `{ country, state }`, or null when no rule applies
+ * @property {string} label - Display name (e.g. "GST", "VAT")
+ * @property {string} displayMode - See TAX_DISPLAY_MODES
+ * @property {boolean} inclusive - Whether the tax is already inside the prices
+ * @property {TaxLine[]} lines - Tax grouped by rate, highest rate first
+ * @property {number} taxTotal - Total tax
+ */
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number}
+ */
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Lower-case and trim a place name for matching
+ * @param {string} value - Country or state as typed
+ * @returns {string}
+ */
+function normalizePlace(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * Find the tax rule for a destination
+ *
+ * A rule for the destination's state wins over the country-wide rule.
+ *
+ * @param {Array<Object>} rules - Tax rules table
+ * @param {Object} [destination] - Destination address
+ * @param {string} [destination.country] - Country name or code (any case)
+ * @param {string} [destination.state] - State name or code (any case)
+ * @returns {Object|null} Matching rule
+ */
+export function findTaxRule(rules, destination = {}) {
+  const country = normalizePlace(destination?.country);
+  const state = normalizePlace(destination?.state);
+
+  if (!country) {
+    return null;
+  }
+
+  const countryRules = rules.filter((rule) => rule.names.includes(country));
+
+  return (
+    countryRules.find((rule) => rule.stateNames?.includes(state)) ||
+    countryRules.find((rule) => !rule.state) ||
+    null
+  );
+}
+
+/**
+ * Get the rate for a product category under a rule
+ * @param {Object} rule - Tax rule
+ * @param {string} [category] - Product category
+ * @returns {number} Rate as a percentage
+ */
+export function getTaxRate(rule, category) {
+  return rule.rates[category] ?? rule.rates.default ?? 0;
+}
+
+/**
+ * Split discounts across the amounts they reduce
+ *
+ * Item-specific discounts come off their cart line, shipping discounts
+ * come off shipping, and order-wide discounts are shared across items
+ * in proportion to their value.
+ *
+ * @param {Array<Object>} items - Cart items
+ * @param {Array<Object>} discounts - Discount lines (see utils/promotions)
+ * @param {number} shippingCost - Shipping cost
+ * @returns {{ itemAmounts: number[], shippingAmount: number }} Net amounts
+ */
+function applyDiscounts(items, discounts, shippingCost) {
+  const itemAmounts = items.map((item) => {
+    const itemDiscount = discounts
+      .filter((line) => line.cartItemId === getCartItemId(item))
+      .reduce((sum, line) => sum + line.amount, 0);
+    return getUnitPrice(item) * item.quantity - itemDiscount;
+  });
+
+  const shippingDiscount = discounts
+    .filter((line) => line.shipping)
+    .reduce((sum, line) => sum + line.amount, 0);
+
+  const orderDiscount = discounts
+    .filter((line) => line.cartItemId === undefined && !line.shipping)
+    .reduce((sum, line) => sum + line.amount, 0);
+
+  const itemsTotal = itemAmounts.reduce((sum, amount) => sum + amount, 0);
+
+  return {
+    itemAmounts: itemAmounts.map((amount) =>
+      itemsTotal > 0 ? Math.max(0, amount - (orderDiscount * amount) / itemsTotal) : 0
+    ),
+    shippingAmount: Math.max(0, shippingCost - shippingDiscount),
+  };
+}
+
+/**
+ * Work out tax for a cart
+ *
+ * @param {Object} cart
+ * @param {Array<Object>} [cart.items=[]] - Cart items
+ * @param {Array<Object>} [cart.discounts=[]] - Applied discount lines
+ * @param {number} [cart.shippingCost=0] - Shipping cost
+ * @param {Object} [cart.destination] - `{ country, state }` to tax for
+ * @param {string} [cart.displayMode] - Override the rule's display mode
+ * @param {Array<Object>} rules - Tax rules table
+ * @returns {TaxResult}
+ *
+ * @example
+ * const tax = calculateTax({ items, discounts, shippingCost, destination }, taxRules);
+ * const total = subtotal + shippingCost - discountTotal + (tax.inclusive ? 0 : tax.taxTotal);
+ */
+export function calculateTax(
+  { items = [], discounts = [], shippingCost = 0, destination, displayMode } = {},
+  rules = []
+) {
+  const rule = findTaxRule(rules, destination);
+  const mode = displayMode ?? rule?.displayMode ?? TAX_DISPLAY_MODES.EXCLUSIVE;
+  const inclusive = mode === TAX_DISPLAY_MODES.INCLUSIVE;
+
+  if (!rule) {
+    return {
+      jurisdiction: null,
+      label: 'Tax',
+      displayMode: mode,
+      inclusive,
+      lines: [],
+      taxTotal: 0,
+    };
+  }
+
+  const { itemAmounts, shippingAmount } = applyDiscounts(items, discounts, shippingCost);
+
+  const taxable = items.map((item, index) => ({
+    rate: getTaxRate(rule, item.category),
+    amount: itemAmounts[index],
+  }));
+
+  if (rule.taxShipping) {
+    taxable.push({ rate: getTaxRate(rule), amount: shippingAmount });
+  }
+
+  // Group by rate
+  const byRate = new Map();
+  taxable.forEach(({ rate, amount }) => {
+    if (rate > 0 && amount > 0) {
+      byRate.set(rate, (byRate.get(rate) ?? 0) + amount);
+    }
+  });
+
+  const lines = [...byRate.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([rate, amount]) => {
+      const fraction = rate / 100;
+      const tax = inclusive ? (amount * fraction) / (1 + fraction) : amount * fraction;
+      return { rate, taxableAmount: roundCents(amount), tax: roundCents(tax) };
+    });
+
+  return {
+    jurisdiction: { country: rule.country, state: rule.state ?? null },
+    label: rule.label,
+    displayMode: mode,
+    inclusive,
+    lines,
+    taxTotal: roundCents(lines.reduce((sum, line) => sum + line.tax, 0)),
+  };
+}
+
+export default {
+  findTaxRule,
+  getTaxRate,
+  calculateTax,
+};
@@ -0,0 +1,160 @@
+/**
+ * Tests for the tax engine
+ */
+import { describe, it, expect } from 'vitest';
+import { findTaxRule, getTaxRate, calculateTax } from './tax';
+import { taxRules } from '../data/taxRules';
+import { TAX_DISPLAY_MODES } from '../constants';
+
+const rice = { id: 1, name: 'Rice', price: 100, category: 'food', quantity: 1 };
+const phone = { id: 2, name: 'Phone', price: 200, category: 'electronics', quantity: 1 };
+
+describe('Tax', () => {
+  describe('findTaxRule', () => {
+    it('matches countries by name in any case', () => {
+      expect(findTaxRule(taxRules, { country: ' India ' }).country).toBe('IN');
+      expect(findTaxRule(taxRules, { country: 'uk' }).country).toBe('GB');
+    });
+
+    it('prefers a state rule over the country rule', () => {
+      expect(findTaxRule(taxRules, { country: 'USA', state: 'California' }).state).toBe('CA');
+      expect(findTaxRule(taxRules, { country: 'USA', state: 'Texas' }).state).toBeUndefined();
+    });
+
+    it('returns null for unknown or missing countries', () => {
+      expect(findTaxRule(taxRules, { country: 'Atlantis' })).toBeNull();
+      expect(findTaxRule(taxRules, {})).toBeNull();
+      expect(findTaxRule(taxRules, undefined)).toBeNull();
+    });
+  });
+
+  describe('getTaxRate', () => {
+    const rule = { rates: { default: 18, food: 5 } };
+
+    it('uses the category rate', () => {
+      expect(getTaxRate(rule, 'food')).toBe(5);
+    });
+
+    it('falls back to the default rate', () => {
+      expect(getTaxRate(rule, 'toys')).toBe(18);
+    });
+  });
+
+  describe('calculateTax', () => {
+    it('returns no tax without a matching rule', () => {
+      const result = calculateTax(
+        { items: [rice], destination: { country: 'Atlantis' } },
+        taxRules
+      );
+
+      expect(result.jurisdiction).toBeNull();
+      expect(result.taxTotal).toBe(0);
+      expect(result.lines).toEqual([]);
+    });
+
+    it('extracts tax from tax-inclusive prices per category', () => {
+      const result = calculateTax(
+        { items: [rice, phone], destination: { country: 'India' } },
+        taxRules
+      );
+
+      expect(result.label).toBe('GST');
+      expect(result.inclusive).toBe(true);
+      expect(result.lines).toEqual([
+        { rate: 18, taxableAmount: 200, tax: 30.51 },
+        { rate: 5, taxableAmount: 100, tax: 4.76 },
+      ]);
+      expect(result.taxTotal).toBe(35.27);
+    });
+
+    it('adds tax on top in tax-exclusive mode', () => {
+      const result = calculateTax(
+        { items: [rice, phone], destination: { country: 'USA', state: 'NY' } },
+        taxRules
+      );
+
+      expect(result.inclusive).toBe(false);
+      expect(result.lines).toEqual([{ rate: 8.875, taxableAmount: 200, tax: 17.75 }]);
+    });
+
+    it('lets the display mode be overridden', () => {
+      const result = calculateTax(
+        {
+          items: [phone],
+          destination: { country: 'India' },
+          displayMode: TAX_DISPLAY_MODES.EXCLUSIVE,
+        },
+        taxRules
+      );
+
+      expect(result.displayMode).toBe(TAX_DISPLAY_MODES.EXCLUSIVE);
+      expect(result.taxTotal).toBe(36);
+    });
+
+    it('taxes shipping when the rule says so', () => {
+      const result = calculateTax(
+        { items: [phone], shippingCost: 10, destination: { country: 'USA', state: 'NY' } },
+        taxRules
+      );
+
+      expect(result.lines).toEqual([{ rate: 8.875, taxableAmount: 210, tax: 18.64 }]);
+    });
+
+    it('taxes the discounted amounts', () => {
+      const result = calculateTax(
+        {
+          items: [rice, phone],
+          shippingCost: 10,
+          discounts: [
+            {
+              id: 'ITEM',
+              label: 'Phone deal',
+              amount: 20,
+              productId: 2,
+              cartItemId: 'cart-item-2',
+            },
+            { id: 'ORDER', label: '10% off', amount: 28 },
+            { id: 'SHIP', label: 'Free shipping', amount: 10, shipping: true },
+          ],
+          destination: { country: 'USA', state: 'NY' },
+        },
+        taxRules
+      );
+
+      // Phone: 200 - 20 item discount - 180/280 of the 28 order discount = 162
+      expect(result.lines).toEqual([{ rate: 8.875, taxableAmount: 162, tax: 14.38 }]);
+    });
+
+    it('does not tax an item whose sale price is zero', () => {
+      const result = calculateTax(
+        {
+          items: [rice, { ...phone, onSale: true, salePrice: 0 }],
+          destination: { country: 'USA', state: 'NY' },
+        },
+        taxRules
+      );
+
+      expect(result.taxTotal).toBe(0);
+    });
+
+    it('takes item discounts off their own variant line only', () => {
+      const black = { ...phone, variantId: 'black', cartItemId: 'cart-item-2-black' };
+      const silver = { ...phone, variantId: 'silver', cartItemId: 'cart-item-2-silver' };
+
+      const result = calculateTax(
+        {
+          items: [black, silver],
+          discounts: [
+            { id: 'A', label: '20% off', amount: 40, productId: 2, cartItemId: black.cartItemId },
+            { id: 'B', label: '20% off', amount: 40, productId: 2, cartItemId: silver.cartItemId },
+          ],
+          destination: { country: 'USA', state: 'NY' },
+        },
+        taxRules
+      );
+
+      // Each variant: 200 - its own 40 = 160
+      expect(result.lines).toEqual([{ rate: 8.875, taxableAmount: 320, tax: 28.4 }]);
+    });
+  });
+});
@@ -5,6 +5,8 @@
  * These utilities help ensure data integrity throughout the application.
  */
 
+import { CATEGORY_DISPLAY_NAMES, REVIEW_LIMITS, VARIANT_OPTIONS } from '../constants';
+
 /**
  * Validation result object
  * @typedef {Object} ValidationResult
@@ -89,23 +91,101 @@ function isValidPhone(value) {
 }
 
 /**
- * Valid product categories
+ * Built-in product categories
+ * A catalog import can add more; pass the shop's current ones as
+ * `options.categories` (see `getCategoryNames` in `services/catalog`).
+ */
+const VALID_CATEGORIES = Object.keys(CATEGORY_DISPLAY_NAMES);
+
+/**
+ * Valid variant option types
  */
-const VALID_CATEGORIES = [
-  'electronics',
-  'fashion',
-  'home',
-  'beauty',
-  'sports',
-  'food',
-  'books',
-  'toys',
-];
+const VALID_VARIANT_OPTIONS = Object.values(VARIANT_OPTIONS);
+
+/**
+ * Check a product's variant options and variants
+ * Each variant needs a unique ID, one listed value per option type, a
+ * unique combination of values and its own stock. A variant price, if
+ * given, follows the same sale rules as the product price.
+ *
+ * @param {Object} product - Product with `options` and `variants`
+ * @returns {string[]} Error messages
+ */
+function getVariantErrors(product) {
+  const { options, variants } = product;
+  const errors = [];
+
+  if (!Array.isArray(options) || options.length === 0) {
+    return ['Product variants require a non-empty options array'];
+  }
+
+  options.forEach((option) => {
+    if (!VALID_VARIANT_OPTIONS.includes(option?.type)) {
+      errors.push(`Variant option type must be one of: ${VALID_VARIANT_OPTIONS.join(', ')}`);
+    } else if (!Array.isArray(option.values) || !option.values.every(isNonEmptyString)) {
+      errors.push(`Variant option ${option.type} must list its values`);
+    }
+  });
+
+  if (!Array.isArray(variants) || variants.length === 0) {
+    errors.push('Product variants must be a non-empty array');
+  }
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const ids = new Set();
+  const combinations = new Set();
+
+  variants.forEach((variant, index) => {
+    const name = `Variant ${variant?.id ?? index + 1}`;
+
+    if (!isNonEmptyString(variant?.id)) {
+      errors.push(`Variant ${index + 1} ID is required`);
+    } else if (ids.has(variant.id)) {
+      errors.push(`${name} ID must be unique`);
+    }
+    ids.add(variant?.id);
+
+    const values = variant?.options ?? {};
+    options.forEach(({ type, values: allowed }) => {
+      if (!allowed.includes(values[type])) {
+        errors.push(`${name} ${type} must be one of: ${allowed.join(', ')}`);
+      }
+    });
+
+    const combination = options.map(({ type }) => values[type]).join('|');
+    if (combinations.has(combination)) {
+      errors.push(`${name} duplicates another variant's options`);
+    }
+    combinations.add(combination);
+
+    if (!isNonNegativeNumber(variant?.stock)) {
+      errors.push(`${name} stock must be a non-negative number`);
+    }
+
+    if (variant?.price !== undefined) {
+      if (!isPositiveNumber(variant.price)) {
+        errors.push(`${name} price must be a positive number`);
+      } else if (product.onSale && !isPositiveNumber(variant.salePrice)) {
+        errors.push(`${name} sale price is required when product is on sale`);
+      } else if (variant.salePrice !== undefined && variant.salePrice >= variant.price) {
+        errors.push(`${name} sale price must be less than its price`);
+      }
+    }
+  });
+
+  return errors;
+}
 
 /**
  * Validate a product object
  *
  * @param {Object} product - Product object to validate
+ * @param {Object} [options] - Validation options
+ * @param {string[]} [options.categories] - Categories to accept (defaults to
+ *   the built-in ones)
  * @returns {ValidationResult} Validation result with errors if invalid
  *
  * @example
@@ -122,7 +202,8 @@ const VALID_CATEGORIES = [
  *   console.error('Validation errors:', result.errors);
  * }
  */
-export function validateProduct(product) {
+export function validateProduct(product, options = {}) {
+  const { categories = VALID_CATEGORIES } = options;
   const errors = [];
 
   if (!product || typeof product !== 'object') {
@@ -154,8 +235,8 @@ export function validateProduct(product) {
 
   if (!isNonEmptyString(product.category)) {
     errors.push('Product category is required');
-  } else if (!VALID_CATEGORIES.includes(product.category)) {
-    errors.push(`Product category must be one of: ${VALID_CATEGORIES.join(', ')}`);
+  } else if (!categories.includes(product.category)) {
+    errors.push(`Product category must be one of: ${categories.join(', ')}`);
   }
 
   // Optional fields with validation if present
@@ -181,6 +262,14 @@ export function validateProduct(product) {
     errors.push('Product weight must be a non-empty string if provided');
   }
 
+  if (product.variants !== undefined || product.options !== undefined) {
+    errors.push(...getVariantErrors(product));
+  }
+
+  if (product.variantId !== undefined && !isNonEmptyString(product.variantId)) {
+    errors.push('Product variant ID must be a non-empty string if provided');
+  }
+
   return createResult(errors.length === 0, errors);
 }
 
@@ -335,6 +424,202 @@ export function validateShippingOption(shippingOption) {
   return createResult(errors.length === 0, errors);
 }
 
+/**
+ * Field-level validation result object
+ * @typedef {Object} FieldValidationResult
+ * @property {boolean} valid - Whether the data is valid
+ * @property {string[]} errors - Array of error messages
+ * @property {Object<string, string>} fieldErrors - Error message keyed by field name
+ */
+
+/**
+ * Create a field-level validation result
+ * @param {Object<string, string>} fieldErrors - Error message keyed by field name
+ * @returns {FieldValidationResult}
+ */
+function createFieldResult(fieldErrors) {
+  const errors = Object.values(fieldErrors);
+  return { valid: errors.length === 0, errors, fieldErrors };
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} digits - Card number digits only
+ * @returns {boolean}
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Validate a checkout shipping address
+ *
+ * @param {Object} address - Shipping address to validate
+ * @returns {FieldValidationResult} Validation result with per-field errors
+ *
+ * @example
+ * const { valid, fieldErrors } = validateShippingAddress(address);
+ * if (!valid) {
+ *   Object.entries(fieldErrors).forEach(([field, error]) => setFieldError(field, error));
+ * }
+ */
+export function validateShippingAddress(address) {
+  const fieldErrors = {};
+
+  if (!address || typeof address !== 'object') {
+    return createFieldResult({ address: 'Shipping address is required' });
+  }
+
+  const requiredFields = {
+    firstName: 'First name is required',
+    lastName: 'Last name is required',
+    address: 'Street address is required',
+    city: 'City is required',
+    state: 'State is required',
+    zip: 'ZIP code is required',
+    country: 'Country is required',
+  };
+
+  for (const [field, message] of Object.entries(requiredFields)) {
+    if (!isNonEmptyString(address[field])) {
+      fieldErrors[field] = message;
+    }
+  }
+
+  if (!isNonEmptyString(address.email)) {
+    fieldErrors.email = 'Email is required';
+  } else if (!isValidEmail(address.email)) {
+    fieldErrors.email = 'Email must be a valid email address';
+  }
+
+  if (address.zip && !fieldErrors.zip && !/^[\d\w\s-]{3,10}$/i.test(address.zip)) {
+    fieldErrors.zip = 'ZIP code format is invalid';
+  }
+
+  if (address.phone && !isValidPhone(address.phone)) {
+    fieldErrors.phone = 'Phone must be a valid phone number';
+  }
+
+  return createFieldResult(fieldErrors);
+}
+
+/**
+ * Validate mock payment card details
+ *
+ * Checks the cardholder name, card number (length and Luhn checksum),
+ * expiry (MM/YY, not in the past) and CVC.
+ *
+ * @param {Object} payment - Payment details to validate
+ * @param {Date} [now=new Date()] - Reference date for the expiry check
+ * @returns {FieldValidationResult} Validation result with per-field errors
+ */
+export function validatePaymentDetails(payment, now = new Date()) {
+  const fieldErrors = {};
+
+  if (!payment || typeof payment !== 'object') {
+    return createFieldResult({ cardNumber: 'Payment details are required' });
+  }
+
+  if (!isNonEmptyString(payment.cardName)) {
+    fieldErrors.cardName = 'Name on card is required';
+  }
+
+  const digits =
+    typeof payment.cardNumber === 'string' ? payment.cardNumber.replace(/\s/g, '') : '';
+  if (!digits) {
+    fieldErrors.cardNumber = 'Card number is required';
+  } else if (!/^\d{13,19}$/.test(digits) || !passesLuhn(digits)) {
+    fieldErrors.cardNumber = 'Card number is invalid';
+  }
+
+  const expiryMatch =
+    typeof payment.expiry === 'string' && payment.expiry.trim().match(/^(\d{2})\s*\/\s*(\d{2})$/);
+  if (!isNonEmptyString(payment.expiry)) {
+    fieldErrors.expiry = 'Expiry date is required';
+  } else if (!expiryMatch || Number(expiryMatch[1]) < 1 || Number(expiryMatch[1]) > 12) {
+    fieldErrors.expiry = 'Expiry date must be in MM/YY format';
+  } else {
+    // Cards are valid through the last day of their expiry month
+    const expiryYear = 2000 + Number(expiryMatch[2]);
+    const expiryMonth = Number(expiryMatch[1]);
+    const currentYear = now.getFullYear();
+    const currentMonth = now.getMonth() + 1;
+    if (expiryYear < currentYear || (expiryYear === currentYear && expiryMonth < currentMonth)) {
+      fieldErrors.expiry = 'Card has expired';
+    }
+  }
+
+  if (!isNonEmptyString(payment.cvc)) {
+    fieldErrors.cvc = 'CVC is required';
+  } else if (!/^\d{3,4}$/.test(payment.cvc.trim())) {
+    fieldErrors.cvc = 'CVC must be 3 or 4 digits';
+  }
+
+  return createFieldResult(fieldErrors);
+}
+
+/**
+ * Validate a product review from the review form
+ *
+ * Checks the star rating (whole stars within `REVIEW_LIMITS`), the
+ * reviewer's name, the optional title and the review text length.
+ * Run it on sanitized input (see `sanitizeReview`) so lengths match
+ * what is stored.
+ *
+ * @param {Object} review - Review to validate
+ * @returns {FieldValidationResult} Validation result with per-field errors
+ *
+ * @example
+ * const { valid, fieldErrors } = validateReview(sanitizeReview(formValues));
+ */
+export function validateReview(review) {
+  const fieldErrors = {};
+  const { MIN_RATING, MAX_RATING, AUTHOR_MAX_LENGTH, TITLE_MAX_LENGTH } = REVIEW_LIMITS;
+  const { BODY_MIN_LENGTH, BODY_MAX_LENGTH } = REVIEW_LIMITS;
+
+  if (!review || typeof review !== 'object') {
+    return createFieldResult({ rating: 'Review is required' });
+  }
+
+  if (
+    !Number.isInteger(review.rating) ||
+    review.rating < MIN_RATING ||
+    review.rating > MAX_RATING
+  ) {
+    fieldErrors.rating = `Choose a rating from ${MIN_RATING} to ${MAX_RATING} stars`;
+  }
+
+  if (!isNonEmptyString(review.author)) {
+    fieldErrors.author = 'Name is required';
+  } else if (review.author.length > AUTHOR_MAX_LENGTH) {
+    fieldErrors.author = `Name must be ${AUTHOR_MAX_LENGTH} characters or less`;
+  }
+
+  if (typeof review.title === 'string' && review.title.length > TITLE_MAX_LENGTH) {
+    fieldErrors.title = `Title must be ${TITLE_MAX_LENGTH} characters or less`;
+  }
+
+  const bodyLength = typeof review.body === 'string' ? review.body.trim().length : 0;
+  if (bodyLength === 0) {
+    fieldErrors.body = 'Review text is required';
+  } else if (bodyLength < BODY_MIN_LENGTH) {
+    fieldErrors.body = `Review must be at least ${BODY_MIN_LENGTH} characters`;
+  } else if (bodyLength > BODY_MAX_LENGTH) {
+    fieldErrors.body = `Review must be ${BODY_MAX_LENGTH} characters or less`;
+  }
+
+  return createFieldResult(fieldErrors);
+}
+
 /**
  * Validate an entire cart (array of cart items)
  *
@@ -414,6 +699,9 @@ export default {
   validateCartItem,
   validateProfile,
   validateShippingOption,
+  validateShippingAddress,
+  validatePaymentDetails,
+  validateReview,
   validateCart,
   validateSearchTerm,
   sanitizeString,
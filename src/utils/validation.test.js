@@ -7,10 +7,15 @@ import {
   validateCartItem,
   validateProfile,
   validateShippingOption,
+  validateShippingAddress,
+  validatePaymentDetails,
   validateCart,
   validateSearchTerm,
+  validateReview,
   sanitizeString,
 } from './validation';
+import { sanitizeReview } from './sanitize';
+import { products } from '../data/products';
 
 describe('Validation Utilities', () => {
   describe('validateProduct', () => {
@@ -244,6 +249,15 @@ describe('Validation Utilities', () => {
           expect(validateProduct(product).valid).toBe(true);
         });
       });
+
+      it('accepts the categories it is given', () => {
+        const product = { ...validProduct, category: 'garden' };
+
+        expect(validateProduct(product, { categories: ['garden'] }).valid).toBe(true);
+        expect(validateProduct({ ...validProduct }, { categories: ['garden'] }).errors).toEqual([
+          'Product category must be one of: garden',
+        ]);
+      });
     });
 
     describe('onSale validation', () => {
@@ -320,6 +334,129 @@ describe('Validation Utilities', () => {
       });
     });
 
+    describe('variant validation', () => {
+      const productWithVariants = {
+        ...validProduct,
+        options: [{ type: 'size', values: ['S', 'M'] }],
+        variants: [
+          { id: 's', options: { size: 'S' }, stock: 2 },
+          { id: 'm', options: { size: 'M' }, price: 24.99, stock: 0 },
+        ],
+      };
+
+      it('accepts valid variants', () => {
+        expect(validateProduct(productWithVariants).valid).toBe(true);
+      });
+
+      it('rejects variants without options', () => {
+        const product = { ...productWithVariants, options: [] };
+
+        const result = validateProduct(product);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain('Product variants require a non-empty options array');
+      });
+
+      it('rejects unknown option types', () => {
+        const product = {
+          ...productWithVariants,
+          options: [{ type: 'flavour', values: ['Mint'] }],
+        };
+
+        const result = validateProduct(product);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors[0]).toMatch(/option type must be one of/);
+      });
+
+      it('rejects options without variants', () => {
+        const product = { ...productWithVariants, variants: [] };
+
+        const result = validateProduct(product);
+
+        expect(result.errors).toContain('Product variants must be a non-empty array');
+      });
+
+      it('rejects duplicate variant IDs', () => {
+        const product = {
+          ...productWithVariants,
+          variants: [
+            { id: 's', options: { size: 'S' }, stock: 2 },
+            { id: 's', options: { size: 'M' }, stock: 1 },
+          ],
+        };
+
+        expect(validateProduct(product).errors).toContain('Variant s ID must be unique');
+      });
+
+      it('rejects values outside the option list', () => {
+        const product = {
+          ...productWithVariants,
+          variants: [{ id: 'xl', options: { size: 'XL' }, stock: 1 }],
+        };
+
+        expect(validateProduct(product).errors).toContain('Variant xl size must be one of: S, M');
+      });
+
+      it('rejects duplicate option combinations', () => {
+        const product = {
+          ...productWithVariants,
+          variants: [
+            { id: 's', options: { size: 'S' }, stock: 2 },
+            { id: 's2', options: { size: 'S' }, stock: 1 },
+          ],
+        };
+
+        expect(validateProduct(product).errors).toContain(
+          "Variant s2 duplicates another variant's options"
+        );
+      });
+
+      it('rejects negative variant stock', () => {
+        const product = {
+          ...productWithVariants,
+          variants: [{ id: 's', options: { size: 'S' }, stock: -1 }],
+        };
+
+        expect(validateProduct(product).errors).toContain(
+          'Variant s stock must be a non-negative number'
+        );
+      });
+
+      it('requires a variant sale price when the product is on sale', () => {
+        const product = { ...productWithVariants, onSale: true, salePrice: 15 };
+
+        expect(validateProduct(product).errors).toContain(
+          'Variant m sale price is required when product is on sale'
+        );
+      });
+
+      it('rejects a variant sale price above its price', () => {
+        const product = {
+          ...productWithVariants,
+          variants: [{ id: 's', options: { size: 'S' }, price: 10, salePrice: 12, stock: 1 }],
+        };
+
+        expect(validateProduct(product).errors).toContain(
+          'Variant s sale price must be less than its price'
+        );
+      });
+
+      it('rejects an empty variant ID on a cart line', () => {
+        const product = { ...validProduct, variantId: '' };
+
+        expect(validateProduct(product).errors).toContain(
+          'Product variant ID must be a non-empty string if provided'
+        );
+      });
+
+      it('accepts every catalog product', () => {
+        products.forEach((product) => {
+          expect(validateProduct(product)).toEqual({ valid: true, errors: [] });
+        });
+      });
+    });
+
     it('collects multiple errors', () => {
       const product = {
         // missing id
@@ -679,6 +816,132 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validateShippingAddress', () => {
+    const validAddress = {
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john@example.com',
+      address: '123 Main St',
+      city: 'Springfield',
+      state: 'IL',
+      zip: '62701',
+      country: 'USA',
+      phone: '555-123-4567',
+    };
+
+    it('returns valid for a complete address', () => {
+      const result = validateShippingAddress(validAddress);
+
+      expect(result.valid).toBe(true);
+      expect(result.fieldErrors).toEqual({});
+    });
+
+    it('returns invalid for null input', () => {
+      expect(validateShippingAddress(null).valid).toBe(false);
+    });
+
+    it('keys errors by field name', () => {
+      const result = validateShippingAddress({ ...validAddress, city: '', zip: ' ' });
+
+      expect(result.valid).toBe(false);
+      expect(result.fieldErrors).toEqual({
+        city: 'City is required',
+        zip: 'ZIP code is required',
+      });
+      expect(result.errors).toHaveLength(2);
+    });
+
+    it('validates email format', () => {
+      const result = validateShippingAddress({ ...validAddress, email: 'not-an-email' });
+
+      expect(result.fieldErrors.email).toBe('Email must be a valid email address');
+    });
+
+    it('validates ZIP code format', () => {
+      const result = validateShippingAddress({ ...validAddress, zip: '1' });
+
+      expect(result.fieldErrors.zip).toBe('ZIP code format is invalid');
+    });
+
+    it('allows an empty phone but validates a provided one', () => {
+      expect(validateShippingAddress({ ...validAddress, phone: '' }).valid).toBe(true);
+      expect(validateShippingAddress({ ...validAddress, phone: '12' }).fieldErrors.phone).toBe(
+        'Phone must be a valid phone number'
+      );
+    });
+  });
+
+  describe('validatePaymentDetails', () => {
+    const now = new Date(2026, 5, 15);
+    const validPayment = {
+      cardName: 'John Doe',
+      cardNumber: '4242 4242 4242 4242',
+      expiry: '12/28',
+      cvc: '123',
+    };
+
+    it('returns valid for complete card details', () => {
+      const result = validatePaymentDetails(validPayment, now);
+
+      expect(result.valid).toBe(true);
+      expect(result.fieldErrors).toEqual({});
+    });
+
+    it('requires every field', () => {
+      const result = validatePaymentDetails({}, now);
+
+      expect(result.fieldErrors).toEqual({
+        cardName: 'Name on card is required',
+        cardNumber: 'Card number is required',
+        expiry: 'Expiry date is required',
+        cvc: 'CVC is required',
+      });
+    });
+
+    it('rejects card numbers failing the checksum', () => {
+      const result = validatePaymentDetails(
+        { ...validPayment, cardNumber: '4242424242424241' },
+        now
+      );
+
+      expect(result.fieldErrors.cardNumber).toBe('Card number is invalid');
+    });
+
+    it('rejects card numbers with letters', () => {
+      const result = validatePaymentDetails(
+        { ...validPayment, cardNumber: '4242abcd42424242' },
+        now
+      );
+
+      expect(result.fieldErrors.cardNumber).toBe('Card number is invalid');
+    });
+
+    it('rejects malformed expiry dates', () => {
+      expect(
+        validatePaymentDetails({ ...validPayment, expiry: '13/28' }, now).fieldErrors.expiry
+      ).toBe('Expiry date must be in MM/YY format');
+      expect(
+        validatePaymentDetails({ ...validPayment, expiry: '1228' }, now).fieldErrors.expiry
+      ).toBe('Expiry date must be in MM/YY format');
+    });
+
+    it('rejects expired cards', () => {
+      const result = validatePaymentDetails({ ...validPayment, expiry: '05/26' }, now);
+
+      expect(result.fieldErrors.expiry).toBe('Card has expired');
+    });
+
+    it('accepts cards expiring in the current month', () => {
+      expect(validatePaymentDetails({ ...validPayment, expiry: '06/26' }, now).valid).toBe(true);
+    });
+
+    it('validates CVC length', () => {
+      const result = validatePaymentDetails({ ...validPayment, cvc: '12' }, now);
+
+      expect(result.fieldErrors.cvc).toBe('CVC must be 3 or 4 digits');
+    });
+  });
+
   describe('validateCart', () => {
     const validItem = {
       id: 1,
@@ -801,6 +1064,96 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validateReview', () => {
+    const validReview = {
+      rating: 4,
+      author: 'Sam',
+      title: 'Does the job',
+      body: 'Works well and arrived quickly.',
+    };
+
+    it('accepts a complete review', () => {
+      expect(validateReview(validReview)).toEqual({ valid: true, errors: [], fieldErrors: {} });
+    });
+
+    it('accepts a review without a title', () => {
+      expect(validateReview({ ...validReview, title: '' }).valid).toBe(true);
+    });
+
+    it('requires a whole star rating from 1 to 5', () => {
+      [0, 6, 3.5, undefined].forEach((rating) => {
+        expect(validateReview({ ...validReview, rating }).fieldErrors.rating).toBe(
+          'Choose a rating from 1 to 5 stars'
+        );
+      });
+    });
+
+    it('requires a name', () => {
+      expect(validateReview({ ...validReview, author: '  ' }).fieldErrors.author).toBe(
+        'Name is required'
+      );
+    });
+
+    it('limits name and title length', () => {
+      const result = validateReview({
+        ...validReview,
+        author: 'a'.repeat(51),
+        title: 'a'.repeat(101),
+      });
+
+      expect(result.fieldErrors.author).toBe('Name must be 50 characters or less');
+      expect(result.fieldErrors.title).toBe('Title must be 100 characters or less');
+    });
+
+    it('requires review text of a minimum length', () => {
+      expect(validateReview({ ...validReview, body: '' }).fieldErrors.body).toBe(
+        'Review text is required'
+      );
+      expect(validateReview({ ...validReview, body: 'Good' }).fieldErrors.body).toBe(
+        'Review must be at least 10 characters'
+      );
+    });
+
+    it('limits review text length', () => {
+      expect(validateReview({ ...validReview, body: 'a'.repeat(2001) }).fieldErrors.body).toBe(
+        'Review must be 2000 characters or less'
+      );
+    });
+
+    it('rejects missing input', () => {
+      expect(validateReview(null).valid).toBe(false);
+    });
+  });
+
+  describe('sanitizeReview', () => {
+    it('removes scripts and trims text fields', () => {
+      const result = sanitizeReview({
+        rating: '5',
+        author: '  Sam ',
+        title: '<script>alert(1)</script>Great',
+        body: ' Really good value. ',
+      });
+
+      expect(result).toEqual({
+        rating: 5,
+        author: 'Sam',
+        title: 'Great',
+        body: 'Really good value.',
+      });
+    });
+
+    it('keeps overlong text long enough to fail validation', () => {
+      const result = sanitizeReview({ rating: 4, author: 'a'.repeat(80), body: 'text' });
+
+      expect(result.author.length).toBeGreaterThan(50);
+      expect(validateReview(result).fieldErrors.author).toBeDefined();
+    });
+
+    it('returns empty fields for missing input', () => {
+      expect(sanitizeReview(null)).toEqual({ rating: 0, author: '', title: '', body: '' });
+    });
+  });
+
   describe('sanitizeString', () => {
     it('returns empty string for non-string input', () => {
       expect(sanitizeString(null)).toBe('');
@@ -0,0 +1,149 @@
+/**
+ * Product variant utilities
+ *
+ * Some products come in several variants (size, colour, capacity). The
+ * product lists the option types it varies by and one entry per
+ * variant, each with its own stock and optionally its own price:
+ *
+ *   options: [{ type: 'size', values: ['S', 'M', 'L'] }],
+ *   variants: [{ id: 's', options: { size: 'S' }, stock: 3, price?, salePrice? }, ...]
+ *
+ * Variants without a price use the product's price and sale price.
+ * Cart lines are products resolved to a single variant (see `applyVariant`).
+ */
+
+import { VARIANT_OPTION_LABELS } from '../constants';
+
+/**
+ * Check whether a product has variants to choose from
+ * @param {Object} product - Product
+ * @returns {boolean}
+ */
+export function hasVariants(product) {
+  return Array.isArray(product?.variants) && product.variants.length > 0;
+}
+
+/**
+ * Find a variant by ID
+ * @param {Object} product - Product
+ * @param {string} variantId - Variant ID
+ * @returns {Object|null} Variant or null
+ */
+export function getVariant(product, variantId) {
+  if (!hasVariants(product)) {
+    return null;
+  }
+  return product.variants.find((variant) => variant.id === variantId) ?? null;
+}
+
+/**
+ * Find the variant matching a full option selection
+ * @param {Object} product - Product
+ * @param {Object<string, string>} selection - Chosen value per option type
+ * @returns {Object|null} Variant or null if no variant has that combination
+ */
+export function findVariant(product, selection) {
+  if (!hasVariants(product)) {
+    return null;
+  }
+  return (
+    product.variants.find((variant) =>
+      Object.entries(variant.options).every(([type, value]) => selection[type] === value)
+    ) ?? null
+  );
+}
+
+/**
+ * Variant to preselect: the first one in stock, else the first one
+ * @param {Object} product - Product
+ * @param {Function} [getStock] - Stock for a variant (defaults to its catalog stock)
+ * @returns {Object|null} Variant or null for products without variants
+ */
+export function getDefaultVariant(product, getStock = (variant) => variant.stock) {
+  if (!hasVariants(product)) {
+    return null;
+  }
+  return product.variants.find((variant) => getStock(variant) > 0) ?? product.variants[0];
+}
+
+/**
+ * Display label for an option type
+ * @param {string} type - Option type (see `VARIANT_OPTIONS`)
+ * @returns {string}
+ */
+export function getOptionLabel(type) {
+  return VARIANT_OPTION_LABELS[type] ?? type;
+}
+
+/**
+ * Label for a variant's option values (e.g. "Size: M" or "Colour: Black, Capacity: 256GB")
+ * @param {Object} product - Product (for option order)
+ * @param {Object} variant - Variant
+ * @returns {string}
+ */
+export function getVariantLabel(product, variant) {
+  const types = product.options?.map((option) => option.type) ?? Object.keys(variant.options);
+  return types.map((type) => `${getOptionLabel(type)}: ${variant.options[type]}`).join(', ');
+}
+
+/**
+ * Resolve a product to one of its variants, ready to add to the cart
+ * Price, sale price and stock come from the variant; the variant list
+ * is dropped so cart lines stay small.
+ *
+ * @param {Object} product - Product
+ * @param {string} variantId - Variant ID
+ * @returns {Object} Product fields plus `variantId`, `variantLabel` and `variantOptions`
+ *   (the product unchanged if it has no such variant)
+ */
+export function applyVariant(product, variantId) {
+  const variant = getVariant(product, variantId);
+  if (!variant) {
+    return product;
+  }
+
+  const { variants: _variants, options: _options, ...fields } = product;
+
+  return {
+    ...fields,
+    variantId: variant.id,
+    variantLabel: getVariantLabel(product, variant),
+    variantOptions: variant.options,
+    price: variant.price ?? product.price,
+    salePrice: variant.price === undefined ? product.salePrice : variant.salePrice,
+    stock: variant.stock,
+  };
+}
+
+/**
+ * Price a shopper pays for one unit
+ * @param {Object} item - Product or cart line
+ * @returns {number}
+ */
+export function getUnitPrice(item) {
+  return item.onSale && item.salePrice != null ? item.salePrice : item.price;
+}
+
+/**
+ * Saving per unit from a sale price
+ * @param {Object} item - Product or cart line
+ * @returns {number}
+ */
+export function getUnitSavings(item) {
+  return item.price - getUnitPrice(item);
+}
+
+/**
+ * Lowest and highest unit price across a product's variants
+ * @param {Object} product - Product
+ * @returns {{ min: number, max: number }} Both equal for products without variants
+ */
+export function getPriceRange(product) {
+  if (!hasVariants(product)) {
+    const price = getUnitPrice(product);
+    return { min: price, max: price };
+  }
+
+  const prices = product.variants.map((variant) => getUnitPrice(applyVariant(product, variant.id)));
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+}
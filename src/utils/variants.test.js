@@ -0,0 +1,164 @@
+/**
+ * Tests for product variant utilities
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  hasVariants,
+  getVariant,
+  findVariant,
+  getDefaultVariant,
+  getVariantLabel,
+  applyVariant,
+  getUnitPrice,
+  getUnitSavings,
+  getPriceRange,
+} from './variants';
+
+const jacket = {
+  id: 1,
+  name: 'Jacket',
+  price: 80,
+  onSale: true,
+  salePrice: 60,
+  stock: 5,
+  options: [
+    { type: 'size', values: ['S', 'M'] },
+    { type: 'colour', values: ['Blue', 'Black'] },
+  ],
+  variants: [
+    { id: 's-blue', options: { size: 'S', colour: 'Blue' }, stock: 0 },
+    { id: 'm-blue', options: { size: 'M', colour: 'Blue' }, stock: 2 },
+    { id: 'm-black', options: { size: 'M', colour: 'Black' }, price: 90, salePrice: 70, stock: 3 },
+  ],
+};
+
+describe('Variant Utilities', () => {
+  describe('hasVariants', () => {
+    it('is true for products with variants', () => {
+      expect(hasVariants(jacket)).toBe(true);
+    });
+
+    it('is false for plain products and missing input', () => {
+      expect(hasVariants({ id: 2 })).toBe(false);
+      expect(hasVariants({ id: 2, variants: [] })).toBe(false);
+      expect(hasVariants(null)).toBe(false);
+    });
+  });
+
+  describe('getVariant', () => {
+    it('finds a variant by ID', () => {
+      expect(getVariant(jacket, 'm-blue').stock).toBe(2);
+    });
+
+    it('returns null for unknown IDs', () => {
+      expect(getVariant(jacket, 'xl')).toBeNull();
+      expect(getVariant({ id: 2 }, 'm')).toBeNull();
+    });
+  });
+
+  describe('findVariant', () => {
+    it('finds the variant for a full selection', () => {
+      expect(findVariant(jacket, { size: 'M', colour: 'Black' }).id).toBe('m-black');
+    });
+
+    it('returns null when no variant has the combination', () => {
+      expect(findVariant(jacket, { size: 'S', colour: 'Black' })).toBeNull();
+    });
+  });
+
+  describe('getDefaultVariant', () => {
+    it('picks the first variant in stock', () => {
+      expect(getDefaultVariant(jacket).id).toBe('m-blue');
+    });
+
+    it('uses the stock lookup when given', () => {
+      const getStock = (variant) => (variant.id === 'm-black' ? 1 : 0);
+
+      expect(getDefaultVariant(jacket, getStock).id).toBe('m-black');
+    });
+
+    it('falls back to the first variant when all are sold out', () => {
+      expect(getDefaultVariant(jacket, () => 0).id).toBe('s-blue');
+    });
+
+    it('returns null for products without variants', () => {
+      expect(getDefaultVariant({ id: 2 })).toBeNull();
+    });
+  });
+
+  describe('getVariantLabel', () => {
+    it('lists option values in the product option order', () => {
+      expect(getVariantLabel(jacket, jacket.variants[2])).toBe('Size: M, Colour: Black');
+    });
+  });
+
+  describe('applyVariant', () => {
+    it('takes price and stock from the variant', () => {
+      const item = applyVariant(jacket, 'm-black');
+
+      expect(item).toMatchObject({
+        id: 1,
+        variantId: 'm-black',
+        variantLabel: 'Size: M, Colour: Black',
+        variantOptions: { size: 'M', colour: 'Black' },
+        price: 90,
+        salePrice: 70,
+        stock: 3,
+      });
+    });
+
+    it('keeps the product price for variants without one', () => {
+      const item = applyVariant(jacket, 'm-blue');
+
+      expect(item.price).toBe(80);
+      expect(item.salePrice).toBe(60);
+      expect(item.stock).toBe(2);
+    });
+
+    it('drops the variant list', () => {
+      const item = applyVariant(jacket, 'm-blue');
+
+      expect(item).not.toHaveProperty('variants');
+      expect(item).not.toHaveProperty('options');
+    });
+
+    it('returns the product unchanged for unknown variants', () => {
+      expect(applyVariant(jacket, 'xl')).toBe(jacket);
+    });
+  });
+
+  describe('getUnitPrice', () => {
+    it('uses the sale price when on sale', () => {
+      expect(getUnitPrice({ price: 10, onSale: true, salePrice: 8 })).toBe(8);
+    });
+
+    it('uses the regular price otherwise', () => {
+      expect(getUnitPrice({ price: 10, onSale: false, salePrice: 8 })).toBe(10);
+      expect(getUnitPrice({ price: 10, onSale: true })).toBe(10);
+    });
+  });
+
+  describe('getUnitSavings', () => {
+    it('is the gap between regular and sale price', () => {
+      expect(getUnitSavings({ price: 10, onSale: true, salePrice: 8 })).toBe(2);
+    });
+
+    it('is zero when not on sale', () => {
+      expect(getUnitSavings({ price: 10, onSale: false, salePrice: 8 })).toBe(0);
+    });
+
+    it('is the whole price for a free sale item', () => {
+      expect(getUnitSavings({ price: 10, onSale: true, salePrice: 0 })).toBe(10);
+    });
+  });
+
+  describe('getPriceRange', () => {
+    it('spans the variant unit prices', () => {
+      expect(getPriceRange(jacket)).toEqual({ min: 60, max: 70 });
+    });
+
+    it('is a single price for products without variants', () => {
+      expect(getPriceRange({ price: 10, onSale: false })).toEqual({ min: 10, max: 10 });
+    });
+  });
+});
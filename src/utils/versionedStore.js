@@ -0,0 +1,103 @@
+/**
+ * Versioned Store
+ *
+ * Shared persistence for the local service stores (orders, reviews,
+ * inventory, the local catalog, ...). Data is kept in the
+ * `{ schemaVersion, data }` envelope of `./storageSchema`, so a payload
+ * from an older release is migrated on read, and one that can't be is
+ * quarantined rather than dropped. Subscribers are told when the store
+ * writes.
+ *
+ * `get` returns the same data until the stored payload changes, so it
+ * works as a `useSyncExternalStore` snapshot. Treat it as read-only and
+ * `set` a new value instead.
+ */
+
+import { getRawFromStorage } from './storage';
+import { getVersionedFromStorage, setVersionedToStorage } from './storageSchema';
+
+/**
+ * A persisted store
+ * @typedef {Object} VersionedStore
+ * @property {Function} get - Current data: () => *
+ * @property {Function} set - Persist new data and notify subscribers: (data) => boolean
+ *   (false, with nothing changed, when the write fails)
+ * @property {Function} subscribe - Subscribe to writes: (listener) => unsubscribe
+ * @property {Function} getVersion - Write counter, bumped on every `set`: () => number
+ */
+
+/**
+ * Migration step for a payload written before stores used the envelope
+ * Those were `{ version: 1, ...fields }`.
+ *
+ * @param {Function} pick - Returns the store's data from the old payload,
+ *   throwing if it doesn't have the expected shape
+ * @returns {Function} Migration step from schema version 0 to 1
+ *
+ * @example
+ * migrations: [migrateLegacyStore((store) => store.reviews)]
+ */
+export function migrateLegacyStore(pick) {
+  return (store) => {
+    if (store?.version !== 1) {
+      throw new Error(`Unsupported store version ${store?.version}`);
+    }
+    return pick(store);
+  };
+}
+
+/**
+ * Create a store persisted under a localStorage key
+ *
+ * @param {string} key - Storage key
+ * @param {import('./storageSchema').StorageSchema} schema - Migrations (and
+ *   optional validation) of the stored data
+ * @param {*} emptyValue - Data while nothing is stored
+ * @returns {VersionedStore}
+ *
+ * @example
+ * const store = createVersionedStore(STORAGE_KEYS.REVIEWS, { migrations }, []);
+ * store.set([...store.get(), review]);
+ */
+export function createVersionedStore(key, schema, emptyValue) {
+  const listeners = new Set();
+  let version = 0;
+  // Data last read or written, with the stored string it came from
+  let snapshot = { raw: null, data: emptyValue };
+
+  const get = () => {
+    const raw = getRawFromStorage(key);
+    if (raw !== snapshot.raw) {
+      const data = getVersionedFromStorage(key, emptyValue, schema);
+      // Reading can upgrade or quarantine the payload, so compare against what's there now
+      snapshot = { raw: getRawFromStorage(key), data };
+    }
+    return snapshot.data;
+  };
+
+  const set = (data) => {
+    const saved = setVersionedToStorage(key, data, schema);
+    // A failed write leaves the store as it was
+    if (!saved) {
+      return false;
+    }
+    snapshot = { raw: getRawFromStorage(key), data };
+    version += 1;
+    listeners.forEach((listener) => listener());
+    return true;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const getVersion = () => version;
+
+  return { get, set, subscribe, getVersion };
+}
+
+export default {
+  migrateLegacyStore,
+  createVersionedStore,
+};
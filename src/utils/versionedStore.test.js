@@ -0,0 +1,115 @@
+/**
+ * Tests for versioned stores
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createVersionedStore, migrateLegacyStore } from './versionedStore';
+import { getQuarantinedEntries } from './storageSchema';
+
+const KEY = 'testStore';
+
+const schema = {
+  migrations: [
+    migrateLegacyStore((store) => {
+      if (!Array.isArray(store.items)) {
+        throw new Error('Items are not a list');
+      }
+      return store.items;
+    }),
+  ],
+};
+
+const createStore = () => createVersionedStore(KEY, schema, []);
+
+describe('createVersionedStore', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('starts empty', () => {
+    expect(createStore().get()).toEqual([]);
+  });
+
+  it('writes data in the envelope and notifies subscribers', () => {
+    const store = createStore();
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.set(['a']);
+
+    expect(JSON.parse(localStorage.getItem(KEY))).toEqual({ schemaVersion: 1, data: ['a'] });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(store.getVersion()).toBe(1);
+  });
+
+  it('returns the same data until the stored payload changes', () => {
+    const store = createStore();
+    store.set(['a']);
+    const snapshot = store.get();
+
+    expect(store.get()).toBe(snapshot);
+
+    localStorage.setItem(KEY, JSON.stringify({ schemaVersion: 1, data: ['b'] }));
+    expect(store.get()).toEqual(['b']);
+  });
+
+  it('reads without writing to storage', () => {
+    const store = createStore();
+    store.set(['a']);
+    localStorage.setItem.mockClear();
+
+    store.get();
+    store.get();
+
+    expect(localStorage.setItem).not.toHaveBeenCalled();
+  });
+
+  it('migrates a payload written before the envelope', () => {
+    localStorage.setItem(KEY, JSON.stringify({ version: 1, items: ['a'] }));
+
+    expect(createStore().get()).toEqual(['a']);
+    expect(JSON.parse(localStorage.getItem(KEY))).toEqual({ schemaVersion: 1, data: ['a'] });
+  });
+
+  it('quarantines a payload it cannot migrate instead of dropping it', () => {
+    const raw = JSON.stringify({ version: 2, items: ['a'] });
+    localStorage.setItem(KEY, raw);
+
+    expect(createStore().get()).toEqual([]);
+    expect(getQuarantinedEntries()).toEqual([
+      expect.objectContaining({ key: KEY, raw, reason: 'Unsupported store version 2' }),
+    ]);
+  });
+
+  it('keeps its data when a write fails', () => {
+    const store = createStore();
+    store.set(['a']);
+    const listener = vi.fn();
+    store.subscribe(listener);
+    const writeItem = localStorage.setItem.getMockImplementation();
+    localStorage.setItem.mockImplementation((key, value) => {
+      if (key === KEY) {
+        throw new DOMException('Storage is full', 'QuotaExceededError');
+      }
+      writeItem(key, value);
+    });
+
+    try {
+      expect(store.set(['a', 'b'])).toBe(false);
+    } finally {
+      localStorage.setItem.mockImplementation(writeItem);
+    }
+
+    expect(store.get()).toEqual(['a']);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('stops notifying once unsubscribed', () => {
+    const store = createStore();
+    const listener = vi.fn();
+    store.subscribe(listener)();
+
+    store.set(['a']);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,59 @@
 import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 import { resolve } from 'path';
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { buildWebManifest } from './src/pwa/manifest.js';
+
+// Files from public/ the service worker precaches besides the build output
+const PUBLIC_PRECACHE_FILES = ['offline.html', 'logo.png', 'mart-favicon.svg'];
+
+/**
+ * PWA plugin - emits the web app manifest and the service worker
+ *
+ * The service worker source (src/pwa/serviceWorker.js) is copied to
+ * sw.js with the list of built files to precache and a cache version
+ * derived from their hashed names, so each deploy refreshes the cache.
+ */
+function pwa({ base }) {
+  return {
+    name: 'mart-pwa',
+    apply: 'build',
+    // Runs after index.html is added to the bundle
+    enforce: 'post',
+
+    transformIndexHtml() {
+      return [
+        {
+          tag: 'link',
+          attrs: { rel: 'manifest', href: `${base}manifest.webmanifest` },
+          injectTo: 'head',
+        },
+      ];
+    },
+
+    generateBundle(_options, bundle) {
+      this.emitFile({
+        type: 'asset',
+        fileName: 'manifest.webmanifest',
+        source: JSON.stringify(buildWebManifest({ base }), null, 2),
+      });
+
+      const files = [
+        ...Object.keys(bundle).filter((fileName) => !fileName.endsWith('.map')),
+        'manifest.webmanifest',
+        ...PUBLIC_PRECACHE_FILES,
+      ].sort();
+      const cacheVersion = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12);
+
+      const source = readFileSync(resolve(__dirname, './src/pwa/serviceWorker.js'), 'utf8')
+        .replace('self.__PRECACHE_URLS__', JSON.stringify(files.map((file) => `${base}${file}`)))
+        .replace('self.__CACHE_VERSION__', JSON.stringify(cacheVersion));
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    },
+  };
+}
 
 // https://vitejs.dev/config/
 export default defineConfig(({ command, mode }) => {
@@ -24,6 +77,8 @@ export default defineConfig(({ command, mode }) => {
         // Enable Fast Refresh
         fastRefresh: true,
       }),
+      // Installable PWA with offline support
+      pwa({ base }),
     ],
 
     // Resolve aliases for cleaner imports